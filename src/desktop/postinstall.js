@@ -88,11 +88,30 @@ function newHDWallets() {
    walletObj.bitcoincash.testnet.privKey = walletObj.bitcoincash.testnet.wallet.toBase58();
    walletObj.bitcoincash.testnet.privKeyHex = walletObj.bitcoincash.testnet.wallet.privateKey.toString("hex");
    walletObj.bitcoincash.testnet.wif = walletObj.bitcoincash.testnet.wallet.toWIF();
+   //litecoin wallets (standard "xprv" / "tprv" extended key serialization)
+   walletObj.litecoin = new Object();
+   walletObj.litecoin.mainnet = new Object();
+   walletObj.litecoin.testnet = new Object();
+   walletObj.litecoin.mainnet.mnemonic = bip39.generateMnemonic();
+   walletObj.litecoin.testnet.mnemonic = bip39.generateMnemonic();
+   var seedBuffer = bip39.mnemonicToSeed(walletObj.litecoin.mainnet.mnemonic);
+   walletObj.litecoin.mainnet.wallet = bip32.fromSeed(seedBuffer);
+   walletObj.litecoin.testnet.wallet = bip32.fromSeed(seedBuffer, bitcoin.networks.testnet);
+   walletObj.litecoin.mainnet.pubKey = walletObj.litecoin.mainnet.wallet.neutered().toBase58();
+   walletObj.litecoin.mainnet.pubKeyHex = walletObj.litecoin.mainnet.wallet.neutered().publicKey.toString("hex");
+   walletObj.litecoin.mainnet.privKey = walletObj.litecoin.mainnet.wallet.toBase58();
+   walletObj.litecoin.mainnet.privKeyHex = walletObj.litecoin.mainnet.wallet.privateKey.toString("hex");
+   walletObj.litecoin.testnet.pubKey = walletObj.litecoin.testnet.wallet.neutered().toBase58();
+   walletObj.litecoin.testnet.pubKeyHex = walletObj.litecoin.testnet.wallet.neutered().publicKey.toString("hex");
+   walletObj.litecoin.testnet.privKey = walletObj.litecoin.testnet.wallet.toBase58();
+   walletObj.litecoin.testnet.privKeyHex = walletObj.litecoin.testnet.wallet.privateKey.toString("hex");
    //remove these for a nicer display:
    delete walletObj.bitcoin.mainnet.wallet;
    delete walletObj.bitcoin.testnet.wallet;
    delete walletObj.bitcoincash.mainnet.wallet;
    delete walletObj.bitcoincash.testnet.wallet;
+   delete walletObj.litecoin.mainnet.wallet;
+   delete walletObj.litecoin.testnet.wallet;
    return (walletObj);
 }
 
@@ -111,6 +130,8 @@ function updateServerConfig(configDataStr) {
    dataObj.CP.API.wallets.test3.tprv = wallets.bitcoin.testnet.privKey;
    dataObj.CP.API.wallets.bitcoincash.xprv = wallets.bitcoincash.mainnet.privKey;
    dataObj.CP.API.wallets.bchtest.tprv = wallets.bitcoincash.testnet.privKey;
+   dataObj.CP.API.wallets.litecoin.xprv = wallets.litecoin.mainnet.privKey;
+   dataObj.CP.API.wallets.ltctest.tprv = wallets.litecoin.testnet.privKey;
    if (APIToken != null) {
       dataObj.CP.API.tokens.blockcypher = APIToken;
    }
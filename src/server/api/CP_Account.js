@@ -84,6 +84,13 @@ async function CP_Account (sessionObj) {
                      walletType = "bchtest";
                   }
                   break;
+               case "litecoin":
+                  if (requestParams.network == "main") {
+                     walletType = "litecoin";
+                  } else {
+                     walletType = "ltctest";
+                  }
+                  break;
                default:
                   sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Cryptocurrency \""+requestParams.type+"\" not supported.", sessionObj);
                   return(false);
@@ -91,7 +98,7 @@ async function CP_Account (sessionObj) {
             }
             fullAccountObj.chain = config.CP.API.wallets[walletType].startChain;
             fullAccountObj.addressIndex = config.CP.API.wallets[walletType].startIndex;
-            if ((requestParams.type == "bitcoin") || (requestParams.type == "bitcoincash")) {
+            if ((requestParams.type == "bitcoin") || (requestParams.type == "bitcoincash") || (requestParams.type == "litecoin")) {
                //use BIP44 derivation path for Bitcoin related addresses
                var derivationPath = "m/"+String(fullAccountObj.chain)+"/"+String(fullAccountObj.addressIndex);
             } else {
@@ -117,6 +124,7 @@ async function CP_Account (sessionObj) {
                sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Couldn't save account information.", sessionObj);
                return(false);
             }
+            watchDeposits(fullAccountObj, privateID);
             break;
          case "info":
             //retrieve account information
@@ -143,104 +151,46 @@ async function CP_Account (sessionObj) {
                sendError(JSONRPC_ERRORS.AUTH_FAILED, "Authentication failed.", sessionObj);
                return (false);
             }
-            ccHandler = getHandler("cryptocurrency", requestParams.type);
-            var balanceConfirmed = true;
-            if ((accountResults.length == 1) &&
-               ((accountResults[0].balance=="0") || (accountResults[0].balance=="NULL") ||
-                (accountResults[0].balance=="") || (accountResults[0].balance==null))) {
-               //latest balance not yet confirmed
-               var balanceConfirmed = false;
-               var lastUpdateCheck = new Date(accountResults[0].updated); //this date/time must be relative to local date/time
-               var currentDateTime = new Date();
-               var delta = currentDateTime.valueOf()-lastUpdateCheck.valueOf();
-               if (delta < 0) {
-                  //this may indicate a local clock discrepency (may have been reset or updated)
-                  delta = 0;
+            var watchObj = watchDeposits(accountResults[0], privateID);
+            resultObj.address = searchObj.address;
+            resultObj.type = searchObj.type;
+            resultObj.network = searchObj.network;
+            resultObj.balance = accountResults[0].balance;
+            var lastUpdateCheck = new Date(accountResults[0].updated); //this date/time must be relative to local date/time
+            var currentDateTime = new Date();
+            var delta = currentDateTime.valueOf()-lastUpdateCheck.valueOf();
+            if (delta < 0) {
+               //this may indicate a local clock discrepency (may have been reset or updated)
+               delta = 0;
+            }
+            var updateLimitSeconds = config.CP.API[requestParams.type].default.updateLimitSeconds * 1000; //convert to milliseconds
+            if (delta >= updateLimitSeconds) {
+               //time limit elapsed for checking live deposits (allowed)
+               try {
+                  var depositsResult = await checkDeposits(watchObj);
+               } catch (err) {
+                  console.error(err);
+                  sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Live balance unavailable. Try again later.", sessionObj);
+                  return (false);
                }
-               var updateLimitSeconds = config.CP.API[requestParams.type].default.updateLimitSeconds * 1000; //convert to milliseconds
-               if (delta >= updateLimitSeconds) {
-                  //time limit elapsed for checking live balance (allowed)
-                  try {
-                     var balanceResult = await ccHandler.getBlockchainBalance(requestParams.address, requestParams.type, requestParams.network);
-                     resultObj.address = searchObj.address;
-                     resultObj.type = searchObj.type;
-                     resultObj.network = searchObj.network;
-                     if ((balanceResult.balance == null) || (balanceResult.balance == undefined) || (balanceResult.balance == "")) {
-                        balanceResult.balance = 0;
-                     }
-                     resultObj.balance = String(balanceResult.balance);
-                     if (resultObj.balance != accountResults[0].balance) {
-                        //new confirmed deposit detected; forward new account balance to cashout wallet
-                        var fromAddressPath = "m/" + String(accountResults[0].chain) + "/" + String(accountResults[0].addressIndex);
-                        var cashoutPath = config.CP.API[requestParams.type].default[requestParams.network].cashOutAddrPath;
-                        var cashoutAddress = ccHandler.getDerivedWallet(cashoutPath, requestParams.network, true);
-                        var transferAmount = bigInt(balanceResult.balance);
-                        var minerFee = bigInt(config.CP.API[requestParams.type].default[requestParams.network].minerFee);
-                        var depositFee = bigInt(config.CP.API[requestParams.type].default[requestParams.network].depositFee);
-                        transferAmount = transferAmount.minus(minerFee);
-                        try {
-                           var txResult = await ccHandler.sendTransaction(fromAddressPath, cashoutAddress, transferAmount, minerFee, requestParams.type, requestParams.network);
-                        } catch (err) {
-                           sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Unable to forward transaction to cashout wallet.", sessionObj);
-                           return(false);
-                        }
-                        if (txResult != null) {
-                           if ((txResult.tx != undefined) && (txResult.tx != null)) {
-                              if ((txResult.tx.hash != undefined) && (txResult.tx.hash != null) && (txResult.tx.hash != "")) {
-                                 //Successfully forwarded new confirmed deposit:
-                                 //Sender: ccHandler.getDerivedWallet(fromWallet).address or ccHandler.getDerivedWallet(fromWallet).address
-                                 //Receiver: cashoutAddress
-                                 //Transaction hash: txResult.tx.hash
-                                 //Amount: transferAmount
-                                 //Miner fee: minerFee
-                                 //Deposit fee: depositFee
-                              }
-                           }
-                        } else {
-                           console.log ("Couldn't forward new account balance:");
-                           console.dir (txResult);
-                           //manual transfer may be required
-                        }
-                        //store updated account information
-                        resultObj.confirmed = true;
-                        transferAmount = transferAmount.minus(depositFee); //reduce amount by deposit fee
-                        resultObj.balance = transferAmount.toString(10); //amount transferred (minus fees) is the new account balance
-                        accountResults[0].balance = transferAmount.toString(10); //update database query object
-                        accountResults[0].updated = MySQLDateTime(new Date());
-                        var saved = await namespace.cp.saveAccount(accountResults[0]); //save to database
-                        if (saved == false) {
-                           sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Couldn't save account information.", sessionObj);
-                           return(false);
-                        }
-                     } else {
-                        //update updated date/time
-                        resultObj.confirmed = false;
-                        accountResults[0].updated = MySQLDateTime(new Date());
-                        var updated = await namespace.cp.updateAccount(accountResults[0]); //use search result since it contains primary_key (required)
-                        if (updated == false) {
-                           sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Couldn't update account information.", sessionObj);
-                           return(false);
-                        }
+               if (depositsResult.account != null) {
+                  resultObj.balance = depositsResult.account.balance;
+                  if (depositsResult.credited == null) {
+                     //update updated date/time
+                     depositsResult.account.updated = MySQLDateTime(new Date());
+                     var updated = await namespace.cp.updateAccount(depositsResult.account); //use search result since it contains primary_key (required)
+                     if (updated == false) {
+                        sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Couldn't update account information.", sessionObj);
+                        return(false);
                      }
-                  } catch (err) {
-                     console.error(err);
-                     sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Live balance unavailable. Try again later.", sessionObj);
                   }
-               } else {
-                  //within time limit for checking live balance (not allowed)
-                  resultObj.address = searchObj.address;
-                  resultObj.type = searchObj.type;
-                  resultObj.network = searchObj.network;
-                  resultObj.balance = accountResults[0].balance;
-                  resultObj.confirmed = false;
                }
-            } else {
-               //latest balance already confirmed, just return it
-               resultObj.address = searchObj.address;
-               resultObj.type = searchObj.type;
-               resultObj.network = searchObj.network;
-               resultObj.balance = accountResults[0].balance;
-               resultObj.confirmed = true;
+            }
+            //deposits are credited only once they reach the required number of confirmations
+            resultObj.deposits = pendingDeposits(watchObj);
+            resultObj.confirmed = (resultObj.deposits.length == 0);
+            if (watchObj.forwardError != null) {
+               resultObj.depositError = watchObj.forwardError;
             }
             break;
          case "cashout":
@@ -319,6 +269,9 @@ async function CP_Account (sessionObj) {
                         sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Couldn't save account information.", sessionObj, {"txHash":txResult.tx.hash});
                         return(false);
                      }
+                     var balanceBeforeFees = availableAmount.minus(cashoutAmount);
+                     await addLedgerEntry(accountResults[0], "cashout", cashoutAmount.negate(), balanceBeforeFees, txResult.tx.hash, "Cash out to "+requestParams.toAddress);
+                     await addLedgerEntry(accountResults[0], "fee", fees.negate(), newBalance, txResult.tx.hash, "Miner fee");
                      resultObj.txHash = txResult.tx.hash;
                      resultObj.toAddress = requestParams.toAddress;
                      resultObj.amount = cashoutAmount.toString(10);
@@ -423,12 +376,64 @@ async function CP_Account (sessionObj) {
                sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Couldn't save account information.", sessionObj);
                return(false);
             }
+            await addLedgerEntry(sourceAccountRes[0], "transfer", transferAmount.negate(), sourceBalance, targetAccountRes[0].address, "Transfer to account");
+            await addLedgerEntry(targetAccountRes[0], "transfer", transferAmount, targetBalance, sourceAccountRes[0].address, "Transfer from account");
             resultObj.address = requestParams.address;
             resultObj.type = requestParams.type;
             resultObj.network = requestParams.network;
             resultObj.balance = sourceBalance.toString(10);
             resultObj.confirmed = true;
             break;
+         case "history":
+            //retrieve a paginated statement of the account's ledger, newest entries first
+            var searchObj = new Object();
+            searchObj.address = requestParams.address;
+            searchObj.type = requestParams.type;
+            searchObj.network = requestParams.network;
+            try {
+               accountResults = await namespace.cp.getAccount(searchObj);
+            } catch (err) {
+               console.dir(err);
+               sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Database error.", sessionObj);
+               return (false);
+            }
+            if (accountResults.length < 1) {
+               sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Account does not exist.", sessionObj);
+               return (false);
+            }
+            if (checkPassword(requestParams.password, accountResults[0].pwhash) == false) {
+               sendError(JSONRPC_ERRORS.AUTH_FAILED, "Authentication failed.", sessionObj);
+               return (false);
+            }
+            var pageSize = Math.floor(Number(requestParams.pageSize));
+            if (isNaN(pageSize) || (pageSize < 1)) {
+               pageSize = 20;
+            }
+            if (pageSize > 100) {
+               pageSize = 100;
+            }
+            var page = Math.floor(Number(requestParams.page));
+            if (isNaN(page) || (page < 1)) {
+               page = 1;
+            }
+            try {
+               var ledger = await namespace.cp.getLedger(searchObj, (page - 1) * pageSize, pageSize);
+            } catch (err) {
+               console.error(err);
+               sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Database error.", sessionObj);
+               return (false);
+            }
+            resultObj.address = searchObj.address;
+            resultObj.type = searchObj.type;
+            resultObj.network = searchObj.network;
+            resultObj.balance = accountResults[0].balance;
+            resultObj.statement = new Object();
+            resultObj.statement.page = page;
+            resultObj.statement.pageSize = pageSize;
+            resultObj.statement.totalEntries = ledger.total;
+            resultObj.statement.totalPages = Math.max(1, Math.ceil(ledger.total / pageSize));
+            resultObj.statement.entries = ledger.entries;
+            break;
          default:
             sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Unrecognized action.", sessionObj);
             return(false);
@@ -463,6 +468,25 @@ async function CP_Account (sessionObj) {
 * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/toISOString
 */
 
+/**
+* An entry in an account's append-only transaction ledger, recording a single change to
+* the account's balance.
+*
+* @typedef {Object} LedgerEntryObject
+* @property {String} address The address of the account that the entry belongs to.
+* @property {String} type The cryptocurrency type of the account.
+* @property {String} network The cryptocurrency sub-network of the account.
+* @property {String} entryType The reason for the balance change. Valid values are "deposit",
+* "buyin", "payout", "penalty", "rake", "transfer", "cashout", and "fee".
+* @property {String} amount The signed amount by which the balance changed, in the smallest
+* denomination of the associated cryptocurrency (negative amounts are withdrawals).
+* @property {String} balance The account balance after the change.
+* @property {String} reference An identifier associated with the change such as a contract ID,
+* tournament ID, transaction hash, or the other account in a transfer. May be an empty string.
+* @property {String} memo A short description of the change. May be an empty string.
+* @property {String} created The MySQL-compatible date/time that the entry was created.
+*/
+
 /**
 * Generates a MySQL-compatible date/timestamp.
 *
@@ -644,6 +668,112 @@ async function updateAccount(accountObj) {
    return (true);
 }
 
+/**
+* Appends an entry to an account's transaction ledger. Ledger entries are never updated or
+* removed. A failure to store the entry is logged rather than thrown so callers must check the
+* result where the entry is required, such as for credited deposits (see {@link recordForward}).
+*
+* @param {AccountObject} accountObj The account whose balance changed.
+* @param {String} entryType The reason for the balance change (see {@link LedgerEntryObject}).
+* @param {String|Number|BigInteger} amount The signed amount by which the balance changed.
+* @param {String|Number|BigInteger} balance The account balance after the change.
+* @param {String} [reference=""] An identifier associated with the change, such as a
+* contract ID or transaction hash.
+* @param {String} [memo=""] A short description of the change.
+*
+* @return {Promise} Resolves with <code>true</code> if the entry was stored, <code>false</code> otherwise.
+* @async
+*/
+async function addLedgerEntry(accountObj, entryType, amount, balance, reference="", memo="") {
+   var validTypes = ["deposit", "buyin", "payout", "penalty", "rake", "transfer", "cashout", "fee"];
+   if (validTypes.indexOf(entryType) < 0) {
+      console.error("Unrecognized ledger entry type \""+entryType+"\" for account "+accountObj.address);
+      return (false);
+   }
+   var entryObj = new Object();
+   entryObj.address = accountObj.address;
+   entryObj.type = accountObj.type;
+   entryObj.network = accountObj.network;
+   entryObj.entryType = entryType;
+   entryObj.amount = bigInt(amount).toString(10);
+   entryObj.balance = bigInt(balance).toString(10);
+   if ((reference == undefined) || (reference == null)) {
+      reference = "";
+   }
+   if ((memo == undefined) || (memo == null)) {
+      memo = "";
+   }
+   entryObj.reference = String(reference);
+   entryObj.memo = String(memo);
+   entryObj.created = MySQLDateTime(new Date());
+   if (config.CP.API.database.enabled == true) {
+      try {
+         var result = await callAccountDatabase("putledger", entryObj);
+      } catch (err) {
+         result = new Object();
+         result.error = err;
+      }
+      if (result.error != undefined) {
+         console.error("Couldn't store ledger entry: "+JSON.stringify(entryObj));
+         console.error(result.error);
+         return (false);
+      }
+   } else {
+      //use in-memory array database
+      if (namespace.cp.ledger == undefined) {
+         namespace.cp.ledger = new Array();
+      }
+      namespace.cp.ledger.push(entryObj);
+   }
+   return (true);
+}
+
+/**
+* Retrieves a page of an account's transaction ledger.
+*
+* @param {Object} searchObj The <code>address</code>, <code>type</code>, and <code>network</code>
+* of the account.
+* @param {Number} [offset=0] The number of newest entries to skip.
+* @param {Number} [limit=20] The maximum number of entries to return.
+*
+* @return {Promise} Resolves with an object containing the <code>entries</code> array of
+* {@link LedgerEntryObject} instances, newest first, and the <code>total</code> number
+* of entries for the account. A rejected promise contains an <code>Error</code> object.
+* @async
+*/
+async function getLedger(searchObj, offset=0, limit=20) {
+   if (config.CP.API.database.enabled == true) {
+      var requestObj = new Object();
+      requestObj.address = searchObj.address;
+      requestObj.type = searchObj.type;
+      requestObj.network = searchObj.network;
+      requestObj.offset = offset;
+      requestObj.limit = limit;
+      var result = await callAccountDatabase("getledger", requestObj);
+      if (result.error != undefined) {
+         throw (new Error(result.error.message));
+      }
+      return (result.result);
+   }
+   //use in-memory data instead
+   var ledgerObj = new Object();
+   ledgerObj.entries = new Array();
+   ledgerObj.total = 0;
+   if (namespace.cp.ledger == undefined) {
+      return (ledgerObj);
+   }
+   for (var count = (namespace.cp.ledger.length - 1); count >= 0; count--) {
+      var entryObj = namespace.cp.ledger[count];
+      if ((entryObj.address == searchObj.address) && (entryObj.type == searchObj.type) && (entryObj.network == searchObj.network)) {
+         if ((ledgerObj.total >= offset) && (ledgerObj.entries.length < limit)) {
+            ledgerObj.entries.push(entryObj);
+         }
+         ledgerObj.total++;
+      }
+   }
+   return (ledgerObj);
+}
+
 /**
 * Calls the an account database interface with a method, message, and optional HMAC
 * signature.
@@ -831,14 +961,16 @@ function removePendingCashout(fromAccount, type, network) {
 * transaction (closer to or equal to 0), is expected to be posted faster than a lower priority one (> 0).
 * This paramater is dependent on the <code>APIType</code> and possibly the <code>network</code> type.<br/>
 * When <code>APIType</code> is "bitcoin", a priority of 0 is the highest priority (to be included in the next 1-2 blocks),
-* a priority of 1 is a medium priority (3 to 6 blocks), and 2 is a low priority (> 6 blocks).
+* a priority of 1 is a medium priority (3 to 6 blocks), and 2 is a low priority (> 6 blocks).<br/>
+* When <code>APIType</code> is "litecoin", a priority of 0 is the highest priority (next block), 1 is a medium
+* priority (about 30 minutes), and 2 is a low priority (about an hour).
 * @param {String} [APIType="bitcoin"] The main cryptocurrency API type.
 * @param {String} [network=null] The cryptocurrency sub-network, if applicable, for the
-* transaction. Current <code>network</code> types include: "main" and "test3". If <code>null</code>,
+* transaction. Current <code>network</code> types include: "main", "test3" (Bitcoin), and "test" (Litecoin). If <code>null</code>,
 * the default network specified in <code>config.CP.API[APIType].default.network</code> is used.
 *
 * @return {String} The estimated transaction fee, as a numeric string in the lowest denomination of the associated
-* cryptocurrency (e.g. satoshis if <code>APIType="bitcoin"</code>), based on the supplied <code>txData</code>,
+* cryptocurrency (e.g. satoshis if <code>APIType="bitcoin"</code> or litoshis if <code>APIType="litecoin"</code>), based on the supplied <code>txData</code>,
 * <code>priority</code>, <code>APIType</code>, and <code>network</code>. If any parameter is invalid or unrecognized,
 * <code>null</code> is returned.
 * @async
@@ -853,6 +985,15 @@ async function estimateTxFee (txData=null, priority=1, APIType="bitcoin", networ
             }
             //TODO: complete this!
             break;
+         case "litecoin":
+            //fee rates are maintained by the handler (see updateAllTxFees)
+            var ccHandler = getHandler("cryptocurrency", APIType);
+            if (ccHandler == null) {
+               return (null);
+            }
+            var estimate = await ccHandler.estimateTxFee(txData, priority, APIType, network);
+            return (estimate);
+            break;
          default:
             return (null);
             break;
@@ -876,7 +1017,28 @@ async function estimateTxFee (txData=null, priority=1, APIType="bitcoin", networ
 * @async
 */
 async function updateAllTxFees(startAutoUpdate=true, sequential=true) {
-   var APIType = "bitcoin"; //currently only bitcoin is updated
+   var APITypes = ["bitcoin", "litecoin"]; //bitcoincash handlers don't currently update fees
+   for (var count = 0; count < APITypes.length; count++) {
+      if (config.CP.API[APITypes[count]] == undefined) {
+         //not configured
+         continue;
+      }
+      await updateTxFeesFor(APITypes[count], startAutoUpdate, sequential);
+   }
+}
+
+/**
+* Updates the internal transaction fees for all sub-networks of a single cryptocurrency
+* defined in the global <code>config</code> object.
+*
+* @param {String} APIType The main cryptocurrency API type for which to update fees.
+* @param {Boolean} startAutoUpdate See {@link updateAllTxFees}.
+* @param {Boolean} sequential See {@link updateAllTxFees}.
+*
+* @async
+* @private
+*/
+async function updateTxFeesFor(APIType, startAutoUpdate, sequential) {
    var btcAPI = config.CP.API[APIType];
    var btcNetworks = btcAPI.networks;
    for (var networkName in btcNetworks) {
@@ -944,6 +1106,532 @@ async function updateAllTxFees(startAutoUpdate=true, sequential=true) {
    }
 }
 
+/**
+* Adds an account to the deposit watch list (<code>namespace.cp.depositWatch</code>), so that
+* its deposit address is periodically checked for new deposits by the deposit watcher.
+*
+* @param {AccountObject} accountObj The account to watch.
+* @param {String} [privateID=null] The private ID of a session to notify of deposit updates
+* for the account.
+*
+* @return {Object} The deposit watch object for the account.
+*/
+function watchDeposits(accountObj, privateID=null) {
+   if (namespace.cp.depositWatch == undefined) {
+      namespace.cp.depositWatch = new Object();
+   }
+   var watchID = accountObj.type + "/" + accountObj.network + "/" + accountObj.address;
+   var watchObj = namespace.cp.depositWatch[watchID];
+   if (watchObj == undefined) {
+      watchObj = new Object();
+      watchObj.address = accountObj.address;
+      watchObj.type = accountObj.type;
+      watchObj.network = accountObj.network;
+      watchObj.privateIDs = new Array(); //sessions to notify of updates
+      watchObj.pending = new Object(); //deposits awaiting confirmations, keyed by "txid:vout"
+      watchObj.credited = new Object(); //deposits already credited, keyed by "txid:vout"
+      watchObj.forwarded = new Array(); //hashes of transactions forwarding deposits to the cashout wallet
+      watchObj.unrecorded = new Object(); //forwarded deposits and fees not yet stored in the ledger, keyed by transaction hash
+      watchObj.historyLoaded = false; //credited and forwarded deposits are restored from the ledger on the first check
+      watchObj.forwardError = null; //the most recent failure to forward confirmed deposits, if any
+      watchObj.checking = null; //promise of the check currently in progress
+      namespace.cp.depositWatch[watchID] = watchObj;
+   }
+   if ((privateID != null) && (watchObj.privateIDs.indexOf(privateID) < 0)) {
+      watchObj.privateIDs.push(privateID);
+   }
+   return (watchObj);
+}
+
+/**
+* Adds all accounts of a specific cryptocurrency and sub-network stored in the database to the
+* deposit watch list so that deposits are detected even when no session is watching the account.
+*
+* @param {String} APIType The cryptocurrency type of the accounts (e.g. "bitcoin").
+* @param {String} network The cryptocurrency sub-network of the accounts (e.g. "main" or "test3").
+*
+* @return {Promise} Resolves with the number of accounts being watched for the cryptocurrency and
+* sub-network. A rejected promise contains an <code>Error</code> object.
+* @async
+* @private
+*/
+async function loadDepositWatches(APIType, network) {
+   var addresses = new Array();
+   if (config.CP.API.database.enabled == true) {
+      var requestObj = new Object();
+      requestObj.type = APIType;
+      requestObj.network = network;
+      var result = await callAccountDatabase("getaddresses", requestObj);
+      if (result.error != undefined) {
+         throw (new Error("Couldn't load "+APIType+"/"+network+" accounts for deposit watching: "+result.error.message));
+      }
+      addresses = result.result;
+   } else if (namespace.cp.accounts != undefined) {
+      //use in-memory data instead
+      for (var count=0; count < namespace.cp.accounts.length; count++) {
+         var currentAccount = namespace.cp.accounts[count];
+         if ((currentAccount.type == APIType) && (currentAccount.network == network) && (addresses.indexOf(currentAccount.address) < 0)) {
+            addresses.push(currentAccount.address);
+         }
+      }
+   }
+   for (count=0; count < addresses.length; count++) {
+      var accountObj = new Object();
+      accountObj.address = addresses[count];
+      accountObj.type = APIType;
+      accountObj.network = network;
+      watchDeposits(accountObj);
+   }
+   console.log ("Watching "+addresses.length+" existing "+APIType+"/"+network+" account(s) for deposits.");
+   return (addresses.length);
+}
+
+/**
+* Restores the credited deposits and forwarding transactions of a watched account from its
+* ledger. Each credited deposit is recorded as a "deposit" entry referencing the deposit
+* ("txid:vout"), and each forwarding transaction as a "fee" entry referencing its hash, so
+* deposits are never credited twice even if the server is restarted.
+*
+* @param {Object} watchObj The deposit watch object returned by {@link watchDeposits}.
+*
+* @return {Promise} Resolves when the ledger has been read. A rejected promise contains an
+* <code>Error</code> object.
+* @async
+* @private
+*/
+async function loadDepositHistory(watchObj) {
+   var searchObj = new Object();
+   searchObj.address = watchObj.address;
+   searchObj.type = watchObj.type;
+   searchObj.network = watchObj.network;
+   var offset = 0;
+   var pageSize = 100;
+   do {
+      var ledgerObj = await getLedger(searchObj, offset, pageSize);
+      for (var count=0; count < ledgerObj.entries.length; count++) {
+         var entryObj = ledgerObj.entries[count];
+         if ((entryObj.reference == undefined) || (entryObj.reference == null) || (entryObj.reference == "")) {
+            continue;
+         }
+         if (entryObj.entryType == "deposit") {
+            //older entries reference only the transaction ID
+            watchObj.credited[entryObj.reference] = true;
+         } else if ((entryObj.entryType == "fee") && (watchObj.forwarded.indexOf(entryObj.reference) < 0)) {
+            watchObj.forwarded.push(entryObj.reference);
+         }
+      }
+      offset += ledgerObj.entries.length;
+   } while ((ledgerObj.entries.length > 0) && (offset < ledgerObj.total));
+   watchObj.historyLoaded = true;
+}
+
+/**
+* Checks if a deposit has already been credited to a watched account.
+*
+* @param {Object} watchObj The deposit watch object returned by {@link watchDeposits}.
+* @param {Object} deposit The deposit to check, as returned by the cryptocurrency handler's
+* <code>getAddressDeposits</code> function.
+*
+* @return {Boolean} True if the deposit, or the transaction that contains it, has been credited.
+* @private
+*/
+function isCredited(watchObj, deposit) {
+   var depositID = deposit.txid + ":" + String(deposit.vout);
+   return ((watchObj.credited[depositID] != undefined) || (watchObj.credited[deposit.txid] != undefined));
+}
+
+/**
+* Checks if a deposit has been forwarded to the cashout wallet but not yet credited to a
+* watched account because its ledger entry couldn't be stored (see {@link recordForward}).
+*
+* @param {Object} watchObj The deposit watch object returned by {@link watchDeposits}.
+* @param {Object} deposit The deposit to check, as returned by the cryptocurrency handler's
+* <code>getAddressDeposits</code> function.
+*
+* @return {Boolean} True if the deposit has been forwarded and is awaiting its ledger entry.
+* @private
+*/
+function isUnrecorded(watchObj, deposit) {
+   for (var txHash in watchObj.unrecorded) {
+      var deposits = watchObj.unrecorded[txHash].deposits;
+      for (var count=0; count < deposits.length; count++) {
+         if ((deposits[count].txid == deposit.txid) && (deposits[count].vout == deposit.vout)) {
+            return (true);
+         }
+      }
+   }
+   return (false);
+}
+
+/**
+* Credits the deposits forwarded to the cashout wallet by a transaction to a watched account,
+* minus the transaction's miner and deposit fees. The ledger entry of each deposit is what
+* marks it as credited (see {@link loadDepositHistory}), so a deposit is only added to the
+* account's balance once its entry has been stored; deposits whose entries couldn't be stored
+* remain in the watch object's <code>unrecorded</code> list and are retried on the next check.
+* The fees are recorded once all of the transaction's deposits have been.
+*
+* @param {Object} watchObj The deposit watch object returned by {@link watchDeposits}.
+* @param {String} txHash The hash of the forwarding transaction in the watch object's
+* <code>unrecorded</code> list.
+*
+* @return {Promise} Resolves with an object containing the credited <code>amount</code> (net of
+* fees), the <code>fees</code> deducted, the credited <code>deposits</code>, and the forwarding
+* <code>txHash</code>, or <code>null</code> if no deposits were credited. A rejected promise contains
+* an <code>Error</code> object.
+* @async
+* @private
+*/
+async function recordForward(watchObj, txHash) {
+   var forwardObj = watchObj.unrecorded[txHash];
+   var searchObj = new Object();
+   searchObj.address = watchObj.address;
+   searchObj.type = watchObj.type;
+   searchObj.network = watchObj.network;
+   var accountResults = await getAccount(searchObj);
+   if (accountResults.length < 1) {
+      return (null);
+   }
+   var accountObj = accountResults[0];
+   var previousBalance = bigInt(0);
+   if ((accountObj.balance != "NULL") && (accountObj.balance != "") && (accountObj.balance != null)) {
+      previousBalance = bigInt(accountObj.balance);
+   }
+   var balance = previousBalance;
+   var creditedDeposits = new Array();
+   var unrecordedDeposits = new Array();
+   //each deposit and the combined fees are recorded separately; the references are used to restore the credited deposits
+   for (var count=0; count < forwardObj.deposits.length; count++) {
+      var deposit = forwardObj.deposits[count];
+      var depositAmount = bigInt(deposit.amount);
+      var depositID = deposit.txid + ":" + String(deposit.vout);
+      var added = await addLedgerEntry(accountObj, "deposit", depositAmount, balance.plus(depositAmount), depositID, "Confirmed deposit ("+deposit.confirmations+" confirmations)");
+      if (added == true) {
+         balance = balance.plus(depositAmount);
+         watchObj.credited[depositID] = txHash;
+         creditedDeposits.push(deposit);
+      } else {
+         console.error ("*WARNING* Deposit "+depositID+" to "+watchObj.address+" couldn't be recorded and won't be credited until it is. Retrying.");
+         unrecordedDeposits.push(deposit);
+      }
+   }
+   forwardObj.deposits = unrecordedDeposits;
+   var fees = bigInt(0);
+   if ((forwardObj.deposits.length == 0) && (forwardObj.fees != null)) {
+      added = await addLedgerEntry(accountObj, "fee", bigInt(forwardObj.fees).negate(), balance.minus(bigInt(forwardObj.fees)), txHash, "Miner and deposit fees");
+      if (added == true) {
+         fees = bigInt(forwardObj.fees);
+         balance = balance.minus(fees);
+         forwardObj.fees = null;
+      } else {
+         console.error ("*WARNING* Fees for transaction "+txHash+" from "+watchObj.address+" couldn't be recorded and won't be deducted until they are. Retrying.");
+      }
+   }
+   if ((forwardObj.deposits.length == 0) && (forwardObj.fees == null)) {
+      delete watchObj.unrecorded[txHash];
+   }
+   if ((creditedDeposits.length == 0) && fees.equals(0)) {
+      return (null);
+   }
+   accountObj.balance = balance.toString(10);
+   accountObj.updated = MySQLDateTime(new Date());
+   try {
+      var saved = await saveAccount(accountObj);
+   } catch (err) {
+      saved = false;
+   }
+   if (saved == false) {
+      console.error ("*WARNING* Recorded deposits to "+watchObj.address+" couldn't be added to the account balance of "+previousBalance.toString(10)+".");
+      throw (new Error("Couldn't save account information."));
+   }
+   if (creditedDeposits.length == 0) {
+      //only the fees were deducted
+      return (null);
+   }
+   var creditedObj = new Object();
+   creditedObj.amount = balance.minus(previousBalance).toString(10);
+   creditedObj.fees = fees.toString(10);
+   creditedObj.deposits = creditedDeposits;
+   creditedObj.txHash = txHash;
+   return (creditedObj);
+}
+
+/**
+* Returns the deposits of a watched account that are awaiting confirmations.
+*
+* @param {Object} watchObj The deposit watch object returned by {@link watchDeposits}.
+*
+* @return {Array} Indexed list of pending deposits, each containing the <code>txid</code>,
+* <code>vout</code>, <code>amount</code>, current <code>confirmations</code>, and <code>required</code>
+* confirmations of the deposit.
+*/
+function pendingDeposits(watchObj) {
+   var returnArr = new Array();
+   for (var depositID in watchObj.pending) {
+      returnArr.push(watchObj.pending[depositID]);
+   }
+   return (returnArr);
+}
+
+/**
+* Checks a watched account's deposit address for new deposits and tracks their confirmations.
+* Once all of the account's pending deposits have reached the number of confirmations set in
+* <code>config.CP.API[type].default[network].depositConfirmations</code>, they're forwarded to
+* the cashout wallet and credited to the account, minus the miner and deposit fees. Sessions
+* watching the account are sent an "accountupdate" message whenever its deposits change.<br/>
+* Only one check per account runs at a time; concurrent calls share the result of the check in progress.
+*
+* @param {Object} watchObj The deposit watch object returned by {@link watchDeposits}.
+*
+* @return {Promise} The resolved promise contains an object with the latest <code>account</code> ({@link AccountObject}
+* or <code>null</code> if the account doesn't exist), and the <code>credited</code> deposits (<code>null</code>
+* if nothing was credited). A rejected promise contains an <code>Error</code> object.
+* @async
+*/
+async function checkDeposits(watchObj) {
+   if (watchObj.checking != null) {
+      return (await watchObj.checking);
+   }
+   watchObj.checking = processDeposits(watchObj);
+   try {
+      var result = await watchObj.checking;
+   } finally {
+      watchObj.checking = null;
+   }
+   return (result);
+}
+
+/**
+* Retrieves, tracks, and (when sufficiently confirmed), credits the deposits of a watched account.
+* Use {@link checkDeposits} instead of calling this function directly.
+*
+* @param {Object} watchObj The deposit watch object returned by {@link watchDeposits}.
+*
+* @return {Promise} Resolves with the same object as {@link checkDeposits}.
+* @async
+* @private
+*/
+async function processDeposits(watchObj) {
+   var resultObj = new Object();
+   resultObj.account = null;
+   resultObj.credited = null;
+   var ccHandler = getHandler("cryptocurrency", watchObj.type);
+   if (ccHandler == null) {
+      throw (new Error(`Currency ${watchObj.type} has no registered handler.`));
+   }
+   var networkConfig = config.CP.API[watchObj.type].default[watchObj.network];
+   var requiredConfirmations = Number(networkConfig.depositConfirmations);
+   if (isNaN(requiredConfirmations) || (requiredConfirmations < 1)) {
+      //unconfirmed deposits are never credited
+      requiredConfirmations = 1;
+   }
+   if (watchObj.historyLoaded == false) {
+      await loadDepositHistory(watchObj);
+   }
+   var changed = false;
+   for (var txHash in watchObj.unrecorded) {
+      //forwarded deposits are credited once their ledger entries are stored
+      var creditedObj = await recordForward(watchObj, txHash);
+      if (creditedObj != null) {
+         resultObj.credited = creditedObj;
+         changed = true;
+      }
+   }
+   var deposits = await ccHandler.getAddressDeposits(watchObj.address, watchObj.type, watchObj.network);
+   var pending = new Object();
+   var confirmed = true;
+   var total = bigInt(0);
+   for (var count=0; count < deposits.length; count++) {
+      var deposit = deposits[count];
+      var depositID = deposit.txid + ":" + String(deposit.vout);
+      if ((deposit.amount == "0") || (watchObj.forwarded.indexOf(deposit.txid) > -1) || isCredited(watchObj, deposit) || isUnrecorded(watchObj, deposit)) {
+         //empty change output, already credited, or already forwarded
+         continue;
+      }
+      deposit.required = requiredConfirmations;
+      if ((watchObj.pending[depositID] == undefined) || (watchObj.pending[depositID].confirmations != deposit.confirmations)) {
+         changed = true;
+      }
+      if (deposit.confirmations < requiredConfirmations) {
+         confirmed = false;
+      }
+      total = total.plus(bigInt(deposit.amount));
+      pending[depositID] = deposit;
+   }
+   for (depositID in watchObj.pending) {
+      if (pending[depositID] == undefined) {
+         //deposit disappeared (e.g. double-spent or re-organized)
+         changed = true;
+      }
+   }
+   watchObj.pending = pending;
+   var searchObj = new Object();
+   searchObj.address = watchObj.address;
+   searchObj.type = watchObj.type;
+   searchObj.network = watchObj.network;
+   var accountResults = await getAccount(searchObj);
+   if (accountResults.length < 1) {
+      return (resultObj);
+   }
+   resultObj.account = accountResults[0];
+   var minerFee = bigInt(networkConfig.minerFee);
+   var depositFee = bigInt(networkConfig.depositFee);
+   //wait until all pending deposits are confirmed so that none are spent by the forwarding transaction before being credited
+   if ((confirmed == true) && (total.greater(minerFee.plus(depositFee)))) {
+      //make sure that none of the deposits were credited since the ledger was last read
+      await loadDepositHistory(watchObj);
+      var alreadyCredited = false;
+      for (depositID in watchObj.pending) {
+         if (isCredited(watchObj, watchObj.pending[depositID])) {
+            console.error ("*WARNING* Deposit "+depositID+" to "+watchObj.address+" has already been credited.");
+            delete watchObj.pending[depositID];
+            alreadyCredited = true;
+         }
+      }
+      if (alreadyCredited == true) {
+         //remaining deposits are re-evaluated on the next check
+         return (resultObj);
+      }
+      var fromAddressPath = "m/" + String(resultObj.account.chain) + "/" + String(resultObj.account.addressIndex);
+      var cashoutAddress = ccHandler.getDerivedWallet(networkConfig.cashOutAddrPath, watchObj.network, true);
+      var transferAmount = total.minus(minerFee);
+      try {
+         var txResult = await ccHandler.sendTransaction(fromAddressPath, cashoutAddress, transferAmount, minerFee, watchObj.type, watchObj.network);
+      } catch (err) {
+         txResult = null;
+         var forwardError = err;
+      }
+      if ((txResult == null) || (txResult.tx == undefined) || (txResult.tx == null) ||
+         (txResult.tx.hash == undefined) || (txResult.tx.hash == null) || (txResult.tx.hash == "")) {
+         //deposits remain pending and are forwarded again on the next check
+         if (forwardError == undefined) {
+            forwardError = new Error("Unexpected transaction result: "+JSON.stringify(txResult));
+         }
+         watchObj.forwardError = "Confirmed deposits couldn't be forwarded and will be credited once they are. Retrying.";
+         console.error ("Couldn't forward deposits to "+watchObj.address+" ("+watchObj.type+"/"+watchObj.network+"): "+forwardError.message);
+         resultObj.error = watchObj.forwardError;
+         var messageObj = buildCPMessage("accountupdate");
+         messageObj.address = resultObj.account.address;
+         messageObj.type = resultObj.account.type;
+         messageObj.network = resultObj.account.network;
+         messageObj.balance = String(resultObj.account.balance);
+         messageObj.deposits = pendingDeposits(watchObj);
+         messageObj.error = watchObj.forwardError;
+         namespace.wss.sendUpdate(watchObj.privateIDs, messageObj);
+         return (resultObj);
+      }
+      watchObj.forwardError = null;
+      var depositTxHash = txResult.tx.hash;
+      watchObj.forwarded.push(depositTxHash);
+      var forwardObj = new Object();
+      forwardObj.deposits = pendingDeposits(watchObj);
+      forwardObj.fees = minerFee.plus(depositFee).toString(10);
+      watchObj.unrecorded[depositTxHash] = forwardObj;
+      watchObj.pending = new Object();
+      //balance may have changed while the transaction was being sent
+      resultObj.credited = await recordForward(watchObj, depositTxHash);
+      accountResults = await getAccount(searchObj);
+      resultObj.account = accountResults[0];
+      changed = true;
+   }
+   if (changed == true) {
+      var messageObj = buildCPMessage("accountupdate");
+      messageObj.address = resultObj.account.address;
+      messageObj.type = resultObj.account.type;
+      messageObj.network = resultObj.account.network;
+      messageObj.balance = String(resultObj.account.balance);
+      messageObj.deposits = pendingDeposits(watchObj);
+      if (resultObj.credited != null) {
+         messageObj.credited = resultObj.credited;
+      }
+      namespace.wss.sendUpdate(watchObj.privateIDs, messageObj);
+   }
+   return (resultObj);
+}
+
+/**
+* Checks all watched accounts of a specific cryptocurrency and sub-network for deposits. Sessions
+* that are no longer connected are removed from the accounts' notification lists but the accounts
+* themselves are always watched.
+*
+* @param {String} APIType The cryptocurrency type to check (e.g. "bitcoin").
+* @param {String} network The cryptocurrency sub-network to check (e.g. "main" or "test3").
+*
+* @async
+* @private
+*/
+async function checkAllDeposits(APIType, network) {
+   if (namespace.cp.depositWatch == undefined) {
+      return;
+   }
+   for (var watchID in namespace.cp.depositWatch) {
+      var watchObj = namespace.cp.depositWatch[watchID];
+      if ((watchObj.type != APIType) || (watchObj.network != network)) {
+         continue;
+      }
+      for (var count = (watchObj.privateIDs.length - 1); count >= 0; count--) {
+         var connectionObj = namespace.wss.getConnectionByPID(watchObj.privateIDs[count]);
+         if ((connectionObj == null) || (connectionObj.socket == null)) {
+            watchObj.privateIDs.splice(count, 1);
+         }
+      }
+      try {
+         await checkDeposits(watchObj);
+      } catch (err) {
+         console.error ("Couldn't check deposits for \""+watchID+"\": "+err.message);
+      }
+   }
+}
+
+/**
+* Starts the deposit watcher for all cryptocurrencies and sub-networks defined in the global
+* <code>config</code> object. All existing accounts are added to the watch list and each watcher
+* independently checks the watched accounts of its cryptocurrency and sub-network every
+* <code>depositWatchSeconds</code> unless <code>depositWatchEnabled</code> is false.
+*/
+function startDepositWatcher() {
+   for (var APIType in config.CP.API) {
+      var API = config.CP.API[APIType];
+      if ((API.networks == undefined) || (API.default == undefined)) {
+         //not a cryptocurrency
+         continue;
+      }
+      if (getHandler("cryptocurrency", APIType) == null) {
+         console.error(`Currency ${APIType} has no registered handler.`);
+         continue;
+      }
+      for (var networkName in API.networks) {
+         var network = API.networks[networkName];
+         var networkConfig = API.default[network];
+         if (networkConfig.depositWatchEnabled == false) {
+            console.log ("Deposit watching for \""+APIType+"/"+network+"\" disabled.");
+            continue;
+         }
+         if ((networkConfig.depositWatchTimeout != undefined) && (networkConfig.depositWatchTimeout != null)) {
+            //already started
+            continue;
+         }
+         if (networkConfig.depositWatchSeconds < 30) {
+            console.warn ("*WARNING* A deposit watch interval of at least 30 seconds is advised in order to deal with possible network latency.");
+         }
+         loadDepositWatches(APIType, network).then(numAccounts => {
+            //existing accounts added to watch list
+         }).catch(err => {
+            console.error (err.message);
+         });
+         var watchSeconds = networkConfig.depositWatchSeconds;
+         console.log("Checking "+APIType+"/"+network+" deposits every "+watchSeconds+" seconds.");
+         networkConfig.depositWatchTimeout = setInterval((APIType, network) => {
+            checkAllDeposits(APIType, network).then(result => {
+               //checked
+            }).catch(err => {
+               console.error (err);
+            })
+         }, watchSeconds * 1000, APIType, network);
+      }
+   }
+}
+
 /**
 * Builds a valid CypherPoker.JS message object (usually included as the
 * <code>data</code> property of a JSON-RPC 2.0 result object).
@@ -966,12 +1654,17 @@ if (namespace.cp == undefined) {
 namespace.cp.getAccount = getAccount;
 namespace.cp.saveAccount = saveAccount;
 namespace.cp.updateAccount = updateAccount;
+namespace.cp.addLedgerEntry = addLedgerEntry;
+namespace.cp.getLedger = getLedger;
 namespace.cp.checkPassword = checkPassword;
 namespace.cp.callAccountDatabase = callAccountDatabase;
 namespace.cp.cashoutIsPending = cashoutIsPending;
 namespace.cp.MySQLDateTime = MySQLDateTime;
 namespace.cp.buildCPMessage = buildCPMessage;
 namespace.cp.updateAllTxFees = updateAllTxFees;
+namespace.cp.watchDeposits = watchDeposits;
+namespace.cp.checkDeposits = checkDeposits;
+namespace.cp.startDepositWatcher = startDepositWatcher;
 if (namespace.cp.wallets == undefined) {
    namespace.cp.wallets = new Object();
 }
@@ -993,3 +1686,12 @@ if (namespace.cp.wallets.bitcoincash.main == undefined) {
 if (namespace.cp.wallets.bitcoincash.test == undefined) {
    namespace.cp.wallets.bitcoincash.test = null;
 }
+if (namespace.cp.wallets.litecoin == undefined) {
+   namespace.cp.wallets.litecoin = new Object();
+}
+if (namespace.cp.wallets.litecoin.main == undefined) {
+   namespace.cp.wallets.litecoin.main = null;
+}
+if (namespace.cp.wallets.litecoin.test == undefined) {
+   namespace.cp.wallets.litecoin.test = null;
+}
@@ -30,6 +30,21 @@
 * @property {Array} restorePID Copy of the original private IDs in the <code>requiredPID</code> array
 * used to restore it if members of the <code>joinePID</code> array leave the table.
 * @property {Object} tableInfo Additional information to be included with the table.
+* If <code>tableInfo.tournament</code> is included, the table is a sit-and-go tournament
+* table (see {@link validTournament}), and its <code>buyIn</code> is the tournament entry fee.
+* If <code>tableInfo.runTwice</code> is true, the remaining public cards may be dealt twice once
+* all remaining players are all-in (see {@link runTwiceAgreed}).
+* If <code>tableInfo.curve</code> is included (currently only "secp256k1"), cards are encrypted using
+* the elliptic curve cryptosystem instead of SRA (see {@link curveMultiply}).
+* If <code>tableInfo.shuffleProofs</code> is included, each encrypted deck must be stored with a
+* shuffle proof of that many rounds (see {@link verifyShuffleProof}), within the limits of the
+* server's shuffle proof policy (see {@link getShuffleProofPolicy}).
+* If <code>tableInfo.cryptoPolicy</code> is included, the SRA prime of each contract must satisfy
+* its <code>minBitLength</code>, <code>maxBitLength</code>, <code>radix</code>, and <code>safePrime</code> requirements
+* (see {@link getCryptoPolicy}).
+* Once a table is in play its seating is tracked by the contract host (see {@link getSeating}), so
+* <code>joinedPID</code> may include players that are sitting out and <code>requiredPID</code> may list
+* seats that have been vacated.
 */
 /**
 * A CypherPoker.JS proxy smart contract object.
@@ -40,6 +55,14 @@
 * @property {String} prime The root prime number value associated with the contract.
 * @property {String} pot="0" A numeric string representing the value currently held by the contract "pot"
 * (the total subtracted from players' initial balances), to be awarded to the hand's winner(s).
+* @property {Array} [pots] The main pot and any side pots, as generated by {@link createPots}, set once
+* the contract's winnings have been paid out. Each pot object includes its <code>amount</code>, <code>eligible</code>,
+* <code>winners</code>, and <code>awards</code> (per-winner amounts).
+* @property {Object} [bettingRound] The current round of betting, as returned by {@link getBettingRound}, used
+* to enforce the table's betting structure.
+* @property {Object} [tournament] A summary of the tournament that the contract (hand) is part of, as returned
+* by {@link getTournamentInfo}, if the table is a tournament table. The summary's <code>smallBlind</code> and
+* <code>bigBlind</code> are the blinds in effect for the hand.
 * @property {Object} cardDecks Contains the currently active card decks associated with the contract.
 * @property {Array} cardDecks.faceup Indexed array of card objects representing the faceup or unencrypted deck.
 * @property {Array} cardDecks.facedown Indexed array of strings representing the facedown or encrypted deck. This
@@ -49,6 +72,54 @@
 * @property {Array} cardDecks.public Indexed array of card objects representing the dealt public / community cards. This
 * array will change as cards are drawn during game play.
 * @property {Object} history Contains a history of card generation, encryption, and decryption operations for correctness analysis.
+* In a stud contract (see {@link isStud}), <code>history.reveals</code> contains the face-up card mappings revealed by each
+* player, indexed by private ID.
+* If the table allows the remaining public cards to be run twice, <code>history.runTwice</code> contains each player's
+* decision (true to run twice), indexed by private ID, and public card selections for each board include a <code>board</code> number.
+* Once the contract's pot(s) have been paid out, <code>history.rake</code> contains the rake report generated by {@link takeRake}.
+* <code>history.commitments</code> contains each player's keychain commitment (see {@link getKeychainCommitment}), indexed by
+* private ID, stored with their encrypted deck and verified when their keychain is revealed at the end of the hand.
+* @property {DisputeObject} [dispute=null] The validation dispute opened for the contract by {@link openDispute},
+* if its analysis failed.
+*/
+/**
+* A validation dispute opened when a contract fails analysis (see {@link analyzeCards}).
+* @typedef {Object} DisputeObject
+* @property {String} status The status of the dispute: "open" while appeals are accepted, or "closed"
+* once an <code>outcome</code> has been recorded.
+* @property {String} reason The analysis error message that caused the dispute to be opened.
+* @property {Array} penalizedPIDs The private IDs of the players held responsible by the analysis.
+* @property {String} opened The date and time at which the dispute was opened.
+* @property {String} expires The date and time at which the appeal window closes.
+* @property {Object} evidence The evidence submitted with each appeal, indexed by the appellant's private ID.
+* Each entry contains the submitted <code>keychain</code> and message <code>history</code>, the
+* <code>submitted</code> date, whether the message history matches the contract's (<code>historyMatch</code>),
+* and the <code>error</code> message from the re-run analysis, if any.
+* @property {String} outcome=null The outcome of the dispute once closed: "upheld" if the validation
+* penalty was applied, or "overturned" if the hand was re-analyzed successfully and scored.
+* @property {String} closed=null The date and time at which the dispute was closed.
+*/
+/**
+* An exportable record of a completed contract (hand) from which the hand can be replayed
+* and independently verified (see {@link verifyHandRecord}), generated by {@link getHandRecord}.
+* @typedef {Object} HandRecordObject
+* @property {Number} version The version of the hand record format (currently 1).
+* @property {String} created The date and time at which the record was generated.
+* @property {String} contractID The ID of the recorded contract.
+* @property {String} ownerPID The private ID of the contract owner.
+* @property {Object} table The <code>tableID</code>, <code>tableName</code>, <code>ownerPID</code>, and
+* <code>tableInfo</code> of the table associated with the contract. The <code>tableInfo.variant</code> is
+* always included, even if the contract used the default game variant.
+* @property {String} prime The root prime number value associated with the contract.
+* @property {Array} faceup The contract's face-up deck of card objects, used to map the decrypted card values.
+* @property {Array} players The contract's players, each containing their <code>privateID</code>, final
+* <code>balance</code>, <code>totalBet</code>, <code>deadBet</code>, and <code>hasFolded</code> status.
+* @property {String} pot The total value of the contract's pot.
+* @property {Object} history The contract's <code>deck</code>, <code>deals</code>, <code>reveals</code>,
+* <code>runTwice</code>, <code>keychains</code>, <code>commitments</code>, and <code>rake</code> history
+* (see {@link ContractObject}).
+* @property {Array} pots The main pot and any side pots paid out by the contract, including their
+* <code>winners</code>, <code>rake</code>, and <code>awards</code> (see {@link awardPots}).
 */
 async function CP_SmartContract (sessionObj) {
    if ((namespace.wss == null) || (namespace.wss == undefined)) {
@@ -108,8 +179,13 @@ async function CP_SmartContract (sessionObj) {
          delete newContract.server_token;
          newContract.history = new Object(); //sanitize history
          newContract.history.keychains = new Object(); //sanitize submitted player keychains object
+         newContract.history.commitments = new Object(); //sanitize submitted keychain commitments object
          newContract.pot = "0"; //sanitize hand pot
+         newContract.bettingRound = null; //sanitize betting round
+         newContract.tournament = null; //sanitize tournament summary
+         newContract.dispute = null; //sanitize dispute
          newContract.invalid = false;
+         assignTimeBanks(newContract);
          var player = getPlayer(newContract, privateID);
          if (player == null) {
             sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Owner's player object not found in players array.",  sessionObj);
@@ -119,18 +195,42 @@ async function CP_SmartContract (sessionObj) {
             //use config-defined timeout
             newContract.table.tableInfo.timeout = config.CP.API.contract.timeoutDefault;
          }
+         if (isTournament(newContract) && (validTournamentPlayers(newContract) == false)) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Contract players don't match remaining tournament players.", sessionObj);
+            return(false);
+         }
+         if (validSeatedPlayers(newContract) == false) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Contract players don't match table seating.", sessionObj);
+            return(false);
+         }
+         var deckError = checkFaceupDeck(newContract);
+         if (deckError != null) {
+            var payloadObj = new Object();
+            payloadObj.error = new Object();
+            payloadObj.error.message = "Invalid card deck: "+deckError;
+            //notify other contract players so that they can abort the hand
+            sendContractMessage("contractnewfail", newContract, privateID, null, payloadObj);
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, payloadObj.error.message, sessionObj);
+            return(false);
+         }
          resetPlayerBalances(newContract); //reset all players' balances
-         setPlayerBalance(newContract, privateID, newContract.table.tableInfo.buyIn); //set deposit balance for dealer/current user
-         //subtract buy-in from account and deposit to contract
-         var buyIn = "-"+String(newContract.table.tableInfo.buyIn);
          try {
-            var result = await addToAccountBalance(playerAccount[0], buyIn, newContract);
+            if (isTournament(newContract)) {
+               //move tournament stack (and entry fee on first hand) into contract
+               var result = await tournamentBuyIn(newContract, privateID, playerAccount[0]);
+            } else {
+               setPlayerBalance(newContract, privateID, newContract.table.tableInfo.buyIn); //set deposit balance for dealer/current user
+               //subtract buy-in from account and deposit to contract
+               var buyIn = "-"+String(newContract.table.tableInfo.buyIn);
+               result = await addToAccountBalance(playerAccount[0], buyIn, newContract, "buyin");
+            }
             resultObj.contract = newContract;
             gameContracts.push(newContract);
             //create contract history
             newContract.history = new Object();
             newContract.history.deck = new Array();
             newContract.history.keychains = new Object();
+            newContract.history.commitments = new Object();
             var historyObj = new Object();
             historyObj.fromPID = privateID;
             historyObj.cards = new Array();
@@ -142,7 +242,8 @@ async function CP_SmartContract (sessionObj) {
                }
             }
             newContract.history.deck.push(historyObj); //initial history item is new faceup deck
-            //save new game contract here
+            updateSeating(newContract);
+            await saveContract(newContract);
             sendContractMessage("contractnew", newContract, privateID);
          } catch (err) {
             setPlayerBalance(newContract, privateID, "0"); //revert buy-in
@@ -168,6 +269,10 @@ async function CP_SmartContract (sessionObj) {
             sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Contract is invalid.", sessionObj);
             return(false);
          }
+         if (isDisputed(gameContract)) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Contract is under dispute.", sessionObj);
+            return(false);
+         }
          try {
             var playerAccount = await validAccount(requestParams.account);
          } catch (err) {
@@ -198,7 +303,7 @@ async function CP_SmartContract (sessionObj) {
             return(false);
          }
          if (playerAccount[0].network != contractCurrencyNetwork) {
-            payloadObj = new Object();
+            var payloadObj = new Object();
             payloadObj.error = new Object();
             payloadObj.error.message = "Attempt to agree using an incompatible currency network (\""+playerAccount[0].network+"\").";
             //notify other contract players of the failure
@@ -211,12 +316,21 @@ async function CP_SmartContract (sessionObj) {
          player.account.type = requestParams.account.type;
          player.account.network = requestParams.account.network;
          player.account.balance = String(playerAccount[0].balance);
-         setPlayerBalance(gameContract, privateID, gameContract.table.tableInfo.buyIn);
-         //subtract buy-in from account and deposit to contract
-         var buyIn = "-"+String(gameContract.table.tableInfo.buyIn);
          try {
-            var result = await addToAccountBalance(playerAccount[0], buyIn, gameContract);
-            //save game contract here
+            if (isTournament(gameContract)) {
+               //move tournament stack (and entry fee on first hand) into contract
+               var result = await tournamentBuyIn(gameContract, privateID, playerAccount[0]);
+            } else {
+               setPlayerBalance(gameContract, privateID, gameContract.table.tableInfo.buyIn);
+               //subtract buy-in from account and deposit to contract
+               var buyIn = "-"+String(gameContract.table.tableInfo.buyIn);
+               result = await addToAccountBalance(playerAccount[0], buyIn, gameContract, "buyin");
+            }
+            if (allPlayersAgreed(gameContract)) {
+               //everyone has bought in so antes and dead blinds can be posted
+               postForcedBets(gameContract);
+            }
+            await saveContract(gameContract);
             resultObj.contract = gameContract;
             sendContractMessage("contractagree", gameContract, privateID);
          } catch (err) {
@@ -251,6 +365,10 @@ async function CP_SmartContract (sessionObj) {
             sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Contract is invalid.", sessionObj);
             return(false);
          }
+         if (isDisputed(gameContract)) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Contract is under dispute.", sessionObj);
+            return(false);
+         }
          try {
             var playerAccount = await validAccount(requestParams.account);
          } catch (err) {
@@ -278,13 +396,47 @@ async function CP_SmartContract (sessionObj) {
             case "encrypt":
                if ((typeof(requestParams.cards) == "object") || (requestParams.cards != null)) {
                   if ((typeof(requestParams.cards.length) == "number")) {
+                     var previousDeck = gameContract.history.deck[gameContract.history.deck.length-1].cards;
+                     if ((requestParams.cards.length != previousDeck.length) || containsDuplicates(requestParams.cards)) {
+                        sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Encrypted deck is malformed or contains duplicates.", sessionObj);
+                        return(false);
+                     }
+                     if ((typeof(requestParams.commitment) != "string") || (/^[0-9a-f]{64}$/.test(requestParams.commitment) == false)) {
+                        sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Invalid keychain commitment.", sessionObj);
+                        return(false);
+                     }
+                     if ((gameContract.history.commitments == undefined) || (gameContract.history.commitments == null)) {
+                        gameContract.history.commitments = new Object();
+                     }
+                     if ((gameContract.history.commitments[privateID] != undefined) && (gameContract.history.commitments[privateID] != null)) {
+                        sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Keychain commitment can only be stored once.", sessionObj);
+                        return(false);
+                     }
+                     if (getShuffleProofRounds(gameContract) > 0) {
+                        var deckLength = gameContract.history.deck.length;
+                        try {
+                           var proofValid = await verifyShuffleProof(gameContract, previousDeck, requestParams.cards, requestParams.proof);
+                        } catch (err) {
+                           proofValid = false;
+                        }
+                        if (proofValid == false) {
+                           sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Invalid shuffle proof.", sessionObj);
+                           return(false);
+                        }
+                        //the contract may have been updated while the proof was being verified
+                        if ((gameContract.history.deck.length != deckLength) || (gameContract.history.commitments[privateID] != undefined)) {
+                           sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Encrypted deck was already stored.", sessionObj);
+                           return(false);
+                        }
+                     }
                      infoObj = new Object();
                      infoObj.fromPID = privateID;
                      infoObj.cards = Array.from(requestParams.cards);
                      gameContract.history.deck.push (infoObj);
-                     //save game contract here
+                     gameContract.history.commitments[privateID] = requestParams.commitment;
                      resultObj.contract = gameContract;
                      updatePlayersTimeout(privateID, getDealer(gameContract).privateID, gameContract, "store", "encrypt", gameContract.history.deck);
+                     await saveContract(gameContract);
                      try {
                         sendContractMessage("contractencryptstore", gameContract, privateID);
                      } catch (err) {
@@ -316,10 +468,31 @@ async function CP_SmartContract (sessionObj) {
                      if ((gameContract.history.deals[privateID] == undefined) || (gameContract.history.deals[privateID] == null)) {
                         gameContract.history.deals[privateID] = new Array();
                      }
+                     if (isStud(gameContract)) {
+                        //each player selects their own face-down and face-up cards on each street
+                        if (infoObj.cards.length != getStudDealSize(gameContract, privateID, infoObj.private)) {
+                           sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Invalid number of cards for street.", sessionObj);
+                           return(false);
+                        }
+                     } else if ((infoObj.private == true) && (infoObj.cards.length != getVariant(gameContract).privateCards)) {
+                        sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Invalid number of private cards for game variant.", sessionObj);
+                        return(false);
+                     } else if ((infoObj.private != true) && (requestParams.board != undefined) && (requestParams.board != null)) {
+                        //public cards dealt to one of two boards
+                        if (runTwiceAgreed(gameContract) == false) {
+                           sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Run it twice has not been agreed to.", sessionObj);
+                           return(false);
+                        }
+                        if ((requestParams.board != 1) && (requestParams.board != 2)) {
+                           sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Invalid \"board\".", sessionObj);
+                           return(false);
+                        }
+                        infoObj.board = requestParams.board;
+                     }
                      gameContract.history.deals[privateID].push (infoObj);
-                     //save game contract here
                      resultObj.contract = gameContract;
                      updatePlayersTimeout(privateID, privateID, gameContract, "store", "select", gameContract.history.deals[privateID]);
+                     await saveContract(gameContract);
                      try {
                         sendContractMessage("contractselectstore", gameContract, privateID);
                      } catch (err) {
@@ -353,7 +526,7 @@ async function CP_SmartContract (sessionObj) {
                      }
                      gameContract.history.deals[sourcePID].push (infoObj);
                      updatePlayersTimeout(privateID, sourcePID, gameContract, "store", "decrypt", gameContract.history.deals[sourcePID]);
-                     //save game contract here
+                     await saveContract(gameContract);
                      resultObj.contract = gameContract;
                      try {
                         sendContractMessage("contractdecryptstore", gameContract, privateID);
@@ -371,6 +544,85 @@ async function CP_SmartContract (sessionObj) {
                   return(false);
                }
                break;
+            case "reveal":
+               if (isStud(gameContract) == false) {
+                  sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Face-up cards are only revealed in stud games.", sessionObj);
+                  return(false);
+               }
+               if ((typeof(requestParams.cards) == "object") && (requestParams.cards != null)) {
+                  if ((typeof(requestParams.cards.length) == "number")) {
+                     if ((gameContract.history.reveals == undefined) || (gameContract.history.reveals == null)) {
+                        gameContract.history.reveals = new Object();
+                     }
+                     if ((gameContract.history.reveals[privateID] == undefined) || (gameContract.history.reveals[privateID] == null)) {
+                        gameContract.history.reveals[privateID] = new Array();
+                     }
+                     var studCards = getStudCards(gameContract, privateID);
+                     if ((studCards.revealed + requestParams.cards.length) > studCards.up) {
+                        sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "More face-up cards revealed than dealt.", sessionObj);
+                        return(false);
+                     }
+                     for (var count=0; count < requestParams.cards.length; count++) {
+                        if (getMappedCard(gameContract, requestParams.cards[count]) == null) {
+                           sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Revealed card does not map: "+requestParams.cards[count], sessionObj);
+                           return(false);
+                        }
+                     }
+                     for (count=0; count < requestParams.cards.length; count++) {
+                        gameContract.history.reveals[privateID].push(String(requestParams.cards[count]));
+                     }
+                     resultObj.contract = gameContract;
+                     updatePlayersTimeout(privateID, privateID, gameContract, "store", "reveal", gameContract.history.reveals[privateID]);
+                     await saveContract(gameContract);
+                     try {
+                        sendContractMessage("contractrevealstore", gameContract, privateID);
+                     } catch (err) {
+                        console.error(err.stack);
+                        sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Could not store revealed cards.", sessionObj);
+                        return(false);
+                     }
+                  } else {
+                     sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Invalid \"cards\" array.", sessionObj);
+                     return(false);
+                  }
+               } else {
+                  sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Invalid \"cards\" array.", sessionObj);
+                  return(false);
+               }
+               break;
+            case "runtwice":
+               if (runTwiceAvailable(gameContract) == false) {
+                  sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Running the remaining cards twice isn't available.", sessionObj);
+                  return(false);
+               }
+               if (typeof(requestParams.agree) != "boolean") {
+                  sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Invalid \"agree\" parameter.", sessionObj);
+                  return(false);
+               }
+               if ((gameContract.history.runTwice == undefined) || (gameContract.history.runTwice == null)) {
+                  gameContract.history.runTwice = new Object();
+               }
+               var player = getPlayer(gameContract, privateID);
+               if ((player == null) || player.hasFolded) {
+                  sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Folded players can't run the remaining cards twice.", sessionObj);
+                  return(false);
+               }
+               if (typeof(gameContract.history.runTwice[privateID]) == "boolean") {
+                  sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Already decided whether to run the remaining cards twice.", sessionObj);
+                  return(false);
+               }
+               gameContract.history.runTwice[privateID] = requestParams.agree;
+               resultObj.contract = gameContract;
+               updatePlayersTimeout(privateID, privateID, gameContract, "store", "runtwice");
+               await saveContract(gameContract);
+               try {
+                  sendContractMessage("contractruntwicestore", gameContract, privateID);
+               } catch (err) {
+                  console.error(err.stack);
+                  sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Could not store run it twice decision.", sessionObj);
+                  return(false);
+               }
+               break;
             case "keychain":
                if ((typeof(requestParams.keychain) == "object") || (requestParams.keychain != null)) {
                   if ((typeof(requestParams.keychain.length) == "number")) {
@@ -379,9 +631,28 @@ async function CP_SmartContract (sessionObj) {
                         sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Keychain can only be stored once.", sessionObj);
                         return(false);
                      }
+                     if (keychainMatchesCommitment(gameContract, privateID, requestParams.keychain) == false) {
+                        console.error(privateID+" has submitted a keychain that doesn't match their commitment for contract: "+contractID);
+                        try {
+                           gameContract.penalty = await applyPenalty(gameContract, [privateID], "commitment");
+                           gameContract.invalid = true;
+                           if (isTournament(gameContract)) {
+                              await updateTournament(gameContract);
+                           }
+                        } catch (err) {
+                           console.error(err.stack);
+                           gameContract.penalty = null;
+                           sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Could not apply commitment penalty.", sessionObj);
+                           return(false);
+                        }
+                        await saveContract(gameContract);
+                        sendContractMessage("contractcommitmentfail", gameContract, privateID);
+                        sendError(JSONRPC_ERRORS.PLAYER_ACTION_ERROR, "Keychain does not match commitment.", sessionObj);
+                        return(false);
+                     }
                      gameContract.history.keychains[privateID] = requestParams.keychain;
                      updatePlayersTimeout(privateID, privateID, gameContract, "store", "keychain", gameContract.history.keychains[privateID]);
-                     //save game contract here
+                     await saveContract(gameContract);
                      resultObj.contract = gameContract;
                      try {
                         sendContractMessage("contractkeychainstore", gameContract, privateID);
@@ -407,18 +678,31 @@ async function CP_SmartContract (sessionObj) {
                                  var analyzeResult = await analyzeCards(gameContract);
                               } catch (err) {
                                  console.error(err);
-                                 //currently everyone gets a refund (until contract is more stable)
-                                 err.failedPIDs = new Array();
+                                 if ((err.failedPIDs == undefined) || (err.failedPIDs == null)) {
+                                    err.failedPIDs = new Array();
+                                 }
+                                 if ((err.failedPIDs.length > 0) && (getDisputeWindow() > 0)) {
+                                    //penalty is held until the dispute is resolved
+                                    openDispute(gameContract, err);
+                                    await saveContract(gameContract);
+                                    sendContractMessage("contractdispute", gameContract);
+                                    sendError(JSONRPC_ERRORS.PLAYER_ACTION_ERROR, "Contract validation failed. Dispute opened.", sessionObj);
+                                    return (false);
+                                 }
                                  try {
                                     var penaltyResult = await applyPenalty(gameContract, err.failedPIDs, "validate");
                                     gameContract.penalty = penaltyResult;
                                     gameContract.invalid = true;
+                                    if (isTournament(gameContract)) {
+                                       await updateTournament(gameContract);
+                                    }
                                  } catch (err) {
                                     console.error(err.stack);
                                     gameContract.penalty = null;
                                     sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Could not apply validation penalty.", sessionObj);
                                     return(false);
                                  }
+                                 await saveContract(gameContract);
                                  sendError(JSONRPC_ERRORS.PLAYER_ACTION_ERROR, "Contract validation failed.", sessionObj);
                                  return (false);
                               }
@@ -426,6 +710,7 @@ async function CP_SmartContract (sessionObj) {
                               //Additional information can be gathered from:
                               //   scoreResult.winningPlayers
                               //   scoreResult.winningHands
+                              //   scoreResult.pots
                               //console.log ("Contract "+contractID+" completed.");
                            } else {
                               //all but player nonFoldedPlayers[0].privateID have folded
@@ -435,34 +720,34 @@ async function CP_SmartContract (sessionObj) {
                               scoreResult.winningPlayers = new Array();
                               scoreResult.winningPlayers.push(nonFoldedPlayers[0]);
                               scoreResult.winningHands = new Array();
-                           }
-                           var winnings = bigInt(gameContract.pot);
-                           winnings = winnings.divide(scoreResult.winningPlayers.length); //this may produce rounding errors
-                           for (count = 0; count < scoreResult.winningPlayers.length; count++) {
-                              var winningPlayer = scoreResult.winningPlayers[count];
-                              try {
-                                 var accountResult = await namespace.cp.getAccount(winningPlayer.account, false);
-                                 var result = await addToAccountBalance(accountResult[0], winnings.toString(10), gameContract);
-                              } catch (err) {
-                                 console.error(err.stack);
-                                 sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Could not update account balance.", sessionObj);
-                                 return(false);
+                              scoreResult.pots = createPots(gameContract);
+                              for (count = 0; count < scoreResult.pots.length; count++) {
+                                 scoreResult.pots[count].winners = [nonFoldedPlayers[0].privateID];
                               }
                            }
+                           try {
+                              var potsResult = await awardPots(gameContract, scoreResult.pots);
+                           } catch (err) {
+                              console.error(err.stack);
+                              sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Could not update account balance.", sessionObj);
+                              return(false);
+                           }
                            for (count = 0; count < gameContract.players.length; count++) {
                               var currentPlayer = gameContract.players[count];
                               try {
-                                 var accountResult = await namespace.cp.getAccount(currentPlayer.account, false);
-                                 var result = await addToAccountBalance(accountResult[0], currentPlayer.balance, gameContract);
+                                 var result = await creditPlayer(gameContract, currentPlayer, currentPlayer.balance, "payout", "Remaining contract balance");
                               } catch (err) {
                                  console.error(err.stack);
                                  sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Could not update account balance.", sessionObj);
                                  return(false);
                               }
                            }
+                           if (isTournament(gameContract)) {
+                              await updateTournament(gameContract);
+                           }
                            gameContract.invalid = true;
-                           //save game contract here
-                           sendContractMessage("contractend", gameContract);
+                           await saveContract(gameContract);
+                           sendContractMessage("contractend", gameContract, null, null, {record:getHandRecord(gameContract)});
                         } catch (err) {
                            console.error(err);
                         }
@@ -500,6 +785,10 @@ async function CP_SmartContract (sessionObj) {
             sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Contract is invalid.", sessionObj);
             return(false);
          }
+         if (isDisputed(gameContract)) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Contract is under dispute.", sessionObj);
+            return(false);
+         }
          try {
             var playerAccount = await validAccount(requestParams.account);
          } catch (err) {
@@ -514,6 +803,18 @@ async function CP_SmartContract (sessionObj) {
          var playerBalance = bigInt(player.balance);
          var totalBet = bigInt(player.totalBet);
          var betAmount = bigInt(requestParams.amount);
+         if (betAmount.greater(playerBalance)) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Bet amount exceeds available balance.", sessionObj);
+            return(false);
+         }
+         var structureError = checkBettingStructure(gameContract, player, betAmount);
+         if (structureError != null) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, structureError, sessionObj);
+            return(false);
+         }
+         var blindBet = isBlindBet(gameContract, player);
+         //largest bet prior to this one so that a short all-in isn't treated as a raise
+         var biggestBet = largestBet(gameContract);
          if (betAmount.greater(0)) {
             totalBet = totalBet.plus(betAmount);
          }
@@ -528,7 +829,7 @@ async function CP_SmartContract (sessionObj) {
                player._hasFolded = true;
                player.hasBet = true;
                player._hasBet = true;
-               player.totalBet = "0";
+               //folded player's total bet remains in the pot(s)
                updatePlayersTimeout(privateID, privateID, gameContract, "bet");
                if (bettingDone(gameContract) == true) {
                   for (var count = 0; count < gameContract.players.length; count++) {
@@ -539,20 +840,14 @@ async function CP_SmartContract (sessionObj) {
             } else {
                //betting or raising (betAmount.greater(0)) / checking (betAmount.equals(0))
                gameContract.pot = bigInt(gameContract.pot).plus(betAmount).toString(10);
-               var biggestBet = largestBet(gameContract);
+               //update balance first so that all-in status is current
+               setPlayerBalance(gameContract, privateID, playerBalance.minus(betAmount).toString(10));
                var totalCurrentBet = bigInt(player.totalBet);
-               if (totalCurrentBet.equals(biggestBet)) {
-                  //matched bet / checking / calling
-                  if (bettingDone(gameContract) == true) {
-                     for (var count = 0; count < gameContract.players.length; count++) {
-                        gameContract.players[count].hasBet = false;
-                     }
-                     updatePlayersTimeout(privateID, privateID, gameContract, "deal"); //do this after resetting everyone!
-                  } else {
-                     updatePlayersTimeout(privateID, privateID, gameContract, "bet");
-                  }
-               } else if (totalCurrentBet.greater(biggestBet)) {
+               if (totalCurrentBet.greater(biggestBet)) {
                   //raising
+                  if (blindBet == false) {
+                     updateBettingRound(gameContract, totalCurrentBet.minus(biggestBet));
+                  }
                   updatePlayersTimeout(privateID, privateID, gameContract, "bet"); //do this before resetting everyone!
                   for (var count = 0; count < gameContract.players.length; count++) {
                      if (gameContract.players[count].privateID != privateID) {
@@ -560,9 +855,18 @@ async function CP_SmartContract (sessionObj) {
                      }
                   }
                }
-               setPlayerBalance(gameContract, privateID, playerBalance.minus(betAmount).toString(10));
+               if (bettingDone(gameContract) == true) {
+                  //matched bet / checking / calling, or no one left to bet against
+                  for (var count = 0; count < gameContract.players.length; count++) {
+                     gameContract.players[count].hasBet = false;
+                  }
+                  updatePlayersTimeout(privateID, privateID, gameContract, "deal"); //do this after resetting everyone!
+               } else if (totalCurrentBet.lesserOrEquals(biggestBet)) {
+                  //matched bet / checking / calling, or all-in for less than the current bet
+                  updatePlayersTimeout(privateID, privateID, gameContract, "bet");
+               }
             }
-            //save game contract here
+            await saveContract(gameContract);
             resultObj.contract = gameContract;
             sendContractMessage("contractbet", gameContract, privateID);
          } catch (err) {
@@ -587,6 +891,10 @@ async function CP_SmartContract (sessionObj) {
             sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Contract is invalid.", sessionObj);
             return(false);
          }
+         if (isDisputed(gameContract)) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Contract is under dispute.", sessionObj);
+            return(false);
+         }
          try {
             var playerAccount = await validAccount(requestParams.account);
          } catch (err) {
@@ -614,6 +922,9 @@ async function CP_SmartContract (sessionObj) {
             try {
                var penaltyResult = await applyPenalty(gameContract, timedoutPIDs, "timeout");
                gameContract.penalty = penaltyResult;
+               if (isTournament(gameContract)) {
+                  await updateTournament(gameContract);
+               }
             } catch (err) {
                console.error(err.stack);
                gameContract.penalty = null;
@@ -623,9 +934,176 @@ async function CP_SmartContract (sessionObj) {
          }
          gameContract.invalid = true;
          resultObj.contract = gameContract;
-         //save game contract here
+         await saveContract(gameContract);
          sendContractMessage("contracttimeout", gameContract);
          break;
+      case "tournament":
+         if (typeof(requestParams.tournamentID) != "string") {
+            sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Invalid tournament ID.", sessionObj);
+            return(false);
+         }
+         var tournament = namespace.cp.tournaments[requestParams.tournamentID];
+         if ((tournament == undefined) || (tournament == null)) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "No such tournament.", sessionObj);
+            return(false);
+         }
+         resultObj.tournament = getTournamentInfo(tournament);
+         break;
+      case "appeal":
+         contractOwnerPID = requestParams.ownerPID;
+         contractID = requestParams.contractID;
+         gameContract = getContractByID(contractOwnerPID, contractID);
+         if (gameContract == null) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "No such contract.", sessionObj);
+            return(false);
+         }
+         if (isDisputed(gameContract) == false) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Contract is not under dispute.", sessionObj);
+            return(false);
+         }
+         if (await closeExpiredDispute(gameContract)) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Appeal window has closed.", sessionObj);
+            return(false);
+         }
+         try {
+            var playerAccount = await validAccount(requestParams.account);
+         } catch (err) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, err.message, sessionObj);
+            return(false);
+         }
+         if (gameContract.dispute.penalizedPIDs.indexOf(privateID) < 0) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Only penalized players may appeal.", sessionObj);
+            return(false);
+         }
+         if ((gameContract.dispute.evidence[privateID] != undefined) && (gameContract.dispute.evidence[privateID] != null)) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Appeal can only be submitted once.", sessionObj);
+            return(false);
+         }
+         if ((typeof(requestParams.keychain) != "object") || (requestParams.keychain == null) || (typeof(requestParams.keychain.length) != "number")) {
+            sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Invalid \"keychain\" array.", sessionObj);
+            return(false);
+         }
+         if ((typeof(requestParams.history) != "object") || (requestParams.history == null) || (typeof(requestParams.history.length) != "number")) {
+            sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Invalid \"history\" array.", sessionObj);
+            return(false);
+         }
+         try {
+            await appealDispute(gameContract, privateID, requestParams.keychain, requestParams.history);
+         } catch (err) {
+            console.error(err.stack);
+            sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Could not process appeal.", sessionObj);
+            return(false);
+         }
+         resultObj.contract = gameContract;
+         resultObj.dispute = getDisputeInfo(gameContract);
+         break;
+      case "dispute":
+         contractOwnerPID = requestParams.ownerPID;
+         contractID = requestParams.contractID;
+         gameContract = getContractByID(contractOwnerPID, contractID);
+         if (gameContract == null) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "No such contract.", sessionObj);
+            return(false);
+         }
+         if ((gameContract.dispute == undefined) || (gameContract.dispute == null)) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Contract has no dispute.", sessionObj);
+            return(false);
+         }
+         try {
+            await closeExpiredDispute(gameContract);
+         } catch (err) {
+            console.error(err.stack);
+            sendError(JSONRPC_ERRORS.INTERNAL_ERROR, "Could not close dispute.", sessionObj);
+            return(false);
+         }
+         resultObj.dispute = getDisputeInfo(gameContract);
+         break;
+      case "verify":
+         //only stored contracts that the requester played in are verified here; arbitrary
+         //hand records can be verified offline with the "verifyHand" utility
+         contractOwnerPID = requestParams.ownerPID;
+         contractID = requestParams.contractID;
+         gameContract = getContractByID(contractOwnerPID, contractID);
+         if (gameContract == null) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "No such contract.", sessionObj);
+            return(false);
+         }
+         if (getPlayer(gameContract, privateID) == null) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Not a contract player.", sessionObj);
+            return(false);
+         }
+         var handRecord = getHandRecord(gameContract);
+         if (handRecord == null) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Contract has not been paid out.", sessionObj);
+            return(false);
+         }
+         try {
+            resultObj.verification = await verifyHandRecord(handRecord);
+         } catch (err) {
+            sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, err.message, sessionObj);
+            return(false);
+         }
+         resultObj.record = handRecord;
+         break;
+      case "seat":
+         if ((typeof(requestParams.tableID) != "string") || (requestParams.tableID == "")) {
+            sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Invalid table ID.", sessionObj);
+            return(false);
+         }
+         pruneSeating();
+         var seating = namespace.cp.seating[requestParams.tableID];
+         if ((seating == undefined) || (seating == null) || (seating.tableName != requestParams.tableName)) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "No such table in play.", sessionObj);
+            return(false);
+         }
+         try {
+            var playerAccount = await validAccount(requestParams.account);
+         } catch (err) {
+            sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, err.message, sessionObj);
+            return(false);
+         }
+         var seat = getSeat(seating, privateID);
+         switch (requestParams.type) {
+            case "join":
+               if (seat != null) {
+                  sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Already seated at table.", sessionObj);
+                  return(false);
+               }
+               if (seating.seats.length >= seating.numSeats) {
+                  sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "No empty seats at table.", sessionObj);
+                  return(false);
+               }
+               if ((playerAccount[0].type != seating.currency.type) || (playerAccount[0].network != seating.currency.network)) {
+                  sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Account currency doesn't match table currency.", sessionObj);
+                  return(false);
+               }
+               if (bigInt(playerAccount[0].balance).lesser(bigInt(seating.buyIn))) {
+                  sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Insufficient account balance for buy-in.", sessionObj);
+                  return(false);
+               }
+               seat = createSeat(privateID);
+               seat.joined = true;
+               //a player taking an empty seat posts the big blind when first dealt in
+               seat.missedBigBlind = true;
+               seating.seats.push(seat);
+               break;
+            case "leave":
+               if (seat == null) {
+                  sendError(JSONRPC_ERRORS.ACTION_DISALLOWED, "Not seated at table.", sessionObj);
+                  return(false);
+               }
+               seating.seats.splice(seating.seats.indexOf(seat), 1);
+               if (seating.seats.length == 0) {
+                  releaseSeating(seating, true);
+               }
+               break;
+            default:
+               sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Invalid seat action type.", sessionObj);
+               return(false);
+               break;
+         }
+         resultObj.seating = getSeatingInfo(seating);
+         break;
       default:
          sendError(JSONRPC_ERRORS.INVALID_PARAMS_ERROR, "Unrecognized action.", sessionObj);
          return(false);
@@ -648,6 +1126,10 @@ async function CP_SmartContract (sessionObj) {
 * object containing name/value pairs with each name matching a player private ID and containing
 * an array of {@link CypherPokerCard} instances, and a <code>public</code>
 * property containing an array of the public / community {@link CypherPokerCard} instances.
+* In a stud contract (see {@link isStud}), the face-up cards dealt to each player are included in
+* an <code>up</code> object, indexed by private ID, instead, and they must match the cards that each player
+* revealed in the contract's <code>history.reveals</code>. If the remaining public cards were run twice (see {@link runTwiceAgreed}),
+* the second board, including the public cards shared with the first, is included in a <code>secondBoard</code> array.
 * If the analysis fails it is rejected with an <code>Error</code> which includes a
 * <code>message</code> and numeric <code>code</code> identifying the analysis failure.
 *
@@ -667,6 +1149,12 @@ async function analyzeCards(contract) {
    var cardsObj = history.analysis;
    cardsObj.private = new Object();
    cardsObj.public = new Array();
+   cardsObj.up = new Object();
+   cardsObj.secondBoard = new Array();
+   var sharedCards = new Array(); //public cards dealt before the remaining cards were run twice
+   var secondRunCards = new Array(); //public cards dealt to the second board only
+   var secondRunPIDs = new Array(); //private IDs of the second board's dealers
+   var studGame = isStud(contract);
    var faceUpMappings = Array.from(history.deck[0].cards); //generated plaintext (quadratic residues) values
    var previousDeck = Array.from(faceUpMappings);
    for (var count = 1; count < history.deck.length; count++) {
@@ -706,6 +1194,7 @@ async function analyzeCards(contract) {
       var dealArray = history.deals[privateID];
       var decrypting = false; //currently decrypting cards?
       var previousType = "select"; //should match dealArray[0].type
+      var board = null; //board of the current public deal, if run twice
       for (count = 0; count < dealArray.length; count++) {
          var currentDeal = dealArray[count];
          if ((currentDeal == undefined) || (currentDeal == null)) {
@@ -727,6 +1216,9 @@ async function analyzeCards(contract) {
          if (cardsObj.private[sourcePID] == undefined) {
             cardsObj.private[sourcePID] = new Array();
          };
+         if (cardsObj.up[sourcePID] == undefined) {
+            cardsObj.up[sourcePID] = new Array();
+         };
          if ((previousType == "select") && (type == "select")) {
             //probably the first entry but...
             if (count > 0) {
@@ -747,6 +1239,7 @@ async function analyzeCards(contract) {
                history.analysis.complete = true;
                throw (error);
             }
+            board = currentDeal.board;
          } else if ((previousType == "select") && (type == "decrypt") && (count < (dealArray.length - 1))) {
             //starting a new decryption operation (deal or select cards)
             decrypting = true;
@@ -782,8 +1275,18 @@ async function analyzeCards(contract) {
                }
                if (previousPrivate) {
                   cardsObj.private[sourcePID].push(card);
+               } else if (studGame) {
+                  cardsObj.up[sourcePID].push(card);
+               } else if (board == 2) {
+                  secondRunCards.push(card);
+                  if (secondRunPIDs.indexOf(sourcePID) < 0) {
+                     secondRunPIDs.push(sourcePID);
+                  }
                } else {
                   cardsObj.public.push(card);
+                  if ((board == undefined) || (board == null)) {
+                     sharedCards.push(card);
+                  }
                }
             }
             if (removeFromDeck(cards, encryptedDeck) == false) {
@@ -795,6 +1298,7 @@ async function analyzeCards(contract) {
                history.analysis.complete = true;
                throw (error);
             }
+            board = currentDeal.board;
          } else {
             //decryption in progress
             if (count == (dealArray.length - 1)) {
@@ -828,8 +1332,18 @@ async function analyzeCards(contract) {
                   }
                   if (privateDeal) {
                      cardsObj.private[sourcePID].push(card);
+                  } else if (studGame) {
+                     cardsObj.up[sourcePID].push(card);
+                  } else if (board == 2) {
+                     secondRunCards.push(card);
+                     if (secondRunPIDs.indexOf(sourcePID) < 0) {
+                        secondRunPIDs.push(sourcePID);
+                     }
                   } else {
                      cardsObj.public.push(card);
+                     if ((board == undefined) || (board == null)) {
+                        sharedCards.push(card);
+                     }
                   }
                }
             } else {
@@ -869,79 +1383,274 @@ async function analyzeCards(contract) {
          }
       }
    }
+   if (studGame && (history.reveals != undefined) && (history.reveals != null)) {
+      //face-up cards revealed during the game must match the ones dealt
+      for (privateID in history.reveals) {
+         var reveals = history.reveals[privateID];
+         for (count = 0; count < reveals.length; count++) {
+            card = getMappedCard(contract, reveals[count]);
+            if ((cardsObj.up[privateID] == undefined) || (cardsObj.up[privateID][count] != card)) {
+               var error = new Error("Face-up card "+count+" revealed by \""+privateID+"\" does not match the dealt card.");
+               error.code = 2;
+               error.failedPIDs = new Array();
+               error.failedPIDs.push (privateID);
+               history.analysis.error = error;
+               history.analysis.complete = true;
+               throw (error);
+            }
+         }
+      }
+   }
+   if (secondRunCards.length > 0) {
+      var publicCards = getVariant(contract).publicCards;
+      cardsObj.secondBoard = sharedCards.concat(secondRunCards);
+      if ((cardsObj.public.length != publicCards) || (cardsObj.secondBoard.length != publicCards)) {
+         var error = new Error("Public cards run twice don't produce two complete boards.");
+         error.code = 2;
+         error.failedPIDs = secondRunPIDs;
+         history.analysis.error = error;
+         history.analysis.complete = true;
+         throw (error);
+      }
+   }
    return (cardsObj);
 }
 
 /**
-* Generates player card permutations for analysis and scores the hands.
+* Generates player card permutations for analysis and scores the hands according
+* to the contract's game variant (see {@link getVariant}). The winners of the main
+* pot and any side pots, as generated by {@link createPots}, are also determined.
+* If the remaining public cards were run twice (see {@link runTwiceAgreed}), the hands
+* on the second board are also scored and each pot is split between the boards
+* (see {@link splitPotsByBoard}).
 *
 * @param {ContractObject} contract The analyzed and validated (using {@link analyzeCards}),
 * contract object to use for scoring.
 *
 * @return {Object} Contains the arrays <code>winningPlayers</code> containing the
-* winning player object(s) for the <code>contract</code>, and <code>winningHands</code>
-* which contains the associated winning hand(s) for the player(s).
+* winning player object(s) for the <code>contract</code>, <code>winningHands</code>
+* which contains the associated winning hand(s) for the player(s), and <code>pots</code>
+* which contains the pot objects with the private IDs of their <code>winners</code>. If the
+* remaining public cards were run twice, the second board's hands and winners are included in
+* <code>secondHands</code>, <code>secondWinningPlayers</code>, and <code>secondWinningHands</code>.
 * @private
 */
 async function scoreHands(contract) {
    var cardsObj = contract.history.analysis;
-   var analysis = contract.history.analysis;
    var playersObj = cardsObj.private;
+   var usePrivateCards = getVariant(contract).usePrivateCards;
+   var studGame = isStud(contract);
    cardsObj.hands = new Object();
-   var playerHands = new Object();
-   var highestScore = -1;
-   var highestHand = new Array;
-   var winningPlayers = new Array();
-   var winningHands = new Array();
+   var contenders = new Array();
    for (var privateID in playersObj) {
       var player = getPlayer(contract, privateID);
       //private ID may actually be some other object property (e.g. onEventPromise)
       if (player != null) {
          if (player.hasFolded == false) {
-            var fullCards = playersObj[privateID].concat(cardsObj.public);
             cardsObj.hands[privateID] = new Array();
-            var perms = createCardPermutations(fullCards);
+            if (studGame) {
+               //best five of the player's face-down and face-up cards
+               var upCards = new Array();
+               if ((cardsObj.up != undefined) && (cardsObj.up[privateID] != undefined)) {
+                  upCards = cardsObj.up[privateID];
+               }
+               var perms = createCardPermutations(playersObj[privateID].concat(upCards));
+            } else if (usePrivateCards > 0) {
+               perms = createSplitCardPermutations(playersObj[privateID], cardsObj.public, usePrivateCards);
+            } else {
+               var fullCards = playersObj[privateID].concat(cardsObj.public);
+               perms = createCardPermutations(fullCards);
+            }
             for (var count = 0; count < perms.length; count++) {
                var handObj = new Object();
                handObj.hand = perms[count];
                handObj.score = -1; //default (not scored)
                scoreHand (handObj);
                cardsObj.hands[privateID].push(handObj);
-               if (handObj.score == highestScore) {
-                  //this may be a split pot; see below
-                  winningPlayers.push(player);
-                  winningHands.push(handObj);
-               } else if (handObj.score > highestScore) {
-                  //new best hand
-                  winningPlayers = new Array();
-                  winningHands = new Array();
-                  winningPlayers.push(player);
-                  winningHands.push(handObj);
-                  highestScore = handObj.score;
-               }
             }
+            contenders.push(player);
          }
       }
    }
-   if (winningPlayers.length > 1) {
-      //need to look at both private cards since we currently have a potential split pot
-      var newWinningPlayers = new Array();
-      var newWinningHands = new Array();
-      var highestScore = 0;
-      for (count = 0; count < winningPlayers.length; count++) {
-         var winningHand = winningHands[count]; //indexes match with winningPlayers
-         var hand = winningHand.hand;
-         var player = winningPlayers[count];
-         var playerPID = player.privateID;
-         var privateCard1 = analysis.private[playerPID][0];
-         var privateCard2 = analysis.private[playerPID][1];
-         //adjust score for highest card value
-         if (privateCard1.highvalue > privateCard2.highvalue) {
+   var winnersObj = findWinners(cardsObj, contenders, usePrivateCards, (studGame == false));
+   cardsObj.winningPlayers = winnersObj.players;
+   cardsObj.winningHands = winnersObj.hands;
+   cardsObj.pots = createPots(contract);
+   for (count = 0; count < cardsObj.pots.length; count++) {
+      var pot = cardsObj.pots[count];
+      var eligiblePlayers = new Array();
+      for (var count2 = 0; count2 < contenders.length; count2++) {
+         if (pot.eligible.indexOf(contenders[count2].privateID) > -1) {
+            eligiblePlayers.push(contenders[count2]);
+         }
+      }
+      pot.winners = new Array();
+      var potWinners = findWinners(cardsObj, eligiblePlayers, usePrivateCards, (studGame == false)).players;
+      for (count2 = 0; count2 < potWinners.length; count2++) {
+         pot.winners.push(potWinners[count2].privateID);
+      }
+   }
+   if ((cardsObj.secondBoard != undefined) && (cardsObj.secondBoard.length > 0)) {
+      //the remaining public cards were run twice so score the second board too
+      cardsObj.secondHands = new Object();
+      for (count = 0; count < contenders.length; count++) {
+         privateID = contenders[count].privateID;
+         cardsObj.secondHands[privateID] = new Array();
+         if (usePrivateCards > 0) {
+            perms = createSplitCardPermutations(playersObj[privateID], cardsObj.secondBoard, usePrivateCards);
+         } else {
+            perms = createCardPermutations(playersObj[privateID].concat(cardsObj.secondBoard));
+         }
+         for (count2 = 0; count2 < perms.length; count2++) {
+            handObj = new Object();
+            handObj.hand = perms[count2];
+            handObj.score = -1; //default (not scored)
+            scoreHand (handObj);
+            cardsObj.secondHands[privateID].push(handObj);
+         }
+      }
+      //findWinners expects the hands in a "hands" property
+      var secondCardsObj = new Object();
+      secondCardsObj.private = cardsObj.private;
+      secondCardsObj.hands = cardsObj.secondHands;
+      winnersObj = findWinners(secondCardsObj, contenders, usePrivateCards, true);
+      cardsObj.secondWinningPlayers = winnersObj.players;
+      cardsObj.secondWinningHands = winnersObj.hands;
+      cardsObj.pots = splitPotsByBoard(cardsObj.pots, secondCardsObj, contenders, usePrivateCards);
+   }
+   //console.log ("Winning players:");
+   //console.dir (cardsObj.winningPlayers);
+   //console.log ("Pots:");
+   //console.dir (cardsObj.pots);
+   return (cardsObj);
+}
+
+/**
+* Splits each of a contract's pots evenly between two boards when the remaining public
+* cards have been run twice. The first board's half keeps the pot's existing <code>winners</code>
+* and any indivisible remainder, and the second board's half is won by the best eligible
+* hand(s) on the second board.
+*
+* @param {Array} pots The pot objects, as generated by {@link createPots}, each with
+* a <code>winners</code> array of private IDs of the first board's winners.
+* @param {Object} secondCardsObj An object containing the <code>private</code> cards of the
+* players and the scored <code>hands</code> of the second board.
+* @param {Array} contenders The contract player objects that haven't folded.
+* @param {Number} [usePrivateCards=0] The exact number of private cards that a hand
+* must use in the contract's game variant (see {@link findWinners}).
+*
+* @return {Array} The split pots with each first board half immediately followed by
+* its second board half. Each pot object includes a <code>board</code> property
+* set to the board (1 or 2), that it's awarded on.
+* @private
+*/
+function splitPotsByBoard(pots, secondCardsObj, contenders, usePrivateCards=0) {
+   var splitPots = new Array();
+   for (var count = 0; count < pots.length; count++) {
+      var pot = pots[count];
+      var secondPot = new Object();
+      secondPot.amount = bigInt(pot.amount).divide(2).toString(10);
+      secondPot.eligible = Array.from(pot.eligible);
+      secondPot.contributors = pot.contributors;
+      secondPot.board = 2;
+      var eligiblePlayers = new Array();
+      for (var count2 = 0; count2 < contenders.length; count2++) {
+         if (pot.eligible.indexOf(contenders[count2].privateID) > -1) {
+            eligiblePlayers.push(contenders[count2]);
+         }
+      }
+      secondPot.winners = new Array();
+      var potWinners = findWinners(secondCardsObj, eligiblePlayers, usePrivateCards, true).players;
+      for (count2 = 0; count2 < potWinners.length; count2++) {
+         secondPot.winners.push(potWinners[count2].privateID);
+      }
+      pot.amount = bigInt(pot.amount).minus(secondPot.amount).toString(10);
+      pot.board = 1;
+      splitPots.push(pot);
+      splitPots.push(secondPot);
+   }
+   return (splitPots);
+}
+
+/**
+* Finds the winning player(s) and hand(s) from a group of players whose hands
+* have been scored by {@link scoreHands}.
+*
+* @param {Object} cardsObj The contract's <code>history.analysis</code> object
+* containing the scored <code>hands</code>.
+* @param {Array} players The contract player objects to include in the search.
+* @param {Number} [usePrivateCards=0] The exact number of private cards that a hand
+* must use in the contract's game variant. If greater than 0, only the private cards
+* used in a hand are considered when breaking a tie, otherwise the first two private
+* cards are considered.
+* @param {Boolean} [privateTieBreak=true] If true, ties are broken using the private cards
+* as described above, otherwise tied players split the pot (e.g. in stud games, where there
+* are no community cards).
+*
+* @return {Object} Contains the arrays <code>players</code> containing the
+* winning player object(s), and <code>hands</code> which contains the associated
+* winning hand(s). Both arrays will contain more than one element if the pot is split.
+* @private
+*/
+function findWinners(cardsObj, players, usePrivateCards=0, privateTieBreak=true) {
+   var highestScore = -1;
+   var winningPlayers = new Array();
+   var winningHands = new Array();
+   for (var count = 0; count < players.length; count++) {
+      var player = players[count];
+      var hands = cardsObj.hands[player.privateID];
+      for (var count2 = 0; count2 < hands.length; count2++) {
+         var handObj = hands[count2];
+         if (handObj.score == highestScore) {
+            //this may be a split pot; see below
+            winningPlayers.push(player);
+            winningHands.push(handObj);
+         } else if (handObj.score > highestScore) {
+            //new best hand
+            winningPlayers = new Array();
+            winningHands = new Array();
+            winningPlayers.push(player);
+            winningHands.push(handObj);
+            highestScore = handObj.score;
+         }
+      }
+   }
+   if ((winningPlayers.length > 1) && (privateTieBreak == false)) {
+      //only add each player once (since some hands generate multiple similar results)
+      var newWinningPlayers = new Array();
+      var newWinningHands = new Array();
+      for (count = 0; count < winningPlayers.length; count++) {
+         if (newWinningPlayers.indexOf(winningPlayers[count]) < 0) {
+            newWinningPlayers.push(winningPlayers[count]);
+            newWinningHands.push(winningHands[count]);
+         }
+      }
+      winningPlayers = newWinningPlayers;
+      winningHands = newWinningHands;
+   } else if (winningPlayers.length > 1) {
+      //need to look at both private cards since we currently have a potential split pot
+      var newWinningPlayers = new Array();
+      var newWinningHands = new Array();
+      var highestScore = 0;
+      for (count = 0; count < winningPlayers.length; count++) {
+         var winningHand = winningHands[count]; //indexes match with winningPlayers
+         var player = winningPlayers[count];
+         var playerPID = player.privateID;
+         var privateCards = cardsObj.private[playerPID];
+         if (usePrivateCards > 0) {
+            //only the private cards used in the hand
+            privateCards = winningHand.hand.filter(card => {
+               return (cardsObj.private[playerPID].indexOf(card) > -1);
+            });
+         }
+         var privateCard1 = privateCards[0];
+         var privateCard2 = privateCards[1];
+         //adjust score for highest card value
+         if (privateCard1.highvalue > privateCard2.highvalue) {
             var currentScore = (privateCard1.highvalue * 10) + privateCard2.highvalue;
          } else {
             currentScore = (privateCard2.highvalue * 10) + privateCard1.highvalue;
          }
-         winningHand.score = currentScore;
          if (currentScore > highestScore) {
             highestScore = currentScore;
             newWinningPlayers = new Array();
@@ -967,13 +1676,336 @@ async function scoreHands(contract) {
       winningPlayers = newWinningPlayers;
       winningHands = newWinningHands;
    }
-   cardsObj.winningPlayers = winningPlayers;
-   cardsObj.winningHands = winningHands;
-   //console.log ("Winning players:");
-   //console.dir (winningPlayers);
-   //console.log ("Winning Hands:");
-   //console.dir (winningHands);
-   return (cardsObj);
+   var returnObj = new Object();
+   returnObj.players = winningPlayers;
+   returnObj.hands = winningHands;
+   return (returnObj);
+}
+
+/**
+* Builds the main pot and any side pots from the bets committed by the players
+* of a contract. Each pot is capped at the smallest outstanding bet of a non-folded
+* player so that an all-in player is only eligible to win the amounts that they've matched.
+* Dead money (antes and dead blinds), is added to the main pot, or forms its own main pot if
+* a non-folded player is all-in without having bet.
+*
+* @param {ContractObject} contract The contract for which to build the pots.
+*
+* @return {Array} Indexed array of pot objects with the main pot at index 0 followed
+* by any side pots in the order that they were opened. Each object contains an <code>amount</code>
+* string, an <code>eligible</code> array of private IDs of players that may win it, and the
+* number of <code>contributors</code> to it.
+* @private
+*/
+function createPots(contract) {
+   var contributions = new Object();
+   var potPlayers = new Array();
+   for (var count=0; count < contract.players.length; count++) {
+      var totalBet = bigInt(contract.players[count].totalBet);
+      if (totalBet.greater(0)) {
+         contributions[contract.players[count].privateID] = totalBet;
+         potPlayers.push(contract.players[count]);
+      }
+   }
+   var pots = new Array();
+   while (true) {
+      var potCap = null;
+      for (count=0; count < potPlayers.length; count++) {
+         var player = potPlayers[count];
+         var contribution = contributions[player.privateID];
+         if ((player.hasFolded == false) && contribution.greater(0)) {
+            if ((potCap == null) || contribution.lesser(potCap)) {
+               potCap = contribution;
+            }
+         }
+      }
+      if (potCap == null) {
+         break;
+      }
+      var pot = new Object();
+      pot.amount = bigInt(0);
+      pot.eligible = new Array();
+      pot.contributors = 0;
+      for (count=0; count < potPlayers.length; count++) {
+         player = potPlayers[count];
+         contribution = contributions[player.privateID];
+         if (contribution.greater(0)) {
+            var share = bigInt.min(contribution, potCap);
+            pot.amount = pot.amount.add(share);
+            pot.contributors++;
+            contributions[player.privateID] = contribution.minus(share);
+            if (player.hasFolded == false) {
+               pot.eligible.push(player.privateID);
+            }
+         }
+      }
+      pots.push(pot);
+   }
+   //bets by folded players above the final cap belong to the last pot (they've already contributed to it)
+   var remainder = bigInt(0);
+   var remainderContributors = 0;
+   for (var privateID in contributions) {
+      if (contributions[privateID].greater(0)) {
+         remainder = remainder.add(contributions[privateID]);
+         remainderContributors++;
+      }
+   }
+   if (remainder.greater(0)) {
+      if (pots.length == 0) {
+         pot = new Object();
+         pot.amount = bigInt(0);
+         pot.eligible = new Array();
+         pot.contributors = remainderContributors;
+         for (count=0; count < contract.players.length; count++) {
+            if (contract.players[count].hasFolded == false) {
+               pot.eligible.push(contract.players[count].privateID);
+            }
+         }
+         pots.push(pot);
+      }
+      pots[pots.length-1].amount = pots[pots.length-1].amount.add(remainder);
+   }
+   //dead money (antes and dead blinds) belongs to the main pot
+   var deadMoney = bigInt(0);
+   var deadContributors = 0;
+   var separateDeadPot = (pots.length == 0);
+   for (count=0; count < contract.players.length; count++) {
+      player = contract.players[count];
+      if ((player.deadBet != undefined) && (player.deadBet != null) && bigInt(player.deadBet).greater(0)) {
+         deadMoney = deadMoney.add(bigInt(player.deadBet));
+         deadContributors++;
+      }
+      if ((player.hasFolded == false) && bigInt(player.totalBet).equals(0)) {
+         //a player went all-in on dead money alone so they may only win the dead money
+         separateDeadPot = true;
+      }
+   }
+   if (deadMoney.greater(0)) {
+      if (separateDeadPot) {
+         pot = new Object();
+         pot.amount = deadMoney;
+         pot.eligible = new Array();
+         pot.contributors = deadContributors;
+         for (count=0; count < contract.players.length; count++) {
+            if (contract.players[count].hasFolded == false) {
+               pot.eligible.push(contract.players[count].privateID);
+            }
+         }
+         pots.unshift(pot);
+      } else {
+         pots[0].amount = pots[0].amount.add(deadMoney);
+         pots[0].contributors = Math.max(pots[0].contributors, deadContributors);
+      }
+   }
+   for (count=0; count < pots.length; count++) {
+      pots[count].amount = pots[count].amount.toString(10);
+   }
+   return (pots);
+}
+
+/**
+* Pays out the main pot and any side pots of a contract to their winners' accounts.
+* A pot that is split is divided evenly between its winners with any indivisible
+* remainder going to the first winner. Any rake is taken from the pots (see {@link takeRake}),
+* before they're paid out.
+*
+* @param {ContractObject} contract The contract for which to pay out the pots. The
+* contract's <code>pots</code> property is set to the resulting pot breakdown.
+* @param {Array} pots The pot objects, as generated by {@link createPots}, each with
+* a <code>winners</code> array of private IDs.
+*
+* @return {Promise} Resolves with the <code>pots</code> array where each pot object
+* includes an <code>awards</code> object of name/value pairs with each name being the private
+* ID of a winner and the value being the amount awarded to them, and the <code>rake</code>
+* taken from the pot.
+* @private
+* @async
+*/
+async function awardPots(contract, pots) {
+   var rakeReport = await takeRake(contract, pots);
+   for (var count = 0; count < pots.length; count++) {
+      var pot = pots[count];
+      pot.awards = getPotAwards(pot);
+      for (var privateID in pot.awards) {
+         var winningPlayer = getPlayer(contract, privateID);
+         var result = await creditPlayer(contract, winningPlayer, pot.awards[privateID], "payout", "Pot award");
+      }
+   }
+   contract.pots = pots;
+   return (pots);
+}
+
+/**
+* Divides a pot, less its rake, evenly between its winners with any indivisible
+* remainder going to the first winner.
+*
+* @param {Object} pot The pot object, as generated by {@link createPots}, with a
+* <code>winners</code> array of private IDs and the <code>rake</code> taken from it.
+*
+* @return {Object} Name/value pairs with each name being the private ID of a winner
+* and the value being the amount awarded to them. The object is empty if the pot has
+* no winners.
+* @private
+*/
+function getPotAwards(pot) {
+   var awards = new Object();
+   if (pot.winners.length == 0) {
+      return (awards);
+   }
+   var potAmount = bigInt(pot.amount).minus(bigInt(pot.rake));
+   var winnings = potAmount.divide(pot.winners.length);
+   var oddAmount = potAmount.minus(winnings.times(pot.winners.length));
+   for (var count = 0; count < pot.winners.length; count++) {
+      var award = winnings;
+      if (count == 0) {
+         award = award.plus(oddAmount);
+      }
+      awards[pot.winners[count]] = award.toString(10);
+   }
+   return (awards);
+}
+
+/**
+* Calculates the rake to take from the pot(s) of a contract using the rules in
+* <code>config.CP.API.contract.rake</code>. The rake is a <code>percent</code> of each
+* contested pot (one with at least two contributors), up to a per-hand <code>cap</code>
+* ("0" for no cap), taken from the main pot first. If <code>noFlopNoDrop</code> is true, no
+* rake is taken from a hand that ended before the flop. Tournament contracts are never raked
+* since their pots contain tournament chips.
+*
+* @param {ContractObject} contract The contract for which to calculate the rake.
+* @param {Array} pots The pot objects, as generated by {@link createPots}, from which to take
+* the rake.
+*
+* @return {Object} A rake report containing the total rake <code>amount</code>, the
+* <code>percent</code>, <code>cap</code>, and <code>noFlopNoDrop</code> rules applied, and a
+* <code>pots</code> array containing the <code>amount</code> and <code>rake</code> of each pot.
+* @private
+*/
+function calculateRake(contract, pots) {
+   var rakeRules = config.CP.API.contract.rake;
+   var rakeReport = new Object();
+   rakeReport.amount = "0";
+   rakeReport.percent = 0;
+   rakeReport.cap = "0";
+   rakeReport.noFlopNoDrop = false;
+   rakeReport.pots = new Array();
+   var raking = true;
+   if ((rakeRules == undefined) || (rakeRules == null) || (rakeRules.enabled != true)) {
+      raking = false;
+   } else {
+      rakeReport.percent = Number(rakeRules.percent);
+      rakeReport.cap = bigInt(rakeRules.cap).toString(10);
+      rakeReport.noFlopNoDrop = rakeRules.noFlopNoDrop;
+   }
+   if (isTournament(contract)) {
+      raking = false;
+   }
+   if ((rakeReport.noFlopNoDrop == true) && (publicCardsDeals(contract).length == 0)) {
+      //no flop, no drop
+      raking = false;
+   }
+   //percent is applied in basis points to avoid fractional amounts
+   var basisPoints = Math.round(rakeReport.percent * 100);
+   var cap = bigInt(rakeReport.cap);
+   var totalRake = bigInt(0);
+   for (var count = 0; count < pots.length; count++) {
+      var potRake = bigInt(0);
+      if (raking && (pots[count].contributors > 1)) {
+         potRake = bigInt(pots[count].amount).times(basisPoints).divide(10000);
+         if (cap.greater(0)) {
+            potRake = bigInt.min(potRake, cap.minus(totalRake));
+         }
+      }
+      totalRake = totalRake.plus(potRake);
+      var potReport = new Object();
+      potReport.amount = bigInt(pots[count].amount).toString(10);
+      potReport.rake = potRake.toString(10);
+      rakeReport.pots.push(potReport);
+   }
+   rakeReport.amount = totalRake.toString(10);
+   return (rakeReport);
+}
+
+/**
+* Returns the operator account to which rake is credited for a contract's currency, as
+* set in <code>config.CP.API.contract.rake.accounts</code>.
+*
+* @param {ContractObject} contract The contract for which to retrieve the operator account.
+*
+* @return {Promise} Resolves with the operator's latest account row or <code>null</code> if
+* no operator account exists for the contract's currency type and network.
+* @private
+* @async
+*/
+async function getRakeAccount(contract) {
+   var currency = contract.table.tableInfo.currency;
+   var accounts = config.CP.API.contract.rake.accounts;
+   if ((accounts == undefined) || (accounts == null) || (typeof(accounts[currency.type]) != "object")) {
+      return (null);
+   }
+   var address = accounts[currency.type][currency.network];
+   if ((address == undefined) || (address == null) || (address == "")) {
+      return (null);
+   }
+   var searchObj = new Object();
+   searchObj.address = address;
+   searchObj.type = currency.type;
+   searchObj.network = currency.network;
+   var accountResult = await namespace.cp.getAccount(searchObj);
+   if ((accountResult == null) || (accountResult.length == 0)) {
+      return (null);
+   }
+   return (accountResult[0]);
+}
+
+/**
+* Takes the rake from the pot(s) of a contract, as calculated by {@link calculateRake},
+* and credits it to the operator account (see {@link getRakeAccount}). If no operator
+* account exists for the contract's currency, no rake is taken. The resulting rake report
+* is stored in the contract's <code>history.rake</code> object.
+*
+* @param {ContractObject} contract The contract from which to take the rake.
+* @param {Array} [pots=null] The pot objects, as generated by {@link createPots}, from which to
+* take the rake. Each pot object's <code>rake</code> property is set to the amount taken from it. If
+* <code>null</code>, the rake is taken from the contract's entire <code>pot</code> as a single pot.
+*
+* @return {Promise} Resolves with the rake report stored in the contract's <code>history.rake</code>
+* object. Rejects with an <code>Error</code> if the operator account couldn't be credited.
+* @private
+* @async
+*/
+async function takeRake(contract, pots=null) {
+   if (pots == null) {
+      var pot = new Object();
+      pot.amount = contract.pot;
+      pot.contributors = 0;
+      for (var count = 0; count < contract.players.length; count++) {
+         if (bigInt(contract.players[count].totalBet).greater(0)) {
+            pot.contributors++;
+         }
+      }
+      pots = [pot];
+   }
+   var rakeReport = calculateRake(contract, pots);
+   if (bigInt(rakeReport.amount).greater(0)) {
+      var accountRow = await getRakeAccount(contract);
+      if (accountRow == null) {
+         var currency = contract.table.tableInfo.currency;
+         console.error("No operator account for "+currency.type+"/"+currency.network+" rake. Rake not taken.");
+         rakeReport.amount = "0";
+         for (count = 0; count < rakeReport.pots.length; count++) {
+            rakeReport.pots[count].rake = "0";
+         }
+      } else {
+         var result = await addToAccountBalance(accountRow, rakeReport.amount, null, "rake", contract.contractID, "Table rake");
+      }
+   }
+   for (count = 0; count < pots.length; count++) {
+      pots[count].rake = rakeReport.pots[count].rake;
+   }
+   contract.history.rake = rakeReport;
+   return (rakeReport);
 }
 
 /**
@@ -1223,26 +2255,31 @@ function fixDealsOrder(contract) {
 
 /**
 * Checks to see if any of a contract's players have timed out and returns the list
-* of those that have.
+* of those that have. A player times out once both the <code>timeoutThreshold</code>
+* and their remaining time bank (see {@link assignTimeBanks}), have elapsed.
 *
 * @param {ContractObject} contract The contract to analyze.
 * @param {Number} [timeoutThreshold=20] The number of seconds to elapse before a
-* player is considered timed out.
+* player starts using their time bank.
+* @param {Date} [currentTimestamp=null] The date/time at which to evaluate the timeout.
+* If omitted, the current system time is used.
 *
 * @return {Array} A list of all players that have timed out. This will usually only
-* be a single player who's <code>updated</code> property is the oldest but may be more
-* than one if they're exactly the same.
+* be a single player who's timeout expired first but may be more than one if they
+* expired at exactly the same time.
 * @private
 */
-function checkContractTimeout(contract, timeoutThreshold=20) {
-   var currentTimestamp = new Date();
+function checkContractTimeout(contract, timeoutThreshold=20, currentTimestamp=null) {
+   if (currentTimestamp == null) {
+      currentTimestamp = new Date();
+   }
    var timedoutPlayers = new Array();
    for (var count=0; count < contract.players.length; count++) {
       if (typeof(contract.players[count].updated) == "string") {
-         var playerTimestamp = new Date(contract.players[count].updated);
+         var playerTimestamp = getTimeoutExpiry(contract.players[count], timeoutThreshold);
          //we assume that player timestamp is always in the past or at the most present
          //with respect to the system time:
-         if ((currentTimestamp.valueOf() - playerTimestamp.valueOf()) >= (timeoutThreshold * 1000)) {
+         if (currentTimestamp.valueOf() >= playerTimestamp.valueOf()) {
             timedoutPlayers.push(contract.players[count]);
          }
       }
@@ -1250,15 +2287,15 @@ function checkContractTimeout(contract, timeoutThreshold=20) {
    var returnPlayers = new Array();
    if (timedoutPlayers.length > 0) {
       var oldestPlayer = timedoutPlayers[0];
-      var oldestTimestamp = new Date(oldestPlayer.updated);
+      var oldestTimestamp = getTimeoutExpiry(oldestPlayer, timeoutThreshold);
       for (count=0; count < timedoutPlayers.length; count++) {
-         var playerTimestamp = new Date(timedoutPlayers[count].updated);
+         var playerTimestamp = getTimeoutExpiry(timedoutPlayers[count], timeoutThreshold);
          if (playerTimestamp.valueOf() < oldestTimestamp.valueOf()) {
             //we have a new oldest timestamp
             returnPlayers = new Array();
             returnPlayers.push(timedoutPlayers[count]);
             oldestPlayer = timedoutPlayers[count];
-            oldestTimestamp = new Date(oldestPlayer.updated);
+            oldestTimestamp = getTimeoutExpiry(oldestPlayer, timeoutThreshold);
          } else if (oldestTimestamp.valueOf() == playerTimestamp.valueOf()) {
             //it's the same
             returnPlayers.push(timedoutPlayers[count]);
@@ -1270,6 +2307,122 @@ function checkContractTimeout(contract, timeoutThreshold=20) {
    return (returnPlayers);
 }
 
+/**
+* Returns the date/time at which a contract player times out, which is their <code>updated</code>
+* time plus the timeout and any time remaining in their time bank.
+*
+* @param {Object} player The contract player object for which to calculate the expiry.
+* @param {Number} timeoutThreshold The base timeout, in seconds.
+*
+* @return {Date} The date/time at which the player times out.
+* @private
+*/
+function getTimeoutExpiry(player, timeoutThreshold) {
+   var timeBank = 0;
+   if (typeof(player.timeBank) == "number") {
+      timeBank = player.timeBank;
+   }
+   var expiry = new Date(player.updated);
+   expiry.setTime(expiry.valueOf() + ((timeoutThreshold + timeBank) * 1000));
+   return (expiry);
+}
+
+/**
+* Returns the time bank settings of a table. A table's <code>tableInfo.timeBank</code> is the number
+* of seconds in each player's time bank and <code>tableInfo.timeBankHands</code> is the number of
+* games (hands) after which time banks are replenished. If omitted, the <code>config.CP.API.contract.timeBank</code>
+* <code>seconds</code> and <code>hands</code> are used.
+*
+* @param {ContractObject|TableObject} tableOrContract The table, or contract containing the
+* <code>table</code>, for which to retrieve the time bank settings.
+*
+* @return {Object} Contains the time bank <code>seconds</code> (0 if time banks are disabled),
+* and the number of <code>hands</code> after which time banks are replenished.
+* @private
+*/
+function getTimeBankSettings(tableOrContract) {
+   var tableObj = tableOrContract;
+   if ((tableOrContract.table != undefined) && (tableOrContract.table != null)) {
+      tableObj = tableOrContract.table;
+   }
+   var returnObj = new Object();
+   returnObj.seconds = config.CP.API.contract.timeBank.seconds;
+   returnObj.hands = config.CP.API.contract.timeBank.hands;
+   if (typeof(tableObj.tableInfo.timeBank) == "number") {
+      returnObj.seconds = tableObj.tableInfo.timeBank;
+   }
+   if (typeof(tableObj.tableInfo.timeBankHands) == "number") {
+      returnObj.hands = tableObj.tableInfo.timeBankHands;
+   }
+   return (returnObj);
+}
+
+/**
+* Assigns each player of a new contract (hand) their remaining time bank, in seconds, as their
+* <code>timeBank</code> property. Time banks are tracked per table in the <code>namespace.cp.timeBanks</code>
+* object since they outlive the individual contracts played at the table. A player joining a table
+* starts with a full time bank and all time banks are replenished after every
+* <code>hands</code> games (see {@link getTimeBankSettings}).
+*
+* @param {ContractObject} contract The new contract to which to assign time banks.
+*
+* @private
+*/
+function assignTimeBanks(contract) {
+   var settings = getTimeBankSettings(contract);
+   var tableID = contract.table.tableID;
+   var tableBanks = namespace.cp.timeBanks[tableID];
+   if ((tableBanks == undefined) || (tableBanks == null)) {
+      tableBanks = new Object();
+      tableBanks.handsPlayed = 0;
+      tableBanks.players = new Object();
+      namespace.cp.timeBanks[tableID] = tableBanks;
+   }
+   if ((tableBanks.handsPlayed > 0) && (settings.hands > 0) && ((tableBanks.handsPlayed % settings.hands) == 0)) {
+      tableBanks.players = new Object();
+   }
+   tableBanks.handsPlayed++;
+   for (var count = 0; count < contract.players.length; count++) {
+      var player = contract.players[count];
+      if (typeof(tableBanks.players[player.privateID]) != "number") {
+         tableBanks.players[player.privateID] = settings.seconds;
+      }
+      player.timeBank = tableBanks.players[player.privateID];
+   }
+}
+
+/**
+* Deducts any time that a contract player took to act beyond the table's timeout from their
+* time bank. Both the contract player's <code>timeBank</code> and the table's time bank tracking
+* (see {@link assignTimeBanks}), are updated. This function should be called when the player acts
+* but before their <code>updated</code> time is reset.
+*
+* @param {ContractObject} contract The contract containing the player.
+* @param {Object} player The player object, within the <code>contract</code>, that has just acted.
+* @param {Date} [currentTimestamp=null] The date/time at which the player acted. If omitted,
+* the current system time is used.
+*
+* @private
+*/
+function chargeTimeBank(contract, player, currentTimestamp=null) {
+   if ((player == null) || (typeof(player.updated) != "string") || (typeof(player.timeBank) != "number")) {
+      return;
+   }
+   if (currentTimestamp == null) {
+      currentTimestamp = new Date();
+   }
+   var elapsed = (currentTimestamp.valueOf() - new Date(player.updated).valueOf()) / 1000;
+   var overtime = Math.ceil(elapsed - contract.table.tableInfo.timeout);
+   if (overtime <= 0) {
+      return;
+   }
+   player.timeBank = Math.max(player.timeBank - overtime, 0);
+   var tableBanks = namespace.cp.timeBanks[contract.table.tableID];
+   if ((tableBanks != undefined) && (tableBanks != null)) {
+      tableBanks.players[player.privateID] = player.timeBank;
+   }
+}
+
 /**
 * Immediately applies a specific penalty to the supplied player(s)
 * associated with a contract.
@@ -1278,10 +2431,12 @@ function checkContractTimeout(contract, timeoutThreshold=20) {
 * the penalty.
 * @param {Array} playerPIDs The player(s) to be penalized.
 * @param {String} penaltyType The type of infraction that the player committed, to
-* be correlated to the penalty.
+* be correlated to the penalty: "timeout", "validate", or "commitment" (a revealed keychain
+* that doesn't match the player's commitment, penalized in the same way as a failed validation).
 *
-* @return {Promise} Resolves with an object containing details about the penalty applied.
-* Rejects with an {@link Error} object.
+* @return {Promise} Resolves with an object containing details about the penalty applied,
+* including the <code>rake</code> taken (see {@link takeRake}), if the pot was forfeited to
+* non-penalized players. Rejects with an {@link Error} object.
 * @private
 * @async
 */
@@ -1321,6 +2476,11 @@ async function applyPenalty (contract, playerPIDs, penaltyType) {
          if (distributionPIDs.length == 0) {
             //everyone timed out equally at some critical step / contract is simply refunded
             distributionPIDs = penalizedPIDs;
+         } else {
+            //the pot is forfeited to the remaining players
+            var rakeReport = await takeRake(contract);
+            distributionAmount = distributionAmount.minus(rakeReport.amount);
+            penaltyReport.rake = rakeReport.amount;
          }
          var perPlayerAmount = distributionAmount.divide(distributionPIDs.length);
          for (count = 0; count < distributionPIDs.length; count++) {
@@ -1329,14 +2489,9 @@ async function applyPenalty (contract, playerPIDs, penaltyType) {
                var currentPlayerBalance = bigInt(currentPlayer.balance);
                currentPlayerBalance = currentPlayerBalance.plus(perPlayerAmount);
                currentPlayer.balance = currentPlayerBalance.toString(10);
-               var searchObj = new Object();
-               searchObj.address = currentPlayer.account.address;
-               searchObj.type = currentPlayer.account.type;
-               searchObj.network = currentPlayer.account.network;
-               var accountResult = await namespace.cp.getAccount(searchObj);
-               //subtract buy-in from account and deposit to contract
+               //return balance and award from contract to account
                try {
-                  var result = await addToAccountBalance(accountResult[0], currentPlayer.balance, contract);
+                  var result = await creditPlayer(contract, currentPlayer, currentPlayer.balance, "penalty", "Balance and award from \""+penaltyType+"\" penalty");
                   //save game contract here
                   var awardObj = new Object();
                   awardObj.privateID = currentPlayer.privateID;
@@ -1350,6 +2505,7 @@ async function applyPenalty (contract, playerPIDs, penaltyType) {
             }
          }
          break;
+      case "commitment":
       case "validate":
          //distributes all penalized players' funds (bets and balance) to other players
          penaltyReport.penalized = new Array();
@@ -1381,6 +2537,11 @@ async function applyPenalty (contract, playerPIDs, penaltyType) {
             for (count = 0; count < contract.players.length; count++) {
                distributionPIDs.push(contract.players[count].privateID);
             }
+         } else if (playerPIDs.length > 0) {
+            //the pot is forfeited to the remaining players
+            var rakeReport = await takeRake(contract);
+            distributionAmount = distributionAmount.minus(rakeReport.amount);
+            penaltyReport.rake = rakeReport.amount;
          }
          var perPlayerAmount = distributionAmount.divide(distributionPIDs.length); //per non-penalilzed player
          for (count = 0; count < distributionPIDs.length; count++) {
@@ -1388,14 +2549,9 @@ async function applyPenalty (contract, playerPIDs, penaltyType) {
             var currentPlayerBalance = bigInt(currentPlayer.balance);
             currentPlayerBalance = currentPlayerBalance.plus(perPlayerAmount);
             currentPlayer.balance = currentPlayerBalance.toString(10);
-            var searchObj = new Object();
-            searchObj.address = currentPlayer.account.address;
-            searchObj.type = currentPlayer.account.type;
-            searchObj.network = currentPlayer.account.network;
-            var accountResult = await namespace.cp.getAccount(searchObj);
-            //subtract buy-in from account and deposit to contract
+            //return balance and award from contract to account
             try {
-               var result = await addToAccountBalance(accountResult[0], currentPlayer.balance, contract);
+               var result = await creditPlayer(contract, currentPlayer, currentPlayer.balance, "penalty", "Balance and award from \""+penaltyType+"\" penalty");
                //save game contract here
                var awardObj = new Object();
                awardObj.privateID = currentPlayer.privateID;
@@ -1416,694 +2572,3465 @@ async function applyPenalty (contract, playerPIDs, penaltyType) {
 }
 
 /**
-* Returns the next deal object / action for a specified player from a list of
-* deals.
-*
-* @param {Array} dealsArray An indexed array of deal objects for a specific player
-* (usually the "select" initiator).
-* @param {String} fromPID The private ID of the player for which to get the next action
-* within the <code>dealsArray</code>.
-* @param {Number} actionIndex The numeric index (0-based), of the action to retrieve
-* for <code>fromPID</code> from within the <code>dealsArray</code>.
+* Returns the length of the appeal window of validation disputes, as defined in the
+* <code>config.CP.API.contract.dispute.window</code> setting.
 *
-* @return {Object} The deal by <code>fromPID</code> matching the parameters
-* or <code>null</code> if none can be found.
+* @return {Number} The number of seconds that penalized players have to appeal a failed
+* contract validation. If 0, the validation penalty is applied immediately.
 * @private
 */
-function getNextDealAction(dealsArray, fromPID, actionIndex) {
-   var actionCounter = 0;
-   for (var count=0; count < dealsArray.length; count++) {
-      var currentDeal = dealsArray[count];
-      if (currentDeal.fromPID == fromPID) {
-         if (actionIndex == actionCounter) {
-            return (currentDeal);
-         } else {
-            actionCounter++;
-         }
-      }
+function getDisputeWindow() {
+   var disputeConfig = config.CP.API.contract.dispute;
+   if ((disputeConfig == undefined) || (disputeConfig == null)) {
+      return (0);
    }
-   return (null);
+   if ((typeof(disputeConfig.window) != "number") || (disputeConfig.window < 0)) {
+      return (0);
+   }
+   return (disputeConfig.window);
 }
 
 /**
-* Compares two card decks of either plaintext mappings or encrypted
-* card values, regardless of their order.
+* Opens a validation dispute for a contract that has failed analysis (see {@link analyzeCards}).
+* The "validate" penalty (see {@link applyPenalty}) is held until the dispute is closed, either
+* by the penalized players' appeals (see {@link appealDispute}) or by the expiry of the
+* appeal window (see {@link closeExpiredDispute}).
 *
-* @param {Array} deckArr1 First array of numeric strings to compare.
-* @param {Array} deckArr2 Second array of numeric strings to compare.
+* @param {ContractObject} contract The contract for which to open the dispute.
+* @param {Error} analysisError The error thrown by {@link analyzeCards}, including the
+* <code>failedPIDs</code> of the players to penalize.
 *
-* @return {Boolean} True if both decks have exactly the same elements (regardless of order),
-* false if there's a difference.
+* @return {DisputeObject} The newly-opened dispute, also set as the contract's <code>dispute</code>.
 * @private
 */
-function compareDecks(deck1Arr, deck2Arr) {
-   if (deck1Arr.length != deck2Arr.length)  {
+function openDispute(contract, analysisError) {
+   var now = new Date();
+   var expires = new Date(now.valueOf() + (getDisputeWindow() * 1000));
+   var dispute = new Object();
+   dispute.status = "open";
+   dispute.reason = analysisError.message;
+   dispute.penalizedPIDs = Array.from(analysisError.failedPIDs);
+   dispute.opened = now.toISOString();
+   dispute.expires = expires.toISOString();
+   dispute.evidence = new Object();
+   dispute.outcome = null;
+   dispute.closed = null;
+   contract.dispute = dispute;
+   setTimeout(() => {
+      closeExpiredDispute(contract).catch(err => {
+         console.error(err.stack);
+      });
+   }, (getDisputeWindow() * 1000) + 1000);
+   return (dispute);
+}
+
+/**
+* Checks if a contract has an open validation dispute.
+*
+* @param {ContractObject} contract The contract to check.
+*
+* @return {Boolean} True if the contract has an open dispute.
+* @private
+*/
+function isDisputed(contract) {
+   if ((contract.dispute == undefined) || (contract.dispute == null)) {
       return (false);
    }
-   var deck1 = Array.from(deck1Arr);
-   var deck2 = Array.from(deck2Arr);
-   while (deck1.length > 0) {
-      var currentCard = deck1.splice(0, 1);
-      var index = 0;
-      while (index < deck2.length) {
-         var compareCard = deck2[index];
-         if (compareCard == currentCard) {
-            deck2.splice(index, 1);
-            break;
-         }
+   return (contract.dispute.status == "open");
+}
+
+/**
+* Stores a penalized player's appeal evidence with a contract's open dispute and re-runs
+* {@link analyzeCards} on a copy of the contract using the submitted keychain(s). If
+* the analysis passes the dispute is overturned, and if every penalized player's appeal
+* has failed the dispute is upheld (see {@link resolveDispute}). Otherwise the dispute
+* remains open until the remaining appeals are submitted or the appeal window closes.
+*
+* @param {ContractObject} contract The disputed contract.
+* @param {String} privateID The private ID of the appellant.
+* @param {Array} keychain The appellant's full keychain.
+* @param {Array} history The appellant's message history; the contract snapshots received
+* during the hand, newest first (see {@link CypherPokerContract#history}).
+*
+* @return {Promise} Resolves with the contract's {@link DisputeObject}.
+* @private
+* @async
+*/
+async function appealDispute(contract, privateID, keychain, history) {
+   var dispute = contract.dispute;
+   var evidenceObj = new Object();
+   evidenceObj.keychain = keychain;
+   evidenceObj.history = history;
+   evidenceObj.submitted = new Date().toISOString();
+   evidenceObj.historyMatch = historyMatches(contract, history);
+   evidenceObj.error = null;
+   dispute.evidence[privateID] = evidenceObj;
+   if (keychainMatchesCommitment(contract, privateID, keychain) == false) {
+      evidenceObj.error = "Keychain does not match commitment.";
+   }
+   var evidenceContract = JSON.parse(JSON.stringify(contract));
+   for (var PID in dispute.evidence) {
+      evidenceContract.history.keychains[PID] = dispute.evidence[PID].keychain;
+   }
+   evidenceContract.history.analysis = null;
+   if (evidenceObj.error == null) {
+      try {
+         await analyzeCards(evidenceContract);
+      } catch (err) {
+         evidenceObj.error = err.message;
+      }
+   }
+   if (evidenceObj.error == null) {
+      await resolveDispute(contract, "overturned");
+      return (dispute);
+   }
+   var pendingPIDs = dispute.penalizedPIDs.filter(penalizedPID => {
+      return ((dispute.evidence[penalizedPID] == undefined) || (dispute.evidence[penalizedPID] == null));
+   });
+   if (pendingPIDs.length == 0) {
+      await resolveDispute(contract, "upheld");
+   } else {
+      await saveContract(contract);
+      sendContractMessage("contractdispute", contract);
+   }
+   return (dispute);
+}
+
+/**
+* Checks whether an appellant's message history agrees with the card encryption
+* history recorded by a contract.
+*
+* @param {ContractObject} contract The disputed contract.
+* @param {Array} history The appellant's contract snapshots, newest first.
+*
+* @return {Boolean} True if the newest snapshot containing a deck history matches the
+* contract's deck history at every encryption stage.
+* @private
+*/
+function historyMatches(contract, history) {
+   for (var count = 0; count < history.length; count++) {
+      var snapshot = history[count];
+      if ((typeof(snapshot) != "object") || (snapshot == null)) {
+         continue;
+      }
+      if ((typeof(snapshot.history) != "object") || (snapshot.history == null)) {
+         continue;
+      }
+      var snapshotDeck = snapshot.history.deck;
+      if ((typeof(snapshotDeck) != "object") || (snapshotDeck == null) || (typeof(snapshotDeck.length) != "number")) {
+         continue;
+      }
+      if (snapshotDeck.length != contract.history.deck.length) {
+         return (false);
+      }
+      for (var count2 = 0; count2 < snapshotDeck.length; count2++) {
+         if (snapshotDeck[count2].fromPID != contract.history.deck[count2].fromPID) {
+            return (false);
+         }
+         try {
+            if (compareDecks(snapshotDeck[count2].cards, contract.history.deck[count2].cards) == false) {
+               return (false);
+            }
+         } catch (err) {
+            return (false);
+         }
+      }
+      return (true);
+   }
+   return (false);
+}
+
+/**
+* Closes a contract's open dispute if its appeal window has expired, upholding the
+* validation penalty (see {@link resolveDispute}).
+*
+* @param {ContractObject} contract The disputed contract.
+*
+* @return {Promise} Resolves with <code>true</code> if the dispute was closed, or
+* <code>false</code> if it's still open or was already closed.
+* @private
+* @async
+*/
+async function closeExpiredDispute(contract) {
+   if (isDisputed(contract) == false) {
+      return (false);
+   }
+   var expires = new Date(contract.dispute.expires);
+   if (new Date().valueOf() < expires.valueOf()) {
+      return (false);
+   }
+   await resolveDispute(contract, "upheld");
+   return (true);
+}
+
+/**
+* Closes a contract's dispute with a recorded outcome and settles the contract. An
+* "upheld" dispute applies the held "validate" penalty to the penalized players (see
+* {@link applyPenalty}), while an "overturned" dispute re-analyzes the contract with the
+* appellants' keychains and scores and pays out the hand as usual. Players are notified
+* with a "contractdispute" message.
+*
+* @param {ContractObject} contract The disputed contract.
+* @param {String} outcome The outcome of the dispute: "upheld" or "overturned".
+*
+* @private
+* @async
+*/
+async function resolveDispute(contract, outcome) {
+   var dispute = contract.dispute;
+   dispute.status = "closed";
+   dispute.outcome = outcome;
+   dispute.closed = new Date().toISOString();
+   if (outcome == "overturned") {
+      for (var PID in dispute.evidence) {
+         contract.history.keychains[PID] = dispute.evidence[PID].keychain;
+      }
+      await analyzeCards(contract);
+      var scoreResult = await scoreHands(contract);
+      await awardPots(contract, scoreResult.pots);
+      for (var count = 0; count < contract.players.length; count++) {
+         var currentPlayer = contract.players[count];
+         await creditPlayer(contract, currentPlayer, currentPlayer.balance, "payout", "Remaining contract balance");
+      }
+   } else {
+      contract.penalty = await applyPenalty(contract, dispute.penalizedPIDs, "validate");
+   }
+   if (isTournament(contract)) {
+      await updateTournament(contract);
+   }
+   contract.invalid = true;
+   await saveContract(contract);
+   sendContractMessage("contractdispute", contract);
+   if (outcome == "overturned") {
+      sendContractMessage("contractend", contract, null, null, {record:getHandRecord(contract)});
+   }
+}
+
+/**
+* Returns the publicly-reportable status of a contract's dispute, omitting the
+* appellants' submitted evidence.
+*
+* @param {ContractObject} contract The disputed contract.
+*
+* @return {Object} The dispute's <code>status</code>, <code>reason</code>, <code>penalizedPIDs</code>,
+* <code>opened</code>, <code>expires</code>, <code>outcome</code>, and <code>closed</code> date, and the
+* <code>appeals</code> indexed by appellant private ID, each including the <code>submitted</code> date,
+* <code>historyMatch</code>, and re-run analysis <code>error</code>.
+* @private
+*/
+function getDisputeInfo(contract) {
+   var dispute = contract.dispute;
+   var infoObj = new Object();
+   infoObj.contractID = contract.contractID;
+   infoObj.status = dispute.status;
+   infoObj.reason = dispute.reason;
+   infoObj.penalizedPIDs = Array.from(dispute.penalizedPIDs);
+   infoObj.opened = dispute.opened;
+   infoObj.expires = dispute.expires;
+   infoObj.outcome = dispute.outcome;
+   infoObj.closed = dispute.closed;
+   infoObj.appeals = new Object();
+   for (var privateID in dispute.evidence) {
+      var evidenceObj = dispute.evidence[privateID];
+      var appealObj = new Object();
+      appealObj.submitted = evidenceObj.submitted;
+      appealObj.historyMatch = evidenceObj.historyMatch;
+      appealObj.error = evidenceObj.error;
+      infoObj.appeals[privateID] = appealObj;
+   }
+   return (infoObj);
+}
+
+/**
+* Generates an exportable record of a contract (hand) that has been paid out, from which
+* the hand can be replayed and verified with {@link verifyHandRecord}.
+*
+* @param {ContractObject} contract The contract for which to generate the record.
+*
+* @return {HandRecordObject} The hand record, or <code>null</code> if the contract's
+* pots haven't been paid out (e.g. it was cancelled or penalized).
+* @private
+*/
+function getHandRecord(contract) {
+   if ((contract.pots == undefined) || (contract.pots == null)) {
+      return (null);
+   }
+   var record = new Object();
+   record.version = 1;
+   record.created = new Date().toISOString();
+   record.contractID = contract.contractID;
+   record.ownerPID = contract.ownerPID;
+   record.table = new Object();
+   record.table.tableID = contract.table.tableID;
+   record.table.tableName = contract.table.tableName;
+   record.table.ownerPID = contract.table.ownerPID;
+   record.table.tableInfo = JSON.parse(JSON.stringify(contract.table.tableInfo));
+   if ((record.table.tableInfo.variant == undefined) || (record.table.tableInfo.variant == null) || (record.table.tableInfo.variant == "")) {
+      //the verifier's default variant may differ
+      record.table.tableInfo.variant = config.CP.API.contract.defaultVariant;
+   }
+   record.prime = contract.prime;
+   record.faceup = JSON.parse(JSON.stringify(contract.cardDecks.faceup));
+   record.players = new Array();
+   for (var count = 0; count < contract.players.length; count++) {
+      var player = contract.players[count];
+      var playerRecord = new Object();
+      playerRecord.privateID = player.privateID;
+      playerRecord.balance = player.balance;
+      playerRecord.totalBet = player.totalBet;
+      playerRecord.deadBet = player.deadBet;
+      playerRecord.hasFolded = player.hasFolded;
+      record.players.push(playerRecord);
+   }
+   record.pot = contract.pot;
+   var history = contract.history;
+   record.history = new Object();
+   record.history.deck = history.deck;
+   record.history.deals = history.deals;
+   record.history.reveals = history.reveals;
+   record.history.runTwice = history.runTwice;
+   record.history.keychains = history.keychains;
+   record.history.commitments = history.commitments;
+   record.history.rake = history.rake;
+   record.history = JSON.parse(JSON.stringify(record.history));
+   record.pots = JSON.parse(JSON.stringify(contract.pots));
+   return (record);
+}
+
+/**
+* Rebuilds a contract object from a hand record with enough of the original contract's
+* structure to be analyzed and scored.
+*
+* @param {HandRecordObject} record The hand record from which to rebuild the contract.
+*
+* @return {ContractObject} The rebuilt contract. Its <code>history.analysis</code> is
+* cleared.
+* @private
+*/
+function contractFromHandRecord(record) {
+   var contract = new Object();
+   contract.contractID = record.contractID;
+   contract.ownerPID = record.ownerPID;
+   contract.table = JSON.parse(JSON.stringify(record.table));
+   contract.prime = record.prime;
+   contract.players = JSON.parse(JSON.stringify(record.players));
+   contract.pot = record.pot;
+   contract.cardDecks = new Object();
+   contract.cardDecks.faceup = JSON.parse(JSON.stringify(record.faceup));
+   contract.history = JSON.parse(JSON.stringify(record.history));
+   if ((contract.history.deals == undefined) || (contract.history.deals == null)) {
+      contract.history.deals = new Object();
+   }
+   contract.history.analysis = null;
+   return (contract);
+}
+
+/**
+* Verifies a hand record by replaying the hand. The face-up deck is checked against the
+* generated deck, each player's revealed keychain is checked against their commitment,
+* the deck encryption and every card decryption are re-run with the revealed keychains
+* (see {@link analyzeCards}), and the resulting hands are re-scored (see {@link scoreHands}).
+* Finally the pots, their winners, and the amounts awarded from them (less the recorded rake),
+* are re-calculated and compared to the recorded payouts. As when the contract was paid out,
+* a hand in which all but one player folded is awarded to the remaining player without analysis.
+*
+* @param {HandRecordObject} record The hand record to verify.
+*
+* @return {Promise} Resolves with a verification report containing the <code>contractID</code>,
+* whether the hand was <code>verified</code>, an array of <code>errors</code> describing any
+* discrepancies, the analyzed <code>cards</code> (the <code>private</code>, <code>public</code>,
+* <code>up</code>, and <code>secondBoard</code> cards, or <code>null</code> if the hand wasn't analyzed),
+* and the re-calculated <code>pots</code>. Rejects with an <code>Error</code> if the record is malformed.
+* @private
+* @async
+*/
+async function verifyHandRecord(record) {
+   if ((typeof(record) != "object") || (record == null)) {
+      throw (new Error("Invalid hand record."));
+   }
+   if (record.version != 1) {
+      throw (new Error("Unsupported hand record version."));
+   }
+   if ((typeof(record.table) != "object") || (record.table == null) || (typeof(record.table.tableInfo) != "object") || (record.table.tableInfo == null)) {
+      throw (new Error("Invalid hand record table."));
+   }
+   if ((typeof(record.history) != "object") || (record.history == null) || (typeof(record.history.deck) != "object") ||
+      (record.history.deck == null) || (typeof(record.history.deck.length) != "number") || (record.history.deck.length == 0)) {
+      throw (new Error("Invalid hand record history."));
+   }
+   if ((typeof(record.history.keychains) != "object") || (record.history.keychains == null)) {
+      throw (new Error("Invalid hand record keychains."));
+   }
+   var arrays = [record.faceup, record.players, record.pots];
+   for (var count = 0; count < arrays.length; count++) {
+      if ((typeof(arrays[count]) != "object") || (arrays[count] == null) || (typeof(arrays[count].length) != "number")) {
+         throw (new Error("Invalid hand record."));
+      }
+   }
+   var contract = contractFromHandRecord(record);
+   if (getVariant(contract) == null) {
+      throw (new Error("Unsupported game variant \""+contract.table.tableInfo.variant+"\"."));
+   }
+   var report = new Object();
+   report.contractID = record.contractID;
+   report.verified = false;
+   report.errors = new Array();
+   report.cards = null;
+   report.pots = new Array();
+   var mappings = new Array();
+   for (count = 0; count < contract.cardDecks.faceup.length; count++) {
+      var card = contract.cardDecks.faceup[count];
+      if (card.mapping != undefined) {
+         mappings.push(card.mapping);
+      } else {
+         mappings.push(card._mapping);
+      }
+   }
+   if (containsDuplicates(mappings) || (compareDecks(mappings, contract.history.deck[0].cards) == false)) {
+      report.errors.push("Face-up card mappings don't match the generated deck.");
+      return (report);
+   }
+   var nonFoldedPlayers = new Array();
+   for (count = 0; count < contract.players.length; count++) {
+      var player = contract.players[count];
+      var keychain = contract.history.keychains[player.privateID];
+      if ((keychain == undefined) || (keychain == null)) {
+         report.errors.push("No keychain revealed by \""+player.privateID+"\".");
+      } else if (keychainMatchesCommitment(contract, player.privateID, keychain) == false) {
+         report.errors.push("Keychain revealed by \""+player.privateID+"\" does not match commitment.");
+      }
+      if (player.hasFolded == false) {
+         nonFoldedPlayers.push(player);
+      }
+   }
+   if (report.errors.length > 0) {
+      return (report);
+   }
+   if (nonFoldedPlayers.length > 1) {
+      try {
+         var cardsObj = await analyzeCards(contract);
+      } catch (err) {
+         report.errors.push(err.message);
+         return (report);
+      }
+      report.cards = new Object();
+      report.cards.private = cardsObj.private;
+      report.cards.public = cardsObj.public;
+      report.cards.up = cardsObj.up;
+      report.cards.secondBoard = cardsObj.secondBoard;
+      var pots = (await scoreHands(contract)).pots;
+   } else {
+      pots = createPots(contract);
+      for (count = 0; count < pots.length; count++) {
+         pots[count].winners = new Array();
+         if (nonFoldedPlayers.length == 1) {
+            pots[count].winners.push(nonFoldedPlayers[0].privateID);
+         }
+      }
+   }
+   if (pots.length != record.pots.length) {
+      report.errors.push("Hand produces "+pots.length+" pot(s) but "+record.pots.length+" were paid out.");
+      return (report);
+   }
+   for (count = 0; count < pots.length; count++) {
+      var pot = pots[count];
+      var recordPot = record.pots[count];
+      pot.rake = recordPot.rake;
+      if ((pot.rake == undefined) || (pot.rake == null)) {
+         pot.rake = "0";
+      }
+      if (bigInt(pot.amount).equals(bigInt(recordPot.amount)) == false) {
+         report.errors.push("Pot "+count+" amount of "+pot.amount+" doesn't match the recorded "+recordPot.amount+".");
+      }
+      if (pot.winners.join(",") != Array.from(recordPot.winners).join(",")) {
+         report.errors.push("Pot "+count+" winners don't match the recorded winners.");
+      }
+      if ((bigInt(pot.rake).lesser(0)) || (bigInt(pot.rake).greater(bigInt(pot.amount)))) {
+         report.errors.push("Pot "+count+" rake of "+pot.rake+" is invalid.");
+         pot.rake = "0";
+      }
+      pot.awards = getPotAwards(pot);
+      var recordAwards = recordPot.awards;
+      if ((typeof(recordAwards) != "object") || (recordAwards == null)) {
+         recordAwards = new Object();
+      }
+      var awardPIDs = Object.keys(pot.awards);
+      if (awardPIDs.length != Object.keys(recordAwards).length) {
+         report.errors.push("Pot "+count+" awards don't match the recorded payouts.");
+      } else {
+         for (var count2 = 0; count2 < awardPIDs.length; count2++) {
+            var award = recordAwards[awardPIDs[count2]];
+            if ((award == undefined) || (award == null) || (bigInt(award).equals(bigInt(pot.awards[awardPIDs[count2]])) == false)) {
+               report.errors.push("Pot "+count+" award to \""+awardPIDs[count2]+"\" doesn't match the recorded payout.");
+            }
+         }
+      }
+      report.pots.push(pot);
+   }
+   report.verified = (report.errors.length == 0);
+   return (report);
+}
+
+/**
+* Returns the next deal object / action for a specified player from a list of
+* deals.
+*
+* @param {Array} dealsArray An indexed array of deal objects for a specific player
+* (usually the "select" initiator).
+* @param {String} fromPID The private ID of the player for which to get the next action
+* within the <code>dealsArray</code>.
+* @param {Number} actionIndex The numeric index (0-based), of the action to retrieve
+* for <code>fromPID</code> from within the <code>dealsArray</code>.
+*
+* @return {Object} The deal by <code>fromPID</code> matching the parameters
+* or <code>null</code> if none can be found.
+* @private
+*/
+function getNextDealAction(dealsArray, fromPID, actionIndex) {
+   var actionCounter = 0;
+   for (var count=0; count < dealsArray.length; count++) {
+      var currentDeal = dealsArray[count];
+      if (currentDeal.fromPID == fromPID) {
+         if (actionIndex == actionCounter) {
+            return (currentDeal);
+         } else {
+            actionCounter++;
+         }
+      }
+   }
+   return (null);
+}
+
+/**
+* Compares two card decks of either plaintext mappings or encrypted
+* card values, regardless of their order.
+*
+* @param {Array} deckArr1 First array of numeric strings to compare.
+* @param {Array} deckArr2 Second array of numeric strings to compare.
+*
+* @return {Boolean} True if both decks have exactly the same elements (regardless of order),
+* false if there's a difference.
+* @private
+*/
+function compareDecks(deck1Arr, deck2Arr) {
+   if (deck1Arr.length != deck2Arr.length)  {
+      return (false);
+   }
+   var deck1 = Array.from(deck1Arr);
+   var deck2 = Array.from(deck2Arr);
+   while (deck1.length > 0) {
+      var currentCard = deck1.splice(0, 1);
+      var index = 0;
+      while (index < deck2.length) {
+         var compareCard = deck2[index];
+         if (compareCard == currentCard) {
+            deck2.splice(index, 1);
+            break;
+         }
          index++;
       }
    }
-   if (deck2.length == 0) {
-      //all unique matching elements removed from secondary array (all match)
-      return (true);
+   if (deck2.length == 0) {
+      //all unique matching elements removed from secondary array (all match)
+      return (true);
+   }
+   return (false);
+}
+
+/**
+* Returns the number of rounds of the shuffle proof required with each encrypted deck stored
+* with a contract, from the <code>tableInfo.shuffleProofs</code> of the associated table.
+*
+* @param {ContractObject|TableObject} tableOrContract The table, or contract containing the
+* <code>table</code>, for which to retrieve the number of rounds.
+*
+* @return {Number} The number of shuffle proof rounds required, or 0 if shuffle proofs aren't used.
+* @private
+*/
+function getShuffleProofRounds(tableOrContract) {
+   var tableObj = tableOrContract;
+   if ((tableOrContract.table != undefined) && (tableOrContract.table != null)) {
+      tableObj = tableOrContract.table;
+   }
+   if (typeof(tableObj.tableInfo.shuffleProofs) != "number") {
+      return (0);
+   }
+   return (tableObj.tableInfo.shuffleProofs);
+}
+
+/**
+* Returns the server's shuffle proof policy, from the <code>config.CP.API.contract.shuffleProofs</code>
+* settings. Since the challenge bits of a proof are derived from a hash of the proof (see {@link getShuffleChallenge}),
+* a dishonest player may regenerate a proof until its challenge bits allow it to pass, so a table that
+* uses shuffle proofs must require enough rounds to make this infeasible.
+*
+* @return {Object} The <code>minRounds</code> and <code>maxRounds</code> that a table may require (if it
+* uses shuffle proofs), the <code>maxRoundBits</code> that the number of rounds multiplied by the bit length
+* of a contract's prime (or curve) may not exceed, and the <code>timeout</code>, in seconds, after which
+* a proof that's still being verified is rejected.
+* @private
+*/
+function getShuffleProofPolicy() {
+   var policy = new Object();
+   policy.minRounds = 32;
+   policy.maxRounds = 128;
+   policy.maxRoundBits = 32768;
+   policy.timeout = 30;
+   var serverPolicy = config.CP.API.contract.shuffleProofs;
+   if ((typeof(serverPolicy) != "object") || (serverPolicy == null)) {
+      return (policy);
+   }
+   for (var setting in policy) {
+      if ((serverPolicy[setting] != undefined) && (isNaN(Number(serverPolicy[setting])) == false)) {
+         policy[setting] = Number(serverPolicy[setting]);
+      }
+   }
+   return (policy);
+}
+
+/**
+* Returns the bit length of the keys used with a contract's cryptosystem.
+*
+* @param {ContractObject} contract The contract for which to return the key bit length.
+*
+* @return {Number} The bit length of the contract's SRA prime, or 256 if the contract's
+* table uses an elliptic curve.
+* @private
+*/
+function getKeyBitLength(contract) {
+   var curve = contract.table.tableInfo.curve;
+   if ((curve != undefined) && (curve != null) && (curve != "")) {
+      return (256);
+   }
+   if (contract.prime.startsWith("0x")) {
+      return (bigInt(contract.prime.substring(2), 16).toString(2).length);
+   }
+   return (bigInt(contract.prime, 10).toString(2).length);
+}
+
+/**
+* Checks whether a key revealed in a shuffle proof can be used with a contract's cryptosystem.
+* An SRA key must be in the same radix as the contract's prime and be greater than 1 and less
+* than the prime minus 1. An elliptic curve key must be a hexadecimal value greater than 0 and
+* less than the order of the curve.
+*
+* @param {ContractObject} contract The contract with which the key is being used.
+* @param {*} key The key to check.
+*
+* @return {Boolean} True if the key is valid.
+* @private
+*/
+function validShuffleKey(contract, key) {
+   if (typeof(key) != "string") {
+      return (false);
+   }
+   var curve = contract.table.tableInfo.curve;
+   if ((curve != undefined) && (curve != null) && (curve != "")) {
+      if (/^0x[0-9a-f]{1,64}$/.test(key) == false) {
+         return (false);
+      }
+      var value = bigInt(key.substring(2), 16);
+      var order = bigInt("fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141", 16);
+      return (value.greater(0) && value.lesser(order));
+   }
+   if (contract.prime.startsWith("0x")) {
+      var digits = contract.prime.substring(2);
+      if ((/^0x[0-9a-f]+$/.test(key) == false) || ((key.length - 2) > digits.length)) {
+         return (false);
+      }
+      value = bigInt(key.substring(2), 16);
+      var prime = bigInt(digits, 16);
+   } else {
+      if ((/^[0-9]+$/.test(key) == false) || (key.length > contract.prime.length)) {
+         return (false);
+      }
+      value = bigInt(key, 10);
+      prime = bigInt(contract.prime, 10);
+   }
+   return (value.greater(1) && value.lesser(prime.minus(1)));
+}
+
+/**
+* Checks whether the values of an encrypted deck included with a shuffle proof can be used with
+* a contract's cryptosystem. SRA values must be in the same radix as the contract's prime, and be
+* greater than 0 and less than the prime. Elliptic curve values must be hexadecimal compressed points.
+*
+* @param {ContractObject} contract The contract with which the deck is being stored.
+* @param {Array} deck The deck values to check.
+*
+* @return {Boolean} True if all of the values are valid.
+* @private
+*/
+function validShuffleDeck(contract, deck) {
+   var curve = contract.table.tableInfo.curve;
+   var isCurve = ((curve != undefined) && (curve != null) && (curve != ""));
+   if (isCurve == false) {
+      if (contract.prime.startsWith("0x")) {
+         var radix = 16;
+         var digits = contract.prime.substring(2);
+         var validDigits = /^0x[0-9a-f]+$/;
+      } else {
+         radix = 10;
+         digits = contract.prime;
+         validDigits = /^[0-9]+$/;
+      }
+      var prime = bigInt(digits, radix);
+   }
+   for (var count=0; count < deck.length; count++) {
+      var value = deck[count];
+      if (typeof(value) != "string") {
+         return (false);
+      }
+      if (isCurve) {
+         if (/^0x0[23][0-9a-f]{64}$/.test(value) == false) {
+            return (false);
+         }
+         continue;
+      }
+      if (validDigits.test(value) == false) {
+         return (false);
+      }
+      if (radix == 16) {
+         value = value.substring(2);
+      }
+      if (value.length > digits.length) {
+         return (false);
+      }
+      value = bigInt(value, radix);
+      if (value.lesser(1) || value.greaterOrEquals(prime)) {
+         return (false);
+      }
+   }
+   return (true);
+}
+
+/**
+* Verifies the encryption of the rounds of a shuffle proof using {@link ShuffleProofVerifier}. If
+* worker threads are available the rounds are verified in a new worker thread so that the server
+* isn't blocked, otherwise they're verified in the current thread.
+*
+* @param {Object} params The verification parameters (see <code>ShuffleProofVerifier.verifyRounds</code>).
+* @param {Number} timeout The number of seconds after which to stop verifying and reject the proof.
+*
+* @return {Promise} Resolves with true if the rounds are valid, or false if they're invalid or
+* couldn't be verified within the <code>timeout</code>.
+* @private
+*/
+function runShuffleProofVerifier(params, timeout) {
+   //paths are relative to the server
+   var verifierPath = "./libs/ShuffleProofVerifier.js";
+   try {
+      var workerThreads = require("worker_threads");
+   } catch (err) {
+      workerThreads = null;
+   }
+   if (workerThreads == null) {
+      return (Promise.resolve(require(verifierPath).verifyRounds(params)));
+   }
+   var promise = new Promise((resolve, reject) => {
+      var worker = new workerThreads.Worker(require.resolve(verifierPath), {workerData:params});
+      var timeoutID = setTimeout(() => {
+         worker.terminate();
+         resolve(false);
+      }, timeout * 1000);
+      worker.once("message", result => {
+         clearTimeout(timeoutID);
+         resolve(result == true);
+      });
+      worker.once("error", err => {
+         clearTimeout(timeoutID);
+         resolve(false);
+      });
+      worker.once("exit", code => {
+         //if the worker exits without a result
+         clearTimeout(timeoutID);
+         resolve(false);
+      });
+   });
+   return (promise);
+}
+
+/**
+* Verifies a shuffle proof sent with a player's encrypted and shuffled deck, before any cards
+* are dealt from it. The proof is a non-interactive cut-and-choose argument generated by the
+* client's <code>CypherPokerGame.generateShuffleProof</code> function: each round includes an
+* intermediate <code>deck</code> and, depending on the round's challenge bit (see {@link getShuffleChallenge}),
+* either the <code>key</code> and <code>indexes</code> that produce the intermediate deck from the
+* input deck, or those that produce the output deck from the intermediate deck.
+*
+* <br/><br/>
+* The keys and deck values of the proof are validated before any of them are used (see {@link validShuffleKey}
+* and {@link validShuffleDeck}), the number of rounds multiplied by the contract's key bit length may not exceed the
+* <code>maxRoundBits</code> of the [shuffle proof policy]{@link getShuffleProofPolicy}, and the encryption of the
+* rounds is verified off the main thread (see {@link runShuffleProofVerifier}).
+*
+* @param {ContractObject} contract The contract with which the deck is being stored.
+* @param {Array} inputDeck The previous deck stored with the contract, that the player encrypted and shuffled.
+* @param {Array} outputDeck The encrypted and shuffled deck being stored.
+* @param {Object} proof The shuffle proof containing a <code>rounds</code> array.
+*
+* @return {Promise} Resolves with true if the proof contains the required number of rounds (see {@link getShuffleProofRounds}),
+* and every round is valid, or false otherwise.
+* @async
+* @private
+*/
+async function verifyShuffleProof(contract, inputDeck, outputDeck, proof) {
+   if ((proof == undefined) || (proof == null) || (Array.isArray(proof.rounds) == false)) {
+      return (false);
+   }
+   if (proof.rounds.length != getShuffleProofRounds(contract)) {
+      return (false);
+   }
+   var policy = getShuffleProofPolicy();
+   if ((proof.rounds.length * getKeyBitLength(contract)) > policy.maxRoundBits) {
+      return (false);
+   }
+   if (validShuffleDeck(contract, outputDeck) == false) {
+      return (false);
+   }
+   var decks = new Array();
+   var rounds = new Array();
+   for (var count=0; count < proof.rounds.length; count++) {
+      var round = proof.rounds[count];
+      if ((Array.isArray(round.deck) == false) || (round.deck.length != inputDeck.length) || (validShuffleKey(contract, round.key) == false)) {
+         return (false);
+      }
+      if (validShuffleDeck(contract, round.deck) == false) {
+         return (false);
+      }
+      if ((Array.isArray(round.indexes) == false) || (round.indexes.length != inputDeck.length)) {
+         return (false);
+      }
+      var found = new Array(inputDeck.length);
+      for (var count2=0; count2 < round.indexes.length; count2++) {
+         var index = round.indexes[count2];
+         if ((Number.isInteger(index) == false) || (index < 0) || (index >= inputDeck.length) || (found[index] == true)) {
+            //not a permutation
+            return (false);
+         }
+         found[index] = true;
+      }
+      decks.push(round.deck);
+      rounds.push({deck:Array.from(round.deck), key:round.key, indexes:Array.from(round.indexes)});
+   }
+   var params = new Object();
+   params.inputDeck = Array.from(inputDeck);
+   params.outputDeck = Array.from(outputDeck);
+   params.rounds = rounds;
+   params.challenge = getShuffleChallenge(inputDeck, outputDeck, decks);
+   params.prime = contract.prime;
+   params.curve = null;
+   if ((contract.table.tableInfo.curve != undefined) && (contract.table.tableInfo.curve != null) && (contract.table.tableInfo.curve != "")) {
+      params.curve = contract.table.tableInfo.curve;
+   }
+   return (runShuffleProofVerifier(params, policy.timeout));
+}
+
+/**
+* Generates the challenge bits for a shuffle proof from the SHA-256 hash of the input, output,
+* and intermediate decks. This must match the client's <code>CypherPokerGame.shuffleChallenge</code>
+* function.
+*
+* @param {Array} inputDeck The deck of strings that was encrypted and shuffled.
+* @param {Array} outputDeck The encrypted and shuffled deck.
+* @param {Array} decks The intermediate decks of each round of the proof.
+*
+* @return {Array} The challenge bits (0 or 1), one for each of the <code>decks</code>.
+* @private
+*/
+function getShuffleChallenge(inputDeck, outputDeck, decks) {
+   var hashInput = inputDeck.join(",") + ";" + outputDeck.join(",");
+   for (var count=0; count < decks.length; count++) {
+      hashInput += ";" + decks[count].join(",");
+   }
+   var hashBytes = crypto.createHash("sha256").update(hashInput, "utf8").digest();
+   var challenge = new Array();
+   for (count=0; count < decks.length; count++) {
+      challenge.push((hashBytes[count >> 3] >> (7 - (count % 8))) & 1);
+   }
+   return (challenge);
+}
+
+/**
+* Generates the commitment to a keychain that players store with their encrypted deck
+* (before any cards are dealt), and which their revealed keychain must match at the end
+* of the hand. The commitment is the SHA-256 hash of the keychain's <code>encKey</code>,
+* <code>decKey</code>, and <code>prime</code> values; clients generate the same commitment
+* with {@link CypherPokerGame#keychainCommitment}.
+*
+* @param {Array} keychain The keychain (array of keypair objects), to generate the commitment for.
+*
+* @return {String} The hexadecimal commitment.
+* @private
+*/
+function getKeychainCommitment(keychain) {
+   var hashInput = new Array();
+   for (var count = 0; count < keychain.length; count++) {
+      var keypair = keychain[count];
+      hashInput.push(String(keypair.encKey) + ":" + String(keypair.decKey) + ":" + String(keypair.prime));
+   }
+   return (crypto.createHash("sha256").update(hashInput.join(","), "utf8").digest("hex"));
+}
+
+/**
+* Checks whether a player's revealed keychain matches the commitment stored with their
+* encrypted deck.
+*
+* @param {ContractObject} contract The contract containing the stored commitment
+* in <code>history.commitments</code>.
+* @param {String} privateID The private ID of the player revealing their keychain.
+* @param {Array} keychain The revealed keychain.
+*
+* @return {Boolean} True if the keychain matches the player's commitment, false if it
+* doesn't or if the player has no stored commitment.
+* @private
+*/
+function keychainMatchesCommitment(contract, privateID, keychain) {
+   var commitments = contract.history.commitments;
+   if ((commitments == undefined) || (commitments == null)) {
+      return (false);
+   }
+   var commitment = commitments[privateID];
+   if ((commitment == undefined) || (commitment == null)) {
+      return (false);
+   }
+   try {
+      return (getKeychainCommitment(keychain) == commitment);
+   } catch (err) {
+      return (false);
+   }
+}
+
+/**
+* Checks a card deck array for duplicate values.
+*
+* @param {Array} cardDeck Indexed array of values to examine.
+* @param {String} [valueProp=null] The value property of each array
+* element to examine (e.g. <code>mapping</code>). If omitted or <code>null</code>,
+* each element is examined directly.
+*
+* @return {Boolean} True if the <code>cardDeck</code> contains duplicate values,
+* otherwise false.
+* @private
+*/
+function containsDuplicates(cardDeck, valueProp=null) {
+   var compareDeck = Array.from(cardDeck);
+   var dupFound = false;
+   cardDeck.forEach((value,index,arr) => {
+      if (valueProp != null) {
+         var cardValue = value[valueProp];
+      } else {
+         cardValue = value;
+      }
+      var matchCount = 0;
+      compareDeck.forEach((cValue,cIndex,cArr) => {
+         if (valueProp != null) {
+            var compareValue = cValue[valueProp];
+         } else {
+            compareValue = cValue;
+         }
+         if (compareValue == cardValue) {
+            matchCount++;
+         }
+         if (matchCount > 1) {
+            dupFound = true;
+         }
+      });
+   });
+   return (dupFound);
+}
+
+/**
+* Remove a set of items from a deck.
+*
+* @param {Array} removeItems Array of strings matching card values to remove
+* from <code>deckArr</code>
+* @param {Array} deckArr Array of strings matching card values and representing
+* a deck. Items found in <code>removeItems</code> will be removed directly
+* from this array.
+*
+* @return {Boolean} True if the correct number of items were removed from
+* <code>deckArr</code> (i.e. only one unique match for each value existed).
+* False is returned if the removed items don't match the expected set but
+* <code>deckArr</code> may still be modified.
+* @private
+*/
+function removeFromDeck(removeItems, deckArr) {
+   var itemsToRemove = removeItems.length;
+   var removedItems = new Array();
+   for (var count=0; count < removeItems.length; count++) {
+      var count2=0;
+      while (count2 < deckArr.length) {
+         if (removeItems[count] == deckArr[count2]) {
+            removedItems.push(deckArr.splice(count2, 1)[0]);
+            //keep going in case there are duplicates
+         } else {
+            count2++;
+         }
+      }
+   }
+   if (removedItems.length == itemsToRemove) {
+      return (true);
+   }
+   return (false);
+}
+
+/**
+* Returns all of the available 5-card hand permutations for a game variant in
+* which a hand must use an exact number of private cards, such as Omaha which
+* requires exactly two private and three public cards.
+*
+* @param {Array} privateCards Values or {@link CypherPokerCard} instances of the
+* player's private cards.
+* @param {Array} publicCards Values or {@link CypherPokerCard} instances of the
+* public / community cards.
+* @param {Number} usePrivateCards The exact number of private cards that each
+* hand must use. The remainder of each 5-card hand is made up of public cards.
+*
+* @return {Array} Each array element contains a unique 5-card permutation
+* with the private cards appearing first.
+* @private
+*/
+function createSplitCardPermutations(privateCards, publicCards, usePrivateCards) {
+   var privateCombos = getCombinations(privateCards, usePrivateCards);
+   var publicCombos = getCombinations(publicCards, 5 - usePrivateCards);
+   var permArray = new Array();
+   for (var count = 0; count < privateCombos.length; count++) {
+      for (var count2 = 0; count2 < publicCombos.length; count2++) {
+         permArray.push(privateCombos[count].concat(publicCombos[count2]));
+      }
+   }
+   return (permArray);
+}
+
+/**
+* Returns all unordered combinations of a specific size from a set of cards.
+*
+* @param {Array} cardsArr Values or {@link CypherPokerCard} instances from
+* which to produce combinations.
+* @param {Number} size The number of cards in each combination.
+*
+* @return {Array} Each array element contains a unique combination of <code>size</code>
+* cards. If <code>size</code> is larger than the number of cards supplied, an
+* empty array is returned.
+* @private
+*/
+function getCombinations(cardsArr, size) {
+   var combos = new Array();
+   if (size <= 0) {
+      combos.push(new Array());
+      return (combos);
+   }
+   for (var count = 0; count <= (cardsArr.length - size); count++) {
+      var subCombos = getCombinations(cardsArr.slice(count + 1), size - 1);
+      for (var count2 = 0; count2 < subCombos.length; count2++) {
+         combos.push([cardsArr[count]].concat(subCombos[count2]));
+      }
+   }
+   return (combos);
+}
+
+/**
+* Returns all of the available, unordered 5-hand permutations for a set of supplied cards.
+*
+* @param {Array} cardsArr Values or {@link CypherPokerCard} instance for
+* which to produce permutatuions, up to a maximum of 7 elements.
+*
+* @return {Array} Each array element contains a unique 5-card permutation
+* from the input set. If there are less than 6 cards provided, only one
+* permutation is returned.
+* @private
+*/
+function createCardPermutations(cardsArr) {
+   var permArray = new Array();
+   if (cardsArr.length <= 5) {
+      //only one hand permutation available
+      permArray.push (cardsArr);
+   } else if (cardsArr.length == 6) {
+      //only private card 2 (index 1)
+      permArray.push ([cardsArr[1], cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[5]]);
+      //only private card 1 (index 0)
+      permArray.push ([cardsArr[0], cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[5]]);
+      //both private cards
+      permArray.push ([cardsArr[1], cardsArr[0], cardsArr[3], cardsArr[4], cardsArr[5]]);
+      permArray.push ([cardsArr[1], cardsArr[2], cardsArr[0], cardsArr[4], cardsArr[5]]);
+      permArray.push ([cardsArr[1], cardsArr[2], cardsArr[3], cardsArr[0], cardsArr[5]]);
+      permArray.push ([cardsArr[1], cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[0]]);
+   } else {
+      //no private cards
+      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[5], cardsArr[6]]);
+      //private card 1 (index 0)
+      permArray.push ([cardsArr[0], cardsArr[3], cardsArr[4], cardsArr[5], cardsArr[6]]);
+      permArray.push ([cardsArr[2], cardsArr[0], cardsArr[4], cardsArr[5], cardsArr[6]]);
+      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[0], cardsArr[5], cardsArr[6]]);
+      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[0], cardsArr[6]]);
+      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[5], cardsArr[0]]);
+      //private card 2 (index 1)
+      permArray.push ([cardsArr[1], cardsArr[3], cardsArr[4], cardsArr[5], cardsArr[6]]);
+      permArray.push ([cardsArr[2], cardsArr[1], cardsArr[4], cardsArr[5], cardsArr[6]]);
+      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[1], cardsArr[5], cardsArr[6]]);
+      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[1], cardsArr[6]]);
+      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[5], cardsArr[1]]);
+      //both private cards
+      permArray.push ([cardsArr[0], cardsArr[1], cardsArr[4], cardsArr[5], cardsArr[6]]);
+      permArray.push ([cardsArr[0], cardsArr[3], cardsArr[1], cardsArr[5], cardsArr[6]]);
+      permArray.push ([cardsArr[0], cardsArr[3], cardsArr[4], cardsArr[1], cardsArr[6]]);
+      permArray.push ([cardsArr[0], cardsArr[3], cardsArr[4], cardsArr[5], cardsArr[1]]);
+      permArray.push ([cardsArr[2], cardsArr[0], cardsArr[1], cardsArr[5], cardsArr[6]]);
+      permArray.push ([cardsArr[2], cardsArr[0], cardsArr[4], cardsArr[1], cardsArr[6]]);
+      permArray.push ([cardsArr[2], cardsArr[0], cardsArr[4], cardsArr[5], cardsArr[1]]);
+      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[0], cardsArr[1], cardsArr[6]]);
+      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[0], cardsArr[5], cardsArr[1]]);
+      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[0], cardsArr[1]]);
+   }
+   return (permArray);
+}
+
+/**
+* Returns a matching player object from a contract.
+*
+* @param {ContractObject} contract The contract within which to find the
+* player matching the <code>privateID</code>.
+* @param {String} privateID The private ID of the player to find within the
+* <code>contract</code>.
+*
+* @return {Object} The player object matching the parameters or <code>null</code>
+* if none can be found.
+* @private
+*/
+function getPlayer(contract, privateID) {
+   for (var count=0; count < contract.players.length; count++) {
+      if (contract.players[count].privateID == privateID) {
+         return (contract.players[count]);
+      }
+   }
+   return (null);
+}
+
+/**
+* Retrieves the next player after a specified one in a contract.
+*
+* @param {ContractObject} contract The contract to use to determine the next
+* player.
+* @param {String} privateID The private ID of the player preceding
+* the player to retrieve.
+* @param {Boolean} [allowFolded=true] If false, return only the next non-folded
+* player, otherwise return any next player.
+*
+* @return {Object} A player object or <code>null</code> if no matching
+* player private ID can be found in the contract.
+* @private
+*/
+function getNextPlayer(contract, privateID, allowFolded=true) {
+   for (var count=0; count < contract.players.length; count++) {
+      if (contract.players[count].privateID == privateID) {
+         var nextPlayer = contract.players[(count+1) % contract.players.length];
+         if (contract.players[count].folded && (allowFolded == false)) {
+            nextPlayer = getNextPlayer(contract, nextPlayer.privateID, allowFolded);
+         }
+         return (nextPlayer);
+      }
+   }
+   return (null);
+}
+
+/**
+* Retrieves the previous player after a specified one in a contract.
+*
+* @param {ContractObject} contract The contract to use to determine the previous
+* player.
+* @param {String} privateID The private ID of the player following
+* the player to retrieve.
+*
+* @return {Object} A player object or <code>null</code> if no matching
+* player private ID can be found in the contract.
+* @private
+*/
+function getPreviousPlayer(contract, privateID) {
+   for (var count=0; count < contract.players.length; count++) {
+      if (contract.players[count].privateID == privateID) {
+         if (count == 0) {
+            return (contract.players[contract.players.length-1]);
+         } else {
+            return (contract.players[count-1]);
+         }
+      }
+   }
+   return (null);
+}
+
+/**
+* Returns the player that is currently flagged as the dealer
+* in the associated contract's <code>players</code> array.
+*
+* @return {Object} The player instance that is flagged as a dealer.
+* <code>null</code> is returned if no dealer is flagged.
+* @private
+*/
+function getDealer(contract) {
+   for (var count=0; count < contract.players.length; count++) {
+      if (contract.players[count].isDealer) {
+         return (contract.players[count]);
+      }
+   }
+   return (null);
+}
+
+/**
+* Returns the player object that is currently flagged as the big blind
+* in a {@link ContractObject}.
+*
+* @param {ContractObject} contract The contract from which to extract the
+* big blind.
+*
+* @return {Object} The player object in the contract that
+* is flagged as a big blind. <code>null</code> is returned if no big blind
+* is flagged.
+* @private
+*/
+function getBigBlind(contract) {
+   for (var count=0; count < contract.players.length; count++) {
+      if (contract.players[count].isBigBlind) {
+         return (contract.players[count]);
+      }
+   }
+   return (null);
+}
+
+/**
+* Returns the player object that is currently flagged as the small blind
+* in a {@link ContractObject}.
+*
+* @param {ContractObject} contract The contract from which to extract the
+* big blind.
+*
+* @return {Object} The player object in the contract that
+* is flagged as a small blind. <code>null</code> is returned if no small blind
+* is flagged.
+* @private
+*/
+function getSmallBlind(contract) {
+   for (var count=0; count < contract.players.length; count++) {
+      if (contract.players[count].isSmallBlind) {
+         return (contract.players[count]);
+      }
+   }
+   return (null);
+}
+
+/**
+* Returns the player object of the straddle in a {@link ContractObject}. A straddle is
+* only posted if the table's <code>tableInfo.straddle</code> is true and there are at least
+* three players, in which case the player following the big blind (under the gun), must
+* post it.
+*
+* @param {ContractObject} contract The contract from which to extract the
+* straddle.
+*
+* @return {Object} The player object in the contract that must post the straddle.
+* <code>null</code> is returned if there's no straddle.
+* @private
+*/
+function getStraddle(contract) {
+   if ((contract.table.tableInfo.straddle != true) || (contract.players.length < 3)) {
+      return (null);
+   }
+   var bigBlind = getBigBlind(contract);
+   if (bigBlind == null) {
+      return (null);
+   }
+   return (getNextPlayer(contract, bigBlind.privateID));
+}
+
+/**
+* Returns the player object of the last blind in a {@link ContractObject}; the straddle
+* if there is one, otherwise the big blind. The last blind is the final player to act
+* in the pre-flop round of betting unless there's a raise.
+*
+* @param {ContractObject} contract The contract from which to extract the
+* last blind.
+*
+* @return {Object} The player object in the contract that is the last blind.
+* <code>null</code> is returned if no big blind is flagged.
+* @private
+*/
+function getLastBlind(contract) {
+   var straddle = getStraddle(contract);
+   if (straddle != null) {
+      return (straddle);
+   }
+   return (getBigBlind(contract));
+}
+
+/**
+* Examines a {@link ContractObject} to determine the next player that should deal
+* according to it's deals <code>history</code>. In a stud contract (see {@link isStud}),
+* this is the first non-folded player, starting with the dealer, that hasn't yet selected
+* their cards for the street being dealt.
+*
+* @param {ContractObject} contract The contract to examine.
+*
+* @return {Object} A player object representing the player to deal next.
+* <code>null</code> is returned if the player can't be determined.
+* @private
+*/
+function getNextDealingPlayer(contract) {
+   try {
+      if (isStud(contract)) {
+         var streetCards = getStreetCards(contract, getStreetsDealt(contract));
+         var player = getDealer(contract);
+         for (var count=0; count < contract.players.length; count++) {
+            if (player.hasFolded == false) {
+               var studCards = getStudCards(contract, player.privateID);
+               if ((studCards.selectedDown < streetCards.down) || (studCards.selectedUp < streetCards.up)) {
+                  return (player);
+               }
+            }
+            player = getNextPlayer(contract, player.privateID);
+         }
+         return (null);
+      }
+      var longestDeal = 0;
+      var currentDealerPID = "";
+      for (var privateID in contract.history.deals) {
+         if (contract.history.deals[privateID].length > longestDeal) {
+            currentDealerPID = privateID;
+            longestDeal = contract.history.deals[privateID].length;
+         }
+      }
+      var nextDealer = getNextPlayer(contract, currentDealerPID);
+      return (nextDealer);
+   } catch (err) {
+      return (null);
+   }
+}
+
+/**
+* Finds players who have not completed a deal action within a specific contract.
+*
+* @param {ContractObject} contract The contract to look within.
+*
+* @return {Array} Array of player objects of players who have not completed
+* a deal action within the <code>contract</code>.
+* @private
+*/
+function getIncompletePlayers(contract) {
+   var incompletePlayers = new Array();
+   for (var privateID in contract.history.deals) {
+      var deals = contract.history.deals[privateID];
+      var numPlayers = contract.players.length;
+      var numDeals = deals.length;
+      if ((numDeals/numPlayers) != Math.floor(numDeals/numPlayers)) {
+         var lastDeal = deals[deals.length-1];
+         incompletePlayers.push(getPlayer(contract, lastDeal.fromPID));
+      } else {
+         //current deal is complete
+      }
+   }
+   return (incompletePlayers);
+}
+
+/**
+* Returns the next player to bet based on information stored within
+* a contract and the private ID of the player who has just bet or folded.
+*
+* @param {ContractObject} contract The contract within which to look for the
+* next betting player.
+* @param {String} privateID The private ID of the player that has just bet
+* or folded.
+*
+* @return {Object} A reference to the next betting player object within
+* the <code>contract</code>, or <code>null</code> if one can't be determined.
+* Stud contracts are handled by {@link getNextStudBettingPlayer}.
+* @private
+*/
+function getNextBettingPlayer(contract, privateID) {
+   if (isStud(contract)) {
+      return (getNextStudBettingPlayer(contract, privateID));
+   }
+   var anyBetsPlaced = false; //during this round of betting?
+   var largestPlayerBet = largestBet(contract);
+   for (var count=0; count < contract.players.length; count++) {
+      var player = contract.players[count];
+      if ((player.hasBet == true) && (player.hasFolded == false)) {
+         anyBetsPlaced = true;
+         break;
+      }
+   }
+   var nextPlayer = getNextPlayer(contract, privateID);
+   while (nextPlayer.privateID != privateID) {
+      var nextTotalBet = bigInt(nextPlayer.totalBet);
+      if (nextTotalBet.lesser(largestPlayerBet) && (nextPlayer.hasFolded == false) && (isAllIn(nextPlayer) == false)) {
+         if (getLastBlind(contract).numActions > 0) {
+            return (nextPlayer);
+         }
+      }
+      nextPlayer = getNextPlayer(contract, nextPlayer.privateID);
+   }
+   var lastBlind = getLastBlind(contract);
+   if ((lastBlind.numActions < 2) && getPreviousPlayer(contract, lastBlind.privateID).hasBet && (lastBlind.hasFolded == false)) {
+      if ((contract.players.length == 2) && (bigInt(getSmallBlind(contract).totalBet).lesser(bigInt(getBigBlind(contract).totalBet))) && (isAllIn(getSmallBlind(contract)) == false)) {
+         return (getSmallBlind(contract));
+      } else if (isAllIn(lastBlind) == false) {
+         return (lastBlind);
+      }
+   }
+   //starting bets
+   if (contract.players.length == 2) {
+      //heads-up betting order
+      if ((publicCardsDeals(contract).length == 0) && (bettingDone(contract) == false)) {
+         //pre-flop
+         if (getDealer(contract).hasBet == false) {
+            //dealer goes first
+            var headsUpPlayer = getDealer(contract);
+         } else {
+            headsUpPlayer = getNextPlayer(contract, getDealer(contract).privateID);
+         }
+      } else {
+         //post-flop
+         if (getNextPlayer(contract, getDealer(contract).privateID).hasBet == false) {
+            //player goes first
+            headsUpPlayer = getNextPlayer(contract, getDealer(contract).privateID);
+         } else {
+            headsUpPlayer = getDealer(contract);
+         }
+      }
+      if (isAllIn(headsUpPlayer)) {
+         //all-in player can't act so opponent goes instead
+         headsUpPlayer = getNextPlayer(contract, headsUpPlayer.privateID);
+         if (isAllIn(headsUpPlayer)) {
+            return (null);
+         }
+      }
+      return (headsUpPlayer);
+   } else {
+      //standard betting order
+      var startingPlayer = getSmallBlind(contract);
+      var firstNonFoldedPlayer = null;
+      if ((startingPlayer.hasFolded == false) && (isAllIn(startingPlayer) == false)) {
+         firstNonFoldedPlayer = startingPlayer;
+         if ((startingPlayer.hasBet == false) || bigInt(startingPlayer.totalBet).lesser(largestPlayerBet)) {
+            return (startingPlayer);
+         }
+      }
+      var startingID = startingPlayer.privateID;
+      startingPlayer = getNextPlayer(contract, startingPlayer.privateID);
+      while (startingPlayer.privateID != startingID) {
+         if ((startingPlayer.hasFolded == false) && (isAllIn(startingPlayer) == false)) {
+            if (firstNonFoldedPlayer == null) {
+               firstNonFoldedPlayer = startingPlayer;
+            }
+            if ((startingPlayer.hasBet == false) || bigInt(startingPlayer.totalBet).lesser(largestPlayerBet)) {
+               return (startingPlayer);
+            }
+         }
+         startingPlayer = getNextPlayer(contract, startingPlayer.privateID);
+      }
+      return (firstNonFoldedPlayer);
+   }
+   return (null);
+}
+
+/**
+* Updates the timeout for player(s) of a contract based on the action currently being
+* performed.
+*
+* @param {String} privateID The private ID of the player currently having just performed the <code>action</code>.
+* @param {String} sourcePID The private ID of the <code>action</code> source or origin (player that initiated the action chain).
+* @param {ContractObject} contract The contract instance associated with the <code>action</code>.
+* Each player's <code>updated</code> time may be updated.
+* @param {String} action The type of action being performed by the player. Valid actions are
+* "deal", "store" and "bet".
+* @param {String} [storeAction=null] The type of store action being performed if <code>action=="store"</code>.
+* Valid <code>storeType</code>s are "encrypt", "select", "decrypt", "reveal", "runtwice", and "keychain".
+* If the action is not a "store", this parameter is ignored.
+* @param {Array} [storeArray=null] The array of values being stored if <code>action=="store"</code>.
+* If the action is not a "store", this parameter is ignored.
+*
+* @throws {Error} Thrown on an incorrect <code>action</code> or other errors.
+* @private
+*/
+function updatePlayersTimeout(privateID, sourcePID, contract, action, storeAction=null, storeArray=null) {
+   var date = new Date();
+   chargeTimeBank(contract, getPlayer(contract, privateID), date);
+   var now = new Date();
+   var timeout = contract.table.tableInfo.timeout;
+   now = now.toISOString();
+   var later = new Date();
+   later.setSeconds(later.getSeconds()+timeout);
+   later = later.toISOString();
+   var morelater = new Date();
+   morelater.setSeconds(morelater.getSeconds()+timeout);
+   morelater = morelater.toISOString();
+   if (action == "bet") {
+      //reset all players to expire later
+      for (var count=0; count < contract.players.length; count++) {
+         contract.players[count].updated = morelater;
+      }
+      var nextBettingPlayer = getNextBettingPlayer(contract, privateID);
+      if (nextBettingPlayer != null) {
+         nextBettingPlayer.updated = now;
+      }
+      var runTwicePlayers = getRunTwicePlayers(contract);
+      for (count = 0; count < runTwicePlayers.length; count++) {
+         //remaining players must decide whether to run the remaining cards twice
+         runTwicePlayers[count].updated = now;
+      }
+   } else if (action == "deal") {
+      //reset all players to expire later
+      for (var count=0; count < contract.players.length; count++) {
+         contract.players[count].updated = morelater;
+      }
+      var nextDealingPlayer = getNextDealingPlayer(contract);
+      //nextDealingPlayer is dealing next (none once all stud streets are dealt)
+      if (nextDealingPlayer != null) {
+         nextDealingPlayer.updated = now;
+      }
+   } else if (action == "store") {
+      var incompletePlayers = getIncompletePlayers(contract);
+      if (incompletePlayers.length > 0) {
+         for (count = 0; count < incompletePlayers.length; count++) {
+            incompletePlayers[count].updated = now;
+         }
+      } else if (isStud(contract)) {
+         var unrevealedPlayers = getUnrevealedPlayers(contract);
+         if (unrevealedPlayers.length > 0) {
+            //face-up cards must be revealed before betting can continue
+            for (count = 0; count < unrevealedPlayers.length; count++) {
+               unrevealedPlayers[count].updated = now;
+            }
+         } else if ((getStreetsDealt(contract) == 0) || isStreetDealing(contract)) {
+            nextDealingPlayer = getNextDealingPlayer(contract);
+            if (nextDealingPlayer != null) {
+               nextDealingPlayer.updated = now;
+            }
+         } else {
+            nextBettingPlayer = getNextBettingPlayer(contract, null);
+            if (nextBettingPlayer != null) {
+               nextBettingPlayer.updated = now;
+            } else if (bettingDone(contract)) {
+               nextDealingPlayer = getNextDealingPlayer(contract);
+               if (nextDealingPlayer != null) {
+                  nextDealingPlayer.updated = now;
+               }
+            }
+         }
+      } else {
+         if ((contract.players.length == 2) && (publicCardsDeals(contract).length == 0)){
+            nextBettingPlayer = getNextBettingPlayer(contract, getDealer(contract).privateID);
+         } else {
+            nextBettingPlayer = getNextBettingPlayer(contract, getBigBlind(contract).privateID);
+         }
+         runTwicePlayers = getRunTwicePlayers(contract);
+         if (nextBettingPlayer != null) {
+            nextBettingPlayer.updated = now;
+            //nextBettingPlayer is betting next
+         } else if (runTwicePlayers.length > 0) {
+            //remaining players must decide whether to run the remaining cards twice
+            for (count = 0; count < runTwicePlayers.length; count++) {
+               runTwicePlayers[count].updated = now;
+            }
+         } else if (bettingDone(contract) && ((publicCardsDeals(contract).length < 3) ||
+            (runTwiceAgreed(contract) && (publicCardsDeals(contract, 2).length == 0)))) {
+            //remaining players are all-in so the next public card(s) (or the second board), should be dealt
+            var nextDealingPlayer = getNextDealingPlayer(contract);
+            if (nextDealingPlayer != null) {
+               nextDealingPlayer.updated = now;
+            }
+         }
+      }
+   } else if (action == "keychain") {
+      getPlayer(contract, privateID).updated = now;
+   } else {
+      throw (new Error("Unrecognized action \""+action+"\""));
+   }
+}
+
+/**
+* Returns a reference to a {@link CypherPokerCard} based on its mapping, as specified
+* in a specific contract.
+*
+* @param {ContractObject} contract The contract within which to look up the mapping.
+* This object's <code>cardDecks.faceup</code> property is used as the lookup reference.
+* @param {String} mapping The plaintext or face-up card mapping value to
+* find.
+*
+* @return {CypherPokerCard} The matching card instance or <code>null</code>
+* if none exists.
+* @private
+*/
+function getMappedCard(contract, mapping) {
+   var referenceDeck = contract.cardDecks.faceup;
+   for (var count=0; count < referenceDeck.length; count++) {
+      if (referenceDeck[count].mapping != undefined) {
+         if (referenceDeck[count].mapping == mapping) {
+            return (referenceDeck[count]);
+         }
+      } else {
+         if (referenceDeck[count]._mapping == mapping) {
+            return (referenceDeck[count]);
+         }
+      }
+   }
+   return (null);
+}
+
+/**
+* Returns an array of completed public card deals for a specific contract.
+*
+* @param {ContractObject} contract The contract to analyze for completed public deals.
+* @param {Number} [board=1] The board for which to return the deals if the remaining public
+* cards are being run twice (see {@link runTwiceAgreed}). The first board includes the deals
+* made before the players agreed to run the remaining cards twice.
+*
+* @return {Array} An array of public / community card deals. Each element contains
+* a number representing the number of cards dealt in that deal. Elements should
+* be assumed to be out of order (e.g. a turn may appear after the river).
+* @private
+*/
+function publicCardsDeals(contract, board=1) {
+   var cardsDealt = 0;
+   var returnArr = new Array();
+   for (var privateID in contract.history.deals) {
+      var numActions = 0;
+      var dealBoard = 1;
+      for (var count=0; count < contract.history.deals[privateID].length; count++) {
+         var currentDeal = contract.history.deals[privateID][count];
+         if ((currentDeal.private == false) && (currentDeal.type=="select")) {
+            dealBoard = 1;
+            if (currentDeal.board == 2) {
+               dealBoard = 2;
+            }
+         }
+         if ((currentDeal.private == false) && (dealBoard == board) && ((currentDeal.type=="select") || (currentDeal.type=="decrypt"))) {
+            numActions++;
+            if (numActions >= contract.players.length) {
+               returnArr.push(currentDeal.cards.length);
+               cardsDealt++;
+               numActions = 0;
+            }
+         }
+      }
+   }
+   return (returnArr);
+}
+
+/**
+* Checks whether or not the private cards have been completely dealt (selected and decrypted),
+* for a specific player.
+*
+* @param {ContractObject} contract The contract to examine.
+* @param {String} privateID The privateID of the player to check for within the <code>contract</code>.
+*
+* @return {Boolean} True if all of the private cards for the specific player in the contract
+* <i>appear</i> to have been correctly dealt (selected and partially decrypted). False
+* in all other cases.
+* dealt.
+* @private
+*/
+function privateCardsDealt(contract, privateID) {
+   if ((contract.history.deals[privateID] == undefined) || (contract.history.deals[privateID] == null)) {
+      return (false);
+   }
+   var returnArr = new Array();
+   var numActions = 0;
+   //should we check for the length and valid-looking contents of the cards array?
+   for (var count=0; count < contract.history.deals[privateID].length; count++) {
+      var currentDeal = contract.history.deals[privateID][count];
+      if (currentDeal.private && ((currentDeal.type=="select") || (currentDeal.type=="decrypt"))) {
+         numActions++;
+         if (numActions >= contract.players.length) {
+            returnArr.push(currentDeal.cards.length);
+            return (returnArr);
+         }
+      }
+   }
+   return (returnArr);
+}
+
+/**
+* Finds the largest bet within a contract by any non-folded player.
+*
+* @param {ContractObject} contract The contract within which to look for
+* the largest bet/
+*
+* @return {BigInteger} The largest bet currently placed by
+* a non-folded player at the table.
+* @private
+*/
+function largestBet(contract) {
+   var largestBet = bigInt(0);
+   for (var count=0; count < contract.players.length; count++) {
+      if ((largestBet.compare(bigInt(contract.players[count].totalBet)) == -1) && (contract.players[count].hasFolded == false)) {
+         largestBet = bigInt(contract.players[count].totalBet);
+      }
+   }
+   return (largestBet);
+}
+
+/**
+* Returns the betting structure for a table as specified by its <code>tableInfo.bettingStructure</code>
+* object, with any omitted properties set to their defaults. If the table doesn't specify a betting
+* structure, no-limit betting is used.
+*
+* @param {ContractObject|TableObject} tableOrContract The table, or contract containing the
+* <code>table</code>, for which to retrieve the betting structure.
+*
+* @return {Object} The betting structure's <code>type</code> (<code>"no-limit"</code>, <code>"pot-limit"</code>,
+* or <code>"fixed-limit"</code>), the fixed-limit <code>smallBet</code> and <code>bigBet</code> sizes as
+* <code>BigInteger</code> instances (defaulting to the big blind and twice the big blind in effect, as
+* returned by {@link getBlinds} if a contract is supplied), and the
+* <code>raiseCap</code> or maximum number of raises per round of betting (0 for unlimited). <code>null</code>
+* is returned if the betting structure isn't valid.
+* @private
+*/
+function getBettingStructure(tableOrContract) {
+   var tableObj = tableOrContract;
+   if ((tableOrContract.table != undefined) && (tableOrContract.table != null)) {
+      tableObj = tableOrContract.table;
+      var bigBlind = getBlinds(tableOrContract).bigBlind;
+   } else {
+      bigBlind = tableObj.tableInfo.bigBlind;
+   }
+   var tableInfo = tableObj.tableInfo;
+   var structure = tableInfo.bettingStructure;
+   if ((structure == undefined) || (structure == null)) {
+      structure = new Object();
+   }
+   if (typeof(structure) != "object") {
+      return (null);
+   }
+   var returnObj = new Object();
+   returnObj.type = "no-limit";
+   if ((structure.type != undefined) && (structure.type != null) && (structure.type != "")) {
+      returnObj.type = structure.type;
+   }
+   if ((returnObj.type != "no-limit") && (returnObj.type != "pot-limit") && (returnObj.type != "fixed-limit")) {
+      return (null);
+   }
+   try {
+      returnObj.smallBet = bigInt(bigBlind);
+      if ((structure.smallBet != undefined) && (structure.smallBet != null) && (structure.smallBet != "")) {
+         returnObj.smallBet = bigInt(structure.smallBet);
+      }
+      returnObj.bigBet = bigInt(bigBlind).multiply(2);
+      if ((structure.bigBet != undefined) && (structure.bigBet != null) && (structure.bigBet != "")) {
+         returnObj.bigBet = bigInt(structure.bigBet);
+      }
+   } catch (err) {
+      return (null);
+   }
+   if (returnObj.smallBet.lesserOrEquals(0) || returnObj.bigBet.lesserOrEquals(0)) {
+      return (null);
+   }
+   returnObj.raiseCap = 0;
+   if ((structure.raiseCap != undefined) && (structure.raiseCap != null)) {
+      returnObj.raiseCap = Number(structure.raiseCap);
+   }
+   if ((Number.isInteger(returnObj.raiseCap) == false) || (returnObj.raiseCap < 0)) {
+      return (null);
+   }
+   return (returnObj);
+}
+
+/**
+* Returns information about the current round of betting in a contract, used to enforce
+* its betting structure (see {@link getBettingStructure}). A new round begins whenever
+* the number of dealt public cards changes.
+*
+* @param {ContractObject} contract The contract for which to retrieve the current round of betting.
+*
+* @return {Object} The number of <code>publicCards</code> dealt when the round began, the <code>street</code>
+* when the round began (see {@link getStreet}), the number of
+* <code>raises</code> made during the round (not including blinds), and the <code>lastRaise</code>
+* amount (as a string), which is the size of the last full raise made during the round or the big
+* blind (the straddle pre-flop if there is one), if no raise has yet been made. This object is
+* stored as the contract's <code>bettingRound</code>.
+* @private
+*/
+function getBettingRound(contract) {
+   var numPublicCards = 0;
+   var deals = publicCardsDeals(contract);
+   for (var count=0; count < deals.length; count++) {
+      numPublicCards += deals[count];
+   }
+   var street = getStreet(contract);
+   if ((contract.bettingRound == undefined) || (contract.bettingRound == null) || (contract.bettingRound.publicCards != numPublicCards) ||
+      (contract.bettingRound.street != street)) {
+      contract.bettingRound = new Object();
+      contract.bettingRound.publicCards = numPublicCards;
+      contract.bettingRound.street = street;
+      contract.bettingRound.raises = 0;
+      contract.bettingRound.lastRaise = getBlinds(contract).bigBlind;
+      if ((numPublicCards == 0) && (isStud(contract) == false) && (getStraddle(contract) != null)) {
+         contract.bettingRound.lastRaise = getBlinds(contract).straddle;
+      }
+   }
+   return (contract.bettingRound);
+}
+
+/**
+* Updates the current round of betting in a contract with a raise. This function
+* should not be called for blind bets.
+*
+* @param {ContractObject} contract The contract in which the raise was made.
+* @param {BigInteger} raiseAmount The amount by which the largest bet was raised.
+*
+* @private
+*/
+function updateBettingRound(contract, raiseAmount) {
+   var round = getBettingRound(contract);
+   round.raises++;
+   //all-in raises smaller than a full raise don't change the minimum raise
+   if (raiseAmount.greaterOrEquals(bigInt(round.lastRaise))) {
+      round.lastRaise = raiseAmount.toString(10);
+   }
+}
+
+/**
+* Returns the smallest and largest bets that a contract player may place in order to
+* raise during the current round of betting, as determined by the contract's betting
+* structure. Both amounts include any amount required to call and are limited to the
+* player's remaining balance.
+*
+* @param {ContractObject} contract The contract containing the player.
+* @param {Object} player The player object, within the <code>contract</code>, for which
+* to return the raise limits.
+*
+* @return {Object} Contains the <code>minimum</code> and <code>maximum</code> bet amounts, as
+* <code>BigInteger</code> instances, that the player may place to raise. Both properties are
+* <code>null</code> if the player may not raise because the round's raise cap has been reached
+* or because their balance doesn't exceed the amount needed to call.
+* @private
+*/
+function getRaiseLimits(contract, player) {
+   var structure = getBettingStructure(contract);
+   var round = getBettingRound(contract);
+   var playerBalance = bigInt(player.balance);
+   var returnObj = new Object();
+   returnObj.minimum = null;
+   returnObj.maximum = null;
+   var callAmount = largestBet(contract).minus(bigInt(player.totalBet));
+   if (callAmount.lesser(0)) {
+      callAmount = bigInt(0);
+   }
+   if ((structure.raiseCap > 0) && (round.raises >= structure.raiseCap)) {
+      return (returnObj);
+   }
+   if (playerBalance.lesserOrEquals(callAmount)) {
+      return (returnObj);
+   }
+   var maxIncrement = null;
+   if (structure.type == "fixed-limit") {
+      if ((round.publicCards < 4) && (round.street < 2)) {
+         var minIncrement = structure.smallBet;
+      } else {
+         minIncrement = structure.bigBet;
+      }
+      maxIncrement = minIncrement;
+   } else {
+      minIncrement = bigInt.max(round.lastRaise, getBlinds(contract).bigBlind);
+      if (structure.type == "pot-limit") {
+         //the pot after the player calls
+         var potAmount = bigInt(0);
+         for (var count=0; count < contract.players.length; count++) {
+            potAmount = potAmount.plus(bigInt(contract.players[count].totalBet));
+            if ((contract.players[count].deadBet != undefined) && (contract.players[count].deadBet != null)) {
+               potAmount = potAmount.plus(bigInt(contract.players[count].deadBet));
+            }
+         }
+         maxIncrement = potAmount.plus(callAmount);
+      }
+   }
+   returnObj.minimum = bigInt.min(callAmount.plus(minIncrement), playerBalance);
+   if (maxIncrement == null) {
+      returnObj.maximum = playerBalance;
+   } else {
+      returnObj.maximum = bigInt.min(callAmount.plus(maxIncrement), playerBalance);
+   }
+   var bigBlind = bigInt(getBlinds(contract).bigBlind);
+   if (isStud(contract) && (round.street == 0) && largestBet(contract).lesser(bigBlind)) {
+      //the bring-in may only be completed to the big blind (small bet)
+      returnObj.minimum = bigInt.min(bigBlind.minus(bigInt(player.totalBet)), playerBalance);
+      if (structure.type == "fixed-limit") {
+         returnObj.maximum = returnObj.minimum;
+      }
+   }
+   return (returnObj);
+}
+
+/**
+* Checks whether the next bet placed by a contract player will be their blind bet.
+*
+* @param {ContractObject} contract The contract containing the player.
+* @param {Object} player The player object, within the <code>contract</code>, to check.
+*
+* @return {Boolean} True if the player is the small blind, big blind, or straddle (see
+* {@link getStraddle}), and hasn't yet placed a bet or taken any other action in the pre-flop
+* round of betting. In a stud contract, true if the player must post the bring-in; they're the
+* first player (see {@link getStudFirstPlayer}), on the first street and haven't yet taken any action.
+* @private
+*/
+function isBlindBet(contract, player) {
+   if (isStud(contract)) {
+      if ((getStreet(contract) > 0) || (player.numActions > 0) || (bigInt(player.totalBet).equals(0) == false)) {
+         return (false);
+      }
+      var firstPlayer = getStudFirstPlayer(contract);
+      if (firstPlayer == null) {
+         return (false);
+      }
+      return (firstPlayer.privateID == player.privateID);
+   }
+   if (publicCardsDeals(contract).length > 0) {
+      return (false);
+   }
+   if ((player.numActions > 0) || (bigInt(player.totalBet).equals(0) == false)) {
+      return (false);
+   }
+   var straddle = getStraddle(contract);
+   if ((straddle != null) && (straddle.privateID == player.privateID)) {
+      return (true);
+   }
+   return ((player.isSmallBlind == true) || (player.isBigBlind == true));
+}
+
+/**
+* Checks a bet amount against a contract's betting structure. Blind bets must match the
+* table's blind or straddle amounts (or the player's remaining balance if smaller), a stud bring-in
+* must match the small blind or complete the bet to the big blind, and raises must fall
+* within the limits returned by {@link getRaiseLimits} unless the player is going all-in
+* for less than a full raise. These rules mirror those enforced by the client's
+* <code>CypherPokerGame.checkBettingStructure</code> function.
+*
+* @param {ContractObject} contract The contract containing the player.
+* @param {Object} player The player object, within the <code>contract</code>, placing the bet.
+* @param {BigInteger} betAmount The bet amount to check. Folds (negative amounts),
+* checks, and calls are always valid.
+*
+* @return {String} A description of the problem if the bet amount isn't valid or
+* <code>null</code> if it's valid.
+* @private
+*/
+function checkBettingStructure(contract, player, betAmount) {
+   var blinds = getBlinds(contract);
+   var playerBalance = bigInt(player.balance);
+   if (betAmount.lesser(0)) {
+      return (null);
+   }
+   if (isBlindBet(contract, player) && isStud(contract)) {
+      var bringIn = bigInt.min(blinds.smallBlind, playerBalance);
+      var completion = bigInt.min(blinds.bigBlind, playerBalance);
+      if ((betAmount.equals(bringIn) == false) && (betAmount.equals(completion) == false)) {
+         return ("Bring-in must be \""+bringIn.toString(10)+"\" or \""+completion.toString(10)+"\".");
+      }
+      return (null);
+   }
+   if (isBlindBet(contract, player)) {
+      var straddle = getStraddle(contract);
+      if ((straddle != null) && (straddle.privateID == player.privateID)) {
+         var blindAmount = bigInt.min(blinds.straddle, playerBalance);
+      } else if (player.isBigBlind == true) {
+         blindAmount = bigInt.min(blinds.bigBlind, playerBalance);
+      } else {
+         blindAmount = bigInt.min(blinds.smallBlind, playerBalance);
+      }
+      if (betAmount.equals(blindAmount) == false) {
+         return ("Blind bet must be \""+blindAmount.toString(10)+"\".");
+      }
+      return (null);
+   }
+   if (bigInt(player.totalBet).plus(betAmount).lesserOrEquals(largestBet(contract))) {
+      return (null);
+   }
+   var limits = getRaiseLimits(contract, player);
+   if (limits.maximum == null) {
+      return ("No further raises are allowed in this round of betting.");
+   }
+   if (betAmount.greater(limits.maximum)) {
+      return ("Bet amount (\""+betAmount.toString(10)+"\") may not exceed \"" + limits.maximum.toString(10) + "\".");
+   }
+   if (betAmount.lesser(limits.minimum) && (betAmount.equals(playerBalance) == false)) {
+      return ("Raise amount (\""+betAmount.toString(10)+"\") must be at least \"" + limits.minimum.toString(10) + "\".");
+   }
+   return (null);
+}
+
+/**
+* Checks whether a contract player has committed their entire balance, including
+* any dead money, to the game (hand) without folding.
+*
+* @param {Object} player The contract player object to check.
+*
+* @return {Boolean} True if the player is all-in and can take no further
+* betting actions.
+* @private
+*/
+function isAllIn(player) {
+   if (player.hasFolded == true) {
+      return (false);
+   }
+   var deadBet = bigInt(0);
+   if ((player.deadBet != undefined) && (player.deadBet != null)) {
+      deadBet = bigInt(player.deadBet);
+   }
+   if (bigInt(player.totalBet).equals(0) && deadBet.equals(0)) {
+      return (false);
+   }
+   return (bigInt(player.balance).equals(0));
+}
+
+/**
+* Examines a contract to see if betting has completed.
+*
+* @param {ContractObject} contract The contract to examine.
+*
+* @return {Boolean} True if all non-folded players that aren't all-in have committed
+* the same bet amount, if all players but one have folded, or if no more than one
+* player remains that can still bet and that player has matched the largest bet
+* (new cards may be dealt or the game has completed).
+* @private
+*/
+function bettingDone(contract) {
+   var foldedPlayers = 0;
+   var activePlayers = 0; //non-folded and not all-in
+   var lastActivePlayer = null;
+   var currentBet = "";
+   var betGroups = new Object(); //players grouped by bet amount
+   var largestPlayerBet = largestBet(contract);
+   for (var count=0; count < contract.players.length; count++) {
+      if (contract.players[count].hasFolded) {
+         foldedPlayers++;
+      } else if (isAllIn(contract.players[count]) == false) {
+         activePlayers++;
+         lastActivePlayer = contract.players[count];
+         if (contract.players[count].hasBet) {
+            currentBet = contract.players[count].totalBet;
+
+            if (betGroups[currentBet] == undefined) {
+               betGroups[currentBet] = new Array();
+            }
+            betGroups[currentBet].push(contract.players[count]);
+         }
+      }
+   }
+   if (activePlayers == 0) {
+      //everyone is either all-in or folded
+      return (true);
+   }
+   if (activePlayers == 1) {
+      //no one left to bet against
+      return (bigInt(lastActivePlayer.totalBet).greaterOrEquals(largestPlayerBet));
+   }
+   if (isStud(contract) == false) {
+      var lastBlind = getLastBlind(contract);
+      if ((lastBlind.numActions < 2) && (lastBlind.hasFolded == false) && (isAllIn(lastBlind) == false)) {
+         return (false);
+      }
+   }
+   if (betGroups[currentBet] != undefined) {
+      if ((betGroups[currentBet].length == activePlayers) && bigInt(currentBet).greaterOrEquals(largestPlayerBet)) {
+         return (true);
+      }
+   }
+   return (false);
+}
+
+/**
+* Checks whether the remaining public cards of a contract may be run twice. This is only
+* possible if the contract's table allows it (<code>tableInfo.runTwice</code> is true), it's not a
+* stud contract (see {@link isStud}), betting is done (see {@link bettingDone}), public cards remain
+* to be dealt, and no more than one of the remaining players isn't all-in.
+*
+* @param {ContractObject} contract The contract to examine.
+*
+* @return {Boolean} True if the players of the <code>contract</code> may decide to run the remaining
+* public cards twice.
+* @private
+*/
+function runTwiceAvailable(contract) {
+   if ((contract.table.tableInfo.runTwice != true) || isStud(contract)) {
+      return (false);
+   }
+   if (bettingDone(contract) == false) {
+      return (false);
+   }
+   var deals = publicCardsDeals(contract);
+   var cardsDealt = 0;
+   for (var count=0; count < deals.length; count++) {
+      cardsDealt += deals[count];
+   }
+   if (cardsDealt >= getVariant(contract).publicCards) {
+      return (false);
+   }
+   var nonFoldedPlayers = 0;
+   var activePlayers = 0; //non-folded and not all-in
+   for (count=0; count < contract.players.length; count++) {
+      if (contract.players[count].hasFolded == false) {
+         nonFoldedPlayers++;
+         if (isAllIn(contract.players[count]) == false) {
+            activePlayers++;
+         }
+      }
+   }
+   return ((nonFoldedPlayers > 1) && (activePlayers < 2));
+}
+
+/**
+* Checks whether all of the remaining (non-folded), players of a contract have agreed
+* to run the remaining public cards twice. The contract's pots are then split evenly
+* between the first board and a second board dealt from the remaining cards.
+*
+* @param {ContractObject} contract The contract to examine.
+*
+* @return {Boolean} True if the remaining public cards of the <code>contract</code> are
+* being run twice.
+* @private
+*/
+function runTwiceAgreed(contract) {
+   var decisions = contract.history.runTwice;
+   if ((decisions == undefined) || (decisions == null)) {
+      return (false);
+   }
+   var nonFoldedPlayers = 0;
+   for (var count=0; count < contract.players.length; count++) {
+      if (contract.players[count].hasFolded == false) {
+         if (decisions[contract.players[count].privateID] != true) {
+            return (false);
+         }
+         nonFoldedPlayers++;
+      }
+   }
+   return (nonFoldedPlayers > 1);
+}
+
+/**
+* Returns the players of a contract that have yet to decide whether to run the remaining
+* public cards twice while the option is available (see {@link runTwiceAvailable}).
+*
+* @param {ContractObject} contract The contract to examine.
+*
+* @return {Array} The non-folded player objects of the <code>contract</code> that haven't
+* yet decided. The array is empty if the option isn't available.
+* @private
+*/
+function getRunTwicePlayers(contract) {
+   var undecidedPlayers = new Array();
+   if (runTwiceAvailable(contract) == false) {
+      return (undecidedPlayers);
+   }
+   var decisions = contract.history.runTwice;
+   if ((decisions == undefined) || (decisions == null)) {
+      decisions = new Object();
+   }
+   for (var count=0; count < contract.players.length; count++) {
+      var player = contract.players[count];
+      if ((player.hasFolded == false) && (typeof(decisions[player.privateID]) != "boolean")) {
+         undecidedPlayers.push(player);
+      }
+   }
+   return (undecidedPlayers);
+}
+
+/**
+* Returns the game variant definition for a table from the <code>config.CP.API.contract.variants</code>
+* object. If the table doesn't specify a <code>tableInfo.variant</code>, the
+* <code>config.CP.API.contract.defaultVariant</code> is used.
+*
+* @param {ContractObject|TableObject} tableOrContract The table, or contract containing the
+* <code>table</code>, for which to retrieve the variant definition.
+*
+* @return {Object} The variant definition including the variant's <code>name</code>,
+* the number of <code>privateCards</code> dealt to each player, the number of
+* <code>publicCards</code> dealt to the table, and <code>usePrivateCards</code>, the exact
+* number of private cards that a scored hand must use (0 if any number may be used). Stud variants
+* also include a <code>streets</code> array (see {@link isStud}).
+* <code>null</code> is returned if the variant isn't supported.
+* @private
+*/
+function getVariant(tableOrContract) {
+   var tableObj = tableOrContract;
+   if ((tableOrContract.table != undefined) && (tableOrContract.table != null)) {
+      tableObj = tableOrContract.table;
+   }
+   var variantType = tableObj.tableInfo.variant;
+   if ((variantType == undefined) || (variantType == null) || (variantType == "")) {
+      variantType = config.CP.API.contract.defaultVariant;
+   }
+   var variant = config.CP.API.contract.variants[variantType];
+   if ((variant == undefined) || (variant == null)) {
+      return (null);
+   }
+   return (variant);
+}
+
+/**
+* Checks whether a table, or the table associated with a contract, uses a stud game
+* variant. Stud variants include a <code>streets</code> array specifying the number of
+* face-<code>down</code> and face-<code>up</code> cards dealt to each player on each street
+* instead of dealing private and public cards.
+*
+* @param {ContractObject|TableObject} tableOrContract The table, or contract containing
+* the <code>table</code>, to check.
+*
+* @return {Boolean} True if the table's game variant is a stud variant.
+* @private
+*/
+function isStud(tableOrContract) {
+   var variant = getVariant(tableOrContract);
+   if ((variant == null) || (variant.streets == undefined) || (variant.streets == null)) {
+      return (false);
+   }
+   return (variant.streets.length > 0);
+}
+
+/**
+* Returns the number of face-down and face-up cards that each player holds once a street
+* has been dealt in a stud contract (see {@link isStud}).
+*
+* @param {ContractObject} contract The stud contract.
+* @param {Number} streetIndex The index of the street within the variant's <code>streets</code> array.
+*
+* @return {Object} Contains the total number of <code>down</code> and <code>up</code> cards
+* dealt to each player up to and including the street. Both are 0 if <code>streetIndex</code>
+* is less than 0.
+* @private
+*/
+function getStreetCards(contract, streetIndex) {
+   var streetCards = new Object();
+   streetCards.down = 0;
+   streetCards.up = 0;
+   var streets = getVariant(contract).streets;
+   for (var count=0; (count <= streetIndex) && (count < streets.length); count++) {
+      streetCards.down += streets[count].down;
+      streetCards.up += streets[count].up;
+   }
+   return (streetCards);
+}
+
+/**
+* Counts the face-down and face-up cards dealt to a player in a stud contract based
+* on the contract's deals <code>history</code> and the face-up cards revealed by the player.
+*
+* @param {ContractObject} contract The stud contract to examine.
+* @param {String} privateID The private ID of the player whose cards to count.
+*
+* @return {Object} Contains the number of face-down (<code>selectedDown</code>), and face-up
+* (<code>selectedUp</code>), cards selected by the player, the number of face-down (<code>down</code>)
+* and face-up (<code>up</code>) cards that have been decrypted by all other players, and the number
+* of face-up cards <code>revealed</code> by the player.
+* @private
+*/
+function getStudCards(contract, privateID) {
+   var cardsObj = new Object();
+   cardsObj.selectedDown = 0;
+   cardsObj.selectedUp = 0;
+   cardsObj.down = 0;
+   cardsObj.up = 0;
+   cardsObj.revealed = 0;
+   var history = contract.history;
+   if ((history.reveals != undefined) && (history.reveals != null) && (history.reveals[privateID] != undefined)) {
+      cardsObj.revealed = history.reveals[privateID].length;
+   }
+   if ((history.deals == undefined) || (history.deals == null) || (history.deals[privateID] == undefined)) {
+      return (cardsObj);
+   }
+   var deals = history.deals[privateID];
+   var currentSelect = null;
+   var numDecrypts = 0;
+   for (var count=0; count < deals.length; count++) {
+      var currentDeal = deals[count];
+      if (currentDeal.type == "select") {
+         currentSelect = currentDeal;
+         numDecrypts = 0;
+         if (currentDeal.private == true) {
+            cardsObj.selectedDown += currentDeal.cards.length;
+         } else {
+            cardsObj.selectedUp += currentDeal.cards.length;
+         }
+      } else if ((currentDeal.type == "decrypt") && (currentSelect != null)) {
+         numDecrypts++;
+         if (numDecrypts == (contract.players.length - 1)) {
+            //all other players have decrypted the selection
+            if (currentSelect.private == true) {
+               cardsObj.down += currentSelect.cards.length;
+            } else {
+               cardsObj.up += currentSelect.cards.length;
+            }
+         }
+      }
+   }
+   return (cardsObj);
+}
+
+/**
+* Returns the number of streets that have been completely dealt in a stud contract. A street
+* is completely dealt once every non-folded player's face-down cards for it have been decrypted
+* by all other players and every non-folded player has revealed their face-up cards for it.
+*
+* @param {ContractObject} contract The stud contract to examine.
+*
+* @return {Number} The number of completely dealt streets. Always 0 if the contract
+* isn't a stud contract.
+* @private
+*/
+function getStreetsDealt(contract) {
+   if (isStud(contract) == false) {
+      return (0);
+   }
+   var streets = getVariant(contract).streets;
+   for (var count=0; count < streets.length; count++) {
+      var streetCards = getStreetCards(contract, count);
+      for (var count2=0; count2 < contract.players.length; count2++) {
+         var player = contract.players[count2];
+         if (player.hasFolded == false) {
+            var studCards = getStudCards(contract, player.privateID);
+            if ((studCards.down < streetCards.down) || (studCards.revealed < streetCards.up)) {
+               return (count);
+            }
+         }
+      }
+   }
+   return (streets.length);
+}
+
+/**
+* Returns the index of the current street (round of dealing and betting), in a stud contract.
+* This is the last completely dealt street (see {@link getStreetsDealt}).
+*
+* @param {ContractObject} contract The contract to examine.
+*
+* @return {Number} The index of the current street within the variant's <code>streets</code>
+* array. Always 0 if the contract isn't a stud contract.
+* @private
+*/
+function getStreet(contract) {
+   return (Math.max((getStreetsDealt(contract) - 1), 0));
+}
+
+/**
+* Checks whether a street is currently being dealt in a stud contract; at least one
+* non-folded player has selected cards for a street that hasn't yet been completely
+* dealt (see {@link getStreetsDealt}).
+*
+* @param {ContractObject} contract The contract to examine.
+*
+* @return {Boolean} True if a street is being dealt.
+* @private
+*/
+function isStreetDealing(contract) {
+   if (isStud(contract) == false) {
+      return (false);
+   }
+   var dealtCards = getStreetCards(contract, getStreetsDealt(contract) - 1);
+   for (var count=0; count < contract.players.length; count++) {
+      var player = contract.players[count];
+      if (player.hasFolded == false) {
+         var studCards = getStudCards(contract, player.privateID);
+         if ((studCards.selectedDown > dealtCards.down) || (studCards.selectedUp > dealtCards.up)) {
+            return (true);
+         }
+      }
+   }
+   return (false);
+}
+
+/**
+* Returns the number of cards that a player must select in their next face-down or
+* face-up deal in a stud contract. Each non-zero number of face-down or face-up cards
+* in the variant's <code>streets</code> is dealt as a separate selection.
+*
+* @param {ContractObject} contract The stud contract.
+* @param {String} privateID The private ID of the player selecting the cards.
+* @param {Boolean} privateDeal True if the cards are being dealt face-down, false if
+* they're being dealt face-up.
+*
+* @return {Number} The number of cards that the player must select, or 0 if all of
+* the player's face-down or face-up cards have already been selected.
+* @private
+*/
+function getStudDealSize(contract, privateID, privateDeal) {
+   var streets = getVariant(contract).streets;
+   var dealSizes = new Array();
+   for (var count=0; count < streets.length; count++) {
+      if ((privateDeal == true) && (streets[count].down > 0)) {
+         dealSizes.push(streets[count].down);
+      } else if ((privateDeal != true) && (streets[count].up > 0)) {
+         dealSizes.push(streets[count].up);
+      }
+   }
+   var numSelects = 0;
+   var deals = contract.history.deals[privateID];
+   for (count=0; count < deals.length; count++) {
+      if ((deals[count].type == "select") && ((deals[count].private == true) == (privateDeal == true))) {
+         numSelects++;
+      }
+   }
+   if (numSelects >= dealSizes.length) {
+      return (0);
+   }
+   return (dealSizes[numSelects]);
+}
+
+/**
+* Returns the non-folded players of a stud contract whose face-up cards have been
+* decrypted by all other players but who haven't yet revealed them.
+*
+* @param {ContractObject} contract The stud contract to examine.
+*
+* @return {Array} Indexed array of player objects that must reveal their face-up cards.
+* @private
+*/
+function getUnrevealedPlayers(contract) {
+   var unrevealedPlayers = new Array();
+   for (var count=0; count < contract.players.length; count++) {
+      var player = contract.players[count];
+      if (player.hasFolded == false) {
+         var studCards = getStudCards(contract, player.privateID);
+         if (studCards.up > studCards.revealed) {
+            unrevealedPlayers.push(player);
+         }
+      }
+   }
+   return (unrevealedPlayers);
+}
+
+/**
+* Returns the player that acts first in the current street of a stud contract. On the first
+* street this is the player with the lowest face-up card, who must post the bring-in. Cards are
+* ranked by their <code>highvalue</code> and then by suit, from lowest to highest: clubs, diamonds,
+* hearts, spades. On subsequent streets this is the player with the best showing hand (see
+* {@link scoreShowingCards}), with ties going to the player nearest to the dealer's left. These
+* rules mirror those applied by the client's <code>CypherPokerGame.getStudFirstPlayer</code> function.
+*
+* @param {ContractObject} contract The stud contract to examine.
+*
+* @return {Object} The first player to act or <code>null</code> if the current street
+* hasn't been completely dealt.
+* @private
+*/
+function getStudFirstPlayer(contract) {
+   var streetsDealt = getStreetsDealt(contract);
+   if ((streetsDealt == 0) || isStreetDealing(contract)) {
+      return (null);
+   }
+   var suitValues = new Object();
+   suitValues.clubs = 0;
+   suitValues.diamonds = 1;
+   suitValues.hearts = 2;
+   suitValues.spades = 3;
+   var numUpCards = getStreetCards(contract, streetsDealt - 1).up;
+   var firstPlayer = null;
+   var firstScore = null;
+   var player = getNextPlayer(contract, getDealer(contract).privateID);
+   for (var count=0; count < contract.players.length; count++) {
+      if (player.hasFolded == false) {
+         var upCards = new Array();
+         for (var count2=0; count2 < numUpCards; count2++) {
+            upCards.push(getMappedCard(contract, contract.history.reveals[player.privateID][count2]));
+         }
+         if (streetsDealt == 1) {
+            //lowest card brings in (score is negated so that the highest score wins below)
+            var lowestCard = null;
+            for (count2=0; count2 < upCards.length; count2++) {
+               var card = upCards[count2];
+               if ((lowestCard == null) || (card.highvalue < lowestCard.highvalue) ||
+                  ((card.highvalue == lowestCard.highvalue) && (suitValues[card.suit] < suitValues[lowestCard.suit]))) {
+                  lowestCard = card;
+               }
+            }
+            var score = new Array();
+            score.push(0 - lowestCard.highvalue);
+            score.push(0 - suitValues[lowestCard.suit]);
+         } else {
+            score = scoreShowingCards(upCards);
+         }
+         if ((firstScore == null) || (compareShowingScores(score, firstScore) > 0)) {
+            firstPlayer = player;
+            firstScore = score;
+         }
+      }
+      player = getNextPlayer(contract, player.privateID);
+   }
+   return (firstPlayer);
+}
+
+/**
+* Scores a partial (showing), hand of face-up cards in a stud contract. Only pairs, two pairs,
+* three of a kind and four of a kind are considered; straights and flushes don't count toward
+* a showing hand.
+*
+* @param {Array} cards Indexed array of face-up card objects to score.
+*
+* @return {Array} The score of the cards with the hand's rank (0 for high card, 1 for one pair,
+* 2 for two pair, 3 for three of a kind, and 4 for four of a kind), at index 0 followed by the
+* card values of the hand from most to least significant. Scores may be compared using
+* {@link compareShowingScores}.
+* @private
+*/
+function scoreShowingCards(cards) {
+   var valueCounts = new Object();
+   for (var count=0; count < cards.length; count++) {
+      var value = cards[count].highvalue;
+      if (valueCounts[value] == undefined) {
+         valueCounts[value] = 0;
+      }
+      valueCounts[value]++;
+   }
+   var groups = new Array();
+   for (value in valueCounts) {
+      var group = new Object();
+      group.value = Number(value);
+      group.count = valueCounts[value];
+      groups.push(group);
+   }
+   groups.sort((group1, group2) => {
+      if (group1.count != group2.count) {
+         return (group2.count - group1.count);
+      }
+      return (group2.value - group1.value);
+   });
+   var rank = 0;
+   if (groups.length > 0) {
+      if (groups[0].count == 4) {
+         rank = 4;
+      } else if (groups[0].count == 3) {
+         rank = 3;
+      } else if ((groups[0].count == 2) && (groups.length > 1) && (groups[1].count == 2)) {
+         rank = 2;
+      } else if (groups[0].count == 2) {
+         rank = 1;
+      }
+   }
+   var score = new Array();
+   score.push(rank);
+   for (count=0; count < groups.length; count++) {
+      score.push(groups[count].value);
+   }
+   return (score);
+}
+
+/**
+* Compares two scores generated by {@link scoreShowingCards}.
+*
+* @param {Array} score1 The first score to compare.
+* @param {Array} score2 The second score to compare.
+*
+* @return {Number} 1 if <code>score1</code> is higher, -1 if <code>score2</code> is higher,
+* or 0 if both are the same.
+* @private
+*/
+function compareShowingScores(score1, score2) {
+   for (var count=0; (count < score1.length) && (count < score2.length); count++) {
+      if (score1[count] > score2[count]) {
+         return (1);
+      } else if (score1[count] < score2[count]) {
+         return (-1);
+      }
+   }
+   return (0);
+}
+
+/**
+* Returns the next betting player following a specified one in a stud contract. Betting
+* starts with the first player of the street (see {@link getStudFirstPlayer}), and continues
+* clockwise.
+*
+* @param {ContractObject} contract The stud contract within which to look for the
+* next betting player.
+* @param {String} privateID The private ID of the player that has just bet
+* or folded, or <code>null</code> if no one has.
+*
+* @return {Object} A reference to the next betting player object within the <code>contract</code>,
+* or <code>null</code> if one can't be determined or the current street is still being dealt.
+* @private
+*/
+function getNextStudBettingPlayer(contract, privateID) {
+   var firstPlayer = getStudFirstPlayer(contract);
+   if (firstPlayer == null) {
+      return (null);
+   }
+   var largestPlayerBet = largestBet(contract);
+   var startingPlayer = firstPlayer;
+   if (privateID != null) {
+      for (var count=0; count < contract.players.length; count++) {
+         if (contract.players[count].hasBet == true) {
+            //action has taken place on this street so continue after the last player to act
+            startingPlayer = getNextPlayer(contract, privateID);
+            break;
+         }
+      }
+   }
+   var nextPlayer = startingPlayer;
+   for (count=0; count < contract.players.length; count++) {
+      if ((nextPlayer.hasFolded == false) && (isAllIn(nextPlayer) == false)) {
+         if ((nextPlayer.hasBet == false) || bigInt(nextPlayer.totalBet).lesser(largestPlayerBet)) {
+            return (nextPlayer);
+         }
+      }
+      nextPlayer = getNextPlayer(contract, nextPlayer.privateID);
+   }
+   return (null);
+}
+
+/**
+* Checks whether a table, or the table associated with a contract, is a
+* tournament table. Tournament tables include a <code>tableInfo.tournament</code>
+* object.
+*
+* @param {ContractObject|TableObject} tableOrContract The table, or contract containing
+* the <code>table</code>, to check.
+*
+* @return {Boolean} True if the table is a tournament table.
+* @private
+*/
+function isTournament(tableOrContract) {
+   var tableObj = tableOrContract;
+   if ((tableOrContract.table != undefined) && (tableOrContract.table != null)) {
+      tableObj = tableOrContract.table;
+   }
+   if ((tableObj.tableInfo.tournament == undefined) || (tableObj.tableInfo.tournament == null)) {
+      return (false);
    }
-   return (false);
+   return (true);
 }
 
 /**
-* Checks a card deck array for duplicate values.
+* Checks whether a table's <code>tableInfo.tournament</code> object is valid.
 *
-* @param {Array} cardDeck Indexed array of values to examine.
-* @param {String} [valueProp=null] The value property of each array
-* element to examine (e.g. <code>mapping</code>). If omitted or <code>null</code>,
-* each element is examined directly.
+* @param {TableObject} tableObj The table containing the tournament settings to check.
 *
-* @return {Boolean} True if the <code>cardDeck</code> contains duplicate values,
-* otherwise false.
+* @return {Boolean} True if the tournament settings are valid.
 * @private
 */
-function containsDuplicates(cardDeck, valueProp=null) {
-   var compareDeck = Array.from(cardDeck);
-   var dupFound = false;
-   cardDeck.forEach((value,index,arr) => {
-      if (valueProp != null) {
-         var cardValue = value[valueProp];
-      } else {
-         cardValue = value;
+function validTournament(tableObj) {
+   var tournament = tableObj.tableInfo.tournament;
+   if (typeof(tournament) != "object") {
+      return (false);
+   }
+   try {
+      if ((typeof(tournament.startingStack) != "string") || bigInt(tournament.startingStack).lesserOrEquals(0)) {
+         return (false);
       }
-      var matchCount = 0;
-      compareDeck.forEach((cValue,cIndex,cArr) => {
-         if (valueProp != null) {
-            var compareValue = cValue[valueProp];
-         } else {
-            compareValue = cValue;
+      var schedule = tournament.blindSchedule;
+      if ((typeof(schedule) != "object") || (schedule == null)) {
+         return (false);
+      }
+      if ((schedule.type != "hands") && (schedule.type != "time")) {
+         return (false);
+      }
+      if ((Number.isInteger(schedule.interval) == false) || (schedule.interval < 1)) {
+         return (false);
+      }
+      if ((schedule.levels != undefined) && (schedule.levels != null)) {
+         if ((typeof(schedule.levels.length) != "number") || (schedule.levels.length == 0)) {
+            return (false);
          }
-         if (compareValue == cardValue) {
-            matchCount++;
+         for (var count = 0; count < schedule.levels.length; count++) {
+            var smallBlind = bigInt(schedule.levels[count].smallBlind);
+            var bigBlind = bigInt(schedule.levels[count].bigBlind);
+            if (smallBlind.lesserOrEquals(0) || bigBlind.lesserOrEquals(smallBlind)) {
+               return (false);
+            }
+            if ((schedule.levels[count].ante != undefined) && bigInt(schedule.levels[count].ante).lesser(0)) {
+               return (false);
+            }
          }
-         if (matchCount > 1) {
-            dupFound = true;
+      }
+      if ((tournament.payouts != undefined) && (tournament.payouts != null)) {
+         if ((typeof(tournament.payouts.length) != "number") || (tournament.payouts.length == 0)) {
+            return (false);
          }
-      });
-   });
-   return (dupFound);
+         if (tournament.payouts.length > tableObj.joinedPID.length) {
+            return (false);
+         }
+         var totalPercent = 0;
+         for (count = 0; count < tournament.payouts.length; count++) {
+            if ((Number.isInteger(tournament.payouts[count]) == false) || (tournament.payouts[count] < 1)) {
+               return (false);
+            }
+            totalPercent += tournament.payouts[count];
+         }
+         if (totalPercent != 100) {
+            return (false);
+         }
+      }
+   } catch (err) {
+      return (false);
+   }
+   return (true);
 }
 
 /**
-* Remove a set of items from a deck.
+* Returns the tournament object associated with a tournament table. Tournaments
+* are stored in the <code>namespace.cp.tournaments</code> object, keyed by table ID,
+* and outlive the individual contracts (hands) played at the table.
 *
-* @param {Array} removeItems Array of strings matching card values to remove
-* from <code>deckArr</code>
-* @param {Array} deckArr Array of strings matching card values and representing
-* a deck. Items found in <code>removeItems</code> will be removed directly
-* from this array.
+* @param {ContractObject|TableObject} tableOrContract The table, or contract containing
+* the <code>table</code>, for which to retrieve the tournament.
+* @param {Boolean} [create=false] If true and no tournament exists for the table,
+* a new tournament is created using the table's <code>tableInfo.tournament</code> settings.
 *
-* @return {Boolean} True if the correct number of items were removed from
-* <code>deckArr</code> (i.e. only one unique match for each value existed).
-* False is returned if the removed items don't match the expected set but
-* <code>deckArr</code> may still be modified.
+* @return {Object} The tournament object or <code>null</code> if none exists
+* and <code>create</code> is false.
 * @private
 */
-function removeFromDeck(removeItems, deckArr) {
-   var itemsToRemove = removeItems.length;
-   var removedItems = new Array();
-   for (var count=0; count < removeItems.length; count++) {
-      var count2=0;
-      while (count2 < deckArr.length) {
-         if (removeItems[count] == deckArr[count2]) {
-            removedItems.push(deckArr.splice(count2, 1)[0]);
-            //keep going in case there are duplicates
-         } else {
-            count2++;
-         }
-      }
+function getTournament(tableOrContract, create=false) {
+   var tableObj = tableOrContract;
+   if ((tableOrContract.table != undefined) && (tableOrContract.table != null)) {
+      tableObj = tableOrContract.table;
    }
-   if (removedItems.length == itemsToRemove) {
-      return (true);
+   var tournament = namespace.cp.tournaments[tableObj.tableID];
+   if ((tournament != undefined) && (tournament != null)) {
+      return (tournament);
    }
-   return (false);
+   if (create == false) {
+      return (null);
+   }
+   var settings = tableObj.tableInfo.tournament;
+   tournament = new Object();
+   tournament.tournamentID = tableObj.tableID;
+   tournament.tableName = tableObj.tableName;
+   tournament.currency = new Object();
+   tournament.currency.type = tableObj.tableInfo.currency.type;
+   tournament.currency.network = tableObj.tableInfo.currency.network;
+   tournament.buyIn = String(tableObj.tableInfo.buyIn);
+   tournament.startingStack = String(settings.startingStack);
+   tournament.smallBlind = String(tableObj.tableInfo.smallBlind);
+   tournament.bigBlind = String(tableObj.tableInfo.bigBlind);
+   tournament.ante = "0";
+   if ((tableObj.tableInfo.ante != undefined) && (tableObj.tableInfo.ante != null) && (tableObj.tableInfo.ante != "")) {
+      tournament.ante = String(tableObj.tableInfo.ante);
+   }
+   tournament.blindSchedule = settings.blindSchedule;
+   if ((settings.payouts != undefined) && (settings.payouts != null)) {
+      tournament.payouts = Array.from(settings.payouts);
+   } else {
+      tournament.payouts = Array.from(config.CP.API.contract.tournament.defaultPayouts);
+   }
+   tournament.prizePool = "0";
+   tournament.players = new Object();
+   tournament.handsPlayed = 0;
+   tournament.startedAt = new Date().toISOString();
+   tournament.complete = false;
+   tournament.results = new Array();
+   namespace.cp.tournaments[tableObj.tableID] = tournament;
+   return (tournament);
 }
 
 /**
-* Returns all of the available, unordered 5-hand permutations for a set of supplied cards.
+* Returns the current blind level of a tournament according to its blind schedule.
+* Levels advance every <code>blindSchedule.interval</code> hands if <code>blindSchedule.type</code>
+* is "hands", or every <code>blindSchedule.interval</code> minutes since the tournament started
+* if it's "time". If the schedule doesn't include explicit <code>levels</code>, the table's blinds
+* and ante are multiplied by <code>config.CP.API.contract.tournament.blindMultiplier</code> at each level.
+* Explicit levels may include an optional <code>ante</code>.
 *
-* @param {Array} cardsArr Values or {@link CypherPokerCard} instance for
-* which to produce permutatuions, up to a maximum of 7 elements.
+* @param {Object} tournament The tournament object for which to return the blind level.
 *
-* @return {Array} Each array element contains a unique 5-card permutation
-* from the input set. If there are less than 6 cards provided, only one
-* permutation is returned.
+* @return {Object} The 0-based <code>level</code> along with its <code>smallBlind</code>,
+* <code>bigBlind</code>, and <code>ante</code> amounts (as strings).
 * @private
 */
-function createCardPermutations(cardsArr) {
-   var permArray = new Array();
-   if (cardsArr.length <= 5) {
-      //only one hand permutation available
-      permArray.push (cardsArr);
-   } else if (cardsArr.length == 6) {
-      //only private card 2 (index 1)
-      permArray.push ([cardsArr[1], cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[5]]);
-      //only private card 1 (index 0)
-      permArray.push ([cardsArr[0], cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[5]]);
-      //both private cards
-      permArray.push ([cardsArr[1], cardsArr[0], cardsArr[3], cardsArr[4], cardsArr[5]]);
-      permArray.push ([cardsArr[1], cardsArr[2], cardsArr[0], cardsArr[4], cardsArr[5]]);
-      permArray.push ([cardsArr[1], cardsArr[2], cardsArr[3], cardsArr[0], cardsArr[5]]);
-      permArray.push ([cardsArr[1], cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[0]]);
+function getTournamentBlinds(tournament) {
+   var schedule = tournament.blindSchedule;
+   if (schedule.type == "time") {
+      var elapsed = Date.now() - new Date(tournament.startedAt).valueOf();
+      var level = Math.floor(elapsed / (schedule.interval * 60000));
    } else {
-      //no private cards
-      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[5], cardsArr[6]]);
-      //private card 1 (index 0)
-      permArray.push ([cardsArr[0], cardsArr[3], cardsArr[4], cardsArr[5], cardsArr[6]]);
-      permArray.push ([cardsArr[2], cardsArr[0], cardsArr[4], cardsArr[5], cardsArr[6]]);
-      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[0], cardsArr[5], cardsArr[6]]);
-      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[0], cardsArr[6]]);
-      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[5], cardsArr[0]]);
-      //private card 2 (index 1)
-      permArray.push ([cardsArr[1], cardsArr[3], cardsArr[4], cardsArr[5], cardsArr[6]]);
-      permArray.push ([cardsArr[2], cardsArr[1], cardsArr[4], cardsArr[5], cardsArr[6]]);
-      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[1], cardsArr[5], cardsArr[6]]);
-      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[1], cardsArr[6]]);
-      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[5], cardsArr[1]]);
-      //both private cards
-      permArray.push ([cardsArr[0], cardsArr[1], cardsArr[4], cardsArr[5], cardsArr[6]]);
-      permArray.push ([cardsArr[0], cardsArr[3], cardsArr[1], cardsArr[5], cardsArr[6]]);
-      permArray.push ([cardsArr[0], cardsArr[3], cardsArr[4], cardsArr[1], cardsArr[6]]);
-      permArray.push ([cardsArr[0], cardsArr[3], cardsArr[4], cardsArr[5], cardsArr[1]]);
-      permArray.push ([cardsArr[2], cardsArr[0], cardsArr[1], cardsArr[5], cardsArr[6]]);
-      permArray.push ([cardsArr[2], cardsArr[0], cardsArr[4], cardsArr[1], cardsArr[6]]);
-      permArray.push ([cardsArr[2], cardsArr[0], cardsArr[4], cardsArr[5], cardsArr[1]]);
-      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[0], cardsArr[1], cardsArr[6]]);
-      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[0], cardsArr[5], cardsArr[1]]);
-      permArray.push ([cardsArr[2], cardsArr[3], cardsArr[4], cardsArr[0], cardsArr[1]]);
+      level = Math.floor(tournament.handsPlayed / schedule.interval);
    }
-   return (permArray);
+   var returnObj = new Object();
+   if ((schedule.levels != undefined) && (schedule.levels != null)) {
+      level = Math.min(level, schedule.levels.length - 1);
+      returnObj.smallBlind = String(schedule.levels[level].smallBlind);
+      returnObj.bigBlind = String(schedule.levels[level].bigBlind);
+      returnObj.ante = "0";
+      if (schedule.levels[level].ante != undefined) {
+         returnObj.ante = String(schedule.levels[level].ante);
+      }
+   } else {
+      var multiplier = bigInt(config.CP.API.contract.tournament.blindMultiplier).pow(level);
+      returnObj.smallBlind = bigInt(tournament.smallBlind).times(multiplier).toString(10);
+      returnObj.bigBlind = bigInt(tournament.bigBlind).times(multiplier).toString(10);
+      returnObj.ante = "0";
+      if (tournament.ante != undefined) {
+         returnObj.ante = bigInt(tournament.ante).times(multiplier).toString(10);
+      }
+   }
+   returnObj.level = level;
+   return (returnObj);
 }
 
 /**
-* Returns a matching player object from a contract.
+* Returns a summary of a tournament's current state suitable for inclusion with
+* a contract (as <code>contract.tournament</code>), or for returning to a client.
 *
-* @param {ContractObject} contract The contract within which to find the
-* player matching the <code>privateID</code>.
-* @param {String} privateID The private ID of the player to find within the
-* <code>contract</code>.
+* @param {Object} tournament The tournament object to summarize.
 *
-* @return {Object} The player object matching the parameters or <code>null</code>
-* if none can be found.
+* @return {Object} The tournament summary including the <code>tournamentID</code>, <code>prizePool</code>,
+* <code>handsPlayed</code>, current blind <code>level</code>, <code>smallBlind</code>, <code>bigBlind</code>, and <code>ante</code>,
+* <code>stacks</code> (name/value pairs of player private IDs and chip stacks), <code>eliminated</code> (private
+* IDs of eliminated players), <code>complete</code> flag, and <code>results</code> (finishing places and payouts
+* once complete).
 * @private
 */
-function getPlayer(contract, privateID) {
-   for (var count=0; count < contract.players.length; count++) {
-      if (contract.players[count].privateID == privateID) {
-         return (contract.players[count]);
+function getTournamentInfo(tournament) {
+   var blinds = getTournamentBlinds(tournament);
+   var infoObj = new Object();
+   infoObj.tournamentID = tournament.tournamentID;
+   infoObj.buyIn = tournament.buyIn;
+   infoObj.prizePool = tournament.prizePool;
+   infoObj.payouts = Array.from(tournament.payouts);
+   infoObj.handsPlayed = tournament.handsPlayed;
+   infoObj.startedAt = tournament.startedAt;
+   infoObj.level = blinds.level;
+   infoObj.smallBlind = blinds.smallBlind;
+   infoObj.bigBlind = blinds.bigBlind;
+   infoObj.ante = blinds.ante;
+   infoObj.stacks = new Object();
+   infoObj.eliminated = new Array();
+   for (var privateID in tournament.players) {
+      var entrant = tournament.players[privateID];
+      infoObj.stacks[privateID] = entrant.stack;
+      if ((entrant.place != null) && (entrant.place > 1)) {
+         infoObj.eliminated.push(privateID);
       }
    }
-   return (null);
+   infoObj.complete = tournament.complete;
+   infoObj.results = Array.from(tournament.results);
+   return (infoObj);
 }
 
 /**
-* Retrieves the next player after a specified one in a contract.
+* Moves a player's tournament chip stack into a tournament contract (hand), in place of the
+* cash buy-in used at non-tournament tables. If the player hasn't yet registered for the
+* tournament, the table's buy-in is deducted from their account and added to the
+* tournament's prize pool, and they're registered with the starting stack. Registration
+* closes once the first hand has completed.
 *
-* @param {ContractObject} contract The contract to use to determine the next
-* player.
-* @param {String} privateID The private ID of the player preceding
-* the player to retrieve.
-* @param {Boolean} [allowFolded=true] If false, return only the next non-folded
-* player, otherwise return any next player.
+* @param {ContractObject} contract The tournament contract for the hand being played.
+* @param {String} privateID The private ID of the player buying into the hand.
+* @param {Object} accountRow The player's latest account row, such as one retrieved via
+* {@link validAccount}.
 *
-* @return {Object} A player object or <code>null</code> if no matching
-* player private ID can be found in the contract.
+* @return {Promise} Resolves with the tournament object. Rejects with an <code>Error</code>
+* if the player can't buy into the hand.
 * @private
+* @async
 */
-function getNextPlayer(contract, privateID, allowFolded=true) {
-   for (var count=0; count < contract.players.length; count++) {
-      if (contract.players[count].privateID == privateID) {
-         var nextPlayer = contract.players[(count+1) % contract.players.length];
-         if (contract.players[count].folded && (allowFolded == false)) {
-            nextPlayer = getNextPlayer(contract, nextPlayer.privateID, allowFolded);
-         }
-         return (nextPlayer);
+async function tournamentBuyIn(contract, privateID, accountRow) {
+   var tournament = getTournament(contract, true);
+   if (tournament.complete) {
+      throw (new Error("Tournament has ended."));
+   }
+   var entrant = tournament.players[privateID];
+   if ((entrant == undefined) || (entrant == null)) {
+      if (tournament.handsPlayed > 0) {
+         throw (new Error("Tournament registration is closed."));
       }
+      //entry fee is deducted from the account and goes to the prize pool
+      var buyIn = "-"+String(tournament.buyIn);
+      var result = await addToAccountBalance(accountRow, buyIn, contract, "buyin", tournament.tournamentID, "Tournament entry");
+      entrant = new Object();
+      entrant.privateID = privateID;
+      entrant.account = new Object();
+      entrant.account.address = accountRow.address;
+      entrant.account.type = accountRow.type;
+      entrant.account.network = accountRow.network;
+      entrant.stack = tournament.startingStack;
+      entrant.handStack = "0";
+      entrant.place = null;
+      entrant.payout = "0";
+      tournament.players[privateID] = entrant;
+      tournament.prizePool = bigInt(tournament.prizePool).plus(bigInt(tournament.buyIn)).toString(10);
    }
-   return (null);
+   if (entrant.place != null) {
+      throw (new Error("Player has been eliminated from the tournament."));
+   }
+   //stack is held by the contract until the hand ends
+   setPlayerBalance(contract, privateID, entrant.stack);
+   entrant.handStack = entrant.stack;
+   entrant.stack = "0";
+   contract.tournament = getTournamentInfo(tournament);
+   return (tournament);
 }
 
 /**
-* Retrieves the previous player after a specified one in a contract.
+* Checks that the players in a new tournament contract (hand) are exactly the players
+* remaining in the tournament. Before the first hand has completed any players may be included.
 *
-* @param {ContractObject} contract The contract to use to determine the previous
-* player.
-* @param {String} privateID The private ID of the player following
-* the player to retrieve.
+* @param {ContractObject} contract The new tournament contract to check.
 *
-* @return {Object} A player object or <code>null</code> if no matching
-* player private ID can be found in the contract.
+* @return {Boolean} True if the contract's players are valid for the tournament.
 * @private
 */
-function getPreviousPlayer(contract, privateID) {
-   for (var count=0; count < contract.players.length; count++) {
-      if (contract.players[count].privateID == privateID) {
-         if (count == 0) {
-            return (contract.players[contract.players.length-1]);
-         } else {
-            return (contract.players[count-1]);
+function validTournamentPlayers(contract) {
+   var tournament = getTournament(contract);
+   if ((tournament == null) || (tournament.handsPlayed == 0)) {
+      return (true);
+   }
+   var remainingPlayers = 0;
+   for (var privateID in tournament.players) {
+      if (tournament.players[privateID].place == null) {
+         remainingPlayers++;
+         if (getPlayer(contract, privateID) == null) {
+            return (false);
          }
       }
    }
-   return (null);
+   return (remainingPlayers == contract.players.length);
 }
 
 /**
-* Returns the player that is currently flagged as the dealer
-* in the associated contract's <code>players</code> array.
+* Credits a contract player with an amount such as a pot award or a refund of their
+* remaining contract balance. At tournament tables the amount is added to the player's
+* tournament chip stack, otherwise it's added to their account.
 *
-* @return {Object} The player instance that is flagged as a dealer.
-* <code>null</code> is returned if no dealer is flagged.
+* @param {ContractObject} contract The contract from which the player is being credited.
+* @param {Object} player The player object, within the <code>contract</code>, to credit.
+* @param {String|Number} amount The amount to credit.
+* @param {String} [entryType="payout"] The account ledger entry type to record the credit as
+* (see {@link addToAccountBalance}). Not used for tournament stacks.
+* @param {String} [memo=""] A description of the credit for the account ledger.
+*
+* @return {Promise} Resolves with the new account balance or tournament stack (String).
+* Rejects with an <code>Error</code> if the credit can't be applied.
 * @private
+* @async
 */
-function getDealer(contract) {
-   for (var count=0; count < contract.players.length; count++) {
-      if (contract.players[count].isDealer) {
-         return (contract.players[count]);
+async function creditPlayer(contract, player, amount, entryType="payout", memo="") {
+   if (isTournament(contract)) {
+      var tournament = getTournament(contract);
+      var entrant = tournament.players[player.privateID];
+      if ((entrant == undefined) || (entrant == null)) {
+         throw (new Error("Player not registered with tournament."));
       }
+      entrant.stack = bigInt(entrant.stack).plus(bigInt(amount)).toString(10);
+      return (entrant.stack);
    }
-   return (null);
+   var searchObj = new Object();
+   searchObj.address = player.account.address;
+   searchObj.type = player.account.type;
+   searchObj.network = player.account.network;
+   var accountResult = await namespace.cp.getAccount(searchObj);
+   var result = await addToAccountBalance(accountResult[0], amount, contract, entryType, contract.contractID, memo);
+   return (result);
 }
 
 /**
-* Returns the player object that is currently flagged as the big blind
-* in a {@link ContractObject}.
+* Updates a tournament once a contract (hand) has ended and all of the contract's
+* balances have been credited back to the players' chip stacks. Players left without
+* chips are eliminated and assigned finishing places; players eliminated in the same hand
+* are ranked by the stacks they started the hand with. When only one player remains, the
+* tournament is completed and paid out (see {@link payoutTournament}). The contract's
+* <code>tournament</code> summary is updated.
 *
-* @param {ContractObject} contract The contract from which to extract the
-* big blind.
+* @param {ContractObject} contract The completed tournament contract.
 *
-* @return {Object} The player object in the contract that
-* is flagged as a big blind. <code>null</code> is returned if no big blind
-* is flagged.
+* @return {Promise} Resolves with the updated tournament object, or <code>null</code>
+* if the contract isn't associated with a tournament.
 * @private
+* @async
 */
-function getBigBlind(contract) {
-   for (var count=0; count < contract.players.length; count++) {
-      if (contract.players[count].isBigBlind) {
-         return (contract.players[count]);
+async function updateTournament(contract) {
+   var tournament = getTournament(contract);
+   if ((tournament == null) || (tournament.complete == true)) {
+      return (tournament);
+   }
+   tournament.handsPlayed++;
+   var remaining = new Array();
+   for (var privateID in tournament.players) {
+      if (tournament.players[privateID].place == null) {
+         remaining.push(tournament.players[privateID]);
       }
    }
-   return (null);
+   var eliminated = remaining.filter(entrant => {
+      return (bigInt(entrant.stack).equals(0));
+   });
+   eliminated.sort((entrant1, entrant2) => {
+      return (bigInt(entrant1.handStack).compare(bigInt(entrant2.handStack)));
+   });
+   var nextPlace = remaining.length;
+   for (var count = 0; count < eliminated.length; count++) {
+      eliminated[count].place = nextPlace;
+      nextPlace--;
+   }
+   if (nextPlace <= 1) {
+      for (count = 0; count < remaining.length; count++) {
+         if (remaining[count].place == null) {
+            remaining[count].place = 1;
+         }
+      }
+      await payoutTournament(tournament);
+   }
+   contract.tournament = getTournamentInfo(tournament);
+   return (tournament);
+}
+
+/**
+* Completes a tournament by paying out its prize pool to the players' accounts according
+* to its <code>payouts</code> percentages, by finishing place. Any remainder due to rounding
+* is awarded to the first place finisher.
+*
+* @param {Object} tournament The tournament to pay out. All players must have been assigned
+* a finishing place.
+*
+* @return {Promise} Resolves with the tournament's <code>results</code> array, each element
+* containing a player's <code>privateID</code>, <code>place</code>, and <code>payout</code>, ordered
+* by place.
+* @private
+* @async
+*/
+async function payoutTournament(tournament) {
+   var prizePool = bigInt(tournament.prizePool);
+   var entrants = new Array();
+   for (var privateID in tournament.players) {
+      entrants.push(tournament.players[privateID]);
+   }
+   entrants.sort((entrant1, entrant2) => {
+      return (entrant1.place - entrant2.place);
+   });
+   var totalPaid = bigInt(0);
+   for (var count = 0; count < entrants.length; count++) {
+      var entrant = entrants[count];
+      var placeIndex = entrant.place - 1;
+      if (placeIndex < tournament.payouts.length) {
+         var payout = prizePool.times(tournament.payouts[placeIndex]).divide(100);
+         entrant.payout = payout.toString(10);
+         totalPaid = totalPaid.plus(payout);
+      }
+   }
+   if (entrants.length > 0) {
+      entrants[0].payout = bigInt(entrants[0].payout).plus(prizePool.minus(totalPaid)).toString(10);
+   }
+   tournament.complete = true;
+   tournament.results = new Array();
+   for (count = 0; count < entrants.length; count++) {
+      entrant = entrants[count];
+      var resultObj = new Object();
+      resultObj.privateID = entrant.privateID;
+      resultObj.place = entrant.place;
+      resultObj.payout = entrant.payout;
+      tournament.results.push(resultObj);
+      if (bigInt(entrant.payout).greater(0)) {
+         try {
+            var accountResult = await namespace.cp.getAccount(entrant.account);
+            var result = await addToAccountBalance(accountResult[0], entrant.payout, null, "payout", tournament.tournamentID, "Tournament prize (place "+entrant.place+")");
+         } catch (err) {
+            console.error("Couldn't pay out tournament.");
+            console.error("   Tournament ID: "+tournament.tournamentID);
+            console.error("   Account: "+entrant.account.address);
+            console.error("   Payout: "+entrant.payout);
+         }
+      }
+   }
+   return (tournament.results);
+}
+
+/**
+* Returns the seating of a table that's in play. Seating is stored in the <code>namespace.cp.seating</code>
+* object, keyed by table ID, and outlives the individual contracts (hands) played at the table so that
+* players may sit out, and new players may take empty seats, without the table being re-created.
+* The seating is removed once it's no longer needed (see {@link releaseSeating}).
+* Tournament tables have no seating since their players are fixed once the tournament has started.
+*
+* @param {ContractObject|TableObject} tableOrContract The table, or contract containing
+* the <code>table</code>, for which to retrieve the seating.
+* @param {Boolean} [create=false] If true and no seating exists for the table, a new seating
+* is created with a seat for each private ID in the table's <code>joinedPID</code> array.
+*
+* @return {Object} The seating object or <code>null</code> if none exists and <code>create</code>
+* is false, or if the table is a tournament table.
+* @private
+*/
+function getSeating(tableOrContract, create=false) {
+   var tableObj = tableOrContract;
+   if ((tableOrContract.table != undefined) && (tableOrContract.table != null)) {
+      tableObj = tableOrContract.table;
+   }
+   if (isTournament(tableObj)) {
+      return (null);
+   }
+   var seating = namespace.cp.seating[tableObj.tableID];
+   if ((seating != undefined) && (seating != null)) {
+      return (seating);
+   }
+   if (create == false) {
+      return (null);
+   }
+   seating = new Object();
+   seating.tableID = tableObj.tableID;
+   seating.tableName = tableObj.tableName;
+   seating.numSeats = tableObj.joinedPID.length + tableObj.requiredPID.length;
+   seating.buyIn = String(tableObj.tableInfo.buyIn);
+   seating.currency = new Object();
+   seating.currency.type = tableObj.tableInfo.currency.type;
+   seating.currency.network = tableObj.tableInfo.currency.network;
+   seating.seats = new Array();
+   for (var count = 0; count < tableObj.joinedPID.length; count++) {
+      seating.seats.push(createSeat(tableObj.joinedPID[count]));
+   }
+   namespace.cp.seating[tableObj.tableID] = seating;
+   return (seating);
 }
 
 /**
-* Returns the player object that is currently flagged as the small blind
-* in a {@link ContractObject}.
+* Creates a new seat object for a table's seating (see {@link getSeating}).
 *
-* @param {ContractObject} contract The contract from which to extract the
-* big blind.
+* @param {String} privateID The private ID of the player taking the seat.
 *
-* @return {Object} The player object in the contract that
-* is flagged as a small blind. <code>null</code> is returned if no small blind
-* is flagged.
+* @return {Object} A seat object with the player's <code>privateID</code>, the <code>missedSmallBlind</code>
+* and <code>missedBigBlind</code> flags, whether or not the player has been <code>dealt</code> into a contract
+* (hand) since taking the seat, and whether or not the seat was <code>joined</code> after the table was in play.
 * @private
 */
-function getSmallBlind(contract) {
-   for (var count=0; count < contract.players.length; count++) {
-      if (contract.players[count].isSmallBlind) {
-         return (contract.players[count]);
-      }
-   }
-   return (null);
+function createSeat(privateID) {
+   var seat = new Object();
+   seat.privateID = privateID;
+   seat.missedSmallBlind = false;
+   seat.missedBigBlind = false;
+   seat.dealt = false;
+   seat.joined = false;
+   return (seat);
 }
 
 /**
-* Examines a {@link ContractObject} to determine the next player that should deal
-* according to it's deals <code>history</code>.
+* Returns a player's seat from a table's seating.
 *
-* @param {ContractObject} contract The contract to examine.
+* @param {Object} seating The seating object, as returned by {@link getSeating}.
+* @param {String} privateID The private ID of the seated player.
 *
-* @return {Object} A player object representing the player to deal next.
-* <code>null</code> is returned if the player can't be determined.
+* @return {Object} The player's seat object or <code>null</code> if the player isn't seated.
 * @private
 */
-function getNextDealingPlayer(contract) {
-   try {
-      var longestDeal = 0;
-      var currentDealerPID = "";
-      for (var privateID in contract.history.deals) {
-         if (contract.history.deals[privateID].length > longestDeal) {
-            currentDealerPID = privateID;
-            longestDeal = contract.history.deals[privateID].length;
-         }
+function getSeat(seating, privateID) {
+   for (var count = 0; count < seating.seats.length; count++) {
+      if (seating.seats[count].privateID == privateID) {
+         return (seating.seats[count]);
       }
-      var nextDealer = getNextPlayer(contract, currentDealerPID);
-      return (nextDealer);
-   } catch (err) {
-      return (null);
    }
+   return (null);
 }
 
 /**
-* Finds players who have not completed a deal action within a specific contract.
+* Returns a summary of a table's seating that can be safely sent to players.
 *
-* @param {ContractObject} contract The contract to look within.
+* @param {Object} seating The seating object, as returned by {@link getSeating}.
 *
-* @return {Array} Array of player objects of players who have not completed
-* a deal action within the <code>contract</code>.
+* @return {Object} The <code>tableID</code>, <code>tableName</code>, total <code>numSeats</code>, and
+* a copy of the <code>seats</code> array.
 * @private
 */
-function getIncompletePlayers(contract) {
-   var incompletePlayers = new Array();
-   for (var privateID in contract.history.deals) {
-      var deals = contract.history.deals[privateID];
-      var numPlayers = contract.players.length;
-      var numDeals = deals.length;
-      if ((numDeals/numPlayers) != Math.floor(numDeals/numPlayers)) {
-         var lastDeal = deals[deals.length-1];
-         incompletePlayers.push(getPlayer(contract, lastDeal.fromPID));
-      } else {
-         //current deal is complete
-      }
+function getSeatingInfo(seating) {
+   var infoObj = new Object();
+   infoObj.tableID = seating.tableID;
+   infoObj.tableName = seating.tableName;
+   infoObj.numSeats = seating.numSeats;
+   infoObj.seats = new Array();
+   for (var count = 0; count < seating.seats.length; count++) {
+      infoObj.seats.push(Object.assign(new Object(), seating.seats[count]));
    }
-   return (incompletePlayers);
+   return (infoObj);
 }
 
 /**
-* Returns the next player to bet based on information stored within
-* a contract and the private ID of the player who has just bet or folded.
+* Checks whether all of the players that have joined a table are seated at it. A table with vacated
+* seats may only be played if its seating (see {@link getSeating}) still exists and its remaining
+* players are the ones seated there.
 *
-* @param {ContractObject} contract The contract within which to look for the
-* next betting player.
-* @param {String} privateID The private ID of the player that has just bet
-* or folded.
+* @param {TableObject} tableObj The table to check.
 *
-* @return {Object} A reference to the next betting player object within
-* the <code>contract</code>, or <code>null</code> if one can't be determined.
+* @return {Boolean} True if the table has a seating with the same name and all of the table's
+* <code>joinedPID</code> players are seated in it.
 * @private
 */
-function getNextBettingPlayer(contract, privateID) {
-   var anyBetsPlaced = false; //during this round of betting?
-   var largestPlayerBet = largestBet(contract);
-   for (var count=0; count < contract.players.length; count++) {
-      var player = contract.players[count];
-      if ((player.hasBet == true) && (player.hasFolded == false)) {
-         anyBetsPlaced = true;
-         break;
-      }
-   }
-   var nextPlayer = getNextPlayer(contract, privateID);
-   while (nextPlayer.privateID != privateID) {
-      var nextTotalBet = bigInt(nextPlayer.totalBet);
-      if (nextTotalBet.lesser(largestPlayerBet) && (nextPlayer.hasFolded == false)) {
-         if (getBigBlind(contract).numActions > 0) {
-            return (nextPlayer);
-         }
-      }
-      nextPlayer = getNextPlayer(contract, nextPlayer.privateID);
+function seatedAtTable(tableObj) {
+   var seating = namespace.cp.seating[tableObj.tableID];
+   if ((seating == undefined) || (seating == null) || (seating.tableName != tableObj.tableName)) {
+      return (false);
    }
-   if ((getBigBlind(contract).numActions < 2) && getPreviousPlayer(contract, getBigBlind(contract).privateID).hasBet && (getBigBlind(contract).hasFolded == false)) {
-      if ((contract.players.length == 2) && (bigInt(getSmallBlind(contract).totalBet).lesser(bigInt(getBigBlind(contract).totalBet)))) {
-         return (getSmallBlind(contract));
-      } else {
-         return (getBigBlind(contract));
+   for (var count = 0; count < tableObj.joinedPID.length; count++) {
+      if (getSeat(seating, tableObj.joinedPID[count]) == null) {
+         return (false);
       }
    }
-   //starting bets
-   if (contract.players.length == 2) {
-      //heads-up betting order
-      if ((publicCardsDeals(contract).length == 0) && (bettingDone(contract) == false)) {
-         //pre-flop
-         if (getDealer(contract).hasBet == false) {
-            //dealer goes first
-            return (getDealer(contract));
-         } else {
-            return (getNextPlayer(contract, getDealer(contract).privateID));
-         }
-      } else {
-         //post-flop
-         if (getNextPlayer(contract, getDealer(contract).privateID).hasBet == false) {
-            //player goes first
-            return (getNextPlayer(contract, getDealer(contract).privateID));
-         } else {
-            return (getDealer(contract));
-         }
-      }
-   } else {
-      //standard betting order
-      var startingPlayer = getSmallBlind(contract);
-      var firstNonFoldedPlayer = null;
-      if (startingPlayer.hasFolded == false) {
-         firstNonFoldedPlayer = startingPlayer;
-         if ((startingPlayer.hasBet == false) || bigInt(startingPlayer.totalBet).lesser(largestPlayerBet)) {
-            return (startingPlayer);
-         }
+   return (true);
+}
+
+/**
+* Returns the IDs of all tables that currently have a live (valid) contract in play.
+*
+* @return {Object} An object with a <code>true</code> property for each table ID in play.
+* @private
+*/
+function getLiveTableIDs() {
+   var tableIDs = new Object();
+   for (var ownerPID in namespace.cp.contracts) {
+      var contractsArr = namespace.cp.contracts[ownerPID];
+      if ((contractsArr == undefined) || (contractsArr == null) || (contractsArr == "")) {
+         continue;
       }
-      var startingID = startingPlayer.privateID;
-      startingPlayer = getNextPlayer(contract, startingPlayer.privateID);
-      while (startingPlayer.privateID != startingID) {
-         if (startingPlayer.hasFolded == false) {
-            if (firstNonFoldedPlayer == null) {
-               firstNonFoldedPlayer = startingPlayer;
-            }
-            if ((startingPlayer.hasBet == false) || bigInt(startingPlayer.totalBet).lesser(largestPlayerBet)) {
-               return (startingPlayer);
-            }
+      for (var count = 0; count < contractsArr.length; count++) {
+         var contract = contractsArr[count];
+         if ((contract.invalid != true) && (contract.table != undefined) && (contract.table != null)) {
+            tableIDs[contract.table.tableID] = true;
          }
-         startingPlayer = getNextPlayer(contract, startingPlayer.privateID);
       }
-      return (firstNonFoldedPlayer);
    }
-   return (null);
+   return (tableIDs);
 }
 
 /**
-* Updates the timeout for player(s) of a contract based on the action currently being
-* performed.
+* Removes a table's seating (see {@link getSeating}) once it's no longer needed. Unless forced,
+* the seating is only removed if the table has no live contract (hand) in play and none of its
+* seated players still has a connection.
 *
-* @param {String} privateID The private ID of the player currently having just performed the <code>action</code>.
-* @param {String} sourcePID The private ID of the <code>action</code> source or origin (player that initiated the action chain).
-* @param {ContractObject} contract The contract instance associated with the <code>action</code>.
-* Each player's <code>updated</code> time may be updated.
-* @param {String} action The type of action being performed by the player. Valid actions are
-* "deal", "store" and "bet".
-* @param {String} [storeAction=null] The type of store action being performed if <code>action=="store"</code>.
-* Valid <code>storeType</code>s are "encrypt", "select", "decrypt", and "keychain".
-* If the action is not a "store", this parameter is ignored.
-* @param {Array} [storeArray=null] The array of values being stored if <code>action=="store"</code>.
-* If the action is not a "store", this parameter is ignored.
+* @param {Object} seating The seating object to release.
+* @param {Boolean} [force=false] If true, the seating is removed unconditionally, such as when
+* the table's contract is cancelled or the last seated player has left.
+* @param {Object} [liveTableIDs=null] The IDs of the tables in play, as returned by {@link getLiveTableIDs}.
+* If omitted, they're retrieved when needed.
 *
-* @throws {Error} Thrown on an incorrect <code>action</code> or other errors.
+* @return {Boolean} True if the seating was removed.
 * @private
 */
-function updatePlayersTimeout(privateID, sourcePID, contract, action, storeAction=null, storeArray=null) {
-   var date = new Date();
-   var now = new Date();
-   var timeout = contract.table.tableInfo.timeout;
-   now = now.toISOString();
-   var later = new Date();
-   later.setSeconds(later.getSeconds()+timeout);
-   later = later.toISOString();
-   var morelater = new Date();
-   morelater.setSeconds(morelater.getSeconds()+timeout);
-   morelater = morelater.toISOString();
-   if (action == "bet") {
-      //reset all players to expire later
-      for (var count=0; count < contract.players.length; count++) {
-         contract.players[count].updated = morelater;
-      }
-      var nextBettingPlayer = getNextBettingPlayer(contract, privateID);
-      if (nextBettingPlayer != null) {
-         nextBettingPlayer.updated = now;
+function releaseSeating(seating, force=false, liveTableIDs=null) {
+   if (force == false) {
+      if (liveTableIDs == null) {
+         liveTableIDs = getLiveTableIDs();
       }
-   } else if (action == "deal") {
-      //reset all players to expire later
-      for (var count=0; count < contract.players.length; count++) {
-         contract.players[count].updated = morelater;
+      if (liveTableIDs[seating.tableID] == true) {
+         return (false);
       }
-      var nextDealingPlayer = getNextDealingPlayer(contract);
-      //nextDealingPlayer is dealing next
-      nextDealingPlayer.updated = now;
-   } else if (action == "store") {
-      var incompletePlayers = getIncompletePlayers(contract);
-      if (incompletePlayers.length > 0) {
-         for (count = 0; count < incompletePlayers.length; count++) {
-            incompletePlayers[count].updated = now;
-         }
-      } else {
-         if ((contract.players.length == 2) && (publicCardsDeals(contract).length == 0)){
-            nextBettingPlayer = getNextBettingPlayer(contract, getDealer(contract).privateID);
-         } else {
-            nextBettingPlayer = getNextBettingPlayer(contract, getBigBlind(contract).privateID);
-         }
-         if (nextBettingPlayer != null) {
-            nextBettingPlayer.updated = now;
-            //nextBettingPlayer is betting next
+      for (var count = 0; count < seating.seats.length; count++) {
+         var connectionObj = namespace.wss.getConnectionByPID(seating.seats[count].privateID);
+         if ((connectionObj != null) && (connectionObj.socket != null)) {
+            return (false);
          }
       }
-   } else if (action == "keychain") {
-      getPlayer(contract, privateID).updated = now;
-   } else {
-      throw (new Error("Unrecognized action \""+action+"\""));
    }
+   if (namespace.cp.seating[seating.tableID] === seating) {
+      delete namespace.cp.seating[seating.tableID];
+   }
+   return (true);
 }
 
 /**
-* Returns a reference to a {@link CypherPokerCard} based on its mapping, as specified
-* in a specific contract.
-*
-* @param {ContractObject} contract The contract within which to look up the mapping.
-* This object's <code>cardDecks.faceup</code> property is used as the lookup reference.
-* @param {String} mapping The plaintext or face-up card mapping value to
-* find.
+* Removes the seatings of all tables that are no longer in play and have no connected
+* seated players (see {@link releaseSeating}).
 *
-* @return {CypherPokerCard} The matching card instance or <code>null</code>
-* if none exists.
 * @private
 */
-function getMappedCard(contract, mapping) {
-   var referenceDeck = contract.cardDecks.faceup;
-   for (var count=0; count < referenceDeck.length; count++) {
-      if (referenceDeck[count].mapping != undefined) {
-         if (referenceDeck[count].mapping == mapping) {
-            return (referenceDeck[count]);
-         }
-      } else {
-         if (referenceDeck[count]._mapping == mapping) {
-            return (referenceDeck[count]);
-         }
-      }
+function pruneSeating() {
+   var liveTableIDs = getLiveTableIDs();
+   for (var tableID in namespace.cp.seating) {
+      releaseSeating(namespace.cp.seating[tableID], false, liveTableIDs);
    }
-   return (null);
 }
 
 /**
-* Returns an array of completed public card deals for a specific contract.
+* Checks that the players in a new contract (hand) are seated at the table and that their
+* reported missed blinds match the ones recorded in the table's seating. A player that hasn't
+* yet been dealt in since taking an empty seat must post the big blind. Tables without a
+* seating, such as the first contract at a table, are always valid.
 *
-* @param {ContractObject} contract The contract to analyze for completed public deals.
+* @param {ContractObject} contract The new contract to check.
 *
-* @return {Array} An array of public / community card deals. Each element contains
-* a number representing the number of cards dealt in that deal. Elements should
-* be assumed to be out of order (e.g. a turn may appear after the river).
+* @return {Boolean} True if the contract's players are valid for the table's seating.
 * @private
 */
-function publicCardsDeals(contract) {
-   var cardsDealt = 0;
-   var returnArr = new Array();
-   for (var privateID in contract.history.deals) {
-      var numActions = 0;
-      for (var count=0; count < contract.history.deals[privateID].length; count++) {
-         var currentDeal = contract.history.deals[privateID][count];
-         if ((currentDeal.private == false) && ((currentDeal.type=="select") || (currentDeal.type=="decrypt"))) {
-            numActions++;
-            if (numActions >= contract.players.length) {
-               returnArr.push(currentDeal.cards.length);
-               cardsDealt++;
-               numActions = 0;
-            }
+function validSeatedPlayers(contract) {
+   var seating = getSeating(contract);
+   if (seating == null) {
+      return (true);
+   }
+   for (var count = 0; count < contract.players.length; count++) {
+      var player = contract.players[count];
+      var seat = getSeat(seating, player.privateID);
+      if (seat == null) {
+         return (false);
+      }
+      if (seat.dealt == false) {
+         if (seat.joined && (player.missedBigBlind != true)) {
+            return (false);
          }
+      } else if ((seat.missedSmallBlind != player.missedSmallBlind) || (seat.missedBigBlind != player.missedBigBlind)) {
+         return (false);
       }
    }
-   return (returnArr);
+   return (true);
 }
 
 /**
-* Checks whether or not the private cards have been completely dealt (selected and decrypted),
-* for a specific player.
+* Updates a table's seating once a new contract (hand) has been created, creating the seating
+* if it doesn't exist. Seats that are no longer in the contract table's <code>joinedPID</code> array
+* have been vacated and are removed unless their players have yet to be dealt in. The missed blinds
+* of the contract's players are cleared since they're posted in this contract and the blinds
+* missed by any other seated players are recorded; a player sitting out misses the big blind if it
+* passes their seat, and also the small blind if their seat is between the dealer and the small blind.
+* Stud contracts (see {@link isStud}), have no blinds to miss.
 *
-* @param {ContractObject} contract The contract to examine.
-* @param {String} privateID The privateID of the player to check for within the <code>contract</code>.
+* @param {ContractObject} contract The newly-created contract.
 *
-* @return {Boolean} True if all of the private cards for the specific player in the contract
-* <i>appear</i> to have been correctly dealt (selected and partially decrypted). False
-* in all other cases.
-* dealt.
 * @private
 */
-function privateCardsDealt(contract, privateID) {
-   if ((contract.history.deals[privateID] == undefined) || (contract.history.deals[privateID] == null)) {
-      return (false);
+function updateSeating(contract) {
+   var seating = getSeating(contract, true);
+   if (seating == null) {
+      return;
    }
-   var returnArr = new Array();
-   var numActions = 0;
-   //should we check for the length and valid-looking contents of the cards array?
-   for (var count=0; count < contract.history.deals[privateID].length; count++) {
-      var currentDeal = contract.history.deals[privateID][count];
-      if (currentDeal.private && ((currentDeal.type=="select") || (currentDeal.type=="decrypt"))) {
-         numActions++;
-         if (numActions >= contract.players.length) {
-            returnArr.push(currentDeal.cards.length);
-            return (returnArr);
-         }
+   var joinedPID = contract.table.joinedPID;
+   for (var count = seating.seats.length - 1; count >= 0; count--) {
+      var seat = seating.seats[count];
+      if (getPlayer(contract, seat.privateID) != null) {
+         seat.dealt = true;
+         seat.missedSmallBlind = false;
+         seat.missedBigBlind = false;
+      } else if ((joinedPID.indexOf(seat.privateID) < 0) && seat.dealt) {
+         seating.seats.splice(count, 1);
+      }
+   }
+   if (isStud(contract)) {
+      return;
+   }
+   var dealerPID = getDealer(contract).privateID;
+   var smallBlindPID = getSmallBlind(contract).privateID;
+   var bigBlindPID = getBigBlind(contract).privateID;
+   var passedSmallBlind = (smallBlindPID == dealerPID);
+   var dealerIndex = joinedPID.indexOf(dealerPID);
+   for (count = 1; count < joinedPID.length; count++) {
+      var privateID = joinedPID[(dealerIndex + count) % joinedPID.length];
+      if (privateID == bigBlindPID) {
+         break;
+      }
+      if (privateID == smallBlindPID) {
+         passedSmallBlind = true;
+         continue;
+      }
+      seat = getSeat(seating, privateID);
+      if ((seat == null) || (seat.dealt == false) || (getPlayer(contract, privateID) != null)) {
+         continue;
+      }
+      seat.missedBigBlind = true;
+      if (passedSmallBlind == false) {
+         seat.missedSmallBlind = true;
       }
    }
-   return (returnArr);
 }
 
 /**
-* Finds the largest bet within a contract by any non-folded player.
+* Returns the blinds in effect for a contract. At tournament tables these are the blinds
+* of the tournament's blind level when the contract (hand) was created, otherwise they're
+* the table's blinds.
 *
-* @param {ContractObject} contract The contract within which to look for
-* the largest bet/
+* @param {ContractObject} contract The contract for which to retrieve the blinds.
 *
-* @return {BigInteger} The largest bet currently placed by
-* a non-folded player at the table.
+* @return {Object} Contains the <code>smallBlind</code>, <code>bigBlind</code>, and <code>ante</code>
+* amounts, and the <code>straddle</code> amount (twice the big blind), or "0" if the table doesn't
+* allow a straddle. All amounts are strings.
 * @private
 */
-function largestBet(contract) {
-   var largestBet = bigInt(0);
-   for (var count=0; count < contract.players.length; count++) {
-      if ((largestBet.compare(bigInt(contract.players[count].totalBet)) == -1) && (contract.players[count].hasFolded == false)) {
-         largestBet = bigInt(contract.players[count].totalBet);
+function getBlinds(contract) {
+   var returnObj = new Object();
+   returnObj.ante = "0";
+   if ((contract.tournament != undefined) && (contract.tournament != null)) {
+      returnObj.smallBlind = String(contract.tournament.smallBlind);
+      returnObj.bigBlind = String(contract.tournament.bigBlind);
+      if (contract.tournament.ante != undefined) {
+         returnObj.ante = String(contract.tournament.ante);
+      }
+   } else {
+      returnObj.smallBlind = String(contract.table.tableInfo.smallBlind);
+      returnObj.bigBlind = String(contract.table.tableInfo.bigBlind);
+      if ((contract.table.tableInfo.ante != undefined) && (contract.table.tableInfo.ante != null) && (contract.table.tableInfo.ante != "")) {
+         returnObj.ante = String(contract.table.tableInfo.ante);
       }
    }
-   return (largestBet);
+   returnObj.straddle = "0";
+   if (contract.table.tableInfo.straddle == true) {
+      returnObj.straddle = bigInt(returnObj.bigBlind).times(2).toString(10);
+   }
+   return (returnObj);
 }
 
 /**
-* Examines a contract to see if betting has completed.
+* Returns the dead money that a contract player must post at the start of a game (hand),
+* before any cards are dealt. This includes the ante, which is posted either by every player
+* or, if the table's <code>tableInfo.anteType</code> is "bigblind", only by the big blind on
+* behalf of the table. A player flagged with <code>missedSmallBlind</code> or <code>missedBigBlind</code>
+* (e.g. after sitting out or joining), also posts the missed blind(s) as dead money unless they're
+* a blind in this game. In a stud contract (see {@link isStud}), every player posts only the ante.
 *
-* @param {ContractObject} contract The contract to examine.
+* @param {ContractObject} contract The contract containing the player.
+* @param {Object} player The player object, within the <code>contract</code>, for which
+* to calculate the forced bet.
 *
-* @return {Boolean} True if all non-folded players have committed the same
-* bet amount, or if all players but one have folded (new cards may be dealt or the game has completed).
+* @return {BigInteger} The total amount of dead money that the player must post, before
+* being limited to their balance.
 * @private
 */
-function bettingDone(contract) {
-   var foldedPlayers = 0;
-   var nonFoldedPlayers = 0;
-   var currentBet = "";
-   var betGroups = new Object(); //players grouped by bet amount
-   if ((getBigBlind(contract).numActions < 2) && ((getBigBlind(contract).hasFolded == false))) {
-      return (false);
+function getForcedBet(contract, player) {
+   var blinds = getBlinds(contract);
+   var forcedBet = bigInt(0);
+   if (isStud(contract)) {
+      //only the ante is forced; the bring-in is posted once the first street is dealt
+      return (forcedBet.plus(bigInt(blinds.ante)));
    }
-   for (var count=0; count < contract.players.length; count++) {
-      if (contract.players[count].hasFolded) {
-         foldedPlayers++;
-      } else {
-         nonFoldedPlayers++;
-         if (contract.players[count].hasBet) {
-            currentBet = contract.players[count].totalBet;
-
-            if (betGroups[currentBet] == undefined) {
-               betGroups[currentBet] = new Array();
-            }
-            betGroups[currentBet].push(contract.players[count]);
-         }
+   if (contract.table.tableInfo.anteType == "bigblind") {
+      if (player.isBigBlind == true) {
+         forcedBet = forcedBet.plus(bigInt(blinds.ante));
       }
+   } else {
+      forcedBet = forcedBet.plus(bigInt(blinds.ante));
    }
-   if (betGroups[currentBet] != undefined) {
-      if (betGroups[currentBet].length == nonFoldedPlayers) {
-         return (true);
+   if ((player.isSmallBlind != true) && (player.isBigBlind != true)) {
+      if (player.missedSmallBlind == true) {
+         forcedBet = forcedBet.plus(bigInt(blinds.smallBlind));
+      }
+      if (player.missedBigBlind == true) {
+         forcedBet = forcedBet.plus(bigInt(blinds.bigBlind));
       }
    }
-   return (false);
+   return (forcedBet);
+}
+
+/**
+* Checks whether all of the players of a contract have agreed to it.
+*
+* @param {ContractObject} contract The contract to check.
+*
+* @return {Boolean} True if every player has bought into the contract.
+* @private
+*/
+function allPlayersAgreed(contract) {
+   for (var count = 0; count < contract.players.length; count++) {
+      if (bigInt(contract.players[count].balance).equals(0)) {
+         return (false);
+      }
+   }
+   return (true);
+}
+
+/**
+* Posts the forced bets (see {@link getForcedBet}), of all contract players to the
+* contract's pot as dead money. Each player's <code>deadBet</code> is set to the amount
+* they posted, which is limited to their balance. Dead money doesn't count towards a
+* player's <code>totalBet</code> and is added to the main pot by {@link createPots}.
+*
+* @param {ContractObject} contract The contract for which to post the forced bets.
+*
+* @private
+*/
+function postForcedBets(contract) {
+   for (var count = 0; count < contract.players.length; count++) {
+      var player = contract.players[count];
+      var playerBalance = bigInt(player.balance);
+      var deadBet = bigInt.min(getForcedBet(contract, player), playerBalance);
+      player.deadBet = deadBet.toString(10);
+      player.balance = playerBalance.minus(deadBet).toString(10);
+      contract.pot = bigInt(contract.pot).plus(deadBet).toString(10);
+   }
 }
 
 /**
@@ -2152,6 +6079,168 @@ function getContractByID(ownerPID, contractID) {
    return (null);
 }
 
+/**
+* Saves a contract to the database so that it can be restored if the server is restarted
+* (see {@link restoreContracts}). A live contract is stored along with its tournament, if any,
+* and an invalid (ended, timed out, or cancelled) contract is removed from the database.
+* The seating of an invalid contract's table is also released if it's no longer needed
+* (see {@link releaseSeating}). Nothing is saved if the database is disabled. Database errors
+* are logged but not thrown since they shouldn't interrupt the game.
+*
+* @param {ContractObject} contract The contract to save.
+*
+* @return {Promise} Resolves with <code>true</code> if the contract was saved or removed,
+* or <code>false</code> otherwise.
+* @private
+* @async
+*/
+async function saveContract(contract) {
+   if (contract.invalid == true) {
+      var seating = getSeating(contract);
+      if (seating != null) {
+         releaseSeating(seating);
+      }
+   }
+   if (config.CP.API.database.enabled != true) {
+      return (false);
+   }
+   var recordObj = new Object();
+   recordObj.contractID = contract.contractID;
+   recordObj.ownerPID = contract.ownerPID;
+   try {
+      if (contract.invalid == true) {
+         var result = await namespace.cp.callAccountDatabase("removecontract", recordObj);
+         if ((result.error != undefined) && (result.error.code != -32602)) {
+            throw (new Error(result.error.message));
+         }
+      } else {
+         var dataObj = new Object();
+         dataObj.contract = contract;
+         if (isTournament(contract)) {
+            dataObj.tournament = getTournament(contract);
+         }
+         recordObj.data = JSON.stringify(dataObj);
+         recordObj.updated = namespace.cp.MySQLDateTime(new Date());
+         result = await namespace.cp.callAccountDatabase("putcontract", recordObj);
+         if (result.error != undefined) {
+            throw (new Error(result.error.message));
+         }
+      }
+   } catch (err) {
+      console.error("Couldn't save contract.");
+      console.error("   Contract ID: "+contract.contractID);
+      console.error("   Owner: "+contract.ownerPID);
+      console.error("   "+err);
+      return (false);
+   }
+   return (true);
+}
+
+/**
+* Restores the live contracts saved to the database (see {@link saveContract}), usually when
+* the server starts. Since players' private IDs are derived from session tokens issued by the
+* previous server instance, restored contracts can't be completed and are settled instead:
+* if players had already timed out when the contract was last saved they're penalized
+* via {@link applyPenalty}, otherwise all players are refunded via {@link refundContract}.
+* Open disputes can no longer be appealed so they're upheld (see {@link resolveDispute}).
+* Settled contracts are flagged as invalid and removed from the database.
+*
+* @return {Promise} Resolves with an indexed array of the restored {@link ContractObject} instances.
+* @private
+* @async
+*/
+async function restoreContracts() {
+   var restored = new Array();
+   if (config.CP.API.database.enabled != true) {
+      return (restored);
+   }
+   var result = await namespace.cp.callAccountDatabase("getcontracts", new Object());
+   if (result.error != undefined) {
+      if (result.error.code == -32602) {
+         //no stored contracts
+         return (restored);
+      }
+      throw (new Error(result.error.message));
+   }
+   for (var count = 0; count < result.result.length; count++) {
+      var currentRecord = result.result[count];
+      try {
+         var dataObj = JSON.parse(currentRecord.data);
+         var contract = dataObj.contract;
+         if ((dataObj.tournament != undefined) && (dataObj.tournament != null)) {
+            if (getTournament(contract) == null) {
+               namespace.cp.tournaments[dataObj.tournament.tournamentID] = dataObj.tournament;
+            }
+         }
+         if (getContractByID(contract.ownerPID, contract.contractID) == null) {
+            getContractsByPID(contract.ownerPID).push(contract);
+         }
+         if (isDisputed(contract)) {
+            //appellants' sessions have ended so the held penalty is applied
+            await resolveDispute(contract, "upheld");
+            console.log ("Restored contract "+contract.contractID+" was under dispute. Penalty applied.");
+            restored.push(contract);
+            continue;
+         }
+         if (typeof(contract.table.tableInfo.timeout) == "number") {
+            var timeout = contract.table.tableInfo.timeout;
+         } else {
+            timeout = config.CP.API.contract.timeoutDefault;
+         }
+         var timedoutPlayers = checkContractTimeout(contract, timeout, new Date(currentRecord.updated));
+         if (timedoutPlayers.length > 0) {
+            var timedoutPIDs = new Array();
+            for (var count2 = 0; count2 < timedoutPlayers.length; count2++) {
+               timedoutPIDs.push(timedoutPlayers[count2].privateID);
+            }
+            contract.penalty = await applyPenalty(contract, timedoutPIDs, "timeout");
+            if (isTournament(contract)) {
+               await updateTournament(contract);
+            }
+            contract.invalid = true;
+            await saveContract(contract);
+            console.log ("Restored contract "+contract.contractID+" had timed out. Penalty applied.");
+         } else {
+            await refundContract(contract);
+            console.log ("Restored contract "+contract.contractID+" can't be completed. Players refunded.");
+         }
+         restored.push(contract);
+      } catch (err) {
+         console.error("Couldn't restore contract.");
+         console.error("   Contract ID: "+currentRecord.contractID);
+         console.error("   Owner: "+currentRecord.ownerPID);
+         console.error(err.stack);
+      }
+   }
+   return (restored);
+}
+
+/**
+* Refunds all players of a contract that can't be completed by returning their bets
+* and dead money from the pot to their contract balances and then cancelling the contract (see
+* {@link cancelContract}). No rake is taken.
+*
+* @param {ContractObject} contract The contract to refund.
+*
+* @private
+* @async
+*/
+async function refundContract(contract) {
+   for (var count = 0; count < contract.players.length; count++) {
+      var player = contract.players[count];
+      if ((player.totalBet != undefined) && (player.totalBet != null)) {
+         player.balance = bigInt(player.balance).plus(bigInt(player.totalBet)).toString(10);
+         player.totalBet = "0";
+      }
+      if ((player.deadBet != undefined) && (player.deadBet != null)) {
+         player.balance = bigInt(player.balance).plus(bigInt(player.deadBet)).toString(10);
+         player.deadBet = "0";
+      }
+   }
+   contract.pot = "0";
+   await cancelContract(contract);
+}
+
 /**
 * Examines an object for required contract properties.
 *
@@ -2227,6 +6316,13 @@ function validContractObject(obj, privateID, accountObj) {
       if (typeof(player.numActions) != "number") {
          player.numActions = 0;
       }
+      player.deadBet = "0"; //posted by the contract once all players agree
+      if (typeof(player.missedSmallBlind) != "boolean") {
+         player.missedSmallBlind = false;
+      }
+      if (typeof(player.missedBigBlind) != "boolean") {
+         player.missedBigBlind = false;
+      }
    }
    if (numAgreed > 1) {
       return (false);
@@ -2237,6 +6333,20 @@ function validContractObject(obj, privateID, accountObj) {
    if (obj.prime.length == 0) {
       return (false);
    }
+   if ((typeof(obj.table.tableInfo) != "object") || (obj.table.tableInfo == null)) {
+      return (false);
+   }
+   var curve = obj.table.tableInfo.curve;
+   if ((curve == undefined) || (curve == null) || (curve == "")) {
+      //SRA prime must satisfy the table's crypto policy
+      if (validPrime(obj.prime, getCryptoPolicy(obj.table)) == false) {
+         return (false);
+      }
+   }
+   //shuffle proofs with long keys take longer to verify
+   if ((getShuffleProofRounds(obj) * getKeyBitLength(obj)) > getShuffleProofPolicy().maxRoundBits) {
+      return (false);
+   }
    if (typeof(obj.cardDecks) != "object") {
       return (false);
    }
@@ -2269,6 +6379,181 @@ function validContractObject(obj, privateID, accountObj) {
    return (true);
 }
 
+/**
+* Returns the policy that the SRA prime of a table's contracts must satisfy, from the
+* <code>tableInfo.cryptoPolicy</code> of the table. The minimum bit length is never less
+* than the <code>config.CP.API.contract.cryptoPolicy.minBitLength</code> setting and the
+* maximum bit length is never more than the <code>config.CP.API.contract.cryptoPolicy.maxBitLength</code>
+* setting (or 4096 if it's not set).
+*
+* @param {ContractObject|TableObject} tableOrContract The table, or contract containing the
+* <code>table</code>, for which to retrieve the policy.
+*
+* @return {Object} The policy's <code>minBitLength</code> and <code>maxBitLength</code>, required <code>radix</code> of the
+* prime (16 or 10, or <code>null</code> if either is allowed), and whether the prime must be a
+* <code>safePrime</code>.
+* @private
+*/
+function getCryptoPolicy(tableOrContract) {
+   var tableObj = tableOrContract;
+   if ((tableOrContract.table != undefined) && (tableOrContract.table != null)) {
+      tableObj = tableOrContract.table;
+   }
+   var tablePolicy = tableObj.tableInfo.cryptoPolicy;
+   if ((typeof(tablePolicy) != "object") || (tablePolicy == null)) {
+      tablePolicy = new Object();
+   }
+   var policy = new Object();
+   policy.minBitLength = 0;
+   var serverPolicy = config.CP.API.contract.cryptoPolicy;
+   if ((serverPolicy != undefined) && (serverPolicy != null) && (isNaN(Number(serverPolicy.minBitLength)) == false)) {
+      policy.minBitLength = Number(serverPolicy.minBitLength);
+   }
+   if (Number(tablePolicy.minBitLength) > policy.minBitLength) {
+      policy.minBitLength = Number(tablePolicy.minBitLength);
+   }
+   policy.maxBitLength = 4096;
+   if ((serverPolicy != undefined) && (serverPolicy != null) && (isNaN(Number(serverPolicy.maxBitLength)) == false)) {
+      policy.maxBitLength = Number(serverPolicy.maxBitLength);
+   }
+   if (Number(tablePolicy.maxBitLength) < policy.maxBitLength) {
+      policy.maxBitLength = Number(tablePolicy.maxBitLength);
+   }
+   policy.radix = null;
+   if ((tablePolicy.radix == 16) || (tablePolicy.radix == 10)) {
+      policy.radix = Number(tablePolicy.radix);
+   }
+   policy.safePrime = (tablePolicy.safePrime == true);
+   return (policy);
+}
+
+/**
+* Checks whether a contract's SRA prime satisfies a crypto policy.
+*
+* @param {String} prime The prime to check, as a hexadecimal (starting with "0x"), or
+* decimal numeric string.
+* @param {Object} policy The policy to satisfy, as returned by {@link getCryptoPolicy}.
+*
+* @return {Boolean} True if the prime is in the required radix, has at least the minimum
+* and at most the maximum bit length, and is a prime (or safe prime if required). The
+* bit length is checked before the (comparatively slow) primality test.
+* @private
+*/
+function validPrime(prime, policy) {
+   if (prime.startsWith("0x")) {
+      var radix = 16;
+      var digits = prime.substring(2);
+      var validDigits = /^[0-9a-fA-F]+$/;
+   } else {
+      radix = 10;
+      digits = prime;
+      validDigits = /^[0-9]+$/;
+   }
+   if ((policy.radix != null) && (policy.radix != radix)) {
+      return (false);
+   }
+   if (validDigits.test(digits) == false) {
+      return (false);
+   }
+   //each hexadecimal digit is 4 bits and each decimal digit is more than 3, so skip parsing oversized values
+   if (digits.replace(/^0+/, "").length > Math.ceil(policy.maxBitLength / ((radix == 16) ? 4 : 3))) {
+      return (false);
+   }
+   var value = bigInt(digits, radix);
+   var bitLength = value.toString(2).length;
+   if ((bitLength < policy.minBitLength) || (bitLength > policy.maxBitLength)) {
+      return (false);
+   }
+   //probabilistic tests are much faster than isPrime for large values
+   if (value.isProbablePrime(32) == false) {
+      return (false);
+   }
+   if (policy.safePrime && (value.minus(1).divide(2).isProbablePrime(32) == false)) {
+      return (false);
+   }
+   return (true);
+}
+
+/**
+* Checks the face-up (generated) card deck of a new contract before any cards are encrypted.
+* The deck must contain unique values. For SRA each value must be in the same radix as the
+* contract's prime, greater than 1, less than the prime minus 1, and a quadratic residue
+* modulo the prime. For elliptic curve tables each value must be a compressed point on the curve.
+*
+* @param {ContractObject} contract The new contract containing the deck to check.
+*
+* @return {String} A description of the first problem found with the deck, or <code>null</code>
+* if the deck is valid.
+* @private
+*/
+function checkFaceupDeck(contract) {
+   var deck = new Array();
+   for (var count = 0; count < contract.cardDecks.faceup.length; count++) {
+      var card = contract.cardDecks.faceup[count];
+      if ((card == undefined) || (card == null)) {
+         return ("Card "+count+" has no mapping.");
+      }
+      var mapping = card.mapping;
+      if (mapping == undefined) {
+         mapping = card._mapping;
+      }
+      if (typeof(mapping) != "string") {
+         return ("Card "+count+" has no mapping.");
+      }
+      deck.push(mapping.toLowerCase());
+   }
+   if (containsDuplicates(deck)) {
+      return ("Deck contains duplicate cards.");
+   }
+   var curve = contract.table.tableInfo.curve;
+   if ((curve != undefined) && (curve != null) && (curve != "")) {
+      if (curve != "secp256k1") {
+         return ("Unsupported curve \""+curve+"\".");
+      }
+      for (count = 0; count < deck.length; count++) {
+         var pointValue = deck[count];
+         if (pointValue.startsWith("0x")) {
+            pointValue = pointValue.substring(2);
+         }
+         if (/^0[23][0-9a-f]{64}$/.test(pointValue) == false) {
+            return ("Card "+count+" is not a compressed curve point.");
+         }
+         if (secp256k1.publicKeyVerify(Buffer.from(pointValue, "hex")) == false) {
+            return ("Card "+count+" is not a point on the curve.");
+         }
+      }
+      return (null);
+   }
+   if (contract.prime.startsWith("0x")) {
+      var radix = 16;
+      var validDigits = /^0x[0-9a-f]+$/;
+      var prime = bigInt(contract.prime.substring(2), 16);
+   } else {
+      radix = 10;
+      validDigits = /^[0-9]+$/;
+      prime = bigInt(contract.prime, 10);
+   }
+   var maxValue = prime.minus(1);
+   var exponent = maxValue.divide(2);
+   for (count = 0; count < deck.length; count++) {
+      if (validDigits.test(deck[count]) == false) {
+         return ("Card "+count+" is not in the prime's radix ("+radix+").");
+      }
+      if (radix == 16) {
+         var value = bigInt(deck[count].substring(2), 16);
+      } else {
+         value = bigInt(deck[count], 10);
+      }
+      if (value.lesserOrEquals(1) || value.greaterOrEquals(maxValue)) {
+         return ("Card "+count+" is out of range.");
+      }
+      if (value.modPow(exponent, prime).equals(1) == false) {
+         return ("Card "+count+" is not a quadratic residue.");
+      }
+   }
+   return (null);
+}
+
 /**
 * Evaluates a provided object to determine if it's a valid table object.
 *
@@ -2306,10 +6591,6 @@ function validTableObject(tableObj) {
    if (typeof(tableObj.requiredPID.length) != "number") {
       return (false);
    }
-   //all players should now have joined the table
-   if (tableObj.requiredPID.length > 0) {
-      return (false);
-   }
    if (typeof(tableObj.joinedPID) != "object") {
       return (false);
    }
@@ -2325,7 +6606,8 @@ function validTableObject(tableObj) {
    if (typeof(tableObj.restorePID.length) != "number") {
       return (false);
    }
-   if (tableObj.restorePID.length != tableObj.joinedPID.length) {
+   //vacated seats are restored to requiredPID
+   if (tableObj.restorePID.length != (tableObj.joinedPID.length + tableObj.requiredPID.length)) {
       return (false);
    }
    for (var count=0; count < tableObj.requiredPID.length; count++) {
@@ -2339,6 +6621,10 @@ function validTableObject(tableObj) {
    if (tableObj.joinedPID[0] != tableObj.ownerPID) {
       return (false);
    }
+   //all players should now have joined the table unless seats have been vacated at a table in play
+   if ((tableObj.requiredPID.length > 0) && (seatedAtTable(tableObj) == false)) {
+      return (false);
+   }
    if (typeof(tableObj.tableInfo) != "object") {
       return (false);
    }
@@ -2365,6 +6651,76 @@ function validTableObject(tableObj) {
       if (checkAmount.lesser(0)) {
          return (false);
       }
+      //variant is optional but must be supported if specified
+      if (getVariant(tableObj) == null) {
+         return (false);
+      }
+      //betting structure is optional but must be valid if specified
+      if (getBettingStructure(tableObj) == null) {
+         return (false);
+      }
+      //ante, ante type, and straddle are optional but must be valid if specified
+      if ((tableObj.tableInfo.ante != undefined) && (tableObj.tableInfo.ante != null)) {
+         if (typeof(tableObj.tableInfo.ante) != "string") {
+            return (false);
+         }
+         if ((tableObj.tableInfo.ante != "") && bigInt(tableObj.tableInfo.ante).lesser(0)) {
+            return (false);
+         }
+      }
+      if ((tableObj.tableInfo.anteType != undefined) && (tableObj.tableInfo.anteType != null)) {
+         if ((tableObj.tableInfo.anteType != "player") && (tableObj.tableInfo.anteType != "bigblind")) {
+            return (false);
+         }
+      }
+      if ((tableObj.tableInfo.straddle != undefined) && (typeof(tableObj.tableInfo.straddle) != "boolean")) {
+         return (false);
+      }
+      if ((tableObj.tableInfo.runTwice != undefined) && (typeof(tableObj.tableInfo.runTwice) != "boolean")) {
+         return (false);
+      }
+      if (isStud(tableObj)) {
+         //stud uses a bring-in instead of a straddle
+         if (tableObj.tableInfo.straddle == true) {
+            return (false);
+         }
+         //there are no public cards to run twice
+         if (tableObj.tableInfo.runTwice == true) {
+            return (false);
+         }
+         //every player's cards must come from a single deck
+         var streetCards = 0;
+         var streets = getVariant(tableObj).streets;
+         for (count=0; count < streets.length; count++) {
+            streetCards += streets[count].down + streets[count].up;
+         }
+         if ((streetCards * tableObj.joinedPID.length) > 52) {
+            return (false);
+         }
+      }
+      //time bank settings are optional but must be valid if specified
+      if ((tableObj.tableInfo.timeBank != undefined) && ((Number.isInteger(tableObj.tableInfo.timeBank) == false) || (tableObj.tableInfo.timeBank < 0))) {
+         return (false);
+      }
+      if ((tableObj.tableInfo.timeBankHands != undefined) && ((Number.isInteger(tableObj.tableInfo.timeBankHands) == false) || (tableObj.tableInfo.timeBankHands < 0))) {
+         return (false);
+      }
+      //shuffle proofs are optional but must have a valid number of rounds if specified
+      if ((tableObj.tableInfo.shuffleProofs != undefined) && (tableObj.tableInfo.shuffleProofs != 0)) {
+         var proofPolicy = getShuffleProofPolicy();
+         if ((Number.isInteger(tableObj.tableInfo.shuffleProofs) == false) || (tableObj.tableInfo.shuffleProofs < proofPolicy.minRounds) ||
+            (tableObj.tableInfo.shuffleProofs > proofPolicy.maxRounds)) {
+            return (false);
+         }
+      }
+      //elliptic curve is optional (SRA is used if omitted), but must be supported if specified
+      if ((tableObj.tableInfo.curve != undefined) && (tableObj.tableInfo.curve != null) && (tableObj.tableInfo.curve != "secp256k1")) {
+         return (false);
+      }
+      //tournament settings are optional but must be valid if specified
+      if (isTournament(tableObj) && (validTournament(tableObj) == false)) {
+         return (false);
+      }
    } catch (err) {
       return (false);
    }
@@ -2473,7 +6829,8 @@ function setPlayerBalance(contractObj, privateID, balance) {
 /**
 * Cancels a contract by immediately refunding the balances of all registered players
 * and then removing the contract. And pot balance of the contract is destroyed with
-* the contract.
+* the contract. The contract is flagged as invalid and removed from the database, and
+* its table's seating is removed.
 *
 * @param {ContractObject} contractObj The contract to cancel.
 *
@@ -2491,8 +6848,13 @@ async function cancelContract(contractObj) {
          searchObj.network = player.account.network;
          if (bigInt(balance).greater(0)) {
             try {
-               var accountResults = await namespace.cp.getAccount(searchObj);
-               var updateResult = await addToAccountBalance(accountResults[0], balance);
+               if (isTournament(contractObj)) {
+                  //returned to tournament stack
+                  var updateResult = await creditPlayer(contractObj, player, balance);
+               } else {
+                  var accountResults = await namespace.cp.getAccount(searchObj);
+                  updateResult = await addToAccountBalance(accountResults[0], balance, null, "payout", contractObj.contractID, "Refund of cancelled contract");
+               }
             } catch (err) {
                console.error("Couldn't refund cancelled contract.");
                console.error("   Contract ID: "+contractObj.contractID);
@@ -2503,6 +6865,12 @@ async function cancelContract(contractObj) {
         }
       }
    }
+   contractObj.invalid = true;
+   var seating = getSeating(contractObj);
+   if (seating != null) {
+      releaseSeating(seating, true);
+   }
+   await saveContract(contractObj);
 }
 
 /**
@@ -2522,13 +6890,18 @@ async function cancelContract(contractObj) {
 * if <code>balanceInc</code> is negative (a withdrawal from the account), then
 * the update to the <code>contract.players</code> array will be positive
 * (a deposit to the contract).
+* @param {String} [entryType="payout"] The type of entry to record in the account's ledger
+* (see {@link addLedgerEntry}), such as "buyin", "payout", "penalty", or "rake".
+* @param {String} [reference=null] The ledger entry reference. If omitted, the
+* <code>contractID</code> of the <code>contract</code> is used, if supplied.
+* @param {String} [memo=""] A description of the balance change for the ledger.
 *
 * @return {Promise} The promise will resolve with the new account balance (String) if the account
 * was successfully updated. An <code>Error</code> object will be included with a rejection.
 * @private
 * @async
 */
-async function addToAccountBalance(accountRow, balanceInc, contract=null) {
+async function addToAccountBalance(accountRow, balanceInc, contract=null, entryType="payout", reference=null, memo="") {
    var currentBalance = bigInt(accountRow.balance);
    var balanceUpdate = bigInt(balanceInc);
    currentBalance = currentBalance.plus(balanceUpdate);
@@ -2542,6 +6915,10 @@ async function addToAccountBalance(accountRow, balanceInc, contract=null) {
    if (result != true) {
       throw (new Error("Couldn't update account."));
    }
+   if ((reference == null) && (contract != null)) {
+      reference = contract.contractID;
+   }
+   await namespace.cp.addLedgerEntry(accountRow, entryType, balanceUpdate, currentBalance, reference, memo);
    //update contract
    if (contract != null) {
       for (var count = 0; count < contract.players.length; count++) {
@@ -2564,7 +6941,8 @@ async function addToAccountBalance(accountRow, balanceInc, contract=null) {
 }
 
 /**
-* SRA encrypts a value using a keypair object.
+* SRA encrypts a value using a keypair object. If the keypair includes a <code>curve</code>
+* the value is encrypted using the elliptic curve cryptosystem instead (see {@link curveMultiply}).
 *
 * @param {Object} keypair The keypair object to use for the encryption.
 * This object must contain a valid <code>encKey</code> and <code>prime</code>.
@@ -2576,6 +6954,9 @@ async function addToAccountBalance(accountRow, balanceInc, contract=null) {
 * @private
 */
 function SRAEncrypt (keypair, encValue) {
+   if ((keypair.curve != undefined) && (keypair.curve != null)) {
+      return (curveMultiply(keypair.curve, keypair.encKey, encValue));
+   }
    if (keypair.encKey.startsWith("0x")) {
       var encKey = keypair.encKey.substring(2);
       var prime = keypair.prime.substring(2);
@@ -2604,7 +6985,8 @@ function SRAEncrypt (keypair, encValue) {
 }
 
 /**
-* SRA decrypts a value using a keypair object.
+* SRA decrypts a value using a keypair object. If the keypair includes a <code>curve</code>
+* the value is decrypted using the elliptic curve cryptosystem instead (see {@link curveMultiply}).
 *
 * @param {Object} keypair The keypair object to use for the encryption.
 * This object must contain a valid <code>decKey</code> and <code>prime</code>.
@@ -2616,6 +6998,9 @@ function SRAEncrypt (keypair, encValue) {
 * @private
 */
 function SRADecrypt (keypair, decValue) {
+   if ((keypair.curve != undefined) && (keypair.curve != null)) {
+      return (curveMultiply(keypair.curve, keypair.decKey, decValue));
+   }
    if (keypair.decKey.startsWith("0x")) {
       var decKey = keypair.decKey.substring(2);
       var prime = keypair.prime.substring(2);
@@ -2643,6 +7028,37 @@ function SRADecrypt (keypair, decValue) {
    }
 }
 
+/**
+* Multiplies an elliptic curve point by a scalar key. This is the commutative elliptic
+* curve equivalent of SRA encryption (using a keypair's <code>encKey</code>) and decryption
+* (using a keypair's <code>decKey</code>), and must produce the same results as the client's
+* <code>SRACryptoWorker</code>.
+*
+* @param {String} curveName The name of the curve. Currently only "secp256k1" is supported.
+* @param {String} key The hexadecimal (starting with "0x") scalar key to multiply by.
+* @param {String} pointValue The hexadecimal (starting with "0x") compressed curve point
+* to multiply.
+*
+* @return {String} The resulting compressed curve point as a hexadecimal string.
+* @private
+*/
+function curveMultiply(curveName, key, pointValue) {
+   if (curveName != "secp256k1") {
+      throw (new Error("Unsupported curve \""+curveName+"\"."));
+   }
+   if (key.startsWith("0x")) {
+      key = key.substring(2);
+   }
+   if (pointValue.startsWith("0x")) {
+      pointValue = pointValue.substring(2);
+   }
+   while (key.length < 64) {
+      key = "0" + key;
+   }
+   var result = secp256k1.publicKeyTweakMul(Buffer.from(pointValue, "hex"), Buffer.from(key, "hex"), true);
+   return ("0x"+result.toString("hex"));
+}
+
 /**
 * Notifies the players associated with a contract of a change to the contract.
 *
@@ -2712,4 +7128,25 @@ if (namespace.cp == undefined) {
    namespace.cp = new Object();
 }
 
+if (namespace.cp.tournaments == undefined) {
+   namespace.cp.tournaments = new Object();
+}
+
+if (namespace.cp.timeBanks == undefined) {
+   namespace.cp.timeBanks = new Object();
+}
+
+if (namespace.cp.seating == undefined) {
+   namespace.cp.seating = new Object();
+}
+
+if (namespace.cp.contracts == undefined) {
+   namespace.cp.contracts = new Object();
+   //settle any live contracts saved prior to a server restart
+   restoreContracts().catch(err => {
+      console.error("Couldn't restore contracts:");
+      console.error(err);
+   });
+}
+
 namespace.cp.getContractsByPID = getContractsByPID;
@@ -176,6 +176,26 @@ module.exports = class CryptocurrencyHandler extends EventEmitter {
       throw (new Error ("sendTransaction function not implemented in extending class."));
    }
 
+   /**
+   * Retrieves the unspent deposits (transaction outputs), received by an address along with
+   * their current number of confirmations. Unconfirmed deposits are included.
+   * This function must be overriden by the extending class.
+   *
+   * @param {String} address The address for which to retrieve deposits.
+   * @param {String} [APIType="*"] The main cryptocurrency API type.
+   * @param {String} [network=null] The network or API sub-type to which the <code>address</code>
+   * belongs.
+   *
+   * @return {Promise} The returned promise resolves with an indexed array of objects, each containing
+   * the <code>txid</code> (String), <code>vout</code> (Number), <code>amount</code> (String, in the
+   * smallest denomination of the associated cryptocurrency), and <code>confirmations</code> (Number)
+   * of an unspent deposit.
+   * @async
+   */
+   async getAddressDeposits(address, APIType="*", network=null) {
+      throw (new Error ("getAddressDeposits function not implemented in extending class."));
+   }
+
    /**
    * Checks the installation of the native client and optionally (re-)installs it
    * if not found from the root URL specified in the extending class' <code>downloadRootURL</code>.
@@ -0,0 +1,102 @@
+/**
+* @file Verifies the encrypted and shuffled decks of a shuffle proof's rounds. When started as a
+* worker thread the <code>workerData</code> is verified and the result posted to the parent thread,
+* so that the (potentially lengthy) encryption of each round doesn't block the server. The
+* {@link verifyRounds} function may also be invoked directly where worker threads aren't
+* available.
+*
+* @version 0.5.1
+* @author Patrick Bay
+* @copyright MIT License
+*/
+
+const bigInt = require("big-integer");
+const secp256k1 = require("secp256k1");
+
+/**
+* Encrypts a value using a shuffle proof round's key. This must produce the same results
+* as the contract's <code>SRAEncrypt</code> function.
+*
+* @param {String} key The hexadecimal (starting with "0x"), or decimal encryption key.
+* @param {String} value The hexadecimal (starting with "0x"), or decimal value to encrypt.
+* @param {String} prime The prime modulus in the same radix as <code>key</code>. Ignored
+* if <code>curve</code> is specified.
+* @param {String} [curve=null] The name of the elliptic curve to use instead of SRA.
+* Currently only "secp256k1" is supported.
+*
+* @return {String} The encrypted value, in the same radix as <code>value</code>.
+* @private
+*/
+function encrypt(key, value, prime, curve=null) {
+   if (curve != null) {
+      if (curve != "secp256k1") {
+         throw (new Error("Unsupported curve \""+curve+"\"."));
+      }
+      key = key.substring(2).padStart(64, "0");
+      var result = secp256k1.publicKeyTweakMul(Buffer.from(value.substring(2), "hex"), Buffer.from(key, "hex"), true);
+      return ("0x"+result.toString("hex"));
+   }
+   if (key.startsWith("0x")) {
+      var keyValue = bigInt(key.substring(2), 16);
+      var primeValue = bigInt(prime.substring(2), 16);
+   } else {
+      keyValue = bigInt(key, 10);
+      primeValue = bigInt(prime, 10);
+   }
+   if (value.startsWith("0x")) {
+      return ("0x"+bigInt(value.substring(2), 16).modPow(keyValue, primeValue).toString(16));
+   }
+   return (bigInt(value, 10).modPow(keyValue, primeValue).toString(10));
+}
+
+/**
+* Verifies that each round of a shuffle proof opens the deck selected by its challenge bit:
+* the input deck to the round's intermediate deck (challenge bit 0), or the round's
+* intermediate deck to the output deck (challenge bit 1). The proof's structure, keys,
+* and deck values must already have been validated.
+*
+* @param {Object} params The verification parameters.
+* @param {Array} params.inputDeck The deck that was encrypted and shuffled.
+* @param {Array} params.outputDeck The encrypted and shuffled deck.
+* @param {Array} params.rounds The proof's rounds, each containing an intermediate <code>deck</code>,
+* a <code>key</code>, and the <code>indexes</code> mapping the round's target deck to its source deck.
+* @param {Array} params.challenge The challenge bit of each round.
+* @param {String} params.prime The prime modulus used for SRA encryption.
+* @param {String} [params.curve=null] The elliptic curve used instead of SRA.
+*
+* @return {Boolean} True if every round is valid.
+*/
+function verifyRounds(params) {
+   var curve = params.curve;
+   if (curve == undefined) {
+      curve = null;
+   }
+   for (var count=0; count < params.rounds.length; count++) {
+      var round = params.rounds[count];
+      if (params.challenge[count] == 0) {
+         var sourceDeck = params.inputDeck;
+         var targetDeck = round.deck;
+      } else {
+         sourceDeck = round.deck;
+         targetDeck = params.outputDeck;
+      }
+      for (var count2=0; count2 < targetDeck.length; count2++) {
+         if (encrypt(round.key, sourceDeck[round.indexes[count2]], params.prime, curve) != targetDeck[count2]) {
+            return (false);
+         }
+      }
+   }
+   return (true);
+}
+
+module.exports.verifyRounds = verifyRounds;
+
+try {
+   var workerThreads = require("worker_threads");
+} catch (err) {
+   //worker threads aren't available in this version of Node.js
+   workerThreads = null;
+}
+if ((workerThreads != null) && (workerThreads.isMainThread == false) && (workerThreads.parentPort != null)) {
+   workerThreads.parentPort.postMessage(verifyRounds(workerThreads.workerData));
+}
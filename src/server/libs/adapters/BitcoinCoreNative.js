@@ -765,6 +765,39 @@ module.exports = class BitcoinCoreNative extends CryptocurrencyHandler {
       return (UTXOList);
    }
 
+   /**
+   * Retrieves the unspent deposits received by an address, including unconfirmed ones,
+   * along with their current number of confirmations.
+   *
+   * @param {String} address The address for which to retrieve deposits.
+   * @param {String} [APIType="bitcoin"] The main cryptocurrency API type.
+   * @param {String} [network=null] The sub-network to which the address belongs. If <code>null</code>,
+   * the default network specified in <code>config.CP.API[APIType].default.network</code> is used.
+   *
+   * @return {Promise} The returned promise resolves with an indexed array of objects, each containing
+   * the <code>txid</code>, <code>vout</code>, <code>amount</code> (in satoshis), and <code>confirmations</code>
+   * of an unspent deposit.
+   * @async
+   */
+   async getAddressDeposits(address, APIType="bitcoin", network=null) {
+      if (network == null) {
+         network = this.server.config.CP.API[APIType].default.network;
+      }
+      var rpc = this.nativeRPC(network);
+      var importResult = await rpc.importAddress(address, "", false);
+      var UTXOList = await rpc.listUnspent(0, 9999999, [address]);
+      var deposits = new Array();
+      for (var count=0; count < UTXOList.length; count++) {
+         var deposit = new Object();
+         deposit.txid = UTXOList[count].txid;
+         deposit.vout = UTXOList[count].vout;
+         deposit.amount = String(this.convertDenom(String(UTXOList[count].amount), "bitcoin", "satoshis"));
+         deposit.confirmations = Number(UTXOList[count].confirmations);
+         deposits.push(deposit);
+      }
+      return (deposits);
+   }
+
    /**
    * Builds a raw Bitcoin transaction.
    *
@@ -228,6 +228,43 @@ module.exports = class BlockCypherAPI extends CryptocurrencyHandler {
    	return (promise);
    }
 
+   /**
+   * Retrieves the unspent deposits received by an address, including unconfirmed ones,
+   * along with their current number of confirmations.
+   *
+   * @param {String} address The address for which to retrieve deposits.
+   * @param {String} [APIType="bitcoin"] The main cryptocurrency API type.
+   * @param {String} [network=null] The sub-network to which the address belongs; for example
+   * "main" or "test3".
+   *
+   * @return {Promise} The returned promise resolves with an indexed array of objects, each containing
+   * the <code>txid</code>, <code>vout</code>, <code>amount</code> (in satoshis), and <code>confirmations</code>
+   * of an unspent deposit.
+   * @async
+   */
+   async getAddressDeposits(address, APIType="bitcoin", network=null) {
+      var addressInfo = await this.getBlockchainBalance(address, APIType, network);
+      var deposits = new Array();
+      if ((addressInfo.txs == undefined) || (addressInfo.txs == null)) {
+         return (deposits);
+      }
+      for (var count=0; count < addressInfo.txs.length; count++) {
+         var currentTx = addressInfo.txs[count];
+         for (var count2=0; count2 < currentTx.outputs.length; count2++) {
+            var output = currentTx.outputs[count2];
+            if ((output.addresses != null) && (output.addresses.indexOf(address) > -1) && (output.spent_by == undefined)) {
+               var deposit = new Object();
+               deposit.txid = currentTx.hash;
+               deposit.vout = count2;
+               deposit.amount = String(output.value);
+               deposit.confirmations = Number(currentTx.confirmations);
+               deposits.push(deposit);
+            }
+         }
+      }
+      return (deposits);
+   }
+
    /**
    * Cashes out from the configured cashout wallet to a specific address.
    *
@@ -266,6 +266,82 @@ module.exports = class BlockstreamAPI extends BitcoinCoreNative {
       throw (new Error("Unknown error when sending transaction."));
    }
 
+   /**
+   * Retrieves the unspent deposits received by an address, including unconfirmed ones,
+   * along with their current number of confirmations (calculated from the current
+   * block height).
+   *
+   * @param {String} address The address for which to retrieve deposits.
+   * @param {String} [APIType="bitcoin"] The main cryptocurrency API type.
+   * @param {String} [network=null] The sub-network to which the address belongs. If <code>null</code>,
+   * the default network specified in <code>config.CP.API[APIType].default.network</code> is used.
+   *
+   * @return {Promise} The returned promise resolves with an indexed array of objects, each containing
+   * the <code>txid</code>, <code>vout</code>, <code>amount</code> (in satoshis), and <code>confirmations</code>
+   * of an unspent deposit.
+   * @async
+   */
+   async getAddressDeposits(address, APIType="bitcoin", network=null) {
+      var API = this.server.config.CP.API[APIType];
+      if (network == null) {
+         network = API.default.network;
+      }
+      if ((network == "main") || (network == "mainnet") || (network == "livenet")) {
+         network = "";
+      }
+      if ((network == "test") || (network == "test3")) {
+         network = "testnet";
+      }
+      var tipHeight = await this.getJSON(API.urls.blockstream.tipheight.split("%network%").join(network));
+      var url = API.urls.blockstream.getutxos.split("%network%").join(network).split("%address%").join(address);
+      var UTXOList = await this.getJSON(url);
+      var deposits = new Array();
+      for (var count=0; count < UTXOList.length; count++) {
+         var deposit = new Object();
+         deposit.txid = UTXOList[count].txid;
+         deposit.vout = UTXOList[count].vout;
+         deposit.amount = String(UTXOList[count].value);
+         if (UTXOList[count].status.confirmed == true) {
+            deposit.confirmations = Number(tipHeight) - Number(UTXOList[count].status.block_height) + 1;
+         } else {
+            deposit.confirmations = 0;
+         }
+         deposits.push(deposit);
+      }
+      return (deposits);
+   }
+
+   /**
+   * Retrieves and parses a JSON response from a Blockstream API endpoint.
+   *
+   * @param {String} url The fully-formed URL of the endpoint.
+   *
+   * @return {Promise} The returned promise resolves with the parsed response body
+   * or rejects with an <code>Error</code>.
+   * @private
+   */
+   getJSON(url) {
+      var promise = new Promise((resolve, reject) => {
+         this.server.request({
+            url: url,
+            method: "GET",
+            json: true,
+            headers: {
+               "Content-Type": "application/json"
+              }
+         }, (error, response, body) => {
+            if (error) {
+               reject (error);
+            } else if ((body == undefined) || (body == null) || (response.statusCode != 200)) {
+               reject (new Error("Unexpected response from \""+url+"\"."));
+            } else {
+               resolve (body);
+            }
+         });
+      });
+      return (promise);
+   }
+
    /**
    * Retrieves a list of spendable transactions for a specific address.
    *
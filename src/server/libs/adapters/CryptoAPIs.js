@@ -276,6 +276,37 @@ module.exports = class CryptoAPI extends BitcoinCashNative {
       throw (new Error("Unknown error when sending transaction."));
    }
 
+   /**
+   * Retrieves the unspent deposits received by an address along with their current
+   * number of confirmations.
+   *
+   * @param {String} address The address for which to retrieve deposits.
+   * @param {String} [APIType="bitcoincash"] The main cryptocurrency API type.
+   * @param {String} [network=null] The sub-network to which the address belongs. If <code>null</code>,
+   * the default network specified in <code>config.CP.API[APIType].default.network</code> is used.
+   *
+   * @return {Promise} The returned promise resolves with an indexed array of objects, each containing
+   * the <code>txid</code>, <code>vout</code>, <code>amount</code> (in satoshis), and <code>confirmations</code>
+   * of an unspent deposit.
+   * @async
+   */
+   async getAddressDeposits(address, APIType="bitcoincash", network=null) {
+      if (network == null) {
+         network = this.server.config.CP.API[APIType].default.network;
+      }
+      var UTXOList = await this.getUTXOList(address, network);
+      var deposits = new Array();
+      for (var count=0; count < UTXOList.length; count++) {
+         var deposit = new Object();
+         deposit.txid = UTXOList[count].txid;
+         deposit.vout = UTXOList[count].vout;
+         deposit.amount = String(UTXOList[count].satoshis);
+         deposit.confirmations = Number(UTXOList[count].confirmations);
+         deposits.push(deposit);
+      }
+      return (deposits);
+   }
+
    /**
    * Retrieves a list of spendable transactions for a specific address.
    *
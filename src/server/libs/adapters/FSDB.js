@@ -122,11 +122,85 @@ module.exports = class FSDB {
       dbStruct.schema.accounts.push (pwhash);
       dbStruct.schema.accounts.push (balance);
       dbStruct.schema.accounts.push (updated);
+      dbStruct.schema.contracts = this.contractsSchema;
+      dbStruct.schema.ledger = this.ledgerSchema;
       dbStruct.tables = new Object();
       dbStruct.tables.accounts = new Array();
+      dbStruct.tables.contracts = new Array();
+      dbStruct.tables.ledger = new Array();
       return (dbStruct);
    }
 
+   /**
+   * @property {Array} contractsSchema The schema of the "contracts" table used to store
+   * live (active) smart contracts.
+   * @readonly
+   */
+   get contractsSchema() {
+      var schema = new Array();
+      var primary_key = new Object();
+      primary_key.name = "primary_key";
+      primary_key.primary_key = true;
+      primary_key.default = "0";
+      primary_key.description = "Unique auto-incrementing primary key";
+      var contractID = new Object();
+      contractID.name = "contractID";
+      contractID.default = null;
+      contractID.description = "The contract ID";
+      var ownerPID = new Object();
+      ownerPID.name = "ownerPID";
+      ownerPID.default = null;
+      ownerPID.description = "Private ID of the contract owner";
+      var data = new Object();
+      data.name = "data";
+      data.default = null;
+      data.description = "JSON-encoded contract data";
+      var updated = new Object();
+      updated.name = "updated";
+      updated.default = null;
+      updated.description = "Date/Time this row was last updated";
+      schema.push (primary_key);
+      schema.push (contractID);
+      schema.push (ownerPID);
+      schema.push (data);
+      schema.push (updated);
+      return (schema);
+   }
+
+   /**
+   * @property {Array} ledgerSchema The schema of the append-only "ledger" table used to
+   * record every change to an account's balance.
+   * @readonly
+   */
+   get ledgerSchema() {
+      var schema = new Array();
+      var primary_key = new Object();
+      primary_key.name = "primary_key";
+      primary_key.primary_key = true;
+      primary_key.default = "0";
+      primary_key.description = "Unique auto-incrementing primary key";
+      schema.push (primary_key);
+      var fields = [
+         ["address", "Address of the account"],
+         ["type", "Cryptocurrency type of the account"],
+         ["network", "Cryptocurrency sub-network of the account"],
+         ["entryType", "Reason for the balance change"],
+         ["amount", "Signed balance change in smallest denomination"],
+         ["balance", "Account balance after the change"],
+         ["reference", "Associated contract, tournament, transaction, or account"],
+         ["memo", "Description of the balance change"],
+         ["created", "Date/Time this row was created"]
+      ];
+      for (var count = 0; count < fields.length; count++) {
+         var field = new Object();
+         field.name = fields[count][0];
+         field.default = null;
+         field.description = fields[count][1];
+         schema.push (field);
+      }
+      return (schema);
+   }
+
    /**
    * @property {Number} formatSpaces=0 The number of spaces to include when
    * formatting JSON output, as based on the <code>compact</code> setting
@@ -438,6 +512,9 @@ module.exports = class FSDB {
          resultObj.bitcoin.test3 = new Object();
          resultObj.bitcoincash.main = new Object();
          resultObj.bitcoincash.test = new Object();
+         resultObj.litecoin = new Object();
+         resultObj.litecoin.main = new Object();
+         resultObj.litecoin.test = new Object();
          //indexes must be strings in order to maintain compatibility
          resultObj.bitcoin.main.startChain = "0";
          resultObj.bitcoin.main.startIndex = "0";
@@ -447,6 +524,10 @@ module.exports = class FSDB {
          resultObj.bitcoincash.main.startIndex = "0";
          resultObj.bitcoincash.test.startChain = "0";
          resultObj.bitcoincash.test.startIndex = "0";
+         resultObj.litecoin.main.startChain = "0";
+         resultObj.litecoin.main.startIndex = "0";
+         resultObj.litecoin.test.startChain = "0";
+         resultObj.litecoin.test.startIndex = "0";
          resultObj.db = new Object();
          var latestUpdate = new Date(0); //start of epoch
          for (var count=0; count < accountsData.length; count++) {
@@ -662,6 +743,320 @@ module.exports = class FSDB {
       return (jsonObj);
    }
 
+   /**
+   * Adds the "contracts" table and schema to FSDB data if they don't exist, for example
+   * in a database file created before contracts were stored.
+   *
+   * @param {Object} dbData The FSDB data to check and update.
+   *
+   * @return {Array} The "contracts" table of the FSDB data.
+   */
+   checkContractsTable(dbData) {
+      if ((dbData.schema.contracts == undefined) || (dbData.schema.contracts == null)) {
+         dbData.schema.contracts = this.contractsSchema;
+      }
+      if ((dbData.tables.contracts == undefined) || (dbData.tables.contracts == null)) {
+         dbData.tables.contracts = new Array();
+      }
+      return (dbData.tables.contracts);
+   }
+
+   /**
+   * Stores a new or updated live contract record to the current CypherPoker.JS server,
+   * usually in response to a "putcontract" API call. Any existing record for the same
+   * contract is replaced.
+   *
+   * @param {Object} requestObj The JSON-RPC 2.0 request containing the <code>contractID</code>,
+   * <code>ownerPID</code>, JSON-encoded contract <code>data</code>, and <code>updated</code> date/time
+   * of the contract to store.
+   *
+   * @return {Object} A JSON-RPC 2.0 result object containing an "OK" result if successful
+   * or a JSON-RPC 2.0 error object containing a description of the error generated during the
+   * attempt.
+   *
+   * @async
+   */
+   async putContractRecord(requestObj) {
+      var sizeMB = this.getFileSize(this._initData.dbFilePath, "MB");
+      if (sizeMB >= this.dbMaxMB) {
+         var jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = "Database limit exceeded.";
+         return (jsonObj);
+      }
+      try {
+         var jsonObj = this.buildJSONRPC();
+         var message = requestObj.params.message;
+         var dbData = await this.readDBFile();
+         if (this.validateDBData(dbData) == false) {
+           console.error("FSDB > "+this.initData.dbFilePath+" is not a valid JSON-formatted file.");
+           return (null);
+         }
+         var contractsData = this.checkContractsTable(dbData);
+         var contractRow = null;
+         for (var count=0; count < contractsData.length; count++) {
+           var currentRow = contractsData[count];
+           if ((currentRow.contractID == message.contractID) && (currentRow.ownerPID == message.ownerPID)) {
+             contractRow = currentRow;
+             break;
+           }
+         }
+         if (contractRow == null) {
+           contractRow = this.createRow(dbData, "contracts", true);
+           contractRow.contractID = message.contractID;
+           contractRow.ownerPID = message.ownerPID;
+         }
+         contractRow.data = message.data;
+         contractRow.updated = message.updated;
+         await this.saveDBFile(dbData);
+         jsonObj.result = "OK";
+      } catch (err) {
+         console.error(err);
+         jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = err;
+      }
+      return (jsonObj);
+   }
+
+   /**
+   * Returns all live contract records stored by the current CypherPoker.JS server, usually in
+   * response to a "getcontracts" API call.
+   *
+   * @param {Object} requestObj The JSON-RPC 2.0 request.
+   *
+   * @return {Object} A JSON-RPC 2.0 result object containing the stored contract records
+   * or a JSON-RPC 2.0 error object containing a description of the error generated during the
+   * attempt.
+   *
+   * @async
+   */
+   async getContractRecords(requestObj) {
+      try {
+         var jsonObj = this.buildJSONRPC();
+         var dbData = await this.readDBFile();
+         if (this.validateDBData(dbData) == false) {
+           console.error("FSDB > "+this.initData.dbFilePath+" is not a valid JSON-formatted file.");
+           return (null);
+         }
+         var contractsData = this.checkContractsTable(dbData);
+         if (contractsData.length > 0) {
+           jsonObj.result = contractsData;
+         } else {
+           jsonObj = this.buildJSONRPC("2.0", false);
+           jsonObj.error.code = -32602;
+           jsonObj.error.message = "No stored contracts.";
+         }
+      } catch (err) {
+         jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = err;
+      }
+      return (jsonObj);
+   }
+
+   /**
+   * Removes a live contract record from the current CypherPoker.JS server, usually in response
+   * to a "removecontract" API call.
+   *
+   * @param {Object} requestObj The JSON-RPC 2.0 request containing the <code>contractID</code>
+   * and <code>ownerPID</code> of the contract to remove.
+   *
+   * @return {Object} A JSON-RPC 2.0 result object containing an "OK" result if successful
+   * or a JSON-RPC 2.0 error object containing a description of the error generated during the
+   * attempt.
+   *
+   * @async
+   */
+   async removeContractRecord(requestObj) {
+      try {
+         var message = requestObj.params.message;
+         var dbData = await this.readDBFile();
+         if (this.validateDBData(dbData) == false) {
+           console.error("FSDB > "+this.initData.dbFilePath+" is not a valid JSON-formatted file.");
+           return (null);
+         }
+         var contractsData = this.checkContractsTable(dbData);
+         var rowFound = false;
+         for (var count=(contractsData.length-1); count >= 0; count--) {
+           var currentRow = contractsData[count];
+           if ((currentRow.contractID == message.contractID) && (currentRow.ownerPID == message.ownerPID)) {
+             contractsData.splice(count, 1);
+             rowFound = true;
+           }
+         }
+         if (rowFound == false) {
+           var jsonObj = this.buildJSONRPC("2.0", false);
+           jsonObj.error.code = -32602;
+           jsonObj.error.message = "No matching contract.";
+         } else {
+           await this.saveDBFile(dbData);
+           jsonObj = this.buildJSONRPC();
+           jsonObj.result = "OK";
+         }
+      } catch (err) {
+         jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = err;
+      }
+      return (jsonObj);
+   }
+
+   /**
+   * Adds the "ledger" table and schema to FSDB data if they don't exist, for example
+   * in a database file created before account ledgers were stored.
+   *
+   * @param {Object} dbData The FSDB data to check and update.
+   *
+   * @return {Array} The "ledger" table of the FSDB data.
+   */
+   checkLedgerTable(dbData) {
+      if ((dbData.schema.ledger == undefined) || (dbData.schema.ledger == null)) {
+         dbData.schema.ledger = this.ledgerSchema;
+      }
+      if ((dbData.tables.ledger == undefined) || (dbData.tables.ledger == null)) {
+         dbData.tables.ledger = new Array();
+      }
+      return (dbData.tables.ledger);
+   }
+
+   /**
+   * Appends an entry to an account's ledger, usually in response to a "putledger" API call.
+   * Ledger entries are never updated or removed.
+   *
+   * @param {Object} requestObj The JSON-RPC 2.0 request containing the ledger entry to store.
+   *
+   * @return {Object} A JSON-RPC 2.0 result object containing an "OK" result if successful
+   * or a JSON-RPC 2.0 error object containing a description of the error generated during the
+   * attempt.
+   *
+   * @async
+   */
+   async putLedgerEntry(requestObj) {
+      var sizeMB = this.getFileSize(this._initData.dbFilePath, "MB");
+      if (sizeMB >= this.dbMaxMB) {
+         var jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = "Database limit exceeded.";
+         return (jsonObj);
+      }
+      try {
+         var jsonObj = this.buildJSONRPC();
+         var message = requestObj.params.message;
+         var dbData = await this.readDBFile();
+         if (this.validateDBData(dbData) == false) {
+           console.error("FSDB > "+this.initData.dbFilePath+" is not a valid JSON-formatted file.");
+           return (null);
+         }
+         this.checkLedgerTable(dbData);
+         var newRow = this.createRow(dbData, "ledger", true);
+         newRow.address = message.address;
+         newRow.type = message.type;
+         newRow.network = message.network;
+         newRow.entryType = message.entryType;
+         newRow.amount = String(message.amount);
+         newRow.balance = String(message.balance);
+         newRow.reference = String(message.reference);
+         newRow.memo = String(message.memo);
+         newRow.created = message.created;
+         await this.saveDBFile(dbData);
+         jsonObj.result = "OK";
+      } catch (err) {
+         console.error(err);
+         jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = err;
+      }
+      return (jsonObj);
+   }
+
+   /**
+   * Returns a page of an account's ledger entries, newest first, usually in response to a
+   * "getledger" API call.
+   *
+   * @param {Object} requestObj The JSON-RPC 2.0 request containing the <code>address</code>,
+   * <code>type</code>, and <code>network</code> of the account, and the <code>offset</code>
+   * and <code>limit</code> of the entries to return.
+   *
+   * @return {Object} A JSON-RPC 2.0 result object containing the matching <code>entries</code>
+   * and the <code>total</code> number of entries for the account, or a JSON-RPC 2.0 error object
+   * containing a description of the error generated during the attempt. An account without
+   * entries produces an empty result rather than an error.
+   *
+   * @async
+   */
+   async getLedgerEntries(requestObj) {
+      try {
+         var jsonObj = this.buildJSONRPC();
+         var message = requestObj.params.message;
+         var dbData = await this.readDBFile();
+         if (this.validateDBData(dbData) == false) {
+           console.error("FSDB > "+this.initData.dbFilePath+" is not a valid JSON-formatted file.");
+           return (null);
+         }
+         var ledgerData = this.checkLedgerTable(dbData);
+         var offset = Number(message.offset);
+         var limit = Number(message.limit);
+         var resultObj = new Object();
+         resultObj.entries = new Array();
+         resultObj.total = 0;
+         for (var count=(ledgerData.length-1); count >= 0; count--) {
+           var currentRow = ledgerData[count];
+           if ((currentRow.address == message.address) && (currentRow.type == message.type) && (currentRow.network == message.network)) {
+             if ((resultObj.total >= offset) && (resultObj.entries.length < limit)) {
+               resultObj.entries.push(currentRow);
+             }
+             resultObj.total++;
+           }
+         }
+         jsonObj.result = resultObj;
+      } catch (err) {
+         jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = err;
+      }
+      return (jsonObj);
+   }
+
+   /**
+   * Returns the addresses of all accounts of a specific cryptocurrency type and sub-network,
+   * usually in response to a "getaddresses" API call.
+   *
+   * @param {Object} requestObj The JSON-RPC 2.0 request containing the <code>type</code>
+   * and <code>network</code> of the accounts.
+   *
+   * @return {Object} A JSON-RPC 2.0 result object containing an array of the unique account
+   * addresses, or a JSON-RPC 2.0 error object containing a description of the error generated
+   * during the attempt.
+   *
+   * @async
+   */
+   async getAccountAddresses(requestObj) {
+      try {
+         var jsonObj = this.buildJSONRPC();
+         var message = requestObj.params.message;
+         var dbData = await this.readDBFile();
+         if (this.validateDBData(dbData) == false) {
+           console.error("FSDB > "+this.initData.dbFilePath+" is not a valid JSON-formatted file.");
+           return (null);
+         }
+         var accountsData = dbData.tables.accounts;
+         var addresses = new Array();
+         for (var count=0; count < accountsData.length; count++) {
+           var currentRow = accountsData[count];
+           if ((currentRow.type == message.type) && (currentRow.network == message.network) && (addresses.indexOf(currentRow.address) < 0)) {
+             addresses.push(currentRow.address);
+           }
+         }
+         jsonObj.result = addresses;
+      } catch (err) {
+         jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = err;
+      }
+      return (jsonObj);
+   }
+
    /**
    * Returns the number of seconds elapsed since the last update of any account in the database.
    *
@@ -750,6 +1145,48 @@ module.exports = class FSDB {
                reject(errorObj);
             });
             break;
+         case "putcontract":
+            this.putContractRecord(requestObj).then(resultObj => {
+               resolve(resultObj);
+            }).catch(errorObj => {
+               reject(errorObj);
+            });
+            break;
+         case "getcontracts":
+            this.getContractRecords(requestObj).then(resultObj => {
+               resolve(resultObj);
+            }).catch(errorObj => {
+               reject(errorObj);
+            });
+            break;
+         case "removecontract":
+            this.removeContractRecord(requestObj).then(resultObj => {
+               resolve(resultObj);
+            }).catch(errorObj => {
+               reject(errorObj);
+            });
+            break;
+         case "putledger":
+            this.putLedgerEntry(requestObj).then(resultObj => {
+               resolve(resultObj);
+            }).catch(errorObj => {
+               reject(errorObj);
+            });
+            break;
+         case "getledger":
+            this.getLedgerEntries(requestObj).then(resultObj => {
+               resolve(resultObj);
+            }).catch(errorObj => {
+               reject(errorObj);
+            });
+            break;
+         case "getaddresses":
+            this.getAccountAddresses(requestObj).then(resultObj => {
+               resolve(resultObj);
+            }).catch(errorObj => {
+               reject(errorObj);
+            });
+            break;
          default:
             var errorObj = this.buildJSONRPC("2.0", false);
             errorObj.error.code = -32601;
@@ -0,0 +1,697 @@
+/**
+* @file Litecoin adapter for blockchain interactions via the Litecoin Space (Esplora-compatible) API.
+*
+* @version 0.5.2
+* @author Patrick Bay
+* @copyright MIT License
+*/
+
+const CryptocurrencyHandler = require("../CryptocurrencyHandler");
+
+/**
+* @class Litecoin adapter using the Litecoin Space REST API.
+* @extends EventEmitter
+*/
+module.exports = class LitecoinSpaceAPI extends CryptocurrencyHandler {
+
+   /**
+   * Creates a new instance of the LitecoinSpaceAPI adapter.
+   *
+   * @param {Object} serverRef A reference to the server-exposed objects made available
+   * to this class.
+   * @param {Object} handlerConfig The configuration data for the handler instance, usually
+   * a child object of the global application config.
+   */
+   constructor(serverRef, handlerConfig) {
+      super(serverRef, handlerConfig);
+   }
+
+   /**
+   * Initializes the instance. No native client is required so this function
+   * simply resolves.
+   *
+   * @return {Boolean} True if the initialization could be succesfully completed,
+   * false otherwise.
+   *
+   * @async
+   */
+   async initialize() {
+      return (true);
+   }
+
+   /**
+   * Checks if a network name refers to the Litecoin testnet.
+   *
+   * @param {String} network The network name to check.
+   *
+   * @return {Boolean} True if <code>network</code> is "test" or a common variant of
+   * it, false otherwise.
+   * @private
+   */
+   isTestnet(network) {
+      return ((network == "test") || (network == "testnet") || (network == "ltctest") || (network == "tltc"));
+   }
+
+   /**
+   * Returns the network parameters used by <code>bitcoinjs-lib</code> for a Litecoin sub-network.
+   * Extended keys use the standard "xprv" / "tprv" serialization so that root wallets can be
+   * generated with the same tools used for Bitcoin (e.g. <code>utils/newHDWallet.js</code>).
+   *
+   * @param {String} [network="main"] The sub-network for which to return the parameters.
+   * Either "main" (default), "test", or any common variant of these.
+   *
+   * @return {Object} The network parameters for the sub-network.
+   */
+   networkParams(network="main") {
+      var params = new Object();
+      params.messagePrefix = "\x19Litecoin Signed Message:\n";
+      params.bip32 = new Object();
+      if (this.isTestnet(network)) {
+         params.bech32 = "tltc";
+         params.bip32.public = 0x043587cf;
+         params.bip32.private = 0x04358394;
+         params.pubKeyHash = 0x6f;
+         params.scriptHash = 0x3a;
+         params.wif = 0xef;
+      } else {
+         params.bech32 = "ltc";
+         params.bip32.public = 0x0488b21e;
+         params.bip32.private = 0x0488ade4;
+         params.pubKeyHash = 0x30;
+         params.scriptHash = 0x32;
+         params.wif = 0xb0;
+      }
+      return (params);
+   }
+
+   /**
+   * Returns the configuration name ("main" or "test") of a Litecoin sub-network.
+   *
+   * @param {String} [network=null] The sub-network name to normalize. If <code>null</code>,
+   * the default network specified in <code>config.CP.API.litecoin.default.network</code> is used.
+   *
+   * @return {String} The sub-network name used in the <code>config.CP.API.litecoin.default</code>
+   * object.
+   * @private
+   */
+   networkName(network=null) {
+      if (network == null) {
+         network = this.server.config.CP.API.litecoin.default.network;
+      }
+      if (this.isTestnet(network)) {
+         return ("test");
+      }
+      return ("main");
+   }
+
+   /**
+   * Returns a fully-formed Litecoin Space API endpoint URL.
+   *
+   * @param {String} endpoint The name of the endpoint URL defined in
+   * <code>config.CP.API.litecoin.urls.litecoinspace</code>.
+   * @param {String} [network=null] The sub-network for which to return the URL. If <code>null</code>,
+   * the default network specified in <code>config.CP.API.litecoin.default.network</code> is used.
+   *
+   * @return {String} The endpoint URL with the <code>%network%</code> placeholder replaced.
+   * @private
+   */
+   endpointURL(endpoint, network=null) {
+      var url = this.server.config.CP.API.litecoin.urls.litecoinspace[endpoint];
+      if (this.networkName(network) == "test") {
+         var networkPath = "testnet/";
+      } else {
+         networkPath = "";
+      }
+      return (url.split("%network%").join(networkPath));
+   }
+
+   /**
+   * Creates a new cryptocurrency wallet from the root wallet defined in
+   * <code>config.CP.API.wallets.litecoin</code> or <code>config.CP.API.wallets.ltctest</code>.
+   *
+   * @param {String} [APIType="litecoin"] The cryptocurrency type of API endpoint
+   * configuration to use for an API call. This value must match one of the definitions
+   * found in the <code>config.CP.API</code> object.
+   * @param {String} [network=null] The sub-network, if applicable, for which to
+   * create the wallet. Valid values include "main" and "test".
+   * If <code>null</code>, the default network specified in
+   * <code>config.CP.API[APIType].default.network</code> is used.
+   *
+   * @return {Promise} The resolved promise will include a native JavaScript object
+   * containing the new derived wallet object. The rejected promise will
+   * contain the error object.
+   */
+   makeNewWallet(APIType="litecoin", network=null) {
+      var promise = new Promise((resolve, reject) => {
+         network = this.networkName(network);
+         var wallets = this.server.config.CP.API.wallets;
+         if (network == "main") {
+            var rootWallet = this.server.namespace.cp.wallets.litecoin.main;
+            var walletConfig = wallets.litecoin;
+         } else {
+            rootWallet = this.server.namespace.cp.wallets.litecoin.test;
+            walletConfig = wallets.ltctest;
+         }
+         if (rootWallet == null) {
+            reject(new Error("Wallet for \""+APIType+"\", network \""+network+"\" not defined."));
+            return;
+         }
+         if (walletConfig.startChain < 0) {
+            walletConfig.startChain = 0;
+         }
+         //address index 0 is reserved for the cashout address
+         if (walletConfig.startIndex < 0) {
+            walletConfig.startIndex = 2;
+         }
+         //currently we simply increment the index:
+         walletConfig.startIndex++;
+         //the chain value is currently 0 but can be set manually
+         var newWallet = rootWallet.derivePath("m/"+walletConfig.startChain+"/"+walletConfig.startIndex);
+         resolve (newWallet);
+      });
+      return (promise);
+   }
+
+   /**
+   * Creates a HD (Hierarchical Deterministic) Litecoin wallet from which addresses can be
+   * derived.
+   *
+   * @param {String} privKey A "xprv" (mainnet) or "tprv" (testnet) base 58 string containing
+   * the private key of the wallet.
+   *
+   * @return {Object} A wallet object containing both the public and private keys
+   * from which Litecoin addresses can be derived (using <code>derivePath</code>), or
+   * <code>null</code> if the wallet couldn't be created.
+   */
+   makeHDWallet(privKey) {
+      try {
+         if (privKey.indexOf("xprv") == 0) {
+            //mainnet
+            var wallet = this.server.bitcoin.bip32.fromBase58(privKey, this.networkParams("main"));
+         } else {
+            //testnet
+            wallet = this.server.bitcoin.bip32.fromBase58(privKey, this.networkParams("test"));
+         }
+      } catch (err) {
+         console.error(err.stack);
+         return (null);
+      }
+      if (wallet == undefined) {
+         return (null);
+      }
+      return (wallet);
+   }
+
+   /**
+   * Returns the derived wallet object (or its address), of a root Litecoin wallet object
+   * defined in <code>namespace.cp.wallets.litecoin</code>.
+   *
+   * @param {String} path The derivation path of the wallet to return.
+   * @param {String} [network="main"] The sub-network for which to get the address.
+   * Either "main" (default), or "test".
+   * @param {Boolean} [addressOnly=false] If true, only the address is returned otherwise
+   * the wallet object is returned.
+   * @param {Boolean} [nativeAddress=false] Not used.
+   *
+   * @return (Object|String) The derived wallet object or its address if <code>addressOnly=true</code>.
+   */
+   getDerivedWallet(path, network="main", addressOnly=false, nativeAddress=false) {
+      if (this.networkName(network) == "main") {
+         var walletObj = this.server.namespace.cp.wallets.litecoin.main;
+      } else {
+         walletObj = this.server.namespace.cp.wallets.litecoin.test;
+      }
+      var wallet = walletObj.derivePath(path);
+      if (addressOnly == true) {
+         var address = this.getAddress(wallet, network);
+         return (address);
+      } else {
+         return (wallet);
+      }
+   }
+
+   /**
+   * Returns the legacy (P2PKH) address of a Litecoin wallet object. Mainnet addresses
+   * begin with "L" while testnet addresses begin with "m" or "n".
+   *
+   * @param {Object} walletObj A Litecoin wallet data object.
+   * @param {String} [network="main"] The sub-network for which to get the address.
+   * Either "main" (default), or "test".
+   *
+   * @return {String} The address of the wallet.
+   */
+   getAddress(walletObj, network="main") {
+      var params = this.networkParams(this.networkName(network));
+      return (this.server.bitcoin.payments.p2pkh({pubkey:walletObj.publicKey, network:params}).address);
+   }
+
+   /**
+   * Converts an amount from a specific denomination to a specific denomination
+   * for display.
+   *
+   * @param {String} amount The amount to convert.
+   * @param {String} fromDenom The source denomination. Valid values include:
+   * "litoshi" (or "litoshis"), and "litecoin".
+   * @param {String} toDenom The target denomination. Valid values include:
+   * "litoshi" (or "litoshis"), and "litecoin".
+   *
+   * @return {String} The <code>amount</code> converted to from the source
+   * denomination to the target denomination.
+   */
+   convertDenom(amount, fromDenom, toDenom) {
+      if (fromDenom == "litoshis") {
+         fromDenom = "litoshi";
+      }
+      if (toDenom == "litoshis") {
+         toDenom = "litoshi";
+      }
+      if (fromDenom == toDenom) {
+         return (amount);
+      }
+      switch (fromDenom) {
+         case "litoshi":
+            if (toDenom == "litecoin") {
+               amount = amount.padStart(9, "0");
+               var decimal = amount.substring(amount.length-8);
+               var whole = amount.substring(0, amount.length-8);
+               amount = whole + "." + decimal;
+            } else {
+               throw (new Error("Unrecognized target denomination \""+toDenom+"\""));
+            }
+            break;
+         case "litecoin":
+            if (toDenom == "litoshi") {
+               var amountSplit = amount.split(".");
+               whole = amountSplit[0];
+               decimal = "";
+               if (amountSplit.length > 1) {
+                  decimal = amountSplit[1];
+               }
+               decimal = decimal.padEnd(8, "0").substring(0, 8);
+               amount = this.server.bigInt(whole + decimal).toString(10);
+            } else {
+               throw (new Error("Unrecognized target denomination \""+toDenom+"\""));
+            }
+            break;
+         default:
+            throw (new Error("Unrecognized source denomination \""+fromDenom+"\""));
+            break;
+      }
+      return (amount);
+   }
+
+   /**
+   * Retrieves the blockchain balance of an address or derived wallet.
+   *
+   * @param {String} addressOrPath A Litecoin/testnet address or derivation path.
+   * If a derivation path is supplied, a master wallet must exist in the
+   * <code>server.namespace.cp.wallets.litecoin</code> from which the sub-wallet will be derived.
+   * @param {String} [APIType="litecoin"] The API endpoint to use for retrieving address information.
+   * @param {String} [network=null] The network or API sub-type to which the <code>addressOrPath</code>
+   * belongs; for example "main" or "test".
+   *
+   * @return (Promise) The promise resolves with an object containing the <code>address</code>,
+   * its confirmed <code>balance</code>, <code>unconfirmed_balance</code>, and <code>final_balance</code>
+   * (confirmed plus unconfirmed). The promise ends with a rejection if the API returns an error.
+   *
+   * @see https://github.com/Blockstream/esplora/blob/master/API.md#get-addressaddress
+   */
+   async getBlockchainBalance(addressOrPath, APIType="litecoin", network=null) {
+      if (typeof(addressOrPath) != "string") {
+         throw (new Error("addressOrPath parameter must be a string."));
+      }
+      if (addressOrPath.length < 5) {
+         throw (new Error("addressOrPath parameter too short (minimum 5 characters)."));
+      }
+      if ((addressOrPath.length < 26) || (addressOrPath.indexOf("/") > -1)) {
+         //this is a derivation path
+         var address = this.getDerivedWallet(addressOrPath, network, true);
+      } else {
+         //this is a plain address
+         address = addressOrPath;
+      }
+      var url = this.endpointURL("balance", network).split("%address%").join(address);
+      var body = await this.getJSON(url);
+      var resultObj = new Object();
+      var confBalance = this.server.bigInt(body.chain_stats.funded_txo_sum).minus(this.server.bigInt(body.chain_stats.spent_txo_sum));
+      var uncBalance = this.server.bigInt(body.mempool_stats.funded_txo_sum).minus(this.server.bigInt(body.mempool_stats.spent_txo_sum));
+      resultObj.address = body.address;
+      resultObj.balance = confBalance.toString(10);
+      resultObj.unconfirmed_balance = uncBalance.toString(10);
+      resultObj.final_balance = confBalance.plus(uncBalance).toString(10);
+      return (resultObj);
+   }
+
+   /**
+   * Cashes out from the configured cashout wallet to a specific address.
+   *
+   * @param {String} toAddress The address to cash out to.
+   * @param {String|Number} amount The amount to cash out in litoshis. The miner <code>fees</code> will
+   * be deducted from this amount.
+   * @param {String|Number} [fees=null] The miner fees to deduct from <code>amount</code> and
+   * include with the transaction. If <code>null</code>, the default fee defined for the
+   * <code>APIType</code> and <code>network</code> will be used.
+   * @param {String} [APIType="litecoin"] The main cryptocurrency API type.
+   * @param {String} [network=null] The cryptocurrency sub-network, if applicable, for the
+   * transaction. Current <code>network</code> types include: "main" and "test". If <code>null</code>,
+   * the default network specified in <code>config.CP.API[APIType].default.network</code> is used.
+   *
+   * @return {Promise} Resolves with the posted transaction object (see {@link LitecoinSpaceAPI#sendTransaction}).
+   * @async
+   */
+   async cashoutToAddress(toAddress, amount, fees=null, APIType="litecoin", network=null) {
+      if (APIType != "litecoin") {
+         throw (new Error("Unsupported API type \""+APIType+"\"."));
+      }
+      var API = this.server.config.CP.API[APIType];
+      network = this.networkName(network);
+      if (fees == null) {
+         fees = API.default[network].minerFee;
+      }
+      var fromWallet = this.getDerivedWallet(API.default[network].cashOutAddrPath, network);
+      var sendTxResult = await this.sendTransaction(fromWallet, toAddress, amount, fees, APIType, network);
+      return (sendTxResult);
+   }
+
+   /**
+   * Sends a transaction from a (derived) wallet to a specific address with customizable fee.
+   *
+   * @param {Object|String} from The wallet object or wallet derivation path from which to send the funds.
+   * If this parameter is a string, the wallet is derived from a root
+   * <code>server.namespace.cp.wallets.litecoin</code> wallet.
+   * @param {String} toAddress The target or receipient address.
+   * @param {String|Number} amount The amount to send to <code>toAddress</code> in litoshis.
+   * @param {String|Number} [fee=null] The transaction fee to include in the transaction. The fee
+   * is <i>in addition</i> to the <code>amount</code> being sent and is likewise denoted in
+   * litoshis. If omitted or <code>null</code>, the fee currently found in
+   * <code>config.CP.API[APIType].default[network].minerFee</code> is used.
+   * @param {String} [APIType="litecoin"] The main API endpoint to use when posting the transaction.
+   * @param {String} [network=null] The network or API sub-type for the transaction; for example "main" or "test".
+   *
+   * @return {Object} The function resolves with an object containing the posted transaction's
+   * hash (<code>tx.hash</code>), or rejects with an <code>Error</code> object.
+   *
+   * @async
+   * @see https://github.com/Blockstream/esplora/blob/master/API.md#post-tx
+   */
+   async sendTransaction(from, toAddress, amount, fee=null, APIType="litecoin", network=null) {
+      if (APIType != "litecoin") {
+         throw (new Error("Unsupported API type \""+APIType+"\"."));
+      }
+      var API = this.server.config.CP.API[APIType];
+      network = this.networkName(network);
+      if (fee == null) {
+         fee = API.default[network].minerFee;
+      }
+      if (typeof(from) == "string") {
+         if ((from.length < 26) || (from.indexOf("/") > -1)) {
+            //this is a derivation path
+            var fromWallet = this.getDerivedWallet(from, network);
+         } else {
+            throw (new Error("Parameter \"from\" must be a wallet object or derivation path."));
+         }
+      } else {
+         fromWallet = from;
+      }
+      var params = this.networkParams(network);
+      var fromAddress = this.getAddress(fromWallet, network);
+      var UTXOList = await this.getUTXOList(fromAddress, network);
+      var signingKey = this.server.bitcoin.ECPair.fromWIF(fromWallet.toWIF(), params);
+      var tx = await this.buildRawTransaction(UTXOList, fromAddress, toAddress, signingKey, network, amount, fee);
+      var txHex = tx.build().toHex();
+      var url = this.endpointURL("sendtx", network);
+      var promise = new Promise((resolve, reject) => {
+         this.server.request({
+            url: url,
+            method: "POST",
+            json: false,
+            body: txHex,
+            headers: {
+               "Content-Type": "text/plain"
+              }
+         }, (error, response, body) => {
+            if (error) {
+               reject(error);
+            } else if ((body == undefined) || (body == null) || (response.statusCode != 200)) {
+               reject (new Error("Transaction rejected: "+body));
+            } else {
+               var txObject = new Object();
+               txObject.tx = new Object();
+               txObject.tx.hash = body;
+               resolve(txObject);
+            }
+         });
+      });
+      return (await promise);
+   }
+
+   /**
+   * Retrieves the unspent deposits received by an address, including unconfirmed ones,
+   * along with their current number of confirmations (calculated from the current
+   * block height).
+   *
+   * @param {String} address The address for which to retrieve deposits.
+   * @param {String} [APIType="litecoin"] The main cryptocurrency API type.
+   * @param {String} [network=null] The sub-network to which the address belongs. If <code>null</code>,
+   * the default network specified in <code>config.CP.API[APIType].default.network</code> is used.
+   *
+   * @return {Promise} The returned promise resolves with an indexed array of objects, each containing
+   * the <code>txid</code>, <code>vout</code>, <code>amount</code> (in litoshis), and <code>confirmations</code>
+   * of an unspent deposit.
+   * @async
+   */
+   async getAddressDeposits(address, APIType="litecoin", network=null) {
+      var tipHeight = await this.getJSON(this.endpointURL("tipheight", network));
+      var UTXOList = await this.getJSON(this.endpointURL("getutxos", network).split("%address%").join(address));
+      var deposits = new Array();
+      for (var count=0; count < UTXOList.length; count++) {
+         var deposit = new Object();
+         deposit.txid = UTXOList[count].txid;
+         deposit.vout = UTXOList[count].vout;
+         deposit.amount = String(UTXOList[count].value);
+         if (UTXOList[count].status.confirmed == true) {
+            deposit.confirmations = Number(tipHeight) - Number(UTXOList[count].status.block_height) + 1;
+         } else {
+            deposit.confirmations = 0;
+         }
+         deposits.push(deposit);
+      }
+      return (deposits);
+   }
+
+   /**
+   * Retrieves a list of spendable transaction outputs for a specific address.
+   *
+   * @param {String} address The address for which to retrieve the list of
+   * transaction outputs.
+   * @param {String} [network="main"] The sub-network to which this address belongs.
+   *
+   * @return {Promise} The returned promise resolves with an array of unspent
+   * transaction output objects, each containing a <code>txid</code>, <code>vout</code>,
+   * <code>address</code>, <code>satoshis</code> (litoshis), <code>amount</code> (in litecoin),
+   * and <code>confirmed</code> status, or rejects with an <code>Error</code>.
+   *
+   * @see https://github.com/Blockstream/esplora/blob/master/API.md#get-addressaddressutxo
+   * @async
+   * @private
+   */
+   async getUTXOList(address, network="main") {
+      var url = this.endpointURL("getutxos", network).split("%address%").join(address);
+      var rawUTXOList = await this.getJSON(url);
+      var UTXOList = new Array();
+      for (var count=0; count < rawUTXOList.length; count++) {
+         var rawUTXO = rawUTXOList[count];
+         var utxo = new Object();
+         utxo.txid = rawUTXO.txid;
+         utxo.vout = rawUTXO.vout;
+         utxo.address = address;
+         utxo.satoshis = Number(rawUTXO.value);
+         utxo.amount = this.convertDenom(String(rawUTXO.value), "litoshi", "litecoin");
+         utxo.confirmed = rawUTXO.status.confirmed;
+         UTXOList.push(utxo);
+      }
+      return (UTXOList);
+   }
+
+   /**
+   * Builds a raw Litecoin transaction. Inputs are added from <code>UTXOList</code> until they
+   * cover the amount plus the fee and any remainder is sent back to <code>fromAddress</code>.
+   *
+   * @param {Array} UTXOList Indexed list of unspent transaction outputs (objects containing
+   * at least <code>satoshis</code>, <code>txid</code>, and <code>vout</code> properties).
+   * @param {String} fromAddress The sending address.
+   * @param {String} toAddress The receiving address.
+   * @param {Object} signingKey The keypair belonging to <code>fromAddress</code> used to sign the transaction.
+   * @param {String} network The network to which <code>fromAddress</code> and <code>toAddress</code> belong.
+   * @param {String} amountSat The amount to send to the receiving address, in litoshis.
+   * @param {String} feeSat The transaction fee to include with the transaction, in litoshis (this value
+   *  is <i>in addition to</i> the <code>amountSat</code>)
+   *
+   * @return {Object} The signed transaction builder instance.
+   * @async
+   */
+   async buildRawTransaction(UTXOList, fromAddress, toAddress, signingKey, network, amountSat, feeSat) {
+      var tx = new this.server.bitcoin.TransactionBuilder(this.networkParams(network));
+      var totalAmount = this.server.bigInt(amountSat).plus(this.server.bigInt(feeSat)); //amount including fee
+      var spentAmount = this.server.bigInt(0);
+      var numInputs = 0;
+      for (var count = 0; count < UTXOList.length; count++) {
+         var utxo = UTXOList[count];
+         tx.addInput(utxo.txid, utxo.vout);
+         spentAmount = spentAmount.plus(this.server.bigInt(utxo.satoshis));
+         numInputs++;
+         if (spentAmount.greaterOrEquals(totalAmount)) {
+            break;
+         }
+      }
+      if (spentAmount.lesser(totalAmount)) {
+         throw (new Error("Insufficient funds in \""+fromAddress+"\" to send "+totalAmount.toString(10)+" litoshis."));
+      }
+      tx.addOutput(toAddress, parseInt(String(amountSat), 10));
+      var changeAmount = spentAmount.minus(totalAmount);
+      if (changeAmount.greater(0)) {
+         tx.addOutput(fromAddress, parseInt(changeAmount.toString(10), 10));
+      }
+      for (count = 0; count < numInputs; count++) {
+         tx.sign(count, signingKey);
+      }
+      return (tx);
+   }
+
+   /**
+   * Returns an estimated miner fee for a transaction based on the fee rates most recently
+   * retrieved by {@link LitecoinSpaceAPI#updateTxFees}.
+   *
+   * @param {String} [txData=null] The hex-encoded binary transaction for which to estimate the fee.
+   * If omitted, the transaction is assumed to be 226 bytes (one input and two outputs).
+   * @param {Number} [priority=1] The priority with which the transaction is to be posted. A priority of 0 is
+   * the highest priority (next block), 1 is a medium priority (about 30 minutes), and 2 or higher is a low
+   * priority (about an hour).
+   * @param {String} [APIType="litecoin"] The main cryptocurrency API type.
+   * @param {String} [network=null] The cryptocurrency sub-network, if applicable, for the
+   * transaction. Current <code>network</code> types include "main" and "test". If <code>null</code>,
+   * the default network specified in <code>config.CP.API[APIType].default.network</code> is used.
+   *
+   * @return {String} The estimated transaction fee, as a numeric string in litoshis, or <code>null</code> if any
+   * parameter is invalid or unrecognized. If no fee rates have been retrieved yet, the configured
+   * <code>minerFee</code> is returned.
+   * @async
+   */
+   async estimateTxFee (txData=null, priority=1, APIType="litecoin", network=null) {
+      if (this._fees == undefined) {
+         this._fees = new Object();
+      }
+      try {
+         switch (APIType) {
+            case "litecoin":
+               network = this.networkName(network);
+               var txSize = 226; //bytes
+               if (txData != null) {
+                  txSize = txData.length / 2; //hex-encoded binary data
+               }
+               if (this._fees[network] == undefined) {
+                  //no fee rates retrieved; use default
+                  return (this.server.config.CP.API[APIType].default[network].minerFee);
+               }
+               var rates = this._fees[network].satPerByte;
+               if (priority < 0) {
+                  priority = 0;
+               }
+               if (priority >= rates.length) {
+                  priority = rates.length - 1;
+               }
+               var estimate = String(Math.ceil(rates[priority] * txSize));
+               return (estimate);
+               break;
+            default:
+               return (null);
+               break;
+         }
+      } catch (err) {
+         return (null);
+      }
+   }
+
+   /**
+   * Updates the internal transaction fee rates for a Litecoin sub-network if not already updated
+   * within its configured time limit. The <code>minerFee</code> stored in the main <code>config</code>
+   * is updated to a medium-priority fee for a typical transaction if the rates are successfully retrieved.
+   *
+   * @param {String} [APIType="litecoin"] The main cryptocurrency API type.
+   * @param {String} [network=null] The cryptocurrency sub-network, if applicable, for the
+   * transaction. Current <code>network</code> types include "main" and "test". If <code>null</code>,
+   * the default network specified in <code>config.CP.API[APIType].default.network</code> is used.
+   * @param {Boolean} [forceUpdate=false] If true, an update is forced even if the configured time limit
+   * has not yet elapsed.
+   *
+   * @return {Promise} Resolves with the string "updated" if the fees for the API/network were succesfully updated or
+   * "skipped" the configured time limit for updates has not yet elapsed. The promise is rejected with a standard
+   * <code>Error</code> object if an update could not be successfully completed (any existing fees data is not changed).
+   * @async
+   * @private
+   */
+   async updateTxFees(APIType="litecoin", network=null, forceUpdate=false) {
+      if (this._fees == undefined) {
+         this._fees = new Object();
+      }
+      var API = this.server.config.CP.API[APIType];
+      network = this.networkName(network);
+      if (API.default[network].feeUpdateEnabled == false) {
+         throw (new Error("Fee updates for \""+APIType+"/"+network+"\" disabled."));
+      }
+      var updateSeconds = API.default[network].feeUpdateSeconds;
+      var lastUpdate = API.default[network]["lastUpdated"];
+      if ((updateSeconds > 0) && (forceUpdate == false) && (lastUpdate != undefined) && (lastUpdate != null) && (lastUpdate != "")) {
+         var deltaSec = (new Date().valueOf() - new Date(lastUpdate).valueOf()) / 1000;
+         if (deltaSec < updateSeconds) {
+            return ("skipped");
+         }
+      }
+      API.default[network].lastUpdated = new Date().toISOString();
+      var body = await this.getJSON(this.endpointURL("fees", network));
+      this._fees[network] = new Object();
+      this._fees[network].satPerByte = [body.fastestFee, body.halfHourFee, body.hourFee];
+      var txSize = 226; //bytes (typical)
+      API.default[network].minerFee = String(Math.ceil(body.halfHourFee * txSize)); //should be a string
+      return ("updated");
+   }
+
+   /**
+   * Retrieves and parses a JSON response from a Litecoin Space API endpoint.
+   *
+   * @param {String} url The fully-formed URL of the endpoint.
+   *
+   * @return {Promise} The returned promise resolves with the parsed response body
+   * or rejects with an <code>Error</code>.
+   * @private
+   */
+   getJSON(url) {
+      var promise = new Promise((resolve, reject) => {
+         this.server.request({
+            url: url,
+            method: "GET",
+            json: true,
+            headers: {
+               "Content-Type": "application/json"
+              }
+         }, (error, response, body) => {
+            if (error) {
+               reject (error);
+            } else if ((body == undefined) || (body == null) || (response.statusCode != 200)) {
+               reject (new Error("Unexpected response from \""+url+"\"."));
+            } else {
+               resolve (body);
+            }
+         });
+      });
+      return (promise);
+   }
+
+   /**
+   * @private
+   */
+   toString() {
+      return ("[object LitecoinSpaceAPI]");
+   }
+
+}
@@ -394,6 +394,9 @@ module.exports = class SQLite3 {
          resultObj.bitcoin.test3 = new Object();
          resultObj.bitcoincash.main = new Object();
          resultObj.bitcoincash.test = new Object();
+         resultObj.litecoin = new Object();
+         resultObj.litecoin.main = new Object();
+         resultObj.litecoin.test = new Object();
          resultObj.db = new Object();
          var querySQL = "PRAGMA table_info(`accounts`);"; //retrieve table schema
          var schemaData = await this.query(querySQL);
@@ -438,6 +441,26 @@ module.exports = class SQLite3 {
             resultObj.bitcoincash.test.startChain = String(result[0].chain);
             resultObj.bitcoincash.test.startIndex = String(result[0].addressIndex);
          }
+         querySQL = "SELECT * FROM `accounts` WHERE `type`=\"litecoin\" AND `network`=\"main\" ORDER BY `addressIndex` DESC LIMIT 1;";
+         result = await this.query(querySQL, schema);
+         if (result.length < 1) {
+            //database empty
+            resultObj.litecoin.main.startChain = "0";
+            resultObj.litecoin.main.startIndex = "0";
+         } else {
+            resultObj.litecoin.main.startChain = String(result[0].chain);
+            resultObj.litecoin.main.startIndex = String(result[0].addressIndex);
+         }
+         querySQL = "SELECT * FROM `accounts` WHERE `type`=\"litecoin\" AND `network`=\"test\" ORDER BY `addressIndex` DESC LIMIT 1;";
+         result = await this.query(querySQL, schema);
+         if (result.length < 1) {
+            //database empty
+            resultObj.litecoin.test.startChain = "0";
+            resultObj.litecoin.test.startIndex = "0";
+         } else {
+            resultObj.litecoin.test.startChain = String(result[0].chain);
+            resultObj.litecoin.test.startIndex = String(result[0].addressIndex);
+         }
          var sizeMB = this.getFileSize(this._initData.dbFilePath, "MB");;
          resultObj.db.sizeMB = sizeMB;
          resultObj.db.maxMB = this.dbMaxMB;
@@ -585,6 +608,289 @@ module.exports = class SQLite3 {
       return (jsonObj);
    }
 
+   /**
+   * Creates the "contracts" table used to store live (active) smart contracts if it doesn't
+   * already exist, for example in a database file created before contracts were stored.
+   *
+   * @return {Promise} Resolves with the parsed schema of the "contracts" table.
+   * @async
+   */
+   async createContractsTable() {
+      if (this._contractsSchema != undefined) {
+         return (this._contractsSchema);
+      }
+      var querySQL = "CREATE TABLE IF NOT EXISTS `contracts` (";
+      querySQL += "`primary_key` INTEGER PRIMARY KEY AUTOINCREMENT,";
+      querySQL += "`contractID` TEXT NOT NULL,";
+      querySQL += "`ownerPID` TEXT NOT NULL,";
+      querySQL += "`data` TEXT NOT NULL,";
+      querySQL += "`updated` TEXT NOT NULL";
+      querySQL += ");";
+      var result = await this.query(querySQL);
+      querySQL = "PRAGMA table_info(`contracts`);"; //retrieve table schema
+      var schemaData = await this.query(querySQL);
+      this._contractsSchema = this.parseSchema(schemaData);
+      return (this._contractsSchema);
+   }
+
+   /**
+   * Stores a new or updated live contract record to the current CypherPoker.JS server,
+   * usually in response to a "putcontract" API call. Any existing record for the same
+   * contract is replaced. The contract data is stored Base64-encoded so that it can't
+   * interfere with the query or the parsing of its result.
+   *
+   * @param {Object} requestObj The JSON-RPC 2.0 request containing the <code>contractID</code>,
+   * <code>ownerPID</code>, JSON-encoded contract <code>data</code>, and <code>updated</code> date/time
+   * of the contract to store.
+   *
+   * @return {Object} A JSON-RPC 2.0 result object containing an "OK" result if successful
+   * or a JSON-RPC 2.0 error object containing a description of the error generated during the
+   * attempt.
+   * @async
+   */
+   async putContractRecord(requestObj) {
+      var sizeMB = this.getFileSize(this._initData.dbFilePath, "MB");
+      if (sizeMB >= this.dbMaxMB) {
+         var jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = "Database limit exceeded.";
+         return (jsonObj);
+      }
+      try {
+         var message = requestObj.params.message;
+         var schema = await this.createContractsTable();
+         var contractData = Buffer.from(String(message.data), "utf8").toString("base64");
+         var querySQL = "DELETE FROM `contracts` WHERE `contractID`=\""+message.contractID+"\" AND `ownerPID`=\""+message.ownerPID+"\";\n";
+         querySQL += "INSERT INTO `contracts` (`contractID`, `ownerPID`, `data`, `updated`) VALUES (";
+         querySQL += "\""+message.contractID+"\",";
+         querySQL += "\""+message.ownerPID+"\",";
+         querySQL += "\""+contractData+"\",";
+         querySQL += "\""+message.updated+"\"";
+         querySQL += ");";
+         var jsonObj = this.buildJSONRPC();
+         var result = await this.query(querySQL);
+         jsonObj.result = "OK";
+      } catch (err) {
+         jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = err;
+      }
+      return (jsonObj);
+   }
+
+   /**
+   * Returns all live contract records stored by the current CypherPoker.JS server, usually in
+   * response to a "getcontracts" API call.
+   *
+   * @param {Object} requestObj The JSON-RPC 2.0 request.
+   *
+   * @return {Object} A JSON-RPC 2.0 result object containing the stored contract records
+   * or a JSON-RPC 2.0 error object containing a description of the error generated during the
+   * attempt.
+   * @async
+   */
+   async getContractRecords(requestObj) {
+      try {
+         var jsonObj = this.buildJSONRPC();
+         var schema = await this.createContractsTable();
+         var querySQL = "SELECT * FROM `contracts` ORDER BY `primary_key` ASC;";
+         var result = await this.query(querySQL, schema);
+         if (result.length > 0) {
+            for (var count=0; count < result.length; count++) {
+               result[count].data = Buffer.from(result[count].data, "base64").toString("utf8");
+            }
+            jsonObj.result = result;
+         } else {
+            jsonObj = this.buildJSONRPC("2.0", false);
+            jsonObj.error.code = -32602;
+            jsonObj.error.message = "No stored contracts.";
+         }
+      } catch (err) {
+         var jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = err;
+      }
+      return (jsonObj);
+   }
+
+   /**
+   * Removes a live contract record from the current CypherPoker.JS server, usually in response
+   * to a "removecontract" API call.
+   *
+   * @param {Object} requestObj The JSON-RPC 2.0 request containing the <code>contractID</code>
+   * and <code>ownerPID</code> of the contract to remove.
+   *
+   * @return {Object} A JSON-RPC 2.0 result object containing an "OK" result if successful
+   * or a JSON-RPC 2.0 error object containing a description of the error generated during the
+   * attempt.
+   * @async
+   */
+   async removeContractRecord(requestObj) {
+      try {
+         var jsonObj = this.buildJSONRPC();
+         var message = requestObj.params.message;
+         var schema = await this.createContractsTable();
+         var querySQL = "DELETE FROM `contracts` WHERE `contractID`=\""+message.contractID+"\" AND `ownerPID`=\""+message.ownerPID+"\";";
+         var result = await this.query(querySQL);
+         jsonObj.result = "OK";
+      } catch (err) {
+         jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = err;
+      }
+      return (jsonObj);
+   }
+
+   /**
+   * Creates the append-only "ledger" table used to record every change to an account's balance
+   * if it doesn't already exist, for example in a database file created before account ledgers
+   * were stored.
+   *
+   * @return {Promise} Resolves with the parsed schema of the "ledger" table.
+   * @async
+   */
+   async createLedgerTable() {
+      if (this._ledgerSchema != undefined) {
+         return (this._ledgerSchema);
+      }
+      var querySQL = "CREATE TABLE IF NOT EXISTS `ledger` (";
+      querySQL += "`primary_key` INTEGER PRIMARY KEY AUTOINCREMENT,";
+      querySQL += "`address` TEXT NOT NULL,";
+      querySQL += "`type` TEXT NOT NULL,";
+      querySQL += "`network` TEXT NOT NULL,";
+      querySQL += "`entryType` TEXT NOT NULL,";
+      querySQL += "`amount` TEXT NOT NULL,";
+      querySQL += "`balance` TEXT NOT NULL,";
+      querySQL += "`reference` TEXT NOT NULL,";
+      querySQL += "`memo` TEXT NOT NULL,";
+      querySQL += "`created` TEXT NOT NULL";
+      querySQL += ");";
+      var result = await this.query(querySQL);
+      querySQL = "PRAGMA table_info(`ledger`);"; //retrieve table schema
+      var schemaData = await this.query(querySQL);
+      this._ledgerSchema = this.parseSchema(schemaData);
+      return (this._ledgerSchema);
+   }
+
+   /**
+   * Appends an entry to an account's ledger, usually in response to a "putledger" API call.
+   * Ledger entries are never updated or removed. The free-form <code>reference</code> and
+   * <code>memo</code> are stored Base64-encoded so that they can't interfere with the query or
+   * the parsing of its result.
+   *
+   * @param {Object} requestObj The JSON-RPC 2.0 request containing the ledger entry to store.
+   *
+   * @return {Object} A JSON-RPC 2.0 result object containing an "OK" result if successful
+   * or a JSON-RPC 2.0 error object containing a description of the error generated during the
+   * attempt.
+   * @async
+   */
+   async putLedgerEntry(requestObj) {
+      var sizeMB = this.getFileSize(this._initData.dbFilePath, "MB");
+      if (sizeMB >= this.dbMaxMB) {
+         var jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = "Database limit exceeded.";
+         return (jsonObj);
+      }
+      try {
+         var message = requestObj.params.message;
+         var schema = await this.createLedgerTable();
+         var reference = Buffer.from(String(message.reference), "utf8").toString("base64");
+         var memo = Buffer.from(String(message.memo), "utf8").toString("base64");
+         var querySQL = "INSERT INTO `ledger` (`address`, `type`, `network`, `entryType`, `amount`, `balance`, `reference`, `memo`, `created`) VALUES (";
+         querySQL += "\""+message.address+"\",";
+         querySQL += "\""+message.type+"\",";
+         querySQL += "\""+message.network+"\",";
+         querySQL += "\""+message.entryType+"\",";
+         querySQL += "\""+message.amount+"\",";
+         querySQL += "\""+message.balance+"\",";
+         querySQL += "\""+reference+"\",";
+         querySQL += "\""+memo+"\",";
+         querySQL += "\""+message.created+"\"";
+         querySQL += ");";
+         var jsonObj = this.buildJSONRPC();
+         var result = await this.query(querySQL);
+         jsonObj.result = "OK";
+      } catch (err) {
+         jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = err;
+      }
+      return (jsonObj);
+   }
+
+   /**
+   * Returns a page of an account's ledger entries, newest first, usually in response to a
+   * "getledger" API call.
+   *
+   * @param {Object} requestObj The JSON-RPC 2.0 request containing the <code>address</code>,
+   * <code>type</code>, and <code>network</code> of the account, and the <code>offset</code>
+   * and <code>limit</code> of the entries to return.
+   *
+   * @return {Object} A JSON-RPC 2.0 result object containing the matching <code>entries</code>
+   * and the <code>total</code> number of entries for the account, or a JSON-RPC 2.0 error object
+   * containing a description of the error generated during the attempt. An account without
+   * entries produces an empty result rather than an error.
+   * @async
+   */
+   async getLedgerEntries(requestObj) {
+      try {
+         var jsonObj = this.buildJSONRPC();
+         var message = requestObj.params.message;
+         var schema = await this.createLedgerTable();
+         var offset = Math.floor(Number(message.offset));
+         var limit = Math.floor(Number(message.limit));
+         var whereSQL = " WHERE `address`=\""+message.address+"\" AND `type`=\""+message.type+"\" AND `network`=\""+message.network+"\"";
+         var querySQL = "SELECT COUNT(*) FROM `ledger`"+whereSQL+";";
+         var countResult = await this.query(querySQL);
+         querySQL = "SELECT * FROM `ledger`"+whereSQL+" ORDER BY `primary_key` DESC LIMIT "+String(limit)+" OFFSET "+String(offset)+";";
+         var result = await this.query(querySQL, schema);
+         for (var count=0; count < result.length; count++) {
+            result[count].reference = Buffer.from(result[count].reference, "base64").toString("utf8");
+            result[count].memo = Buffer.from(result[count].memo, "base64").toString("utf8");
+         }
+         jsonObj.result.entries = result;
+         jsonObj.result.total = Number(countResult[0][0]);
+      } catch (err) {
+         var jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = err;
+      }
+      return (jsonObj);
+   }
+
+   /**
+   * Returns the addresses of all accounts of a specific cryptocurrency type and sub-network,
+   * usually in response to a "getaddresses" API call.
+   *
+   * @param {Object} requestObj The JSON-RPC 2.0 request containing the <code>type</code>
+   * and <code>network</code> of the accounts.
+   *
+   * @return {Object} A JSON-RPC 2.0 result object containing an array of the unique account
+   * addresses, or a JSON-RPC 2.0 error object containing a description of the error generated
+   * during the attempt.
+   * @async
+   */
+   async getAccountAddresses(requestObj) {
+      try {
+         var jsonObj = this.buildJSONRPC();
+         var message = requestObj.params.message;
+         var querySQL = "SELECT DISTINCT `address` FROM `accounts` WHERE `type`=\""+message.type+"\" AND `network`=\""+message.network+"\";";
+         var result = await this.query(querySQL);
+         var addresses = new Array();
+         for (var count=0; count < result.length; count++) {
+            addresses.push(String(result[count][0]));
+         }
+         jsonObj.result = addresses;
+      } catch (err) {
+         var jsonObj = this.buildJSONRPC("2.0", false);
+         jsonObj.error.code = -32603;
+         jsonObj.error.message = err;
+      }
+      return (jsonObj);
+   }
+
    /**
    * Returns the number of seconds elapsed since the last update of any account in the database.
    *
@@ -673,6 +979,48 @@ module.exports = class SQLite3 {
                reject(errorObj);
             });
             break;
+         case "putcontract":
+            this.putContractRecord(requestObj).then(resultObj => {
+               resolve(resultObj);
+            }).catch(errorObj => {
+               reject(errorObj);
+            });
+            break;
+         case "getcontracts":
+            this.getContractRecords(requestObj).then(resultObj => {
+               resolve(resultObj);
+            }).catch(errorObj => {
+               reject(errorObj);
+            });
+            break;
+         case "removecontract":
+            this.removeContractRecord(requestObj).then(resultObj => {
+               resolve(resultObj);
+            }).catch(errorObj => {
+               reject(errorObj);
+            });
+            break;
+         case "putledger":
+            this.putLedgerEntry(requestObj).then(resultObj => {
+               resolve(resultObj);
+            }).catch(errorObj => {
+               reject(errorObj);
+            });
+            break;
+         case "getledger":
+            this.getLedgerEntries(requestObj).then(resultObj => {
+               resolve(resultObj);
+            }).catch(errorObj => {
+               reject(errorObj);
+            });
+            break;
+         case "getaddresses":
+            this.getAccountAddresses(requestObj).then(resultObj => {
+               resolve(resultObj);
+            }).catch(errorObj => {
+               reject(errorObj);
+            });
+            break;
          default:
             var errorObj = this.buildJSONRPC("2.0", false);
             errorObj.error.code = -32601;
@@ -1121,6 +1121,12 @@ async function createAccountSystem(onCreateCB=null) {
       if (typeof(process.env["BCHWALLET_TPRV"]) == "string") {
          config.CP.API.wallets.bchtest.tprv = process.env["BCHWALLET_TPRV"];
       }
+      if (typeof(process.env["LTCWALLET_XPRV"]) == "string") {
+         config.CP.API.wallets.litecoin.xprv = process.env["LTCWALLET_XPRV"];
+      }
+      if (typeof(process.env["LTCWALLET_TPRV"]) == "string") {
+         config.CP.API.wallets.ltctest.tprv = process.env["LTCWALLET_TPRV"];
+      }
       //try updating via command line arguments:
       for (var count = 2; count < process.argv.length; count++) {
          var currentArg = process.argv[count];
@@ -1161,6 +1167,12 @@ async function createAccountSystem(onCreateCB=null) {
             case "bchwallet_tprv":
                config.CP.API.wallets.bchtest.tprv = argValue;
                break;
+            case "ltcwallet_xprv":
+               config.CP.API.wallets.litecoin.xprv = argValue;
+               break;
+            case "ltcwallet_tprv":
+               config.CP.API.wallets.ltctest.tprv = argValue;
+               break;
             default:
                //unrecognized command line parameter
                break;
@@ -1202,6 +1214,24 @@ async function createAccountSystem(onCreateCB=null) {
       } else {
          console.log ("Could not configure Bitcoin Cash testnet wallet.");
       }
+      //Litecoin wallets
+      ccHandler = getHandler("cryptocurrency", "litecoin");
+      namespace.cp.wallets.litecoin.main = ccHandler.makeHDWallet(config.CP.API.wallets.litecoin.xprv);
+      if (namespace.cp.wallets.litecoin.main != null) {
+         walletPath = config.CP.API.litecoin.default.main.cashOutAddrPath;
+         cashoutWallet = namespace.cp.wallets.litecoin.main.derivePath(walletPath);
+         console.log ("Litecoin HD wallet (\""+walletPath+"\") configured @ "+ccHandler.getAddress(cashoutWallet, "main"));
+      } else {
+         console.log ("Could not configure Litecoin wallet.");
+      }
+      namespace.cp.wallets.litecoin.test = ccHandler.makeHDWallet(config.CP.API.wallets.ltctest.tprv);
+      if (namespace.cp.wallets.litecoin.test != null) {
+         walletPath = config.CP.API.litecoin.default.test.cashOutAddrPath;
+         cashoutWallet = namespace.cp.wallets.litecoin.test.derivePath(walletPath);
+         console.log ("Litecoin testnet HD wallet (\""+walletPath+"\") configured @ "+ccHandler.getAddress(cashoutWallet, "test"));
+      } else {
+         console.log ("Could not configure Litecoin testnet wallet.");
+      }
       var wallets = config.CP.API.wallets;
       if (config.CP.API.database.enabled == true) {
          console.log ("Database functionality is ENABLED.");
@@ -1250,6 +1280,25 @@ async function createAccountSystem(onCreateCB=null) {
          if (bchTestStartIndex > wallets.bchtest.startIndex) {
             wallets.bchtest.startIndex = Number(String(resultObj.bitcoincash.test.startIndex));
          }
+         if (resultObj.litecoin != undefined) {
+            //force-convert values in case the database returned them as strings
+            var ltcStartChain = Number(String(resultObj.litecoin.main.startChain));
+            var ltcStartIndex = Number(String(resultObj.litecoin.main.startIndex));
+            var ltcTestStartChain = Number(String(resultObj.litecoin.test.startChain));
+            var ltcTestStartIndex = Number(String(resultObj.litecoin.test.startIndex));
+            if (ltcStartChain > wallets.litecoin.startChain) {
+               wallets.litecoin.startChain = ltcStartChain;
+            }
+            if (ltcStartIndex > wallets.litecoin.startIndex) {
+               wallets.litecoin.startIndex = ltcStartIndex;
+            }
+            if (ltcTestStartChain > wallets.ltctest.startChain) {
+               wallets.ltctest.startChain = ltcTestStartChain;
+            }
+            if (ltcTestStartIndex > wallets.ltctest.startIndex) {
+               wallets.ltctest.startIndex = ltcTestStartIndex;
+            }
+         }
       } else {
          console.log ("Database functionality is DISABLED.");
       }
@@ -1257,6 +1306,8 @@ async function createAccountSystem(onCreateCB=null) {
       console.log ("Initial (next) Bitcoin testnet account derivation path: m/"+wallets.test3.startChain+"/"+(wallets.test3.startIndex+1));
       console.log ("Initial (next) Bitcoin Cash account derivation path: m/"+wallets.bitcoincash.startChain+"/"+(wallets.bitcoincash.startIndex+1));
       console.log ("Initial (next) Bitcoin Cash testnet account derivation path: m/"+wallets.bchtest.startChain+"/"+(wallets.bchtest.startIndex+1));
+      console.log ("Initial (next) Litecoin account derivation path: m/"+wallets.litecoin.startChain+"/"+(wallets.litecoin.startIndex+1));
+      console.log ("Initial (next) Litecoin testnet account derivation path: m/"+wallets.ltctest.startChain+"/"+(wallets.ltctest.startIndex+1));
       if (config.CP.API.database.enabled == true) {
          if (hostEnv.embedded == true) {
             console.log ("Local database size: "+resultObj.db.sizeMB+" megabytes");
@@ -1563,8 +1614,10 @@ loadConfig().then (configObj => {
          }).catch (err => {
             console.error (err);
          })
+         //start watching for account deposits, if enabled
+         namespace.cp.startDepositWatcher();
       } catch (err) {
-         // updateAllTxFees may not exist or be registered in the global namespace;
+         // updateAllTxFees or startDepositWatcher may not exist or be registered in the global namespace;
          // usually defined in CP_Account API endpoint
       } finally {
          invokeHostOnInit();
@@ -47,6 +47,30 @@
         PRIMARY KEY (`primary_key`)
      ) ENGINE=InnoDB AUTO_INCREMENT=0 DEFAULT CHARSET=latin1;";
      $result = $db -> query($querySQL);
+     $querySQL = "CREATE TABLE IF NOT EXISTS `contracts` (
+        `primary_key` int(11) NOT NULL AUTO_INCREMENT,
+        `contractID` varchar(255) NOT NULL COMMENT 'The contract ID',
+        `ownerPID` varchar(255) NOT NULL COMMENT 'Private ID of the contract owner',
+        `data` longtext NOT NULL COMMENT 'JSON-encoded contract data',
+        `updated` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Date/Time this row was last updated.',
+        PRIMARY KEY (`primary_key`)
+     ) ENGINE=InnoDB AUTO_INCREMENT=0 DEFAULT CHARSET=utf8;";
+     $result = $db -> query($querySQL);
+     $querySQL = "CREATE TABLE IF NOT EXISTS `ledger` (
+        `primary_key` int(11) NOT NULL AUTO_INCREMENT,
+        `address` varchar(255) NOT NULL COMMENT 'Account (cryptocurrency) address',
+        `type` varchar(64) NOT NULL COMMENT 'The cryptocurrency type',
+        `network` varchar(64) NOT NULL COMMENT 'Cryptocurrency subnetwork',
+        `entryType` varchar(16) NOT NULL COMMENT 'Reason for the balance change',
+        `amount` text NOT NULL COMMENT 'Signed balance change in smallest denomination',
+        `balance` text NOT NULL COMMENT 'Account balance after the change',
+        `reference` text NOT NULL COMMENT 'Associated contract, tournament, transaction, or account',
+        `memo` text NOT NULL COMMENT 'Description of the balance change',
+        `created` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Date/Time this row was created.',
+        PRIMARY KEY (`primary_key`),
+        KEY `account` (`address`, `type`, `network`)
+     ) ENGINE=InnoDB AUTO_INCREMENT=0 DEFAULT CHARSET=utf8;";
+     $result = $db -> query($querySQL);
      //Uncomment the following line to see any errors:
      //echo(mysqli_error($db)."<br/>");
      printf("Tables created.<br/>");
@@ -421,6 +445,142 @@
                   sendError(-32603, "Could not connect to database.", $request);
                }
                break;
+            case "putcontract":
+               if (openDatabase()) {
+                  if (getDBSize() >= $_db_maxmb) {
+                     sendError(-32603, "Database limit exceeded.", $request);
+                     return;
+                  }
+                  $querySQL = "DELETE FROM `contracts` WHERE `contractID`=\"".cleanParameter($request -> params -> message -> contractID)."\" AND `ownerPID`=\"".cleanParameter($request -> params -> message -> ownerPID)."\";";
+                  $result = $db -> query($querySQL);
+                  $querySQL = "INSERT INTO `contracts` (`contractID`, `ownerPID`, `data`, `updated`) VALUES (";
+                  $querySQL .= "\"".cleanParameter($request -> params -> message -> contractID)."\",";
+                  $querySQL .= "\"".cleanParameter($request -> params -> message -> ownerPID)."\",";
+                  $querySQL .= "\"".cleanParameter($request -> params -> message -> data)."\",";
+                  $querySQL .= "\"".cleanParameter($request -> params -> message -> updated)."\"";
+                  $querySQL .= ");";
+                  $result = $db -> query($querySQL);
+                  if ($result == false) {
+                     sendError(-32603, "The database returned an error.", $request, $db -> error);
+                     return;
+                  }
+                  sendResult("OK", $request);
+               } else {
+                  sendError(-32603, "Could not connect to database.", $request);
+               }
+               break;
+            case "getcontracts":
+               if (openDatabase()) {
+                  $querySQL = "SELECT * FROM `contracts` ORDER BY `primary_key` ASC;";
+                  $result = $db -> query($querySQL);
+                  if ($result == false) {
+                     sendError(-32603, "The database returned an error.", $request, $db -> error);
+                     return;
+                  }
+                  if (mysqli_num_rows($result) == 0) {
+                     sendError(-32602, "No stored contracts.", $request);
+                     return;
+                  } else {
+                     $rows = array();
+                     while ($row = mysqli_fetch_assoc($result)) {
+                        array_push($rows, $row);
+                     }
+                     sendResult($rows, $request);
+                  }
+               } else {
+                  sendError(-32603, "Could not connect to database.", $request);
+               }
+               break;
+            case "removecontract":
+               if (openDatabase()) {
+                  $querySQL = "DELETE FROM `contracts` WHERE `contractID`=\"".cleanParameter($request -> params -> message -> contractID)."\" AND `ownerPID`=\"".cleanParameter($request -> params -> message -> ownerPID)."\";";
+                  $result = $db -> query($querySQL);
+                  if ($result == false) {
+                     sendError(-32603, "The database returned an error.", $request, $db -> error);
+                     return;
+                  }
+                  sendResult("OK", $request);
+               } else {
+                  sendError(-32603, "Could not connect to database.", $request);
+               }
+               break;
+            case "putledger":
+               if (openDatabase()) {
+                  if (getDBSize() >= $_db_maxmb) {
+                     sendError(-32603, "Database limit exceeded.", $request);
+                     return;
+                  }
+                  $querySQL = "INSERT INTO `ledger` (`address`, `type`, `network`, `entryType`, `amount`, `balance`, `reference`, `memo`, `created`) VALUES (";
+                  $querySQL .= "\"".cleanParameter($request -> params -> message -> address)."\",";
+                  $querySQL .= "\"".cleanParameter($request -> params -> message -> type)."\",";
+                  $querySQL .= "\"".cleanParameter($request -> params -> message -> network)."\",";
+                  $querySQL .= "\"".cleanParameter($request -> params -> message -> entryType)."\",";
+                  $querySQL .= "\"".cleanParameter($request -> params -> message -> amount)."\",";
+                  $querySQL .= "\"".cleanParameter($request -> params -> message -> balance)."\",";
+                  $querySQL .= "\"".cleanParameter($request -> params -> message -> reference)."\",";
+                  $querySQL .= "\"".cleanParameter($request -> params -> message -> memo)."\",";
+                  $querySQL .= "\"".cleanParameter($request -> params -> message -> created)."\"";
+                  $querySQL .= ");";
+                  $result = $db -> query($querySQL);
+                  if ($result == false) {
+                     sendError(-32603, "The database returned an error.", $request, $db -> error);
+                     return;
+                  }
+                  sendResult("OK", $request);
+               } else {
+                  sendError(-32603, "Could not connect to database.", $request);
+               }
+               break;
+            case "getledger":
+               if (openDatabase()) {
+                  $whereSQL = " WHERE `address`=\"".cleanParameter($request -> params -> message -> address)."\"";
+                  $whereSQL .= " AND `type`=\"".cleanParameter($request -> params -> message -> type)."\"";
+                  $whereSQL .= " AND `network`=\"".cleanParameter($request -> params -> message -> network)."\"";
+                  $querySQL = "SELECT COUNT(*) AS `total` FROM `ledger`".$whereSQL.";";
+                  $result = $db -> query($querySQL);
+                  if ($result == false) {
+                     sendError(-32603, "The database returned an error.", $request, $db -> error);
+                     return;
+                  }
+                  $countRow = mysqli_fetch_assoc($result);
+                  $offset = intval($request -> params -> message -> offset);
+                  $limit = intval($request -> params -> message -> limit);
+                  $querySQL = "SELECT * FROM `ledger`".$whereSQL." ORDER BY `primary_key` DESC LIMIT ".$limit." OFFSET ".$offset.";";
+                  $result = $db -> query($querySQL);
+                  if ($result == false) {
+                     sendError(-32603, "The database returned an error.", $request, $db -> error);
+                     return;
+                  }
+                  $rows = array();
+                  while ($row = mysqli_fetch_assoc($result)) {
+                     array_push($rows, $row);
+                  }
+                  $ledger = array();
+                  $ledger["entries"] = $rows;
+                  $ledger["total"] = intval($countRow["total"]);
+                  sendResult($ledger, $request);
+               } else {
+                  sendError(-32603, "Could not connect to database.", $request);
+               }
+               break;
+            case "getaddresses":
+               if (openDatabase()) {
+                  $querySQL = "SELECT DISTINCT `address` FROM `accounts` WHERE `type`=\"".cleanParameter($request -> params -> message -> type)."\"";
+                  $querySQL .= " AND `network`=\"".cleanParameter($request -> params -> message -> network)."\";";
+                  $result = $db -> query($querySQL);
+                  if ($result == false) {
+                     sendError(-32603, "The database returned an error.", $request, $db -> error);
+                     return;
+                  }
+                  $addresses = array();
+                  while ($row = mysqli_fetch_assoc($result)) {
+                     array_push($addresses, $row["address"]);
+                  }
+                  sendResult($addresses, $request);
+               } else {
+                  sendError(-32603, "Could not connect to database.", $request);
+               }
+               break;
             default:
                sendError(-32601, 'RPC method "'.$request -> method.'" not found.', $request);
                break;
@@ -0,0 +1,90 @@
+/**
+* @file Command line utility to verify an exported CypherPoker.JS hand record by replaying
+* the hand with the same analysis, scoring, and payout functions used by the contract host.
+* Usage: <code>node verifyHand.js recordFile [configFile]</code>
+* The record file may contain either the hand record itself or an object with a <code>record</code>
+* property (such as a "verify" action result or a "contractend" message). The verification report is
+* printed and the process exits with code 0 if the hand was verified or 1 otherwise.
+*
+* @version 0.5.0
+*/
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const crypto = require("crypto");
+const bigInt = require("big-integer");
+const secp256k1 = require("secp256k1");
+
+/**
+* Loads the CP_SmartContract API script into its own virtual machine context, exposing the same
+* objects that the server exposes to API functions that it requires.
+*
+* @param {Object} config The parsed server configuration.
+*
+* @return {Object} The virtual machine context containing the API script's functions.
+* @private
+*/
+function loadContractAPI(config) {
+   var script = fs.readFileSync(path.resolve(__dirname, "../api/CP_SmartContract.js"), {encoding:"UTF-8"});
+   var namespace = new Object();
+   namespace.cp = new Object();
+   namespace.cp.contracts = new Object(); //prevents live contracts from being restored
+   var vmContext = {
+      namespace:namespace,
+      config:config,
+      require:require,
+      Buffer:Buffer,
+      console:console,
+      bigInt:bigInt,
+      crypto:crypto,
+      secp256k1:secp256k1,
+      setTimeout:setTimeout,
+      clearTimeout:clearTimeout
+   }
+   var context = vm.createContext(vmContext);
+   vm.runInContext(script, context);
+   return (context);
+}
+
+/**
+* @private
+*/
+async function verifyHand(recordFile, configFile) {
+   var config = JSON.parse(fs.readFileSync(configFile));
+   var record = JSON.parse(fs.readFileSync(recordFile));
+   if ((typeof(record.record) == "object") && (record.record != null)) {
+      record = record.record;
+   }
+   var contractAPI = loadContractAPI(config);
+   var report = await contractAPI.verifyHandRecord(record);
+   console.log(JSON.stringify(report, null, 3));
+   if (report.verified == true) {
+      console.log ("Hand "+report.contractID+" verified.");
+      return (true);
+   } else {
+      console.error ("Hand "+report.contractID+" failed verification:");
+      for (var count = 0; count < report.errors.length; count++) {
+         console.error ("   "+report.errors[count]);
+      }
+      return (false);
+   }
+}
+
+if (process.argv.length < 3) {
+   console.log ("Usage: node verifyHand.js recordFile [configFile]");
+   process.exit(1);
+}
+var configFile = path.resolve(__dirname, "../config.json");
+if (process.argv.length > 3) {
+   configFile = process.argv[3];
+}
+verifyHand(process.argv[2], configFile).then(verified => {
+   if (verified) {
+      process.exit(0);
+   } else {
+      process.exit(1);
+   }
+}).catch(err => {
+   console.error(err.message);
+   process.exit(1);
+});
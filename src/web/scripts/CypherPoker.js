@@ -35,6 +35,8 @@
 *   "crypto":{
 *      "create":"return (new SRACrypto(4))",
 *      "bitLength": 1024,
+*      "minBitLength": 256,
+*      "maxBitLength": 4096,
 *      "radix": 16
 *   },
 *   "debug":false
@@ -43,7 +45,7 @@
 *
 * @extends EventDispatcher
 * @see {@link ConnectivityManager}
-* @see {@link SRACrypto}
+* @see {@link CryptoProvider}
 */
 class CypherPoker extends EventDispatcher {
 
@@ -61,8 +63,21 @@ class CypherPoker extends EventDispatcher {
    * private IDs (no wildcards).
    * @property {Array} restorePID Copy of the original private IDs in the <code>requiredPID</code> array
    * used to restore it if members of the <code>joinePID</code> array leave the table.
+   * @property {Boolean} [inPlay] Set locally on a table that was joined while a game was already in play at it, in which
+   * case the table may still have <code>requiredPID</code> entries for other empty seats. This flag isn't copied or
+   * shared with other peers.
    * @property {Object} tableInfo Additional information to be included with the table. Use this object rather than
    * a [TableObject]{@link CypherPoker#TableObject} at the root level since it is dynamic (may cause unexpected behaviour).
+   * The optional <code>tableInfo.variant</code> property specifies the game variant (e.g. <code>"holdem"</code> or
+   * <code>"omaha"</code>), to be played at the table as defined in the <code>variants</code> settings object.
+   * The optional <code>tableInfo.tournament</code> object turns the table into a sit-and-go tournament in which
+   * the <code>buyIn</code> is an entry fee paid into a prize pool. It specifies the <code>startingStack</code> of
+   * tournament chips, the <code>blindSchedule</code> (<code>type</code> of <code>"hands"</code> or <code>"time"</code>,
+   * and the <code>interval</code> in hands or minutes between blind levels), and optional <code>payouts</code>
+   * percentages from first place down.
+   * The optional <code>tableInfo.cryptoPolicy</code> object specifies the <code>minBitLength</code>, <code>maxBitLength</code>,
+   * <code>radix</code> (16 or 10), and <code>safePrime</code> requirement of the SRA prime used for each game at the table. Every player
+   * verifies the prime against it (see [CypherPokerGame.cryptoPolicy]{@link CypherPokerGame#cryptoPolicy}).
    */
 
     //Event definitions:
@@ -155,6 +170,18 @@ class CypherPoker extends EventDispatcher {
     * @type {Object}
     * @property {CypherPokerGame} game The newly created game instance.
     */
+    /**
+    * The server has reported a change in the deposits or balance of a managed account.
+    *
+    * @event CypherPoker#accountupdate
+    * @type {Event}
+    * @property {CypherPokerAccount} account The updated account.
+    * @property {Object} data The JSON-RPC 2.0 object containing the update.
+    * @property {Object} data.result The standard JSON-RPC 2.0 notification result object.
+    * @property {Object} data.result.data The account update message. It includes the updated <code>balance</code>,
+    * the <code>deposits</code> awaiting confirmations, the <code>credited</code> deposits, if any, and an
+    * <code>error</code> description if confirmed deposits couldn't be credited yet.
+    */
 
    /**
    * Creates a new CypherPoker.JS instance.
@@ -169,6 +196,12 @@ class CypherPoker extends EventDispatcher {
       this._apiConnected = false;
       this._p2pConnected = false;
       this._settings = settingsObject;
+      this._peerSigningKeys = new Object(); //announced public signing keys of peers, indexed by private ID
+      this._peerSequences = new Object(); //last message sequence numbers of peers, indexed by private ID and signing key
+      this._verifiedMessages = new WeakMap(); //verification results of received messages, so they're only verified once
+      this._sendSequence = 0; //sequence number of the last message we signed
+      this._signQueue = Promise.resolve(true); //keeps outgoing messages in order while they're signed
+      this._verifyQueue = Promise.resolve(true); //keeps incoming messages in order while they're verified
       this.initialize();
    }
 
@@ -243,10 +276,13 @@ class CypherPoker extends EventDispatcher {
       }
       //restore saved accounts
       this.restoreAccounts(this.settings.api.connectInfo.url);
+      //create this session's message signing keypair
+      await this.generateSigningKeypair();
       //start connections
       this._connectivityManager = new ConnectivityManager(this);
       this.connectivityManager.registerListener("message", "p2p", this.handleP2PMessage, this);
       this.connectivityManager.registerListener("close", "api", this.onAPIDisconnect, this);
+      this.connectivityManager.registerListener("update", "api", this.handleAPIUpdate, this);
       var result = await this.connectivityManager.startConnections();
       var event = new Event("start");
       this.dispatchEvent(event);
@@ -381,7 +417,10 @@ class CypherPoker extends EventDispatcher {
    }
 
    /**
-   * @property {SRACrypto} crypto An interface for asynchronous cryptographic operations.
+   * @property {CryptoProvider} crypto An interface for asynchronous cryptographic operations,
+   * created using the <code>crypto.create</code> string of the [settings]{@link CypherPoker#settings}.
+   * This is usually an {@link SRACrypto} (Web Worker) instance in a browser or an {@link SRACryptoNode}
+   * (in-thread) instance when running headless in Node.js.
    * @readonly
    */
    get crypto() {
@@ -535,6 +574,41 @@ class CypherPoker extends EventDispatcher {
 
    }
 
+   /**
+   * Handles a server update message event dispatched by the [ConnectivityManager.api]{@link ConnectivityManager#api}
+   * instance. Account updates sent by the server's deposit watcher are applied to the matching
+   * managed account in the [accounts]{@link CypherPoker#accounts} array.
+   *
+   * @param {Event} event An "update" event dispatched by the communication interface.
+   *
+   * @fires CypherPoker#accountupdate
+   * @private
+   */
+   handleAPIUpdate(event) {
+      if (this.isCPMsgEvent(event) == false) {
+         //don't process any further
+         return;
+      }
+      var message = event.data.result.data;
+      if (message.cpMsg != "accountupdate") {
+         //handled elsewhere
+         return;
+      }
+      for (var count=0; count < this.accounts.length; count++) {
+         var account = this.accounts[count];
+         if ((account.address == message.address) && (account.type == message.type) && (account.network == message.network)) {
+            account.balance = message.balance;
+            account.deposits = message.deposits;
+            this.debug("CypherPoker.handleAPIUpdate("+event+") => \"accountupdate\" for "+message.address);
+            var ownEvent = new Event("accountupdate");
+            ownEvent.account = account;
+            ownEvent.data = event.data;
+            this.dispatchEvent(ownEvent);
+            return;
+         }
+      }
+   }
+
    /**
    * Restores saved accounts from the browser's <code>localStorage</code> for
    * a specific domain or API service and stores them to the
@@ -621,11 +695,12 @@ class CypherPoker extends EventDispatcher {
    * Creates a new cryptocurrency account for use with games.
    *
    * @param {String} type The cryptocurrency type of the new account. Valid
-   * values include: "bitcoin"
+   * values include: "bitcoin", "bitcoincash", and "litecoin"
    * @param {String} password The password to associate with the account.
    * @param {String} [network=null] The network sub-type, if applicable, of
    * the cryptocurrency <code>type</code>. For example, if <code>type</code>
-   * is "bitcoin" then <code>network</code> may be "main" or "test3".
+   * is "bitcoin" then <code>network</code> may be "main" or "test3", and if
+   * it's "litecoin" then <code>network</code> may be "main" or "test".
    *
    * @return {Promise} The promise resolves with a new {@link CypherPokerAccount}
    * instance or rejects with an <code>Error</code> if a problem occurs.
@@ -815,7 +890,7 @@ class CypherPoker extends EventDispatcher {
       context.debug("CypherPoker.announceTable("+tableObj+")")
       var announceObj = context.buildCPMessage("tablenew");
       context.copyTable(tableObj, announceObj);
-      context.p2p.broadcast(announceObj);
+      context.sendCPMessage(announceObj);
    }
 
    /**
@@ -868,7 +943,7 @@ class CypherPoker extends EventDispatcher {
    /**
    * Evaluates whether a table is ready or not. A table is considered
    * ready if it is a valid [TableObject]{@link CypherPoker#TableObject}, has one or more joined private
-   * IDs and no required private IDs.
+   * IDs and no required private IDs, or if it was joined while in play.
    *
    * @param {TableObject} tableObj The table to evaluate.
    *
@@ -881,6 +956,10 @@ class CypherPoker extends EventDispatcher {
       if ((tableObj.requiredPID.length == 0) && (tableObj.joinedPID.length > 0)) {
          return (true);
       }
+      if (tableObj.inPlay == true) {
+         //joined a game in play so empty seats don't matter
+         return (true);
+      }
       return (false);
    }
 
@@ -976,7 +1055,7 @@ class CypherPoker extends EventDispatcher {
       tableMessageObj.tableName = tableObj.tableName;
       tableMessageObj.tableID = tableObj.tableID;
       tableMessageObj.ownerPID = tableObj.ownerPID;
-      this.p2p.send(tableMessageObj, tablePIDs);
+      this.sendCPMessage(tableMessageObj, tablePIDs);
       return (true);
    }
 
@@ -1015,7 +1094,7 @@ class CypherPoker extends EventDispatcher {
          console.error(err);
       }
       //connected successfully on required or "any" transport
-      this.p2p.send(joinRequestObj, [tableObj.ownerPID]);
+      this.sendCPMessage(joinRequestObj, [tableObj.ownerPID]);
       tableObj.joinTimeoutID = setTimeout(this.onJoinTableRequestTimeout, replyTimeout, tableObj, this);
       return (true);
    }
@@ -1088,7 +1167,7 @@ class CypherPoker extends EventDispatcher {
       var leaveNotificationObj = this.buildCPMessage("tableleave");
       this.copyTable(tableObj, leaveNotificationObj);
       var tablePIDs = this.createTablePIDList(tableObj.joinedPID);
-      this.p2p.send(leaveNotificationObj, tablePIDs);
+      this.sendCPMessage(leaveNotificationObj, tablePIDs);
       return (true);
    }
 
@@ -1234,7 +1313,57 @@ class CypherPoker extends EventDispatcher {
             requiredPID.push(rPIDs[count]);
          }
       }
-      tableObj.requiredPID = Array.from(rPIDs);
+      if (restoreIndex >= rPIDs.length) {
+         requiredPID.push(privateID);
+      }
+      tableObj.requiredPID = requiredPID;
+   }
+
+   /**
+   * Vacates a seat at a joined table that's in play so that it can be taken by a new player. If
+   * we're the owner of the table, the table is announced again until the seat is taken.
+   *
+   * @param {TableObject} tableObj The table at which the seat was vacated.
+   * @param {String} privateID The private ID of the player that has left the table.
+   */
+   vacateSeat(tableObj, privateID) {
+      var joinedTables = this.getJoinedTables(tableObj.tableName, tableObj.tableID);
+      if (joinedTables.length == 0) {
+         return;
+      }
+      var joinedTable = joinedTables[0];
+      var index = joinedTable.joinedPID.indexOf(privateID);
+      if (index < 0) {
+         return;
+      }
+      joinedTable.joinedPID.splice(index, 1);
+      this.restoredRequiredPID(privateID, joinedTable);
+      if (joinedTable.ownerPID == this.p2p.privateID) {
+         this._openTables = true;
+         try {
+            clearInterval(joinedTable.beaconID);
+         } catch (err) {}
+         joinedTable.beaconID = setInterval(this.announceTable, this.beaconInterval, joinedTable, this);
+         this.announceTable(joinedTable);
+      }
+   }
+
+   /**
+   * Returns the {@link CypherPokerGame} instance associated with a table.
+   *
+   * @param {TableObject} tableObj The table for which to find the game.
+   *
+   * @return {CypherPokerGame} The game being played at the table or <code>null</code>
+   * if no game for the table exists.
+   */
+   getTableGame(tableObj) {
+      for (var count=0; count < this.games.length; count++) {
+         var currentTable = this.games[count].table;
+         if ((currentTable.tableID == tableObj.tableID) && (currentTable.tableName == tableObj.tableName)) {
+            return (this.games[count]);
+         }
+      }
+      return (null);
    }
 
    /**
@@ -1321,7 +1450,7 @@ class CypherPoker extends EventDispatcher {
       if (this.isTableValid(tableObj) == false) {
          throw (new Error("Not a valid table object."));
       }
-      if (tableObj.requiredPID.length > 0) {
+      if ((tableObj.requiredPID.length > 0) && (tableObj.inPlay != true)) {
          throw (new Error("All required PIDs not yet joined."));
       }
       var newGame = new CypherPokerGame(this, tableObj, playerInfo);
@@ -1370,7 +1499,8 @@ class CypherPoker extends EventDispatcher {
 
    /**
    * Handles a peer-to-peer message event dispatched by the communication
-   * interface.
+   * interface. Messages that aren't signed by the sender (see [verifyCPMessage]{@link CypherPoker#verifyCPMessage}),
+   * are ignored.
    *
    * @param {Event} event A "message" event dispatched by the communication interface.
    * A <code>data</code> property is expected to contain the parsed JSON-RPC 2.0
@@ -1382,12 +1512,17 @@ class CypherPoker extends EventDispatcher {
    * @fires CypherPoker#tablemsg
    * @fires CypherPoker#tableleave
    * @private
+   * @async
    */
-   handleP2PMessage(event) {
+   async handleP2PMessage(event) {
       if (this.isCPMsgEvent(event) == false) {
          //don't process any further
          return;
       }
+      if ((await this.verifyCPMessage(event)) == false) {
+         this.debug("Rejected unsigned or badly signed message from \""+event.data.result.from+"\".", "err");
+         return;
+      }
       var message = event.data.result.data;
       var messageType = message.cpMsg;
       var ownEvent = new Event(messageType);
@@ -1420,12 +1555,16 @@ class CypherPoker extends EventDispatcher {
                            //changed format in v0.4.1
                            joinResponse.table = new Object();
                            joinResponse.joined = event.data.result.from;
+                           //the joining player is taking an empty seat at a game in play
+                           joinResponse.inPlay = (this.getTableGame(currentTable) != null);
                            this.copyTable(currentTable, joinResponse.table);
-                           this.p2p.send(joinResponse, this.createTablePIDList(currentTable.joinedPID, false));
+                           this.sendCPMessage(joinResponse, this.createTablePIDList(currentTable.joinedPID, false));
                            ownEvent.joined = event.data.result.from;
                            ownEvent.table = currentTable;
                            this.dispatchEvent(ownEvent);
-                           this.dispatchTableReadyEvent(currentTable);
+                           if (joinResponse.inPlay == false) {
+                              this.dispatchTableReadyEvent(currentTable);
+                           }
                            joined = true;
                         }
                      }
@@ -1449,6 +1588,12 @@ class CypherPoker extends EventDispatcher {
                if ((currentTable.tableID == message.table.tableID) && (currentTable.tableName == message.table.tableName)) {
                   //someone else has joined the owner's table
                   this._joinedTables[count] = newTable;
+                  if (this.getTableGame(newTable) != null) {
+                     //the new player is taking an empty seat at our game
+                     ownEvent.table = newTable;
+                     this.dispatchEvent(ownEvent);
+                     return;
+                  }
                   newTable.toString = function() {
                      return ("[object CypherPoker#TableObject]");
                   }
@@ -1491,6 +1636,9 @@ class CypherPoker extends EventDispatcher {
                       newTable.toString = function() {
                         return ("[object CypherPoker#TableObject]");
                       }
+                      if (message.inPlay == true) {
+                         newTable.inPlay = true;
+                      }
                       this._joinedTables.push(newTable);
                       ownEvent.table = newTable;
                       this.dispatchEvent(ownEvent);
@@ -1515,6 +1663,12 @@ class CypherPoker extends EventDispatcher {
                for (count = 0; count < this._joinedTables.length; count++) {
                   currentTable = this._joinedTables[count];
                   if ((currentTable.tableID == message.tableID) && (currentTable.tableName == message.tableName)) {
+                     if (this.getTableGame(currentTable) != null) {
+                        //the game vacates the player's seat and remains in play
+                        ownEvent.table = currentTable;
+                        this.dispatchEvent(ownEvent);
+                        return;
+                     }
                      if (currentTable.ownerPID == event.data.result.from) {
                         //table owner/creator is leaving; table is no longer valid
                         ownEvent.table = null;
@@ -1601,7 +1755,8 @@ class CypherPoker extends EventDispatcher {
    * @param {String} messageType The CypherPoker.JS table message type to create.
    *
    * @return {Object} A formatted CypherPoker.JS table message. Additional data
-   * can be appended to this object before sending it over a peer-to-peer network.
+   * can be appended to this object before signing and sending it over a peer-to-peer
+   * network with [sendCPMessage]{@link CypherPoker#sendCPMessage}.
    * @private
    */
    buildCPMessage(messageType) {
@@ -1610,6 +1765,245 @@ class CypherPoker extends EventDispatcher {
       return (messageObj);
    }
 
+   /**
+   * Generates the elliptic curve (ECDSA P-256) keypair used to sign all of our outgoing
+   * CypherPoker.JS messages for this session. The public key is included with every
+   * signed message and announced to other players in our "gamehello" player info.
+   *
+   * @return {Promise} Resolves with the hexadecimal public [signingKey]{@link CypherPoker#signingKey}.
+   * @async
+   * @private
+   */
+   async generateSigningKeypair() {
+      this._signingKeypair = await crypto.subtle.generateKey({name:"ECDSA", namedCurve:"P-256"}, false, ["sign", "verify"]);
+      var publicKey = new Uint8Array(await crypto.subtle.exportKey("raw", this._signingKeypair.publicKey));
+      this._signingKey = this.bytesToHex(publicKey);
+      return (this._signingKey);
+   }
+
+   /**
+   * @property {String} signingKey The hexadecimal public key of this session's message signing keypair,
+   * or <code>null</code> if it hasn't been generated yet.
+   * @readonly
+   */
+   get signingKey() {
+      if (this._signingKey == undefined) {
+         return (null);
+      }
+      return (this._signingKey);
+   }
+
+   /**
+   * Signs a CypherPoker.JS message created by [buildCPMessage]{@link CypherPoker#buildCPMessage}
+   * once all of its data has been added. Our public [signingKey]{@link CypherPoker#signingKey}
+   * is added to the message as <code>signingKey</code>, a sequence number that's higher than that
+   * of any message we previously signed as <code>seq</code>, and the signature of the message
+   * (see [getSignedData]{@link CypherPoker#getSignedData}), as <code>signature</code>.
+   * The message must not be changed after it's been signed.
+   *
+   * @param {Object} messageObj The CypherPoker.JS message to sign.
+   *
+   * @return {Promise} Resolves with the signed message.
+   * @async
+   * @private
+   */
+   async signCPMessage(messageObj) {
+      delete messageObj.signature;
+      messageObj.signingKey = this.signingKey;
+      this._sendSequence++;
+      messageObj.seq = this._sendSequence;
+      var signedData = this.getSignedData(messageObj, this.p2p.privateID);
+      var signature = await crypto.subtle.sign({name:"ECDSA", hash:"SHA-256"}, this._signingKeypair.privateKey, signedData);
+      messageObj.signature = this.bytesToHex(new Uint8Array(signature));
+      return (messageObj);
+   }
+
+   /**
+   * Signs and sends a CypherPoker.JS message created by [buildCPMessage]{@link CypherPoker#buildCPMessage}
+   * using the [p2p]{@link CypherPoker#p2p} interface. Messages are sent in the order
+   * in which this function is invoked.
+   *
+   * @param {Object} messageObj The CypherPoker.JS message to sign and send.
+   * @param {Array} [recipients=null] The private ID(s) of the recipient(s). If <code>null</code>,
+   * the message is broadcast.
+   *
+   * @return {Promise} Resolves with the result of the [p2p]{@link CypherPoker#p2p} interface's
+   * <code>send</code> or <code>broadcast</code> function.
+   * @async
+   */
+   async sendCPMessage(messageObj, recipients=null) {
+      var signed = this._signQueue.then(() => this.signCPMessage(messageObj));
+      this._signQueue = signed.catch(err => {
+         console.error(err);
+      });
+      await signed;
+      if (recipients == null) {
+         return (this.p2p.broadcast(messageObj));
+      }
+      return (this.p2p.send(messageObj, recipients));
+   }
+
+   /**
+   * Verifies the signature and sequence number of a CypherPoker.JS message received from a peer.
+   * Once a peer's signing key has been [pinned]{@link CypherPoker#pinPeerSigningKey}, all
+   * of their messages must be signed with it. Messages are verified in the order in which they're
+   * received and each message is only verified once; the same result is returned for every
+   * listener that verifies the same event.
+   *
+   * @param {Event} event The "message" event, as usually dispatched by the
+   * peer-to-peer interface, containing the message to verify.
+   *
+   * @return {Promise} Resolves with true if the message was signed by the sending peer,
+   * or false if it's unsigned, badly signed, signed with a different key than the one
+   * pinned for the peer, or replayed.
+   * @async
+   */
+   async verifyCPMessage(event) {
+      var resultObj = event.data.result;
+      var verified = this._verifiedMessages.get(resultObj);
+      if (verified == undefined) {
+         verified = this._verifyQueue.then(() => this.verifyCPMessageSignature(resultObj.data, resultObj.from)).catch(err => {
+            return (false);
+         });
+         this._verifyQueue = verified;
+         this._verifiedMessages.set(resultObj, verified);
+      }
+      return (verified);
+   }
+
+   /**
+   * Verifies the signature of a CypherPoker.JS message against the sender's public
+   * signing key, and that its sequence number is higher than that of any message previously
+   * received from the sender with the same key. Invoked by [verifyCPMessage]{@link CypherPoker#verifyCPMessage}.
+   *
+   * @param {Object} message The CypherPoker.JS message to verify.
+   * @param {String} fromPID The private ID of the peer that sent the message.
+   *
+   * @return {Promise} Resolves with true if the signature is valid and the message
+   * isn't a replay, false otherwise.
+   * @async
+   * @private
+   */
+   async verifyCPMessageSignature(message, fromPID) {
+      if ((typeof(message.signature) != "string") || (typeof(message.signingKey) != "string")) {
+         return (false);
+      }
+      if (Number.isSafeInteger(message.seq) == false) {
+         return (false);
+      }
+      var pinnedKey = this.getPeerSigningKey(fromPID);
+      if ((pinnedKey != null) && (pinnedKey != message.signingKey)) {
+         return (false);
+      }
+      var publicKey = await crypto.subtle.importKey("raw", this.hexToBytes(message.signingKey), {name:"ECDSA", namedCurve:"P-256"}, false, ["verify"]);
+      var unsignedMessage = Object.assign(new Object(), message);
+      delete unsignedMessage.signature;
+      var signedData = this.getSignedData(unsignedMessage, fromPID);
+      var valid = await crypto.subtle.verify({name:"ECDSA", hash:"SHA-256"}, publicKey, this.hexToBytes(message.signature), signedData);
+      if (valid == false) {
+         return (false);
+      }
+      var sequenceID = fromPID + ":" + message.signingKey;
+      var lastSequence = this._peerSequences[sequenceID];
+      if ((lastSequence != undefined) && (message.seq <= lastSequence)) {
+         //replayed or out-of-sequence message
+         return (false);
+      }
+      this._peerSequences[sequenceID] = message.seq;
+      return (true);
+   }
+
+   /**
+   * Pins a peer's public signing key to the one they announced in their player info
+   * (for example, in a "gameready" or "gamehello" message). Once pinned, all of the
+   * peer's messages must be signed with this key and it can't be changed.
+   *
+   * @param {String} privateID The private ID of the peer.
+   * @param {String} signingKey The hexadecimal public signing key announced by the peer.
+   *
+   * @return {Boolean} True if the key was pinned or was already pinned for the peer, false
+   * if a different key is already pinned for the peer.
+   */
+   pinPeerSigningKey(privateID, signingKey) {
+      var pinnedKey = this.getPeerSigningKey(privateID);
+      if (pinnedKey != null) {
+         return (pinnedKey == signingKey);
+      }
+      this._peerSigningKeys[privateID] = signingKey;
+      return (true);
+   }
+
+   /**
+   * Returns the public signing key announced by a peer and pinned with
+   * [pinPeerSigningKey]{@link CypherPoker#pinPeerSigningKey}.
+   *
+   * @param {String} privateID The private ID of the peer.
+   *
+   * @return {String} The peer's hexadecimal public signing key, or <code>null</code>
+   * if the peer hasn't announced one.
+   */
+   getPeerSigningKey(privateID) {
+      var peerKey = this._peerSigningKeys[privateID];
+      if (peerKey == undefined) {
+         return (null);
+      }
+      return (peerKey);
+   }
+
+   /**
+   * Returns the data that's signed for a CypherPoker.JS message: the sender's private ID
+   * followed by the JSON-encoded message (without a <code>signature</code>). Including the
+   * private ID prevents a message signed by one peer being replayed as another's. The
+   * message's sequence number (<code>seq</code>) and, for table and game messages, its
+   * <code>tableID</code> are part of the signed data so the message can't be replayed
+   * later or at another table.
+   *
+   * @param {Object} messageObj The CypherPoker.JS message.
+   * @param {String} fromPID The private ID of the sender.
+   *
+   * @return {Uint8Array} The UTF-8 encoded data to sign or verify.
+   * @private
+   */
+   getSignedData(messageObj, fromPID) {
+      return (new TextEncoder("utf-8").encode(fromPID + ":" + JSON.stringify(messageObj)));
+   }
+
+   /**
+   * Converts an array of bytes to a hexadecimal string.
+   *
+   * @param {Uint8Array} bytes The bytes to convert.
+   *
+   * @return {String} The hexadecimal representation of <code>bytes</code>.
+   * @private
+   */
+   bytesToHex(bytes) {
+      var hex = "";
+      for (var count = 0; count < bytes.length; count++) {
+         hex += bytes[count].toString(16).padStart(2, "0");
+      }
+      return (hex);
+   }
+
+   /**
+   * Converts a hexadecimal string to an array of bytes.
+   *
+   * @param {String} hex The hexadecimal string to convert.
+   *
+   * @return {Uint8Array} The bytes represented by <code>hex</code>.
+   * @throws {Error} Thrown if <code>hex</code> isn't a valid hexadecimal string.
+   * @private
+   */
+   hexToBytes(hex) {
+      if ((hex.length % 2 != 0) || (/^[0-9a-fA-F]*$/.test(hex) == false)) {
+         throw (new Error("Invalid hexadecimal string."));
+      }
+      var bytes = new Uint8Array(hex.length / 2);
+      for (var count = 0; count < bytes.length; count++) {
+         bytes[count] = parseInt(hex.substr(count * 2, 2), 16);
+      }
+      return (bytes);
+   }
+
    /**
    * Verifies if a supplied object is a valid CypherPoker.JS message.
    *
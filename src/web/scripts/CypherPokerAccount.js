@@ -124,6 +124,23 @@ class CypherPokerAccount extends EventDispatcher {
       return (this._balance);
    }
 
+   /**
+   * @property {Array} deposits Indexed array of deposits to the account that are awaiting
+   * confirmations. Each deposit contains a <code>txid</code>, <code>vout</code>, <code>amount</code>,
+   * current number of <code>confirmations</code>, and number of confirmations <code>required</code>
+   * before it's credited to the account {@link CypherPokerAccount#balance}.
+   */
+   set deposits(depositsSet) {
+      this._deposits = depositsSet;
+   }
+
+   get deposits() {
+      if ((this._deposits == undefined) || (this._deposits == null)) {
+         this._deposits = new Array();
+      }
+      return (this._deposits);
+   }
+
    /**
    * @property {Object} fees Any fees (e.g. miner) associated with the account,
    * usually--but not always--returned with the most recent the API call.
@@ -237,6 +254,7 @@ class CypherPokerAccount extends EventDispatcher {
       this._fees = JSONObj.result.fees;
       //balance confirmed = JSONObj.result.confirmed
       this.balance = JSONObj.result.balance;
+      this.deposits = JSONObj.result.deposits;
       return (true);
    }
 
@@ -338,6 +356,39 @@ class CypherPokerAccount extends EventDispatcher {
       return (true);
    }
 
+   /**
+   * Retrieves a page of the account's statement: the ledger of every change to the
+   * account balance, such as deposits, buy-ins, payouts, and cashouts, newest first.
+   *
+   * @param {Number} [page=1] The 1-based page number of the statement to retrieve.
+   * @param {Number} [pageSize=20] The number of entries per page. The server may limit
+   * this value.
+   *
+   * @return {Promise} The promise resolves with the statement object containing the
+   * <code>page</code>, <code>pageSize</code>, <code>totalEntries</code>, <code>totalPages</code>,
+   * and the <code>entries</code> array of ledger entries. An <code>Error</code>
+   * object is included with a rejection.
+   * @async
+   */
+   async history(page=1, pageSize=20) {
+      if ((this.password == "") || (this.password == null)) {
+         throw(new Error("Account password not set."));
+      }
+      var params = new Object();
+      params.address = this.address;
+      params.password = this.password;
+      params.type = this.type;
+      params.network = this.network;
+      params.page = page;
+      params.pageSize = pageSize;
+      var JSONObj = await this.callAccountAPI("history", params);
+      if (JSONObj.error != undefined) {
+         throw (new Error(JSONObj.error.message));
+      }
+      this.balance = JSONObj.result.balance;
+      return (JSONObj.result.statement);
+   }
+
    /**
    * Asynchronously calls the account API and returns the JSON-RPC 2.0 result / error
    * of the call.
@@ -282,9 +282,21 @@ class CypherPokerAnalyzer extends EventDispatcher {
    * {@link CypherPokerCard} instances.
    * @property {Array} analysis.public Array of verified public {@link CypherPokerCard}
    * instances.
+   * @property {Object} analysis.up Name/value pairs with each name matching a player private
+   * ID and value containing an array of their verified face-up {@link CypherPokerCard} instances.
+   * Only populated if the game [isStud]{@link CypherPokerGame#isStud}.
+   * @property {Array} analysis.secondBoard Array of verified public {@link CypherPokerCard}
+   * instances of the second board if the remaining public cards were [run twice]{@link CypherPokerGame#runTwice},
+   * including the public cards shared with the first board. Empty otherwise.
    * @property {Boolean} analysis.complete=false Set to true when the hand has been
    * fully validated as far as possible.
    * @property {Error} analysis.error=null The analysis error object, if one exists.
+   * @property {Array} analysis.pots The main pot and any side pots generated by
+   * [CypherPokerGame.createPots]{@link CypherPokerGame#createPots} once the hands
+   * have been scored. Each pot object also includes a <code>winners</code> array of the
+   * private IDs of the player(s) that won it. If the remaining public cards were run twice, each
+   * pot is split into two halves with a <code>board</code> property identifying the board (1 or 2),
+   * on which the half was won.
    *
    * @readonly
    */
@@ -293,6 +305,8 @@ class CypherPokerAnalyzer extends EventDispatcher {
          this._analysis = new Object();
          this._analysis.private = new Object();
          this._analysis.public = new Array();
+         this._analysis.secondBoard = new Array();
+         this._analysis.up = new Object();
          this._analysis.complete = false;
          this._analysis.error = null;
       }
@@ -417,6 +431,7 @@ class CypherPokerAnalyzer extends EventDispatcher {
       infoObj = new Object();
       infoObj.fromPID = event.player.privateID;
       infoObj.cards = Array.from(event.selected);
+      infoObj.commitment = event.commitment;
       this.deck.push (infoObj);
    }
 
@@ -470,6 +485,10 @@ class CypherPokerAnalyzer extends EventDispatcher {
       this._active = true;
       var cards = event.cards;
       if (event.private == false) {
+         if (this.game.isStud) {
+            //face-up cards are stored with the player
+            return;
+         }
          //new community cards have been dealt
          for (var count=0; count < cards.length; count++) {
             this.communityCards.push(cards[count]);
@@ -502,7 +521,7 @@ class CypherPokerAnalyzer extends EventDispatcher {
          this.storeDeal(this.game.ownPID, this.game.ownPID, selected, true, false);
       } else {
          //we have selected a private card
-         this.storeDeal(this.game.ownPID, this.game.ownPID, selected, false, false);
+         this.storeDeal(this.game.ownPID, this.game.ownPID, selected, false, false, event.board);
       }
    }
 
@@ -540,7 +559,7 @@ class CypherPokerAnalyzer extends EventDispatcher {
             this.storeDeal(dealingPlayer.privateID, fromPlayer.privateID, selected, true, false);
          } else {
             //public card selection
-            this.storeDeal(dealingPlayer.privateID, fromPlayer.privateID, selected, false, false);
+            this.storeDeal(dealingPlayer.privateID, fromPlayer.privateID, selected, false, false, resultObj.data.payload.board);
          }
       } else {
          //player has decrypted card(s)
@@ -605,6 +624,13 @@ class CypherPokerAnalyzer extends EventDispatcher {
       }
       var player = event.player;
       var game = event.game;
+      if ((await this.verifyCommitment(player.privateID, event.keychain)) == false) {
+         this.game.removeEventListener("gameplayerkeychain", this.onPlayerKeychain, this);
+         clearTimeout(this._keychainCommitTimeout);
+         this.game.debug("Keychain from \""+player.privateID+"\" doesn't match their commitment.", "err");
+         alert ("A player's keychain doesn't match their commitment. Awaiting contract confirmation...");
+         return (false);
+      }
       this._keychains[player.privateID] = Array.from(event.keychain);
       if (this.allKeychainsCommitted) {
          this.game.removeEventListener("gameplayerkeychain", this.onPlayerKeychain, this);
@@ -640,6 +666,29 @@ class CypherPokerAnalyzer extends EventDispatcher {
       return (true);
    }
 
+   /**
+   * Verifies a player's revealed keychain against the [commitment]{@link CypherPokerGame#keychainCommitment}
+   * sent with their encrypted cards.
+   *
+   * @param {String} privateID The private ID of the player that revealed the keychain.
+   * @param {Array} keychain The revealed keychain.
+   *
+   * @return {Promise} Resolves with true if the keychain matches the player's commitment,
+   * or false if it doesn't or if the player didn't send a commitment.
+   * @async
+   * @private
+   */
+   async verifyCommitment(privateID, keychain) {
+      for (var count = 1; count < this.deck.length; count++) {
+         var infoObj = this.deck[count];
+         if ((infoObj.fromPID == privateID) && (typeof(infoObj.commitment) == "string")) {
+            var commitment = await this.game.keychainCommitment(keychain);
+            return (commitment == infoObj.commitment);
+         }
+      }
+      return (false);
+   }
+
    /**
    * Analyzes the stored information for cryptographic correctness and returns
    * the verified, decrypted cards (as {@link CypherPokerCard} instances),
@@ -650,6 +699,11 @@ class CypherPokerAnalyzer extends EventDispatcher {
    * object containing name/value pairs with each name matching a player private ID and containing
    * an array of {@link CypherPokerCard} instances, and a <code>public</code>
    * property containing an array of the public / community {@link CypherPokerCard} instances.
+   * If the game [isStud]{@link CypherPokerGame#isStud}, public deals are the face-up cards of the
+   * dealing player and are instead included in an <code>up</code> object with the same structure as
+   * <code>players</code>. These must match the face-up cards revealed by each player during the game.
+   * If the remaining public cards were [run twice]{@link CypherPokerGame#runTwice}, the second
+   * board is included in a <code>secondBoard</code> array.
    * If the analysis fails it is rejected with an <code>Error</code> which includes a
    * <code>message</code> and numeric <code>code</code> identifying the analysis failure.
    *
@@ -665,6 +719,9 @@ class CypherPokerAnalyzer extends EventDispatcher {
       var cardsObj = new Object();
       cardsObj.private = new Object();
       cardsObj.public = new Array();
+      cardsObj.up = new Object();
+      var sharedCards = new Array(); //public cards dealt before the remaining cards were run twice
+      var secondRunCards = new Array(); //public cards dealt to the second board only
       var faceUpMappings = Array.from(this.deck[0].cards); //generated plaintext (quadratic residues) values
       var previousDeck = Array.from(faceUpMappings);
       for (var count = 1; count < this.deck.length; count++) {
@@ -696,6 +753,7 @@ class CypherPokerAnalyzer extends EventDispatcher {
          var dealArray = this.deals[privateID];
          var decrypting = false; //currently decrypting cards?
          var previousType = "select"; //should match dealArray[0].type
+         var board = null; //board of the current public deal, if run twice
          for (count = 0; count < dealArray.length; count++) {
             var currentDeal = dealArray[count];
             if ((currentDeal == undefined) || (currentDeal == null)) {
@@ -717,6 +775,9 @@ class CypherPokerAnalyzer extends EventDispatcher {
             if (cardsObj.private[sourcePID] == undefined) {
                cardsObj.private[sourcePID] = new Array();
             };
+            if (cardsObj.up[sourcePID] == undefined) {
+               cardsObj.up[sourcePID] = new Array();
+            };
             if ((previousType == "select") && (type == "select")) {
                //probably the first entry but...
                if (count > 0) {
@@ -733,6 +794,7 @@ class CypherPokerAnalyzer extends EventDispatcher {
                   this._analysis.complete = true;
                   throw (error);
                }
+               board = currentDeal.board;
             } else if ((previousType == "select") && (type == "decrypt") && (count < (dealArray.length - 1))) {
                //starting a new decryption operation (deal or select cards)
                decrypting = true;
@@ -757,8 +819,15 @@ class CypherPokerAnalyzer extends EventDispatcher {
                   }
                   if (previousPrivate) {
                      cardsObj.private[sourcePID].push(card);
+                  } else if (this.game.isStud) {
+                     cardsObj.up[sourcePID].push(card);
+                  } else if (board == 2) {
+                     secondRunCards.push(card);
                   } else {
                      cardsObj.public.push(card);
+                     if (board == null) {
+                        sharedCards.push(card);
+                     }
                   }
                }
                if (this.removeFromDeck(cards, encryptedDeck) == false) {
@@ -768,6 +837,8 @@ class CypherPokerAnalyzer extends EventDispatcher {
                   this._analysis.complete = true;
                   throw (error);
                }
+               //the previous deal's cards have been stored so we can move on to the new deal's board
+               board = currentDeal.board;
             } else {
                //decryption in progress
                if (count == (dealArray.length - 1)) {
@@ -790,8 +861,15 @@ class CypherPokerAnalyzer extends EventDispatcher {
                      }
                      if (privateDeal) {
                         cardsObj.private[sourcePID].push(card);
+                     } else if (this.game.isStud) {
+                        cardsObj.up[sourcePID].push(card);
+                     } else if (board == 2) {
+                        secondRunCards.push(card);
                      } else {
                         cardsObj.public.push(card);
+                        if (board == null) {
+                           sharedCards.push(card);
+                        }
                      }
                   }
                } else {
@@ -819,6 +897,33 @@ class CypherPokerAnalyzer extends EventDispatcher {
             }
          }
       }
+      if (this.game.isStud) {
+         //face-up cards revealed during the game must match the verified ones
+         for (privateID in cardsObj.up) {
+            var revealedCards = this.getPlayer(privateID).upCards;
+            var verifiedCards = cardsObj.up[privateID];
+            for (count = 0; count < revealedCards.length; count++) {
+               if ((count >= verifiedCards.length) || (revealedCards[count].mapping != verifiedCards[count].mapping)) {
+                  var error = new Error("Face-up card "+count+" revealed by \""+privateID+"\" does not match the dealt card.");
+                  error.code = 2;
+                  this._analysis.error = error;
+                  this._analysis.complete = true;
+                  throw (error);
+               }
+            }
+         }
+      }
+      cardsObj.secondBoard = new Array();
+      if (secondRunCards.length > 0) {
+         cardsObj.secondBoard = sharedCards.concat(secondRunCards);
+         if ((cardsObj.public.length != this.game.variant.publicCards) || (cardsObj.secondBoard.length != this.game.variant.publicCards)) {
+            var error = new Error("Public cards run twice don't produce two complete boards.");
+            error.code = 2;
+            this._analysis.error = error;
+            this._analysis.complete = true;
+            throw (error);
+         }
+      }
       return (cardsObj);
    }
 
@@ -879,9 +984,73 @@ class CypherPokerAnalyzer extends EventDispatcher {
       return (permArray);
    }
 
+   /**
+   * Returns all of the available 5-card hand permutations for a game variant in
+   * which a hand must use an exact number of private cards, such as Omaha which
+   * requires exactly two private and three public cards.
+   *
+   * @param {Array} privateCards Values or {@link CypherPokerCard} instances of the
+   * player's private cards.
+   * @param {Array} publicCards Values or {@link CypherPokerCard} instances of the
+   * public / community cards.
+   * @param {Number} usePrivateCards The exact number of private cards that each
+   * hand must use. The remainder of each 5-card hand is made up of public cards.
+   *
+   * @return {Array} Each array element contains a unique 5-card permutation
+   * with the private cards appearing first.
+   *
+   * @private
+   */
+   createSplitCardPermutations(privateCards, publicCards, usePrivateCards) {
+      var privateCombos = this.getCombinations(privateCards, usePrivateCards);
+      var publicCombos = this.getCombinations(publicCards, 5 - usePrivateCards);
+      var permArray = new Array();
+      for (var count = 0; count < privateCombos.length; count++) {
+         for (var count2 = 0; count2 < publicCombos.length; count2++) {
+            permArray.push(privateCombos[count].concat(publicCombos[count2]));
+         }
+      }
+      return (permArray);
+   }
+
+   /**
+   * Returns all unordered combinations of a specific size from a set of cards.
+   *
+   * @param {Array} cardsArr Values or {@link CypherPokerCard} instances from
+   * which to produce combinations.
+   * @param {Number} size The number of cards in each combination.
+   *
+   * @return {Array} Each array element contains a unique combination of <code>size</code>
+   * cards. If <code>size</code> is larger than the number of cards supplied, an
+   * empty array is returned.
+   *
+   * @private
+   */
+   getCombinations(cardsArr, size) {
+      var combos = new Array();
+      if (size <= 0) {
+         combos.push(new Array());
+         return (combos);
+      }
+      for (var count = 0; count <= (cardsArr.length - size); count++) {
+         var subCombos = this.getCombinations(cardsArr.slice(count + 1), size - 1);
+         for (var count2 = 0; count2 < subCombos.length; count2++) {
+            combos.push([cardsArr[count]].concat(subCombos[count2]));
+         }
+      }
+      return (combos);
+   }
+
    /**
    * Generates player card permutations for analysis and scores the
-   * hands.
+   * hands according to the [game variant]{@link CypherPokerGame#variant}. If the game
+   * [isStud]{@link CypherPokerGame#isStud}, the best five cards are taken from each player's face-down
+   * and face-up cards. The winners of the main pot and any side pots, as generated by
+   * [CypherPokerGame.createPots]{@link CypherPokerGame#createPots}, are also
+   * determined. If the remaining public cards were [run twice]{@link CypherPokerGame#runTwice},
+   * the hands on the second board are scored into <code>secondHands</code>, its winners are
+   * stored in <code>secondWinningPlayers</code> and <code>secondWinningHands</code>, and each
+   * pot is split evenly between the boards (any indivisible remainder stays with the first board).
    *
    * @param {Object} cardsObj A player card object matching the format of the
    * {@link CypherPokerAnalyzer#analysis} object.
@@ -890,61 +1059,172 @@ class CypherPokerAnalyzer extends EventDispatcher {
    */
    async scoreHands(cardsObj) {
       var playersObj = cardsObj.private;
+      var usePrivateCards = this.game.variant.usePrivateCards;
+      var isStud = this.game.isStud;
       cardsObj.hands = new Object();
-      var playerHands = new Object();
-      var highestScore = -1;
-      var highestHand = new Array;
-      var winningPlayers = new Array();
-      var winningHands = new Array();
+      var contenders = new Array();
       for (var privateID in playersObj) {
          var player = this.getPlayer(privateID);
          //private ID may actually be some other object property
          if (player != null) {
             if (player.hasFolded == false) {
-               var fullCards = playersObj[privateID].concat(cardsObj.public);
                cardsObj.hands[privateID] = new Array();
-               var perms = this.createCardPermutations(fullCards);
+               if (isStud) {
+                  var perms = this.createCardPermutations(playersObj[privateID].concat(cardsObj.up[privateID]));
+               } else if (usePrivateCards > 0) {
+                  perms = this.createSplitCardPermutations(playersObj[privateID], cardsObj.public, usePrivateCards);
+               } else {
+                  var fullCards = playersObj[privateID].concat(cardsObj.public);
+                  perms = this.createCardPermutations(fullCards);
+               }
                for (var count = 0; count < perms.length; count++) {
                   var handObj = new Object();
                   handObj.hand = perms[count];
                   handObj.score = -1; //default (not scored)
                   this.scoreHand (handObj);
                   cardsObj.hands[privateID].push(handObj);
-                  if (handObj.score == highestScore) {
-                     //this may be a split pot; see below
-                     winningPlayers.push(player);
-                     winningHands.push(handObj);
-                  } else if (handObj.score > highestScore) {
-                     //new best hand
-                     winningPlayers = new Array();
-                     winningHands = new Array();
-                     winningPlayers.push(player);
-                     winningHands.push(handObj);
-                     highestScore = handObj.score;
-                  }
                }
+               contenders.push(player);
             }
          }
       }
-      if (winningPlayers.length > 1) {
+      var winnersObj = this.findWinners(cardsObj, contenders, usePrivateCards, (isStud == false));
+      cardsObj.winningPlayers = winnersObj.players;
+      cardsObj.winningHands = winnersObj.hands;
+      var runTwice = false;
+      if ((cardsObj.secondBoard != undefined) && (cardsObj.secondBoard.length > 0)) {
+         //the remaining public cards were run twice so score the second board too
+         runTwice = true;
+         cardsObj.secondHands = new Object();
+         for (count = 0; count < contenders.length; count++) {
+            privateID = contenders[count].privateID;
+            cardsObj.secondHands[privateID] = new Array();
+            if (usePrivateCards > 0) {
+               perms = this.createSplitCardPermutations(playersObj[privateID], cardsObj.secondBoard, usePrivateCards);
+            } else {
+               perms = this.createCardPermutations(playersObj[privateID].concat(cardsObj.secondBoard));
+            }
+            for (var count2 = 0; count2 < perms.length; count2++) {
+               handObj = new Object();
+               handObj.hand = perms[count2];
+               handObj.score = -1; //default (not scored)
+               this.scoreHand (handObj);
+               cardsObj.secondHands[privateID].push(handObj);
+            }
+         }
+         //findWinners expects the hands in a "hands" property
+         var secondCardsObj = new Object();
+         secondCardsObj.private = cardsObj.private;
+         secondCardsObj.hands = cardsObj.secondHands;
+         winnersObj = this.findWinners(secondCardsObj, contenders, usePrivateCards, true);
+         cardsObj.secondWinningPlayers = winnersObj.players;
+         cardsObj.secondWinningHands = winnersObj.hands;
+      }
+      var pots = this.game.createPots(this.players);
+      cardsObj.pots = new Array();
+      for (count = 0; count < pots.length; count++) {
+         var pot = pots[count];
+         var eligiblePlayers = new Array();
+         for (count2 = 0; count2 < contenders.length; count2++) {
+            if (pot.eligible.indexOf(contenders[count2].privateID) > -1) {
+               eligiblePlayers.push(contenders[count2]);
+            }
+         }
+         pot.winners = new Array();
+         var potWinners = this.findWinners(cardsObj, eligiblePlayers, usePrivateCards, (isStud == false)).players;
+         for (count2 = 0; count2 < potWinners.length; count2++) {
+            pot.winners.push(potWinners[count2].privateID);
+         }
+         if (runTwice == false) {
+            cardsObj.pots.push(pot);
+            continue;
+         }
+         //split the pot between the boards; the first board keeps any odd amount
+         var secondPot = new Object();
+         secondPot.amount = bigInt(pot.amount).divide(2).toString(10);
+         secondPot.eligible = Array.from(pot.eligible);
+         secondPot.board = 2;
+         secondPot.winners = new Array();
+         potWinners = this.findWinners(secondCardsObj, eligiblePlayers, usePrivateCards, true).players;
+         for (count2 = 0; count2 < potWinners.length; count2++) {
+            secondPot.winners.push(potWinners[count2].privateID);
+         }
+         pot.amount = bigInt(pot.amount).minus(secondPot.amount).toString(10);
+         pot.board = 1;
+         cardsObj.pots.push(pot);
+         cardsObj.pots.push(secondPot);
+      }
+      return (cardsObj);
+   }
+
+   /**
+   * Finds the winning player(s) and hand(s) from a group of players whose
+   * hands have been scored by [scoreHands]{@link CypherPokerAnalyzer#scoreHands}.
+   *
+   * @param {Object} cardsObj A player card object matching the format of the
+   * {@link CypherPokerAnalyzer#analysis} object and containing scored <code>hands</code>.
+   * @param {Array} players The {@link CypherPokerPlayer} instances to include in
+   * the search.
+   * @param {Number} [usePrivateCards=0] The exact number of private cards that a hand
+   * must use in the current game variant. If greater than 0, only the private cards used
+   * in a hand are considered when breaking a tie, otherwise the first two private
+   * cards are considered.
+   * @param {Boolean} [privateTieBreak=true] If false, ties aren't broken using private
+   * cards and tied players split the pot. Used when the game [isStud]{@link CypherPokerGame#isStud}
+   * since private cards don't have a fixed role in stud hands.
+   *
+   * @return {Object} An object containing a <code>players</code> array of winning
+   * {@link CypherPokerPlayer} instances and a matching <code>hands</code> array of their
+   * winning hands. Both arrays will contain more than one element if the pot is split.
+   * @private
+   */
+   findWinners(cardsObj, players, usePrivateCards=0, privateTieBreak=true) {
+      var highestScore = -1;
+      var winningPlayers = new Array();
+      var winningHands = new Array();
+      for (var count = 0; count < players.length; count++) {
+         var player = players[count];
+         var hands = cardsObj.hands[player.privateID];
+         for (var count2 = 0; count2 < hands.length; count2++) {
+            var handObj = hands[count2];
+            if (handObj.score == highestScore) {
+               //this may be a split pot; see below
+               winningPlayers.push(player);
+               winningHands.push(handObj);
+            } else if (handObj.score > highestScore) {
+               //new best hand
+               winningPlayers = new Array();
+               winningHands = new Array();
+               winningPlayers.push(player);
+               winningHands.push(handObj);
+               highestScore = handObj.score;
+            }
+         }
+      }
+      if ((winningPlayers.length > 1) && privateTieBreak) {
          //need to look at both private cards since we currently have a potential split pot
          var newWinningPlayers = new Array();
          var newWinningHands = new Array();
          var highestScore = 0;
          for (count = 0; count < winningPlayers.length; count++) {
             var winningHand = winningHands[count]; //indexes match with winningPlayers
-            var hand = winningHand.hand;
             var player = winningPlayers[count];
             var playerPID = player.privateID;
-            var privateCard1 = this.analysis.private[playerPID][0];
-            var privateCard2 = this.analysis.private[playerPID][1];
+            var privateCards = cardsObj.private[playerPID];
+            if (usePrivateCards > 0) {
+               //only the private cards used in the hand
+               privateCards = winningHand.hand.filter(card => {
+                  return (cardsObj.private[playerPID].indexOf(card) > -1);
+               }, this);
+            }
+            var privateCard1 = privateCards[0];
+            var privateCard2 = privateCards[1];
             //adjust score for highest card value
             if (privateCard1.highvalue > privateCard2.highvalue) {
                var currentScore = (privateCard1.highvalue * 10) + privateCard2.highvalue;
             } else {
                currentScore = (privateCard2.highvalue * 10) + privateCard1.highvalue;
             }
-            winningHand.score = currentScore;
             if (currentScore > highestScore) {
                highestScore = currentScore;
                newWinningPlayers = new Array();
@@ -963,7 +1243,7 @@ class CypherPokerAnalyzer extends EventDispatcher {
       //eliminate any duplicates
       newWinningPlayers = new Array();
       newWinningHands = new Array();
-      for (var count=0; count < winningPlayers.length; count++) {
+      for (count=0; count < winningPlayers.length; count++) {
          var currentWinnerPID = winningPlayers[count];
          var currentWinningHand = winningHands[count];
          var existingWinnerPID = newWinningPlayers.find(winnerPID => {
@@ -974,11 +1254,10 @@ class CypherPokerAnalyzer extends EventDispatcher {
             newWinningHands.push(currentWinningHand);
          }
       }
-      winningPlayers = newWinningPlayers;
-      winningHands = newWinningHands;
-      cardsObj.winningPlayers = winningPlayers;
-      cardsObj.winningHands = winningHands;
-      return (cardsObj);
+      var returnObj = new Object();
+      returnObj.players = newWinningPlayers;
+      returnObj.hands = newWinningHands;
+      return (returnObj);
    }
 
    /**
@@ -1198,10 +1477,12 @@ class CypherPokerAnalyzer extends EventDispatcher {
    * @param {Boolean} isDecryption If true, the <code>cards</code> array
    * contains partially decrypted values otherwise it contains the initial,
    * fully encrypted selections.
+   * @param {Number} [board=null] The board (1 or 2), for which public cards were selected
+   * if the remaining public cards were [run twice]{@link CypherPokerGame#runTwice}.
    *
    * @private
    */
-   storeDeal(dealingPID, fromPID, cards, isPrivate, isDecryption) {
+   storeDeal(dealingPID, fromPID, cards, isPrivate, isDecryption, board=null) {
       if (this.deals[dealingPID] == undefined) {
          this.deals[dealingPID] = new Array();
       }
@@ -1218,6 +1499,9 @@ class CypherPokerAnalyzer extends EventDispatcher {
          infoObj.private = true;
       } else {
          infoObj.private = false;
+         if ((isDecryption == false) && ((board == 1) || (board == 2))) {
+            infoObj.board = board;
+         }
       }
       infoObj.cards = cardsCopy;
       this.deals[dealingPID].push(infoObj);
@@ -22,7 +22,9 @@ class CypherPokerContract extends EventDispatcher {
    * @type {Event}
    * @property {CypherPokerContract} contract The instance dispatching the event.
    * @property {Number} seconds The number of seconds that must elapse without
-   * player activity before the contract times out.
+   * player activity before the acting player starts using their time bank.
+   * @property {Number} timeBank The number of seconds remaining in the acting player's
+   * time bank, which must also elapse before the contract times out.
    * @property {Number} cSeconds The number of courtesy seconds that will
    * be allowed to elapse before the contract's "timeout" function is
    * invoked. Note that the timeout may occur at any time after the contract
@@ -41,12 +43,47 @@ class CypherPokerContract extends EventDispatcher {
    * conditions more than one player may time out.
    */
    /**
+   * A player revealed a keychain that doesn't match the commitment they stored with their
+   * encrypted cards so the contract host has penalized them and ended the contract.
+   *
+   * @event CypherPokerContract#commitmentfail
+   * @type {Event}
+   * @property {CypherPokerContract} contract The instance dispatching the event.
+   * @property {Array} penalized Array of objects containing the private ID of the penalized
+   * player and the amount that they were penalized.
+   */
+   /**
    * The contract timeout is no longer valid (e.g. the game has ended).
    *
    * @event CypherPokerContract#timeoutinvalid
    * @type {Event}
    * @property {CypherPokerContract} contract The instance dispatching the event.
    */
+   /**
+   * The contract has ended and the server has reported taking a rake from the pot(s).
+   *
+   * @event CypherPokerContract#rake
+   * @type {Event}
+   * @property {CypherPokerContract} contract The instance dispatching the event.
+   * @property {Object} rake The rake report included with the contract's <code>history.rake</code>,
+   * containing the total rake <code>amount</code>, the <code>percent</code>, <code>cap</code>, and
+   * <code>noFlopNoDrop</code> rules applied, and the <code>amount</code> and <code>rake</code> of
+   * each of the <code>pots</code>.
+   * @property {Boolean} verified True if the rake report is consistent with its rules and with
+   * the contract's pot (see [verifyRake]{@link CypherPokerContract#verifyRake}).
+   */
+   /**
+   * The contract failed validation and the contract host has opened, updated, or closed
+   * a dispute. While the dispute is open, penalized players may appeal the validation
+   * penalty (see [appealDispute]{@link CypherPokerContract#appealDispute}).
+   *
+   * @event CypherPokerContract#dispute
+   * @type {Event}
+   * @property {CypherPokerContract} contract The instance dispatching the event.
+   * @property {Object} dispute The contract's dispute object, including its <code>status</code>
+   * ("open" or "closed"), <code>reason</code>, <code>penalizedPIDs</code>, <code>expires</code> date,
+   * and <code>outcome</code> ("upheld" or "overturned") once closed.
+   */
 
    /**
    * Creates a new proxy contract instance.
@@ -163,6 +200,19 @@ class CypherPokerContract extends EventDispatcher {
       return (this._history);
    }
 
+   /**
+   * @property {Object} handRecord=null The exportable hand record generated by the contract
+   * host when the contract's pots were paid out, or <code>null</code> if the contract hasn't ended
+   * or was not paid out. The record can be verified independently with the server's
+   * <code>verifyHand</code> utility, or by any of the contract's players with the contract host's "verify" action.
+   */
+   get handRecord() {
+      if (this._handRecord == undefined) {
+         this._handRecord = null;
+      }
+      return (this._handRecord);
+   }
+
    /**
    * @property {Array} deferredActions Indexed list of objects containing
    * game state <code>snapshot</code>, <code>invoke</code>, <code>promise</code>,
@@ -217,6 +267,8 @@ class CypherPokerContract extends EventDispatcher {
       this.game.addEventListener("gamedealmsg", this.onGameDeal, this);
       this.game.addEventListener("gamebetplaced", this.onGameBetPlaced, this);
       this.game.addEventListener("gamedecrypt", this.onGameDecrypt, this);
+      this.game.addEventListener("gamereveal", this.onRevealCards, this);
+      this.game.addEventListener("gameruntwice", this.onRunTwice, this);
       this.game.addEventListener("gameend", this.onGameEnd, this);
    }
 
@@ -235,6 +287,8 @@ class CypherPokerContract extends EventDispatcher {
       this.game.removeEventListener("gamedealmsg", this.onGameDeal, this);
       this.game.removeEventListener("gamebetplaced", this.onGameBetPlaced, this);
       this.game.removeEventListener("gamedecrypt", this.onGameDecrypt, this);
+      this.game.removeEventListener("gamereveal", this.onRevealCards, this);
+      this.game.removeEventListener("gameruntwice", this.onRunTwice, this);
       this.game.removeEventListener("gameend", this.onGameEnd, this);
    }
 
@@ -306,6 +360,36 @@ class CypherPokerContract extends EventDispatcher {
       return (null);
    }
 
+   /**
+   * Returns the time bank remaining for the player(s) that the contract is currently waiting
+   * on; the player(s) with the oldest <code>updated</code> time. Time banks are tracked by
+   * the contract and are only used once the table's timeout has elapsed.
+   *
+   * @param {Object} contractData The contract data from which to determine the time bank.
+   *
+   * @return {Number} The largest number of seconds remaining in the time bank of any player
+   * the contract is waiting on, or 0 if there are no time banks.
+   * @private
+   */
+   getTimeBank(contractData) {
+      var oldestUpdate = null;
+      var timeBank = 0;
+      for (var count = 0; count < contractData.players.length; count++) {
+         var player = contractData.players[count];
+         if ((typeof(player.updated) != "string") || (typeof(player.timeBank) != "number")) {
+            continue;
+         }
+         var updated = new Date(player.updated).valueOf();
+         if ((oldestUpdate == null) || (updated < oldestUpdate)) {
+            oldestUpdate = updated;
+            timeBank = player.timeBank;
+         } else if ((updated == oldestUpdate) && (player.timeBank > timeBank)) {
+            timeBank = player.timeBank;
+         }
+      }
+      return (timeBank);
+   }
+
    /**
    * Stops any current game timeout timer.
    * @private
@@ -344,11 +428,13 @@ class CypherPokerContract extends EventDispatcher {
          return;
       }
       if (typeof(this.history[0].table.tableInfo.timeout) == "number") {
+         var timeBank = this.getTimeBank(this.history[0]);
          //add 5 seconds to timeout to make sure we don't accidentally clock in early
-         var timeout = (this.history[0].table.tableInfo.timeout + 5) * 1000;
+         var timeout = (this.history[0].table.tableInfo.timeout + timeBank + 5) * 1000;
          var event = new Event("timeoutstart");
          event.contract = this;
          event.seconds = this.history[0].table.tableInfo.timeout;
+         event.timeBank = timeBank;
          event.cSeconds = 5;
          this.dispatchEvent(event);
          this._contractTimeoutID = setTimeout(this.onContractTimeout, timeout, this);
@@ -547,6 +633,12 @@ class CypherPokerContract extends EventDispatcher {
          if (contractPlayer.isBigBlind != snapshotPlayer.isBigBlind) {
             throw (new Error("Player role mismatch on big blind."));
          }
+         if ((contractPlayer.missedSmallBlind == true) != (snapshotPlayer.missedSmallBlind == true)) {
+            throw (new Error("Player missed small blind mismatch."));
+         }
+         if ((contractPlayer.missedBigBlind == true) != (snapshotPlayer.missedBigBlind == true)) {
+            throw (new Error("Player missed big blind mismatch."));
+         }
          if (contractPlayer.ready != snapshotPlayer.ready) {
             throw (new Error("Player ready mismatch."));
          }
@@ -560,9 +652,12 @@ class CypherPokerContract extends EventDispatcher {
          //balance comparison is the inverse of totalBet comparison
          contractPlayer.balance = bigInt(contractPlayer.balance);
          snapshotPlayer.balance = bigInt(snapshotPlayer.balance);
-         if (contractPlayer.balance.greater(snapshotPlayer.balance)) {
+         //dead money is posted by the contract and may not yet be reflected in the snapshot
+         var contractBalance = contractPlayer.balance.add(bigInt(contractPlayer.deadBet));
+         var snapshotBalance = snapshotPlayer.balance.add(bigInt(snapshotPlayer.deadBet));
+         if (contractBalance.greater(snapshotBalance)) {
             return (2);
-         } else if (snapshotPlayer.balance.greater(contractPlayer.balance)) {
+         } else if (snapshotBalance.greater(contractBalance)) {
             return (1);
          }
       }
@@ -721,6 +816,7 @@ class CypherPokerContract extends EventDispatcher {
             this.history.unshift(JSONResult.result.contract);
             try {
                this.updateBalances(JSONResult.result.contract);
+               this.updateTournament(JSONResult.result.contract);
             } catch (err) {
                console.error(err);
             }
@@ -759,6 +855,10 @@ class CypherPokerContract extends EventDispatcher {
       paramsObj.contractID = this._contractID;
       paramsObj.ownerPID = this.getDealer().privateID;
       paramsObj.cards = Array.from(event.selected);
+      if ((event.proof != undefined) && (event.proof != null)) {
+         paramsObj.proof = event.proof;
+      }
+      paramsObj.commitment = event.commitment;
       var snapshot = this.gameSnapshot();
       try {
          var JSONResult = await this.onGameState(snapshot, this.callContractAPI, "store", paramsObj).promise;
@@ -812,6 +912,9 @@ class CypherPokerContract extends EventDispatcher {
          paramsObj.private = true;
       } else {
          paramsObj.private = false;
+         if ((event.board != undefined) && (event.board != null)) {
+            paramsObj.board = event.board;
+         }
       }
       var snapshot = this.gameSnapshot();
       try {
@@ -943,6 +1046,106 @@ class CypherPokerContract extends EventDispatcher {
       }
    }
 
+   /**
+   * Event handler invoked when the associated {@link CypherPokerContract#game}
+   * instance dispatches a {@link CypherPokerGame#event:gameruntwice} event. If the
+   * decision is ours, this automatically triggers a contract "runtwice" store operation
+   * so that the contract can deal and score the second board.
+   *
+   * @param {CypherPokerGame#event:gameruntwice} event A {@link CypherPokerGame#event:gameruntwice} event object.
+   *
+   * @async
+   * @private
+   */
+   async onRunTwice(event) {
+      if ((this.history.length == 0) || (event.player.privateID != this.game.ownPID)) {
+         return (false);
+      }
+      this.startContractTimeout();
+      var paramsObj = new Object();
+      paramsObj.type = "runtwice";
+      paramsObj.contract = this.history[0];
+      paramsObj.contractID = paramsObj.contract.contractID;
+      paramsObj.ownerPID = this.getDealer().privateID;
+      paramsObj.agree = event.agree;
+      paramsObj.fromPID = this.game.ownPID;
+      var snapshot = this.gameSnapshot();
+      try {
+         var JSONResult = await this.onGameState(snapshot, this.callContractAPI, "store", paramsObj).promise;
+         if (JSONResult.error != undefined) {
+            console.error(JSONResult.error.message);
+            throw(new Error(JSONResult.error.message));
+         }
+         if (this.contractID != JSONResult.result.contract.contractID) {
+            this.removeGameEventListeners();
+            this.stopContractTimeout();
+            return (false);
+         }
+         try {
+            this.updateBalances(JSONResult.result.contract);
+         } catch (err) {
+            this.game.debug(err, "err");
+         }
+      } catch (err) {
+         this.removeGameEventListeners();
+         this.stopContractTimeout();
+         return (false);
+      }
+      return (true);
+   }
+
+   /**
+   * Event handler invoked when the associated {@link CypherPokerContract#game}
+   * instance dispatches a {@link CypherPokerGame#event:gamereveal} event. This
+   * automatically triggers a contract "reveal" store operation so that the contract
+   * can determine the betting order from our face-up cards. The revealed cards are
+   * verified by the contract once the game's keychains are available.
+   *
+   * @param {CypherPokerGame#event:gamereveal} event A {@link CypherPokerGame#event:gamereveal} event object.
+   *
+   * @async
+   * @private
+   */
+   async onRevealCards(event) {
+      if (this.history.length == 0) {
+         return (false);
+      }
+      this.startContractTimeout();
+      var paramsObj = new Object();
+      paramsObj.type = "reveal";
+      paramsObj.contract = this.history[0];
+      paramsObj.contractID = paramsObj.contract.contractID;
+      paramsObj.ownerPID = this.getDealer().privateID;
+      paramsObj.cards = new Array();
+      for (var count=0; count < event.cards.length; count++) {
+         paramsObj.cards.push(event.cards[count].mapping);
+      }
+      paramsObj.fromPID = this.game.ownPID;
+      var snapshot = this.gameSnapshot();
+      try {
+         var JSONResult = await this.onGameState(snapshot, this.callContractAPI, "store", paramsObj).promise;
+         if (JSONResult.error != undefined) {
+            console.error(JSONResult.error.message);
+            throw(new Error(JSONResult.error.message));
+         }
+         if (this.contractID != JSONResult.result.contract.contractID) {
+            this.removeGameEventListeners();
+            this.stopContractTimeout();
+            return (false);
+         }
+         try {
+            this.updateBalances(JSONResult.result.contract);
+         } catch (err) {
+            this.game.debug(err, "err");
+         }
+      } catch (err) {
+         this.removeGameEventListeners();
+         this.stopContractTimeout();
+         return (false);
+      }
+      return (true);
+   }
+
    /**
    * Event handler invoked when the associated {@link CypherPokerContract#game}
    * instance dispatches a {@link CypherPoker#event:gameend} event. This
@@ -991,6 +1194,58 @@ class CypherPokerContract extends EventDispatcher {
       }
    }
 
+   /**
+   * Appeals a validation penalty held by the contract's open dispute by submitting
+   * our full keychain and message history (the contract snapshots in
+   * [history]{@link CypherPokerContract#history}) as evidence. The contract host
+   * re-analyzes the hand with the evidence and either overturns or upholds the penalty.
+   *
+   * @return {Promise} The promise resolves with the dispute status reported by the contract
+   * host or rejects with an error if the appeal could not be submitted.
+   *
+   * @async
+   */
+   async appealDispute() {
+      if (this.history.length == 0) {
+         throw (new Error("No contract to appeal."));
+      }
+      var paramsObj = new Object();
+      paramsObj.contractID = this.history[0].contractID;
+      paramsObj.ownerPID = this.getDealer().privateID;
+      paramsObj.keychain = Array.from(this.getPlayer(this.game.ownPID).keychain);
+      paramsObj.history = Array.from(this.history);
+      var JSONResult = await this.callContractAPI("appeal", paramsObj);
+      if (JSONResult.error != undefined) {
+         throw (new Error(JSONResult.error.message));
+      }
+      return (JSONResult.result.dispute);
+   }
+
+   /**
+   * Updates our seat at the associated table's seating, tracked by the contract host
+   * between games (hands), so that subsequent contracts may include or exclude us without
+   * the table having to be re-created.
+   *
+   * @param {String} type The type of seat update; <code>"join"</code> to take an empty seat
+   * at a table in play or <code>"leave"</code> to vacate our seat.
+   *
+   * @return {Promise} The promise resolves with the updated seating information reported by the
+   * contract host or rejects with an error if the seat could not be updated.
+   *
+   * @async
+   */
+   async updateSeat(type) {
+      var paramsObj = new Object();
+      paramsObj.type = type;
+      paramsObj.tableID = this.game.table.tableID;
+      paramsObj.tableName = this.game.table.tableName;
+      var JSONResult = await this.callContractAPI("seat", paramsObj);
+      if (JSONResult.error != undefined) {
+         throw (new Error(JSONResult.error.message));
+      }
+      return (JSONResult.result.seating);
+   }
+
    /**
    * Creates a deferred invocation action object based on a game snapshot (state).
    *
@@ -1126,6 +1381,7 @@ class CypherPokerContract extends EventDispatcher {
          return (null);
       } else {
          this.updateBalances(JSONResult.result.contract);
+         this.updateTournament(JSONResult.result.contract);
       }
       this.history.unshift(JSONResult.result.contract);
       return (JSONResult.result.contract);
@@ -1133,7 +1389,9 @@ class CypherPokerContract extends EventDispatcher {
 
    /**
    * Updates the balances of the associated {@link CypherPokerContract#game} instance's
-   * players from a provided contract data object.
+   * players from a provided contract data object. Any dead money posted by the contract
+   * is also applied to the game's players and pot if it matches the forced bet
+   * expected by the game (see [CypherPokerGame.getForcedBet]{@link CypherPokerGame#getForcedBet}).
    *
    * @param {Object} contractData The contract data object to use to update
    * player balances.
@@ -1162,6 +1420,21 @@ class CypherPokerContract extends EventDispatcher {
                }
             }
          }
+         if ((contractPlayer.deadBet != undefined) && (contractPlayer.deadBet != null)) {
+            var deadBet = bigInt(contractPlayer.deadBet);
+            if (deadBet.equals(localPlayer.deadBet) == false) {
+               var forcedBet = this.game.getForcedBet(privateID);
+               //a smaller amount may only be posted by a player that's all-in
+               if (deadBet.greater(forcedBet) || (deadBet.lesser(forcedBet) && localPlayer.balance.greater(0))) {
+                  if (fatalFail == true) {
+                     throw (new Error("Player dead money for \""+privateID+"\" doesn't match forced bet: "+contractPlayer.deadBet));
+                  }
+               } else {
+                  this.game.pot = this.game.pot.add(deadBet.subtract(localPlayer.deadBet));
+                  localPlayer.deadBet = deadBet;
+               }
+            }
+         }
          if ((typeof(contractPlayer.account) == "object") && (contractPlayer.account != null)) {
             if ((typeof(contractPlayer.account.balance) == "string") || (typeof(contractPlayer.account.balance) == "number")) {
                if ((localPlayer.account == null) || (localPlayer.account == undefined)) {
@@ -1182,6 +1455,98 @@ class CypherPokerContract extends EventDispatcher {
       }
    }
 
+   /**
+   * Updates the [tournament]{@link CypherPokerGame#tournament} information of the associated
+   * {@link CypherPokerContract#game} instance using the tournament information included with a
+   * contract. Information for another table's tournament, or information older than the
+   * game's current tournament information, is ignored.
+   *
+   * @param {Object} contractData The contract data containing the tournament information.
+   * @private
+   */
+   updateTournament(contractData) {
+      var tournament = contractData.tournament;
+      if ((tournament == undefined) || (tournament == null)) {
+         return;
+      }
+      if (tournament.tournamentID != this.table.tableID) {
+         return;
+      }
+      var currentTournament = this.game.tournament;
+      if ((currentTournament != null) && (currentTournament.handsPlayed > tournament.handsPlayed)) {
+         return;
+      }
+      this.game.tournament = tournament;
+   }
+
+   /**
+   * Verifies a rake report generated by the contract host. The rake taken from each pot
+   * may not exceed the reported <code>percent</code> of the pot, the total rake may not exceed
+   * the reported <code>cap</code> (if not "0"), the pots must add up to the contract's pot,
+   * and no rake may be taken before the flop if the <code>noFlopNoDrop</code> rule is in effect.
+   *
+   * @param {Object} rakeReport The rake report to verify, usually a contract's <code>history.rake</code>.
+   * @param {Object} contractData The contract data that the rake report was included with.
+   *
+   * @return {Boolean} True if the rake report appears to be valid, false otherwise.
+   */
+   verifyRake(rakeReport, contractData) {
+      try {
+         var basisPoints = Math.round(Number(rakeReport.percent) * 100);
+         var totalRake = bigInt(0);
+         var totalPot = bigInt(0);
+         for (var count = 0; count < rakeReport.pots.length; count++) {
+            var pot = rakeReport.pots[count];
+            var potRake = bigInt(pot.rake);
+            if (potRake.lesser(0) || potRake.greater(bigInt(pot.amount).times(basisPoints).divide(10000))) {
+               return (false);
+            }
+            totalRake = totalRake.add(potRake);
+            totalPot = totalPot.add(pot.amount);
+         }
+         if (totalRake.equals(rakeReport.amount) == false) {
+            return (false);
+         }
+         if (totalPot.equals(contractData.pot) == false) {
+            return (false);
+         }
+         if (bigInt(rakeReport.cap).greater(0) && totalRake.greater(rakeReport.cap)) {
+            return (false);
+         }
+         if ((rakeReport.noFlopNoDrop == true) && (this.game.cardDecks.public.length == 0) && totalRake.greater(0)) {
+            return (false);
+         }
+      } catch (err) {
+         return (false);
+      }
+      return (true);
+   }
+
+   /**
+   * Dispatches a "rake" event if the contract host reports that a rake was taken from
+   * a contract.
+   *
+   * @param {Object} contractData The contract data, usually included with an end-of-hand
+   * notification, that may contain a <code>history.rake</code> report.
+   *
+   * @fires CypherPokerContract#rake
+   * @private
+   */
+   reportRake(contractData) {
+      if ((contractData.history == undefined) || (contractData.history == null)) {
+         return;
+      }
+      var rakeReport = contractData.history.rake;
+      if ((rakeReport == undefined) || (rakeReport == null) || bigInt(rakeReport.amount).equals(0)) {
+         return;
+      }
+      var event = new Event("rake");
+      event.contract = this;
+      event.rake = rakeReport;
+      event.verified = this.verifyRake(rakeReport, contractData);
+      this.dispatchEvent(event);
+   }
+
    /**
    * Asynchronously calls the contract API and returns the JSON-RPC 2.0 result / error
    * of the call.
@@ -1213,7 +1578,8 @@ class CypherPokerContract extends EventDispatcher {
       sendObj.action = action;
       sendObj.user_token = this.cypherpoker.api.userToken;
       sendObj.server_token = this.cypherpoker.api.serverToken;
-      sendObj.account = this.getPlayer(this.game.ownPID).account.toObject(true);
+      //we may be sitting out and so not included in the contract's players
+      sendObj.account = this.game.getSeatedPlayer(this.game.ownPID).account.toObject(true);
       var requestID = "CP" + String(Math.random()).split(".")[1];
       var rpc_result = await RPC(APIFunc, sendObj, this.cypherpoker.api, false, requestID);
       var result = JSON.parse(rpc_result.data);
@@ -1336,6 +1702,7 @@ class CypherPokerContract extends EventDispatcher {
       var table = contract.table;
       var players = contract.players;
       this.history.unshift(contractObj); //make sure to store contract in history!
+      this.updateTournament(contractObj);
       this.game.debug("CypherPokerContract.handleUpdateMessage("+event+") => \""+messageType+"\"");
       this.processDeferredActions(contractObj); //respond immediately on game state match
       switch (messageType) {
@@ -1428,6 +1795,36 @@ class CypherPokerContract extends EventDispatcher {
                this.stopContractTimeout();
             }
             break;
+         case "contractrevealstore":
+            if (this.verifyContractID(resultObj) == false) {
+               //wrong contract ID
+               return;
+            }
+            this.game.debug ("Player "+fromPID+" has stored face-up card(s) to the contract:");
+            this.game.debug (contract, "dir");
+            this.updateBalances(contract);
+            this.processDeferredActions(contract);
+            if (this.history[0].invalid != true) {
+               this.startContractTimeout();
+            } else {
+               this.stopContractTimeout();
+            }
+            break;
+         case "contractruntwicestore":
+            if (this.verifyContractID(resultObj) == false) {
+               //wrong contract ID
+               return;
+            }
+            this.game.debug ("Player "+fromPID+" has stored a run it twice decision to the contract:");
+            this.game.debug (contract, "dir");
+            this.updateBalances(contract);
+            this.processDeferredActions(contract);
+            if (this.history[0].invalid != true) {
+               this.startContractTimeout();
+            } else {
+               this.stopContractTimeout();
+            }
+            break;
          case "contractbet":
             if (this.verifyContractID(resultObj) == false) {
                //wrong contract ID
@@ -1467,6 +1864,51 @@ class CypherPokerContract extends EventDispatcher {
             this.dispatchEvent(event);
             this.stopContractTimeout();
             this.resetContractTimeout();
+            this._active = false;
+            this.reportRake(contract);
+            break;
+         case "contractcommitmentfail":
+            if (this.verifyContractID(resultObj) == false) {
+               //wrong contract ID
+               return;
+            }
+            this.updateBalances(contract);
+            var event = new Event("commitmentfail");
+            event.contract = this;
+            event.penalized = contract.penalty.penalized;
+            this.dispatchEvent(event);
+            this.removeNetworkEventListeners();
+            this.removeGameEventListeners();
+            this.stopContractTimeout();
+            this.resetContractTimeout();
+            this._active = false;
+            this.reportRake(contract);
+            break;
+         case "contractdispute":
+            if (this.verifyContractID(resultObj) == false) {
+               //wrong contract ID
+               return;
+            }
+            this.stopContractTimeout();
+            var event = new Event("dispute");
+            event.contract = this;
+            event.dispute = contract.dispute;
+            this.dispatchEvent(event);
+            if (contract.dispute.status == "open") {
+               if ((contract.dispute.penalizedPIDs.indexOf(this.game.ownPID) > -1) && (contract.dispute.evidence[this.game.ownPID] == undefined)) {
+                  this.appealDispute().catch(err => {
+                     this.game.debug(err, "err");
+                  });
+               }
+            } else if (contract.dispute.outcome == "upheld") {
+               //an overturned dispute is followed by a "contractend" message
+               this.updateBalances(contract);
+               this.removeNetworkEventListeners();
+               this.removeGameEventListeners();
+               this.resetContractTimeout();
+               this._active = false;
+               this.reportRake(contract);
+            }
             break;
          case "contractend":
             if (this.verifyContractID(resultObj) == false) {
@@ -1474,11 +1916,15 @@ class CypherPokerContract extends EventDispatcher {
                console.error ("Contracts don't match!");
                return;
             }
+            if ((typeof(resultObj.data.record) == "object") && (resultObj.data.record != null)) {
+               this._handRecord = resultObj.data.record;
+            }
             this.removeNetworkEventListeners();
             this.removeGameEventListeners();
             this.stopContractTimeout();
             this.resetContractTimeout();
             this._active = false;
+            this.reportRake(contract);
             break;
          default:
             //not a recognized CypherPokerContract message type
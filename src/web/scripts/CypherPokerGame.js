@@ -58,12 +58,26 @@ class CypherPokerGame extends EventDispatcher {
    * @property {CypherPoker#TableObject} table The table associated with the game instance.
    */
    /**
+   * Game parameters received from the dealer don't satisfy the table's
+   * [cryptoPolicy]{@link CypherPokerGame#cryptoPolicy} so we won't generate a keypair or
+   * encrypt any cards for the game.
+   *
+   * @event CypherPokerGame#gameparamsinvalid
+   * @type {Event}
+   * @property {String} reason A description of the policy violation.
+   * @property {Object} params The rejected game parameters.
+   * @property {CypherPokerPlayer} player The player (dealer) that sent the parameters.
+   * @property {CypherPokerGame} game The game instance reporting the invalid parameters.
+   * @property {CypherPoker#TableObject} table The table associated with the game instance.
+   */
+   /**
    * A new {@link keypair} has been generated for us by the {@link generateKeypair} function.
    *
    * @event CypherPokerGame#gamekeypair
    * @type {Event}
    * @property {Object} keypair A new {@link keypair} derived from the
-   * {@link CypherPokerGame#gameParams}<code>.prime</code> value.
+   * {@link CypherPokerGame#gameParams}<code>.prime</code> value, or for the
+   * {@link CypherPokerGame#gameParams}<code>.curve</code> if one is being used.
    * @property {CypherPokerPlayer} player The player for whom the keypair was created.
    * If the {@link generateKeypair} function was invoked with the <code>storeKeypair</code>
    * parameter set to false, this property will be null.
@@ -71,7 +85,8 @@ class CypherPokerGame extends EventDispatcher {
    * @property {CypherPoker#TableObject} table The table associated with the game instance.
    */
    /**
-   * A new card deck (sequential quadratic residues), has been generated for the game.
+   * A new card deck (sequential quadratic residues, or sequential points if the game uses an
+   * elliptic [curve]{@link CypherPokerGame#curve}), has been generated for the game.
    * The deck is available as an array of {@link CypherPokerCard} instances in
    * {@link CypherPokerGame#cardDecks}<code>.faceup</code>.
    *
@@ -84,6 +99,19 @@ class CypherPokerGame extends EventDispatcher {
    * @property {CypherPoker#TableObject} table The table associated with the game instance.
    */
    /**
+   * A generated card deck failed validation (see {@link CypherPokerGame#verifyCardDeck}),
+   * before any cards were encrypted. The hand is aborted immediately afterwards with a
+   * [gamekill]{@link CypherPokerGame#event:gamekill} event.
+   *
+   * @event CypherPokerGame#gamedeckinvalid
+   * @type {Event}
+   * @property {String} reason A description of why the deck is invalid.
+   * @property {Array} deck The rejected card values.
+   * @property {CypherPokerPlayer} player The player (dealer) that generated the deck.
+   * @property {CypherPokerGame} game The game instance reporting the invalid deck.
+   * @property {CypherPoker#TableObject} table The table associated with the game instance.
+   */
+   /**
    * An encryption operation has been completed by us or another player. Note
    * that the current dealer generates the current faceup deck.
    *
@@ -91,11 +119,44 @@ class CypherPokerGame extends EventDispatcher {
    * @type {Event}
    * @property {Array} selected Array of numeric strings representing the
    * partially encrypted card values.
+   * @property {Object} proof The shuffle proof generated for the encrypted cards by
+   * [generateShuffleProof]{@link CypherPokerGame#generateShuffleProof}, or <code>null</code>
+   * if the table doesn't require [shuffle proofs]{@link CypherPokerGame#shuffleProofRounds}.
+   * @property {String} commitment The player's [keychain commitment]{@link CypherPokerGame#keychainCommitment},
+   * which their keychain must match when it's revealed at the end of the game.
+   * @property {CypherPokerPlayer} player The player that sent the encrypted cards.
+   * @property {CypherPokerGame} game The game instance associated with the message.
+   * @property {CypherPoker#TableObject} table The table associated with the message.
+   */
+   /**
+   * The shuffle proof sent by another player with their encrypted cards failed verification
+   * (see [verifyShuffleProof]{@link CypherPokerGame#verifyShuffleProof}), so the deck is
+   * malformed or may contain duplicates. The game doesn't continue; the contract host
+   * also rejects the deck so the player will time out.
+   *
+   * @event CypherPokerGame#gameshuffleinvalid
+   * @type {Event}
+   * @property {Array} selected Array of strings representing the rejected encrypted card values.
    * @property {CypherPokerPlayer} player The player that sent the encrypted cards.
    * @property {CypherPokerGame} game The game instance associated with the message.
    * @property {CypherPoker#TableObject} table The table associated with the message.
    */
    /**
+   * A batch cryptographic operation being performed by us on a full or partial card deck has
+   * progressed. Shuffling (encrypting) a deck and generating or verifying shuffle proofs can
+   * take some time on slower devices so this event may be used to display the operation's progress.
+   *
+   * @event CypherPokerGame#gamecryptoprogress
+   * @type {Event}
+   * @property {String} operation The operation being performed: "encrypt" (encrypting the deck
+   * for shuffling), "decrypt" (decrypting selected cards), "proof" (generating a shuffle proof),
+   * or "verify" (verifying another player's shuffle proof).
+   * @property {Number} completed The number of values processed so far.
+   * @property {Number} total The total number of values to process for the operation.
+   * @property {CypherPokerGame} game The game instance associated with the operation.
+   * @property {CypherPoker#TableObject} table The table associated with the operation.
+   */
+   /**
    * We have selected private cards which are about to be sent to other players
    * for decryption.
    * The selected cards have been removed from the
@@ -121,6 +182,8 @@ class CypherPokerGame extends EventDispatcher {
    * @type {Event}
    * @property {Array} selected Indexed array of strings representing the
    * encrypted public cards we've selected.
+   * @property {Number} [board] The board for which the cards were selected (1 or 2) if the remaining
+   * public cards are being [run twice]{@link CypherPokerGame#runTwice}.
    * @property {CypherPokerPlayer} player The player that selected the cards (us).
    * @property {CypherPokerGame} game The game instance associated with the deal.
    * @property {CypherPoker#TableObject} table The table associated with the deal.
@@ -134,7 +197,37 @@ class CypherPokerGame extends EventDispatcher {
    * @property {Array} cards Indexed array of {@link CypherPokerCard} instances
    * representing the newly dealt, face-up cards.
    * @property {Boolean} private If true, the <code>cards</code> array contains private / hole
-   * cards otherwise it contains public / community cards.
+   * cards otherwise it contains public / community cards or, if the game [isStud]{@link CypherPokerGame#isStud},
+   * the face-up cards of the <code>player</code>.
+   * @property {CypherPokerPlayer} [player] The player to whom the face-up cards were dealt. Only
+   * included if the game [isStud]{@link CypherPokerGame#isStud} and <code>private</code> is false.
+   * @property {Number} [board] The board to which the public cards were dealt (1 or 2) if the remaining
+   * public cards are being [run twice]{@link CypherPokerGame#runTwice}.
+   * @property {CypherPokerGame} game The game instance associated with the deal.
+   * @property {CypherPoker#TableObject} table The table associated with the deal.
+   */
+   /**
+   * A player, possibly us, has decided whether or not to deal the remaining public cards
+   * twice (see [agreeRunTwice]{@link CypherPokerGame#agreeRunTwice}).
+   *
+   * @event CypherPokerGame#gameruntwice
+   * @type {Event}
+   * @property {CypherPokerPlayer} player The player that made the decision.
+   * @property {Boolean} agree True if the player agreed to run the remaining cards twice.
+   * @property {Boolean} runTwice True if all involved players have now agreed to run the
+   * remaining cards twice (see [runTwice]{@link CypherPokerGame#runTwice}).
+   * @property {CypherPokerGame} game The game instance associated with the decision.
+   * @property {CypherPoker#TableObject} table The table associated with the decision.
+   */
+   /**
+   * We have fully decrypted our own face-up cards in a game that [isStud]{@link CypherPokerGame#isStud}
+   * and have sent them to the other players. The revealed cards must also be reported to the
+   * game contract so that it can determine the betting order.
+   *
+   * @event CypherPokerGame#gamereveal
+   * @type {Event}
+   * @property {Array} cards Indexed array of the newly revealed {@link CypherPokerCard} instances.
+   * @property {CypherPokerPlayer} player The player that revealed the cards (us).
    * @property {CypherPokerGame} game The game instance associated with the deal.
    * @property {CypherPoker#TableObject} table The table associated with the deal.
    */
@@ -201,6 +294,8 @@ class CypherPokerGame extends EventDispatcher {
    * @type {Event}
    * @property {CypherPokerGame} game The game instance reporting as ready.
    * @property {CypherPoker#TableObject} table The table associated with the game instance.
+   * @property {Array} pots The main pot and any side pots, as generated by
+   * [createPots]{@link CypherPokerGame#createPots}, with which the game ended.
    */
    /**
    * A keychain has been received for a specific player, usually at the end of a game
@@ -223,6 +318,8 @@ class CypherPokerGame extends EventDispatcher {
    * Note that the game may have been reset (lost most data), prior to the completion of the analysis.
    * @property {CypherPoker#TableObject} table The table associated with the game instance. As with
    * the <code>game</code> property, the table may have changed prior to the completion of the analysis.
+   * @property {Array} pots The main pot and any side pots, each including the private IDs of its
+   * <code>winners</code>, copied from the analyzer's [analysis]{@link CypherPokerAnalyzer#analysis}.
    */
    /**
    * The game instance has been reset and is about to restart.
@@ -233,6 +330,31 @@ class CypherPokerGame extends EventDispatcher {
    * @property {CypherPoker#TableObject} table The table associated with the game instance.
    */
    /**
+   * One or more players have been eliminated from the tournament being played at the table
+   * and have been removed from the game.
+   *
+   * @event CypherPokerGame#gameeliminated
+   * @type {Event}
+   * @property {CypherPokerGame} game The game instance reporting the elimination.
+   * @property {Array} players Indexed array of the {@link CypherPokerPlayer} instances
+   * that were eliminated.
+   * @property {Object} tournament The updated [tournament]{@link CypherPokerGame#tournament}
+   * information.
+   */
+   /**
+   * The tournament being played at the table has ended for us, either because it's
+   * complete or because we've been eliminated. The game is killed immediately after
+   * this event is dispatched.
+   *
+   * @event CypherPokerGame#gametournamentend
+   * @type {Event}
+   * @property {CypherPokerGame} game The game instance reporting the end of the tournament.
+   * @property {Object} tournament The final [tournament]{@link CypherPokerGame#tournament}
+   * information.
+   * @property {Array} results Indexed array of finishing places and payouts, as reported by
+   * the contract. Empty if the tournament hasn't yet completed.
+   */
+   /**
    * The game (hand) has encountered an unexpected fatal error and can't continue. No
    * further game actions will take place and the game instance will no longer listen
    * for external messages or events.
@@ -245,6 +367,57 @@ class CypherPokerGame extends EventDispatcher {
    * @property {String} reason A human-readable explanation of the cause of the fatal game
    * end.
    */
+   /**
+   * A player, possibly us, has asked to sit out starting with the next game (hand).
+   *
+   * @event CypherPokerGame#gamesitout
+   * @type {Event}
+   * @property {CypherPokerPlayer} player The player sitting out.
+   * @property {CypherPokerGame} game The game instance associated with the player.
+   * @property {CypherPoker#TableObject} table The table at which the player is seated.
+   */
+   /**
+   * A player, possibly us, that was sitting out or that has just taken an empty seat
+   * has asked to be dealt into the next game (hand).
+   *
+   * @event CypherPokerGame#gamesitin
+   * @type {Event}
+   * @property {CypherPokerPlayer} player The player sitting in.
+   * @property {CypherPokerGame} game The game instance associated with the player.
+   * @property {CypherPoker#TableObject} table The table at which the player is seated.
+   */
+   /**
+   * A new player has taken an empty seat at the table while it's in play. The player
+   * sits out until they've been confirmed by the contract host and dealt into a subsequent
+   * game (hand).
+   *
+   * @event CypherPokerGame#gameseat
+   * @type {Event}
+   * @property {CypherPokerPlayer} player The newly-seated player.
+   * @property {CypherPokerGame} game The game instance associated with the player.
+   * @property {CypherPoker#TableObject} table The table at which the player is seated.
+   */
+   /**
+   * A player has left the table. If the player was dealt into the current game (hand),
+   * their seat is vacated once the game ends, otherwise it's vacated immediately.
+   *
+   * @event CypherPokerGame#gameplayerleave
+   * @type {Event}
+   * @property {CypherPokerPlayer} player The player leaving the table.
+   * @property {CypherPokerGame} game The game instance associated with the player.
+   * @property {CypherPoker#TableObject} table The table that the player is leaving.
+   */
+   /**
+   * The seating at the table, as reported by the current dealer, has been applied to the
+   * [players]{@link CypherPokerGame#players} and [sittingOutPlayers]{@link CypherPokerGame#sittingOutPlayers}
+   * arrays (see [getSeating]{@link CypherPokerGame#getSeating}).
+   *
+   * @event CypherPokerGame#gameseating
+   * @type {Event}
+   * @property {Object} seating The seating that was applied.
+   * @property {CypherPokerGame} game The game instance to which the seating was applied.
+   * @property {CypherPoker#TableObject} table The table associated with the game instance.
+   */
 
    /**
    * Creates a new game instance.
@@ -252,7 +425,9 @@ class CypherPokerGame extends EventDispatcher {
    * @param {CypherPoker} cypherpokerRef A reference to the parent or
    * containing {@link CypherPoker} instance that created the game instance.
    * @param {CypherPoker#TableObject} tableObj The table associated with the game instance.
-   * A copy of this object is available through the {@link table} reference.
+   * A copy of this object is available through the {@link table} reference. If the table's
+   * <code>inPlay</code> flag is set we're taking an empty seat at a table in play and sit out
+   * until the current dealer has reported the table's seating.
    * @param {Object} [playerInfo=null] Contains additional information
    * about us to share with the table.
    * @param {String} [ContractClass="CypherPokerContract"] The (smart) contract interface
@@ -278,19 +453,37 @@ class CypherPokerGame extends EventDispatcher {
       }
       this._table = new Object();
       this.cypherpoker.copyTable(tableObj, this.table);
+      //seats may be vacated and taken so the game maintains its own lists
+      this.table.requiredPID = Array.from(tableObj.requiredPID);
+      this.table.joinedPID = Array.from(tableObj.joinedPID);
       this.cypherpoker.games.push(this);
       this._players = new Array();
+      this._sittingOutPlayers = new Array();
+      this._newSeats = new Array();
+      this._leavingPIDs = new Array();
+      this._seated = (tableObj.inPlay != true);
       this._lastBetPID = null;
       for (var count=0; count < tableObj.joinedPID.length; count++) {
          var newPlayer = new CypherPokerPlayer(tableObj.joinedPID[count]);
          if (newPlayer.privateID == this.ownPID) {
+            if (playerInfo == null) {
+               playerInfo = new Object();
+            }
+            //announce our message signing key in "gameready" and "gamehello" messages
+            playerInfo.signingKey = this.cypherpoker.signingKey;
             newPlayer.info = playerInfo;
          }
-         newPlayer.balance = tableObj.tableInfo.buyIn;
+         if (this.isTournament) {
+            //tournament chips, not currency
+            newPlayer.balance = tableObj.tableInfo.tournament.startingStack;
+         } else {
+            newPlayer.balance = tableObj.tableInfo.buyIn;
+         }
          this._players.push(newPlayer);
       }
       this.assignPlayerRoles(null); //table owner becomes initial dealer
       this.cypherpoker.p2p.addEventListener("message", this.handleP2PMessage, this);
+      this.cypherpoker.crypto.addEventListener("progress", this.onCryptoProgress, this);
       this._analyzer = new CypherPokerAnalyzer(this); //start the analyzer right away
       this._analyzer.addEventListener("scored", this.onGameAnalyzed, this);
       this._contract = new CypherPokerContract(this);
@@ -310,6 +503,95 @@ class CypherPokerGame extends EventDispatcher {
       return (this._pot);
    }
 
+   /**
+   * @property {Boolean} isTournament True if the associated [table]{@link CypherPokerGame#table} is
+   * playing a sit-and-go tournament (its <code>tableInfo.tournament</code> object is set).
+   * @readonly
+   */
+   get isTournament() {
+      var tournament = this.table.tableInfo.tournament;
+      if ((tournament == undefined) || (tournament == null)) {
+         return (false);
+      }
+      return (true);
+   }
+
+   /**
+   * @property {Object} tournament=null The tournament information most recently reported by
+   * the contract for a tournament table, including the current blind <code>level</code>,
+   * <code>smallBlind</code>, and <code>bigBlind</code>, the <code>prizePool</code>, the number
+   * of <code>handsPlayed</code>, player <code>stacks</code>, <code>eliminated</code> players
+   * and their places, and the final <code>results</code> once <code>complete</code>.
+   * Always <code>null</code> if the table isn't playing a tournament.
+   */
+   get tournament() {
+      if (this._tournament == undefined) {
+         this._tournament = null;
+      }
+      return (this._tournament);
+   }
+
+   set tournament(tournamentSet) {
+      this._tournament = tournamentSet;
+   }
+
+   /**
+   * @property {BigInteger} smallBlind The small blind amount currently in effect. For a tournament
+   * this is the blind for the current level as reported by the contract, otherwise it's the
+   * table's <code>tableInfo.smallBlind</code>.
+   * @readonly
+   */
+   get smallBlind() {
+      if ((this.tournament != null) && (this.tournament.smallBlind != undefined)) {
+         return (bigInt(this.tournament.smallBlind));
+      }
+      return (bigInt(this.table.tableInfo.smallBlind));
+   }
+
+   /**
+   * @property {BigInteger} bigBlind The big blind amount currently in effect. For a tournament
+   * this is the blind for the current level as reported by the contract, otherwise it's the
+   * table's <code>tableInfo.bigBlind</code>.
+   * @readonly
+   */
+   get bigBlind() {
+      if ((this.tournament != null) && (this.tournament.bigBlind != undefined)) {
+         return (bigInt(this.tournament.bigBlind));
+      }
+      return (bigInt(this.table.tableInfo.bigBlind));
+   }
+
+   /**
+   * @property {BigInteger} ante The ante amount currently in effect, or 0 if the table has no
+   * ante. For a tournament this is the ante for the current level as reported by the contract,
+   * otherwise it's the table's <code>tableInfo.ante</code>. Whether the ante is posted by every
+   * player or only by the big blind depends on the table's <code>tableInfo.anteType</code>
+   * ("player" or "bigblind").
+   * @readonly
+   */
+   get ante() {
+      if ((this.tournament != null) && (this.tournament.ante != undefined)) {
+         return (bigInt(this.tournament.ante));
+      }
+      var tableInfo = this.table.tableInfo;
+      if ((tableInfo.ante == undefined) || (tableInfo.ante == null) || (tableInfo.ante == "")) {
+         return (bigInt(0));
+      }
+      return (bigInt(tableInfo.ante));
+   }
+
+   /**
+   * @property {BigInteger} straddle The straddle amount (twice the [bigBlind]{@link CypherPokerGame#bigBlind}),
+   * if the table's <code>tableInfo.straddle</code> is true, or 0 if the table doesn't allow a straddle.
+   * @readonly
+   */
+   get straddle() {
+      if (this.table.tableInfo.straddle != true) {
+         return (bigInt(0));
+      }
+      return (this.bigBlind.multiply(2));
+   }
+
    /**
    * @property {Boolean} autoBlinds=true If true, the required blind amount for
    * the table are posted automatically if we're playing as a blind, otherwise
@@ -464,6 +746,166 @@ class CypherPokerGame extends EventDispatcher {
       return (this._table);
    }
 
+   /**
+   * @property {Object} variant The game variant definition, from the <code>variants</code>
+   * object of the [settings]{@link CypherPoker#settings}, matching the <code>tableInfo.variant</code>
+   * of the associated [table]{@link CypherPokerGame#table}. If the table doesn't specify a variant,
+   * <code>lobbyDefaults.variant</code> is used. The definition includes the variant's <code>name</code>,
+   * the number of <code>privateCards</code> dealt to each player, the number of <code>publicCards</code>
+   * dealt to the table, and <code>usePrivateCards</code>, the exact number of private cards
+   * that a scored hand must use (0 if any number may be used). Variants such as Seven-Card Stud
+   * also include a <code>streets</code> array of objects specifying the number of face-<code>down</code>
+   * and face-<code>up</code> cards dealt to each player on each street (see [isStud]{@link CypherPokerGame#isStud}).
+   * @readonly
+   */
+   get variant() {
+      if (this._variant == undefined) {
+         var variantType = this.table.tableInfo.variant;
+         if ((variantType == undefined) || (variantType == null) || (variantType == "")) {
+            variantType = this.cypherpoker.settings.lobbyDefaults.variant;
+         }
+         var variant = this.cypherpoker.settings.variants[variantType];
+         if ((variant == undefined) || (variant == null)) {
+            throw (new Error("Unsupported game variant \""+variantType+"\"."));
+         }
+         this._variant = variant;
+      }
+      return (this._variant);
+   }
+
+   /**
+   * @property {String} curve The name of the elliptic curve used as the game's commutative
+   * cryptosystem instead of SRA (e.g. "secp256k1"), from the <code>tableInfo.curve</code> of the
+   * associated [table]{@link CypherPokerGame#table}. If the table doesn't specify a curve this
+   * property is <code>null</code> and SRA with a randomly-generated prime modulus is used.
+   * @readonly
+   */
+   get curve() {
+      var curve = this.table.tableInfo.curve;
+      if ((curve == undefined) || (curve == null) || (curve == "")) {
+         return (null);
+      }
+      return (curve);
+   }
+
+   /**
+   * @property {Number} shuffleProofRounds The number of rounds of the shuffle proof that must
+   * accompany each player's encrypted and shuffled deck, from the <code>tableInfo.shuffleProofs</code>
+   * of the associated [table]{@link CypherPokerGame#table}. If 0, shuffle proofs aren't used.
+   * Since the challenge of each round is derived from a hash of the proof (see [shuffleChallenge]{@link CypherPokerGame#shuffleChallenge}),
+   * a dishonest player may regenerate a proof until it passes, which takes about 2 to the power
+   * of this number attempts; low round counts are therefore rejected by the contract server.
+   * @readonly
+   */
+   get shuffleProofRounds() {
+      var rounds = Number(this.table.tableInfo.shuffleProofs);
+      if (isNaN(rounds) || (rounds < 1)) {
+         return (0);
+      }
+      return (Math.floor(rounds));
+   }
+
+   /**
+   * @property {Object} cryptoPolicy The policy that the SRA prime modulus of each game must satisfy,
+   * from the <code>tableInfo.cryptoPolicy</code> announced with the associated [table]{@link CypherPokerGame#table}.
+   * Contains the <code>minBitLength</code> of the prime, which is never less than our own
+   * [settings]{@link CypherPoker#settings}<code>.crypto.minBitLength</code>, the <code>maxBitLength</code>
+   * of the prime, which is never more than our own <code>settings.crypto.maxBitLength</code> (or 4096
+   * if it's not set), the required <code>radix</code>
+   * of the prime (16 or 10), or <code>null</code> if either is allowed, and whether the prime must be a
+   * <code>safePrime</code>.
+   * @readonly
+   */
+   get cryptoPolicy() {
+      var tablePolicy = this.table.tableInfo.cryptoPolicy;
+      if ((tablePolicy == undefined) || (tablePolicy == null)) {
+         tablePolicy = new Object();
+      }
+      var policy = new Object();
+      policy.minBitLength = Number(this.cypherpoker.settings.crypto.minBitLength);
+      if (isNaN(policy.minBitLength)) {
+         policy.minBitLength = 0;
+      }
+      if (Number(tablePolicy.minBitLength) > policy.minBitLength) {
+         policy.minBitLength = Number(tablePolicy.minBitLength);
+      }
+      policy.maxBitLength = Number(this.cypherpoker.settings.crypto.maxBitLength);
+      if (isNaN(policy.maxBitLength)) {
+         policy.maxBitLength = 4096;
+      }
+      if (Number(tablePolicy.maxBitLength) < policy.maxBitLength) {
+         policy.maxBitLength = Number(tablePolicy.maxBitLength);
+      }
+      policy.radix = null;
+      if ((tablePolicy.radix == 16) || (tablePolicy.radix == 10)) {
+         policy.radix = Number(tablePolicy.radix);
+      }
+      policy.safePrime = (tablePolicy.safePrime == true);
+      return (policy);
+   }
+
+   /**
+   * @property {Boolean} isStud True if the [variant]{@link CypherPokerGame#variant} deals face-down
+   * and face-up cards to each player over a number of <code>streets</code> instead of dealing private
+   * and public cards (e.g. Seven-Card Stud). Face-down cards are dealt as private cards and face-up
+   * cards as public cards which are stored with the receiving player's [upCards]{@link CypherPokerPlayer#upCards}
+   * rather than in [cardDecks]{@link CypherPokerGame#cardDecks}<code>.public</code>. The first player to act
+   * on each street is the player with the lowest face-up card on the first street, who must post the
+   * bring-in (the table's small blind), and the player with the best showing hand on subsequent streets.
+   * @readonly
+   */
+   get isStud() {
+      var streets = this.variant.streets;
+      if ((streets == undefined) || (streets == null)) {
+         return (false);
+      }
+      return (streets.length > 0);
+   }
+
+   /**
+   * @property {Object} bettingStructure The betting structure in use at the table, as specified by the
+   * <code>tableInfo.bettingStructure</code> object of the associated [table]{@link CypherPokerGame#table}
+   * with any omitted properties set to their defaults. If the table doesn't specify a betting structure,
+   * no-limit betting is used.
+   * @property {String} bettingStructure.type="no-limit" The type of betting structure; either <code>"no-limit"</code>,
+   * <code>"pot-limit"</code>, or <code>"fixed-limit"</code>.
+   * @property {BigInteger} bettingStructure.smallBet The fixed bet / raise size for the pre-flop and flop rounds
+   * of betting in a fixed-limit game. Defaults to the table's big blind.
+   * @property {BigInteger} bettingStructure.bigBet The fixed bet / raise size for the turn and river rounds
+   * of betting in a fixed-limit game. Defaults to twice the table's big blind.
+   * @property {Number} bettingStructure.raiseCap=0 The maximum number of raises allowed in a single round of
+   * betting, not including blinds. A value of 0 allows an unlimited number of raises.
+   * @readonly
+   */
+   get bettingStructure() {
+      var tableInfo = this.table.tableInfo;
+      var structure = tableInfo.bettingStructure;
+      if ((structure == undefined) || (structure == null)) {
+         structure = new Object();
+      }
+      var returnObj = new Object();
+      returnObj.type = "no-limit";
+      if ((structure.type != undefined) && (structure.type != null) && (structure.type != "")) {
+         returnObj.type = structure.type;
+      }
+      if ((returnObj.type != "no-limit") && (returnObj.type != "pot-limit") && (returnObj.type != "fixed-limit")) {
+         throw (new Error("Unsupported betting structure \""+returnObj.type+"\"."));
+      }
+      returnObj.smallBet = this.bigBlind;
+      if ((structure.smallBet != undefined) && (structure.smallBet != null) && (structure.smallBet != "")) {
+         returnObj.smallBet = bigInt(structure.smallBet);
+      }
+      returnObj.bigBet = this.bigBlind.multiply(2);
+      if ((structure.bigBet != undefined) && (structure.bigBet != null) && (structure.bigBet != "")) {
+         returnObj.bigBet = bigInt(structure.bigBet);
+      }
+      returnObj.raiseCap = 0;
+      if ((structure.raiseCap != undefined) && (structure.raiseCap != null)) {
+         returnObj.raiseCap = Number(structure.raiseCap);
+      }
+      return (returnObj);
+   }
+
    /**
    * @property {Array} players An array of {@link CypherPokerPlayer} instances
    * associated with the game.
@@ -473,6 +915,39 @@ class CypherPokerGame extends EventDispatcher {
       return (this._players);
    }
 
+   /**
+   * @property {Array} sittingOutPlayers An array of {@link CypherPokerPlayer} instances that
+   * are seated at the table but aren't dealt into the current game (hand), either because
+   * they're [sitting out]{@link CypherPokerPlayer#sittingOut} or because they've just taken
+   * an empty seat.
+   * @readonly
+   */
+   get sittingOutPlayers() {
+      return (this._sittingOutPlayers);
+   }
+
+   /**
+   * @property {Boolean} sittingOut True if we're not dealt into the current game (hand). This
+   * includes the time between taking an empty seat at a table in play and receiving its seating
+   * from the current dealer. While sitting out only seating-related messages are processed.
+   * @readonly
+   */
+   get sittingOut() {
+      if (this._seated == false) {
+         return (true);
+      }
+      return (this.getPlayer(this.ownPID) == null);
+   }
+
+   /**
+   * @property {Number} numSeats The total number of seats at the table, including
+   * any that are currently empty.
+   * @readonly
+   */
+   get numSeats() {
+      return (this.table.restorePID.length);
+   }
+
    /**
    * @property {String} ownPID Our own private ID as generated through
    * the parent {@link CypherPoker} instance's <code>p2p</code> interface.
@@ -487,6 +962,11 @@ class CypherPokerGame extends EventDispatcher {
    * @property {String} gameParams.prime The current prime modulus value for
    * the game. Previous prime values are stored in {@link keypair}
    * instances in the [CypherPokerPlayer.keychain]{@link CypherPokerPlayer#keychain} array.
+   * This property is omitted if the game uses an elliptic curve.
+   * @property {String} gameParams.curve The name of the elliptic curve used for the game,
+   * if the table specifies one (see [curve]{@link CypherPokerGame#curve}).
+   * @property {Object} gameParams.seating The seating at the table for the game, as
+   * generated by the dealer's [getSeating]{@link CypherPokerGame#getSeating} function.
    * @readonly
    */
    get gameParams() {
@@ -518,6 +998,14 @@ class CypherPokerGame extends EventDispatcher {
    * array.
    * @property {Array} cardDecks.public Indexed array of unencrypted or face-up
    * {@link CypherPokerCard} instances that have been dealt as public or community cards.
+   * @property {Array} cardDecks.secondBoard Indexed array of unencrypted or face-up
+   * {@link CypherPokerCard} instances that have been dealt to the second board if the remaining
+   * public cards are being [run twice]{@link CypherPokerGame#runTwice}. The second board also
+   * includes the first [runTwiceShared]{@link CypherPokerGame#runTwiceShared} cards of the
+   * <code>public</code> array.
+   * @property {Array} cardDecks.encrypted Indexed array of strings representing the deck
+   * as most recently encrypted and shuffled by a player, used to verify the next
+   * player's shuffle proof. Empty until the first player has encrypted the deck.
    * @readonly
    */
    get cardDecks() {
@@ -527,6 +1015,8 @@ class CypherPokerGame extends EventDispatcher {
          this._cardDecks.facedown = new Array();
          this._cardDecks.dealt = new Array();
          this._cardDecks.public = new Array();
+         this._cardDecks.secondBoard = new Array();
+         this._cardDecks.encrypted = new Array();
       }
       return (this._cardDecks);
    }
@@ -580,6 +1070,9 @@ class CypherPokerGame extends EventDispatcher {
    * @private
    */
    getNextBettingPlayer(privateID) {
+      if (this.isStud) {
+         return (this.getNextStudBettingPlayer(privateID));
+      }
       if (privateID == null) {
          return (this.getSmallBlind());
       }
@@ -595,19 +1088,20 @@ class CypherPokerGame extends EventDispatcher {
             break;
          }
       }
-      if ((this.getBigBlind().numActions < 2) && this.getPreviousPlayer(this.getBigBlind().privateID).hasBet && (this.getBigBlind().hasFolded == false)) {
-         if ((this.players.length == 2) && (this.getSmallBlind().totalBet.lesser(this.getBigBlind().totalBet))) {
+      var lastBlind = this.getLastBlind();
+      if ((lastBlind.numActions < 2) && this.getPreviousPlayer(lastBlind.privateID).hasBet && (lastBlind.hasFolded == false)) {
+         if ((this.players.length == 2) && (this.getSmallBlind().totalBet.lesser(this.getBigBlind().totalBet)) && (this.getSmallBlind().isAllIn == false)) {
             return (this.getSmallBlind());
-         } else {
-            return (this.getBigBlind());
+         } else if (lastBlind.isAllIn == false) {
+            return (lastBlind);
          }
       }
       //last resort
       var nextPlayer = this.getNextPlayer(privateID);
       while (nextPlayer.privateID != privateID) {
          var nextTotalBet = nextPlayer.totalBet;
-         if (nextTotalBet.lesser(largestPlayerBet) && (nextPlayer.hasFolded == false)) {
-            if (this.getBigBlind().numActions > 0) {
+         if (nextTotalBet.lesser(largestPlayerBet) && (nextPlayer.hasFolded == false) && (nextPlayer.isAllIn == false)) {
+            if (lastBlind.numActions > 0) {
                return (nextPlayer);
             }
          }
@@ -620,24 +1114,32 @@ class CypherPokerGame extends EventDispatcher {
             //pre-flop
             if (this.getDealer().hasBet == false) {
                //dealer goes first
-               return (this.getDealer());
+               var headsUpPlayer = this.getDealer();
             } else {
-               return (this.getNextPlayer(this.getDealer().privateID));
+               headsUpPlayer = this.getNextPlayer(this.getDealer().privateID);
             }
          } else {
             //post-flop
             if (this.getNextPlayer(this.getDealer().privateID).hasBet == false) {
                //player goes first
-               return (this.getNextPlayer(this.getDealer().privateID));
+               headsUpPlayer = this.getNextPlayer(this.getDealer().privateID);
             } else {
-               return (this.getDealer());
+               headsUpPlayer = this.getDealer();
             }
          }
+         if (headsUpPlayer.isAllIn) {
+            //all-in player can't act so opponent goes instead
+            headsUpPlayer = this.getNextPlayer(headsUpPlayer.privateID);
+            if (headsUpPlayer.isAllIn) {
+               return (null);
+            }
+         }
+         return (headsUpPlayer);
       } else {
          //standard betting order
          var startingPlayer = this.getSmallBlind();
          var firstNonFoldedPlayer = null;
-         if (startingPlayer.hasFolded == false) {
+         if ((startingPlayer.hasFolded == false) && (startingPlayer.isAllIn == false)) {
             firstNonFoldedPlayer = startingPlayer;
             if ((startingPlayer.hasBet == false) || startingPlayer.totalBet.lesser(largestPlayerBet)) {
                return (startingPlayer);
@@ -646,7 +1148,7 @@ class CypherPokerGame extends EventDispatcher {
          var startingID = startingPlayer.privateID;
          startingPlayer = this.getNextPlayer(startingPlayer.privateID);
          while (startingPlayer.privateID != startingID) {
-            if (startingPlayer.hasFolded == false) {
+            if ((startingPlayer.hasFolded == false) && (startingPlayer.isAllIn == false)) {
                if (firstNonFoldedPlayer == null) {
                   firstNonFoldedPlayer = startingPlayer;
                }
@@ -661,6 +1163,47 @@ class CypherPokerGame extends EventDispatcher {
       return (null);
    }
 
+   /**
+   * Returns the next betting player following a specified one in a game that
+   * [isStud]{@link CypherPokerGame#isStud}. Betting starts with the [first player]{@link CypherPokerGame#getStudFirstPlayer}
+   * of the street and continues clockwise.
+   *
+   * @param {String} privateID The private ID of the player that last
+   * completed a bet or fold operation, or <code>null</code> if no one has.
+   *
+   * @return {CypherPokerPlayer} The player that should be betting next, or
+   * <code>null</code> if the player can't be determined or the current street
+   * is still being dealt.
+   * @private
+   */
+   getNextStudBettingPlayer(privateID) {
+      var firstPlayer = this.getStudFirstPlayer();
+      if (firstPlayer == null) {
+         return (null);
+      }
+      var largestPlayerBet = this.largestBet;
+      var startingPlayer = firstPlayer;
+      if (privateID != null) {
+         for (var count=0; count < this.players.length; count++) {
+            if (this.players[count].hasBet == true) {
+               //action has taken place on this street so continue after the last player to act
+               startingPlayer = this.getNextPlayer(privateID);
+               break;
+            }
+         }
+      }
+      var nextPlayer = startingPlayer;
+      for (count=0; count < this.players.length; count++) {
+         if ((nextPlayer.hasFolded == false) && (nextPlayer.isAllIn == false)) {
+            if ((nextPlayer.hasBet == false) || nextPlayer.totalBet.lesser(largestPlayerBet)) {
+               return (nextPlayer);
+            }
+         }
+         nextPlayer = this.getNextPlayer(nextPlayer.privateID);
+      }
+      return (null);
+   }
+
    /**
    * @property {Boolean} canBet If true, we can place a bet, check/call, or fold
    * via the [placeBet]{@link CypherPokerGame#placeBet} function.
@@ -669,6 +1212,10 @@ class CypherPokerGame extends EventDispatcher {
       if (this.bettingDone == true) {
          return (false);
       }
+      if (this.isStud && ((this.streetsDealt == 0) || this.streetDealing)) {
+         //wait for the street to be completely dealt
+         return (false);
+      }
       var nextBettingPlayer = this.getNextBettingPlayer(this._lastBetPID);
       if (nextBettingPlayer == null) {
          return (false)
@@ -760,22 +1307,25 @@ class CypherPokerGame extends EventDispatcher {
    }
 
    /**
-   * @property {Boolean} bettingDone True if all non-folded players have committed the same
-   * bet amount, or if all players but one have folded (new cards may be dealt or the game has completed).
+   * @property {Boolean} bettingDone True if all non-folded players that aren't
+   * [all-in]{@link CypherPokerPlayer#isAllIn} have committed the same bet amount, if
+   * all players but one have folded, or if no more than one player remains that can
+   * still bet and that player has matched the largest bet (new cards may be dealt
+   * or the game has completed).
    */
    get bettingDone() {
       var foldedPlayers = 0;
-      var nonFoldedPlayers = 0;
+      var activePlayers = 0; //non-folded and not all-in
+      var lastActivePlayer = null;
       var currentBet = "";
       var betGroups = new Object(); //players grouped by bet amount
-      if ((this.getBigBlind().numActions < 2) && (this.getBigBlind().hasFolded == false)) {
-         return (false);
-      }
+      var largestPlayerBet = this.largestBet;
       for (var count=0; count < this.players.length; count++) {
          if (this.players[count].hasFolded) {
             foldedPlayers++;
-         } else {
-            nonFoldedPlayers++;
+         } else if (this.players[count].isAllIn == false) {
+            activePlayers++;
+            lastActivePlayer = this.players[count];
             if (this.players[count].hasBet) {
                currentBet = this.players[count].totalBet.toString(10);
                if (betGroups[currentBet] == undefined) {
@@ -785,8 +1335,22 @@ class CypherPokerGame extends EventDispatcher {
             }
          }
       }
+      if (activePlayers == 0) {
+         //everyone is either all-in or folded
+         return (true);
+      }
+      if (activePlayers == 1) {
+         //no one left to bet against
+         return (lastActivePlayer.totalBet.greaterOrEquals(largestPlayerBet));
+      }
+      if (this.isStud == false) {
+         var lastBlind = this.getLastBlind();
+         if ((lastBlind.numActions < 2) && (lastBlind.hasFolded == false) && (lastBlind.isAllIn == false)) {
+            return (false);
+         }
+      }
       if (betGroups[currentBet] != undefined) {
-         if (betGroups[currentBet].length == nonFoldedPlayers) {
+         if ((betGroups[currentBet].length == activePlayers) && bigInt(currentBet).greaterOrEquals(largestPlayerBet)) {
             return (true);
          }
       }
@@ -809,56 +1373,562 @@ class CypherPokerGame extends EventDispatcher {
          //all but one (or fewer) players have folded
          return (true);
       }
-      if ((this.cardDecks.public.length == 5) && this.bettingDone) {
+      if (this.isStud) {
+         if ((this.streetsDealt == this.variant.streets.length) && this.bettingDone) {
+            return (true);
+         }
+      } else if ((this.cardDecks.public.length == this.variant.publicCards) && this.bettingDone) {
+         if (this.runTwice && (this.cardDecks.secondBoard.length < (this.variant.publicCards - this.runTwiceShared))) {
+            //the second board is still being dealt
+            return (false);
+         }
          return (true);
       }
       return (false);
    }
 
    /**
-   * @property {BigInteger} minimumBet The minimum bet that must be placed by
-   * us during this round of betting in order to continue playing.
+   * @property {Boolean} runTwiceAvailable True if the table allows the remaining public cards to
+   * be dealt twice (its <code>tableInfo.runTwice</code> is true), and no further betting is possible
+   * in the current game (hand) because all but at most one of the remaining players are
+   * [all-in]{@link CypherPokerPlayer#isAllIn}, and public cards remain to be dealt.
+   * @readonly
    */
-   get minimumBet() {
-      var player = this.getPlayer(this.ownPID);
-      var tableInfo = this.table.tableInfo;
-      if ((player.hasBet == false) && (player.isSmallBlind == true) && (player.totalBet.equals(0))) {
-         if ((tableInfo.smallBlind != undefined) && (tableInfo.smallBlind != null) && (tableInfo.smallBlind != "")) {
-            return (bigInt(tableInfo.smallBlind));
-         }
-      } else if ((player.hasBet == false) && (player.isBigBlind == true) && (player.totalBet.equals(0))) {
-         if ((tableInfo.bigBlind != undefined) && (tableInfo.bigBlind != null) && (tableInfo.bigBlind != "")) {
-            return (bigInt(tableInfo.bigBlind));
+   get runTwiceAvailable() {
+      if ((this.table.tableInfo.runTwice != true) || this.isStud || (this.gameStarted == false)) {
+         return (false);
+      }
+      if (this.getPlayer(this.ownPID).dealtCards.length < this.variant.privateCards) {
+         return (false);
+      }
+      if ((this.cardDecks.public.length >= this.variant.publicCards) || (this.bettingDone == false)) {
+         return (false);
+      }
+      var nonFoldedPlayers = 0;
+      var activePlayers = 0; //non-folded and not all-in
+      for (var count=0; count < this.players.length; count++) {
+         if (this.players[count].hasFolded == false) {
+            nonFoldedPlayers++;
+            if (this.players[count].isAllIn == false) {
+               activePlayers++;
+            }
          }
       }
-      return (this.largestBet.subtract(player.totalBet));
+      return ((nonFoldedPlayers > 1) && (activePlayers < 2));
    }
 
    /**
-   * @property {BigInteger} largestBet The largest bet currently placed by
-   * a non-folded player at the table.
+   * @property {Boolean} runTwicePending True if running the remaining public cards twice is
+   * [available]{@link CypherPokerGame#runTwiceAvailable} but not all of the remaining players
+   * have decided whether or not to do so. No further cards are dealt until they have.
+   * @readonly
    */
-   get largestBet() {
-      var largestBet = bigInt(0);
+   get runTwicePending() {
+      if (this.runTwiceAvailable == false) {
+         return (false);
+      }
       for (var count=0; count < this.players.length; count++) {
-         if ((largestBet.compare(this.players[count].totalBet) == -1) && (this.players[count].hasFolded == false)) {
-            largestBet = this.players[count].totalBet;
+         if ((this.players[count].hasFolded == false) && (this.players[count].runTwice == null)) {
+            return (true);
          }
       }
-      return (largestBet);
+      return (false);
    }
 
    /**
-   * @property {Boolean} canDeal If true, we can initiate the next round of card
-   * dealing (private or public), via the [dealCards]{@link CypherPokerGame#dealCards} function.
+   * @property {Boolean} runTwice True if all remaining players have agreed to deal the
+   * remaining public cards twice. Each pot is then split evenly between the winners of the
+   * first board (the <code>public</code> cards of the [cardDecks]{@link CypherPokerGame#cardDecks}),
+   * and the second board.
+   * @readonly
    */
-   get canDeal() {
+   get runTwice() {
+      var nonFoldedPlayers = 0;
+      for (var count=0; count < this.players.length; count++) {
+         if (this.players[count].hasFolded == false) {
+            if (this.players[count].runTwice != true) {
+               return (false);
+            }
+            nonFoldedPlayers++;
+         }
+      }
+      return (nonFoldedPlayers > 1);
+   }
+
+   /**
+   * @property {Number} runTwiceShared=0 The number of public cards that had been dealt when all
+   * remaining players agreed to [run the remaining cards twice]{@link CypherPokerGame#runTwice}.
+   * These cards are shared by both boards.
+   * @readonly
+   */
+   get runTwiceShared() {
+      if ((this._runTwiceShared == undefined) || (this._runTwiceShared == null)) {
+         return (0);
+      }
+      return (this._runTwiceShared);
+   }
+
+   /**
+   * Records our decision on whether or not to deal the remaining public cards twice
+   * when [runTwiceAvailable]{@link CypherPokerGame#runTwiceAvailable} is true, and sends it to
+   * the other players. The remaining cards are only run twice if all remaining players agree.
+   *
+   * @param {Boolean} [agree=true] True to agree to run the remaining cards twice, false to
+   * run them once.
+   *
+   * @return {Boolean} True if the decision was recorded and sent.
+   * @throws {Error} Thrown if running the remaining cards twice isn't available or
+   * if we've already decided.
+   * @fires CypherPokerGame#gameruntwice
+   */
+   agreeRunTwice(agree=true) {
+      if (this.runTwiceAvailable == false) {
+         throw (new Error("Running the remaining cards twice isn't available."));
+      }
+      var player = this.getPlayer(this.ownPID);
+      if (player.hasFolded) {
+         throw (new Error("Folded players can't run the remaining cards twice."));
+      }
+      if (player.runTwice != null) {
+         throw (new Error("Already decided whether to run the remaining cards twice."));
+      }
+      player.runTwice = agree;
+      var runTwiceObj = new Object();
+      runTwiceObj.agree = agree;
+      this.sendToPlayers("gameruntwice", runTwiceObj);
+      this.onRunTwiceDecision(player);
+      return (true);
+   }
+
+   /**
+   * Handles a decision by a player, possibly us, on whether or not to deal the remaining
+   * public cards twice. If all remaining players have agreed, the number of
+   * [shared]{@link CypherPokerGame#runTwiceShared} public cards is recorded.
+   *
+   * @param {CypherPokerPlayer} player The player that made the decision.
+   *
+   * @fires CypherPokerGame#gameruntwice
+   * @private
+   */
+   onRunTwiceDecision(player) {
+      if (this.runTwice && ((this._runTwiceShared == undefined) || (this._runTwiceShared == null))) {
+         //no cards are dealt until everyone has decided so this is the same for all players
+         this._runTwiceShared = this.cardDecks.public.length;
+      }
+      var event = new Event("gameruntwice");
+      event.player = player;
+      event.agree = player.runTwice;
+      event.runTwice = this.runTwice;
+      event.game = this;
+      event.table = this.table;
+      this.dispatchEvent(event);
+   }
+
+   /**
+   * @property {BigInteger} minimumBet The minimum bet that must be placed by
+   * us during this round of betting in order to continue playing.
+   */
+   get minimumBet() {
+      var player = this.getPlayer(this.ownPID);
+      var tableInfo = this.table.tableInfo;
+      if (this.isStud) {
+         if (this.isBlindBet(this.ownPID)) {
+            //bring-in
+            return (this.smallBlind);
+         }
+         return (this.largestBet.subtract(player.totalBet));
+      }
+      var straddle = this.getStraddle();
+      if ((straddle != null) && (straddle.privateID == this.ownPID) && this.isBlindBet(this.ownPID)) {
+         return (this.straddle);
+      }
+      if ((player.hasBet == false) && (player.isSmallBlind == true) && (player.totalBet.equals(0))) {
+         if ((tableInfo.smallBlind != undefined) && (tableInfo.smallBlind != null) && (tableInfo.smallBlind != "")) {
+            return (this.smallBlind);
+         }
+      } else if ((player.hasBet == false) && (player.isBigBlind == true) && (player.totalBet.equals(0))) {
+         if ((tableInfo.bigBlind != undefined) && (tableInfo.bigBlind != null) && (tableInfo.bigBlind != "")) {
+            return (this.bigBlind);
+         }
+      }
+      return (this.largestBet.subtract(player.totalBet));
+   }
+
+   /**
+   * @property {BigInteger} largestBet The largest bet currently placed by
+   * a non-folded player at the table.
+   */
+   get largestBet() {
+      var largestBet = bigInt(0);
+      for (var count=0; count < this.players.length; count++) {
+         if ((largestBet.compare(this.players[count].totalBet) == -1) && (this.players[count].hasFolded == false)) {
+            largestBet = this.players[count].totalBet;
+         }
+      }
+      return (largestBet);
+   }
+
+   /**
+   * @property {Object} bettingRound Information about the current round of betting used to enforce
+   * the [bettingStructure]{@link CypherPokerGame#bettingStructure}. A new round begins whenever the
+   * number of public cards or the [street]{@link CypherPokerGame#street} changes.
+   * @property {Number} bettingRound.publicCards The number of public cards dealt when the round began.
+   * @property {Number} bettingRound.street The [street]{@link CypherPokerGame#street} when the round began.
+   * @property {Number} bettingRound.raises The number of raises made during the round, not including blinds.
+   * @property {BigInteger} bettingRound.lastRaise The size of the last full raise made during the round, or the
+   * table's big blind (the [straddle]{@link CypherPokerGame#straddle} pre-flop if there is one), if no raise has
+   * yet been made.
+   * @readonly
+   */
+   get bettingRound() {
+      var numPublicCards = this.cardDecks.public.length;
+      var street = this.street;
+      if ((this._bettingRound == undefined) || (this._bettingRound == null) || (this._bettingRound.publicCards != numPublicCards) ||
+         (this._bettingRound.street != street)) {
+         this._bettingRound = new Object();
+         this._bettingRound.publicCards = numPublicCards;
+         this._bettingRound.street = street;
+         this._bettingRound.raises = 0;
+         this._bettingRound.lastRaise = this.bigBlind;
+         if ((numPublicCards == 0) && (this.isStud == false) && (this.getStraddle() != null)) {
+            this._bettingRound.lastRaise = this.straddle;
+         }
+      }
+      return (this._bettingRound);
+   }
+
+   /**
+   * @property {BigInteger} minimumRaise The smallest bet that we may place in order to raise during
+   * this round of betting, including any amount needed to call, or <code>null</code> if we may not raise.
+   * If our balance is smaller than a full raise, this is our remaining balance (all-in).
+   * @readonly
+   */
+   get minimumRaise() {
+      return (this.getRaiseLimits(this.ownPID).minimum);
+   }
+
+   /**
+   * @property {BigInteger} maximumRaise The largest bet that we may place during this round of betting,
+   * including any amount needed to call, or <code>null</code> if we may not raise.
+   * @readonly
+   */
+   get maximumRaise() {
+      return (this.getRaiseLimits(this.ownPID).maximum);
+   }
+
+   /**
+   * Returns the smallest and largest bets that a player may place in order to raise during
+   * the current round of betting, as determined by the [bettingStructure]{@link CypherPokerGame#bettingStructure}.
+   * Both amounts include any amount required to call and are limited to the player's remaining balance.
+   *
+   * @param {String} PID The private ID of the player for whom to return the raise limits.
+   *
+   * @return {Object} Contains the <code>minimum</code> and <code>maximum</code> bet amounts, as
+   * <code>BigInteger</code> instances, that the player may place to raise. Both properties are
+   * <code>null</code> if the player may not raise because the round's raise cap has been reached
+   * or because their balance doesn't exceed the amount needed to call.
+   */
+   getRaiseLimits(PID) {
+      var player = this.getPlayer(PID);
+      var structure = this.bettingStructure;
+      var round = this.bettingRound;
+      var returnObj = new Object();
+      returnObj.minimum = null;
+      returnObj.maximum = null;
+      var callAmount = this.largestBet.subtract(player.totalBet);
+      if (callAmount.lesser(0)) {
+         callAmount = bigInt(0);
+      }
+      if ((structure.raiseCap > 0) && (round.raises >= structure.raiseCap)) {
+         return (returnObj);
+      }
+      if (player.balance.lesserOrEquals(callAmount)) {
+         return (returnObj);
+      }
+      var maxIncrement = null;
+      if (structure.type == "fixed-limit") {
+         if ((round.publicCards < 4) && (round.street < 2)) {
+            var minIncrement = structure.smallBet;
+         } else {
+            minIncrement = structure.bigBet;
+         }
+         maxIncrement = minIncrement;
+      } else {
+         minIncrement = bigInt.max(round.lastRaise, this.bigBlind);
+         if (structure.type == "pot-limit") {
+            //the pot after we call
+            var potAmount = bigInt(0);
+            for (var count=0; count < this.players.length; count++) {
+               potAmount = potAmount.add(this.players[count].totalBet).add(this.players[count].deadBet);
+            }
+            maxIncrement = potAmount.add(callAmount);
+         }
+      }
+      returnObj.minimum = bigInt.min(callAmount.add(minIncrement), player.balance);
+      if (maxIncrement == null) {
+         returnObj.maximum = player.balance;
+      } else {
+         returnObj.maximum = bigInt.min(callAmount.add(maxIncrement), player.balance);
+      }
+      if (this.isStud && (round.street == 0) && this.largestBet.lesser(this.bigBlind)) {
+         //the bring-in may only be completed to the big blind (small bet)
+         returnObj.minimum = bigInt.min(this.bigBlind.subtract(player.totalBet), player.balance);
+         if (structure.type == "fixed-limit") {
+            returnObj.maximum = returnObj.minimum;
+         }
+      }
+      return (returnObj);
+   }
+
+   /**
+   * Checks whether the next bet placed by a player will be their blind bet.
+   *
+   * @param {String} PID The private ID of the player to check.
+   *
+   * @return {Boolean} True if the player is the small blind, big blind, or
+   * [straddle]{@link CypherPokerGame#getStraddle} and hasn't yet placed a bet or taken
+   * any other action in the pre-flop round of betting. If the game [isStud]{@link CypherPokerGame#isStud},
+   * true if the player must post the bring-in; they're the [first player]{@link CypherPokerGame#getStudFirstPlayer}
+   * on the first street and haven't yet taken any action.
+   */
+   isBlindBet(PID) {
+      var player = this.getPlayer(PID);
+      if (this.isStud) {
+         if ((this.street > 0) || (player.numActions > 0) || (player.totalBet.equals(0) == false)) {
+            return (false);
+         }
+         var firstPlayer = this.getStudFirstPlayer();
+         if (firstPlayer == null) {
+            return (false);
+         }
+         return (firstPlayer.privateID == PID);
+      }
+      if (this.cardDecks.public.length > 0) {
+         return (false);
+      }
+      if ((player.numActions > 0) || (player.totalBet.equals(0) == false)) {
+         return (false);
+      }
+      var straddle = this.getStraddle();
+      if ((straddle != null) && (straddle.privateID == PID)) {
+         return (true);
+      }
+      return (player.isSmallBlind || player.isBigBlind);
+   }
+
+   /**
+   * Checks a bet amount against the table's [bettingStructure]{@link CypherPokerGame#bettingStructure}.
+   * Blind bets must match the table's blind or straddle amounts (or the player's remaining balance if smaller),
+   * a stud bring-in must match the small blind or complete the bet to the big blind, and
+   * raises must fall within the limits returned by [getRaiseLimits]{@link CypherPokerGame#getRaiseLimits}
+   * unless the player is going all-in for less than a full raise. The same rules are enforced
+   * by the game contract.
+   *
+   * @param {String} PID The private ID of the player placing the bet.
+   * @param {Number|String|BigInteger} betAmount The bet amount to check. Folds (negative amounts),
+   * checks, and calls are always valid.
+   *
+   * @return {Boolean} True if the bet amount is valid.
+   * @throws {Error} Thrown with a description of the problem if the bet amount isn't valid.
+   */
+   checkBettingStructure(PID, betAmount) {
+      betAmount = bigInt(betAmount);
+      var player = this.getPlayer(PID);
+      if (betAmount.lesser(0)) {
+         return (true);
+      }
+      if (this.isBlindBet(PID) && this.isStud) {
+         var bringIn = bigInt.min(this.smallBlind, player.balance);
+         var completion = bigInt.min(this.bigBlind, player.balance);
+         if ((betAmount.equals(bringIn) == false) && (betAmount.equals(completion) == false)) {
+            throw (new Error("Bring-in must be \""+bringIn.toString(10)+"\" or \""+completion.toString(10)+"\"."));
+         }
+         return (true);
+      }
+      if (this.isBlindBet(PID)) {
+         var straddle = this.getStraddle();
+         if ((straddle != null) && (straddle.privateID == PID)) {
+            var blindAmount = bigInt.min(this.straddle, player.balance);
+         } else if (player.isBigBlind) {
+            blindAmount = bigInt.min(this.bigBlind, player.balance);
+         } else {
+            blindAmount = bigInt.min(this.smallBlind, player.balance);
+         }
+         if (betAmount.equals(blindAmount) == false) {
+            throw (new Error("Blind bet must be \""+blindAmount.toString(10)+"\"."));
+         }
+         return (true);
+      }
+      if (player.totalBet.add(betAmount).lesserOrEquals(this.largestBet)) {
+         return (true);
+      }
+      var limits = this.getRaiseLimits(PID);
+      if (limits.maximum == null) {
+         throw (new Error("No further raises are allowed in this round of betting."));
+      }
+      if (betAmount.greater(limits.maximum)) {
+         throw (new Error("Bet amount (\""+betAmount.toString(10)+"\") may not exceed \"" + limits.maximum.toString(10) + "\"."));
+      }
+      if (betAmount.lesser(limits.minimum) && (betAmount.equals(player.balance) == false)) {
+         throw (new Error("Raise amount (\""+betAmount.toString(10)+"\") must be at least \"" + limits.minimum.toString(10) + "\"."));
+      }
+      return (true);
+   }
+
+   /**
+   * Updates the [bettingRound]{@link CypherPokerGame#bettingRound} with a raise. This
+   * function should not be called for blind bets.
+   *
+   * @param {BigInteger} raiseAmount The amount by which the largest bet was raised.
+   *
+   * @private
+   */
+   updateBettingRound(raiseAmount) {
+      var round = this.bettingRound;
+      round.raises++;
+      //all-in raises smaller than a full raise don't change the minimum raise
+      if (raiseAmount.greaterOrEquals(round.lastRaise)) {
+         round.lastRaise = raiseAmount;
+      }
+   }
+
+   /**
+   * @property {Array} pots The main pot and any side pots for the current game
+   * (hand), as generated by [createPots]{@link CypherPokerGame#createPots}.
+   * @readonly
+   */
+   get pots() {
+      return (this.createPots());
+   }
+
+   /**
+   * Builds the main pot and any side pots from the bets committed by players.
+   * Each pot is capped at the smallest outstanding bet of a non-folded player
+   * so that an [all-in]{@link CypherPokerPlayer#isAllIn} player is only eligible
+   * to win the amounts that they've matched. [Dead money]{@link CypherPokerPlayer#deadBet}
+   * is added to the main pot, or forms its own main pot if a non-folded player is all-in
+   * without having bet. The same pots are built by the game contract.
+   *
+   * @param {Array} [players=null] The {@link CypherPokerPlayer} instances or copies
+   * from which to build the pots. If <code>null</code>, the [players]{@link CypherPokerGame#players}
+   * array of this instance is used.
+   *
+   * @return {Array} Indexed array of pot objects with the main pot at index 0 followed
+   * by any side pots in the order that they were opened. Each object contains an <code>amount</code>
+   * string and an <code>eligible</code> array of private IDs of players that may win it.
+   */
+   createPots(players=null) {
+      if (players == null) {
+         players = this.players;
+      }
+      var contributions = new Object();
+      var potPlayers = new Array();
+      for (var count=0; count < players.length; count++) {
+         var totalBet = bigInt(players[count].totalBet);
+         if (totalBet.greater(0)) {
+            contributions[players[count].privateID] = totalBet;
+            potPlayers.push(players[count]);
+         }
+      }
+      var pots = new Array();
+      while (true) {
+         var potCap = null;
+         for (count=0; count < potPlayers.length; count++) {
+            var player = potPlayers[count];
+            var contribution = contributions[player.privateID];
+            if ((player.hasFolded == false) && contribution.greater(0)) {
+               if ((potCap == null) || contribution.lesser(potCap)) {
+                  potCap = contribution;
+               }
+            }
+         }
+         if (potCap == null) {
+            break;
+         }
+         var pot = new Object();
+         pot.amount = bigInt(0);
+         pot.eligible = new Array();
+         for (count=0; count < potPlayers.length; count++) {
+            player = potPlayers[count];
+            contribution = contributions[player.privateID];
+            if (contribution.greater(0)) {
+               var share = bigInt.min(contribution, potCap);
+               pot.amount = pot.amount.add(share);
+               contributions[player.privateID] = contribution.minus(share);
+               if (player.hasFolded == false) {
+                  pot.eligible.push(player.privateID);
+               }
+            }
+         }
+         pots.push(pot);
+      }
+      //bets by folded players above the final cap belong to the last pot
+      var remainder = bigInt(0);
+      for (var privateID in contributions) {
+         remainder = remainder.add(contributions[privateID]);
+      }
+      if (remainder.greater(0)) {
+         if (pots.length == 0) {
+            pot = new Object();
+            pot.amount = bigInt(0);
+            pot.eligible = new Array();
+            for (count=0; count < players.length; count++) {
+               if (players[count].hasFolded == false) {
+                  pot.eligible.push(players[count].privateID);
+               }
+            }
+            pots.push(pot);
+         }
+         pots[pots.length-1].amount = pots[pots.length-1].amount.add(remainder);
+      }
+      //dead money (antes and dead blinds) belongs to the main pot
+      var deadMoney = bigInt(0);
+      var separateDeadPot = (pots.length == 0);
+      for (count=0; count < players.length; count++) {
+         deadMoney = deadMoney.add(bigInt(players[count].deadBet));
+         if ((players[count].hasFolded == false) && bigInt(players[count].totalBet).equals(0)) {
+            //a player went all-in on dead money alone so they may only win the dead money
+            separateDeadPot = true;
+         }
+      }
+      if (deadMoney.greater(0)) {
+         if (separateDeadPot) {
+            pot = new Object();
+            pot.amount = deadMoney;
+            pot.eligible = new Array();
+            for (count=0; count < players.length; count++) {
+               if (players[count].hasFolded == false) {
+                  pot.eligible.push(players[count].privateID);
+               }
+            }
+            pots.unshift(pot);
+         } else {
+            pots[0].amount = pots[0].amount.add(deadMoney);
+         }
+      }
+      for (count=0; count < pots.length; count++) {
+         pots[count].amount = pots[count].amount.toString(10);
+      }
+      return (pots);
+   }
+
+   /**
+   * @property {Boolean} canDeal If true, we can initiate the next round of card
+   * dealing (private or public), via the [dealCards]{@link CypherPokerGame#dealCards} function.
+   * If the game [isStud]{@link CypherPokerGame#isStud}, each non-folded player deals their own
+   * cards for a street once betting on the previous street is done and all non-folded players
+   * before them, starting with the dealer, have selected theirs.
+   */
+   get canDeal() {
       if (this.gameStarted == false) {
          return (false);
       }
+      if (this.isStud) {
+         return (this.canDealStreet());
+      }
       var initialDealer = this.getDealer();
       var player = this.getPlayer(this.ownPID);
-      if (player.dealtCards.length < 2) {
+      if (player.dealtCards.length < this.variant.privateCards) {
          if (initialDealer.privateID == this.ownPID) {
             //private cards not yet dealt and we're the dealer
             return (true);
@@ -868,11 +1938,16 @@ class CypherPokerGame extends EventDispatcher {
             return (true);
          }
       } else {
-         if (this.cardDecks.public.length == 5) {
+         if (this.runTwicePending) {
+            //wait for all remaining players to decide whether to run the remaining cards twice
+            return (false);
+         }
+         if ((this.cardDecks.public.length == this.variant.publicCards) &&
+            ((this.runTwice == false) || (this.cardDecks.secondBoard.length > 0))) {
             //all cards dealt
             return (false);
          }
-         //find next public card dealer in round-robin fashion
+         //find next public card dealer in round-robin fashion (the second board is dealt after the final public card)
          var nextDealer = this.getNextPlayer(initialDealer.privateID);
          for (var count = 2; count < this.cardDecks.public.length; count++) {
             nextDealer = this.getNextPlayer(nextDealer.privateID);
@@ -884,6 +1959,51 @@ class CypherPokerGame extends EventDispatcher {
       return (false);
    }
 
+   /**
+   * Checks whether we can deal (select), our own cards for the current street in a game that
+   * [isStud]{@link CypherPokerGame#isStud}. Face-down cards are dealt before face-up ones and
+   * a new deal is only started once our previous one has been fully decrypted.
+   *
+   * @return {Boolean} True if we can deal our own cards for the current street.
+   * @private
+   */
+   canDealStreet() {
+      var streetsDealt = this.streetsDealt;
+      if (streetsDealt >= this.variant.streets.length) {
+         //all cards dealt
+         return (false);
+      }
+      if ((streetsDealt > 0) && (this.streetDealing == false) && (this.bettingDone == false)) {
+         //betting on the previous street hasn't completed
+         return (false);
+      }
+      var ownPlayer = this.getPlayer(this.ownPID);
+      if (ownPlayer.hasFolded) {
+         return (false);
+      }
+      if ((ownPlayer.selectedCards.length > ownPlayer.dealtCards.length) || (ownPlayer.selectedUpCards.length > ownPlayer.upCards.length)) {
+         //our previous deal is still being decrypted
+         return (false);
+      }
+      var streetCards = this.getStreetCards(streetsDealt);
+      if ((ownPlayer.selectedCards.length >= streetCards.down) && (ownPlayer.selectedUpCards.length >= streetCards.up)) {
+         //already dealt
+         return (false);
+      }
+      var dealer = this.getDealer();
+      var player = dealer;
+      while (player.privateID != this.ownPID) {
+         if (player.hasFolded == false) {
+            if ((player.selectedCards.length < streetCards.down) || (player.selectedUpCards.length < streetCards.up)) {
+               //a player before us hasn't dealt their cards for this street yet
+               return (false);
+            }
+         }
+         player = this.getNextPlayer(player.privateID);
+      }
+      return (true);
+   }
+
    /**
    * @property {CypherPokerAnalyzer} analyzer The current analyzer instance
    * associated with this game.
@@ -999,6 +2119,29 @@ class CypherPokerGame extends EventDispatcher {
       return (null);
    }
 
+   /**
+   * Returns a {@link CypherPokerPlayer} instance seated at the table associated with
+   * this game instance, whether or not they're dealt into the current game (hand).
+   *
+   * @param {String} privateID The private ID of the player.
+   *
+   * @return {CypherPokerPlayer} The {@link CypherPokerPlayer} for the private ID from
+   * the [players]{@link CypherPokerGame#players} or [sittingOutPlayers]{@link CypherPokerGame#sittingOutPlayers}
+   * array. <code>null</code> is returned if no matching player private ID can be found.
+   */
+   getSeatedPlayer(privateID) {
+      var player = this.getPlayer(privateID);
+      if (player != null) {
+         return (player);
+      }
+      for (var count=0; count < this.sittingOutPlayers.length; count++) {
+         if (this.sittingOutPlayers[count].privateID == privateID) {
+            return (this.sittingOutPlayers[count]);
+         }
+      }
+      return (null);
+   }
+
    /**
    * Returns the {@link CypherPokerPlayer} that appears <i>after</i> a specified
    * player in the [players]{@link CypherPokerGame#players} array.
@@ -1094,35 +2237,329 @@ class CypherPokerGame extends EventDispatcher {
    }
 
    /**
-   * Processes any queued message events found in the [messageQueue]{@link CypherPokerGame#messageQueue}.
+   * Returns the {@link CypherPokerPlayer} that must post the [straddle]{@link CypherPokerGame#straddle}.
+   * A straddle is only posted if the table's <code>tableInfo.straddle</code> is true and there are at
+   * least three players, in which case the player following the big blind (under the gun), posts it.
    *
-   * @async
-   * @private
+   * @return {CypherPokerPlayer} The {@link CypherPokerPlayer} instance that must post
+   * the straddle. <code>null</code> is returned if there's no straddle.
    */
-   async processMessageQueue() {
-      while (this.messageQueue.length > 0) {
-         var nextMessageEvent = this.messageQueue.shift(); //process oldest first
-         var result = await this.handleP2PMessage(nextMessageEvent);
+   getStraddle() {
+      if ((this.table.tableInfo.straddle != true) || (this.players.length < 3)) {
+         return (null);
       }
-      return (true);
+      var bigBlind = this.getBigBlind();
+      if (bigBlind == null) {
+         return (null);
+      }
+      return (this.getNextPlayer(bigBlind.privateID));
    }
 
    /**
-   * Sends a message to player(s) associated with this game. Table
-   * information is automatically appended to the message.
+   * Returns the {@link CypherPokerPlayer} that is the last blind; the [straddle]{@link CypherPokerGame#getStraddle}
+   * if there is one, otherwise the [big blind]{@link CypherPokerGame#getBigBlind}. The last blind is the final
+   * player to act in the pre-flop round of betting unless there's a raise.
    *
-   * @param {String} messageType The CypherPoker.JS message type to send
-   * to recipients. This should begin with "game" in order to
-   * prevent conflicts with other peer-to-peer message types.
-   * @param {Object} [payload=null] Additional data to include with
-   * the message's <code>payload</code> property.
-   * @param {Array} [privateIDs=null] The private ID(s) of the target(s) / recipient(s).
-   * If <code>null</code>, the list of recipients comes from the associated
-   * [table]{@link CypherPokerGame#table}.<code>joinedPID</code> array.
+   * @return {CypherPokerPlayer} The {@link CypherPokerPlayer} instance that is the last
+   * blind. <code>null</code> is returned if no big blind is flagged.
    */
-   sendToPlayers(messageType, payload=null, privateIDs=null) {
-      this.debug("sendToPlayers(\""+messageType+"\", "+payload+", "+privateIDs+")");
-      if (privateIDs == null) {
+   getLastBlind() {
+      var straddle = this.getStraddle();
+      if (straddle != null) {
+         return (straddle);
+      }
+      return (this.getBigBlind());
+   }
+
+   /**
+   * Returns the dead money that a player must post at the start of a game (hand). This
+   * includes the [ante]{@link CypherPokerGame#ante}, which is posted either by every player
+   * or, if the table's <code>tableInfo.anteType</code> is "bigblind", only by the big blind on
+   * behalf of the table. A player that [missed the small blind]{@link CypherPokerPlayer#missedSmallBlind}
+   * or [big blind]{@link CypherPokerPlayer#missedBigBlind} also posts the missed blind(s) as dead money
+   * unless they're a blind in this game. Forced bets are posted by the game contract once all players
+   * have agreed to it. If the game [isStud]{@link CypherPokerGame#isStud}, only the ante is posted
+   * and it's always posted by every player.
+   *
+   * @param {String} PID The private ID of the player for whom to calculate the forced bet.
+   *
+   * @return {BigInteger} The total amount of dead money that the player must post, before
+   * being limited to their balance.
+   */
+   getForcedBet(PID) {
+      var player = this.getPlayer(PID);
+      var forcedBet = bigInt(0);
+      if ((this.table.tableInfo.anteType == "bigblind") && (this.isStud == false)) {
+         if (player.isBigBlind) {
+            forcedBet = forcedBet.add(this.ante);
+         }
+      } else {
+         forcedBet = forcedBet.add(this.ante);
+      }
+      if (this.isStud) {
+         //there are no blinds to miss
+         return (forcedBet);
+      }
+      if ((player.isSmallBlind == false) && (player.isBigBlind == false)) {
+         if (player.missedSmallBlind) {
+            forcedBet = forcedBet.add(this.smallBlind);
+         }
+         if (player.missedBigBlind) {
+            forcedBet = forcedBet.add(this.bigBlind);
+         }
+      }
+      return (forcedBet);
+   }
+
+   /**
+   * Returns the number of face-down and face-up cards that each player holds once a street
+   * has been dealt in a game that [isStud]{@link CypherPokerGame#isStud}.
+   *
+   * @param {Number} streetIndex The index of the street within the <code>streets</code> array
+   * of the [variant]{@link CypherPokerGame#variant}.
+   *
+   * @return {Object} Contains the total number of <code>down</code> and <code>up</code> cards
+   * dealt to each player up to and including the street. Both are 0 if <code>streetIndex</code>
+   * is less than 0.
+   */
+   getStreetCards(streetIndex) {
+      var streetCards = new Object();
+      streetCards.down = 0;
+      streetCards.up = 0;
+      var streets = this.variant.streets;
+      for (var count=0; (count <= streetIndex) && (count < streets.length); count++) {
+         streetCards.down += streets[count].down;
+         streetCards.up += streets[count].up;
+      }
+      return (streetCards);
+   }
+
+   /**
+   * @property {Number} streetsDealt The number of streets that have been completely dealt in a game
+   * that [isStud]{@link CypherPokerGame#isStud}. A street is completely dealt once every non-folded player
+   * has selected their face-down cards and revealed their face-up cards, and we've decrypted our own
+   * face-down cards. Always 0 if the game doesn't use streets.
+   * @readonly
+   */
+   get streetsDealt() {
+      if (this.isStud == false) {
+         return (0);
+      }
+      var ownPlayer = this.getPlayer(this.ownPID);
+      var streets = this.variant.streets;
+      for (var count=0; count < streets.length; count++) {
+         var streetCards = this.getStreetCards(count);
+         if ((ownPlayer.hasFolded == false) && (ownPlayer.dealtCards.length < streetCards.down)) {
+            return (count);
+         }
+         for (var count2=0; count2 < this.players.length; count2++) {
+            var player = this.players[count2];
+            if (player.hasFolded == false) {
+               if ((player.selectedCards.length < streetCards.down) || (player.upCards.length < streetCards.up)) {
+                  return (count);
+               }
+            }
+         }
+      }
+      return (streets.length);
+   }
+
+   /**
+   * @property {Number} street The index of the current street (round of dealing and betting), within the
+   * <code>streets</code> array of the [variant]{@link CypherPokerGame#variant}. This is the last
+   * [completely dealt]{@link CypherPokerGame#streetsDealt} street. Always 0 if the game doesn't
+   * use streets.
+   * @readonly
+   */
+   get street() {
+      return (Math.max((this.streetsDealt - 1), 0));
+   }
+
+   /**
+   * @property {Boolean} streetDealing True if a street is currently being dealt in a game that
+   * [isStud]{@link CypherPokerGame#isStud}; at least one non-folded player has selected cards for a
+   * street that hasn't yet been [completely dealt]{@link CypherPokerGame#streetsDealt}.
+   * @readonly
+   */
+   get streetDealing() {
+      if (this.isStud == false) {
+         return (false);
+      }
+      var dealtCards = this.getStreetCards(this.streetsDealt - 1);
+      for (var count=0; count < this.players.length; count++) {
+         var player = this.players[count];
+         if (player.hasFolded == false) {
+            if ((player.selectedCards.length > dealtCards.down) || (player.selectedUpCards.length > dealtCards.up)) {
+               return (true);
+            }
+         }
+      }
+      return (false);
+   }
+
+   /**
+   * Returns the player that acts first in the current [street]{@link CypherPokerGame#street} of a game
+   * that [isStud]{@link CypherPokerGame#isStud}. On the first street this is the player with the lowest
+   * face-up card, who must post the bring-in. Cards are ranked by their <code>highvalue</code> and then
+   * by suit, from lowest to highest: clubs, diamonds, hearts, spades. On subsequent streets this is the
+   * player with the best showing hand (see [scoreShowingCards]{@link CypherPokerGame#scoreShowingCards}),
+   * with ties going to the player nearest to the dealer's left. The same rules are applied by the game
+   * contract.
+   *
+   * @return {CypherPokerPlayer} The first player to act or <code>null</code> if the
+   * current street hasn't been completely dealt.
+   */
+   getStudFirstPlayer() {
+      var streetsDealt = this.streetsDealt;
+      if ((streetsDealt == 0) || this.streetDealing) {
+         return (null);
+      }
+      var suitValues = new Object();
+      suitValues.clubs = 0;
+      suitValues.diamonds = 1;
+      suitValues.hearts = 2;
+      suitValues.spades = 3;
+      var numUpCards = this.getStreetCards(streetsDealt - 1).up;
+      var firstPlayer = null;
+      var firstScore = null;
+      var dealer = this.getDealer();
+      var player = this.getNextPlayer(dealer.privateID);
+      for (var count=0; count < this.players.length; count++) {
+         if (player.hasFolded == false) {
+            var upCards = player.upCards.slice(0, numUpCards);
+            if (streetsDealt == 1) {
+               //lowest card brings in (score is negated so that the highest score wins below)
+               var lowestCard = null;
+               for (var count2=0; count2 < upCards.length; count2++) {
+                  var card = upCards[count2];
+                  if ((lowestCard == null) || (card.highvalue < lowestCard.highvalue) ||
+                     ((card.highvalue == lowestCard.highvalue) && (suitValues[card.suit] < suitValues[lowestCard.suit]))) {
+                     lowestCard = card;
+                  }
+               }
+               var score = new Array();
+               score.push(0 - lowestCard.highvalue);
+               score.push(0 - suitValues[lowestCard.suit]);
+            } else {
+               score = this.scoreShowingCards(upCards);
+            }
+            if ((firstScore == null) || (this.compareShowingScores(score, firstScore) > 0)) {
+               firstPlayer = player;
+               firstScore = score;
+            }
+         }
+         player = this.getNextPlayer(player.privateID);
+      }
+      return (firstPlayer);
+   }
+
+   /**
+   * Scores a partial (showing), hand of face-up cards in a game that [isStud]{@link CypherPokerGame#isStud}.
+   * Only pairs, two pairs, three of a kind and four of a kind are considered; straights and
+   * flushes don't count toward a showing hand.
+   *
+   * @param {Array} cards Indexed array of face-up {@link CypherPokerCard} instances to score.
+   *
+   * @return {Array} The score of the cards with the hand's rank (0 for high card, 1 for one pair,
+   * 2 for two pair, 3 for three of a kind, and 4 for four of a kind), at index 0 followed by the
+   * card values of the hand from most to least significant. Scores may be compared using
+   * [compareShowingScores]{@link CypherPokerGame#compareShowingScores}.
+   * @private
+   */
+   scoreShowingCards(cards) {
+      var valueCounts = new Object();
+      for (var count=0; count < cards.length; count++) {
+         var value = cards[count].highvalue;
+         if (valueCounts[value] == undefined) {
+            valueCounts[value] = 0;
+         }
+         valueCounts[value]++;
+      }
+      var groups = new Array();
+      for (value in valueCounts) {
+         var group = new Object();
+         group.value = Number(value);
+         group.count = valueCounts[value];
+         groups.push(group);
+      }
+      groups.sort((group1, group2) => {
+         if (group1.count != group2.count) {
+            return (group2.count - group1.count);
+         }
+         return (group2.value - group1.value);
+      });
+      var rank = 0;
+      if (groups.length > 0) {
+         if (groups[0].count == 4) {
+            rank = 4;
+         } else if (groups[0].count == 3) {
+            rank = 3;
+         } else if ((groups[0].count == 2) && (groups.length > 1) && (groups[1].count == 2)) {
+            rank = 2;
+         } else if (groups[0].count == 2) {
+            rank = 1;
+         }
+      }
+      var score = new Array();
+      score.push(rank);
+      for (count=0; count < groups.length; count++) {
+         score.push(groups[count].value);
+      }
+      return (score);
+   }
+
+   /**
+   * Compares two scores generated by [scoreShowingCards]{@link CypherPokerGame#scoreShowingCards}.
+   *
+   * @param {Array} score1 The first score to compare.
+   * @param {Array} score2 The second score to compare.
+   *
+   * @return {Number} 1 if <code>score1</code> is higher, -1 if <code>score2</code> is higher,
+   * or 0 if both are the same.
+   * @private
+   */
+   compareShowingScores(score1, score2) {
+      for (var count=0; (count < score1.length) && (count < score2.length); count++) {
+         if (score1[count] > score2[count]) {
+            return (1);
+         } else if (score1[count] < score2[count]) {
+            return (-1);
+         }
+      }
+      return (0);
+   }
+
+   /**
+   * Processes any queued message events found in the [messageQueue]{@link CypherPokerGame#messageQueue}.
+   *
+   * @async
+   * @private
+   */
+   async processMessageQueue() {
+      while (this.messageQueue.length > 0) {
+         var nextMessageEvent = this.messageQueue.shift(); //process oldest first
+         var result = await this.handleP2PMessage(nextMessageEvent);
+      }
+      return (true);
+   }
+
+   /**
+   * Sends a message to player(s) associated with this game. Table
+   * information is automatically appended to the message and it's signed
+   * with our session's signing key (see {@link CypherPoker#sendCPMessage}).
+   *
+   * @param {String} messageType The CypherPoker.JS message type to send
+   * to recipients. This should begin with "game" in order to
+   * prevent conflicts with other peer-to-peer message types.
+   * @param {Object} [payload=null] Additional data to include with
+   * the message's <code>payload</code> property.
+   * @param {Array} [privateIDs=null] The private ID(s) of the target(s) / recipient(s).
+   * If <code>null</code>, the list of recipients comes from the associated
+   * [table]{@link CypherPokerGame#table}.<code>joinedPID</code> array.
+   */
+   sendToPlayers(messageType, payload=null, privateIDs=null) {
+      this.debug("sendToPlayers(\""+messageType+"\", "+payload+", "+privateIDs+")");
+      if (privateIDs == null) {
          var tablePIDs = this.cypherpoker.createTablePIDList(this.table.joinedPID, false);
       } else {
          tablePIDs = privateIDs;
@@ -1130,7 +2567,7 @@ class CypherPokerGame extends EventDispatcher {
       var tableMessageObj = this.cypherpoker.buildCPMessage(messageType);
       this.cypherpoker.copyTable(this.table, tableMessageObj);
       tableMessageObj.payload = payload;
-      this.cypherpoker.p2p.send(tableMessageObj, tablePIDs);
+      this.cypherpoker.sendCPMessage(tableMessageObj, tablePIDs);
    }
 
    /**
@@ -1200,8 +2637,22 @@ class CypherPokerGame extends EventDispatcher {
       }
       if (newGame) {
          this._gameParams = new Object();
-         var event = await this.cypherpoker.crypto.invoke("randomPrime", {bitLength:this.cypherpoker.settings.crypto.bitLength, radix:this.cypherpoker.settings.crypto.radix});
-         this._gameParams.prime = event.data.result;
+         if (this.curve != null) {
+            this._gameParams.curve = this.curve;
+         } else {
+            var policy = this.cryptoPolicy;
+            var primeParams = new Object();
+            primeParams.bitLength = Math.max(this.cypherpoker.settings.crypto.bitLength, policy.minBitLength);
+            primeParams.bitLength = Math.min(primeParams.bitLength, policy.maxBitLength);
+            primeParams.radix = this.cypherpoker.settings.crypto.radix;
+            if (policy.radix != null) {
+               primeParams.radix = policy.radix;
+            }
+            primeParams.safe = policy.safePrime;
+            var event = await this.cypherpoker.crypto.invoke("randomPrime", primeParams);
+            this._gameParams.prime = event.data.result;
+         }
+         this._gameParams.seating = this.getSeating();
       }
       this.sendToPlayers("gameparams", this.gameParams);
       var event = new Event("gameparams");
@@ -1213,6 +2664,110 @@ class CypherPokerGame extends EventDispatcher {
       return (event);
    }
 
+   /**
+   * Checks whether the [gameParams]{@link CypherPokerGame#gameParams} object contains the
+   * parameters required by the game's cryptosystem: a <code>prime</code> number value for SRA,
+   * or a <code>curve</code> name matching the table's [curve]{@link CypherPokerGame#curve}.
+   *
+   * @return {Boolean} True if the game's cryptosystem parameters are present.
+   * @private
+   */
+   hasCryptoParams() {
+      if (this.curve != null) {
+         return (this.gameParams.curve == this.curve);
+      }
+      if ((this.gameParams.curve != undefined) && (this.gameParams.curve != null)) {
+         //table doesn't use a curve
+         return (false);
+      }
+      if ((this.gameParams.prime == undefined) || (this.gameParams.prime == null) || (this.gameParams.prime == "")) {
+         return (false);
+      }
+      return (true);
+   }
+
+   /**
+   * Verifies that game parameters received from the dealer satisfy the table's
+   * [cryptoPolicy]{@link CypherPokerGame#cryptoPolicy}. The SRA prime must be in the required
+   * radix, have at least the minimum and at most the maximum bit length, and pass the "checkPrime" method of the
+   * [crypto]{@link CypherPoker#crypto} interface (as a safe prime if required). Parameters for
+   * a table that uses an elliptic [curve]{@link CypherPokerGame#curve} must name that curve.
+   *
+   * @param {Object} params The game parameters to verify.
+   *
+   * @return {Promise} Resolves with <code>true</code> if the parameters satisfy the policy,
+   * or rejects with an <code>Error</code> describing the violation.
+   * @async
+   * @private
+   */
+   async verifyGameParams(params) {
+      if (this.curve != null) {
+         if (params.curve != this.curve) {
+            throw (new Error("Game parameters don't use the table's curve."));
+         }
+         return (true);
+      }
+      if ((typeof(params.prime) != "string") || (params.prime.trim() == "")) {
+         throw (new Error("Game parameters don't include a prime."));
+      }
+      var prime = params.prime.trim();
+      var policy = this.cryptoPolicy;
+      if (prime.startsWith("0x")) {
+         var radix = 16;
+         var digits = prime.substring(2);
+      } else {
+         radix = 10;
+         digits = prime;
+      }
+      if ((policy.radix != null) && (policy.radix != radix)) {
+         throw (new Error("Prime is not in the required radix ("+policy.radix+")."));
+      }
+      var validDigits = /^[0-9]+$/;
+      if (radix == 16) {
+         validDigits = /^[0-9a-fA-F]+$/;
+      }
+      if (validDigits.test(digits) == false) {
+         throw (new Error("Prime is not a valid number."));
+      }
+      //each hexadecimal digit is 4 bits and each decimal digit is more than 3, so skip parsing oversized values
+      if (digits.replace(/^0+/, "").length > Math.ceil(policy.maxBitLength / ((radix == 16) ? 4 : 3))) {
+         throw (new Error("Prime is longer than the table's maximum of "+policy.maxBitLength+" bits."));
+      }
+      var bitLength = bigInt(digits, radix).toString(2).length;
+      if (bitLength < policy.minBitLength) {
+         throw (new Error("Prime is "+bitLength+" bits but the table requires at least "+policy.minBitLength+"."));
+      }
+      if (bitLength > policy.maxBitLength) {
+         throw (new Error("Prime is "+bitLength+" bits but the table allows at most "+policy.maxBitLength+"."));
+      }
+      var event = await this.cypherpoker.crypto.invoke("checkPrime", {prime:prime, safe:policy.safePrime, maxBitLength:policy.maxBitLength});
+      if (event.data.result != true) {
+         if (policy.safePrime) {
+            throw (new Error("Prime is not a safe prime."));
+         }
+         throw (new Error("Prime is not a prime number."));
+      }
+      return (true);
+   }
+
+   /**
+   * Returns the parameters with which to invoke the "randomKeypair" method of the
+   * [crypto]{@link CypherPoker#crypto} interface for the game's cryptosystem.
+   *
+   * @return {Object} Contains the <code>curve</code> of the [gameParams]{@link CypherPokerGame#gameParams}
+   * if one is being used, otherwise the <code>prime</code>.
+   * @private
+   */
+   keypairParams() {
+      var params = new Object();
+      if ((this.gameParams.curve != undefined) && (this.gameParams.curve != null)) {
+         params.curve = this.gameParams.curve;
+      } else {
+         params.prime = this.gameParams.prime;
+      }
+      return (params);
+   }
+
    /**
    * Generates a {@link keypair} for us and optionally stores it in the first index (0) of the
    * {@link CypherPokerPlayer#keychain} array, shifting all existing keypairs to
@@ -1224,21 +2779,21 @@ class CypherPokerGame extends EventDispatcher {
    *
    * @return {Promise} The resolved promise will return the generated @link keypair} property
    * or reject with an error if the [gameParams]{@link CypherPokerGame#gameParams} object doesn't
-   * contain a valid <code>prime</code> number value.
+   * contain a valid <code>prime</code> number value or <code>curve</code>.
    * @fires CypherPokerGame#gamekeypair
    * @async
    * @private
    */
    async generateKeypair(storeKeypair=true) {
       this.debug("generateKeypair()");
-      if ((this.gameParams.prime == undefined) || (this.gameParams.prime == null) || (this.gameParams.prime == "")) {
-         throw (new Error("Valid prime number value not found in gameParams."));
+      if (this.hasCryptoParams() == false) {
+         throw (new Error("Valid prime number value or curve not found in gameParams."));
       }
       if (storeKeypair) {
          var playerRef = this.getPlayer(this.ownPID);
          playerRef.keychain.unshift(null); //add null to indicate key is being generated
       }
-      var event = await this.cypherpoker.crypto.invoke("randomKeypair", {prime:this.gameParams.prime});
+      var event = await this.cypherpoker.crypto.invoke("randomKeypair", this.keypairParams());
       var keypair = event.data.result;
       if (storeKeypair) {
          playerRef.keychain.shift(); //remove null
@@ -1258,13 +2813,17 @@ class CypherPokerGame extends EventDispatcher {
    /**
    * Generates a new card deck and sends it to the other players. This function
    * throws an error if we're not the dealer, the game hasn't started, the
-   * prime number for the game hasn't been generated, or a deck already exists.
+   * prime number or curve for the game hasn't been set, or a deck already exists.
    * The generated deck is stored in the [cardDecks]{@link CypherPokerGame#cardDecks}<code>.faceup</code>
    * array.
    *
+   * The deck is validated (see {@link CypherPokerGame#verifyCardDeck}), before it's sent and
+   * the hand is aborted if it's invalid.
+   *
    * @returns {Promise} A resolved promise returns an array of {@link CypherPokerCard}
    * instances. A rejected promise returns an <code>Error</code> object.
    * @fires CypherPokerGame#gamedeck
+   * @fires CypherPokerGame#gamedeckinvalid
    * @async
    * @private
    */
@@ -1273,14 +2832,24 @@ class CypherPokerGame extends EventDispatcher {
       if ((this.getPlayer(this.ownPID).isDealer == false) || (this.gameStarted == false)) {
          throw (new Error("Cannot generate card deck because we are not the dealer or the game hasn't started."));
       }
-      if ((this.gameParams.prime == undefined) || (this.gameParams.prime == null) || (this.gameParams.prime == "")) {
-         throw (new Error("Valid prime number value not found in gameParams."));
+      if (this.hasCryptoParams() == false) {
+         throw (new Error("Valid prime number value or curve not found in gameParams."));
       }
       if (this.cardDecks.faceup.length >= this.cypherpoker.settings.cards.length) {
          throw (new Error("Card deck for this game already exists."));
       }
-      var event = await this.cypherpoker.crypto.invoke("randomQuadResidues", {prime:this.gameParams.prime, numValues:this.cypherpoker.settings.cards.length});
+      if ((this.gameParams.curve != undefined) && (this.gameParams.curve != null)) {
+         var event = await this.cypherpoker.crypto.invoke("curvePoints", {curve:this.gameParams.curve, numValues:this.cypherpoker.settings.cards.length});
+      } else {
+         event = await this.cypherpoker.crypto.invoke("randomQuadResidues", {prime:this.gameParams.prime, numValues:this.cypherpoker.settings.cards.length});
+      }
       var qrArray = event.data.result;
+      try {
+         await this.verifyCardDeck(qrArray);
+      } catch (err) {
+         await this.rejectCardDeck(err.message, qrArray, this.getPlayer(this.ownPID));
+         throw (err);
+      }
       this.gameParams.faceupDeck = new Array();
       for (var count = 0; count < qrArray.length; count++) {
          var newCard = new CypherPokerCard(qrArray[count], this.cypherpoker.settings.cards[count]);
@@ -1296,6 +2865,112 @@ class CypherPokerGame extends EventDispatcher {
       return (this.cardDecks.faceup);
    }
 
+   /**
+   * Validates a generated card deck against the game's cryptosystem before any cards are
+   * encrypted. The deck must contain one unique value for each card in
+   * [settings]{@link CypherPoker#settings}<code>.cards</code>. For SRA, each value must be in the
+   * same radix as the [gameParams]{@link CypherPokerGame#gameParams}<code>.prime</code>, be greater
+   * than 1 and less than the prime minus 1, and be a quadratic residue modulo the prime (checked
+   * using the "checkResidues" method of the [crypto]{@link CypherPoker#crypto} interface). For an
+   * elliptic [curve]{@link CypherPokerGame#curve}, each value must be a point on the curve (checked
+   * using the "checkPoints" method).
+   *
+   * @param {Array} deck The card values (mappings) to validate.
+   *
+   * @return {Promise} Resolves with <code>true</code> if the deck is valid, or rejects with an
+   * <code>Error</code> describing the first problem found.
+   * @async
+   */
+   async verifyCardDeck(deck) {
+      if ((typeof(deck) != "object") || (deck == null) || (typeof(deck.length) != "number")) {
+         throw (new Error("Deck is not an array."));
+      }
+      if (deck.length != this.cypherpoker.settings.cards.length) {
+         throw (new Error("Deck has "+deck.length+" cards instead of "+this.cypherpoker.settings.cards.length+"."));
+      }
+      var values = new Object();
+      for (var count = 0; count < deck.length; count++) {
+         if (typeof(deck[count]) != "string") {
+            throw (new Error("Card "+count+" is not a string value."));
+         }
+         var value = deck[count].toLowerCase();
+         if (values[value] == true) {
+            throw (new Error("Card "+count+" is a duplicate."));
+         }
+         values[value] = true;
+      }
+      if ((this.gameParams.curve != undefined) && (this.gameParams.curve != null)) {
+         var event = await this.cypherpoker.crypto.invoke("checkPoints", {curve:this.gameParams.curve, points:deck});
+         if ((event.data.result == null) || (event.data.result.length != deck.length)) {
+            throw (new Error("Deck points could not be checked."));
+         }
+         for (count = 0; count < deck.length; count++) {
+            if (event.data.result[count] != true) {
+               throw (new Error("Card "+count+" is not a point on the curve."));
+            }
+         }
+         return (true);
+      }
+      var prime = this.gameParams.prime;
+      if (prime.startsWith("0x")) {
+         var radix = 16;
+         var validDigits = /^0x[0-9a-fA-F]+$/;
+         var primeValue = bigInt(prime.substring(2), 16);
+      } else {
+         radix = 10;
+         validDigits = /^[0-9]+$/;
+         primeValue = bigInt(prime, 10);
+      }
+      var maxValue = primeValue.minus(1);
+      for (count = 0; count < deck.length; count++) {
+         if (validDigits.test(deck[count]) == false) {
+            throw (new Error("Card "+count+" is not in the prime's radix ("+radix+")."));
+         }
+         if (radix == 16) {
+            value = bigInt(deck[count].substring(2), 16);
+         } else {
+            value = bigInt(deck[count], 10);
+         }
+         if (value.lesserOrEquals(1) || value.greaterOrEquals(maxValue)) {
+            throw (new Error("Card "+count+" is out of range."));
+         }
+      }
+      event = await this.cypherpoker.crypto.invoke("checkResidues", {prime:prime, residues:deck});
+      if ((event.data.result == null) || (event.data.result.length != deck.length)) {
+         throw (new Error("Deck residues could not be checked."));
+      }
+      for (count = 0; count < deck.length; count++) {
+         if (event.data.result[count] != "1") {
+            throw (new Error("Card "+count+" is not a quadratic residue."));
+         }
+      }
+      return (true);
+   }
+
+   /**
+   * Rejects an invalid card deck by dispatching a [gamedeckinvalid]{@link CypherPokerGame#event:gamedeckinvalid}
+   * event and aborting the hand (see {@link CypherPokerGame#killGame}).
+   *
+   * @param {String} reason A description of why the deck is invalid.
+   * @param {Array} deck The rejected card values.
+   * @param {CypherPokerPlayer} player The player (dealer) that generated the deck.
+   *
+   * @fires CypherPokerGame#gamedeckinvalid
+   * @async
+   * @private
+   */
+   async rejectCardDeck(reason, deck, player) {
+      this.debug("Invalid card deck from \""+player.privateID+"\": "+reason, "err");
+      var event = new Event("gamedeckinvalid");
+      event.reason = reason;
+      event.deck = deck;
+      event.player = player;
+      event.game = this;
+      event.table = this.table;
+      this.dispatchEvent(event);
+      await this.killGame("Invalid card deck: "+reason);
+   }
+
    /**
    * Encrypts and shuffles the a card deck stored in the [cardDecks]{@link CypherPokerGame#cardDecks}<code>.faceup</code>
    * array, and sends the result to the table's players to continue.
@@ -1306,10 +2981,16 @@ class CypherPokerGame extends EventDispatcher {
    * partially encrypted cards. If <code>null</code>, the values from the
    * [cardDecks]{@link CypherPokerGame#cardDecks}<code>.faceup</code> array are used.
    *
+   * If the table requires [shuffle proofs]{@link CypherPokerGame#shuffleProofRounds}, a proof
+   * is generated and sent with the encrypted cards. A [commitment]{@link CypherPokerGame#keychainCommitment}
+   * to our keychain is always sent with the encrypted cards so that the keychain can't be changed
+   * when it's revealed at the end of the game.
+   *
    * @returns {Promise} A resolved promise returns an array of strings representing the
    * encrypted and shuffled cards. A rejected promise returns an <code>Error</code> object.
    *
    * @fires CypherPokerGame#gamecardsencrypt
+   * @fires CypherPokerGame#gamecryptoprogress
    * @async
    * @private
    */
@@ -1324,29 +3005,34 @@ class CypherPokerGame extends EventDispatcher {
             cardDeck.push(this.cardDecks.faceup[count].mapping);
          }
       }
-      var promises = new Array();
       var keypair = this.getPlayer(this.ownPID).keychain[0];
       if (keypair == null) {
          //keypair is still being generated
          var event = await this.onEventPromise("gamekeypair");
          keypair = this.getPlayer(this.ownPID).keychain[0];
       }
-      for (var count=0; count < cardDeck.length; count++) {
-         promises.push(this.cypherpoker.crypto.invoke("encrypt", {value:cardDeck[count], keypair:keypair}));
-      }
-      var promiseResults = await Promise.all(promises);
-      var encryptedDeck = new Array();
-      for (count=0; count < promiseResults.length; count++) {
-         encryptedDeck.push(promiseResults[count].data.result);
-      }
+      var progress = this.cryptoProgress("encrypt", cardDeck.length);
+      var encryptedDeck = await this.cypherpoker.crypto.encryptBatch(cardDeck, keypair, progress);
       var shuffledDeck = await this.shuffle(encryptedDeck);
+      var proof = null;
+      if (this.shuffleProofRounds > 0) {
+         proof = await this.generateShuffleProof(cardDeck, encryptedDeck, shuffledDeck, keypair);
+      }
+      var commitment = await this.keychainCommitment(this.getPlayer(this.ownPID).keychain);
+      this.cardDecks.encrypted = Array.from(shuffledDeck);
       var event = new Event("gamecardsencrypt");
       event.selected = shuffledDeck;
+      event.proof = proof;
+      event.commitment = commitment;
       event.player = this.getPlayer(this.ownPID);
       event.game = this;
       event.table = this.table;
       this.dispatchEvent(event);
-      this.sendToPlayers("gamecardsencrypt", shuffledDeck);
+      var payload = new Object();
+      payload.cards = shuffledDeck;
+      payload.proof = proof;
+      payload.commitment = commitment;
+      this.sendToPlayers("gamecardsencrypt", payload);
       return (shuffledDeck);
    }
 
@@ -1387,7 +3073,6 @@ class CypherPokerGame extends EventDispatcher {
       var previousUsPlayer = this.getPreviousPlayer(this.ownPID); //CypherPokerPlayer instance of us
       var previousFromPlayer = this.getPreviousPlayer(fromPID); //CypherPokerPlayer instance of fromPID
       var privateDeal = payload.private; //are these private cards?
-      var promises = new Array();
       var keypair = this.getPlayer(this.ownPID).keychain[0];
       var decryptedCards = new Array();
       if (privateDeal) {
@@ -1395,16 +3080,11 @@ class CypherPokerGame extends EventDispatcher {
          if (payload.fromPID != this.getPreviousPlayer(this.ownPID).privateID) {
             return (null);
          }
-         for (var count=0; count < selectedCards.length; count++) {
-            promises.push(this.cypherpoker.crypto.invoke("decrypt", {value:selectedCards[count], keypair:keypair}));
-         }
-         var promiseResults = await Promise.all(promises);
-         for (count=0; count < promiseResults.length; count++) {
-            decryptedCards.push(promiseResults[count].data.result);
-         }
+         var progress = this.cryptoProgress("decrypt", selectedCards.length);
+         decryptedCards = await this.cypherpoker.crypto.decryptBatch(selectedCards, keypair, progress);
          if (sourcePID == this.ownPID) {
             //decrypted our own private cards
-            for (count=0; count < decryptedCards.length; count++) {
+            for (var count=0; count < decryptedCards.length; count++) {
                var mapping = decryptedCards[count];
                var cardRef = this.getMappedCard(mapping);
                this.getPlayer(this.ownPID).dealtCards.push(cardRef);
@@ -1416,6 +3096,10 @@ class CypherPokerGame extends EventDispatcher {
             event.game = this;
             event.table = this.table;
             this.dispatchEvent(event);
+            if (this.isStud) {
+               //the final street is dealt face-down
+               this.endAllInGame();
+            }
          } else if (sourcePID != this.ownPID) {
             //partially decrypted another player's private cards, send to next player
             payload.selected = decryptedCards;
@@ -1434,49 +3118,83 @@ class CypherPokerGame extends EventDispatcher {
             //fully decrypted public cards included in payload, just store them
             var newCards = new Array(); //stores only the new cards, not all public cards
             decryptedCards = new Array();
-            for (count=0; count < payload.cards.length; count++) {
+            for (var count=0; count < payload.cards.length; count++) {
                var mapping = payload.cards[count];
                decryptedCards.push(mapping);
                var cardRef = this.getMappedCard(mapping);
-               this.cardDecks.public.push(cardRef);
+               if (this.isStud) {
+                  sourcePlayer.upCards.push(cardRef);
+               } else if (payload.board == 2) {
+                  this.cardDecks.secondBoard.push(cardRef);
+               } else {
+                  this.cardDecks.public.push(cardRef);
+               }
                newCards.push(cardRef);
             }
             event = new Event("gamedeal");
             event.cards = newCards;
             event.private = false;
+            if (this.isStud) {
+               event.player = sourcePlayer;
+            }
+            if ((payload.board != undefined) && (payload.board != null)) {
+               event.board = payload.board;
+            }
             event.game = this;
             event.table = this.table;
             this.dispatchEvent(event);
+            if (this.isStud) {
+               //we may need to post the bring-in now that the face-up cards are known
+               this.postAutoBlinds();
+            }
+            this.endAllInGame();
             return(newCards);
          }
          if (payload.fromPID != this.getPreviousPlayer(this.ownPID).privateID) {
             return (null);
          }
-         for (count=0; count < selectedCards.length; count++) {
-            promises.push(this.cypherpoker.crypto.invoke("decrypt", {value:selectedCards[count], keypair:keypair}));
-         }
-         promiseResults = await Promise.all(promises);
-         for (count=0; count < promiseResults.length; count++) {
-            decryptedCards.push(promiseResults[count].data.result);
-         }
+         progress = this.cryptoProgress("decrypt", selectedCards.length);
+         decryptedCards = await this.cypherpoker.crypto.decryptBatch(selectedCards, keypair, progress);
          if (sourcePID == this.ownPID) {
             //decrypted public cards we selected (final decryption)
             newCards = new Array();
-            for (count=0; count < decryptedCards.length; count++) {
+            for (var count=0; count < decryptedCards.length; count++) {
                var mapping = decryptedCards[count];
                var cardRef = this.getMappedCard(mapping);
-               this.cardDecks.public.push(cardRef);
+               if (this.isStud) {
+                  sourcePlayer.upCards.push(cardRef);
+               } else if (payload.board == 2) {
+                  this.cardDecks.secondBoard.push(cardRef);
+               } else {
+                  this.cardDecks.public.push(cardRef);
+               }
                newCards.push(cardRef);
             }
             event = new Event("gamedeal");
             event.cards = newCards;
             event.private = false;
+            if (this.isStud) {
+               event.player = sourcePlayer;
+            }
+            if ((payload.board != undefined) && (payload.board != null)) {
+               event.board = payload.board;
+            }
             event.game = this;
             event.table = this.table;
             this.dispatchEvent(event);
             //send new, face-up public cards to fellow players
             payload.cards = decryptedCards;
             this.sendToPlayers("gamedeal", payload);
+            if (this.isStud) {
+               event = new Event("gamereveal");
+               event.cards = newCards;
+               event.player = sourcePlayer;
+               event.game = this;
+               event.table = this.table;
+               this.dispatchEvent(event);
+               this.postAutoBlinds();
+            }
+            this.endAllInGame();
          } else if (sourcePID != this.ownPID) {
             //partially-decrypted public cards, send to next player
             payload.selected = decryptedCards;
@@ -1557,22 +3275,272 @@ class CypherPokerGame extends EventDispatcher {
    }
 
    /**
-   * Checks if a game associated with a specific [TableObject]{@link CypherPoker#TableObject} instance
-   * is registered with the parent {@link CypherPoker} instance.
+   * Generates a zero-knowledge proof that a deck was correctly encrypted and shuffled,
+   * without revealing the keypair used or the order of the shuffle. This is a non-interactive
+   * cut-and-choose argument: for each of the [shuffleProofRounds]{@link CypherPokerGame#shuffleProofRounds}
+   * an intermediate deck is created by encrypting and shuffling the input deck with a new random
+   * keypair. Depending on the corresponding bit of the [shuffle challenge]{@link CypherPokerGame#shuffleChallenge},
+   * either the intermediate deck is opened back to the input deck (revealing the round's random
+   * key and shuffle), or the output deck is opened to the intermediate deck (revealing only the
+   * combination of our key with the inverse of the round's key, and the resulting shuffle).
    *
-   * @param {CypherPoker#TableObject} tableObj The associated table to check for.
+   * @param {Array} inputDeck The deck of strings that was encrypted and shuffled.
+   * @param {Array} encryptedDeck The encrypted <code>inputDeck</code>, prior to shuffling.
+   * @param {Array} outputDeck The <code>encryptedDeck</code> after shuffling.
+   * @param {keypair} keypair The keypair used to encrypt the <code>inputDeck</code>.
    *
-   * @return {Boolean} True if the table has been associated with an existing
-   * {@link CypherPokerGame} instance in the parent {@link CypherPoker}.
+   * @return {Promise} Resolves with the proof object, containing a <code>rounds</code> array. Each round
+   * includes the intermediate <code>deck</code>, the revealed <code>key</code>, and the <code>indexes</code>
+   * mapping the round's target deck (the intermediate deck or output deck), to its source deck.
+   * @fires CypherPokerGame#gamecryptoprogress
+   * @async
+   * @private
    */
-   gameExists(tableObj) {
-      for (var count=0; count < this.cypherpoker.games.length; count++) {
-         var currentTable = this.cypherpoker.games[count].table;
-         if ((currentTable.tableID == tableObj.tableID) &&
-            (currentTable.tableName == tableObj.tableName) &&
-            (currentTable.ownerPID == tableObj.ownerPID)) {
-               return (true);
-         }
+   async generateShuffleProof(inputDeck, encryptedDeck, outputDeck, keypair) {
+      this.debug("generateShuffleProof()");
+      var outputIndexes = new Array(); //indexes of output cards in the input deck
+      for (var count=0; count < outputDeck.length; count++) {
+         outputIndexes.push(encryptedDeck.indexOf(outputDeck[count]));
+      }
+      var rounds = new Array();
+      var promises = new Array();
+      var progress = this.cryptoProgress("proof", this.shuffleProofRounds * inputDeck.length);
+      for (count=0; count < this.shuffleProofRounds; count++) {
+         var event = await this.cypherpoker.crypto.invoke("randomKeypair", this.keypairParams());
+         var round = new Object();
+         round.keypair = event.data.result;
+         var indexes = new Array();
+         for (var count2=0; count2 < inputDeck.length; count2++) {
+            indexes.push(count2);
+         }
+         round.indexes = await this.shuffle(indexes);
+         var roundDeck = new Array();
+         for (count2=0; count2 < round.indexes.length; count2++) {
+            roundDeck.push(inputDeck[round.indexes[count2]]);
+         }
+         promises.push(this.cypherpoker.crypto.encryptBatch(roundDeck, round.keypair, progress));
+         rounds.push(round);
+      }
+      var promiseResults = await Promise.all(promises);
+      var decks = new Array();
+      for (count=0; count < rounds.length; count++) {
+         rounds[count].deck = promiseResults[count];
+         decks.push(rounds[count].deck);
+      }
+      var challenge = await this.shuffleChallenge(inputDeck, outputDeck, decks);
+      var proof = new Object();
+      proof.rounds = new Array();
+      for (count=0; count < rounds.length; count++) {
+         round = rounds[count];
+         var proofRound = new Object();
+         proofRound.deck = round.deck;
+         if (challenge[count] == 0) {
+            //open intermediate deck from input deck
+            proofRound.key = round.keypair.encKey;
+            proofRound.indexes = round.indexes;
+         } else {
+            //open output deck from intermediate deck
+            var inverseKeypair = new Object();
+            inverseKeypair.encKey = round.keypair.decKey;
+            inverseKeypair.decKey = round.keypair.encKey;
+            inverseKeypair.prime = round.keypair.prime;
+            if ((round.keypair.curve != undefined) && (round.keypair.curve != null)) {
+               inverseKeypair.curve = round.keypair.curve;
+            }
+            event = await this.cypherpoker.crypto.invoke("combineKeypairs", {keypairs:[keypair, inverseKeypair]});
+            proofRound.key = event.data.result.encKey;
+            proofRound.indexes = new Array();
+            for (count2=0; count2 < outputIndexes.length; count2++) {
+               proofRound.indexes.push(round.indexes.indexOf(outputIndexes[count2]));
+            }
+         }
+         proof.rounds.push(proofRound);
+      }
+      return (proof);
+   }
+
+   /**
+   * Verifies a shuffle proof generated by another player's
+   * [generateShuffleProof]{@link CypherPokerGame#generateShuffleProof} function.
+   *
+   * @param {Array} inputDeck The deck of strings that the player encrypted and shuffled.
+   * @param {Array} outputDeck The encrypted and shuffled deck sent by the player.
+   * @param {Object} proof The shuffle proof sent by the player.
+   *
+   * @return {Promise} Resolves with <code>true</code> if the proof is valid and contains
+   * [shuffleProofRounds]{@link CypherPokerGame#shuffleProofRounds}, and <code>false</code>
+   * if the proof is invalid or the <code>outputDeck</code> contains duplicate values.
+   * @fires CypherPokerGame#gamecryptoprogress
+   * @async
+   * @private
+   */
+   async verifyShuffleProof(inputDeck, outputDeck, proof) {
+      this.debug("verifyShuffleProof()");
+      if ((proof == undefined) || (proof == null) || (Array.isArray(proof.rounds) == false)) {
+         return (false);
+      }
+      if (proof.rounds.length != this.shuffleProofRounds) {
+         return (false);
+      }
+      if ((Array.isArray(outputDeck) == false) || (outputDeck.length != inputDeck.length)) {
+         return (false);
+      }
+      if (new Set(outputDeck).size != outputDeck.length) {
+         return (false);
+      }
+      var decks = new Array();
+      for (var count=0; count < proof.rounds.length; count++) {
+         var round = proof.rounds[count];
+         if ((Array.isArray(round.deck) == false) || (round.deck.length != inputDeck.length) || (typeof(round.key) != "string")) {
+            return (false);
+         }
+         if (this.isPermutation(round.indexes, inputDeck.length) == false) {
+            return (false);
+         }
+         decks.push(round.deck);
+      }
+      var challenge = await this.shuffleChallenge(inputDeck, outputDeck, decks);
+      var promises = new Array();
+      var expected = new Array();
+      var progress = this.cryptoProgress("verify", proof.rounds.length * inputDeck.length);
+      for (count=0; count < proof.rounds.length; count++) {
+         round = proof.rounds[count];
+         var keypair = new Object();
+         keypair.encKey = round.key;
+         keypair.decKey = round.key;
+         if ((this.gameParams.curve != undefined) && (this.gameParams.curve != null)) {
+            keypair.curve = this.gameParams.curve;
+         } else {
+            keypair.prime = this.gameParams.prime;
+         }
+         if (challenge[count] == 0) {
+            var sourceDeck = inputDeck;
+            var targetDeck = round.deck;
+         } else {
+            sourceDeck = round.deck;
+            targetDeck = outputDeck;
+         }
+         var roundDeck = new Array();
+         for (var count2=0; count2 < targetDeck.length; count2++) {
+            roundDeck.push(sourceDeck[round.indexes[count2]]);
+         }
+         promises.push(this.cypherpoker.crypto.encryptBatch(roundDeck, keypair, progress));
+         expected.push(targetDeck);
+      }
+      try {
+         var promiseResults = await Promise.all(promises);
+      } catch (err) {
+         //a value in the proof couldn't be encrypted
+         return (false);
+      }
+      for (count=0; count < promiseResults.length; count++) {
+         for (count2=0; count2 < promiseResults[count].length; count2++) {
+            if (promiseResults[count][count2] != expected[count][count2]) {
+               return (false);
+            }
+         }
+      }
+      return (true);
+   }
+
+   /**
+   * Generates the commitment to a keychain that's sent with our encrypted cards, before
+   * any cards are dealt. The commitment is the SHA-256 hash of the <code>encKey</code>,
+   * <code>decKey</code>, and <code>prime</code> values of each keypair, so the keychain revealed
+   * at the end of the game can be verified by the other players and the contract host without
+   * revealing it beforehand.
+   *
+   * @param {Array} keychain The keychain (array of {@link keypair} objects), to commit to.
+   *
+   * @return {Promise} Resolves with the hexadecimal commitment string.
+   * @async
+   */
+   async keychainCommitment(keychain) {
+      var hashInput = new Array();
+      for (var count=0; count < keychain.length; count++) {
+         var keypair = keychain[count];
+         hashInput.push(String(keypair.encKey) + ":" + String(keypair.decKey) + ":" + String(keypair.prime));
+      }
+      var buffer = new TextEncoder("utf-8").encode(hashInput.join(","));
+      var hashBytes = new Uint8Array(await crypto.subtle.digest("SHA-256", buffer));
+      var commitment = "";
+      for (count=0; count < hashBytes.length; count++) {
+         commitment += hashBytes[count].toString(16).padStart(2, "0");
+      }
+      return (commitment);
+   }
+
+   /**
+   * Generates the challenge for a shuffle proof (see [generateShuffleProof]{@link CypherPokerGame#generateShuffleProof}),
+   * from the SHA-256 hash of the input, output, and intermediate decks. The contract host
+   * generates the same challenge to verify shuffle proofs.
+   *
+   * @param {Array} inputDeck The deck of strings that was encrypted and shuffled.
+   * @param {Array} outputDeck The encrypted and shuffled deck.
+   * @param {Array} decks The intermediate decks of each round of the proof.
+   *
+   * @return {Promise} Resolves with an array of challenge bits (0 or 1), one for each
+   * of the <code>decks</code>.
+   * @async
+   * @private
+   */
+   async shuffleChallenge(inputDeck, outputDeck, decks) {
+      var hashInput = inputDeck.join(",") + ";" + outputDeck.join(",");
+      for (var count=0; count < decks.length; count++) {
+         hashInput += ";" + decks[count].join(",");
+      }
+      var buffer = new TextEncoder("utf-8").encode(hashInput);
+      var hashBytes = new Uint8Array(await crypto.subtle.digest("SHA-256", buffer));
+      var challenge = new Array();
+      for (count=0; count < decks.length; count++) {
+         challenge.push((hashBytes[count >> 3] >> (7 - (count % 8))) & 1);
+      }
+      return (challenge);
+   }
+
+   /**
+   * Checks whether an array of indexes is a permutation of the indexes of an array
+   * of a specific length.
+   *
+   * @param {Array} indexes The indexes to check.
+   * @param {Number} length The length of the array being permuted.
+   *
+   * @return {Boolean} True if <code>indexes</code> contains every index from 0 to
+   * <code>length</code>-1 exactly once.
+   * @private
+   */
+   isPermutation(indexes, length) {
+      if ((Array.isArray(indexes) == false) || (indexes.length != length)) {
+         return (false);
+      }
+      var found = new Array(length);
+      for (var count=0; count < indexes.length; count++) {
+         var index = indexes[count];
+         if ((Number.isInteger(index) == false) || (index < 0) || (index >= length) || (found[index] == true)) {
+            return (false);
+         }
+         found[index] = true;
+      }
+      return (true);
+   }
+
+   /**
+   * Checks if a game associated with a specific [TableObject]{@link CypherPoker#TableObject} instance
+   * is registered with the parent {@link CypherPoker} instance.
+   *
+   * @param {CypherPoker#TableObject} tableObj The associated table to check for.
+   *
+   * @return {Boolean} True if the table has been associated with an existing
+   * {@link CypherPokerGame} instance in the parent {@link CypherPoker}.
+   */
+   gameExists(tableObj) {
+      for (var count=0; count < this.cypherpoker.games.length; count++) {
+         var currentTable = this.cypherpoker.games[count].table;
+         if ((currentTable.tableID == tableObj.tableID) &&
+            (currentTable.tableName == tableObj.tableName) &&
+            (currentTable.ownerPID == tableObj.ownerPID)) {
+               return (true);
+         }
       }
       return (false);
    }
@@ -1610,12 +3578,71 @@ class CypherPokerGame extends EventDispatcher {
       return (false);
    }
 
+   /**
+   * Checks whether a CypherPoker.JS message type relates to the seating at the table
+   * rather than to the current game (hand). Seating messages are processed even when
+   * we're [sitting out]{@link CypherPokerGame#sittingOut}.
+   *
+   * @param {String} messageType The message type to check.
+   *
+   * @return {Boolean} True if the message type relates to seating.
+   * @private
+   */
+   isSeatMessage(messageType) {
+      switch (messageType) {
+         case "gameready":
+         case "gamehello":
+         case "gameparams":
+         case "gamesitout":
+         case "gamesitin":
+         case "gameseating":
+         case "tableleave":
+            return (true);
+         default:
+            return (false);
+      }
+   }
+
+   /**
+   * Returns true if the supplied JSON-RPC result structure identifies the same table as the
+   * one associated with this game instance and was sent by a player seated at it. Unlike
+   * [matchesThisTable]{@link CypherPokerGame#matchesThisTable} the table owner (current dealer),
+   * isn't checked since it may not be known to players that are sitting out. A "gameready"
+   * message may be sent by a player that has just taken an empty seat.
+   *
+   * @param {Object} msgResultObj The JSON-RPC result object to check.
+   *
+   * @return {Boolean} True if the supplied table has the same table ID and table name
+   * as the one associated with this game and the sender may be seated at it.
+   * @private
+   */
+   matchesSeatedTable(msgResultObj) {
+      if (typeof(msgResultObj) != "object") {
+         return (false);
+      }
+      if ((msgResultObj.data == null) || (msgResultObj.data == undefined)) {
+         return (false);
+      }
+      if ((this.table.tableID != msgResultObj.data.tableID) ||
+         (this.table.tableName != msgResultObj.data.tableName)) {
+            return (false);
+      }
+      if (msgResultObj.data.cpMsg == "gameready") {
+         return (true);
+      }
+      return (this.getSeatedPlayer(msgResultObj.from) != null);
+   }
+
    /**
    * Places a bet during the current round of betting, if allowed, and sends the
    * action to other players at the table.
    *
    * @param {Number|String} betAmount The bet amount to place. A 0 bet is
-   * a check or call and a bet of less than 0 is a fold.
+   * a check or call and a bet of less than 0 is a fold. A bet equal to our
+   * remaining balance places us [all-in]{@link CypherPokerPlayer#isAllIn} and
+   * may be smaller than the [minimumBet]{@link CypherPokerGame#minimumBet}. Raises
+   * must conform to the table's [bettingStructure]{@link CypherPokerGame#bettingStructure}
+   * (see [checkBettingStructure]{@link CypherPokerGame#checkBettingStructure}).
    *
    * @return {Promise} The promise is resolved with a <code>true</code> result
    * if the bet was successfully placed and rejected with an <code>Error</code> if the bet
@@ -1638,20 +3665,23 @@ class CypherPokerGame extends EventDispatcher {
          betObj.fold = true;
          betObj.amount = null;
       }
+      var blindBet = this.isBlindBet(this.ownPID);
+      var allIn = betAmount.greater(0) && betAmount.equals(this.getPlayer(this.ownPID).balance);
       var minBet = this.minimumBet;
-      if ((this.cardDecks.public.length == 0) &&
-         (this.getPlayer(this.ownPID).dealtCards.length == 2) &&
+      if ((this.isStud == false) && (this.cardDecks.public.length == 0) &&
+         (this.getPlayer(this.ownPID).dealtCards.length == this.variant.privateCards) &&
          (this.getPlayer(this.ownPID).totalBet.equals(0)) &&
          (this.getPlayer(this.ownPID).isSmallBlind)) {
             //placing intial bet as small blind
       } else {
-         if (betAmount.lesser(minBet) && (betObj.fold == false)) {
+         if (betAmount.lesser(minBet) && (betObj.fold == false) && (allIn == false)) {
             throw (new Error("Bet amount (\""+betAmount.toString(10)+"\") must be at least \"" + minBet.toString(10) + "\"."));
          }
       }
       if (betAmount.greater(this.getPlayer(this.ownPID).balance)) {
          throw (new Error("Bet amount exceeds available balance."));
       }
+      this.checkBettingStructure(this.ownPID, betAmount);
       var biggestBet = this.largestBet;
       if (betAmount.greaterOrEquals(0)) {
          var totalCurrentBet = this.getPlayer(this.ownPID).totalBet.add(betAmount);
@@ -1664,6 +3694,9 @@ class CypherPokerGame extends EventDispatcher {
             betObj.amount = betAmount.toString(10);
          } else if (totalCurrentBet.greater(biggestBet)) {
             //we are raising
+            if (blindBet == false) {
+               this.updateBettingRound(totalCurrentBet.subtract(biggestBet));
+            }
             this.getPlayer(this.ownPID).totalBet = totalCurrentBet;
             this.getPlayer(this.ownPID).numActions++;
             this.getPlayer(this.ownPID).hasBet = true;
@@ -1675,7 +3708,8 @@ class CypherPokerGame extends EventDispatcher {
             betObj.amount = betAmount.toString(10);
          } else {
             //minimum bet may be smaller if we're betting out of order as the small blind
-            if (betAmount.lesser(minBet) && (betObj.fold == false)) {
+            //or if we're going all-in for less than the current bet
+            if (betAmount.lesser(minBet) && (betObj.fold == false) && (allIn == false)) {
                throw (new Error("Bet amount insufficient for current round."));
             } else {
                this.getPlayer(this.ownPID).totalBet = totalCurrentBet;
@@ -1700,161 +3734,731 @@ class CypherPokerGame extends EventDispatcher {
             numFolded++;
          }
       }
-      if ((numFolded == (this.players.length - 1)) || this.gameDone) {
-         //all players (except one) have folded or game is done
-         this.endGame();
+      if ((numFolded == (this.players.length - 1)) || this.gameDone) {
+         //all players (except one) have folded or game is done
+         this.endGame();
+      }
+      return (true);
+   }
+
+   /**
+   * Ends the current game (hand) if no further betting is possible because
+   * remaining players are [all-in]{@link CypherPokerPlayer#isAllIn} and all public cards
+   * have been dealt. Since no final bet is placed in this situation,
+   * this function should be called whenever new public cards are dealt.
+   *
+   * @return {Boolean} True if the game was ended, false otherwise.
+   * @private
+   */
+   endAllInGame() {
+      if (this.gameStarted && this.gameDone) {
+         this.endGame();
+         return (true);
+      }
+      return (false);
+   }
+
+   /**
+   * Ends the current game (hand), and sends keyring to other players for verification.
+   *
+   * @return {Promise} Resolves with a result of <code>true</code> when the game is
+   * completely ended and optionally restarted.
+   * @fires CypherPokerGame#gameanalyze
+   * @fires CypherPokerGame#gameend
+   * @async
+   */
+   async endGame () {
+      this.debug ("CypherPokerGame.endGame()");
+      try {
+         this._gameStarted = false;
+         var event = new Event("gameanalyze");
+         event.table = this.table;
+         event.game = this;
+         this.dispatchEvent(event);
+      } catch (err) {
+         console.error(err);
+      }
+      try {
+         var endGameObj = new Object();
+         endGameObj.keychain = this.getPlayer(this.ownPID).keychain;
+         this.sendToPlayers("gameend", endGameObj);
+         event = new Event("gameend");
+         event.table = this.table;
+         event.game = this;
+         event.pots = this.pots;
+         this.dispatchEvent(event);
+      } catch (err) {
+         console.error(err);
+      }
+      //reset all players' ready flags for possible restart
+      for (var count=0; count < this.players.length; count++) {
+         this.players[count].ready = false;
+      }
+      return (true);
+      //the instance's data should now be assumed to be unstable
+   }
+
+   /**
+   * Kills the current game (hand), and stops any further actions. Usually this
+   * function is called on a fatal error such as when an associated contract
+   * can't be agreed to (e.g. insufficient funds).<br/>
+   * After killing a game the instance should be destroyed and removed from memory.
+   *
+   * @param {String} reason A human-readable explanation of why the game is
+   * being killed.
+   *
+   * @return {Promise} Resolves with a result of <code>true</code> when all game
+   * functionality has been successfully stopped and all data cleared.
+   * @fires CypherPokerGame#gamekill
+   * @async
+   */
+   async killGame(reason) {
+      this._gameEnding = false;
+      this._gameStarted = false;
+      var event = new Event("gamekill");
+      event.table = this.table;
+      event.game = this;
+      event.contract = this.contract;
+      event.reason = reason;
+      this.dispatchEvent(event);
+      this.destroy();
+   }
+
+   /**
+   * Attempts to restart the game by resetting all cards and player selections,
+   * shifting player roles, and finally starting the game (if we're the current dealer).
+   * If the game is awaiting analysis, the restart is held until complete.
+   *
+   * @param {CypherPokerGame} [context=null] The game context in which to execute
+   * the restart. If <code>null</code>, <code>this</code> is assumed.
+   *
+   * Players that have asked to [sit out]{@link CypherPokerGame#sitOut} or that have left the table
+   * are dealt out and, if we're the next dealer, players that have asked to sit back in are dealt in.
+   *
+   * @return {Promise} Resolves to <code>true</code> when game is immediately
+   * restarted or we're sitting out, and <code>false</code> if the game is awaiting analysis (is paused),
+   * if the tournament has ended for us, or if there aren't enough players to continue.
+   *
+   * @fires CypherPokerGame#event:gamerestart
+   * @fires CypherPokerGame#event:gameeliminated
+   * @fires CypherPokerGame#event:gametournamentend
+   * @fires CypherPokerGame#event:gamekill
+   */
+   async restartGame(context=null) {
+      if (context == null) {
+         context = this;
+      }
+      context._gameEnding = true;
+      if (context.analyzer != null) {
+         if (context.analyzer.active != false) {
+            //re-check every half second
+            setTimeout(context.restartGame, 500, context);
+            return (false);
+         }
+      }
+      if (context.isTournament && context.contract.active) {
+         //wait for the contract to report the updated tournament standings
+         setTimeout(context.restartGame, 500, context);
+         return (false);
+      }
+      var eliminatedPlayers = new Array();
+      if (context.tournament != null) {
+         var result = await context.removeEliminatedPlayers();
+         if (result == false) {
+            return (false);
+         }
+         eliminatedPlayers = result;
+      }
+      var dealtOutPlayers = context.getDealtOutPlayers();
+      var skipPlayers = eliminatedPlayers.concat(dealtOutPlayers);
+      var remainingPlayers = context.players.length - skipPlayers.length;
+      var sittingInPlayers = 0;
+      for (var count=0; count < context.sittingOutPlayers.length; count++) {
+         if (context.sittingOutPlayers[count].sittingOut == false) {
+            sittingInPlayers++;
+         }
+      }
+      if ((remainingPlayers < 1) || ((remainingPlayers + sittingInPlayers) < 2)) {
+         await context.killGame("Not enough players to continue.");
+         return (false);
+      }
+      var nextDealerPID = context.getNextPlayer(context.getDealer().privateID).privateID;
+      for (count=0; count < skipPlayers.length; count++) {
+         //eliminated and dealt out players can't deal
+         if (skipPlayers[count].privateID == nextDealerPID) {
+            nextDealerPID = context.getNextPlayer(nextDealerPID).privateID;
+            count = -1;
+         }
+      }
+      context.removePlayers(eliminatedPlayers);
+      for (count=0; count < context.players.length; count++) {
+         context.players[count].selectedCards = new Array();
+         context.players[count].dealtCards = new Array();
+         context.players[count].selectedUpCards = new Array();
+         context.players[count].upCards = new Array();
+         context.players[count].runTwice = null;
+         context.players[count].hasBet = false;
+         context.players[count].hasFolded = false;
+         context.players[count].totalBet = 0;
+         context.players[count].deadBet = 0;
+         //any missed blinds were posted in the game (hand) just played
+         context.players[count].missedSmallBlind = false;
+         context.players[count].missedBigBlind = false;
+         context.players[count].numActions = 0;
+         context.players[count].isBigBlind = false;
+         context.players[count].isSmallBlind = false;
+         context.players[count].isDealer = false;
+         context.players[count].resetKeychain();
+      }
+      context.dealOut(dealtOutPlayers);
+      while (context.table.joinedPID[0] != nextDealerPID) {
+         context.table.joinedPID.push(context.table.joinedPID.shift());
+      }
+      if (nextDealerPID == context.ownPID) {
+         //the dealer decides who's dealt in and reports it with the game parameters
+         context.dealIn();
+      }
+      context.sortPlayers();
+      context.assignPlayerRoles(nextDealerPID);
+      if (nextDealerPID == context.ownPID) {
+         context.markMissedBlinds();
+      }
+      context.table.ownerPID = nextDealerPID;
+      context.resetHand();
+      if (context.sittingOut) {
+         //we keep our seat but aren't dealt into the next game (hand)
+         context._gameEnding = false;
+         var result = await context.processMessageQueue();
+         return (true);
+      }
+      context.getPlayer(context.ownPID).ready = true;
+      context.sendToPlayers("gamerestart");
+      var allPlayersReady = true;
+      for (count=0; count < context.players.length; count++) {
+         if (context.players[count].ready == false) {
+            allPlayersReady = false;
+            break;
+         }
+      }
+      if (allPlayersReady == true) {
+         try {
+            var event = await context.sendGameParams(true);
+            event = await context.generateKeypair();
+            event = await context.generateCardDeck();
+            event = await context.encryptCards();
+         } catch (err) {
+            //anyone but the current dealer will throw an error in sendGameParams
+         }
+      }
+      context._gameEnding = false;
+      var result = await context.processMessageQueue();
+      return (true);
+   }
+
+   /**
+   * Checks the latest [tournament]{@link CypherPokerGame#tournament} standings for players that have
+   * been eliminated since the last game (hand). If the tournament is complete or we've been eliminated,
+   * the game is killed.
+   *
+   * @return {Promise} Resolves with an indexed array of the newly-eliminated {@link CypherPokerPlayer}
+   * instances, or <code>false</code> if the tournament has ended for us and the game has been killed.
+   * @fires CypherPokerGame#event:gameeliminated
+   * @fires CypherPokerGame#event:gametournamentend
+   * @private
+   * @async
+   */
+   async removeEliminatedPlayers() {
+      var tournament = this.tournament;
+      var eliminatedPlayers = new Array();
+      for (var count=0; count < this.players.length; count++) {
+         if (tournament.eliminated.indexOf(this.players[count].privateID) > -1) {
+            eliminatedPlayers.push(this.players[count]);
+         }
+      }
+      if (eliminatedPlayers.length > 0) {
+         var event = new Event("gameeliminated");
+         event.game = this;
+         event.players = eliminatedPlayers;
+         event.tournament = tournament;
+         this.dispatchEvent(event);
+      }
+      if ((tournament.complete == true) || (tournament.eliminated.indexOf(this.ownPID) > -1)) {
+         event = new Event("gametournamentend");
+         event.game = this;
+         event.tournament = tournament;
+         event.results = tournament.results;
+         this.dispatchEvent(event);
+         if (tournament.complete == true) {
+            await this.killGame("Tournament complete.");
+         } else {
+            await this.killGame("Eliminated from tournament.");
+         }
+         return (false);
+      }
+      return (eliminatedPlayers);
+   }
+
+   /**
+   * Removes players from the game and from the associated [table]{@link CypherPokerGame#table}.
+   *
+   * @param {Array} players Indexed array of {@link CypherPokerPlayer} instances to remove.
+   * @private
+   */
+   removePlayers(players) {
+      for (var count=0; count < players.length; count++) {
+         var privateID = players[count].privateID;
+         var index = this.players.indexOf(players[count]);
+         if (index > -1) {
+            this.players.splice(index, 1);
+         }
+         index = this.table.joinedPID.indexOf(privateID);
+         if (index > -1) {
+            this.table.joinedPID.splice(index, 1);
+         }
+      }
+   }
+
+   /**
+   * Resets the game state, cards, [contract]{@link CypherPokerGame#contract}, and
+   * [analyzer]{@link CypherPokerGame#analyzer} in preparation for a new game (hand).
+   *
+   * @fires CypherPokerGame#event:gamerestart
+   * @private
+   */
+   resetHand() {
+      this.pot = 0;
+      this._gameStarted = false;
+      this._bettingRound = null;
+      this.resetPlayerStates(true, true, true);
+      this._runTwiceShared = null;
+      this.cardDecks.public = new Array();
+      this.cardDecks.secondBoard = new Array();
+      this.cardDecks.dealt = new Array();
+      this.cardDecks.faceup = new Array();
+      this.cardDecks.facedown = new Array();
+      this.cardDecks.encrypted = new Array();
+      this._lastBetPID = null;
+      this._gameParams = new Object();
+      this._contract.stopContractTimeout();
+      this._analyzer.removeGameListeners();
+      this._contract.removeGameEventListeners();
+      this._analyzer = new CypherPokerAnalyzer(this);
+      this._analyzer.addEventListener("scored", this.onGameAnalyzed, this);
+      this._contract = new CypherPokerContract(this);
+      var event = new Event("gamerestart");
+      event.game = this;
+      event.table = this.table;
+      this.dispatchEvent(event);
+   }
+
+   /**
+   * Asks to sit out, starting with the next game (hand). We keep our seat at the table
+   * and may [sit in]{@link CypherPokerGame#sitIn} again at any time. Blinds that pass our
+   * seat while we're sitting out are posted as dead money when we're dealt back in.
+   *
+   * @return {Promise} Resolves with <code>true</code> when the other players have been notified
+   * or rejects with an error if we can't sit out.
+   * @fires CypherPokerGame#event:gamesitout
+   * @async
+   */
+   async sitOut() {
+      if (this.isTournament) {
+         throw (new Error("Players can't sit out of a tournament."));
+      }
+      var player = this.getSeatedPlayer(this.ownPID);
+      if (player.sittingOut) {
+         throw (new Error("Already sitting out."));
+      }
+      var activePlayers = 0;
+      for (var count=0; count < this.players.length; count++) {
+         if (this.players[count].sittingOut == false) {
+            activePlayers++;
+         }
+      }
+      for (count=0; count < this.sittingOutPlayers.length; count++) {
+         if (this.sittingOutPlayers[count].sittingOut == false) {
+            activePlayers++;
+         }
+      }
+      if (activePlayers < 3) {
+         throw (new Error("Not enough players at the table to sit out."));
+      }
+      player.sittingOut = true;
+      this.sendToPlayers("gamesitout");
+      var event = new Event("gamesitout");
+      event.player = player;
+      event.game = this;
+      event.table = this.table;
+      this.dispatchEvent(event);
+      return (true);
+   }
+
+   /**
+   * Asks to be dealt into the next game (hand) after [sitting out]{@link CypherPokerGame#sitOut}.
+   * If we haven't yet been dealt out, the request to sit out is cancelled.
+   *
+   * @return {Promise} Resolves with <code>true</code> when the other players have been notified
+   * or rejects with an error if we're not sitting out.
+   * @fires CypherPokerGame#event:gamesitin
+   * @async
+   */
+   async sitIn() {
+      var player = this.getSeatedPlayer(this.ownPID);
+      if (player.sittingOut == false) {
+         throw (new Error("Not sitting out."));
+      }
+      player.sittingOut = false;
+      this.sendToPlayers("gamesitin");
+      var event = new Event("gamesitin");
+      event.player = player;
+      event.game = this;
+      event.table = this.table;
+      this.dispatchEvent(event);
+      return (true);
+   }
+
+   /**
+   * Vacates our seat with the contract host and leaves the table. Unlike leaving a table
+   * before it's in play, the remaining players continue the game and the seat may be taken
+   * by a new player. The game instance should be destroyed after this function is invoked.
+   *
+   * @return {Promise} Resolves with <code>true</code> if the other players were notified and
+   * <code>false</code> if the table isn't one we've joined.
+   * @async
+   */
+   async leaveTable() {
+      if ((this.isTournament == false) && (this.contract != null)) {
+         try {
+            var seating = await this.contract.updateSeat("leave");
+         } catch (err) {
+            //table may not yet be in play
+            this.debug(err, "err");
+         }
+      }
+      var joinedTables = this.cypherpoker.getJoinedTables(this.table.tableName, this.table.tableID);
+      if (joinedTables.length == 0) {
+         return (false);
+      }
+      var tableObj = new Object();
+      this.cypherpoker.copyTable(joinedTables[0], tableObj);
+      //notify everyone seated, including players that have taken seats since the table was joined
+      tableObj.joinedPID = Array.from(this.table.joinedPID);
+      return (this.cypherpoker.leaveJoinedTable(tableObj));
+   }
+
+   /**
+   * Seats a new player that has taken an empty seat at the table while it's in play.
+   * The player sits out until they've confirmed their seat with the contract host. If
+   * we're the current dealer the table's seating is sent to the new player.
+   *
+   * @param {String} privateID The private ID of the new player.
+   * @param {Object} [info=null] The player information included with their "gameready" message.
+   *
+   * @return {CypherPokerPlayer} The newly-seated player or <code>null</code> if the player
+   * couldn't be seated.
+   * @fires CypherPokerGame#event:gameseat
+   * @private
+   */
+   seatPlayer(privateID, info=null) {
+      if (this.isTournament || (this.getSeatedPlayer(privateID) != null) || (this.table.joinedPID.length >= this.numSeats)) {
+         return (null);
+      }
+      var player = new CypherPokerPlayer(privateID);
+      player.info = info;
+      player.balance = this.table.tableInfo.buyIn;
+      player.ready = true;
+      player.sittingOut = true;
+      //new players post the big blind when they're dealt in
+      player.missedBigBlind = true;
+      this.sittingOutPlayers.push(player);
+      this._newSeats.push(privateID);
+      this.table.joinedPID.push(privateID);
+      var index = this.table.requiredPID.indexOf(privateID);
+      if (index < 0) {
+         index = this.table.requiredPID.indexOf("*");
+      }
+      if (index > -1) {
+         this.table.requiredPID.splice(index, 1);
+      }
+      this.sendPlayerInfo([privateID]);
+      var dealer = this.getDealer();
+      if ((dealer != null) && (dealer.privateID == this.ownPID)) {
+         this.sendToPlayers("gameseating", this.getSeating(), [privateID]);
+      }
+      var event = new Event("gameseat");
+      event.player = player;
+      event.game = this;
+      event.table = this.table;
+      this.dispatchEvent(event);
+      return (player);
+   }
+
+   /**
+   * Confirms our newly-taken seat at a table in play with the contract host and asks
+   * to be dealt into the next game (hand). The game is killed if the contract host
+   * refuses the seat.
+   *
+   * @return {Promise} Resolves with <code>true</code> if the seat was confirmed.
+   * @fires CypherPokerGame#event:gamesitin
+   * @private
+   * @async
+   */
+   async takeSeat() {
+      this._seatTaken = true;
+      try {
+         var seating = await this.contract.updateSeat("join");
+      } catch (err) {
+         await this.killGame(err.message);
+         return (false);
+      }
+      var result = await this.sitIn();
+      return (result);
+   }
+
+   /**
+   * Returns the players dealt into the current game (hand) that won't be dealt into the
+   * next one because they've asked to sit out or have left the table. Players can't sit out
+   * of a tournament.
+   *
+   * @return {Array} Indexed array of {@link CypherPokerPlayer} instances to deal out.
+   * @private
+   */
+   getDealtOutPlayers() {
+      var returnArr = new Array();
+      if (this.isTournament) {
+         return (returnArr);
+      }
+      for (var count=0; count < this.players.length; count++) {
+         if (this.players[count].sittingOut) {
+            returnArr.push(this.players[count]);
+         }
+      }
+      return (returnArr);
+   }
+
+   /**
+   * Moves players from the [players]{@link CypherPokerGame#players} array to the
+   * [sittingOutPlayers]{@link CypherPokerGame#sittingOutPlayers} array or, if they've
+   * left the table, vacates their seats.
+   *
+   * @param {Array} players Indexed array of {@link CypherPokerPlayer} instances to deal out.
+   * @private
+   */
+   dealOut(players) {
+      for (var count=0; count < players.length; count++) {
+         var index = this.players.indexOf(players[count]);
+         if (index > -1) {
+            this.players.splice(index, 1);
+         }
+         if (this._leavingPIDs.indexOf(players[count].privateID) > -1) {
+            this.vacateSeat(players[count].privateID);
+         } else {
+            this.sittingOutPlayers.push(players[count]);
+         }
+      }
+   }
+
+   /**
+   * Moves players that have asked to sit in from the [sittingOutPlayers]{@link CypherPokerGame#sittingOutPlayers}
+   * array to the [players]{@link CypherPokerGame#players} array. Only the dealer deals players in; other
+   * players receive the updated seating with the game parameters.
+   *
+   * @return {Array} Indexed array of the {@link CypherPokerPlayer} instances that were dealt in.
+   * @private
+   */
+   dealIn() {
+      var dealtIn = new Array();
+      for (var count = (this.sittingOutPlayers.length - 1); count >= 0; count--) {
+         var player = this.sittingOutPlayers[count];
+         if (player.sittingOut == false) {
+            player.ready = true;
+            this.sittingOutPlayers.splice(count, 1);
+            this.players.push(player);
+            var index = this._newSeats.indexOf(player.privateID);
+            if (index > -1) {
+               this._newSeats.splice(index, 1);
+            }
+            dealtIn.push(player);
+         }
       }
-      return (true);
+      return (dealtIn);
    }
 
    /**
-   * Ends the current game (hand), and sends keyring to other players for verification.
+   * Removes a player that has left the table from the game and restores their seat to the
+   * table's <code>requiredPID</code> array so that it can be taken by a new player.
    *
-   * @return {Promise} Resolves with a result of <code>true</code> when the game is
-   * completely ended and optionally restarted.
-   * @fires CypherPokerGame#gameanalyze
-   * @fires CypherPokerGame#gameend
-   * @async
+   * @param {String} privateID The private ID of the player that has left.
+   * @private
    */
-   async endGame () {
-      this.debug ("CypherPokerGame.endGame()");
-      try {
-         this._gameStarted = false;
-         var event = new Event("gameanalyze");
-         event.table = this.table;
-         event.game = this;
-         this.dispatchEvent(event);
-      } catch (err) {
-         console.error(err);
+   vacateSeat(privateID) {
+      var player = this.getSeatedPlayer(privateID);
+      var index = this.players.indexOf(player);
+      if (index > -1) {
+         this.players.splice(index, 1);
       }
-      try {
-         var endGameObj = new Object();
-         endGameObj.keychain = this.getPlayer(this.ownPID).keychain;
-         this.sendToPlayers("gameend", endGameObj);
-         event = new Event("gameend");
-         event.table = this.table;
-         event.game = this;
-         this.dispatchEvent(event);
-      } catch (err) {
-         console.error(err);
+      index = this.sittingOutPlayers.indexOf(player);
+      if (index > -1) {
+         this.sittingOutPlayers.splice(index, 1);
       }
-      //reset all players' ready flags for possible restart
-      for (var count=0; count < this.players.length; count++) {
-         this.players[count].ready = false;
+      index = this._leavingPIDs.indexOf(privateID);
+      if (index > -1) {
+         this._leavingPIDs.splice(index, 1);
       }
-      return (true);
-      //the instance's data should now be assumed to be unstable
+      index = this._newSeats.indexOf(privateID);
+      if (index > -1) {
+         this._newSeats.splice(index, 1);
+      }
+      index = this.table.joinedPID.indexOf(privateID);
+      if (index > -1) {
+         this.table.joinedPID.splice(index, 1);
+         this.cypherpoker.restoredRequiredPID(privateID, this.table);
+      }
+      this.cypherpoker.vacateSeat(this.table, privateID);
    }
 
    /**
-   * Kills the current game (hand), and stops any further actions. Usually this
-   * function is called on a fatal error such as when an associated contract
-   * can't be agreed to (e.g. insufficient funds).<br/>
-   * After killing a game the instance should be destroyed and removed from memory.
-   *
-   * @param {String} reason A human-readable explanation of why the game is
-   * being killed.
+   * Sorts the [players]{@link CypherPokerGame#players} array into seating order, as
+   * listed in the table's <code>joinedPID</code> array.
    *
-   * @return {Promise} Resolves with a result of <code>true</code> when all game
-   * functionality has been successfully stopped and all data cleared.
-   * @fires CypherPokerGame#gamekill
-   * @async
+   * @private
    */
-   async killGame(reason) {
-      this._gameEnding = false;
-      this._gameStarted = false;
-      var event = new Event("gamekill");
-      event.table = this.table;
-      event.game = this;
-      event.contract = this.contract;
-      event.reason = reason;
-      this.dispatchEvent(event);
-      this.destroy();
+   sortPlayers() {
+      var joinedPID = this.table.joinedPID;
+      this.players.sort((player1, player2) => {
+         return (joinedPID.indexOf(player1.privateID) - joinedPID.indexOf(player2.privateID));
+      });
    }
 
    /**
-   * Attempts to restart the game by resetting all cards and player selections,
-   * shifting player roles, and finally starting the game (if we're the current dealer).
-   * If the game is awaiting analysis, the restart is held until complete.
-   *
-   * @param {CypherPokerGame} [context=null] The game context in which to execute
-   * the restart. If <code>null</code>, <code>this</code> is assumed.
-   *
-   * @return {Promise} Resolves to <code>true</code> when game is immediately
-   * restarted, and <code>false</code> if the game is awaiting analysis (is paused).
+   * Flags the blinds missed by players that are sitting out once the player roles for a new
+   * game (hand) have been assigned. A player misses the big blind if it passes their seat and
+   * also misses the small blind if their seat is between the dealer and the small blind. Players
+   * that have just taken a seat have yet to miss any blinds, and games that [isStud]{@link CypherPokerGame#isStud}
+   * have no blinds. The contract host applies the same rules.
    *
-   * @fires CypherPokerGame#event:gamerestart
+   * @private
    */
-   async restartGame(context=null) {
-      if (context == null) {
-         context = this;
+   markMissedBlinds() {
+      if (this.isStud) {
+         return;
       }
-      context._gameEnding = true;
-      if (context.analyzer != null) {
-         if (context.analyzer.active != false) {
-            //re-check every half second
-            setTimeout(context.restartGame, 500, context);
-            return (false);
+      var dealerPID = this.getDealer().privateID;
+      var smallBlindPID = this.getSmallBlind().privateID;
+      var bigBlindPID = this.getBigBlind().privateID;
+      var passedSmallBlind = (smallBlindPID == dealerPID);
+      var joinedPID = this.table.joinedPID;
+      var dealerIndex = joinedPID.indexOf(dealerPID);
+      for (var count = 1; count < joinedPID.length; count++) {
+         var privateID = joinedPID[(dealerIndex + count) % joinedPID.length];
+         if (privateID == bigBlindPID) {
+            break;
+         }
+         if (privateID == smallBlindPID) {
+            passedSmallBlind = true;
+            continue;
+         }
+         var player = this.getSeatedPlayer(privateID);
+         if ((player == null) || (this.getPlayer(privateID) != null) || (this._newSeats.indexOf(privateID) > -1)) {
+            continue;
+         }
+         player.missedBigBlind = true;
+         if (passedSmallBlind == false) {
+            player.missedSmallBlind = true;
          }
       }
-      context.pot = 0;
-      context._gameStarted = false;
-      context.resetPlayerStates(true, true, true);
-      context.cardDecks.public = new Array();
-      context.cardDecks.dealt = new Array();
-      context.cardDecks.faceup = new Array();
-      context.cardDecks.facedown = new Array();
-      var nextDealerPID = context.getNextPlayer(context.getDealer().privateID).privateID;
-      for (var count=0; count < context.players.length; count++) {
-         context.players[count].selectedCards = new Array();
-         context.players[count].dealtCards = new Array();
-         context.players[count].hasBet = false;
-         context.players[count].hasFolded = false;
-         context.players[count].totalBet = 0;
-         context.players[count].numActions = 0;
-         context.players[count].isBigBlind = false;
-         context.players[count].isSmallBlind = false;
-         context.players[count].isDealer = false;
-         context.players[count].resetKeychain();
-      }
-      context.assignPlayerRoles(nextDealerPID);
-      context.players.push(context.players.shift());
-      context.table.joinedPID.push(context.table.joinedPID.shift());
-      context.table.ownerPID = nextDealerPID;
-      context._lastBetPID = null;
-      context._gameParams = new Object();
-      context._contract.stopContractTimeout();
-      context._analyzer.removeGameListeners();
-      context._contract.removeGameEventListeners();
-      context._analyzer = new CypherPokerAnalyzer(context);
-      context._analyzer.addEventListener("scored", context.onGameAnalyzed, context);
-      context._contract = new CypherPokerContract(context);
-      var event = new Event("gamerestart");
-      event.game = context;
-      event.table = context.table;
-      context.dispatchEvent.call(context, event);
-      context.getPlayer(context.ownPID).ready = true;
-      context.sendToPlayers("gamerestart");
-      var allPlayersReady = true;
-      for (count=0; count < context.players.length; count++) {
-         if (context.players[count].ready == false) {
-            allPlayersReady = false;
-            break;
+   }
+
+   /**
+   * Returns the seating at the table, in seating order, for inclusion with the
+   * [gameParams]{@link CypherPokerGame#gameParams} sent by the dealer.
+   *
+   * @return {Object} The seating object contains the <code>dealerPID</code>, the table's
+   * <code>requiredPID</code> array, and a <code>seats</code> array of objects containing each seated player's
+   * <code>privateID</code>, <code>info</code>, <code>balance</code>, <code>missedSmallBlind</code> and
+   * <code>missedBigBlind</code> flags, whether they're <code>dealt</code> into the game, whether they're
+   * <code>sittingOut</code>, and whether the seat is a <code>newSeat</code> that has yet to be dealt in.
+   */
+   getSeating() {
+      var seating = new Object();
+      seating.dealerPID = this.getDealer().privateID;
+      seating.requiredPID = Array.from(this.table.requiredPID);
+      seating.seats = new Array();
+      for (var count=0; count < this.table.joinedPID.length; count++) {
+         var privateID = this.table.joinedPID[count];
+         var player = this.getSeatedPlayer(privateID);
+         if (player == null) {
+            continue;
          }
+         var seat = new Object();
+         seat.privateID = privateID;
+         seat.info = player.info;
+         seat.balance = player.balance.toString(10);
+         seat.missedSmallBlind = player.missedSmallBlind;
+         seat.missedBigBlind = player.missedBigBlind;
+         seat.dealt = (this.getPlayer(privateID) != null);
+         seat.sittingOut = player.sittingOut;
+         seat.newSeat = (this._newSeats.indexOf(privateID) > -1);
+         seating.seats.push(seat);
       }
-      if (allPlayersReady == true) {
-         try {
-            var event = await context.sendGameParams(true);
-            event = await context.generateKeypair();
-            event = await context.generateCardDeck();
-            event = await context.encryptCards();
-         } catch (err) {
-            //anyone but the current dealer will throw an error in sendGameParams
+      return (seating);
+   }
+
+   /**
+   * Applies the seating reported by the current dealer, rebuilding the [players]{@link CypherPokerGame#players}
+   * and [sittingOutPlayers]{@link CypherPokerGame#sittingOutPlayers} arrays and assigning the player roles.
+   *
+   * @param {Object} seating The seating to apply, as generated by the dealer's
+   * [getSeating]{@link CypherPokerGame#getSeating} function.
+   *
+   * @fires CypherPokerGame#event:gameseating
+   * @private
+   */
+   applySeating(seating) {
+      var players = new Array();
+      var sittingOutPlayers = new Array();
+      var joinedPID = new Array();
+      this._newSeats = new Array();
+      for (var count=0; count < seating.seats.length; count++) {
+         var seat = seating.seats[count];
+         var player = this.getSeatedPlayer(seat.privateID);
+         if (player == null) {
+            player = new CypherPokerPlayer(seat.privateID);
+            player.info = seat.info;
+         }
+         if (player.privateID != this.ownPID) {
+            player.balance = seat.balance;
+            player.sittingOut = seat.sittingOut;
+         }
+         player.missedSmallBlind = seat.missedSmallBlind;
+         player.missedBigBlind = seat.missedBigBlind;
+         player.isDealer = false;
+         player.isSmallBlind = false;
+         player.isBigBlind = false;
+         if (seat.newSeat) {
+            this._newSeats.push(seat.privateID);
+         }
+         if (seat.dealt) {
+            players.push(player);
+         } else {
+            sittingOutPlayers.push(player);
          }
+         joinedPID.push(seat.privateID);
       }
-      context._gameEnding = false;
-      var result = await context.processMessageQueue();
-      return (true);
+      this._players = players;
+      this._sittingOutPlayers = sittingOutPlayers;
+      this.table.joinedPID = joinedPID;
+      this.table.requiredPID = Array.from(seating.requiredPID);
+      this._seated = true;
+      if (players.length > 1) {
+         this.assignPlayerRoles(seating.dealerPID);
+         this.table.ownerPID = seating.dealerPID;
+      }
+      var event = new Event("gameseating");
+      event.seating = seating;
+      event.game = this;
+      event.table = this.table;
+      this.dispatchEvent(event);
    }
 
    /**
@@ -1883,19 +4487,37 @@ class CypherPokerGame extends EventDispatcher {
       }
       var player = this.getPlayer(this.ownPID);
       var privateDeal = true;
-      if (numCards < 1) {
-         if (player.dealtCards.length < 2) {
+      var board = null;
+      if ((numCards < 1) && this.isStud) {
+         var streetCards = this.getStreetCards(this.streetsDealt);
+         if (player.selectedCards.length < streetCards.down) {
+            //face-down cards
+            numCards = streetCards.down - player.selectedCards.length;
+         } else {
+            //face-up cards
+            privateDeal = false;
+            numCards = streetCards.up - player.selectedUpCards.length;
+         }
+      } else if (numCards < 1) {
+         if (player.dealtCards.length < this.variant.privateCards) {
             //hole cards
-            numCards = 2;
+            numCards = this.variant.privateCards;
          } else {
             privateDeal = false;
-            if (this.cardDecks.public.length < 3) {
+            if (this.cardDecks.public.length == this.variant.publicCards) {
+               //second board (remaining cards run twice)
+               numCards = this.variant.publicCards - this.runTwiceShared;
+               board = 2;
+            } else if (this.cardDecks.public.length < 3) {
                //flop cards
                numCards = 3;
             } else {
                //post-flop cards
                numCards = 1;
             }
+            if (this.runTwice && (board == null)) {
+               board = 1;
+            }
          }
       }
       try {
@@ -1916,6 +4538,8 @@ class CypherPokerGame extends EventDispatcher {
          selectedCards.push(selectedCard);
          if (privateDeal) {
             player.selectedCards.push(selectedCard);
+         } else if (this.isStud) {
+            player.selectedUpCards.push(selectedCard);
          }
          this.cardDecks.dealt.push(selectedCard);
          numCards--;
@@ -1931,6 +4555,10 @@ class CypherPokerGame extends EventDispatcher {
       } else {
          deal.private = false;
          event = new Event("gamedealpublic");
+         if (board != null) {
+            deal.board = board;
+            event.board = board;
+         }
       }
       event.selected = selectedCards;
       event.player = this.getPlayer(this.ownPID);
@@ -1942,19 +4570,28 @@ class CypherPokerGame extends EventDispatcher {
    }
 
    /**
-   * Automatically posts a blind bet it we're a blind, it's the start of
-   * a hand, and we haven't bet yet.
+   * Automatically posts a blind bet it we're a blind or the [straddle]{@link CypherPokerGame#getStraddle},
+   * it's the start of a hand, and we haven't bet yet. If the game [isStud]{@link CypherPokerGame#isStud},
+   * the bring-in is posted instead if we must post it.
    *
    * @private
    */
    postAutoBlinds() {
+      if (this.autoBlinds && this.isStud) {
+         if (this.canBet && this.isBlindBet(this.ownPID)) {
+            //a short-stacked bring-in goes all-in
+            this.placeBet(bigInt.min(this.smallBlind, this.getPlayer(this.ownPID).balance));
+         }
+         return;
+      }
       //only if enabled
       if (this.autoBlinds && this.canBet) {
          if (this.getBigBlind().privateID == this.ownPID) {
             //acting as big blind
             if (this.getPlayer(this.ownPID).totalBet.equals(0)) {
                if (this.table.tableInfo.bigBlind != undefined) {
-                  this.placeBet(this.table.tableInfo.bigBlind);
+                  //a short-stacked blind goes all-in
+                  this.placeBet(bigInt.min(this.bigBlind, this.getPlayer(this.ownPID).balance));
                }
             }
          }
@@ -1962,16 +4599,28 @@ class CypherPokerGame extends EventDispatcher {
             //acting as small blind
             if (this.getPlayer(this.ownPID).totalBet.equals(0)) {
                if (this.table.tableInfo.smallBlind != undefined) {
-                  this.placeBet(this.table.tableInfo.smallBlind);
+                  this.placeBet(bigInt.min(this.smallBlind, this.getPlayer(this.ownPID).balance));
                }
             }
          }
+         var straddle = this.getStraddle();
+         if ((straddle != null) && (straddle.privateID == this.ownPID)) {
+            //acting as straddle
+            if (this.isBlindBet(this.ownPID)) {
+               this.placeBet(bigInt.min(this.straddle, this.getPlayer(this.ownPID).balance));
+            }
+         }
       }
    }
 
    /**
    * Handles a peer-to-peer message event dispatched by the communication
-   * interface of the parent {@link CypherPoker} instance.
+   * interface of the parent {@link CypherPoker} instance. Messages that aren't signed
+   * by the sender (see {@link CypherPoker#verifyCPMessage}), are rejected, as are player
+   * info messages ("gameready" and "gamehello") that announce a different signing key than
+   * the one used to sign them. The signing key announced in a player's info is
+   * [pinned]{@link CypherPoker#pinPeerSigningKey} and any other messages from the player
+   * must be signed with it.
    *
    * @param {Event} event A "message" event dispatched by the communication interface.
    * A <code>data</code> property is expected to contain the parsed JSON-RPC 2.0
@@ -1983,7 +4632,13 @@ class CypherPokerGame extends EventDispatcher {
    * @fires CypherPokerGame#gamedeck
    * @fires CypherPokerGame#gamebet
    * @fires CypherPokerGame#gamedealmsg
+   * @fires CypherPokerGame#gameruntwice
    * @fires CypherPokerGame#gameplayerkeychain
+   * @fires CypherPokerGame#gamesitout
+   * @fires CypherPokerGame#gamesitin
+   * @fires CypherPokerGame#gameseat
+   * @fires CypherPokerGame#gameseating
+   * @fires CypherPokerGame#gameplayerleave
    * @private
    * @async
    */
@@ -1994,7 +4649,20 @@ class CypherPokerGame extends EventDispatcher {
       }
       var resultObj = event.data.result;
       var eventData = event.data;
-       if ((this.matchesThisTable(resultObj) == false) && (resultObj.data.cpMsg != "gameend") && (resultObj.data.cpMsg != "gamerestart") && (this.gameEnding == false)) {
+      var seatMessage = this.isSeatMessage(resultObj.data.cpMsg);
+      if (seatMessage) {
+         if (this.matchesSeatedTable(resultObj) == false) {
+            return (false);
+         }
+      } else if ((this.matchesThisTable(resultObj) == false) && (resultObj.data.cpMsg != "gameend") && (resultObj.data.cpMsg != "gamerestart") && (this.gameEnding == false)) {
+         return (false);
+      }
+      if (this.sittingOut && (seatMessage == false)) {
+         //we're not dealt into the current game (hand)
+         return (false);
+      }
+      if ((await this.cypherpoker.verifyCPMessage(event)) == false) {
+         this.debug("Rejected unsigned or badly signed \""+resultObj.data.cpMsg+"\" message from \""+resultObj.from+"\".", "err");
          return (false);
       }
       var message = resultObj.data;
@@ -2005,14 +4673,32 @@ class CypherPokerGame extends EventDispatcher {
       var ownerPID = message.ownerPID;
       var tableInfo = message.tableInfo;
       var messageType = message.cpMsg;
-      var player = this.getPlayer(fromPID);
+      var player = this.getSeatedPlayer(fromPID);
       this.debug("CypherPokerGame.handleP2PMessage("+event+") => \""+messageType+"\"");
+      if ((messageType == "gameready") || (messageType == "gamehello")) {
+         if ((payload == undefined) || (payload == null) || (payload.signingKey != message.signingKey)) {
+            this.debug("Player info from \""+fromPID+"\" doesn't match its signing key.", "err");
+            return (false);
+         }
+         if (this.cypherpoker.pinPeerSigningKey(fromPID, message.signingKey) == false) {
+            this.debug("Player info from \""+fromPID+"\" announces a different signing key than the one previously announced.", "err");
+            return (false);
+         }
+      } else if (this.cypherpoker.getPeerSigningKey(fromPID) != message.signingKey) {
+         this.debug("Rejected \""+messageType+"\" message from \""+fromPID+"\" not signed with their announced signing key.", "err");
+         return (false);
+      }
       switch (messageType) {
          case "gameready":
             if (this._gameEnding == true) {
                this.messageQueue.push(event);
                return (false);
             }
+            if (player == null) {
+               //a new player is taking an empty seat
+               this.seatPlayer(fromPID, payload);
+               return (true);
+            }
             player.ready = true;
             this.sendPlayerInfo([fromPID]);
             event = new Event("gameplayerready");
@@ -2045,6 +4731,10 @@ class CypherPokerGame extends EventDispatcher {
             event.game = this.game;
             event.table = this.table;
             this.dispatchEvent(event);
+            if (this.sittingOut || (this.getPlayer(fromPID) == null)) {
+               //introductions at a table in play don't start a game
+               return (true);
+            }
             for (var count=0; count < this.players.length; count++) {
                if (this.players[count].ready == false) {
                   return (false);
@@ -2065,6 +4755,37 @@ class CypherPokerGame extends EventDispatcher {
                this.messageQueue.push(event);
                return (false);
             }
+            if ((this.sittingOut == false) && (fromPID != this.table.ownerPID)) {
+               //only the current dealer sends game parameters
+               return (false);
+            }
+            if ((payload.seating != undefined) && (payload.seating != null)) {
+               if (payload.seating.dealerPID != fromPID) {
+                  return (false);
+               }
+               var wasSittingOut = this.sittingOut;
+               this.applySeating(payload.seating);
+               if (this.sittingOut) {
+                  return (true);
+               }
+               if (wasSittingOut) {
+                  //we've been dealt back in
+                  this.resetHand();
+               }
+            }
+            try {
+               await this.verifyGameParams(payload);
+            } catch (err) {
+               this.debug(err, "err");
+               event = new Event("gameparamsinvalid");
+               event.reason = err.message;
+               event.params = payload;
+               event.player = player;
+               event.game = this.game;
+               event.table = this.table;
+               this.dispatchEvent(event);
+               return (false);
+            }
             this._gameParams = payload;
             event = new Event("gameparams");
             event.data = event.data;
@@ -2086,6 +4807,12 @@ class CypherPokerGame extends EventDispatcher {
             if (this.cardDecks.faceup.length >= this.cypherpoker.settings.cards.length) {
                throw (new Error("A deck for this game has already been generated."));
             }
+            try {
+               await this.verifyCardDeck(payload);
+            } catch (err) {
+               await this.rejectCardDeck(err.message, payload, player);
+               return (false);
+            }
             for (count=0; count < payload.length; count++) {
                var newCard = new CypherPokerCard(payload[count], this.cypherpoker.settings.cards[count]);
                this.cardDecks.faceup.push(newCard);
@@ -2101,9 +4828,32 @@ class CypherPokerGame extends EventDispatcher {
                this.messageQueue.push(event);
                return (false);
             }
+            if (this.shuffleProofRounds > 0) {
+               var inputDeck = Array.from(this.cardDecks.encrypted);
+               if (inputDeck.length == 0) {
+                  //first encryption is of the face-up deck
+                  for (count=0; count < this.cardDecks.faceup.length; count++) {
+                     inputDeck.push(this.cardDecks.faceup[count].mapping);
+                  }
+               }
+               var proofValid = await this.verifyShuffleProof(inputDeck, payload.cards, payload.proof);
+               if (proofValid == false) {
+                  this.debug("Invalid shuffle proof from \""+fromPID+"\".", "err");
+                  event = new Event("gameshuffleinvalid");
+                  event.selected = payload.cards;
+                  event.player = player;
+                  event.game = this;
+                  event.table = this.table;
+                  this.dispatchEvent(event);
+                  return (false);
+               }
+            }
+            this.cardDecks.encrypted = Array.from(payload.cards);
             //dispatch this event before potentially calling "encryptCards" below
             event = new Event("gamecardsencrypt");
-            event.selected = Array.from(payload);
+            event.selected = Array.from(payload.cards);
+            event.proof = payload.proof;
+            event.commitment = payload.commitment;
             event.player = player;
             event.game = this;
             event.table = this.table;
@@ -2112,15 +4862,15 @@ class CypherPokerGame extends EventDispatcher {
                //next player after sender is dealer
                if (this.getPlayer(this.ownPID).isDealer) {
                   //I'm the dealer
-                  this.cardDecks.facedown = Array.from(payload);
+                  this.cardDecks.facedown = Array.from(payload.cards);
                } else {
                   //I'm a player between the dealer and the last player
-                  this.cardDecks.facedown = Array.from(payload);
+                  this.cardDecks.facedown = Array.from(payload.cards);
                }
             } else {
                if (this.getPreviousPlayer(this.ownPID).privateID == fromPID) {
                   //continuing encryption from previous player
-                  var encDeck = await this.encryptCards(payload);
+                  var encDeck = await this.encryptCards(payload.cards);
                   if (this.getNextPlayer(this.ownPID).isDealer == true) {
                      //I'm a player between the dealer and the last player
                      this.cardDecks.facedown = Array.from(encDeck);
@@ -2156,6 +4906,8 @@ class CypherPokerGame extends EventDispatcher {
                          //todo: ensure that this only gets done once!
                           if (payload.private == true) {
                             this.getPlayer(fromPID).selectedCards.push(this.cardDecks.facedown[count2]);
+                         } else if (this.isStud) {
+                            this.getPlayer(fromPID).selectedUpCards.push(this.cardDecks.facedown[count2]);
                          }
                          this.cardDecks.facedown.splice(count2, 1);
                       }
@@ -2168,7 +4920,12 @@ class CypherPokerGame extends EventDispatcher {
             //attempt to decrypt the deck
             try {
                var decryptedCards = await this.decryptCards(payload);
-               if (this.getPlayer(this.ownPID).selectedCards.length < this.getPreviousPlayer(this.ownPID).selectedCards.length) {
+               if (this.isStud) {
+                  if (((this.streetsDealt == 0) || this.streetDealing) && this.canDeal) {
+                     //our turn to deal our own cards for the street
+                     this.dealCards();
+                  }
+               } else if (this.getPlayer(this.ownPID).selectedCards.length < this.getPreviousPlayer(this.ownPID).selectedCards.length) {
                   //our turn to select (deal our own) cards
                   this.dealCards();
                }
@@ -2188,18 +4945,18 @@ class CypherPokerGame extends EventDispatcher {
             } else {
                //todo: check to make sure bet amount is valid
                var betAmount = bigInt(payload.amount);
+               var blindBet = this.isBlindBet(fromPID);
+               //compare against largest bet prior to this one so that a short all-in doesn't count as a raise
+               var biggestBet = this.largestBet;
                this.pot = this.pot.add(betAmount);
                this.getPlayer(fromPID).totalBet = this.getPlayer(fromPID).totalBet.add(betAmount);
                this.getPlayer(fromPID).balance = this.getPlayer(fromPID).balance.minus(betAmount);
                this.getPlayer(fromPID).hasFolded = false;
                this.getPlayer(fromPID).hasBet = true;
                this.getPlayer(fromPID).numActions++;
-               var raise = false;
-               for (var count = 0; count < this.players.length; count++) {
-                  if (this.getPlayer(fromPID).totalBet.greater(this.players[count].totalBet) && this.players[count].hasBet && (this.players[count].hasFolded == false)) {
-                     raise = true;
-                     break;
-                  }
+               var raise = this.getPlayer(fromPID).totalBet.greater(biggestBet);
+               if (raise && (blindBet == false)) {
+                  this.updateBettingRound(this.getPlayer(fromPID).totalBet.subtract(biggestBet));
                }
                if (raise) {
                   for (var count = 0; count < this.players.length; count++) {
@@ -2228,6 +4985,20 @@ class CypherPokerGame extends EventDispatcher {
                this.endGame();
             }
             break;
+         case "gameruntwice":
+            //a player has decided whether to run the remaining cards twice
+            if (this._gameEnding == true) {
+               this.messageQueue.push(event);
+               return (false);
+            }
+            //the decision may arrive before the final bet so only the table settings are checked here
+            if ((player == null) || player.hasFolded || (player.runTwice != null) ||
+               (this.table.tableInfo.runTwice != true) || this.isStud) {
+               return (false);
+            }
+            player.runTwice = (payload.agree == true);
+            this.onRunTwiceDecision(player);
+            break;
          case "gameend":
             //a player is sending their keypairs and other end game information
             for (var count=0; count < payload.keychain.length; count++) {
@@ -2242,6 +5013,9 @@ class CypherPokerGame extends EventDispatcher {
             break;
          case "gamerestart":
             //player has signalled that they're ready for a restart (post-game analysis complete)
+            if (player == null) {
+               return (false);
+            }
             player.ready = true;
             for (count=0; count<this.players.length;count++) {
                if (this.players[count].ready == false) {
@@ -2260,6 +5034,57 @@ class CypherPokerGame extends EventDispatcher {
             this._gameEnding = false;
             var result = await this.processMessageQueue();
             break;
+         case "gamesitout":
+            //player is sitting out starting with the next game (hand)
+            if (this.isTournament) {
+               return (false);
+            }
+            player.sittingOut = true;
+            event = new Event("gamesitout");
+            event.player = player;
+            event.game = this;
+            event.table = this.table;
+            this.dispatchEvent(event);
+            break;
+         case "gamesitin":
+            //player wants to be dealt into the next game (hand)
+            player.sittingOut = false;
+            event = new Event("gamesitin");
+            event.player = player;
+            event.game = this;
+            event.table = this.table;
+            this.dispatchEvent(event);
+            break;
+         case "gameseating":
+            //the current dealer is reporting the seating to us as a new player
+            if ((payload.dealerPID != fromPID) || (this.sittingOut == false)) {
+               return (false);
+            }
+            this.applySeating(payload);
+            if (this.sittingOut && (this._seatTaken != true)) {
+               var result = await this.takeSeat();
+            }
+            break;
+         case "tableleave":
+            //player has left the table; the parent CypherPoker instance leaves the table in play
+            if (this.isTournament) {
+               return (false);
+            }
+            player.sittingOut = true;
+            if (this.getPlayer(fromPID) != null) {
+               //dealt into the current game (hand) so vacate the seat when it ends
+               if (this._leavingPIDs.indexOf(fromPID) < 0) {
+                  this._leavingPIDs.push(fromPID);
+               }
+            } else {
+               this.vacateSeat(fromPID);
+            }
+            event = new Event("gameplayerleave");
+            event.player = player;
+            event.game = this;
+            event.table = this.table;
+            this.dispatchEvent(event);
+            break;
          default:
             //not a recognized CypherPoker.JS game message type
             break;
@@ -2278,11 +5103,58 @@ class CypherPokerGame extends EventDispatcher {
       event.analyzer.removeEventListener("scored", this.onGameAnalyzed, this);
       var newEvent = new Event("gamescored");
       newEvent.analyzer = event.analyzer;
+      newEvent.pots = event.analyzer.analysis.pots;
       newEvent.game = this;
       newEvent.table = this;
       this.dispatchEvent(newEvent);
    }
 
+   /**
+   * Creates a progress object to be used as the request ID for one or more batch
+   * operations of the [crypto]{@link CypherPoker#crypto} instance, such as
+   * {@link SRACrypto#encryptBatch}. The progress of all of the batches sharing the
+   * object is combined and reported by {@link CypherPokerGame#onCryptoProgress}.
+   *
+   * @param {String} operation The operation being performed (see {@link CypherPokerGame#event:gamecryptoprogress}).
+   * @param {Number} total The total number of values to be processed by all batches
+   * of the operation.
+   *
+   * @return {Object} The new progress object.
+   * @private
+   */
+   cryptoProgress(operation, total) {
+      var progress = new Object();
+      progress.game = this;
+      progress.operation = operation;
+      progress.completed = 0;
+      progress.total = total;
+      return (progress);
+   }
+
+   /**
+   * Event listener invoked when the [crypto]{@link CypherPoker#crypto} instance reports the
+   * progress of a batch operation. Since the crypto instance is shared, only progress
+   * objects created by this game's {@link CypherPokerGame#cryptoProgress} are reported.
+   *
+   * @param {SRACrypto#event:progress} event An event object.
+   * @fires CypherPokerGame#gamecryptoprogress
+   * @private
+   */
+   onCryptoProgress(event) {
+      var progress = event.requestID;
+      if ((progress == undefined) || (progress == null) || (progress.game !== this)) {
+         return;
+      }
+      progress.completed += event.processed;
+      var newEvent = new Event("gamecryptoprogress");
+      newEvent.operation = progress.operation;
+      newEvent.completed = progress.completed;
+      newEvent.total = progress.total;
+      newEvent.game = this;
+      newEvent.table = this.table;
+      this.dispatchEvent(newEvent);
+   }
+
    /**
    * Prepares the instance to be removed from memory by clearing
    * all references, event listeners, etc.
@@ -2291,6 +5163,10 @@ class CypherPokerGame extends EventDispatcher {
       try {
          this.cypherpoker.p2p.removeEventListener("message", this.handleP2PMessage);
       } catch (err) {}
+      try {
+         //the crypto instance is shared by all games so the context must be included
+         this.cypherpoker.crypto.removeEventListener("progress", this.onCryptoProgress, this);
+      } catch (err) {}
       try {
          this.analyzer.removeEventListener("scored", this.onGameAnalyzed);
          this.analyzer.removeGameListeners();
@@ -109,6 +109,72 @@ class CypherPokerPlayer extends EventDispatcher {
       this._isSmallBlind = sbSet;
    }
 
+   /**
+   * @property {Boolean} missedSmallBlind=false Set to true when the associated player
+   * has missed posting the small blind (for example, while sitting out). A missed small blind
+   * is posted as dead money at the start of the next game (hand) that the player is dealt into.
+   */
+   get missedSmallBlind() {
+      if (this._missedSmallBlind == undefined) {
+         this._missedSmallBlind = false;
+      }
+      return (this._missedSmallBlind);
+   }
+
+   set missedSmallBlind(missedSet) {
+      this._missedSmallBlind = missedSet;
+   }
+
+   /**
+   * @property {Boolean} missedBigBlind=false Set to true when the associated player
+   * has missed posting the big blind (for example, while sitting out or after joining). A missed
+   * big blind is posted as dead money at the start of the next game (hand) that the player is
+   * dealt into.
+   */
+   get missedBigBlind() {
+      if (this._missedBigBlind == undefined) {
+         this._missedBigBlind = false;
+      }
+      return (this._missedBigBlind);
+   }
+
+   set missedBigBlind(missedSet) {
+      this._missedBigBlind = missedSet;
+   }
+
+   /**
+   * @property {Boolean} runTwice=null The player's decision on whether to deal the remaining
+   * public cards twice once all remaining players are all-in (see [CypherPokerGame.agreeRunTwice]{@link CypherPokerGame#agreeRunTwice}).
+   * <code>null</code> if the player hasn't yet decided.
+   */
+   get runTwice() {
+      if (this._runTwice == undefined) {
+         this._runTwice = null;
+      }
+      return (this._runTwice);
+   }
+
+   set runTwice(runTwiceSet) {
+      this._runTwice = runTwiceSet;
+   }
+
+   /**
+   * @property {Boolean} sittingOut=false Set to true when the associated player is sitting out
+   * at the table. A change to this value takes effect at the start of the next game (hand); a
+   * player that is sitting out keeps their seat but isn't dealt in or included in the betting order
+   * (see [CypherPokerGame.sitOut]{@link CypherPokerGame#sitOut}).
+   */
+   get sittingOut() {
+      if (this._sittingOut == undefined) {
+         this._sittingOut = false;
+      }
+      return (this._sittingOut);
+   }
+
+   set sittingOut(sittingOutSet) {
+      this._sittingOut = sittingOutSet;
+   }
+
    /**
    * @property {Object} info=null Additional information for the player as
    * supplied during instantiation.
@@ -155,6 +221,39 @@ class CypherPokerPlayer extends EventDispatcher {
       this._dealtCards = cardsArr;
    }
 
+   /**
+   * @property {Array} selectedUpCards Indexed array of strings representing
+   * encrypted face-up cards dealt to (selected by), the player. Only used
+   * in variants that deal individual face-up cards such as Seven-Card Stud.
+   */
+   get selectedUpCards() {
+      if (this._selectedUpCards == undefined) {
+         this._selectedUpCards = new Array();
+      }
+      return (this._selectedUpCards);
+   }
+
+   set selectedUpCards(cardsArr) {
+      this._selectedUpCards = cardsArr;
+   }
+
+   /**
+   * @property {Array} upCards Indexed array of plaintext face-up {@link CypherPokerCard}
+   * instances that have been dealt to (selected by), the player and are visible
+   * to everyone at the table. Only used in variants that deal individual face-up
+   * cards such as Seven-Card Stud.
+   */
+   get upCards() {
+      if (this._upCards == undefined) {
+         this._upCards = new Array();
+      }
+      return (this._upCards);
+   }
+
+   set upCards(cardsArr) {
+      this._upCards = cardsArr;
+   }
+
    /**
    * @property {BigInteger} totalBet The total bet amount placed by the player in the current game (hand)
    * in the smallest denomination of the target currency (e.g. Satoshis if using Bitcoin, pennies
@@ -172,6 +271,24 @@ class CypherPokerPlayer extends EventDispatcher {
       this._totalBet = new bigInt(betAmount);
    }
 
+   /**
+   * @property {BigInteger} deadBet The amount of dead money (antes and missed blinds), posted
+   * by the player at the start of the current game (hand). Dead money is added to the pot but
+   * isn't included in the player's [totalBet]{@link CypherPokerPlayer#totalBet}. When setting this
+   * value, a <code>Number</code> or <code>String</code> may be used which will be cast to a
+   * <code>BigInteger</code> object.
+   */
+   get deadBet() {
+      if (this._deadBet == undefined) {
+         this._deadBet = bigInt(0);
+      }
+      return (this._deadBet);
+   }
+
+   set deadBet(betAmount) {
+      this._deadBet = new bigInt(betAmount);
+   }
+
    /**
    * @property {BigInteger} balance="0" The current in-game balance. Note that
    * this is different than the [CypherPokerAccount.balance]{@link CypherPokerAccount#balance} property
@@ -235,6 +352,24 @@ class CypherPokerPlayer extends EventDispatcher {
       this._hasFolded = foldSet;
    }
 
+   /**
+   * @property {Boolean} isAllIn=false True if the player has committed their
+   * entire in-game [balance]{@link CypherPokerPlayer#balance} to the current game
+   * (hand), including any [dead money]{@link CypherPokerPlayer#deadBet}, without
+   * folding. An all-in player takes no further betting actions
+   * in the game and is only eligible to win the pot(s) they've fully contributed to.
+   * @readonly
+   */
+   get isAllIn() {
+      if (this.hasFolded) {
+         return (false);
+      }
+      if (bigInt(this.totalBet).equals(0) && bigInt(this.deadBet).equals(0)) {
+         return (false);
+      }
+      return (bigInt(this.balance).equals(0));
+   }
+
    /**
    * @property {Array} keychain Indexed array of {@link keypair}
    * objects used by the player. These are stored in ascending order with index 0
@@ -276,12 +411,19 @@ class CypherPokerPlayer extends EventDispatcher {
       }
       returnObj.dealtCards = Array.from(this.dealtCards);
       returnObj.selectedCards = Array.from(this.selectedCards);
+      returnObj.upCards = Array.from(this.upCards);
+      returnObj.selectedUpCards = Array.from(this.selectedUpCards);
       returnObj.hasBet = this.hasBet;
       returnObj.hasFolded = this.hasFolded;
       returnObj.isDealer = this.isDealer;
       returnObj.isSmallBlind = this.isSmallBlind;
       returnObj.isBigBlind = this.isBigBlind;
+      returnObj.missedSmallBlind = this.missedSmallBlind;
+      returnObj.missedBigBlind = this.missedBigBlind;
+      returnObj.runTwice = this.runTwice;
+      returnObj.sittingOut = this.sittingOut;
       returnObj.totalBet = this.totalBet.toString(10);
+      returnObj.deadBet = this.deadBet.toString(10);
       returnObj.balance = this.balance.toString(10);
       returnObj.ready = this.ready;
       if (includeKeychain) {
@@ -300,12 +442,19 @@ class CypherPokerPlayer extends EventDispatcher {
       returnPlayer._account = this.account;
       returnPlayer._dealtCards = Array.from(this.dealtCards);
       returnPlayer._selectedCards = Array.from(this.selectedCards);
+      returnPlayer._upCards = Array.from(this.upCards);
+      returnPlayer._selectedUpCards = Array.from(this.selectedUpCards);
       returnPlayer._hasBet = this.hasBet;
       returnPlayer._hasFolded = this.hasFolded;
       returnPlayer._isDealer = this.isDealer;
       returnPlayer._isSmallBlind = this.isSmallBlind;
       returnPlayer._isBigBlind = this.isBigBlind;
+      returnPlayer._missedSmallBlind = this.missedSmallBlind;
+      returnPlayer._missedBigBlind = this.missedBigBlind;
+      returnPlayer._runTwice = this.runTwice;
+      returnPlayer._sittingOut = this.sittingOut;
       returnPlayer._totalBet = this.totalBet.toString(10);
+      returnPlayer._deadBet = this.deadBet.toString(10);
       returnPlayer._balance = this.balance.toString(10);
       returnPlayer._ready = this.ready;
       returnPlayer._keychain = Array.from(this.keychain);
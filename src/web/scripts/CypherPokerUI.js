@@ -42,24 +42,36 @@ class CypherPokerUI {
    * @property {String} gameUISelectors.betButton="#betButton" The game's bet button.
    * @property {String} gameUISelectors.foldButton="#foldButton" The game's fold button.
    * @property {String} gameUISelectors.newHandButton="#newHandButton" The game's new hand button.
+   * @property {String} gameUISelectors.runTwiceButton="#runTwiceButton" The game's button to agree to run the remaining cards twice.
+   * @property {String} gameUISelectors.runOnceButton="#runOnceButton" The game's button to run the remaining cards once.
+   * @property {String} gameUISelectors.sitOutButton="#sitOutButton" The game's button to sit out or sit back in.
    * @property {String} gameUISelectors.totalBet="#totalBet" The game's total bet amount display element.
    * @property {String} gameUISelectors.balance="#balance" The remaining game balance amount display element.
    * @property {String} gameUISelectors.potAmount="#potAmount" The game's pot amount input element.
    * @property {String} gameUISelectors.betAmount="#betAmount" The game's bet amount input element.
+   * @property {String} gameUISelectors.raiseLimits="#raiseLimits" The game's minimum and maximum raise display element.
+   * @property {String} gameUISelectors.blinds="#blinds" The game's current blinds display element.
    * @property {String} gameUISelectors.publicCards="#publicCards" The game's public cards container element.
    * @property {String} gameUISelectors.privateCards="#privateCards" The game's private cards container element.
    * @property {String} gameUISelectors.timeoutAmount="#timeoutAmount" The game's timeout counter container element.
+   * @property {String} gameUISelectors.cryptoProgress="#cryptoProgress" The game's shuffle / decryption progress display element.
    */
    get gameUISelectors() {
       return({
          "betButton":"#betButton",
          "foldButton":"#foldButton",
          "newHandButton":"#newHandButton",
+         "runTwiceButton":"#runTwiceButton",
+         "runOnceButton":"#runOnceButton",
+         "sitOutButton":"#sitOutButton",
          "totalBet":"#totalBet",
          "balance":"#balance",
          "potAmount":"#potAmount",
          "betAmount":"#betAmount",
+         "raiseLimits":"#raiseLimits",
+         "blinds":"#blinds",
          "timeoutAmount":"#timeoutAmount",
+         "cryptoProgress":"#cryptoProgress",
          "publicCards":"#publicCards",
          "privateCards":"#privateCards",
          "handHistory":"#handHistory"
@@ -532,16 +544,34 @@ class CypherPokerUI {
       var betButton = gameElement.querySelector(this.gameUISelectors.betButton);
       var foldButton = gameElement.querySelector(this.gameUISelectors.foldButton);
       var newHandButton = gameElement.querySelector(this.gameUISelectors.newHandButton);
+      var runTwiceButton = gameElement.querySelector(this.gameUISelectors.runTwiceButton);
+      var runOnceButton = gameElement.querySelector(this.gameUISelectors.runOnceButton);
+      var sitOutButton = gameElement.querySelector(this.gameUISelectors.sitOutButton);
       //element-scoped event listeners
       betButton.addEventListener("click", this.onBetButtonClick);
       foldButton.addEventListener("click", this.onFoldButtonClick);
       newHandButton.addEventListener("click", this.onNewHandButtonClick);
+      runTwiceButton.addEventListener("click", this.onRunTwiceButtonClick);
+      runOnceButton.addEventListener("click", this.onRunTwiceButtonClick);
+      sitOutButton.addEventListener("click", this.onSitOutButtonClick);
       //this-scoped event listeners
       gameRef.addEventListener("gamedeal", this.onCardDeal, this);
       gameRef.addEventListener("gamebet", this.onBetPlaced, this);
+      gameRef.addEventListener("gameruntwice", this.onRunTwiceDecision, this);
       gameRef.addEventListener("gameend", this.onGameEnd, this);
       gameRef.addEventListener("gamescored", this.onGameScored, this);
+      gameRef.addEventListener("gamesitout", this.onSeatingChange, this);
+      gameRef.addEventListener("gamesitin", this.onSeatingChange, this);
+      gameRef.addEventListener("gameseat", this.onSeatingChange, this);
+      gameRef.addEventListener("gameseating", this.onSeatingChange, this);
+      gameRef.addEventListener("gameplayerleave", this.onSeatingChange, this);
+      gameRef.addEventListener("gameshuffleinvalid", this.onShuffleInvalid, this);
+      gameRef.addEventListener("gameparamsinvalid", this.onGameParamsInvalid, this);
+      gameRef.addEventListener("gamecryptoprogress", this.onCryptoProgress, this);
       this.disable(betButton);
+      if (gameRef.isTournament) {
+         this.disable(sitOutButton);
+      }
    }
 
    /**
@@ -574,15 +604,17 @@ class CypherPokerUI {
    * @param {Number} timeoutAmount The timeout amount, in seconds, to track.
    * @param {CypherPokerGame} game The game instance for which to track
    * the timeout (in the UI).
+   * @param {Number} [timeBank=0] The number of seconds remaining in the acting player's
+   * time bank. The time bank is counted down once the <code>timeoutAmount</code> has elapsed.
    *
    * @private
    */
-   startTimeoutTimer(timeoutElement, timeoutAmount, game) {
+   startTimeoutTimer(timeoutElement, timeoutAmount, game, timeBank=0) {
       this.stopTimeoutTimer(timeoutElement);
       var now = new Date();
       //or Date.now()...
       timeoutElement._startTime = now.valueOf();
-      timeoutElement._timeoutID = setTimeout(this.onTimeoutTimerTick, 1000, timeoutElement, timeoutAmount, game, this);
+      timeoutElement._timeoutID = setTimeout(this.onTimeoutTimerTick, 1000, timeoutElement, timeoutAmount, game, this, timeBank);
    }
 
    /**
@@ -609,14 +641,22 @@ class CypherPokerUI {
    * @param {Number} timeoutAmount The timeout amount, in seconds, being tracked.
    * @param {CypherPokerGame} game The game instance for which the timer is active.
    * @param {CypherPokerUI} ui The UI handler to be used to update the <code>timeoutElement</code>.
+   * @param {Number} [timeBank=0] The number of seconds in the acting player's time bank, counted
+   * down after the <code>timeoutAmount</code>.
    *
    * @private
    */
-   onTimeoutTimerTick(timeoutElement, timeoutAmount, game, ui) {
+   onTimeoutTimerTick(timeoutElement, timeoutAmount, game, ui, timeBank=0) {
       var now = new Date();
       //use system timestamp to determine number of elapsed seconds rather than imprecise timer
       var secondsElapsed = Math.floor((now.valueOf() - timeoutElement._startTime) / 1000);
       var secondsRemaining = timeoutAmount - secondsElapsed;
+      var usingTimeBank = false;
+      if ((secondsRemaining <= 0) && (timeBank > 0)) {
+         //timeout has elapsed so count down the time bank
+         secondsRemaining = timeoutAmount + timeBank - secondsElapsed;
+         usingTimeBank = true;
+      }
       if (secondsRemaining < 0) {
          secondsRemaining = 0;
       }
@@ -633,12 +673,17 @@ class CypherPokerUI {
             timeStr += "0";
          }
          timeStr += String(timeoutSeconds);
+         if (usingTimeBank) {
+            timeStr += " (time bank)";
+         }
          if (secondsRemaining <= 5) {
             timeoutElement.innerHTML = "<span id=\"timeoutCritical\">" + timeStr + "</span>";
+         } else if (usingTimeBank) {
+            timeoutElement.innerHTML = "<span id=\"timeBank\">" + timeStr + "</span>";
          } else {
             timeoutElement.innerHTML = "<span id=\"timeout\">" + timeStr + "</span>";
          }
-         timeoutElement._timeoutID = setTimeout(ui.onTimeoutTimerTick, 1000, timeoutElement, timeoutAmount, game, ui);
+         timeoutElement._timeoutID = setTimeout(ui.onTimeoutTimerTick, 1000, timeoutElement, timeoutAmount, game, ui, timeBank);
       } else {
          //contract has timed out
          timeStr = "0:00:00";
@@ -655,6 +700,7 @@ class CypherPokerUI {
    addCypherPokerHandlers() {
       this.cypherpoker.addEventListener("newgame", this.onNewGame, this);
       this.cypherpoker.addEventListener("tablenew", this.onNewTableAnnouncement, this);
+      this.cypherpoker.addEventListener("accountupdate", this.onAccountUpdate, this);
       this.cypherpoker.captureNewTables = true;
    }
 
@@ -753,12 +799,16 @@ class CypherPokerUI {
             manageElement.querySelector("#accountBalance").innerHTML =  "updating...";
             loginElement.querySelector("#accountBalance").innerHTML =  "updating...";
             this.selectedAccount.update().then(done => {
-               var satoshiAmount = this.selectedAccount.balance.toString(10);
-               var btcAmount = this.convertDenom(satoshiAmount, "satoshi", "bitcoin");
-               manageElement.querySelector("#accountBalance").innerHTML =  satoshiAmount+ " satoshis";
-               loginElement.querySelector("#accountBalance").innerHTML =  satoshiAmount+ " satoshis";
+               var denoms = this.getDenominations(this.selectedAccount.type);
+               var baseAmount = this.selectedAccount.balance.toString(10);
+               var mainAmount = this.convertDenom(baseAmount, denoms.base, denoms.main);
+               manageElement.querySelector("#accountBalance").innerHTML =  baseAmount + " " + denoms.baseLabel;
+               loginElement.querySelector("#accountBalance").innerHTML =  baseAmount + " " + denoms.baseLabel;
                minerFeeInput.value = this.selectedAccount.fees.cashout;
                this.cypherpoker.saveAccounts();
+               if (this.isHidden(manageElement) == false) {
+                  this.updateAccountStatement(1);
+               }
             }).catch(error => {
                manageElement.querySelector("#accountBalance").innerHTML = "unavailable";
                loginElement.querySelector("#accountBalance").innerHTML = "unavailable";
@@ -889,7 +939,14 @@ class CypherPokerUI {
             //lobby is active
             this.cypherpoker.removeAllTables(true, true);
          } else {
-            //game(s) is active
+            //game(s) is active; vacate our seat(s) so that the remaining players may continue
+            for (var count=0; count < this.cypherpoker.games.length; count++) {
+               try {
+                  await this.cypherpoker.games[count].leaveTable();
+               } catch (err) {
+                  this.debug(err, "err");
+               }
+            }
             this.cypherpoker.removeAllGames(true);
          }
          var lobbyContainer = document.querySelector(ui.UISelectors.lobby);
@@ -991,6 +1048,12 @@ class CypherPokerUI {
                   } else {
                      helpElement = element.querySelector("#new_account_bch");
                   }
+               } else if (typeSplit[0] == "litecoin") {
+                  if (typeSplit[1] == "test") {
+                     var helpElement = element.querySelector("#new_account_ltc_test");
+                  } else {
+                     helpElement = element.querySelector("#new_account_ltc");
+                  }
                }
                helpElement.innerHTML = helpElement.innerHTML.split("%address%").join(newAccount.address);
                helpElement.innerHTML = helpElement.innerHTML.split("%depositfee%").join(newAccount.fees.deposit);
@@ -1062,10 +1125,11 @@ class CypherPokerUI {
             var account = selectedOption.account;
             element.querySelector("#accountPassword").value = account.password;
             account.update().then(done => {
-               var satoshiAmount = account.balance.toString(10);
-               var btcAmount = this.convertDenom(satoshiAmount, "satoshi", "bitcoin");
-               manageElement.querySelector("#accountBalance").innerHTML =  satoshiAmount+ " satoshis";
-               loginElement.querySelector("#accountBalance").innerHTML =  satoshiAmount+ " satoshis";
+               var denoms = this.getDenominations(account.type);
+               var baseAmount = account.balance.toString(10);
+               var mainAmount = this.convertDenom(baseAmount, denoms.base, denoms.main);
+               manageElement.querySelector("#accountBalance").innerHTML =  baseAmount + " " + denoms.baseLabel;
+               loginElement.querySelector("#accountBalance").innerHTML =  baseAmount + " " + denoms.baseLabel;
                minerFeeInput.value = account.fees.cashout;
                this.cypherpoker.saveAccounts();
             }).catch(error => {
@@ -1107,7 +1171,7 @@ class CypherPokerUI {
                try {
                   cashoutAmount = bigInt(cashoutAmount);
                } catch (err) {
-                  this.showDialog("Invalid cashout amount. Must be in satoshis.");
+                  this.showDialog("Invalid cashout amount. Must be in "+this.getDenominations(this.selectedAccount.type).baseLabel+".");
                   this.hideDialog(3000);
                   return (false);
                }
@@ -1124,16 +1188,18 @@ class CypherPokerUI {
             }
             var minerFee = bigInt(minerFeeElement.value);
             if (minerFee.lesser(1)) {
-               this.showDialog("Miner fee must be at least 1 satoshi.");
+               this.showDialog("Miner fee must be at least 1 "+this.getDenominations(this.selectedAccount.type).base+".");
                this.hideDialog(3000);
                return (false);
             }
             minerFee = minerFee.toString(10);
             this.selectedAccount.cashout(cashoutAmount, cashoutAddress, minerFee).then(cashoutResult => {
-               var satoshiAmount = this.selectedAccount.balance.toString(10);
-               var btcAmount = this.convertDenom(satoshiAmount, "satoshi", "bitcoin");
-               manageElement.querySelector("#accountBalance").innerHTML =  satoshiAmount+ " satoshis";
-               loginElement.querySelector("#accountBalance").innerHTML =  satoshiAmount+ " satoshis";
+               var denoms = this.getDenominations(this.selectedAccount.type);
+               var baseAmount = this.selectedAccount.balance.toString(10);
+               var mainAmount = this.convertDenom(baseAmount, denoms.base, denoms.main);
+               manageElement.querySelector("#accountBalance").innerHTML =  baseAmount + " " + denoms.baseLabel;
+               loginElement.querySelector("#accountBalance").innerHTML =  baseAmount + " " + denoms.baseLabel;
+               this.updateAccountStatement(1);
                this.copyToClipboard(cashoutResult.txHash, this);
                var postCashoutElement = this.getTemplateByName("postCashout").elements[0];
                this.removeClone(postCashoutElement); //remove clone if it exists
@@ -1142,6 +1208,8 @@ class CypherPokerUI {
                var test3Element = clone.querySelector("#cashout_test3");
                var bchElement = clone.querySelector("#cashout_bth");
                var bchTestElement = clone.querySelector("#cashout_bchtest");
+               var ltcElement = clone.querySelector("#cashout_ltc");
+               var ltcTestElement = clone.querySelector("#cashout_ltctest");
                if (this.selectedAccount.type == "bitcoin") {
                   if (this.selectedAccount.network == "test3") {
                      //testnet
@@ -1166,6 +1234,18 @@ class CypherPokerUI {
                      this.hide(bchTestElement);
                      this.show(bchElement);
                   }
+               } else if (this.selectedAccount.type == "litecoin") {
+                  if (this.selectedAccount.network == "test") {
+                     //testnet
+                     ltcTestElement.innerHTML = ltcTestElement.innerHTML.split("%txHash%").join(cashoutResult.txHash);
+                     this.hide(ltcElement);
+                     this.show(ltcTestElement);
+                  } else {
+                     //mainnet
+                     ltcElement.innerHTML = ltcElement.innerHTML.split("%txHash%").join(cashoutResult.txHash);
+                     this.hide(ltcTestElement);
+                     this.show(ltcElement);
+                  }
                }
                this.show(clone);
                this.showDialog();
@@ -1193,7 +1273,7 @@ class CypherPokerUI {
                try {
                   transferAmount = bigInt(transferAmount);
                } catch (err) {
-                  this.showDialog("Invalid transfer amount. Must be in satoshis.");
+                  this.showDialog("Invalid transfer amount. Must be in "+this.getDenominations(this.selectedAccount.type).baseLabel+".");
                   this.hideDialog(3000);
                   return;
                }
@@ -1209,16 +1289,31 @@ class CypherPokerUI {
                return;
             }
             this.selectedAccount.transfer(transferAmount, transferAccount).then(done => {
-               var satoshiAmount = this.selectedAccount.balance.toString(10);
-               var btcAmount = this.convertDenom(satoshiAmount, "satoshi", "bitcoin");
-               manageElement.querySelector("#accountBalance").innerHTML =  satoshiAmount+ " satoshis";
-               loginElement.querySelector("#accountBalance").innerHTML =  satoshiAmount+ " satoshis";
+               var denoms = this.getDenominations(this.selectedAccount.type);
+               var baseAmount = this.selectedAccount.balance.toString(10);
+               var mainAmount = this.convertDenom(baseAmount, denoms.base, denoms.main);
+               manageElement.querySelector("#accountBalance").innerHTML =  baseAmount + " " + denoms.baseLabel;
+               loginElement.querySelector("#accountBalance").innerHTML =  baseAmount + " " + denoms.baseLabel;
+               this.updateAccountStatement(1);
             }).catch(error => {
                console.error(error);
                this.showDialog(error);
                this.hideDialog(3000);
             });
             break;
+         case "account_history":
+            var page = 1;
+            if ((this._statement != undefined) && (this._statement != null)) {
+               if (subType == "previous") {
+                  page = Math.max(1, this._statement.page - 1);
+               } else if (subType == "next") {
+                  page = Math.min(this._statement.totalPages, this._statement.page + 1);
+               } else {
+                  page = this._statement.page;
+               }
+            }
+            this.updateAccountStatement(page);
+            break;
          default:
             return (false);
             break;
@@ -1255,20 +1350,80 @@ class CypherPokerUI {
             var tableName = createGameElement.querySelector("#tableName").value;
             var numPlayers = Number(createGameElement.querySelector("#numPlayers").value);
             numPlayers--; //exclude self
+            var variant = createGameElement.querySelector("#gameVariant").value;
+            var curve = createGameElement.querySelector("#cardEncryption").value;
+            var shuffleProofs = createGameElement.querySelector("#shuffleProofs").checked;
+            var safePrime = createGameElement.querySelector("#safePrime").checked;
             var buyInAmount = createGameElement.querySelector("#buyInAmount").value;
             var bigBlindAmount = createGameElement.querySelector("#bigBlindAmount").value;
             var smallBlindAmount = createGameElement.querySelector("#smallBlindAmount").value;
+            var bettingStructure = new Object();
+            bettingStructure.type = createGameElement.querySelector("#bettingStructure").value;
+            var smallBetAmount = createGameElement.querySelector("#smallBetAmount").value;
+            var bigBetAmount = createGameElement.querySelector("#bigBetAmount").value;
+            var raiseCap = createGameElement.querySelector("#raiseCapAmount").value;
+            if ((bettingStructure.type == "fixed-limit") && (String(smallBetAmount).trim() != "")) {
+               bettingStructure.smallBet = String(smallBetAmount).trim();
+            }
+            if ((bettingStructure.type == "fixed-limit") && (String(bigBetAmount).trim() != "")) {
+               bettingStructure.bigBet = String(bigBetAmount).trim();
+            }
+            if (String(raiseCap).trim() != "") {
+               bettingStructure.raiseCap = Number(raiseCap);
+            }
+            var anteAmount = createGameElement.querySelector("#anteAmount").value;
+            var anteType = createGameElement.querySelector("#anteType").value;
+            var straddle = createGameElement.querySelector("#straddle").checked;
+            var runTwice = createGameElement.querySelector("#runTwice").checked;
+            var tournamentMode = createGameElement.querySelector("#tournamentMode").checked;
+            var startingStack = createGameElement.querySelector("#startingStack").value;
+            var blindLevelType = createGameElement.querySelector("#blindLevelType").value;
+            var blindLevelInterval = createGameElement.querySelector("#blindLevelInterval").value;
+            var tournamentPayouts = createGameElement.querySelector("#tournamentPayouts").value;
             var inactivityTimeout = Math.round(createGameElement.querySelector("#inactivityTimeoutAmount").value);
+            var timeBank = createGameElement.querySelector("#timeBankAmount").value;
             var validationError = this.validateTableCreateForm(createGameElement);
             if (validationError != null) {
                this.showDialog(validationError);
                this.hideDialog(4000);
                return (false);
             }
+            tableInfo.variant = variant;
+            if (curve != "") {
+               tableInfo.curve = curve;
+            } else {
+               tableInfo.cryptoPolicy = new Object();
+               tableInfo.cryptoPolicy.minBitLength = this.cypherpoker.settings.crypto.bitLength;
+               tableInfo.cryptoPolicy.radix = this.cypherpoker.settings.crypto.radix;
+               tableInfo.cryptoPolicy.safePrime = safePrime;
+            }
+            if (shuffleProofs == true) {
+               tableInfo.shuffleProofs = this.cypherpoker.settings.crypto.shuffleProofRounds;
+            }
             tableInfo.buyIn = buyInAmount;
             tableInfo.bigBlind = bigBlindAmount;
             tableInfo.smallBlind = smallBlindAmount;
+            tableInfo.bettingStructure = bettingStructure;
+            if ((String(anteAmount).trim() != "") && (bigInt(String(anteAmount).trim()).greater(0))) {
+               tableInfo.ante = String(anteAmount).trim();
+               tableInfo.anteType = anteType;
+            }
+            tableInfo.straddle = straddle;
+            tableInfo.runTwice = runTwice;
+            if (tournamentMode == true) {
+               tableInfo.tournament = new Object();
+               tableInfo.tournament.startingStack = String(startingStack).trim();
+               tableInfo.tournament.blindSchedule = new Object();
+               tableInfo.tournament.blindSchedule.type = blindLevelType;
+               tableInfo.tournament.blindSchedule.interval = Number(blindLevelInterval);
+               if (String(tournamentPayouts).trim() != "") {
+                  tableInfo.tournament.payouts = this.parsePayouts(tournamentPayouts);
+               }
+            }
             tableInfo.timeout = inactivityTimeout;
+            if (String(timeBank).trim() != "") {
+               tableInfo.timeBank = Number(timeBank);
+            }
             this.cypherpoker.addEventListener("tablejoinrequest", this.onPlayerJoinTable, this);
             this.cypherpoker.addEventListener("tablejoin", this.onPlayerJoinTable, this);
             this.cypherpoker.addEventListener("tableleave", this.onPlayerLeaveTable, this);
@@ -1332,10 +1487,24 @@ class CypherPokerUI {
       var alias = createGameElement.querySelector("#playerAliasCreate").value;
       var tableName = createGameElement.querySelector("#tableName").value;
       var numPlayers = Number(createGameElement.querySelector("#numPlayers").value);
+      var variant = createGameElement.querySelector("#gameVariant").value;
+      var straddle = createGameElement.querySelector("#straddle").checked;
+      var runTwice = createGameElement.querySelector("#runTwice").checked;
       var buyInAmount = createGameElement.querySelector("#buyInAmount").value;
       var bigBlindAmount = createGameElement.querySelector("#bigBlindAmount").value;
       var smallBlindAmount = createGameElement.querySelector("#smallBlindAmount").value;
+      var bettingStructure = createGameElement.querySelector("#bettingStructure").value;
+      var smallBetAmount = createGameElement.querySelector("#smallBetAmount").value;
+      var bigBetAmount = createGameElement.querySelector("#bigBetAmount").value;
+      var raiseCap = createGameElement.querySelector("#raiseCapAmount").value;
+      var anteAmount = createGameElement.querySelector("#anteAmount").value;
+      var anteType = createGameElement.querySelector("#anteType").value;
+      var tournamentMode = createGameElement.querySelector("#tournamentMode").checked;
+      var startingStack = createGameElement.querySelector("#startingStack").value;
+      var blindLevelInterval = createGameElement.querySelector("#blindLevelInterval").value;
+      var tournamentPayouts = createGameElement.querySelector("#tournamentPayouts").value;
       var inactivityTimeout = createGameElement.querySelector("#inactivityTimeoutAmount").value;
+      var timeBank = createGameElement.querySelector("#timeBankAmount").value;
       if (String(alias).trim() == "") {
          return ("Your player alias can't be blank.");
       }
@@ -1351,6 +1520,15 @@ class CypherPokerUI {
       if (Number(numPlayers) < 2) {
          return ("More than one player required.");
       }
+      if ((variant == "stud") && (Number(numPlayers) > 7)) {
+         return ("Seven-Card Stud tables may seat no more than 7 players.");
+      }
+      if ((variant == "stud") && (straddle == true)) {
+         return ("Seven-Card Stud tables may not use a straddle.");
+      }
+      if ((variant == "stud") && (runTwice == true)) {
+         return ("Seven-Card Stud tables have no public cards to run twice.");
+      }
       if (Number(buyInAmount) != Math.round(Number(buyInAmount))) {
          return ("Buy-in amount must be a whole number.");
       }
@@ -1369,7 +1547,36 @@ class CypherPokerUI {
       if (Number(bigBlindAmount) != Math.round(Number(bigBlindAmount))) {
          return ("Big blind amount must be a whole number.");
       }
-      if (bigInt(buyInAmount).lesser(bigInt(bigBlindAmount))) {
+      if (tournamentMode == true) {
+         if (String(startingStack).trim() == "") {
+            return ("Starting chips can't be blank.");
+         }
+         if ((Number(startingStack) != Math.round(Number(startingStack))) || (Number(startingStack) < 1)) {
+            return ("Starting chips must be a whole number greater than 0.");
+         }
+         if (bigInt(startingStack).lesser(bigInt(bigBlindAmount))) {
+            return ("Starting chips must be larger than or equal to the big blind amount.");
+         }
+         if ((Number(blindLevelInterval) != Math.round(Number(blindLevelInterval))) || (Number(blindLevelInterval) < 1)) {
+            return ("Blind level length must be a whole number of at least 1.");
+         }
+         if (String(tournamentPayouts).trim() != "") {
+            var payouts = this.parsePayouts(tournamentPayouts);
+            if (payouts == null) {
+               return ("Payout percentages must be whole numbers separated by commas.");
+            }
+            var payoutTotal = 0;
+            for (var count=0; count < payouts.length; count++) {
+               payoutTotal += payouts[count];
+            }
+            if (payoutTotal != 100) {
+               return ("Payout percentages must add up to 100.");
+            }
+            if (payouts.length > numPlayers) {
+               return ("There can't be more payouts than players.");
+            }
+         }
+      } else if (bigInt(buyInAmount).lesser(bigInt(bigBlindAmount))) {
          return ("Buy-in must be larger than or equal to the big blind amount.");
       }
       if (String(smallBlindAmount).trim() == "") {
@@ -1381,6 +1588,28 @@ class CypherPokerUI {
       if (bigInt(bigBlindAmount).lesserOrEquals(bigInt(smallBlindAmount))) {
          return("Big blind amount must be larger than small blind amount.");
       }
+      if (bettingStructure == "fixed-limit") {
+         if ((String(smallBetAmount).trim() != "") && ((Number(smallBetAmount) != Math.round(Number(smallBetAmount))) || (Number(smallBetAmount) < 1))) {
+            return ("Small bet amount must be a whole number greater than 0.");
+         }
+         if ((String(bigBetAmount).trim() != "") && ((Number(bigBetAmount) != Math.round(Number(bigBetAmount))) || (Number(bigBetAmount) < 1))) {
+            return ("Big bet amount must be a whole number greater than 0.");
+         }
+      }
+      if ((String(raiseCap).trim() != "") && ((Number(raiseCap) != Math.round(Number(raiseCap))) || (Number(raiseCap) < 0))) {
+         return ("Raises per round must be a whole number of at least 0.");
+      }
+      if (String(anteAmount).trim() != "") {
+         if ((Number(anteAmount) != Math.round(Number(anteAmount))) || (Number(anteAmount) < 0)) {
+            return ("Ante amount must be a whole number of at least 0.");
+         }
+         if ((anteType != "player") && (anteType != "bigblind")) {
+            return ("Unknown ante type.");
+         }
+         if (bigInt(String(anteAmount).trim()).greater(bigInt(bigBlindAmount))) {
+            return ("Ante amount can't be larger than the big blind amount.");
+         }
+      }
       if (String(inactivityTimeout).trim() == "") {
          return("Inactivity timeout can't be blank.");
       }
@@ -1390,9 +1619,35 @@ class CypherPokerUI {
       if (Number(inactivityTimeout) < 1) {
          return("Inactivity timeout must be at least 1 second.");
       }
+      if ((String(timeBank).trim() != "") && ((Number(timeBank) != Math.round(Number(timeBank))) || (Number(timeBank) < 0))) {
+         return ("Time bank must be a whole number of at least 0 seconds.");
+      }
       return (null);
    }
 
+   /**
+   * Parses a comma-separated list of tournament payout percentages.
+   *
+   * @param {String} payoutsStr The comma-separated payout percentages, from first place down.
+   *
+   * @return {Array} An indexed array of payout percentages, or <code>null</code> if any
+   * percentage isn't a whole number of at least 0.
+   * @private
+   */
+   parsePayouts(payoutsStr) {
+      var payoutsSplit = String(payoutsStr).split(",");
+      var payouts = new Array();
+      for (var count=0; count < payoutsSplit.length; count++) {
+         var payoutStr = payoutsSplit[count].trim();
+         var payout = Number(payoutStr);
+         if ((payoutStr == "") || (payout != Math.round(payout)) || (payout < 0)) {
+            return (null);
+         }
+         payouts.push(payout);
+      }
+      return (payouts);
+   }
+
    /**
    * Event handler invoked when another player has joined a table that we've
    * joined.
@@ -1582,6 +1837,11 @@ class CypherPokerUI {
             this.show(helpElement);
             this.showDialog();
             break;
+         case "account_history":
+            var helpElement = element.querySelector("#account_history");
+            this.show(helpElement);
+            this.showDialog();
+            break;
          case "create_table_form":
             var helpElement = element.querySelector("#create_table_form");
             this.show(helpElement);
@@ -1607,6 +1867,11 @@ class CypherPokerUI {
             this.show(helpElement);
             this.showDialog();
             break;
+         case "create_table_variant":
+            var helpElement = element.querySelector("#create_table_variant");
+            this.show(helpElement);
+            this.showDialog();
+            break;
          case "create_table_bigblind":
             var helpElement = element.querySelector("#create_table_bigblind");
             this.show(helpElement);
@@ -1617,6 +1882,33 @@ class CypherPokerUI {
             this.show(helpElement);
             this.showDialog();
             break;
+         case "create_table_betting":
+            var helpElement = element.querySelector("#create_table_betting");
+            this.show(helpElement);
+            this.showDialog();
+            break;
+         case "create_table_antes":
+            var helpElement = element.querySelector("#create_table_antes");
+            this.show(helpElement);
+            this.showDialog();
+            break;
+         case "create_table_encryption":
+         case "create_table_shuffle_proofs":
+         case "create_table_safe_prime":
+            var helpElement = element.querySelector("#create_table_encryption");
+            this.show(helpElement);
+            this.showDialog();
+            break;
+         case "create_table_run_twice":
+            var helpElement = element.querySelector("#create_table_run_twice");
+            this.show(helpElement);
+            this.showDialog();
+            break;
+         case "create_table_tournament":
+            var helpElement = element.querySelector("#create_table_tournament");
+            this.show(helpElement);
+            this.showDialog();
+            break;
          case "create_table_timeout":
             var helpElement = element.querySelector("#create_table_timeout");
             this.show(helpElement);
@@ -1761,9 +2053,13 @@ class CypherPokerUI {
       try {
          game.addEventListener("gamerestart", this.onRestartGame, this);
          game.addEventListener("gamekill", this.onKillGame, this);
+         game.addEventListener("gameeliminated", this.onPlayersEliminated, this);
          game.contract.addEventListener("timeoutstart", this.onStartContractTimeout, this);
          game.contract.addEventListener("timeout", this.onContractTimeout, this);
          game.contract.addEventListener("timeoutinvalid", this.onContractTimeoutInvalid, this);
+         game.contract.addEventListener("rake", this.onContractRake, this);
+         game.contract.addEventListener("dispute", this.onContractDispute, this);
+         game.contract.addEventListener("commitmentfail", this.onContractCommitmentFail, this);
       } catch (err) {
          this.showDialog(err);
       }
@@ -1799,8 +2095,9 @@ class CypherPokerUI {
          ui.enable(event.target);
          ui.enable(game.DOMElement.querySelector(ui.gameUISelectors.foldButton));
       }
-      game.DOMElement.querySelector(ui.gameUISelectors.potAmount).innerHTML = game.pot.toString(10) + " satoshis";
+      ui.updatePotAmount.call(ui, game);
       ui.updateTotalBet.call(ui, game);
+      ui.updateRunTwiceButtons.call(ui, game);
       if (game.bettingDone && ui.autoDeal && (game.gameDone == false)) {
          //try to automatically deal cards
          game.dealCards().catch(err => {
@@ -1809,6 +2106,56 @@ class CypherPokerUI {
       }
    }
 
+   /**
+   * Event listener invoked when the user interface's "run twice" or "run once" button
+   * is clicked.
+   *
+   * @param {Event} event A DOM event object.
+   *
+   * @listens Event#click
+   * @private
+   */
+   onRunTwiceButtonClick(event) {
+      var game = event.target.game;
+      var ui = event.target.ui;
+      ui.disable(game.DOMElement.querySelector(ui.gameUISelectors.runTwiceButton));
+      ui.disable(game.DOMElement.querySelector(ui.gameUISelectors.runOnceButton));
+      var agree = false;
+      if (event.target == game.DOMElement.querySelector(ui.gameUISelectors.runTwiceButton)) {
+         agree = true;
+      }
+      try {
+         game.agreeRunTwice(agree);
+      } catch (err) {
+         ui.showDialog(err.message);
+         ui.hideDialog(4000);
+      }
+   }
+
+   /**
+   * Event listener invoked when the user interface's "sit out" / "sit in" button
+   * is clicked.
+   *
+   * @param {Event} event A DOM event object.
+   *
+   * @listens Event#click
+   * @private
+   */
+   onSitOutButtonClick(event) {
+      var game = event.target.game;
+      var ui = event.target.ui;
+      var player = game.getSeatedPlayer(game.ownPID);
+      if (player.sittingOut) {
+         var promise = game.sitIn();
+      } else {
+         promise = game.sitOut();
+      }
+      promise.catch(err => {
+         ui.showDialog(err.message);
+         ui.hideDialog(4000);
+      });
+   }
+
    /**
    * Event listener invoked when the user interface's "fold" button is clicked.
    *
@@ -1863,6 +2210,9 @@ class CypherPokerUI {
          event.game.contract.addEventListener("timeoutstart", this.onStartContractTimeout, this);
          event.game.contract.addEventListener("timeout", this.onContractTimeout, this);
          event.game.contract.addEventListener("timeoutinvalid", this.onContractTimeoutInvalid, this);
+         event.game.contract.addEventListener("rake", this.onContractRake, this);
+         event.game.contract.addEventListener("dispute", this.onContractDispute, this);
+         event.game.contract.addEventListener("commitmentfail", this.onContractCommitmentFail, this);
       } catch (err) {
          console.error (err);
          //game may not have contract
@@ -1882,15 +2232,25 @@ class CypherPokerUI {
       try {
          event.game.removeEventListener("gamerestart", this.onRestartGame, this);
          event.game.removeEventListener("gamekill", this.onKillGame, this);
+         event.game.removeEventListener("gameeliminated", this.onPlayersEliminated, this);
          event.game.contract.removeEventListener("gamerestart", this.onRestartGame, this);
          event.game.contract.removeEventListener("timeoutstart", this.onStartContractTimeout, this);
          event.game.contract.removeEventListener("timeout", this.onContractTimeout, this);
          event.game.contract.removeEventListener("timeoutinvalid", this.onContractTimeoutInvalid, this);
+         event.game.contract.removeEventListener("rake", this.onContractRake, this);
+         event.game.contract.removeEventListener("dispute", this.onContractDispute, this);
+         event.game.contract.removeEventListener("commitmentfail", this.onContractCommitmentFail, this);
       } catch (err) {
          console.error(err);
       }
-      this.showDialog(event.reason);
-      this.hideDialog(6000);
+      var tournament = event.game.tournament;
+      if ((tournament != null) && ((tournament.complete == true) || (tournament.eliminated.indexOf(event.game.ownPID) > -1))) {
+         this.showDialog(event.reason + "<br/><br/>" + this.getTournamentStandings(event.game));
+         this.hideDialog(15000);
+      } else {
+         this.showDialog(event.reason);
+         this.hideDialog(6000);
+      }
       var lobbyContainer = document.querySelector(ui.UISelectors.lobby);
       this.show(lobbyContainer);
       this.resetLobbyUI(true);
@@ -1899,6 +2259,212 @@ class CypherPokerUI {
       this.startLobbyCull();
    }
 
+   /**
+   * Function invoked when a game's contract reports that a rake was taken from the pot(s).
+   *
+   * @param {CypherPokerContract#event:rake} event A "rake" event.
+   *
+   * @private
+   */
+   onContractRake(event) {
+      var templateInfo = this.getTemplateByName("handHistoryItem");
+      var targetElement = event.contract.game.DOMElement.querySelector(this.gameUISelectors.handHistory);
+      var denoms = this.getTableDenominations(event.contract.game.table);
+      var metaTags = new Object();
+      metaTags.header = "Rake:&nbsp;";
+      metaTags.handName = event.rake.amount + " " + denoms.baseLabel;
+      metaTags.handOwner = event.rake.percent + "%";
+      if (bigInt(event.rake.cap).greater(0)) {
+         metaTags.handOwner += " (cap " + event.rake.cap + " " + denoms.baseLabel + ")";
+      }
+      if (event.verified == true) {
+         metaTags.handOwner += ", verified";
+      } else {
+         metaTags.handOwner += ", COULD NOT BE VERIFIED";
+         event.contract.game.debug("Rake report could not be verified.", "err");
+      }
+      this.cloneHTMLTemplate(templateInfo, targetElement, false, metaTags);
+   }
+
+   /**
+   * Function invoked when a game's contract reports that a dispute over a failed
+   * validation has been opened, updated, or closed.
+   *
+   * @param {CypherPokerContract#event:dispute} event A "dispute" event.
+   *
+   * @private
+   */
+   onContractDispute(event) {
+      var dispute = event.dispute;
+      var notification = "Hand validation failed: " + dispute.reason + "<br/><br/>";
+      notification += "Penalized player(s):<br/>";
+      for (var count = 0; count < dispute.penalizedPIDs.length; count++) {
+         var penalizedPlayer = event.contract.getPlayer(dispute.penalizedPIDs[count]);
+         if ((penalizedPlayer != null) && (penalizedPlayer.info != null) && (penalizedPlayer.info.alias != undefined)) {
+            notification += penalizedPlayer.info.alias + " (" + penalizedPlayer.account.address + ")<br/>";
+         } else {
+            notification += dispute.penalizedPIDs[count] + "<br/>";
+         }
+      }
+      if (dispute.status == "open") {
+         notification += "<br/>Appeals are open until " + new Date(dispute.expires).toLocaleTimeString() + ".";
+      } else {
+         notification += "<br/>The penalty was " + dispute.outcome + ".";
+      }
+      this.showDialog(notification);
+      this.hideDialog(10000);
+   }
+
+   /**
+   * Function invoked when a game's contract reports that a player's revealed keychain
+   * didn't match their commitment.
+   *
+   * @param {CypherPokerContract#event:commitmentfail} event A "commitmentfail" event.
+   *
+   * @private
+   */
+   onContractCommitmentFail(event) {
+      var notification = "The following player(s) revealed a keychain that doesn't match their commitment and have been penalized:<br/><br/>";
+      for (var count = 0; count < event.penalized.length; count++) {
+         var penalizedPlayer = event.contract.getPlayer(event.penalized[count].privateID);
+         if ((penalizedPlayer != null) && (penalizedPlayer.info != null) && (penalizedPlayer.info.alias != undefined)) {
+            notification += penalizedPlayer.info.alias + " (" + penalizedPlayer.account.address + ")<br/>";
+         } else {
+            notification += event.penalized[count].privateID + "<br/>";
+         }
+      }
+      this.showDialog(notification);
+      this.hideDialog(10000);
+   }
+
+   /**
+   * Event listener invoked when an associated game dispatches a "gameshuffleinvalid" event.
+   *
+   * @param {CypherPokerGame#event:gameshuffleinvalid} event A "gameshuffleinvalid" event object.
+   *
+   * @private
+   */
+   onShuffleInvalid(event) {
+      if ((event.player.info != null) && (event.player.info.alias != undefined)) {
+         var playerName = event.player.info.alias;
+      } else {
+         playerName = event.player.privateID;
+      }
+      var notification = "The deck shuffled by " + playerName + " failed verification. The hand can't continue.";
+      this.showDialog(notification);
+      this.hideDialog(6000);
+   }
+
+   /**
+   * Event listener invoked when an associated game dispatches a "gameparamsinvalid" event.
+   *
+   * @param {CypherPokerGame#event:gameparamsinvalid} event A "gameparamsinvalid" event object.
+   *
+   * @private
+   */
+   onGameParamsInvalid(event) {
+      if ((event.player.info != null) && (event.player.info.alias != undefined)) {
+         var playerName = event.player.info.alias;
+      } else {
+         playerName = event.player.privateID;
+      }
+      var notification = "The game parameters sent by " + playerName + " don't satisfy the table's prime policy. The hand can't continue.<br/><br/>";
+      notification += event.reason;
+      this.showDialog(notification);
+      this.hideDialog(6000);
+   }
+
+   /**
+   * Event listener invoked when an associated game dispatches a "gamecryptoprogress" event.
+   * The progress of the operation is displayed in the game's
+   * [cryptoProgress]{@link CypherPokerUI#gameUISelectors} element and cleared when the
+   * operation completes.
+   *
+   * @param {CypherPokerGame#event:gamecryptoprogress} event A "gamecryptoprogress" event object.
+   *
+   * @private
+   */
+   onCryptoProgress(event) {
+      var progressElement = event.game.DOMElement.querySelector(this.gameUISelectors.cryptoProgress);
+      if (event.completed >= event.total) {
+         progressElement.innerHTML = "";
+         return;
+      }
+      switch (event.operation) {
+         case "encrypt":
+            var operationText = "Shuffling deck";
+            break;
+         case "decrypt":
+            operationText = "Decrypting cards";
+            break;
+         case "proof":
+            operationText = "Proving shuffle";
+            break;
+         case "verify":
+            operationText = "Verifying shuffle";
+            break;
+         default:
+            operationText = "Working";
+            break;
+      }
+      var percent = Math.floor((event.completed / event.total) * 100);
+      progressElement.innerHTML = operationText + ": " + String(percent) + "% (" + event.completed + " of " + event.total + ")";
+   }
+
+   /**
+   * Event listener invoked when an associated game dispatches a "gameeliminated" event.
+   *
+   * @param {CypherPokerGame#event:gameeliminated} event A "gameeliminated" event object.
+   *
+   * @private
+   */
+   onPlayersEliminated(event) {
+      var notification = "The following player(s) have been eliminated from the tournament:<br/><br/>";
+      for (var count = 0; count < event.players.length; count++) {
+         var eliminatedPlayer = event.players[count];
+         if ((eliminatedPlayer.info != null) && (eliminatedPlayer.info.alias != undefined)) {
+            notification += eliminatedPlayer.info.alias + "<br/>";
+         } else {
+            notification += eliminatedPlayer.privateID + "<br/>";
+         }
+      }
+      this.showDialog(notification);
+      this.hideDialog(6000);
+   }
+
+   /**
+   * Returns a human-readable summary of a game's tournament standings, including the
+   * current blind level and prize pool, and the finishing places and payouts if the
+   * tournament is complete.
+   *
+   * @param {CypherPokerGame} game The game instance for which to summarize the tournament.
+   *
+   * @return {String} The HTML-formatted tournament standings.
+   * @private
+   */
+   getTournamentStandings(game) {
+      var tournament = game.tournament;
+      var denoms = this.getTableDenominations(game.table);
+      var standings = "Prize pool: " + tournament.prizePool + " " + denoms.baseLabel + "<br/>";
+      standings += "Hands played: " + tournament.handsPlayed + "<br/>";
+      standings += "Blind level: " + (tournament.level + 1) + " (" + tournament.smallBlind + " / " + tournament.bigBlind + ")<br/>";
+      if (tournament.complete != true) {
+         return (standings);
+      }
+      standings += "<br/>Results:<br/>";
+      for (var count = 0; count < tournament.results.length; count++) {
+         var result = tournament.results[count];
+         var playerInfo = game.getPlayerInfo(result.privateID);
+         if ((playerInfo != null) && (playerInfo.alias != undefined)) {
+            var name = playerInfo.alias;
+         } else {
+            name = result.privateID;
+         }
+         standings += result.place + ". " + name + " (" + result.payout + " " + denoms.baseLabel + ")<br/>";
+      }
+      return (standings);
+   }
+
    /**
    * Function invoked when a game's contract reports that a timeout timer has been
    * started or restarted.
@@ -1909,7 +2475,7 @@ class CypherPokerUI {
    */
    onStartContractTimeout(event) {
       var timeoutElement = event.contract.game.DOMElement.querySelector(ui.gameUISelectors.timeoutAmount);
-      this.startTimeoutTimer(timeoutElement, event.seconds, event.contract.game);
+      this.startTimeoutTimer(timeoutElement, event.seconds, event.contract.game, event.timeBank);
    }
 
    /**
@@ -1988,9 +2554,13 @@ class CypherPokerUI {
       metaTags.tableOwnerPID = tableData.ownerPID;
       //can also use just tableData.restorePID.length as of v0.4.0...
       metaTags.numPlayers = String(tableData.requiredPID.length + tableData.joinedPID.length);
+      metaTags.variant = this.getVariantName(tableData.tableInfo.variant);
+      metaTags.bettingStructure = this.getBettingStructureName(tableData.tableInfo.bettingStructure);
+      metaTags.tournament = this.getTournamentDescription(tableData.tableInfo.tournament);
       metaTags.buyInAmount = tableData.tableInfo.buyIn;
       metaTags.bigBlind = tableData.tableInfo.bigBlind;
       metaTags.smallBlind = tableData.tableInfo.smallBlind;
+      metaTags.forcedBets = this.getForcedBetsDescription(tableData.tableInfo);
       metaTags.timeout = tableData.tableInfo.timeout;
       var joinTableButton = this.cloneHTMLTemplate(templateInfo, containerElement, false, metaTags);
       joinTableButton.table = this.cypherpoker.announcedTables[0]; //newest table reference
@@ -1999,6 +2569,49 @@ class CypherPokerUI {
       joinTableButton.addEventListener("click", this.onJoinTableButtonClick);
    }
 
+   /**
+   * Event listener invoked when the server reports new, confirming, or credited deposits
+   * for one of the managed accounts. If the account is the
+   * [selectedAccount]{@link CypherPokerUI#selectedAccount}, its displayed balance and
+   * statement are updated.
+   *
+   * @param {Event} event An event object.
+   *
+   * @listens CypherPoker#event:accountupdate
+   * @private
+   */
+   onAccountUpdate(event) {
+      var account = event.account;
+      var message = event.data.result.data;
+      var denoms = this.getDenominations(account.type);
+      this.cypherpoker.saveAccounts();
+      if (account == this.selectedAccount) {
+         var manageElement = this.getTemplateByName("accountManage").elements[0];
+         var loginElement = this.getTemplateByName("accountLogin").elements[0];
+         var baseAmount = account.balance.toString(10);
+         manageElement.querySelector("#accountBalance").innerHTML =  baseAmount + " " + denoms.baseLabel;
+         loginElement.querySelector("#accountBalance").innerHTML =  baseAmount + " " + denoms.baseLabel;
+         if ((message.credited != undefined) && (this.isHidden(manageElement) == false)) {
+            this.updateAccountStatement(1);
+         }
+      }
+      if (message.credited != undefined) {
+         this.showDialog("Deposit to "+account.address+" confirmed.<br/>"+message.credited.amount+" "+denoms.baseLabel+" credited (after "+message.credited.fees+" "+denoms.baseLabel+" in fees).");
+         this.hideDialog(6000);
+      } else if (message.error != undefined) {
+         this.showDialog("Deposit to "+account.address+" delayed:<br/>"+message.error);
+         this.hideDialog(6000);
+      } else if (account.deposits.length > 0) {
+         var depositsMsg = "Deposit(s) to "+account.address+" awaiting confirmation:<br/>";
+         for (var count=0; count < account.deposits.length; count++) {
+            var deposit = account.deposits[count];
+            depositsMsg += deposit.amount+" "+denoms.baseLabel+" ("+deposit.confirmations+" of "+deposit.required+" confirmations)<br/>";
+         }
+         this.showDialog(depositsMsg);
+         this.hideDialog(6000);
+      }
+   }
+
    /**
    * Event listener invoked when the associated {@link CypherPoker} instance
    * dispatches a {@link CypherPoker#event:newgame} event.
@@ -2042,20 +2655,101 @@ class CypherPokerUI {
    onCardDeal(event) {
       var game = event.game;
       var targetElement = game.DOMElement.querySelector(ui.gameUISelectors.privateCards);
-      if (event.private == false) {
+      var cardClass = "card";
+      if ((event.private == false) && (event.player != undefined) && (event.player != null)) {
+         //face-up cards are shown with the player to whom they were dealt
+         targetElement = this.getUpCardsElement(game, event.player);
+         cardClass = "historyCard";
+      } else if ((event.private == false) && (event.board == 2)) {
+         //the second board is shown separately from the public cards
+         targetElement = this.getSecondBoardElement(game);
+         cardClass = "historyCard";
+      } else if (event.private == false) {
          targetElement = game.DOMElement.querySelector(ui.gameUISelectors.publicCards);
+      } else {
+         //event includes all of our private cards
+         targetElement.innerHTML = "";
       }
       for (var count=0; count < event.cards.length; count++) {
-         event.cards[count].addToDOM(targetElement);
+         event.cards[count].addToDOM(targetElement, cardClass);
       }
       //pot may have changed if we've auto-posted blinds
-      game.DOMElement.querySelector(this.gameUISelectors.potAmount).innerHTML = game.pot.toString() + " satoshis";
+      this.updatePotAmount(game);
+      this.updateBlinds(game);
       if (game.canBet) {
          this.updateMinimumBet(game);
          this.enable(game.DOMElement.querySelector(this.gameUISelectors.betButton));
          this.enable(game.DOMElement.querySelector(this.gameUISelectors.foldButton));
       }
       this.updateTotalBet(game);
+      this.updateRunTwiceButtons(game);
+      if ((event.private == false) && game.bettingDone && this.autoDeal && (game.gameDone == false)) {
+         //remaining players are all-in so keep dealing
+         game.dealCards().catch(err => {
+            //not our time to deal; no problem
+         });
+      }
+   }
+
+   /**
+   * Returns the element containing a player's face-up cards within a game's public cards
+   * container, creating it if it doesn't exist. Face-up cards are dealt to individual players
+   * in games such as Seven-Card Stud (see [CypherPokerGame.isStud]{@link CypherPokerGame#isStud}).
+   *
+   * @param {CypherPokerGame} game The game instance in which the cards were dealt.
+   * @param {CypherPokerPlayer} player The player to whom the face-up cards were dealt.
+   *
+   * @return {HTMLElement} The player's face-up cards container element.
+   * @private
+   */
+   getUpCardsElement(game, player) {
+      var publicCardsElement = game.DOMElement.querySelector(this.gameUISelectors.publicCards);
+      var upCardsElement = publicCardsElement.querySelector("[data-pid=\""+player.privateID+"\"]");
+      if (upCardsElement == null) {
+         upCardsElement = document.createElement("div");
+         upCardsElement.setAttribute("class", "upCardsContainer");
+         upCardsElement.setAttribute("data-pid", player.privateID);
+         var labelElement = document.createElement("span");
+         labelElement.setAttribute("class", "historyHandOwner");
+         if (player.privateID == game.ownPID) {
+            labelElement.innerHTML = "Ours<br/>";
+         } else {
+            labelElement.innerHTML = "Player: "+player.privateID+"<br/>";
+         }
+         upCardsElement.appendChild(labelElement);
+         publicCardsElement.appendChild(upCardsElement);
+      }
+      return (upCardsElement);
+   }
+
+   /**
+   * Returns the element containing the second board within a game's public cards container,
+   * creating it if it doesn't exist. A second board is dealt when the remaining public cards
+   * are run twice (see [CypherPokerGame.runTwice]{@link CypherPokerGame#runTwice}), and it
+   * includes the public cards shared with the first board.
+   *
+   * @param {CypherPokerGame} game The game instance in which the second board is being dealt.
+   *
+   * @return {HTMLElement} The second board's container element.
+   * @private
+   */
+   getSecondBoardElement(game) {
+      var publicCardsElement = game.DOMElement.querySelector(this.gameUISelectors.publicCards);
+      var boardElement = publicCardsElement.querySelector("[data-board=\"2\"]");
+      if (boardElement == null) {
+         boardElement = document.createElement("div");
+         boardElement.setAttribute("class", "upCardsContainer");
+         boardElement.setAttribute("data-board", "2");
+         var labelElement = document.createElement("span");
+         labelElement.setAttribute("class", "historyHandOwner");
+         labelElement.innerHTML = "Board 2<br/>";
+         boardElement.appendChild(labelElement);
+         publicCardsElement.appendChild(boardElement);
+         for (var count=0; count < game.runTwiceShared; count++) {
+            game.cardDecks.public[count].addToDOM(boardElement, "historyCard");
+         }
+      }
+      return (boardElement);
    }
 
    /**
@@ -2070,13 +2764,14 @@ class CypherPokerUI {
    onBetPlaced(event) {
       this.debug("CypherPokerUI.onBetPlaced("+event+")");
       var game = event.game;
-      game.DOMElement.querySelector(this.gameUISelectors.potAmount).innerHTML = game.pot.toString() + " satoshis";
+      this.updatePotAmount(game);
       this.updateTotalBet(game);
       if (game.canBet) {
          this.updateMinimumBet(game);
          this.enable(game.DOMElement.querySelector(this.gameUISelectors.betButton));
          this.enable(game.DOMElement.querySelector(this.gameUISelectors.foldButton));
       }
+      this.updateRunTwiceButtons(game);
       if (game.bettingDone && this.autoDeal && (game.gameDone == false)) {
          //try to automatically deal cards
          game.dealCards().catch(err => {
@@ -2085,6 +2780,98 @@ class CypherPokerUI {
       }
    }
 
+   /**
+   * Event handler invoked when an associated game instance reports that a player, possibly
+   * us, has decided whether or not to run the remaining public cards twice.
+   *
+   * @param {Event} event An event object.
+   *
+   * @listens CypherPokerGame#event:gameruntwice
+   * @private
+   */
+   onRunTwiceDecision(event) {
+      this.debug("CypherPokerUI.onRunTwiceDecision("+event+")");
+      var game = event.game;
+      this.updateRunTwiceButtons(game);
+      if (game.bettingDone && this.autoDeal && (game.gameDone == false)) {
+         //cards may be dealt once all players have decided
+         game.dealCards().catch(err => {
+            //not our time to deal; no problem
+         });
+      }
+   }
+
+   /**
+   * Event handler invoked when an associated game instance reports a change in the seating at
+   * the table, such as a player sitting out, sitting back in, taking an empty seat, or leaving.
+   *
+   * @param {Event} event An event object.
+   *
+   * @listens CypherPokerGame#event:gamesitout
+   * @listens CypherPokerGame#event:gamesitin
+   * @listens CypherPokerGame#event:gameseat
+   * @listens CypherPokerGame#event:gameseating
+   * @listens CypherPokerGame#event:gameplayerleave
+   * @private
+   */
+   onSeatingChange(event) {
+      this.debug("CypherPokerUI.onSeatingChange("+event+")");
+      var game = event.game;
+      var sitOutButton = game.DOMElement.querySelector(this.gameUISelectors.sitOutButton);
+      var player = game.getSeatedPlayer(game.ownPID);
+      if ((player != null) && player.sittingOut) {
+         sitOutButton.innerHTML = "SIT IN";
+      } else {
+         sitOutButton.innerHTML = "SIT OUT";
+      }
+      if ((event.type == "gameseating") || (event.player == null) || (event.player == undefined)) {
+         return;
+      }
+      var alias = event.player.privateID;
+      if ((event.player.info != null) && (typeof(event.player.info.alias) == "string")) {
+         alias = event.player.info.alias;
+      }
+      if (event.player.privateID == game.ownPID) {
+         alias = "You";
+      }
+      switch (event.type) {
+         case "gamesitout":
+            this.showDialog(alias + " will sit out starting with the next hand.");
+            break;
+         case "gamesitin":
+            this.showDialog(alias + " will be dealt into the next hand.");
+            break;
+         case "gameseat":
+            this.showDialog(alias + " has taken an empty seat.");
+            break;
+         case "gameplayerleave":
+            this.showDialog(alias + " has left the table.");
+            break;
+      }
+      this.hideDialog(4000);
+   }
+
+   /**
+   * Enables the "run twice" and "run once" buttons of a game if we may still decide whether
+   * to run the remaining public cards twice, and disables them otherwise.
+   *
+   * @param {CypherPokerGame} game The game for which to update the UI.
+   *
+   * @private
+   */
+   updateRunTwiceButtons(game) {
+      var runTwiceButton = game.DOMElement.querySelector(this.gameUISelectors.runTwiceButton);
+      var runOnceButton = game.DOMElement.querySelector(this.gameUISelectors.runOnceButton);
+      var player = game.getPlayer(game.ownPID);
+      if (game.runTwiceAvailable && (player.hasFolded == false) && (player.runTwice == null)) {
+         this.enable(runTwiceButton);
+         this.enable(runOnceButton);
+      } else {
+         this.disable(runTwiceButton);
+         this.disable(runOnceButton);
+      }
+   }
+
    /**
    * Event handler invoked when an associated game instance reports that it has ended.
    * In other words, the game (hand) has completed.
@@ -2152,6 +2939,62 @@ class CypherPokerUI {
                card.addToDOM(cardContainerElement, "historyCard");
             }
          }
+         if ((analysis.secondWinningHands != undefined) && (analysis.secondWinningHands != null)) {
+            //the remaining public cards were run twice
+            for (count = 0; count < analysis.secondWinningHands.length; count++) {
+               winningHand = analysis.secondWinningHands[count];
+               winningPlayer = analysis.secondWinningPlayers[count];
+               targetElement = event.game.DOMElement.querySelector("#handHistory");
+               metaTags = new Object();
+               if (analysis.secondWinningHands.length > 1) {
+                  metaTags.header = "Best Hands (Board 2):&nbsp;";
+               } else {
+                  metaTags.header = "Best Hand (Board 2):&nbsp;";
+               }
+               metaTags.handName = winningHand.name;
+               if (winningPlayer.privateID == event.game.ownPID) {
+                  metaTags.handOwner = "Ours";
+               } else {
+                  metaTags.handOwner = "Player: "+winningPlayer.privateID;
+               }
+               newHistoryElement = this.cloneHTMLTemplate(templateInfo, targetElement, false, metaTags);
+               cardContainerElement = newHistoryElement.querySelector("#handHistoryItemCards")
+               for (count2 = 0; count2 < winningHand.hand.length; count2++) {
+                  winningHand.hand[count2].addToDOM(cardContainerElement, "historyCard");
+               }
+            }
+         }
+         var pots = event.pots;
+         if ((pots != undefined) && (pots != null) && (pots.length > 1)) {
+            //main pot and side pot(s) breakdown
+            targetElement = event.game.DOMElement.querySelector("#handHistory");
+            for (count = 0; count < pots.length; count++) {
+               metaTags = new Object();
+               var potIndex = count;
+               var boardName = "";
+               if ((pots[count].board != undefined) && (pots[count].board != null)) {
+                  //each pot is split into two halves when run twice
+                  potIndex = Math.floor(count / 2);
+                  boardName = " (Board "+String(pots[count].board)+")";
+               }
+               if (potIndex == 0) {
+                  metaTags.header = "Main Pot"+boardName+":&nbsp;";
+               } else {
+                  metaTags.header = "Side Pot "+String(potIndex)+boardName+":&nbsp;";
+               }
+               metaTags.handName = pots[count].amount + " " + this.getTableDenominations(event.game.table).baseLabel;
+               var potWinners = new Array();
+               for (count2 = 0; count2 < pots[count].winners.length; count2++) {
+                  if (pots[count].winners[count2] == event.game.ownPID) {
+                     potWinners.push("Ours");
+                  } else {
+                     potWinners.push("Player: "+pots[count].winners[count2]);
+                  }
+               }
+               metaTags.handOwner = "Won by: "+potWinners.join(", ");
+               this.cloneHTMLTemplate(templateInfo, targetElement, false, metaTags);
+            }
+         }
       } catch (err) {
          console.error(err);
       }
@@ -2168,20 +3011,85 @@ class CypherPokerUI {
       var totalBetAmount = game.getPlayer(game.ownPID).totalBet.toString();
       var totalBetDiv = game.DOMElement.querySelector(this.gameUISelectors.totalBet);
       var balanceDiv = game.DOMElement.querySelector(this.gameUISelectors.balance);
-      balance.innerHTML = String(game.getPlayer(game.ownPID).balance) + " satoshis";
-      totalBetDiv.innerHTML = totalBetAmount + " satoshis";
+      var denoms = this.getTableDenominations(game.table);
+      balance.innerHTML = String(game.getPlayer(game.ownPID).balance) + " " + denoms.baseLabel;
+      totalBetDiv.innerHTML = totalBetAmount + " " + denoms.baseLabel;
+   }
+
+   /**
+   * Updates the game user interface with the blinds currently in effect, including the
+   * blind level if the game is part of a tournament.
+   *
+   * @param {CypherPokerGame} gameRef The game instance for which to update the user interface.
+   * @private
+   */
+   updateBlinds(gameRef) {
+      var blindsElement = gameRef.DOMElement.querySelector(this.gameUISelectors.blinds);
+      var blinds = gameRef.smallBlind.toString() + " / " + gameRef.bigBlind.toString();
+      if (gameRef.ante.greater(0)) {
+         blinds += " (ante " + gameRef.ante.toString() + ")";
+      }
+      blinds += " " + this.getTableDenominations(gameRef.table).baseLabel;
+      if (gameRef.tournament != null) {
+         blinds += " (level " + (gameRef.tournament.level + 1) + ")";
+      }
+      blindsElement.innerHTML = blinds;
    }
 
    /**
    * Updates the game user interface with the minimum allowable bet for the current round of
-   * betting.
+   * betting, and the minimum and maximum raise allowed by the table's
+   * [bettingStructure]{@link CypherPokerGame#bettingStructure}.
    *
    * @param {CypherPokerGame} gameRef The game instance for which to update the user interface.
    * @private
    */
    updateMinimumBet(gameRef) {
       var betAmountElement = gameRef.DOMElement.querySelector(this.gameUISelectors.betAmount);
-      betAmountElement.value = gameRef.minimumBet.toString();
+      var raiseLimitsElement = gameRef.DOMElement.querySelector(this.gameUISelectors.raiseLimits);
+      //if we can't cover the minimum bet we can still go all-in
+      var minimumBet = bigInt.min(gameRef.minimumBet, gameRef.getPlayer(gameRef.ownPID).balance);
+      betAmountElement.value = minimumBet.toString();
+      betAmountElement.min = minimumBet.toString();
+      var minimumRaise = gameRef.minimumRaise;
+      var maximumRaise = gameRef.maximumRaise;
+      var denoms = this.getTableDenominations(gameRef.table);
+      if ((minimumRaise == null) || (maximumRaise == null)) {
+         betAmountElement.max = minimumBet.toString();
+         raiseLimitsElement.innerHTML = "No raises allowed";
+      } else {
+         betAmountElement.max = maximumRaise.toString();
+         if (minimumRaise.equals(maximumRaise)) {
+            raiseLimitsElement.innerHTML = "Raise: " + minimumRaise.toString() + " " + denoms.baseLabel;
+         } else {
+            raiseLimitsElement.innerHTML = "Raise: " + minimumRaise.toString() + " to " + maximumRaise.toString() + " " + denoms.baseLabel;
+         }
+      }
+   }
+
+   /**
+   * Updates the "pot" field in the user interface associated with a specific game,
+   * including a breakdown of the main pot and side pots if any exist.
+   *
+   * @param {CypherPokerGame} game The game for which to update the UI.
+   *
+   * @private
+   */
+   updatePotAmount(game) {
+      var potText = game.pot.toString(10) + " " + this.getTableDenominations(game.table).baseLabel;
+      var pots = game.pots;
+      if (pots.length > 1) {
+         var potsInfo = new Array();
+         for (var count = 0; count < pots.length; count++) {
+            if (count == 0) {
+               potsInfo.push("main: " + pots[count].amount);
+            } else {
+               potsInfo.push("side " + String(count) + ": " + pots[count].amount);
+            }
+         }
+         potText += " (" + potsInfo.join(", ") + ")";
+      }
+      game.DOMElement.querySelector(this.gameUISelectors.potAmount).innerHTML = potText;
    }
 
    /**
@@ -2220,6 +3128,8 @@ class CypherPokerUI {
    disableGameUI(game) {
       this.disable(game.DOMElement.querySelector(this.gameUISelectors.betButton));
       this.disable(game.DOMElement.querySelector(this.gameUISelectors.foldButton));
+      this.disable(game.DOMElement.querySelector(this.gameUISelectors.runTwiceButton));
+      this.disable(game.DOMElement.querySelector(this.gameUISelectors.runOnceButton));
    }
 
    /**
@@ -2270,10 +3180,11 @@ class CypherPokerUI {
          loginElement.querySelector("#accountBalance").innerHTML =  "updating...";
          loginElement.querySelector("#accountPassword").value = account.password;
          account.update().then(done => {
-            var satoshiAmount = account.balance.toString(10);
-            var btcAmount = context.convertDenom(satoshiAmount, "satoshi", "bitcoin");
-            manageElement.querySelector("#accountBalance").innerHTML =  satoshiAmount+ " satoshis";
-            loginElement.querySelector("#accountBalance").innerHTML =  satoshiAmount+ " satoshis";
+            var denoms = context.getDenominations(account.type);
+            var baseAmount = account.balance.toString(10);
+            var mainAmount = context.convertDenom(baseAmount, denoms.base, denoms.main);
+            manageElement.querySelector("#accountBalance").innerHTML =  baseAmount + " " + denoms.baseLabel;
+            loginElement.querySelector("#accountBalance").innerHTML =  baseAmount + " " + denoms.baseLabel;
             loginElement.querySelector("#accountPassword").value = account.password;
             minerFeeInput.value = account.fees.cashout;
          }).catch(error => {
@@ -2296,6 +3207,65 @@ class CypherPokerUI {
       accountsList.innerHTML = "";
    }
 
+   /**
+   * Retrieves a page of the selected account's statement (see
+   * [CypherPokerAccount.history]{@link CypherPokerAccount#history}) and displays it in the
+   * account management section.
+   *
+   * @param {Number} [page=1] The 1-based page number of the statement to display.
+   *
+   * @async
+   * @private
+   */
+   async updateAccountStatement(page=1) {
+      var manageElement = this.getTemplateByName("accountManage").elements[0];
+      var statementElement = manageElement.querySelector("#accountStatement");
+      var pageElement = manageElement.querySelector("#statementPage");
+      if (this.selectedAccount == null) {
+         statementElement.innerHTML = "";
+         pageElement.innerHTML = "";
+         return;
+      }
+      pageElement.innerHTML = "updating...";
+      try {
+         var statement = await this.selectedAccount.history(page);
+      } catch (error) {
+         pageElement.innerHTML = "unavailable";
+         console.error(error);
+         return;
+      }
+      this._statement = statement;
+      pageElement.innerHTML = "page "+statement.page+" of "+statement.totalPages;
+      statementElement.innerHTML = "";
+      if (statement.entries.length == 0) {
+         statementElement.innerHTML = "No transactions yet.";
+         return;
+      }
+      var tableElement = document.createElement("table");
+      tableElement.setAttribute("class", "accountStatementTable");
+      var headerRow = tableElement.insertRow();
+      var headers = ["Date", "Type", "Amount", "Balance", "Details"];
+      for (var count = 0; count < headers.length; count++) {
+         var headerCell = document.createElement("th");
+         headerCell.textContent = headers[count];
+         headerRow.appendChild(headerCell);
+      }
+      for (count = 0; count < statement.entries.length; count++) {
+         var entry = statement.entries[count];
+         var row = tableElement.insertRow();
+         var details = entry.memo;
+         if (entry.reference != "") {
+            details += " ("+entry.reference+")";
+         }
+         var cells = [entry.created, entry.entryType, entry.amount, entry.balance, details];
+         for (var count2 = 0; count2 < cells.length; count2++) {
+            //text content only since memos may include user-supplied addresses
+            row.insertCell().textContent = cells[count2];
+         }
+      }
+      statementElement.appendChild(tableElement);
+   }
+
    /**
    * Removes all the "join table" buttons and any event listeners currently in the
    * lobby. This function does <b>not</b> update any [CypherPoker.joinedTables]{@link CypherPoker#joinedTables}
@@ -2314,6 +3284,107 @@ class CypherPokerUI {
       }
    }
 
+   /**
+   * Returns the human-readable name of a game variant as defined in the
+   * <code>variants</code> object of the settings data.
+   *
+   * @param {String} [variant=null] The variant type, as specified in a table's
+   * <code>tableInfo.variant</code>. If omitted or <code>null</code>, the default
+   * lobby variant is used.
+   *
+   * @return {String} The name of the variant or the variant type itself if
+   * it's not defined in the settings data.
+   * @private
+   */
+   getVariantName(variant=null) {
+      var settings = this.cypherpoker.settings;
+      if ((variant == undefined) || (variant == null) || (variant == "")) {
+         variant = settings.lobbyDefaults.variant;
+      }
+      if ((settings.variants == undefined) || (settings.variants[variant] == undefined)) {
+         return (String(variant));
+      }
+      return (settings.variants[variant].name);
+   }
+
+   /**
+   * Returns the human-readable name of a table's betting structure.
+   *
+   * @param {Object} [bettingStructure=null] The betting structure, as specified in a table's
+   * <code>tableInfo.bettingStructure</code>. If omitted or <code>null</code>, no-limit
+   * betting is assumed.
+   *
+   * @return {String} The name of the betting structure.
+   * @private
+   */
+   getBettingStructureName(bettingStructure=null) {
+      if ((bettingStructure == undefined) || (bettingStructure == null)) {
+         return ("No-Limit");
+      }
+      switch (bettingStructure.type) {
+         case "pot-limit":
+            return ("Pot-Limit");
+            break;
+         case "fixed-limit":
+            return ("Fixed-Limit");
+            break;
+         default:
+            return ("No-Limit");
+            break;
+      }
+   }
+
+   /**
+   * Returns a human-readable description of a table's ante and straddle settings.
+   *
+   * @param {Object} tableInfo The table's <code>tableInfo</code> object.
+   *
+   * @return {String} The description of the ante and straddle settings.
+   * @private
+   */
+   getForcedBetsDescription(tableInfo) {
+      var description = "";
+      if ((tableInfo.ante != undefined) && (tableInfo.ante != null) && (tableInfo.ante != "") && (tableInfo.ante != "0")) {
+         description = "Ante " + tableInfo.ante;
+         if (tableInfo.anteType == "bigblind") {
+            description += " (big blind)";
+         }
+      } else {
+         description = "No ante";
+      }
+      if (tableInfo.straddle == true) {
+         description += ", straddle";
+      }
+      return (description);
+   }
+
+   /**
+   * Returns a human-readable description of a table's tournament settings.
+   *
+   * @param {Object} [tournament=null] The tournament settings, as specified in a table's
+   * <code>tableInfo.tournament</code>. If omitted or <code>null</code>, the table is
+   * described as a cash game.
+   *
+   * @return {String} The description of the tournament settings.
+   * @private
+   */
+   getTournamentDescription(tournament=null) {
+      if ((tournament == undefined) || (tournament == null)) {
+         return ("Cash game");
+      }
+      var description = "Sit-and-go, " + tournament.startingStack + " starting chips, blinds double every ";
+      description += tournament.blindSchedule.interval;
+      if (tournament.blindSchedule.type == "time") {
+         description += " minute(s)";
+      } else {
+         description += " hand(s)";
+      }
+      if ((tournament.payouts != undefined) && (tournament.payouts != null)) {
+         description += ", payouts " + tournament.payouts.join("/") + "%";
+      }
+      return (description);
+   }
+
    /**
    * Resets all of the user interface elements of the lobby to their initial
    * state, including input fields, announced tables list, etc.
@@ -2331,10 +3402,25 @@ class CypherPokerUI {
       createGameElement.querySelector("#playerAliasCreate").value = "";
       createGameElement.querySelector("#tableName").value = "";
       createGameElement.querySelector("#numPlayers").value = "";
+      createGameElement.querySelector("#gameVariant").value = this.cypherpoker.settings.lobbyDefaults.variant;
       createGameElement.querySelector("#buyInAmount").value = "";
       createGameElement.querySelector("#bigBlindAmount").value = "";
       createGameElement.querySelector("#smallBlindAmount").value = "";
+      createGameElement.querySelector("#bettingStructure").value = "no-limit";
+      createGameElement.querySelector("#smallBetAmount").value = "";
+      createGameElement.querySelector("#bigBetAmount").value = "";
+      createGameElement.querySelector("#raiseCapAmount").value = "";
+      createGameElement.querySelector("#anteAmount").value = "";
+      createGameElement.querySelector("#anteType").value = "player";
+      createGameElement.querySelector("#straddle").checked = false;
+      createGameElement.querySelector("#runTwice").checked = false;
+      createGameElement.querySelector("#tournamentMode").checked = false;
+      createGameElement.querySelector("#startingStack").value = "";
+      createGameElement.querySelector("#blindLevelType").value = "hands";
+      createGameElement.querySelector("#blindLevelInterval").value = "";
+      createGameElement.querySelector("#tournamentPayouts").value = "";
       createGameElement.querySelector("#inactivityTimeoutAmount").value = "60";
+      createGameElement.querySelector("#timeBankAmount").value = "";
       //reset table join field(s)...
       joinGameElement.querySelector("#playerAliasJoin").value = "";
       //clear out any tables remaining in UI...
@@ -2346,15 +3432,54 @@ class CypherPokerUI {
       this.show(lobbyElement);
    }
 
+   /**
+   * Returns the denominations of a cryptocurrency for use with [convertDenom]{@link CypherPokerUI#convertDenom}
+   * and for labelling amounts.
+   *
+   * @param {String} currencyType The cryptocurrency type, such as an account's <code>type</code>
+   * or a table's <code>tableInfo.currency.type</code> (e.g. "bitcoin" or "litecoin").
+   *
+   * @return {Object} Contains the smallest (<code>base</code>) denomination in which amounts are
+   * stored, its plural <code>baseLabel</code>, and the <code>main</code> denomination of the cryptocurrency.
+   * Bitcoin denominations are returned for Bitcoin, Bitcoin Cash, and unrecognized types.
+   */
+   getDenominations(currencyType) {
+      var denoms = new Object();
+      if (currencyType == "litecoin") {
+         denoms.base = "litoshi";
+         denoms.main = "litecoin";
+      } else {
+         denoms.base = "satoshi";
+         denoms.main = "bitcoin";
+      }
+      denoms.baseLabel = denoms.base + "s";
+      return (denoms);
+   }
+
+   /**
+   * Returns the denominations of a table's cryptocurrency (see [getDenominations]{@link CypherPokerUI#getDenominations}).
+   *
+   * @param {TableObject} table The table for which to return the denominations.
+   *
+   * @return {Object} The denominations of the table's <code>tableInfo.currency</code>.
+   */
+   getTableDenominations(table) {
+      var currency = table.tableInfo.currency;
+      if ((currency == undefined) || (currency == null)) {
+         return (this.getDenominations(null));
+      }
+      return (this.getDenominations(currency.type));
+   }
+
    /**
    * Converts an amount from a specific denomination to a specific denomination
    * for display.
    *
    * @param {String} amount The amount to convert.
    * @param {String} fromDenom The source denomination. Valid values include:
-   * "satoshi", "bitcoin"
+   * "satoshi", "bitcoin", "litoshi", "litecoin"
    * @param {String} toDenom The target denomination. Valid values include:
-   * "satoshi", "bitcoin"
+   * "satoshi", "bitcoin", "litoshi", "litecoin"
    *
    * @return {String} The <code>amount</code> converted to from the source
    * denomination to the target denomination.
@@ -2363,6 +3488,17 @@ class CypherPokerUI {
       if (fromDenom == toDenom) {
          return (amount);
       }
+      //Litecoin denominations have the same precision as Bitcoin ones (1 litecoin = 100000000 litoshis)
+      if ((fromDenom == "litoshi") || (fromDenom == "litoshis")) {
+         fromDenom = "satoshi";
+      } else if (fromDenom == "litecoin") {
+         fromDenom = "bitcoin";
+      }
+      if ((toDenom == "litoshi") || (toDenom == "litoshis")) {
+         toDenom = "satoshis";
+      } else if (toDenom == "litecoin") {
+         toDenom = "bitcoin";
+      }
       switch (fromDenom) {
          case "satoshi":
             if (toDenom == "bitcoin") {
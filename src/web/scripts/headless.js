@@ -0,0 +1,91 @@
+/**
+* @file Loads the CypherPoker.JS client scripts into the global context of a Node.js process
+* so that {@link CypherPoker} and {@link CypherPokerGame} instances can be run headless (for
+* example, as bots or in tests). The in-thread {@link SRACryptoNode} provider is used instead
+* of the Web Worker based {@link SRACrypto} provider, and browser-only scripts (the user interface,
+* polyfills, and browser storage) aren't loaded.
+*
+* @example
+* const headless = require("./scripts/headless.js");
+* headless.load();
+* var settings = headless.loadSettings();
+* var cypherpoker = new CypherPoker(settings);
+*
+* @version 0.5.1
+*/
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+* @property {Array} _headlessRequire Indexed array of the scripts, relative to this script's
+* directory, to load in the order that they must be loaded in. This mirrors the list in
+* <code>index.js</code>.
+* @private
+*/
+const _headlessRequire = [
+   "./libs/EventDispatcher.js",
+   "./libs/EventPromise.js",
+   "./libs/RPC.js",
+   "./libs/transports/WSSClient.js",
+   "./libs/transports/WSSTunnel.js",
+   "./libs/transports/WebRTCClient.js",
+   "./libs/APIRouter.js",
+   "./libs/P2PRouter.js",
+   "./libs/ConnectivityManager.js",
+   "./libs/CryptoProvider.js",
+   "./libs/SRACryptoNode.js",
+   "./libs/BigInteger.min.js",
+   "./CypherPokerGame.js",
+   "./CypherPokerPlayer.js",
+   "./CypherPokerAccount.js",
+   "./CypherPokerCard.js",
+   "./CypherPokerContract.js",
+   "./CypherPokerAnalyzer.js",
+   "./CypherPoker.js"
+];
+
+/**
+* Loads the client scripts into the global context of the current process. Classes declared
+* by the scripts (<code>CypherPoker</code>, <code>CypherPokerGame</code>, etc.) become globally
+* available in the same way that they are in a browser.
+*
+* @param {Array} [scripts=null] Additional scripts to load after the default client scripts.
+* Relative paths are resolved from this script's directory.
+*/
+function load(scripts=null) {
+   //SRACryptoNode and crypto "create" strings are evaluated in the global context
+   global.require = require;
+   var scriptList = Array.from(_headlessRequire);
+   if (scripts != null) {
+      scriptList = scriptList.concat(scripts);
+   }
+   for (var count = 0; count < scriptList.length; count++) {
+      var scriptPath = path.resolve(__dirname, scriptList[count]);
+      vm.runInThisContext(fs.readFileSync(scriptPath, {encoding:"UTF-8"}), {filename:scriptPath});
+   }
+   vm.runInThisContext("SRACryptoNode").scriptsPath = path.resolve(__dirname, "./libs");
+}
+
+/**
+* Loads a client settings file and sets it to use the in-thread {@link SRACryptoNode}
+* cryptosystem provider.
+*
+* @param {String} [settingsFile=null] The path of the settings JSON file to load. If not
+* specified, <code>settings.json</code> in this script's directory is used.
+*
+* @return {Object} The parsed settings object to create a {@link CypherPoker} instance with.
+*/
+function loadSettings(settingsFile=null) {
+   if (settingsFile == null) {
+      settingsFile = path.resolve(__dirname, "./settings.json");
+   }
+   var settings = JSON.parse(fs.readFileSync(settingsFile, {encoding:"UTF-8"}));
+   settings.crypto.create = "return (new SRACryptoNode())";
+   return (settings);
+}
+
+module.exports = {
+   load:load,
+   loadSettings:loadSettings
+}
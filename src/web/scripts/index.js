@@ -84,6 +84,7 @@ const _require = [
    {"url":"./scripts/libs/P2PRouter.js"},
    {"url":"./scripts/libs/ConnectivityManager.js"},
    {"url":"./scripts/libs/WorkerHost.js"},
+   {"url":"./scripts/libs/CryptoProvider.js"},
    {"url":"./scripts/libs/SRACrypto.js"},
    {"url":"./scripts/libs/BigInteger.min.js"},
    {"url":"./scripts/CypherPokerGame.js"},
@@ -0,0 +1,207 @@
+/**
+* @file Interface for asynchronous cryptosystem providers.
+*
+* @version 0.5.1
+*/
+/**
+* @class Base class (interface) for all asynchronous cryptosystem providers used by
+* [CypherPoker.crypto]{@link CypherPoker#crypto}. A provider performs the methods handled by
+* {@link SRACryptoWorker} ("randomPrime", "checkPrime", "randomKeypair", "randomQuadResidues",
+* "curvePoints", "checkPoints", "checkResidues", "encrypt", "decrypt", "encryptBatch",
+* "decryptBatch", and "combineKeypairs"), either in separate threads or in the current one.
+* <br/><br/>
+* Extending classes must override [invoke]{@link CryptoProvider#invoke} and should override
+* [concurrency]{@link CryptoProvider#concurrency} if they can process more than one request at a time.
+* Batch encryption and decryption are provided by this class using <code>invoke</code>.
+*
+* @extends EventDispatcher
+* @see {@link SRACrypto}
+* @see {@link SRACryptoNode}
+*/
+class CryptoProvider extends EventDispatcher {
+
+   /**
+   * The result of a cryptosystem method, in the same format as a Web Worker "message" event.
+   *
+   * @typedef {Object} CryptoResult
+   * @property {Object} data The data of the result.
+   * @property {*} data.result The result of the invoked method (data type and format vary depending on
+   * the method invoked), or <code>null</code> if the method failed.
+   * @property {String} [data.error] The error message if the method failed.
+   * @property {*} data.requestID The request ID supplied with the invocation.
+   */
+
+   /**
+   * Creates an instance of the CryptoProvider class.
+   *
+   * @constructs
+   */
+   constructor () {
+      super();
+   }
+
+   /**
+   * @property {Number} concurrency The number of requests that the provider can process at
+   * the same time. Batch operations are split into chunks based on this value.
+   * @readonly
+   */
+   get concurrency() {
+      return (1);
+   }
+
+   /**
+   * Invokes an asynchronous cryptosystem method. Must be overriden by extending classes.
+   *
+   * @param {String} method The cryptosystem method to invoke.
+   * @param {Object} params The parameters to invoke the method with.
+   * @param {*} [requestID=undefined] A request ID that can be used to track the
+   * request over its lifetime.
+   *
+   * @return {Promise} An asynchronous promise object that resolves with a
+   * {@link CryptoProvider.CryptoResult} object.
+   * @async
+   */
+   async invoke (method, params, requestID) {
+      throw (new Error("Cryptosystem method \""+method+"\" is not implemented by "+this.toString()+"."));
+   }
+
+   /**
+   * Encrypts a series of values (for example, a full card deck) with a single keypair,
+   * processing up to [concurrency]{@link CryptoProvider#concurrency} chunks in parallel.
+   *
+   * @param {Array} values The string representations of the values to encrypt.
+   * Hexadecimal values must be prefixed with "0x".
+   * @param {keypair} keypair The keypair to encrypt the values with.
+   * @param {*} [requestID=null] A request ID included with every {@link event:progress}
+   * event dispatched for this batch.
+   *
+   * @return {Promise} An asynchronous promise that resolves with an array of the encrypted
+   * values in the same order as <code>values</code>, or rejects with an <code>Error</code>
+   * if any of the values couldn't be encrypted.
+   * @fires progress
+   * @async
+   *
+   * @example
+   * var SRA = new SRACrypto(4);
+   * SRA.addEventListener("progress", event => {
+   *    console.log ("Encrypted "+event.completed+" of "+event.total+" cards");
+   * });
+   * //cards and keypair were pre-generated in a previous step
+   * SRA.encryptBatch(cards, keypair).then(encCards => {
+   *    for (var count=0; count < encCards.length; count++) {
+   *       console.log ("Card #"+count+" "+cards[count]+" encrypted to "+encCards[count]);
+   *    }
+   * });
+   */
+   async encryptBatch (values, keypair, requestID=null) {
+      return (this.invokeBatch("encryptBatch", values, keypair, requestID));
+   }
+
+   /**
+   * Decrypts a series of values (for example, a full card deck) with a single keypair,
+   * processing up to [concurrency]{@link CryptoProvider#concurrency} chunks in parallel.
+   *
+   * @param {Array} values The string representations of the values to decrypt.
+   * Hexadecimal values must be prefixed with "0x".
+   * @param {keypair} keypair The keypair to decrypt the values with.
+   * @param {*} [requestID=null] A request ID included with every {@link event:progress}
+   * event dispatched for this batch.
+   *
+   * @return {Promise} An asynchronous promise that resolves with an array of the decrypted
+   * values in the same order as <code>values</code>, or rejects with an <code>Error</code>
+   * if any of the values couldn't be decrypted.
+   * @fires progress
+   * @async
+   */
+   async decryptBatch (values, keypair, requestID=null) {
+      return (this.invokeBatch("decryptBatch", values, keypair, requestID));
+   }
+
+   /**
+   * Splits a series of values into chunks and invokes a batch method for each chunk
+   * using [invoke]{@link CryptoProvider#invoke} so that they're processed in parallel
+   * when the provider supports it. Each parallel slot receives several chunks so
+   * that progress can be reported as the batch is processed.
+   *
+   * @param {String} method The batch method to invoke, either "encryptBatch" or "decryptBatch".
+   * @param {Array} values The string representations of the values to process.
+   * @param {keypair} keypair The keypair to process the values with.
+   * @param {*} [requestID=null] A request ID included with every {@link event:progress}
+   * event dispatched for this batch.
+   *
+   * @return {Promise} An asynchronous promise that resolves with an array of the
+   * processed values in the same order as <code>values</code>, or rejects with an
+   * <code>Error</code> if any chunk couldn't be processed.
+   * @fires progress
+   * @async
+   * @private
+   */
+   async invokeBatch (method, values, keypair, requestID=null) {
+      var total = values.length;
+      var results = new Array(total);
+      if (total == 0) {
+         return (results);
+      }
+      var numSlots = this.concurrency;
+      if ((isNaN(numSlots)) || (numSlots < 1)) {
+         numSlots = 1;
+      }
+      var chunkSize = Math.ceil(total / (numSlots * 4));
+      var completed = 0;
+      var promises = new Array();
+      for (var count = 0; count < total; count += chunkSize) {
+         var chunk = values.slice(count, count + chunkSize);
+         var chunkParams = new Object();
+         chunkParams.values = chunk;
+         chunkParams.keypair = keypair;
+         //chunk offset is used as the request ID to re-assemble results in order
+         var promise = this.invoke(method, chunkParams, count).then(event => {
+            var chunkResults = event.data.result;
+            if ((chunkResults == undefined) || (chunkResults == null)) {
+               throw (new Error("Batch "+method+" failed: "+event.data.error));
+            }
+            var offset = event.data.requestID;
+            for (var count2 = 0; count2 < chunkResults.length; count2++) {
+               results[offset + count2] = chunkResults[count2];
+            }
+            completed += chunkResults.length;
+            var progressEvent = new Event("progress");
+            progressEvent.method = method;
+            progressEvent.requestID = requestID;
+            progressEvent.processed = chunkResults.length;
+            progressEvent.completed = completed;
+            progressEvent.total = total;
+            this.dispatchEvent(progressEvent);
+         });
+         promises.push(promise);
+      }
+      await Promise.all(promises);
+      return (results);
+   }
+
+   /**
+   * Releases any resources (threads, contexts, etc.) held by the provider. The provider
+   * should not be used after this method is called.
+   */
+   destroy() {
+   }
+
+   toString() {
+      return ("[object CryptoProvider]");
+   }
+}
+
+/**
+* A batch of values being encrypted or decrypted with {@link CryptoProvider#encryptBatch} or
+* {@link CryptoProvider#decryptBatch} has progressed. This event is dispatched each time
+* a chunk of the batch is completed.
+*
+* @event progress
+* @type {Event}
+* @property {String} method The batch method being performed, either "encryptBatch"
+* or "decryptBatch".
+* @property {*} requestID The request ID supplied with the batch, or <code>null</code>.
+* @property {Number} processed The number of values in the chunk that has just been completed.
+* @property {Number} completed The number of values processed so far.
+* @property {Number} total The total number of values in the batch.
+*/
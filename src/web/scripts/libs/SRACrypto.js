@@ -1,7 +1,7 @@
 /**
 * @file Asynchronous SRA cryptosystem interface.
 *
-* @version 0.2.0
+* @version 0.3.0
 */
 const _defaultHostScript = "./scripts/libs/SRACryptoWorker.js"; //default WorkerHost script
 let _hosts = new Array();
@@ -10,11 +10,13 @@ let _maxHosts = 4; //max number of concurrent Workerhost instances
 let _numHosts = 0; //current number of WorkerHost instances
 /**
 * @class Uses Web Workers to asynchronously perform various SRA cryptosystem
-* functions.
+* functions. This is the default (browser) cryptosystem provider.
 *
+* @extends CryptoProvider
 * @see {@link SRACryptoWorker.js}
+* @see {@link SRACryptoNode}
 */
-class SRACrypto {
+class SRACrypto extends CryptoProvider {
 
    /**
    * An encryption/decryption key pair and associated prime value. A <code>null</code>
@@ -26,6 +28,11 @@ class SRACrypto {
    * @property {String} encKey A string representation of the encryption key.
    * @property {String} decKey A String representation of the decryption key.
    * @property {String} prime A string representation of the associated prime number.
+   * For an elliptic curve keypair this is the curve's field prime.
+   * @property {String} [curve] The name of the elliptic curve (e.g. "secp256k1") if this is
+   * a keypair for the commutative elliptic curve cryptosystem instead of SRA. Curve keypairs
+   * are always hexadecimal and are used with the same <code>encrypt</code> and <code>decrypt</code>
+   * methods to multiply (compressed) curve points.
    *
    *
    */
@@ -38,6 +45,7 @@ class SRACrypto {
    * instances to use / manage within the new SRACrypto instance.
    */
    constructor (hostInstances) {
+      super();
       if (isNaN(hostInstances) == false) {
          _maxHosts = hostInstances;
       }
@@ -247,6 +255,15 @@ class SRACrypto {
       return (promise);
    }
 
+   /**
+   * @property {Number} concurrency The number of {@link WorkerHost} instances that can
+   * process requests at the same time.
+   * @readonly
+   */
+   get concurrency() {
+      return (SRACrypto.workerHosts.length);
+   }
+
    /**
    * Event listener triggered when a {@link WorkerHost} instance reports that it
    * is ready for new requests. The internal queue is automatically adjusted
@@ -277,4 +294,8 @@ class SRACrypto {
    static get requestQueue () {
       return (_queue);
    }
+
+   toString() {
+      return ("[object SRACrypto]");
+   }
 }
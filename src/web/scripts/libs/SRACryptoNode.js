@@ -0,0 +1,145 @@
+/**
+* @file In-thread SRA cryptosystem provider for Node.js.
+*
+* @version 0.5.1
+*/
+/**
+* @class Performs the SRA (and elliptic curve) cryptosystem functions of {@link SRACryptoWorker}
+* in the current thread of a Node.js process, without using the Web Worker API. This allows
+* {@link CypherPoker} and {@link CypherPokerGame} instances to run headless (for example,
+* as bots or in tests). The unmodified worker script is loaded into its own virtual machine
+* context so that results are identical to those of the {@link SRACrypto} provider.
+* <br/><br/>
+* Requests are processed one at a time and the event loop is released between requests so that
+* network messages continue to be handled while a batch is being processed.
+*
+* @example
+* //in the settings.json "crypto" object:
+* "create":"return (new SRACryptoNode())"
+*
+* @extends CryptoProvider
+* @see {@link headless.js}
+*/
+class SRACryptoNode extends CryptoProvider {
+
+   /**
+   * Creates an instance of the SRACryptoNode class and loads the worker script.
+   *
+   * @constructs
+   * @param {String} [workerScript=null] The file system path of the worker script to load.
+   * If not specified, <code>SRACryptoWorker.js</code> in the same directory as this script is used.
+   */
+   constructor (workerScript=null) {
+      super();
+      if ((typeof(require) != "function") || (typeof(process) != "object")) {
+         throw (new Error("SRACryptoNode requires a Node.js environment with a global \"require\" function."));
+      }
+      const fs = require("fs");
+      const path = require("path");
+      const vm = require("vm");
+      if (workerScript == null) {
+         workerScript = path.resolve(SRACryptoNode.scriptsPath, "SRACryptoWorker.js");
+      }
+      var scriptDir = path.dirname(workerScript);
+      this._response = null;
+      this._queue = Promise.resolve(true);
+      var context = new Object();
+      context.console = console;
+      context.crypto = require("crypto").webcrypto;
+      context.postMessage = (message) => {
+         this._response = message;
+      }
+      context.importScripts = (...scripts) => {
+         for (var count = 0; count < scripts.length; count++) {
+            var scriptPath = path.resolve(scriptDir, scripts[count]);
+            vm.runInContext(fs.readFileSync(scriptPath, {encoding:"UTF-8"}), this._context, {filename:scriptPath});
+         }
+      }
+      context.self = context;
+      this._context = vm.createContext(context);
+      vm.runInContext(fs.readFileSync(workerScript, {encoding:"UTF-8"}), this._context, {filename:workerScript});
+      if ((this._response == null) || (this._response.ready != true)) {
+         throw (new Error("Worker script \""+workerScript+"\" did not signal a ready state."));
+      }
+      this._response = null;
+   }
+
+   /**
+   * @property {String} scriptsPath The file system path of the directory containing the
+   * worker script (this script's directory), used when no <code>workerScript</code> is
+   * supplied to the constructor. This may be changed if the scripts are loaded from elsewhere.
+   * @static
+   */
+   static get scriptsPath() {
+      if (_sraNodeScriptsPath != null) {
+         return (_sraNodeScriptsPath);
+      }
+      if (typeof(__dirname) == "string") {
+         //loaded as a module
+         return (__dirname);
+      }
+      return (process.cwd());
+   }
+
+   static set scriptsPath(pathSet) {
+      _sraNodeScriptsPath = pathSet;
+   }
+
+   /**
+   * Invokes a cryptosystem method in the loaded worker script. Requests are queued and processed
+   * in the order that they're received.
+   *
+   * @param {String} method The method to invoke (see {@link SRACryptoWorker}).
+   * @param {Object} params The parameters to invoke the method with.
+   * @param {*} [requestID=undefined] A request ID that can be used to track the
+   * request over its lifetime.
+   *
+   * @return {Promise} An asynchronous promise object that resolves with a
+   * {@link CryptoProvider.CryptoResult} object.
+   * @async
+   */
+   async invoke (method, params, requestID) {
+      if (this._context == null) {
+         throw (new Error("SRACryptoNode instance has been destroyed."));
+      }
+      var request = new Object();
+      request.method = method;
+      //parameters are copied since the worker may modify them (as with a structured clone)
+      request.params = JSON.parse(JSON.stringify(params));
+      request.requestID = requestID;
+      var promise = this._queue.then(async () => {
+         //release the event loop between requests
+         await new Promise((resolve, reject) => {
+            setImmediate(resolve);
+         });
+         this._response = null;
+         this._context.onmessage({data:request});
+         var event = new Object();
+         event.data = this._response;
+         event.target = this;
+         this._response = null;
+         return (event);
+      });
+      this._queue = promise.catch(err => {});
+      return (promise);
+   }
+
+   /**
+   * Releases the worker script context. The instance should not be used after this
+   * method is called.
+   */
+   destroy() {
+      this._context = null;
+   }
+
+   toString() {
+      return ("[object SRACryptoNode]");
+   }
+}
+
+/**
+* @property {String} _sraNodeScriptsPath=null Overrides the default [scriptsPath]{@link SRACryptoNode.scriptsPath}
+* if not <code>null</code>.
+* @private
+*/
+var _sraNodeScriptsPath = null;
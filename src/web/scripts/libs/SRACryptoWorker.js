@@ -20,19 +20,40 @@ try {
    }
 } catch (err) {
 }
+/**
+* @property {Object} curves Elliptic curves supported as an alternative commutative
+* cryptosystem, indexed by curve name. Each curve is in the short Weierstrass form
+* <code>y^2 = x^3 + b</code> (a=0) and includes the hexadecimal field <code>prime</code> and
+* group <code>order</code> values, the <code>b</code> coefficient, and the <code>byteLength</code>
+* of a coordinate. Curve points are represented as compressed, "0x"-prefixed hexadecimal strings.
+* @private
+*/
+var curves = {
+   "secp256k1": {
+      "prime":"fffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f",
+      "order":"fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141",
+      "b":7,
+      "byteLength":32
+   }
+}
 
 /**
 * Handles all externally received messages from the host.
 *
 * External-to-internal function map:<br/>
 * <br/>
-* "randomPrime" => {@link generateRandomPrime}<br/>
+* "randomPrime" => {@link generateRandomPrime} -or- {@link generateRandomSafePrime} (if <code>safe</code> is true)<br/>
 * "checkPrime" => {@link checkPrime}<br/>
-* "randomKeypair" => {@link generateRandomKeypair}<br/>
+* "randomKeypair" => {@link generateRandomKeypair} -or- {@link generateCurveKeypair} (if a <code>curve</code> is specified)<br/>
 * "randomQuadResidues" => {@link generateRandomQuadResidues}<br/>
+* "curvePoints" => {@link generateCurvePoints}<br/>
+* "checkPoints" => {@link checkCurvePoints}<br/>
 * "checkResidues" => {@link checkResidues}<br/>
-* "encrypt" => {@link encrypt}<br/>
-* "decrypt" => {@link decrypt}
+* "encrypt" => {@link encrypt} -or- {@link curveMultiply} (if the keypair includes a <code>curve</code>)<br/>
+* "decrypt" => {@link decrypt} -or- {@link curveMultiply} (if the keypair includes a <code>curve</code>)<br/>
+* "encryptBatch" => {@link cryptBatch}<br/>
+* "decryptBatch" => {@link cryptBatch}<br/>
+* "combineKeypairs" => {@link combineKeypairs}
 * @private
 * @param {Object} event A standard Worker "message" event.
 */
@@ -46,7 +67,11 @@ function handleMessage (event) {
          if (isNaN(radix)) {
             radix = 16; //default to hex
          }
-         result = generateRandomPrime(bitLength, radix);
+         if (event.data.params.safe == true) {
+            result = generateRandomSafePrime(bitLength, radix);
+         } else {
+            result = generateRandomPrime(bitLength, radix);
+         }
          break;
       case "checkPrime":
          var primeVal = event.data.params.prime.trim();
@@ -56,9 +81,18 @@ function handleMessage (event) {
          } else {
             radix = 10;
          }
-         result = checkPrime(primeVal, radix);
+         var maxBitLength = null;
+         if (isNaN(Number(event.data.params.maxBitLength)) == false) {
+            maxBitLength = Number(event.data.params.maxBitLength);
+         }
+         result = checkPrime(primeVal, radix, (event.data.params.safe == true), maxBitLength);
          break;
       case "randomKeypair":
+         var curveName = event.data.params.curve;
+         if ((curveName != undefined) && (curveName != null)) {
+            result = generateCurveKeypair(curveName);
+            break;
+         }
          primeVal = event.data.params.prime.trim();
          if (primeVal.startsWith("0x")) {
             primeVal = primeVal.substring(2);
@@ -79,6 +113,15 @@ function handleMessage (event) {
          }
          result = generateRandomQuadResidues(primeVal, numValues, radix);
          break;
+      case "curvePoints":
+         result = generateCurvePoints(event.data.params.curve, event.data.params.numValues);
+         break;
+      case "checkPoints":
+         result = checkCurvePoints(event.data.params.curve, event.data.params.points);
+         break;
+      case "combineKeypairs":
+         result = combineKeypairs(event.data.params.keypairs);
+         break;
       case "checkResidues":
          var residues = event.data.params.residues;
          primeVal = event.data.params.prime.trim();
@@ -103,6 +146,10 @@ function handleMessage (event) {
          break;
       case "encrypt":
          var keypair = event.data.params.keypair;
+         if ((keypair.curve != undefined) && (keypair.curve != null)) {
+            result = curveMultiply(event.data.params.value, keypair.encKey, keypair.curve);
+            break;
+         }
          if (keypair.encKey.startsWith("0x")) {
             keypair.encKey = keypair.encKey.substring(2);
             keypair.prime = keypair.prime.substring(2);
@@ -122,6 +169,10 @@ function handleMessage (event) {
          break;
       case "decrypt":
             keypair = event.data.params.keypair;
+            if ((keypair.curve != undefined) && (keypair.curve != null)) {
+               result = curveMultiply(event.data.params.value, keypair.decKey, keypair.curve);
+               break;
+            }
             if (keypair.decKey.startsWith("0x")) {
                keypair.decKey = keypair.decKey.substring(2);
                keypair.prime = keypair.prime.substring(2);
@@ -139,12 +190,35 @@ function handleMessage (event) {
             }
             result = decrypt (decValue, valueRadix, keypair, keyRadix);
             break;
+      case "encryptBatch":
+         result = cryptBatch(event.data.params.values, event.data.params.keypair, false);
+         break;
+      case "decryptBatch":
+         result = cryptBatch(event.data.params.values, event.data.params.keypair, true);
+         break;
       default:
          break;
     }
     postMessage({"result": result, "requestID": request.requestID});
 }
 
+/**
+* Invokes {@link handleMessage} for an externally received message. If the requested
+* method fails (for example, because a value received from another player is invalid), a
+* <code>null</code> result and the error message are returned to the host instead of
+* leaving it waiting for a response.
+*
+* @private
+* @param {Object} event A standard Worker "message" event.
+*/
+function safeHandleMessage (event) {
+   try {
+      handleMessage(event);
+   } catch (err) {
+      postMessage({"result": null, "error": err.message, "requestID": event.data.requestID});
+   }
+}
+
 /**
 * Generates a pseudo-random positive integer using the most secure method available
 * (the second option can probably be improved).
@@ -192,6 +266,9 @@ function randomBitStr(bitLength) {
 * @private
 */
 function generateRandomPrime(bitLength, radix) {
+   if (useNative) {
+      return (generateRandomPrimeNative(bitLength, radix));
+   }
    var bitStr = randomBitStr(bitLength);
    var bi_prime = bigInt(bitStr, 2);
    while (bi_prime.isPrime() == false) {
@@ -204,18 +281,74 @@ function generateRandomPrime(bitLength, radix) {
    }
 }
 
+/**
+* Generates a random n-bit safe prime number (a prime <code>p</code> for which
+* <code>(p-1)/2</code> is also prime), and returns it in a given radix. Safe primes
+* are much rarer than primes so this function takes considerably longer than
+* {@link generateRandomPrime}.
+*
+* @param {Number} bitLength The number of bits to use for the generated prime
+* value.
+* @param {Number} radix=16|10 The radix of the returned value string. Must be
+* either 16 or 10
+* @return {String} A bitLength-length safe prime number value represented as a string,
+* either a hexadecimal value (if radix is 16), or a decimal value (if radix is 10).
+* @private
+*/
+function generateRandomSafePrime(bitLength, radix) {
+   if (useNative) {
+      return (generateRandomSafePrimeNative(bitLength, radix));
+   }
+   var bi_half = bigInt(randomBitStr(bitLength - 1), 2);
+   if (bi_half.isEven()) {
+      bi_half = bi_half.minus(bigInt.one);
+   }
+   var bi_prime = bi_half.times(2).plus(bigInt.one);
+   while ((bi_half.isPrime() == false) || (bi_prime.isPrime() == false)) {
+      bi_half = bi_half.minus(2);
+      bi_prime = bi_prime.minus(4);
+   }
+   if (radix == 16) {
+      return ("0x" + bi_prime.toString(radix));
+   } else {
+      return (bi_prime.toString(radix));
+   }
+}
+
 /**
 * Checks whether the input prime value string is actually a prime value.
 *
 * @param {String} primeVal The string representation of the prime value to check.
 * @param {Number} radix The expected radix of primeVal, either 16 (hex) or
 * 10 (dec).
-* @return {Boolean} True if the primeVal string represents a prime number value.
+* @param {Boolean} [safe=false] If true, primeVal must also be a safe prime
+* (<code>(primeVal-1)/2</code> must also be prime).
+* @param {Number} [maxBitLength=null] The maximum number of bits that primeVal may have.
+* Longer values are rejected without being tested for primality. If <code>null</code>,
+* the length isn't limited.
+* @return {Boolean} True if the primeVal string represents a prime (or safe prime),
+* number value.
 * @private
 */
-function checkPrime(primeVal, radix) {
+function checkPrime(primeVal, radix, safe=false, maxBitLength=null) {
+   if (useNative) {
+      var prime = parseNative(primeVal, radix);
+      if ((maxBitLength != null) && (bitLengthNative(prime) > maxBitLength)) {
+         return (false);
+      }
+      if (isPrimeNative(prime) == false) {
+         return (false);
+      }
+      return ((safe == false) || isPrimeNative((prime - BI_ONE) / BI_TWO));
+   }
    var bi_prime = bigInt(primeVal, radix);
-   return (bi_prime.isPrime());
+   if ((maxBitLength != null) && (bi_prime.toString(2).length > maxBitLength)) {
+      return (false);
+   }
+   if (bi_prime.isPrime() == false) {
+      return (false);
+   }
+   return ((safe == false) || bi_prime.minus(bigInt.one).divide(2).isPrime());
 }
 
 /**
@@ -230,6 +363,9 @@ function checkPrime(primeVal, radix) {
 * @private
 */
 function generateRandomKeypair(primeVal, radix) {
+   if (useNative) {
+      return (generateRandomKeypairNative(primeVal, radix));
+   }
    var bi_prime = bigInt(primeVal, radix);
    var bi_phi_prime = bi_prime.minus(1); //assume this is a prime number
    var encKey = bigInt(randomBitStr(bi_phi_prime.bitLength()), 2);
@@ -268,6 +404,9 @@ function generateRandomKeypair(primeVal, radix) {
 * @private
 */
 function generateRandomQuadResidues(primeVal, numValues, radix) {
+   if (useNative) {
+      return (generateRandomQuadResiduesNative(primeVal, numValues, radix));
+   }
    var residues = new Array();
    var bi_prime = bigInt(primeVal, radix);
    var bi_phi_prime = bi_prime.minus(1); //assume this is a prime number
@@ -301,6 +440,9 @@ function generateRandomQuadResidues(primeVal, numValues, radix) {
 * @private
 */
 function checkResidues(residueObjects, primeVal, primeRadix) {
+   if (useNative) {
+      return (checkResiduesNative(residueObjects, primeVal, primeRadix));
+   }
    var residues = new Array();
    var bi_prime = bigInt(primeVal, primeRadix);
    var bi_phi_prime = bi_prime.minus(1); //assume this is a prime number
@@ -326,6 +468,9 @@ function checkResidues(residueObjects, primeVal, primeRadix) {
 * @private
 */
 function encrypt (encValue, valueRadix, keypair, keyRadix) {
+   if (useNative) {
+      return (modPowValueNative(encValue, valueRadix, keypair.encKey, keypair.prime, keyRadix));
+   }
    var value = bigInt(encValue, valueRadix);
    var key = bigInt(keypair.encKey, keyRadix);
    var prime = bigInt(keypair.prime, keyRadix);
@@ -349,6 +494,9 @@ function encrypt (encValue, valueRadix, keypair, keyRadix) {
 * @private
 */
 function decrypt (decValue, valueRadix, keypair, keyRadix) {
+   if (useNative) {
+      return (modPowValueNative(decValue, valueRadix, keypair.decKey, keypair.prime, keyRadix));
+   }
    var value = bigInt(decValue, valueRadix);
    var key = bigInt(keypair.decKey, keyRadix);
    var prime = bigInt(keypair.prime, keyRadix);
@@ -360,106 +508,736 @@ function decrypt (decValue, valueRadix, keypair, keyRadix) {
    }
 }
 
-// Native BigInt functons (not yet implemented above)
-
-/*
+/**
+* Encrypts or decrypts a series of values with a single keypair object. This
+* reduces the messaging overhead between the host and the worker when processing
+* a whole card deck.
+*
+* @param {Array} values The string representations of the values to encrypt or
+* decrypt. Hexadecimal values must be prefixed with "0x".
+* @param {keypair} keypair A keypair to use for the operation. If it includes a
+* <code>curve</code> the values are processed with {@link curveMultiply}.
+* @param {Boolean} [decrypting=false] If true, the values are decrypted using the
+* <code>decKey</code> of the keypair, otherwise they're encrypted using the <code>encKey</code>.
+* @return {Array} The encrypted or decrypted values, in the same order as
+* <code>values</code>.
+* @private
+*/
+function cryptBatch(values, keypair, decrypting=false) {
+   var results = new Array();
+   if (decrypting) {
+      var key = keypair.decKey;
+   } else {
+      key = keypair.encKey;
+   }
+   if ((keypair.curve != undefined) && (keypair.curve != null)) {
+      for (var count = 0; count < values.length; count++) {
+         results.push(curveMultiply(values[count], key, keypair.curve));
+      }
+      return (results);
+   }
+   //only the key being used is required (e.g. a single-key keypair from a shuffle proof)
+   var localKeypair = new Object();
+   localKeypair.prime = keypair.prime;
+   if (key.startsWith("0x")) {
+      key = key.substring(2);
+      localKeypair.prime = localKeypair.prime.substring(2);
+      var keyRadix = 16;
+   } else {
+      keyRadix = 10;
+   }
+   localKeypair.encKey = key;
+   localKeypair.decKey = key;
+   for (count = 0; count < values.length; count++) {
+      var value = values[count];
+      if (value.startsWith("0x")) {
+         value = value.substring(2);
+         var valueRadix = 16;
+      } else {
+         valueRadix = 10;
+      }
+      if (decrypting) {
+         results.push(decrypt(value, valueRadix, localKeypair, keyRadix));
+      } else {
+         results.push(encrypt(value, valueRadix, localKeypair, keyRadix));
+      }
+   }
+   return (results);
+}
 
-function isPrimeNative(n) {
-   n = BigInt(n)
-   if (n % 1n || n < 2n) return false;
-   if (n==leastFactor(n)) return true;
-   return false;
+/**
+* Returns a supported elliptic curve definition.
+*
+* @param {String} curveName The name of the curve to return, as
+* defined in the {@link curves} object.
+* @return {Object} The named curve's definition with its <code>prime</code> and <code>order</code>
+* values converted to BigInteger instances.
+* @throws {Error} Thrown if the named curve isn't supported.
+* @private
+*/
+function getCurve(curveName) {
+   var curveDef = curves[curveName];
+   if ((curveDef == undefined) || (curveDef == null)) {
+      throw (new Error("Unsupported curve \""+curveName+"\"."));
+   }
+   var curve = new Object();
+   curve.name = curveName;
+   curve.prime = bigInt(curveDef.prime, 16);
+   curve.order = bigInt(curveDef.order, 16);
+   curve.b = bigInt(curveDef.b);
+   curve.byteLength = curveDef.byteLength;
+   return (curve);
 }
 
+/**
+* Reduces a value into the range 0 to <code>modulus</code>-1 (negative values
+* included).
+*
+* @param {bigInt} value The value to reduce.
+* @param {bigInt} modulus The modulus to reduce by.
+* @return {bigInt} The reduced value.
+* @private
+*/
+function fieldMod(value, modulus) {
+   var result = value.mod(modulus);
+   if (result.isNegative()) {
+      result = result.plus(modulus);
+   }
+   return (result);
+}
 
+/**
+* Generates a random keypair for a commutative elliptic curve cryptosystem. The encryption
+* key is a random scalar modulo the curve order and the decryption key is its
+* multiplicative inverse so that a point multiplied by both keys, in any order,
+* is returned to its original value.
+*
+* @param {String} curveName The name of the curve to generate the keypair for.
+* @return {keypair} The generated keypair, in hexadecimal, including the curve's field
+* <code>prime</code> and the <code>curve</code> name.
+* @private
+*/
+function generateCurveKeypair(curveName) {
+   var curve = getCurve(curveName);
+   var encKey = bigInt.zero;
+   while (encKey.isZero()) {
+      encKey = bigInt(randomBitStr(curve.order.bitLength()), 2).mod(curve.order);
+   }
+   var decKey = encKey.modInv(curve.order); //order is prime so every non-zero key is invertible
+   return ({"encKey":"0x"+encKey.toString(16), "decKey":"0x"+decKey.toString(16), "prime":"0x"+curve.prime.toString(16), "curve":curve.name});
+}
 
-function leastFactor (n){
-   n = BigInt(n)
- if (n==0n) return 0n;
- if (n % 1n || n*n < 2n) return 1n;
- if (n%2n==0n) return 2n;
- if (n%3n==0n) return 3n;
- if (n%5n==0n) return 5n;
- var m = sqrt(n);
- for (var i=7n;i<=m;i+=30n) {
-  if (n%i==0n)      return i;
-  if (n%(i+4n)==0n)  return i+4n;
-  if (n%(i+6n)==0n)  return i+6n;
-  if (n%(i+10n)==0n) return i+10n;
-  if (n%(i+12n)==0n) return i+12n;
-  if (n%(i+16n)==0n) return i+16n;
-  if (n%(i+22n)==0n) return i+22n;
-  if (n%(i+24n)==0n) return i+24n;
- }
- return n;
+/**
+* Generates a fixed series of sequential points on an elliptic curve to use as plaintext
+* card values, analogous to {@link generateRandomQuadResidues}. Starting with an x coordinate
+* one less than half the curve's field prime, each x coordinate for which
+* <code>x^3 + b</code> is a quadratic residue is included (with its even y coordinate).
+*
+* @param {String} curveName The name of the curve to generate the points on.
+* @param {Number} numValues The number of sequential points to generate.
+* @return {Array} The generated points as compressed, hexadecimal string representations.
+* @private
+*/
+function generateCurvePoints(curveName, numValues) {
+   var curve = getCurve(curveName);
+   var points = new Array();
+   var bi_exp = curve.prime.minus(1).divide(2);
+   var currentValue = bi_exp.minus(1);
+   while (points.length < numValues) {
+      var ySquared = currentValue.modPow(3, curve.prime).plus(curve.b).mod(curve.prime);
+      if (ySquared.modPow(bi_exp, curve.prime).equals(1)) {
+         points.push(encodePoint({"x":currentValue, "y":bigInt.zero}, curve));
+      }
+      currentValue = currentValue.plus(1);
+   }
+   return (points);
 }
 
-function sqrt(value) {
-		if (value < 0n) {
-			throw 'square root of negative numbers is not supported'
-		}
+/**
+* Checks whether a series of values are valid compressed points on an elliptic curve,
+* analogous to {@link checkResidues}.
+*
+* @param {String} curveName The name of the curve to check the points against.
+* @param {Array} points The "0x"-prefixed compressed points to check.
+* @return {Array} A boolean for each of the points, true if the point is on the curve,
+* with the indexes of the input array matching the indexes of the results.
+* @private
+*/
+function checkCurvePoints(curveName, points) {
+   var curve = getCurve(curveName);
+   var returnValues = new Array();
+   for (var count = 0; count < points.length; count++) {
+      try {
+         decodePoint(String(points[count]), curve);
+         returnValues.push(true);
+      } catch (err) {
+         returnValues.push(false);
+      }
+   }
+   return (returnValues);
+}
 
-		if (value < 2n) {
-			return value;
-		}
+/**
+* Encodes a curve point as a compressed, hexadecimal string representation.
+*
+* @param {Object} point The affine <code>x</code> and <code>y</code> coordinates
+* (bigInt) of the point.
+* @param {Object} curve The curve definition, as returned by {@link getCurve}.
+* @return {String} The "0x"-prefixed compressed point.
+* @private
+*/
+function encodePoint(point, curve) {
+   var xStr = point.x.toString(16);
+   while (xStr.length < (curve.byteLength * 2)) {
+      xStr = "0" + xStr;
+   }
+   if (point.y.isOdd()) {
+      return ("0x03" + xStr);
+   } else {
+      return ("0x02" + xStr);
+   }
+}
 
-		function newtonIteration(n, x0) {
-			const x1 = ((n / x0) + x0) >> 1n;
-			if (x0 === x1 || x0 === (x1 - 1n)) {
-				return x0;
-			}
-			return newtonIteration(n, x1);
-		}
+/**
+* Decodes a compressed, hexadecimal string representation of a curve point.
+*
+* @param {String} pointStr The "0x"-prefixed compressed point to decode.
+* @param {Object} curve The curve definition, as returned by {@link getCurve}.
+* @return {Object} The affine <code>x</code> and <code>y</code> coordinates (bigInt) of the point.
+* @throws {Error} Thrown if <code>pointStr</code> isn't a valid point on the curve.
+* @private
+*/
+function decodePoint(pointStr, curve) {
+   if (pointStr.startsWith("0x")) {
+      pointStr = pointStr.substring(2);
+   }
+   var prefix = pointStr.substring(0, 2);
+   if ((pointStr.length != ((curve.byteLength * 2) + 2)) || ((prefix != "02") && (prefix != "03"))) {
+      throw (new Error("Value is not a compressed curve point."));
+   }
+   var x = bigInt(pointStr.substring(2), 16);
+   if (x.geq(curve.prime)) {
+      throw (new Error("Value is not a compressed curve point."));
+   }
+   var ySquared = x.modPow(3, curve.prime).plus(curve.b).mod(curve.prime);
+   var y = ySquared.modPow(curve.prime.plus(1).divide(4), curve.prime);
+   if (y.multiply(y).mod(curve.prime).equals(ySquared) == false) {
+      throw (new Error("Value is not a point on the curve."));
+   }
+   if (y.isOdd() != (prefix == "03")) {
+      y = curve.prime.minus(y);
+   }
+   return ({"x":x, "y":y});
+}
 
-		return newtonIteration(value, 1n);
-	}
+/**
+* Doubles a point in Jacobian coordinates on a curve with a=0.
+*
+* @param {Object} point The <code>x</code>, <code>y</code>, and <code>z</code> Jacobian
+* coordinates (bigInt) of the point to double, or <code>null</code> for the point at infinity.
+* @param {bigInt} prime The curve's field prime.
+* @return {Object} The doubled point in Jacobian coordinates, or <code>null</code>
+* for the point at infinity.
+* @private
+*/
+function jacobianDouble(point, prime) {
+   if ((point == null) || point.y.isZero()) {
+      return (null);
+   }
+   var A = point.x.multiply(point.x).mod(prime);
+   var B = point.y.multiply(point.y).mod(prime);
+   var C = B.multiply(B).mod(prime);
+   var D = fieldMod(point.x.plus(B).square().minus(A).minus(C).multiply(2), prime);
+   var E = A.multiply(3).mod(prime);
+   var F = E.multiply(E).mod(prime);
+   var result = new Object();
+   result.x = fieldMod(F.minus(D.multiply(2)), prime);
+   result.y = fieldMod(E.multiply(D.minus(result.x)).minus(C.multiply(8)), prime);
+   result.z = point.y.multiply(point.z).multiply(2).mod(prime);
+   return (result);
+}
 
-function modInvNative(x, m) {
-   var inverse = xgcdNative(BigInt(x), BigInt(m))[0];
-   if (inverse < BigInt(0)) {
-      inverse = m + inverse;
+/**
+* Adds an affine point to a point in Jacobian coordinates on a curve with a=0.
+*
+* @param {Object} point The <code>x</code>, <code>y</code>, and <code>z</code> Jacobian
+* coordinates (bigInt) of the first point, or <code>null</code> for the point at infinity.
+* @param {Object} affinePoint The affine <code>x</code> and <code>y</code> coordinates (bigInt)
+* of the point to add.
+* @param {bigInt} prime The curve's field prime.
+* @return {Object} The sum in Jacobian coordinates, or <code>null</code> for the point
+* at infinity.
+* @private
+*/
+function jacobianAdd(point, affinePoint, prime) {
+   if (point == null) {
+      return ({"x":affinePoint.x, "y":affinePoint.y, "z":bigInt.one});
    }
-   return (inverse);
+   var Z1Z1 = point.z.multiply(point.z).mod(prime);
+   var U2 = affinePoint.x.multiply(Z1Z1).mod(prime);
+   var S2 = affinePoint.y.multiply(point.z).multiply(Z1Z1).mod(prime);
+   var H = fieldMod(U2.minus(point.x), prime);
+   var r = fieldMod(S2.minus(point.y), prime);
+   if (H.isZero()) {
+      if (r.isZero()) {
+         return (jacobianDouble(point, prime));
+      }
+      return (null);
+   }
+   var HH = H.multiply(H).mod(prime);
+   var HHH = H.multiply(HH).mod(prime);
+   var V = point.x.multiply(HH).mod(prime);
+   var result = new Object();
+   result.x = fieldMod(r.multiply(r).minus(HHH).minus(V.multiply(2)), prime);
+   result.y = fieldMod(r.multiply(V.minus(result.x)).minus(point.y.multiply(HHH)), prime);
+   result.z = point.z.multiply(H).mod(prime);
+   return (result);
 }
 
-function xgcdNative(a, m) {
-  if (m == BigInt(0)) {
-    return ([BigInt(1), BigInt(0), a]);
-  }
-  temp = xgcdNative(m, a % m);
-  var x = temp[BigInt(0)];
-  var y = temp[BigInt(1)];
-  var d = temp[BigInt(2)];
-   return ([y, x-y*(a/m), d]);
+/**
+* Multiplies a curve point by a scalar key. This is the elliptic curve equivalent of
+* SRA encryption and decryption: multiplying by the encryption key of a {@link keypair}
+* encrypts a point and multiplying by its decryption key (the inverse modulo the
+* curve order) decrypts it, and multiple keys may be applied in any order.
+*
+* @param {String} pointStr The "0x"-prefixed compressed point to multiply.
+* @param {String} keyStr The "0x"-prefixed hexadecimal scalar to multiply by.
+* @param {String} curveName The name of the curve on which the point lies.
+* @return {String} The resulting point as a "0x"-prefixed compressed string.
+* @private
+*/
+function curveMultiply(pointStr, keyStr, curveName) {
+   var curve = getCurve(curveName);
+   var point = decodePoint(pointStr, curve);
+   if (keyStr.startsWith("0x")) {
+      keyStr = keyStr.substring(2);
+   }
+   var key = bigInt(keyStr, 16).mod(curve.order);
+   if (key.isZero()) {
+      throw (new Error("Invalid curve key."));
+   }
+   var bits = key.toString(2);
+   var result = null;
+   for (var count = 0; count < bits.length; count++) {
+      result = jacobianDouble(result, curve.prime);
+      if (bits[count] == "1") {
+         result = jacobianAdd(result, point, curve.prime);
+      }
+   }
+   var zInv = result.z.modInv(curve.prime);
+   var zInv2 = zInv.multiply(zInv).mod(curve.prime);
+   var affinePoint = new Object();
+   affinePoint.x = result.x.multiply(zInv2).mod(curve.prime);
+   affinePoint.y = result.y.multiply(zInv2).multiply(zInv).mod(curve.prime);
+   return (encodePoint(affinePoint, curve));
 }
 
-function generateRandomPrimeNative(startValue, radix) {
-   var prime = BigInt(startValue);
-   while (isPrimeNative(prime)== false) {
-      prime = prime - 1n;
+/**
+* Combines a series of keypairs into a single keypair that has the same effect as applying
+* each of them in turn. The combined encryption key is the product of the
+* <code>encKey</code>s, and the combined decryption key the product of the <code>decKey</code>s,
+* modulo the order of the group (the prime minus 1 for SRA, or the curve order). A keypair's
+* inverse may be included by swapping its keys.
+*
+* @param {Array} keypairs The {@link keypair} objects to combine. All keypairs must share the
+* same <code>prime</code> (and <code>curve</code>, if included), and use the same radix.
+* @return {keypair} The combined keypair, in the same radix as the input keypairs.
+* @private
+*/
+function combineKeypairs(keypairs) {
+   var firstKeypair = keypairs[0];
+   var curveName = firstKeypair.curve;
+   if ((curveName != undefined) && (curveName != null)) {
+      var order = getCurve(curveName).order;
+      var radix = 16;
+   } else {
+      var primeVal = firstKeypair.prime;
+      if (primeVal.startsWith("0x")) {
+         primeVal = primeVal.substring(2);
+         radix = 16;
+      } else {
+         radix = 10;
+      }
+      order = bigInt(primeVal, radix).minus(1);
+   }
+   var encKey = bigInt.one;
+   var decKey = bigInt.one;
+   for (var count = 0; count < keypairs.length; count++) {
+      var currentKeypair = keypairs[count];
+      if ((currentKeypair.prime != firstKeypair.prime) || (currentKeypair.curve != firstKeypair.curve)) {
+         throw (new Error("Keypairs don't share the same prime or curve."));
+      }
+      var currentEncKey = currentKeypair.encKey;
+      var currentDecKey = currentKeypair.decKey;
+      if (radix == 16) {
+         currentEncKey = currentEncKey.substring(2);
+         currentDecKey = currentDecKey.substring(2);
+      }
+      encKey = encKey.multiply(bigInt(currentEncKey, radix)).mod(order);
+      decKey = decKey.multiply(bigInt(currentDecKey, radix)).mod(order);
    }
+   var result = new Object();
    if (radix == 16) {
-      return ("0x" + prime.toString(radix));
+      result.encKey = "0x" + encKey.toString(16);
+      result.decKey = "0x" + decKey.toString(16);
    } else {
-      return (prime.toString(radix));
+      result.encKey = encKey.toString(10);
+      result.decKey = decKey.toString(10);
    }
+   result.prime = firstKeypair.prime;
+   if ((curveName != undefined) && (curveName != null)) {
+      result.curve = curveName;
+   }
+   return (result);
 }
 
-function generateRandomPrimeNative(bitLength, radix) {
-   var bitStr = randomBitStr(bitLength);
-   var prime = BigInt("0b"+bitStr);
-   while (isPrimeNative(prime)== false) {
-      prime = prime - 1n;
+// Native BigInt implementations (used automatically when useNative is true)
+
+/**
+* @property {Array} smallPrimes Odd primes below 1000, used for trial division in
+* {@link isPrimeNative} before the Miller-Rabin test. Only populated if native
+* BigInt is available.
+* @private
+*/
+var smallPrimes = new Array();
+
+/**
+* @property {Number} primalityRounds=32 The number of Miller-Rabin rounds, each with a random
+* base, performed by {@link isPrimeNative}. This is at least as many rounds as are used to
+* validate primes on the server (<code>isProbablePrime(32)</code>).
+* @private
+*/
+var primalityRounds = 32;
+if (useNative) {
+   //BigInt literals (e.g. 1n) are avoided so that this script parses where BigInt isn't available
+   var BI_ZERO = BigInt(0);
+   var BI_ONE = BigInt(1);
+   var BI_TWO = BigInt(2);
+   for (var candidate = 3; candidate < 1000; candidate += 2) {
+      var candidatePrime = true;
+      for (var divisor = 3; (divisor * divisor) <= candidate; divisor += 2) {
+         if ((candidate % divisor) == 0) {
+            candidatePrime = false;
+            break;
+         }
+      }
+      if (candidatePrime) {
+         smallPrimes.push(BigInt(candidate));
+      }
    }
+}
+
+/**
+* Parses a numeric string into a native BigInt.
+*
+* @param {String} value The numeric string to parse, without a "0x" prefix.
+* @param {Number} radix The radix of <code>value</code>, either 16 or 10.
+* @return {BigInt} The parsed value.
+* @private
+*/
+function parseNative(value, radix) {
    if (radix == 16) {
-      return ("0x" + prime.toString(radix));
+      return (BigInt("0x" + value));
    } else {
-      return (prime.toString(radix));
+      return (BigInt(value));
    }
 }
+
+/**
+* Returns a native BigInt as a numeric string, formatted in the same way as the
+* BigInteger.js functions.
+*
+* @param {BigInt} value The value to format.
+* @param {Number} radix The radix of the returned string, either 16 or 10.
+* @return {String} A "0x"-prefixed hexadecimal string (if <code>radix</code> is 16), or a
+* decimal string.
+* @private
 */
+function formatNative(value, radix) {
+   if (radix == 16) {
+      return ("0x" + value.toString(16));
+   } else {
+      return (value.toString(10));
+   }
+}
+
+/**
+* Returns the number of bits in a positive native BigInt (the equivalent of the
+* BigInteger.js <code>bitLength</code> function).
+*
+* @param {BigInt} value The value for which to return the bit length.
+* @return {Number} The number of bits in <code>value</code>.
+* @private
+*/
+function bitLengthNative(value) {
+   return (value.toString(2).length);
+}
+
+/**
+* Native BigInt modular exponentiation.
+*
+* @param {BigInt} base The base value.
+* @param {BigInt} exponent The (non-negative) exponent.
+* @param {BigInt} modulus The modulus.
+* @return {BigInt} The result of <code>base^exponent mod modulus</code>.
+* @private
+*/
+function modPowNative(base, exponent, modulus) {
+   if (modulus == BI_ONE) {
+      return (BI_ZERO);
+   }
+   var result = BI_ONE;
+   base = base % modulus;
+   if (base < BI_ZERO) {
+      base = base + modulus;
+   }
+   while (exponent > BI_ZERO) {
+      if ((exponent & BI_ONE) == BI_ONE) {
+         result = (result * base) % modulus;
+      }
+      exponent = exponent >> BI_ONE;
+      base = (base * base) % modulus;
+   }
+   return (result);
+}
+
+/**
+* Native BigInt modular multiplicative inverse, using the extended Euclidean algorithm.
+*
+* @param {BigInt} value The (positive) value to invert.
+* @param {BigInt} modulus The modulus.
+* @return {BigInt} The inverse of <code>value</code> modulo <code>modulus</code>.
+* @throws {Error} Thrown if <code>value</code> and <code>modulus</code> aren't co-prime.
+* @private
+*/
+function modInvNative(value, modulus) {
+   var t = BI_ZERO;
+   var newT = BI_ONE;
+   var r = modulus;
+   var newR = value;
+   while (newR != BI_ZERO) {
+      var quotient = r / newR;
+      var lastT = t;
+      var lastR = r;
+      t = newT;
+      r = newR;
+      newT = lastT - (quotient * newT);
+      newR = lastR - (quotient * newR);
+   }
+   if (r != BI_ONE) {
+      throw (new Error(value.toString() + " and " + modulus.toString() + " are not co-prime"));
+   }
+   if (t < BI_ZERO) {
+      t = t + modulus;
+   }
+   return (t);
+}
+
+/**
+* Returns a random native BigInt between 2 and <code>value</code>-2, inclusive, for use
+* as a Miller-Rabin base.
+*
+* @param {BigInt} value The value being tested for primality. Must be greater than 4.
+* @return {BigInt} A random base for the Miller-Rabin test of <code>value</code>.
+* @private
+*/
+function randomBaseNative(value) {
+   //64 extra bits make the bias of the modulo reduction negligible
+   var random = BigInt("0b" + randomBitStr(bitLengthNative(value) + 64));
+   return ((random % (value - BigInt(3))) + BI_TWO);
+}
+
+/**
+* Native BigInt primality test. After basic checks and trial division by small primes, a
+* Miller-Rabin test is performed using [primalityRounds]{@link primalityRounds} random
+* bases. Since the bases can't be predicted, composite values can't be crafted to pass the
+* test and the probability of a composite being accepted is at most 4<sup>-primalityRounds</sup>.
+*
+* @param {BigInt} value The value to test.
+* @return {Boolean} True if <code>value</code> is (probably) prime.
+* @private
+*/
+function isPrimeNative(value) {
+   var n = value;
+   if (n < BI_ZERO) {
+      n = -n;
+   }
+   if (n == BI_ONE) {
+      return (false);
+   }
+   if ((n == BI_TWO) || (n == BigInt(3)) || (n == BigInt(5))) {
+      return (true);
+   }
+   if (((n % BI_TWO) == BI_ZERO) || ((n % BigInt(3)) == BI_ZERO) || ((n % BigInt(5)) == BI_ZERO)) {
+      return (false);
+   }
+   if (n < BigInt(25)) {
+      return (true);
+   }
+   for (var count = 0; count < smallPrimes.length; count++) {
+      if ((n > smallPrimes[count]) && ((n % smallPrimes[count]) == BI_ZERO)) {
+         return (false);
+      }
+   }
+   var nPrev = n - BI_ONE;
+   var b = nPrev;
+   while ((b % BI_TWO) == BI_ZERO) {
+      b = b / BI_TWO;
+   }
+   for (count = 0; count < primalityRounds; count++) {
+      var x = modPowNative(randomBaseNative(n), b, n);
+      if ((x == BI_ONE) || (x == nPrev)) {
+         continue;
+      }
+      var composite = true;
+      for (var d = b; composite && (d < nPrev); d = d * BI_TWO) {
+         x = (x * x) % n;
+         if (x == nPrev) {
+            composite = false;
+         }
+      }
+      if (composite) {
+         return (false);
+      }
+   }
+   return (true);
+}
+
+/**
+* Native BigInt implementation of {@link generateRandomPrime}.
+*
+* @param {Number} bitLength The number of bits to use for the generated prime value.
+* @param {Number} radix=16|10 The radix of the returned value string.
+* @return {String} A bitLength-length prime number value represented as a string.
+* @private
+*/
+function generateRandomPrimeNative(bitLength, radix) {
+   var prime = BigInt("0b" + randomBitStr(bitLength));
+   while (isPrimeNative(prime) == false) {
+      prime = prime - BI_ONE;
+   }
+   return (formatNative(prime, radix));
+}
+
+/**
+* Native BigInt implementation of {@link generateRandomSafePrime}.
+*
+* @param {Number} bitLength The number of bits to use for the generated prime value.
+* @param {Number} radix=16|10 The radix of the returned value string.
+* @return {String} A bitLength-length safe prime number value represented as a string.
+* @private
+*/
+function generateRandomSafePrimeNative(bitLength, radix) {
+   var half = BigInt("0b" + randomBitStr(bitLength - 1));
+   if ((half % BI_TWO) == BI_ZERO) {
+      half = half - BI_ONE;
+   }
+   var prime = (half * BI_TWO) + BI_ONE;
+   while ((isPrimeNative(half) == false) || (isPrimeNative(prime) == false)) {
+      half = half - BI_TWO;
+      prime = prime - BigInt(4);
+   }
+   return (formatNative(prime, radix));
+}
+
+/**
+* Native BigInt implementation of {@link generateRandomKeypair}.
+*
+* @param {String} primeVal The prime number value representation to use to
+* generate the keypair.
+* @param {Number} radix The assumed radix of the primeVal value and for the
+* generated keypair.
+* @return {keypair} The generated keypair+prime value object in the specified
+* radix.
+* @private
+*/
+function generateRandomKeypairNative(primeVal, radix) {
+   var prime = parseNative(primeVal, radix);
+   var phiPrime = prime - BI_ONE; //assume this is a prime number
+   var encKey = BigInt("0b" + randomBitStr(bitLengthNative(phiPrime)));
+   var done = false;
+   while (!done) {
+      try {
+         var decKey = modInvNative(encKey, phiPrime);
+         done = true;
+      } catch (err) {
+         encKey = encKey - BI_ONE;
+         done = false;
+      }
+   }
+   return ({"encKey":formatNative(encKey, radix), "decKey":formatNative(decKey, radix), "prime":formatNative(prime, radix)});
+}
+
+/**
+* Native BigInt implementation of {@link generateRandomQuadResidues}.
+*
+* @param {String} primeVal The representation of the prime number to use to
+* generate the quadratic residues.
+* @param {Number} numValues The number of sequential quadratic residues to
+* generate.
+* @param {Number} radix The assumed radix of primeVal and of the generated
+* quadratic residues.
+* @return {Array} The sequentially generated quadratic residues as
+* string representations in the given radix.
+* @private
+*/
+function generateRandomQuadResiduesNative(primeVal, numValues, radix) {
+   var residues = new Array();
+   var prime = parseNative(primeVal, radix);
+   var exponent = (prime - BI_ONE) / BI_TWO; //assume this is a prime number
+   var currentValue = exponent - BI_ONE; //start with one less than half the prime
+   while (residues.length < numValues) {
+      if (modPowNative(currentValue, exponent, prime) == BI_ONE) {
+         residues.push(formatNative(currentValue, radix));
+      }
+      currentValue = currentValue + BI_ONE;
+   }
+   return (residues);
+}
+
+/**
+* Native BigInt implementation of {@link checkResidues}.
+*
+* @param {Array} residueObjects Objects containing the <code>value</code> and <code>radix</code>
+* of each value to check.
+* @param {String} primeVal The representation of the prime value.
+* @param {Number} primeRadix The assumed radix of primeVal.
+* @return {Array} The calculated quadratic residues (1) or non-residues (primeVal-1)
+* of the residueObjects array.
+* @private
+*/
+function checkResiduesNative(residueObjects, primeVal, primeRadix) {
+   var prime = parseNative(primeVal, primeRadix);
+   var exponent = (prime - BI_ONE) / BI_TWO; //assume this is a prime number
+   var returnValues = new Array();
+   for (var count=0; count < residueObjects.length; count++) {
+      var currentResObject = residueObjects[count];
+      var currentValue = parseNative(currentResObject.value, currentResObject.radix);
+      returnValues.push(modPowNative(currentValue, exponent, prime).toString(currentResObject.radix));
+   }
+   return (returnValues);
+}
+
+/**
+* Native BigInt implementation of {@link encrypt} and {@link decrypt}.
+*
+* @param {String} inputValue The representation of the value to encrypt or decrypt.
+* @param {Number} valueRadix The assumed radix of inputValue.
+* @param {String} keyValue The representation of the encryption or decryption key.
+* @param {String} primeVal The representation of the prime value.
+* @param {Number} keyRadix The assumed radix of keyValue and primeVal.
+* @return {String} The result as a string representation in the valueRadix.
+* @private
+*/
+function modPowValueNative(inputValue, valueRadix, keyValue, primeVal, keyRadix) {
+   var value = parseNative(inputValue, valueRadix);
+   var key = parseNative(keyValue, keyRadix);
+   var prime = parseNative(primeVal, keyRadix);
+   return (formatNative(modPowNative(value, key, prime), valueRadix));
+}
+
 //setup message handler
-onmessage = handleMessage;
+onmessage = safeHandleMessage;
 
 //signal host that worker is ready to accept requests
 postMessage({"ready":true});
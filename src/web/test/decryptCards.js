@@ -0,0 +1,129 @@
+/**
+* @file Regression check for {@link CypherPokerGame#decryptCards}. Runs private and public card
+* decryptions end to end using the in-thread {@link SRACryptoNode} cryptosystem provider and a
+* minimal two-player game stand-in.
+* Usage: <code>node test/decryptCards.js</code>
+* The process exits with code 0 if all checks passed or 1 otherwise.
+*
+* @version 0.5.1
+*/
+const assert = require("assert");
+const headless = require("../scripts/headless.js");
+
+headless.load();
+
+/**
+* Creates a minimal stand-in for a two-player {@link CypherPokerGame} instance with just
+* enough functionality for <code>decryptCards</code> to run. The stand-in records sent
+* messages and dispatched events so that they can be checked.
+*
+* @param {SRACryptoNode} crypto The cryptosystem provider to use.
+* @param {String} ownPID The private ID of our own player, either "ownPID" or "otherPID".
+* @param {Object} ownKeypair The keypair of our own player.
+* @param {Array} faceup The face-up (plaintext) card mappings.
+*
+* @return {Object} The game stand-in.
+* @private
+*/
+function createGame(crypto, ownPID, ownKeypair, faceup) {
+   var ownPlayer = {privateID:"ownPID", keychain:[], dealtCards:[], upCards:[]};
+   var otherPlayer = {privateID:"otherPID", keychain:[], dealtCards:[], upCards:[]};
+   if (ownPID == "ownPID") {
+      ownPlayer.keychain.push(ownKeypair);
+   } else {
+      otherPlayer.keychain.push(ownKeypair);
+   }
+   var game = {
+      ownPID:ownPID,
+      isStud:false,
+      table:{},
+      cypherpoker:{crypto:crypto},
+      cardDecks:{faceup:[], public:[], secondBoard:[]},
+      sent:[],
+      events:[],
+      debug:function() {},
+      postAutoBlinds:function() {},
+      endAllInGame:function() {},
+      getPlayer:function(pid) {
+         return ((pid == "ownPID") ? ownPlayer : otherPlayer);
+      },
+      getPreviousPlayer:function(pid) {
+         return ((pid == "ownPID") ? otherPlayer : ownPlayer);
+      },
+      sendToPlayers:function(type, payload) {
+         this.sent.push({type:type, payload:JSON.parse(JSON.stringify(payload))});
+      },
+      dispatchEvent:function(event) {
+         this.events.push(event);
+      }
+   };
+   game.cryptoProgress = CypherPokerGame.prototype.cryptoProgress;
+   game.getMappedCard = CypherPokerGame.prototype.getMappedCard;
+   for (var count = 0; count < faceup.length; count++) {
+      game.cardDecks.faceup.push({mapping:faceup[count]});
+   }
+   return (game);
+}
+
+/**
+* @private
+*/
+async function invokeResult(crypto, method, params) {
+   var event = await crypto.invoke(method, params);
+   return (event.data.result);
+}
+
+/**
+* @private
+*/
+async function run() {
+   var crypto = new SRACryptoNode();
+   var prime = await invokeResult(crypto, "randomPrime", {bitLength:128, radix:16});
+   var ownKeypair = await invokeResult(crypto, "randomKeypair", {prime:prime});
+   var otherKeypair = await invokeResult(crypto, "randomKeypair", {prime:prime});
+   var faceup = await invokeResult(crypto, "randomQuadResidues", {prime:prime, numValues:4});
+   var ownEncrypted = await crypto.encryptBatch(faceup, ownKeypair);
+   var fullyEncrypted = await crypto.encryptBatch(ownEncrypted, otherKeypair);
+   var decryptCards = CypherPokerGame.prototype.decryptCards;
+
+   //final decryption of our own private cards
+   var game = createGame(crypto, "ownPID", ownKeypair, faceup);
+   var payload = {fromPID:"otherPID", sourcePID:"ownPID", private:true, selected:ownEncrypted.slice(0, 2)};
+   var result = await decryptCards.call(game, payload);
+   assert.deepStrictEqual(Array.from(result), Array.from(faceup.slice(0, 2)));
+   assert.strictEqual(game.getPlayer("ownPID").dealtCards.length, 2);
+   assert.strictEqual(game.events[0].type, "gamedeal");
+
+   //partial decryption of another player's private cards
+   var otherGame = createGame(crypto, "otherPID", otherKeypair, faceup);
+   payload = {fromPID:"ownPID", sourcePID:"ownPID", private:true, selected:fullyEncrypted.slice(0, 2)};
+   result = await decryptCards.call(otherGame, payload);
+   assert.deepStrictEqual(Array.from(result), Array.from(ownEncrypted.slice(0, 2)));
+   assert.strictEqual(otherGame.sent[0].type, "gamedeal");
+   assert.strictEqual(otherGame.events[0].type, "gamedecrypt");
+
+   //final decryption of public cards we selected
+   game = createGame(crypto, "ownPID", ownKeypair, faceup);
+   payload = {fromPID:"otherPID", sourcePID:"ownPID", private:false, selected:ownEncrypted.slice(2)};
+   result = await decryptCards.call(game, payload);
+   assert.strictEqual(result.length, 2);
+   assert.strictEqual(game.cardDecks.public.length, 2);
+   assert.deepStrictEqual(Array.from(game.sent[0].payload.cards), Array.from(faceup.slice(2)));
+
+   //fully decrypted public cards received from another player
+   game = createGame(crypto, "ownPID", ownKeypair, faceup);
+   payload = {fromPID:"otherPID", sourcePID:"otherPID", private:false, cards:faceup.slice(2)};
+   result = await decryptCards.call(game, payload);
+   assert.strictEqual(result.length, 2);
+   assert.strictEqual(game.cardDecks.public.length, 2);
+
+   crypto.destroy();
+}
+
+run().then(() => {
+   console.log ("decryptCards: all checks passed.");
+   process.exit(0);
+}).catch(err => {
+   console.error (err);
+   process.exit(1);
+});
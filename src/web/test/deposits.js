@@ -0,0 +1,212 @@
+/**
+* @file Regression check for the deposit watcher in <code>CP_Account.js</code>. Confirmed deposits
+* are forwarded and credited using a stand-in cryptocurrency handler and account database, including
+* when ledger entries can't be stored and when the server is restarted while the forwarded deposits
+* are still reported as unspent.
+* Usage: <code>node test/deposits.js</code>
+* The process exits with code 0 if all checks passed or 1 otherwise.
+*
+* @version 0.5.1
+*/
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const Module = require("module");
+
+const serverPath = path.resolve(__dirname, "../../server");
+//load server dependencies the same way that the server does
+const serverRequire = Module.createRequire(path.resolve(serverPath, "server.js"));
+const baseConfig = JSON.parse(fs.readFileSync(path.resolve(serverPath, "config.json"), "utf8"));
+
+/**
+* Creates an in-memory stand-in for the account database adapter. Ledger entries can
+* be made to fail by setting the returned object's <code>failLedger</code> property.
+*
+* @return {Object} The database with the <code>accounts</code> rows, <code>ledger</code> entries,
+* and an <code>invoke</code> function handling JSON-RPC 2.0 requests like a database adapter.
+* @private
+*/
+function createDatabase() {
+   var database = {accounts:[], ledger:[], failLedger:false};
+   database.invoke = async function(requestObj) {
+      var message = requestObj.params.message;
+      var responseObj = {jsonrpc:"2.0", id:requestObj.id};
+      switch (requestObj.method) {
+         case "getrecord":
+            responseObj.result = this.accounts.filter(row => (row.address == message.address) &&
+               (row.type == message.type) && (row.network == message.network)).reverse().slice(0, 2);
+            if (responseObj.result.length == 0) {
+               delete responseObj.result;
+               responseObj.error = {code:-32602, message:"No matching account."};
+            }
+            break;
+         case "putrecord":
+            this.accounts.push(JSON.parse(JSON.stringify(message)));
+            responseObj.result = {};
+            break;
+         case "putledger":
+            if (this.failLedger) {
+               responseObj.error = {code:-32603, message:"Ledger unavailable."};
+            } else {
+               this.ledger.push(JSON.parse(JSON.stringify(message)));
+               responseObj.result = {};
+            }
+            break;
+         case "getledger":
+            var entries = this.ledger.filter(entry => (entry.address == message.address) &&
+               (entry.type == message.type) && (entry.network == message.network)).reverse();
+            responseObj.result = {entries:entries.slice(message.offset, message.offset + message.limit), total:entries.length};
+            break;
+         default:
+            responseObj.error = {code:-32601, message:"Method not found."};
+            break;
+      }
+      return (responseObj);
+   };
+   return (database);
+}
+
+/**
+* Creates a stand-in cryptocurrency handler that reports a fixed list of unspent deposits
+* and records forwarding transactions.
+*
+* @param {Array} deposits The unspent deposits to report.
+*
+* @return {Object} The handler with the <code>sent</code> transactions.
+* @private
+*/
+function createHandler(deposits) {
+   var handler = {deposits:deposits, sent:[]};
+   handler.getAddressDeposits = async function(address, APIType, network) {
+      return (JSON.parse(JSON.stringify(this.deposits)));
+   };
+   handler.getDerivedWallet = function(path, network, addressOnly) {
+      return ("cashout_address");
+   };
+   handler.sendTransaction = async function(fromPath, toAddress, amount, fee, APIType, network) {
+      this.sent.push(amount.toString(10));
+      return ({tx:{hash:"forward"+this.sent.length}});
+   };
+   return (handler);
+}
+
+/**
+* Loads the account API into its own context, as happens when the server is (re)started,
+* using the supplied database and cryptocurrency handler.
+*
+* @param {Object} database The database, as returned by {@link createDatabase}.
+* @param {Object} handler The cryptocurrency handler, as returned by {@link createHandler}.
+*
+* @return {Object} The loaded context's <code>namespace</code>.
+* @private
+*/
+function loadAccountAPI(database, handler) {
+   var config = JSON.parse(JSON.stringify(baseConfig));
+   config.CP.API.database.enabled = true;
+   config.CP.API.database.url = "test://accounts";
+   config.CP.API.database.adapters = {test:{instance:database}};
+   var networkConfig = config.CP.API.bitcoin.default.test3;
+   networkConfig.depositConfirmations = 3;
+   networkConfig.minerFee = "1000";
+   networkConfig.depositFee = "500";
+   var namespace = {cp:{}, wss:{}};
+   namespace.wss.sendUpdate = function() {};
+   var context = {
+      namespace:namespace,
+      config:config,
+      bigInt:serverRequire("big-integer"),
+      crypto:require("crypto"),
+      require:serverRequire,
+      Buffer:Buffer,
+      setTimeout:setTimeout,
+      clearTimeout:clearTimeout,
+      setInterval:setInterval,
+      clearInterval:clearInterval,
+      console:{log:function() {}, warn:function() {}, error:function() {}},
+      getHandler:function(type, APIType) {
+         return (handler);
+      },
+      getConfigByPath:function(configPath) {
+         return (configPath.split(".").reduce((configObj, item) => configObj[item], config));
+      }
+   };
+   vm.createContext(context);
+   var source = fs.readFileSync(path.resolve(serverPath, "api/CP_Account.js"), "utf8");
+   vm.runInContext(source, context, {filename:"CP_Account.js"});
+   return (namespace);
+}
+
+/**
+* Returns the latest balance of the test account.
+*
+* @param {Object} database The database, as returned by {@link createDatabase}.
+*
+* @return {String} The account's balance.
+* @private
+*/
+function getBalance(database) {
+   return (database.accounts[database.accounts.length - 1].balance);
+}
+
+/**
+* @private
+*/
+async function run() {
+   var account = {address:"deposit_address", type:"bitcoin", network:"test3", balance:"0", chain:0, addressIndex:1};
+   var database = createDatabase();
+   database.accounts.push(Object.assign(new Object(), account));
+   var handler = createHandler([{txid:"deposit1", vout:0, amount:"100000", confirmations:5}]);
+   var namespace = loadAccountAPI(database, handler);
+   var watchObj = namespace.cp.watchDeposits(account);
+
+   //a forwarded deposit isn't credited while its ledger entry can't be stored
+   database.failLedger = true;
+   var result = await namespace.cp.checkDeposits(watchObj);
+   assert.strictEqual(result.credited, null);
+   assert.deepStrictEqual(handler.sent, ["99000"]);
+   assert.strictEqual(getBalance(database), "0");
+   //nor is it forwarded again while the forwarding transaction is unconfirmed
+   result = await namespace.cp.checkDeposits(watchObj);
+   assert.strictEqual(result.credited, null);
+   assert.strictEqual(handler.sent.length, 1);
+   assert.strictEqual(getBalance(database), "0");
+
+   //it's credited, minus fees, once the ledger entry is stored
+   database.failLedger = false;
+   result = await namespace.cp.checkDeposits(watchObj);
+   assert.strictEqual(result.credited.amount, "98500");
+   assert.strictEqual(result.credited.fees, "1500");
+   assert.strictEqual(result.credited.txHash, "forward1");
+   assert.strictEqual(getBalance(database), "98500");
+   assert.deepStrictEqual(database.ledger.map(entry => [entry.entryType, entry.amount, entry.balance, entry.reference]),
+      [["deposit", "100000", "100000", "deposit1:0"], ["fee", "-1500", "98500", "forward1"]]);
+   //and only once
+   result = await namespace.cp.checkDeposits(watchObj);
+   assert.strictEqual(result.credited, null);
+   assert.strictEqual(getBalance(database), "98500");
+
+   //after a restart the credited deposit is restored from the ledger and isn't forwarded or credited again
+   namespace = loadAccountAPI(database, handler);
+   watchObj = namespace.cp.watchDeposits(account);
+   result = await namespace.cp.checkDeposits(watchObj);
+   assert.strictEqual(result.credited, null);
+   assert.strictEqual(handler.sent.length, 1);
+   assert.strictEqual(getBalance(database), "98500");
+   assert.strictEqual(database.ledger.length, 2);
+
+   //a new deposit after the restart is credited
+   handler.deposits.push({txid:"deposit2", vout:1, amount:"20000", confirmations:3});
+   result = await namespace.cp.checkDeposits(watchObj);
+   assert.strictEqual(result.credited.amount, "18500");
+   assert.deepStrictEqual(handler.sent, ["99000", "19000"]);
+   assert.strictEqual(getBalance(database), "117000");
+}
+
+run().then(() => {
+   console.log ("deposits: all checks passed.");
+   process.exit(0);
+}).catch(err => {
+   console.error (err);
+   process.exit(1);
+});
@@ -0,0 +1,236 @@
+/**
+* @file Regression check for the contract host's pot and rake handling in <code>CP_SmartContract.js</code>.
+* Builds the main and side pots of multi-way all-in contracts and pays them out with and without
+* a rake, using a minimal in-memory stand-in for the server's account functions.
+* Usage: <code>node test/pots.js</code>
+* The process exits with code 0 if all checks passed or 1 otherwise.
+*
+* @version 0.5.1
+*/
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const Module = require("module");
+
+const serverPath = path.resolve(__dirname, "../../server");
+//load server dependencies the same way that the server does
+const serverRequire = Module.createRequire(path.resolve(serverPath, "server.js"));
+const baseConfig = JSON.parse(fs.readFileSync(path.resolve(serverPath, "config.json"), "utf8"));
+
+/**
+* Loads the contract host API into its own context with a minimal stand-in for the server's
+* namespace. Accounts are held in memory and every balance change is recorded in a ledger.
+*
+* @param {Object} rake The <code>config.CP.API.contract.rake</code> rules to use.
+*
+* @return {Object} The loaded context's <code>api</code> functions, the in-memory <code>accounts</code>
+* (keyed by address), the <code>ledger</code> array, and the <code>errors</code> logged.
+* @private
+*/
+function loadContractAPI(rake) {
+   var config = JSON.parse(JSON.stringify(baseConfig));
+   config.CP.API.contract.rake = rake;
+   config.CP.API.database.enabled = false;
+   var host = {accounts:{}, ledger:[], errors:[]};
+   var namespace = {cp:{}, wss:{}};
+   namespace.cp.contracts = new Object(); //skips restoring contracts
+   namespace.cp.getAccount = async function(searchObj) {
+      var account = host.accounts[searchObj.address];
+      if ((account == undefined) || (account.type != searchObj.type) || (account.network != searchObj.network)) {
+         return ([]);
+      }
+      return ([Object.assign(new Object(), account)]);
+   };
+   namespace.cp.saveAccount = async function(accountRow) {
+      host.accounts[accountRow.address] = Object.assign(new Object(), accountRow);
+      return (true);
+   };
+   namespace.cp.addLedgerEntry = async function(accountRow, entryType, amount, balance, reference, memo) {
+      host.ledger.push({address:accountRow.address, type:entryType, amount:amount.toString(10), balance:balance.toString(10)});
+      return (true);
+   };
+   namespace.cp.MySQLDateTime = function(date) {
+      return (date.toISOString());
+   };
+   var context = {
+      namespace:namespace,
+      config:config,
+      bigInt:serverRequire("big-integer"),
+      secp256k1:serverRequire("secp256k1"),
+      crypto:require("crypto"),
+      require:serverRequire,
+      Buffer:Buffer,
+      setTimeout:setTimeout,
+      clearTimeout:clearTimeout,
+      setInterval:setInterval,
+      clearInterval:clearInterval,
+      console:{
+         log:function() {},
+         error:function(message) {
+            host.errors.push(String(message));
+         }
+      }
+   };
+   vm.createContext(context);
+   var source = fs.readFileSync(path.resolve(serverPath, "api/CP_SmartContract.js"), "utf8");
+   source += "\nthis.api = {createPots:createPots, awardPots:awardPots, getPotAwards:getPotAwards, calculateRake:calculateRake, takeRake:takeRake};";
+   vm.runInContext(source, context, {filename:"CP_SmartContract.js"});
+   host.api = context.api;
+   return (host);
+}
+
+/**
+* Returns rake rules that may be modified by a test.
+*
+* @param {Object} [rules=null] Rules to override the defaults with.
+*
+* @return {Object} The rake rules.
+* @private
+*/
+function rakeRules(rules=null) {
+   var rake = {enabled:true, percent:5, cap:"0", noFlopNoDrop:true, accounts:{bitcoin:{main:"", test3:"operator"}}};
+   return (Object.assign(rake, rules));
+}
+
+/**
+* Creates a five-player contract in which "A" and "B" are all-in for different amounts, "C" and "D"
+* have called all bets, and "E" has folded. The players' accounts are added to the host.
+*
+* @param {Object} host The host, as returned by {@link loadContractAPI}.
+* @param {Boolean} [flop=true] If true, the contract's history includes a flop.
+*
+* @return {Object} The contract.
+* @private
+*/
+function createContract(host, flop=true) {
+   var bets = {A:"101", B:"250", C:"400", D:"400", E:"51"};
+   var contract = {contractID:"contract1", pot:"0", players:[], history:{deals:{}}};
+   contract.table = {tableID:"table1", tableInfo:{currency:{type:"bitcoin", network:"test3"}}};
+   for (var privateID in bets) {
+      var account = {address:privateID+"_address", type:"bitcoin", network:"test3", balance:"1000"};
+      host.accounts[account.address] = Object.assign(new Object(), account);
+      contract.players.push({privateID:privateID, totalBet:bets[privateID], hasFolded:(privateID == "E"), account:account});
+      contract.pot = String(Number(contract.pot) + Number(bets[privateID]));
+   }
+   host.accounts["operator"] = {address:"operator", type:"bitcoin", network:"test3", balance:"0"};
+   if (flop) {
+      var flopDeal = {private:false, type:"select", cards:["1", "2", "3"]};
+      var decryptDeal = {private:false, type:"decrypt", cards:["1", "2", "3"]};
+      contract.history.deals["A"] = [flopDeal, decryptDeal, decryptDeal, decryptDeal, decryptDeal];
+   }
+   return (contract);
+}
+
+/**
+* Returns the amount by which each account's balance has changed through "payout" ledger entries.
+*
+* @param {Object} host The host, as returned by {@link loadContractAPI}.
+*
+* @return {Object} The total payouts keyed by account address.
+* @private
+*/
+function getPayouts(host) {
+   var payouts = new Object();
+   for (var count = 0; count < host.ledger.length; count++) {
+      var entry = host.ledger[count];
+      if (entry.type == "payout") {
+         payouts[entry.address] = String(Number(payouts[entry.address] || 0) + Number(entry.amount));
+      }
+   }
+   return (payouts);
+}
+
+/**
+* @private
+*/
+async function run() {
+   //multi-way all-in side pots with odd-chip remainders
+   var host = loadContractAPI(rakeRules({enabled:false}));
+   var contract = createContract(host);
+   var pots = host.api.createPots(contract);
+   assert.deepStrictEqual(Array.from(pots, pot => pot.amount), ["455", "447", "300"]);
+   assert.deepStrictEqual(Array.from(pots, pot => Array.from(pot.eligible)), [["A", "B", "C", "D"], ["B", "C", "D"], ["C", "D"]]);
+   assert.deepStrictEqual(Array.from(pots, pot => pot.contributors), [5, 3, 2]);
+   pots[0].winners = ["B", "A"];
+   pots[1].winners = ["C", "B"];
+   pots[2].winners = ["D"];
+   await host.api.awardPots(contract, pots);
+   assert.deepStrictEqual(Object.assign(new Object(), pots[0].awards), {B:"228", A:"227"});
+   assert.deepStrictEqual(Object.assign(new Object(), pots[1].awards), {C:"224", B:"223"});
+   assert.deepStrictEqual(Object.assign(new Object(), pots[2].awards), {D:"300"});
+   assert.deepStrictEqual(getPayouts(host), {B_address:"451", A_address:"227", C_address:"224", D_address:"300"});
+   assert.strictEqual(host.accounts["B_address"].balance, "1451");
+   assert.strictEqual(contract.history.rake.amount, "0");
+   //the odd chips of a three-way split go to the first winner
+   assert.deepStrictEqual(Object.assign(new Object(), host.api.getPotAwards({amount:"7", rake:"0", winners:["C", "D", "A"]})), {C:"3", D:"2", A:"2"});
+
+   //the rake is capped per hand and taken from the main pot first
+   host = loadContractAPI(rakeRules({cap:"30"}));
+   contract = createContract(host);
+   pots = host.api.createPots(contract);
+   pots[0].winners = ["A"];
+   pots[1].winners = ["B"];
+   pots[2].winners = ["C", "D"];
+   await host.api.awardPots(contract, pots);
+   assert.deepStrictEqual(Array.from(pots, pot => pot.rake), ["22", "8", "0"]);
+   assert.strictEqual(contract.history.rake.amount, "30");
+   assert.strictEqual(host.accounts["operator"].balance, "30");
+   assert.deepStrictEqual(host.ledger.filter(entry => entry.type == "rake").map(entry => entry.amount), ["30"]);
+   assert.deepStrictEqual(getPayouts(host), {A_address:"433", B_address:"439", C_address:"150", D_address:"150"});
+   //without a cap every contested pot is raked
+   host = loadContractAPI(rakeRules());
+   contract = createContract(host);
+   var rakeReport = host.api.calculateRake(contract, host.api.createPots(contract));
+   assert.deepStrictEqual(Array.from(rakeReport.pots, pot => pot.rake), ["22", "22", "15"]);
+   assert.strictEqual(rakeReport.amount, "59");
+   //an uncontested pot isn't raked
+   rakeReport = host.api.calculateRake(contract, [{amount:"1000", contributors:1}]);
+   assert.strictEqual(rakeReport.amount, "0");
+
+   //no flop, no drop
+   host = loadContractAPI(rakeRules({cap:"30"}));
+   contract = createContract(host, false);
+   pots = host.api.createPots(contract);
+   pots[0].winners = ["A"];
+   pots[1].winners = ["B"];
+   pots[2].winners = ["C"];
+   await host.api.awardPots(contract, pots);
+   assert.deepStrictEqual(Array.from(pots, pot => pot.rake), ["0", "0", "0"]);
+   assert.strictEqual(contract.history.rake.amount, "0");
+   assert.strictEqual(host.accounts["operator"].balance, "0");
+   assert.deepStrictEqual(getPayouts(host), {A_address:"455", B_address:"447", C_address:"300"});
+   //the rule may be turned off
+   host = loadContractAPI(rakeRules({noFlopNoDrop:false}));
+   contract = createContract(host, false);
+   rakeReport = host.api.calculateRake(contract, host.api.createPots(contract));
+   assert.strictEqual(rakeReport.amount, "59");
+
+   //a rake with no operator account configured isn't taken
+   host = loadContractAPI(rakeRules({accounts:{bitcoin:{main:"", test3:""}}}));
+   contract = createContract(host);
+   pots = host.api.createPots(contract);
+   pots[0].winners = ["A"];
+   pots[1].winners = ["B"];
+   pots[2].winners = ["C"];
+   await host.api.awardPots(contract, pots);
+   assert.deepStrictEqual(Array.from(pots, pot => pot.rake), ["0", "0", "0"]);
+   assert.strictEqual(contract.history.rake.amount, "0");
+   assert.deepStrictEqual(host.ledger.filter(entry => entry.type == "rake"), []);
+   assert.deepStrictEqual(getPayouts(host), {A_address:"455", B_address:"447", C_address:"300"});
+   assert.ok(host.errors.some(message => message.startsWith("No operator account for bitcoin/test3 rake.")));
+   //nor is it taken if the configured operator account doesn't exist
+   host = loadContractAPI(rakeRules({accounts:{bitcoin:{main:"", test3:"missing"}}}));
+   contract = createContract(host);
+   rakeReport = await host.api.takeRake(contract);
+   assert.strictEqual(rakeReport.amount, "0");
+   assert.strictEqual(host.accounts["operator"].balance, "0");
+}
+
+run().then(() => {
+   console.log ("pots: all checks passed.");
+   process.exit(0);
+}).catch(err => {
+   console.error (err);
+   process.exit(1);
+});